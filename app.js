@@ -2,12 +2,46 @@ const express = require("express");
 const cors = require("cors");
 const userRoutes = require("./routes/userRoutes");
 const emailRoutes = require("./routes/emailRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const groupRoutes = require("./routes/groupRoutes");
+const userAttributeRoutes = require("./routes/userAttributeRoutes");
+const invitationRoutes = require("./routes/invitationRoutes");
 const {
   errorHandler,
   requestLogger,
   validateJSON,
   sanitizeInput,
+  assignRequestId,
+  resolveLocale,
+  resolveTenant,
+  USER_ID_PARAMS_SCHEMA,
+  USER_CREATE_SCHEMA,
+  EMAIL_CHANGE_TOKEN_SCHEMA,
+  EMAIL_OVERRIDE_SCHEMA,
+  INVITATION_SCHEMA,
+  INVITATION_ACCEPT_SCHEMA,
 } = require("./middleware/validation");
+const {
+  userRepository,
+  USER_SCHEMA,
+  USER_UPDATE_FIELDS,
+} = require("./models/User");
+const {
+  describeSchema,
+  pickSchema,
+  toJSONSchema,
+} = require("./modules/schema");
+const { JSON_PATCH_TYPE, MERGE_PATCH_TYPE } = require("./modules/jsonPatch");
+const UserPurgeService = require("./services/userPurgeService");
+const EmailEventSubscriber = require("./services/emailEventSubscriber");
+const WebhookService = require("./services/webhookService");
+const { webhookRepository } = require("./models/Webhook");
+const { eventBus } = require("./modules/eventBus");
+const { userConfig } = require("./config/userConfig");
+const { NotFoundError, sendError } = require("./modules/errors");
+const { t } = require("./modules/i18n");
+const { authenticateOptional } = require("./modules/auth");
 
 // Crear aplicación Express
 const app = express();
@@ -15,10 +49,24 @@ const app = express();
 // Puerto del servidor
 const PORT = process.env.PORT || 3000;
 
+// Listeners por defecto del bus de eventos (emails de bienvenida, verificación
+// y recuperación de contraseña) y webhooks salientes
+new EmailEventSubscriber().subscribe(eventBus);
+new WebhookService(webhookRepository).subscribe(eventBus);
+
 // Middleware global
-app.use(cors()); // Habilitar CORS
-app.use(express.json({ limit: "10mb" })); // Parser JSON con límite
+app.use(
+  cors({ exposedHeaders: ["ETag", "X-Request-Id", "Idempotent-Replayed"] })
+); // Habilitar CORS (cabeceras legibles por clientes)
+app.use(
+  express.json({
+    limit: "10mb",
+    type: ["application/json", JSON_PATCH_TYPE, MERGE_PATCH_TYPE],
+  })
+); // Parser JSON con límite (también JSON Patch y Merge Patch)
 app.use(express.urlencoded({ extended: true })); // Parser URL encoded
+app.use(assignRequestId); // ID de petición (X-Request-Id)
+app.use(resolveLocale); // Idioma de los mensajes (Accept-Language)
 app.use(requestLogger); // Logger de peticiones
 app.use(validateJSON); // Validar JSON
 app.use(sanitizeInput); // Sanitizar entrada
@@ -27,83 +75,300 @@ app.use(sanitizeInput); // Sanitizar entrada
 app.get("/", (req, res) => {
   res.json({
     success: true,
-    message: "API de Gestión de Usuarios",
+    message: t("common.apiName"),
     version: "1.0.0",
     endpoints: {
       users: "/api/users",
       emails: "/api/emails",
+      audit: "/api/audit",
+      webhooks: "/api/webhooks",
+      groups: "/api/groups",
+      userAttributes: "/api/user-attributes",
+      invitations: "/api/invitations",
       documentation: "/api/docs",
     },
   });
 });
 
+// Parámetros y cuerpos documentados a partir de los esquemas de validación
+const docs = {
+  userIdParams: describeSchema(USER_ID_PARAMS_SCHEMA),
+  createUserBody: describeSchema(USER_CREATE_SCHEMA),
+  updateUserBody: describeSchema(
+    pickSchema(USER_SCHEMA, USER_UPDATE_FIELDS, {
+      email: { description: "se envía un enlace de confirmación" },
+      profile: {
+        description:
+          "se combina con el perfil actual, null elimina un atributo",
+      },
+    }),
+    { partial: true }
+  ),
+  emailChangeBody: describeSchema(EMAIL_CHANGE_TOKEN_SCHEMA),
+  emailOverrideBody: describeSchema(EMAIL_OVERRIDE_SCHEMA),
+  invitationBody: describeSchema(INVITATION_SCHEMA),
+  invitationAcceptBody: describeSchema(INVITATION_ACCEPT_SCHEMA),
+};
+
 // Ruta de documentación básica
 app.get("/api/docs", (req, res) => {
   res.json({
     success: true,
-    message: "Documentación de la API",
+    message: t("common.docs"),
     endpoints: [
       {
         method: "POST",
         path: "/api/users",
         description: "Crear nuevo usuario",
-        body: {
-          name: "string (requerido, 2-50 caracteres)",
-          email: "string (requerido, formato email válido)",
-          password: "string (requerido, 6-100 caracteres)",
+        headers: {
+          "Idempotency-Key":
+            "opcional, en todas las rutas POST: un reintento con la misma clave repite la respuesta original",
         },
+        body: docs.createUserBody,
       },
       {
         method: "GET",
         path: "/api/users",
-        description: "Obtener todos los usuarios",
+        description:
+          "Listar usuarios con filtros, orden y paginación por cursor",
+        query: {
+          name: "string (opcional, contiene, sin distinguir mayúsculas)",
+          emailDomain: "string (opcional, ej. example.com)",
+          createdFrom: "fecha ISO 8601 (opcional)",
+          createdTo:
+            "fecha ISO 8601 (opcional, una fecha sin hora incluye el día)",
+          "profile.<clave>":
+            "valor exacto de un atributo de perfil (opcional, textos sin distinguir mayúsculas)",
+          sort: "campos separados por coma, '-' para descendente (name, email, createdAt)",
+          limit: "entero 1-100 (por defecto 20)",
+          cursor: "cursor opaco de pagination.nextCursor / prevCursor",
+          fields:
+            "campos a devolver separados por coma (opcional, ej. id,name)",
+          expand:
+            "datos relacionados separados por coma (opcional: history, emails)",
+        },
       },
       {
         method: "GET",
         path: "/api/users/:id",
         description: "Obtener usuario por ID",
-        params: {
-          id: "UUID del usuario",
+        params: docs.userIdParams,
+        query: {
+          fields: "campos a devolver separados por coma (opcional)",
+          expand:
+            "datos relacionados separados por coma (opcional: history, emails)",
         },
       },
       {
         method: "PUT",
         path: "/api/users/:id",
-        description: "Actualizar usuario completo",
-        params: {
-          id: "UUID del usuario",
+        description:
+          "Actualizar usuario completo (un email nuevo queda en pendingEmail hasta confirmarlo)",
+        params: docs.userIdParams,
+        body: docs.updateUserBody,
+      },
+      {
+        method: "PATCH",
+        path: "/api/users/:id",
+        description:
+          "Actualizar usuario parcial (JSON, JSON Patch o JSON Merge Patch según Content-Type)",
+        params: docs.userIdParams,
+        headers: {
+          "Content-Type": `application/json | ${JSON_PATCH_TYPE} | ${MERGE_PATCH_TYPE}`,
         },
+        body: docs.updateUserBody,
+      },
+      {
+        method: "POST",
+        path: "/api/users/email-change/{confirm|revert}",
+        description:
+          "Confirmar un cambio de email pendiente o revertirlo desde el aviso al email anterior (410 si el enlace caducó)",
+        body: docs.emailChangeBody,
+      },
+      {
+        method: "PUT",
+        path: "/api/users/:id/email",
+        description:
+          "Cambiar el email sin confirmación (administración; queda en el historial como override)",
+        params: docs.userIdParams,
+        body: docs.emailOverrideBody,
+      },
+      {
+        method: "DELETE",
+        path: "/api/users/:id",
+        description:
+          "Eliminar usuario (lógicamente; restaurable hasta la purga programada)",
+        params: docs.userIdParams,
+      },
+      {
+        method: "POST",
+        path: "/api/users/:id/restore",
+        description: "Restaurar usuario eliminado",
+        params: docs.userIdParams,
+      },
+      {
+        method: "POST",
+        path: "/api/users/:id/{activate|suspend|lock|deactivate}",
+        description:
+          "Cambiar el estado de la cuenta (pending_verification, active, suspended, locked, deactivated); 409 si la transición no está permitida",
+        params: docs.userIdParams,
         body: {
-          name: "string (opcional)",
-          email: "string (opcional)",
-          password: "string (opcional)",
+          reason:
+            "string (requerido para suspend, lock y deactivate; máx. 500 caracteres)",
         },
       },
       {
-        method: "PATCH",
-        path: "/api/users/:id",
-        description: "Actualizar usuario parcial",
-        params: {
-          id: "UUID del usuario",
+        method: "POST",
+        path: "/api/invitations",
+        description:
+          "Invitar a un usuario (administración): se crea en estado invited y recibe un enlace firmado de un solo uso (también GET /api/invitations, POST /api/invitations/:id/resend y DELETE /api/invitations/:id)",
+        body: docs.invitationBody,
+      },
+      {
+        method: "POST",
+        path: "/api/invitations/accept",
+        description:
+          "Aceptar una invitación eligiendo la contraseña; la cuenta queda activa y verificada (410 si el enlace caducó)",
+        body: docs.invitationAcceptBody,
+      },
+      {
+        method: "GET",
+        path: "/api/users/:id/history",
+        description:
+          "Historial de cambios del usuario (actor, ID de petición y diff por campo, contraseñas ocultas)",
+        params: docs.userIdParams,
+        query: {
+          actor: "string (opcional)",
+          action:
+            "create | update | delete | restore | destroy | override (opcional)",
+          from: "fecha ISO 8601 (opcional)",
+          to: "fecha ISO 8601 (opcional, una fecha sin hora incluye el día)",
+          limit: "entero 1-100 (por defecto 20)",
+          cursor: "cursor opaco de pagination.nextCursor / prevCursor",
+        },
+      },
+      {
+        method: "GET",
+        path: "/api/users/:id/groups",
+        description: "Grupos del usuario con su rol en cada uno",
+        params: docs.userIdParams,
+      },
+      {
+        method: "GET",
+        path: "/api/audit",
+        description:
+          "Registro de auditoría de todos los usuarios (administración; mismos parámetros que el historial)",
+      },
+      {
+        method: "POST",
+        path: "/api/groups",
+        description:
+          "Crear un grupo de usuarios (también GET /api/groups y GET, PATCH y DELETE /api/groups/:id)",
+        body: {
+          name: "string (requerido, 2-50 caracteres, único)",
+          description: "string (opcional, máx. 200 caracteres)",
         },
+      },
+      {
+        method: "POST",
+        path: "/api/groups/:id/members",
+        description:
+          "Añadir un usuario al grupo (también GET para listar y PATCH y DELETE /api/groups/:id/members/:userId)",
         body: {
-          name: "string (opcional)",
-          email: "string (opcional)",
-          password: "string (opcional)",
+          userId: "UUID del usuario (requerido)",
+          role: "owner | manager | member (opcional, member por defecto)",
         },
       },
       {
-        method: "DELETE",
-        path: "/api/users/:id",
-        description: "Eliminar usuario",
-        params: {
-          id: "UUID del usuario",
+        method: "POST",
+        path: "/api/user-attributes",
+        description:
+          "Definir un atributo de perfil (administración; también GET /api/user-attributes y GET, PATCH y DELETE /api/user-attributes/:key)",
+        body: {
+          key: "string (requerido, empieza por minúscula, máx. 40 caracteres)",
+          type: "string | number | boolean | date (requerido, no modificable)",
+          required: "boolean (opcional, obligatorio al crear usuarios)",
+          enum: "array de valores permitidos (opcional, string y number)",
+          pattern:
+            "expresión regular (opcional, string; exige max y no admite cuantificadores anidados)",
+          min: "número (opcional; longitud en string, valor en number)",
+          max: "número (opcional; longitud en string, valor en number)",
+          label: "string (opcional, máx. 50 caracteres)",
+          description: "string (opcional, máx. 200 caracteres)",
+        },
+      },
+      {
+        method: "POST",
+        path: "/api/webhooks",
+        description:
+          "Suscribir una URL a eventos (administración; no admite direcciones internas; entregas firmadas con HMAC-SHA256, reintentos y desactivación tras fallos seguidos)",
+        body: {
+          url: "string (requerido, http o https)",
+          events:
+            "array (requerido): * | user.created | user.updated | user.deleted | auth.login | email.sent | email.failed",
+          description: "string (opcional, máx. 200 caracteres)",
+          secret:
+            "string (opcional, 16-256 caracteres; se genera si no se indica)",
+        },
+      },
+      {
+        method: "GET",
+        path: "/api/webhooks/:id/deliveries",
+        description:
+          "Registro de entregas de un webhook (también GET, PATCH y DELETE /api/webhooks/:id, POST /api/webhooks/:id/ping y POST /api/webhooks/:id/deliveries/:deliveryId/redeliver)",
+        query: {
+          status: "pending | succeeded | failed (opcional)",
+          limit: "entero 1-100 (por defecto 20)",
+        },
+      },
+      {
+        method: "GET",
+        path: "/api/users/deleted",
+        description:
+          "Listar usuarios eliminados pendientes de purga (administración, mismos parámetros que GET /api/users)",
+      },
+      {
+        method: "POST",
+        path: "/api/users/bulk",
+        description:
+          "Crear, actualizar y eliminar usuarios en lote (administración; respuesta 207 con un resultado por operación)",
+        body: {
+          mode: "atomic (todo o nada, por defecto) | best-effort",
+          operations: "[{ op: create|update|delete, id?, data?, version? }]",
+        },
+      },
+      {
+        method: "GET",
+        path: "/api/users/export",
+        description:
+          "Exportar usuarios activos en streaming, sin contraseñas (administración; descarga)",
+        query: {
+          format: "csv (por defecto) | ndjson | json",
+        },
+      },
+      {
+        method: "POST",
+        path: "/api/users/import",
+        description:
+          "Importar usuarios desde CSV, NDJSON o JSON con informe de validación por fila (administración)",
+        query: {
+          format: "csv | ndjson | json (por defecto según Content-Type)",
+          mode: "create (por defecto) | upsert (actualiza por email)",
+          dryRun: "true para validar sin importar",
         },
       },
       {
         method: "GET",
         path: "/api/users/stats",
-        description: "Obtener estadísticas de usuarios",
+        description:
+          "Obtener estadísticas de usuarios: totales, altas por periodo, crecimiento, dominios, actividad y retención",
+        query: {
+          interval: "day (por defecto) | week | month",
+          from: "Inicio del rango (ISO 8601, por defecto hace 30 días)",
+          to: "Fin del rango (ISO 8601, por defecto hoy)",
+          format: "json (por defecto) | csv",
+          report: "signups (por defecto) | domains | retention (solo CSV)",
+        },
       },
       {
         method: "GET",
@@ -114,6 +379,9 @@ app.get("/api/docs", (req, res) => {
         },
       },
     ],
+    schemas: {
+      user: toJSONSchema(USER_SCHEMA),
+    },
     examples: {
       createUser: {
         method: "POST",
@@ -135,31 +403,97 @@ app.get("/api/docs", (req, res) => {
   });
 });
 
+// Rutas que se ejecutan dentro del tenant de la petición. La autenticación
+// (Authorization opcional) va antes de resolveTenant: req.user es el actor
+// del historial de cambios y su claim de tenant, la fuente "jwt"
+const TENANT_ROUTES = [
+  "/api/users",
+  "/api/emails",
+  "/api/invitations",
+  "/api/audit",
+  "/api/user-attributes",
+  "/api/groups",
+  "/api/webhooks",
+];
+
 // Rutas de la API
+app.use(TENANT_ROUTES, authenticateOptional, resolveTenant);
 app.use("/api/users", userRoutes);
 app.use("/api/emails", emailRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/user-attributes", userAttributeRoutes);
+app.use("/api/invitations", invitationRoutes);
 
 // Middleware para rutas no encontradas
 app.use("*", (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "Ruta no encontrada",
-    availableRoutes: [
-      "GET /",
-      "GET /api/docs",
-      "POST /api/users",
-      "GET /api/users",
-      "GET /api/users/:id",
-      "PUT /api/users/:id",
-      "PATCH /api/users/:id",
-      "DELETE /api/users/:id",
-      "GET /api/users/stats",
-      "GET /api/users/search/email/:email",
-      "GET /api/emails/stats",
-      "POST /api/emails/welcome",
-      "POST /api/emails/test",
-    ],
-  });
+  sendError(
+    req,
+    res,
+    new NotFoundError(t("errors.routeNotFound"), {
+      extensions: {
+        availableRoutes: [
+          "GET /",
+          "GET /api/docs",
+          "POST /api/users",
+          "GET /api/users",
+          "GET /api/users/:id",
+          "PUT /api/users/:id",
+          "PATCH /api/users/:id",
+          "DELETE /api/users/:id",
+          "POST /api/users/:id/restore",
+          "POST /api/users/:id/activate",
+          "POST /api/users/:id/suspend",
+          "POST /api/users/:id/lock",
+          "POST /api/users/:id/deactivate",
+          "PUT /api/users/:id/email",
+          "POST /api/users/email-change/confirm",
+          "POST /api/users/email-change/revert",
+          "GET /api/users/:id/history",
+          "GET /api/users/:id/groups",
+          "GET /api/users/deleted",
+          "POST /api/users/bulk",
+          "GET /api/users/export",
+          "POST /api/users/import",
+          "GET /api/users/stats",
+          "GET /api/users/search/email/:email",
+          "GET /api/audit",
+          "GET /api/webhooks",
+          "POST /api/webhooks",
+          "GET /api/webhooks/:id",
+          "PATCH /api/webhooks/:id",
+          "DELETE /api/webhooks/:id",
+          "POST /api/webhooks/:id/ping",
+          "GET /api/webhooks/:id/deliveries",
+          "GET /api/webhooks/:id/deliveries/:deliveryId",
+          "POST /api/webhooks/:id/deliveries/:deliveryId/redeliver",
+          "GET /api/groups",
+          "POST /api/groups",
+          "GET /api/groups/:id",
+          "PATCH /api/groups/:id",
+          "DELETE /api/groups/:id",
+          "GET /api/groups/:id/members",
+          "POST /api/groups/:id/members",
+          "PATCH /api/groups/:id/members/:userId",
+          "DELETE /api/groups/:id/members/:userId",
+          "GET /api/user-attributes",
+          "POST /api/user-attributes",
+          "GET /api/user-attributes/:key",
+          "PATCH /api/user-attributes/:key",
+          "DELETE /api/user-attributes/:key",
+          "GET /api/invitations",
+          "POST /api/invitations",
+          "POST /api/invitations/accept",
+          "POST /api/invitations/:id/resend",
+          "DELETE /api/invitations/:id",
+          "GET /api/emails/stats",
+          "POST /api/emails/welcome",
+          "POST /api/emails/test",
+        ],
+      },
+    })
+  );
 });
 
 // Middleware de manejo de errores (debe ir al final)
@@ -184,18 +518,43 @@ Rutas disponibles:
 - PUT    /api/users/:id              - Actualizar usuario completo
 - PATCH  /api/users/:id              - Actualizar usuario parcial
 - DELETE /api/users/:id              - Eliminar usuario
+- POST   /api/users/:id/restore      - Restaurar usuario eliminado
+- POST   /api/users/:id/suspend      - Suspender cuenta (también activate, lock, deactivate)
+- PUT    /api/users/:id/email        - Cambiar email sin confirmación (administración)
+- POST   /api/users/email-change/confirm - Confirmar cambio de email (también revert)
+- GET    /api/users/:id/history      - Historial de cambios del usuario
+- GET    /api/users/:id/groups       - Grupos del usuario
+- GET    /api/users/deleted          - Listar usuarios eliminados (administración)
+- POST   /api/users/bulk             - Operaciones masivas (administración)
+- GET    /api/users/export           - Exportar usuarios (CSV/NDJSON/JSON, administración)
+- POST   /api/users/import           - Importar usuarios (administración)
 - GET    /api/users/stats            - Estadísticas de usuarios
 - GET    /api/users/search/email/:email - Buscar por email
+- GET    /api/audit                  - Registro de auditoría (administración)
+- POST   /api/webhooks               - Suscribir un webhook (también GET, PATCH, DELETE)
+- GET    /api/webhooks/:id/deliveries - Registro de entregas (reenvío con .../redeliver)
+- POST   /api/groups                 - Crear grupo (también GET, PATCH, DELETE)
+- POST   /api/groups/:id/members     - Añadir miembro con rol (también GET, PATCH, DELETE)
+- POST   /api/user-attributes        - Definir atributo de perfil (también GET, PATCH, DELETE)
+- POST   /api/invitations            - Invitar usuario (también GET, resend, DELETE)
+- POST   /api/invitations/accept     - Aceptar invitación eligiendo contraseña
 - GET    /api/emails/stats           - Estadísticas de emails
 - POST   /api/emails/welcome         - Enviar email de bienvenida
 - POST   /api/emails/test            - Probar configuración de email
     `);
 });
 
+// Purga programada de usuarios eliminados (desactivada en tests)
+if (process.env.NODE_ENV !== "test" && userConfig.softDelete.purgeEnabled) {
+  new UserPurgeService(userRepository).start();
+}
+
 // Manejo de cierre graceful
 process.on("SIGTERM", () => {
   console.log("SIGTERM recibido. Cerrando servidor...");
-  server.close(() => {
+  server.close(async () => {
+    // Terminar las entregas de eventos en curso (p. ej. emails pendientes)
+    await eventBus.drain();
     console.log("Servidor cerrado exitosamente");
     process.exit(0);
   });
@@ -203,7 +562,9 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   console.log("\nSIGINT recibido. Cerrando servidor...");
-  server.close(() => {
+  server.close(async () => {
+    // Terminar las entregas de eventos en curso (p. ej. emails pendientes)
+    await eventBus.drain();
     console.log("Servidor cerrado exitosamente");
     process.exit(0);
   });
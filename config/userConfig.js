@@ -0,0 +1,213 @@
+require("dotenv").config();
+
+/**
+ * Configuración del módulo de usuarios
+ */
+
+const userConfig = {
+  // Eliminación lógica y purga definitiva de usuarios eliminados
+  softDelete: {
+    // Días que un usuario eliminado puede restaurarse antes de purgarse
+    retentionDays: parseInt(process.env.USER_RETENTION_DAYS) || 30,
+    // Ejecutar la purga programada (se desactiva siempre en tests)
+    purgeEnabled: process.env.USER_PURGE_ENABLED !== "false",
+    // Expresión cron de la purga (por defecto todos los días a las 03:00)
+    purgeSchedule: process.env.USER_PURGE_SCHEDULE || "0 3 * * *",
+    timezone: process.env.USER_PURGE_TIMEZONE || "UTC",
+  },
+  // Operaciones masivas (POST /api/users/bulk)
+  bulk: {
+    // Máximo de operaciones aceptadas en una sola petición
+    maxOperations: parseInt(process.env.USER_BULK_MAX_OPERATIONS) || 100,
+    // Modo cuando la petición no indica uno: "atomic" o "best-effort"
+    defaultMode: process.env.USER_BULK_DEFAULT_MODE || "atomic",
+  },
+  // Hash de contraseñas (modules/passwordHasher.js)
+  password: {
+    // "scrypt" (nativo de Node) o "bcrypt" (requiere bcryptjs)
+    algorithm: process.env.USER_PASSWORD_ALGORITHM || "scrypt",
+    // Rondas de bcrypt; la misma variable que usa modules/auth.js
+    bcryptRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12,
+    // Parámetros de coste de scrypt; al cambiarlos se rehashea al verificar
+    scrypt: {
+      N: parseInt(process.env.USER_SCRYPT_COST) || 16384,
+      r: parseInt(process.env.USER_SCRYPT_BLOCK_SIZE) || 8,
+      p: parseInt(process.env.USER_SCRYPT_PARALLELIZATION) || 1,
+      keyLength: 64,
+    },
+  },
+  // Importación y exportación (GET /api/users/export, POST /api/users/import)
+  transfer: {
+    // Máximo de filas aceptadas en un archivo de importación
+    maxImportRows: parseInt(process.env.USER_IMPORT_MAX_ROWS) || 10000,
+    // Usuarios leídos del repositorio por cada lote de la exportación
+    exportBatchSize: parseInt(process.env.USER_EXPORT_BATCH_SIZE) || 500,
+  },
+  // Estadísticas (GET /api/users/stats)
+  stats: {
+    // Días del rango cuando la consulta no indica from
+    defaultRangeDays: parseInt(process.env.USER_STATS_DEFAULT_RANGE_DAYS) || 30,
+    // Máximo de periodos (días, semanas o meses) de una serie
+    maxPeriods: parseInt(process.env.USER_STATS_MAX_PERIODS) || 366,
+    // Dominios de email incluidos en el desglose
+    topDomains: parseInt(process.env.USER_STATS_TOP_DOMAINS) || 10,
+    // Periodos posteriores al alta evaluados en cada cohorte de retención
+    retentionPeriods: parseInt(process.env.USER_STATS_RETENTION_PERIODS) || 12,
+    // Segundos que se guardan en caché (CacheManager.remember) los resultados
+    cacheTtl: parseInt(process.env.USER_STATS_CACHE_TTL) || 300,
+  },
+  // Expansiones de ?expand= en los endpoints de lectura de usuarios
+  expand: {
+    // Cambios del historial incluidos con expand=history
+    historyLimit: parseInt(process.env.USER_EXPAND_HISTORY_LIMIT) || 5,
+  },
+  // Cabecera Idempotency-Key en las rutas POST de usuarios y emails
+  idempotency: {
+    // "memory" (un solo proceso) o "cache" (Redis a través de CacheManager)
+    storage: process.env.USER_IDEMPOTENCY_STORAGE || "memory",
+    // Segundos que se guarda la primera respuesta de cada clave
+    ttl: parseInt(process.env.USER_IDEMPOTENCY_TTL) || 86400,
+    // Segundos que una petición en curso mantiene reservada su clave
+    lockTtl: parseInt(process.env.USER_IDEMPOTENCY_LOCK_TTL) || 60,
+  },
+  // Cambio de email verificado (PUT/PATCH /api/users/:id con un email nuevo)
+  emailChange: {
+    // Secreto con el que se firman los enlaces de confirmación y reversión
+    secret:
+      process.env.USER_EMAIL_CHANGE_SECRET ||
+      process.env.JWT_ACCESS_SECRET ||
+      "default-email-change-secret",
+    // Horas que el nuevo email queda pendiente de confirmar
+    ttlHours: parseInt(process.env.USER_EMAIL_CHANGE_TTL_HOURS) || 24,
+    // Días durante los que el email anterior puede revertir el cambio
+    revertTtlDays: parseInt(process.env.USER_EMAIL_CHANGE_REVERT_DAYS) || 7,
+  },
+  // Enlace de verificación del email enviado al registrarse (auth.verifyEmail)
+  emailVerification: {
+    secret:
+      process.env.USER_EMAIL_VERIFICATION_SECRET ||
+      process.env.JWT_ACCESS_SECRET ||
+      "default-email-verification-secret",
+    // Horas de validez del enlace
+    ttlHours: parseInt(process.env.USER_EMAIL_VERIFICATION_TTL_HOURS) || 24,
+  },
+  // Invitaciones de administradores (/api/invitations)
+  invitations: {
+    // Secreto con el que se firman los enlaces de invitación
+    secret:
+      process.env.USER_INVITATION_SECRET ||
+      process.env.JWT_ACCESS_SECRET ||
+      "default-invitation-secret",
+    // Horas de validez del enlace (cada reenvío genera uno nuevo)
+    ttlHours: parseInt(process.env.USER_INVITATION_TTL_HOURS) || 72,
+    // Roles que un administrador puede asignar al invitar, separados por comas
+    roles: (process.env.USER_INVITATION_ROLES || "user,editor")
+      .split(",")
+      .map((role) => role.trim())
+      .filter(Boolean),
+  },
+  // Bus de eventos de dominio (modules/eventBus.js)
+  events: {
+    // Reintentos de un listener que falla antes de descartar el evento
+    retries: parseInt(process.env.USER_EVENT_RETRIES) || 2,
+    // Milisegundos de espera base entre reintentos (se multiplica por el intento)
+    retryDelayMs: parseInt(process.env.USER_EVENT_RETRY_DELAY_MS) || 1000,
+  },
+  // Webhooks salientes (/api/webhooks)
+  webhooks: {
+    // Intentos de cada entrega (el primero incluido) antes de darla por fallida
+    maxAttempts: parseInt(process.env.USER_WEBHOOK_MAX_ATTEMPTS) || 5,
+    // Milisegundos de espera antes del primer reintento
+    retryDelayMs: parseInt(process.env.USER_WEBHOOK_RETRY_DELAY_MS) || 1000,
+    // "exponential" (se duplica en cada reintento) o "linear", como EMAIL_RETRY_BACKOFF
+    backoff: process.env.USER_WEBHOOK_RETRY_BACKOFF || "exponential",
+    // Milisegundos que se espera la respuesta del receptor
+    timeoutMs: parseInt(process.env.USER_WEBHOOK_TIMEOUT_MS) || 10000,
+    // Entregas fallidas seguidas tras las que el webhook se desactiva
+    disableAfterFailures:
+      parseInt(process.env.USER_WEBHOOK_DISABLE_AFTER) || 10,
+    // Entregas guardadas por webhook en el registro
+    deliveryLogLimit:
+      parseInt(process.env.USER_WEBHOOK_DELIVERY_LOG_LIMIT) || 100,
+    // Admitir URLs de localhost, loopback, link-local y redes privadas. Solo
+    // para desarrollo y tests: en producción permitiría peticiones a la red
+    // interna (SSRF)
+    allowPrivateUrls: process.env.USER_WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+  },
+  // Multi-tenencia: varios clientes con usuarios aislados en un despliegue
+  tenancy: {
+    // Resolver un tenant en cada petición; si no, todos comparten los datos
+    enabled: process.env.USER_TENANCY_ENABLED === "true",
+    // Fuentes del tenant: "header", "subdomain" y/o "jwt"; si varias lo
+    // indican deben coincidir
+    sources: (process.env.USER_TENANT_SOURCES || "header,subdomain,jwt")
+      .split(",")
+      .map((source) => source.trim())
+      .filter(Boolean),
+    // Cabecera con el ID del tenant
+    header: process.env.USER_TENANT_HEADER || "X-Tenant-ID",
+    // Dominio base de los subdominios (acme.example.com -> acme); sin él no
+    // se leen subdominios
+    baseDomain: process.env.USER_TENANT_BASE_DOMAIN || "",
+    // Claim del JWT (req.user, ver modules/auth.js) con el ID del tenant
+    jwtClaim: process.env.USER_TENANT_JWT_CLAIM || "tenantId",
+    // Tenants admitidos y su configuración, en JSON:
+    // {"acme": {"companyName": "Acme S.L.", "fromName": "Equipo Acme"}}
+    tenants: JSON.parse(process.env.USER_TENANTS || "{}"),
+  },
+  // Registro estructurado en JSON (modules/logger.js)
+  logging: {
+    // Nivel mínimo: "error", "warn", "info" o "debug"; "silent" no registra nada
+    level: process.env.USER_LOG_LEVEL || "info",
+    // Registrar cada petición con su estado, duración y tamaño de la respuesta
+    accessLog: process.env.USER_ACCESS_LOG !== "false",
+    // Claves adicionales cuyo valor se oculta, separadas por comas (además de
+    // contraseñas, tokens, secretos y cabeceras de credenciales)
+    redactKeys: (process.env.USER_LOG_REDACT_KEYS || "")
+      .split(",")
+      .map((key) => key.trim().toLowerCase().replace(/[-_]/g, ""))
+      .filter(Boolean),
+  },
+  // Idioma de los mensajes de la API (modules/i18n.js, catálogos en locales/)
+  i18n: {
+    // Idioma sin preferencia del usuario ni Accept-Language compatible: "es" o "en"
+    defaultLocale: process.env.USER_DEFAULT_LOCALE || "es",
+  },
+  // Respuestas de error (modules/errors.js)
+  errors: {
+    // Formato cuando la petición no elige uno con Accept: "envelope" (el
+    // anterior, { success, message, error }) o "problem" (RFC 7807)
+    format: process.env.USER_ERROR_FORMAT || "envelope",
+    // Prefijo de los type de application/problem+json (URI absoluta o relativa)
+    typeBaseUrl: process.env.USER_PROBLEM_TYPE_BASE_URL || "/problems/",
+  },
+  // Sanitización del cuerpo y la query de las peticiones (modules/sanitizer.js);
+  // algunas rutas la ajustan (SANITIZATION_ROUTES en middleware/validation.js)
+  sanitization: {
+    // HTML en los textos: "strip" (eliminarlo), "escape", "reject" (400) o "allow"
+    html: process.env.USER_SANITIZE_HTML || "strip",
+    // Forma de normalización Unicode ("NFC", "NFKC"...); "false" la desactiva
+    normalize:
+      process.env.USER_SANITIZE_NORMALIZE === "false"
+        ? false
+        : process.env.USER_SANITIZE_NORMALIZE || "NFC",
+    // Eliminar caracteres de control e invisibles de dirección del texto
+    stripControl: process.env.USER_SANITIZE_CONTROL_CHARS !== "false",
+    // Recortar los espacios al principio y al final de los textos
+    trim: true,
+    // Niveles de anidación de objetos y arrays admitidos
+    maxDepth: parseInt(process.env.USER_SANITIZE_MAX_DEPTH) || 10,
+    // Claves admitidas en cada objeto
+    maxKeys: parseInt(process.env.USER_SANITIZE_MAX_KEYS) || 100,
+    // Caracteres admitidos en cada texto
+    maxStringLength:
+      parseInt(process.env.USER_SANITIZE_MAX_STRING_LENGTH) || 10000,
+    // Elementos admitidos en cada array
+    maxArrayLength:
+      parseInt(process.env.USER_SANITIZE_MAX_ARRAY_LENGTH) || 1000,
+  },
+};
+
+module.exports = {
+  userConfig,
+};
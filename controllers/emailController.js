@@ -1,5 +1,16 @@
 const { getEmailService } = require("../services/emailService");
 const { emailConfig } = require("../config/emailConfig");
+const { userRepository } = require("../models/User");
+const { groupRepository, GROUP_ROLES } = require("../models/Group");
+const GroupService = require("../services/groupService");
+const { GroupError } = require("../services/groupService");
+const { getTenantBranding } = require("../modules/tenancy");
+const { t } = require("../modules/i18n");
+const {
+  ValidationError,
+  ConflictError,
+  sendError,
+} = require("../modules/errors");
 
 class EmailController {
   /**
@@ -58,25 +69,39 @@ class EmailController {
       const { userEmail, userData } = req.body;
 
       if (!userEmail || !userData) {
-        return res.status(400).json({
-          success: false,
-          message: "userEmail y userData son requeridos",
-        });
+        return sendError(
+          req,
+          res,
+          new ValidationError(t("emails.welcomeDataRequired"))
+        );
+      }
+
+      if (
+        await EmailController._rejectBlockedRecipients(
+          req,
+          res,
+          userEmail,
+          "transactional"
+        )
+      ) {
+        return;
       }
 
       const emailService = await getEmailService();
-      const result = await emailService.sendWelcomeEmail(userEmail, userData);
+      const result = await emailService.sendWelcomeEmail(
+        userEmail,
+        EmailController._branded(req, userData)
+      );
 
       res.status(200).json({
         success: true,
-        message: "Email de bienvenida enviado exitosamente",
+        message: t("emails.welcomeSent"),
         data: result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al enviar email de bienvenida",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.welcomeFailed"),
       });
     }
   }
@@ -135,28 +160,39 @@ class EmailController {
       const { userEmail, resetData } = req.body;
 
       if (!userEmail || !resetData) {
-        return res.status(400).json({
-          success: false,
-          message: "userEmail y resetData son requeridos",
-        });
+        return sendError(
+          req,
+          res,
+          new ValidationError(t("emails.resetDataRequired"))
+        );
+      }
+
+      if (
+        await EmailController._rejectBlockedRecipients(
+          req,
+          res,
+          userEmail,
+          "transactional"
+        )
+      ) {
+        return;
       }
 
       const emailService = await getEmailService();
       const result = await emailService.sendPasswordResetEmail(
         userEmail,
-        resetData
+        EmailController._branded(req, resetData)
       );
 
       res.status(200).json({
         success: true,
-        message: "Email de recuperación enviado exitosamente",
+        message: t("emails.resetSent"),
         data: result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al enviar email de recuperación",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.resetFailed"),
       });
     }
   }
@@ -213,28 +249,39 @@ class EmailController {
       const { userEmail, verificationData } = req.body;
 
       if (!userEmail || !verificationData) {
-        return res.status(400).json({
-          success: false,
-          message: "userEmail y verificationData son requeridos",
-        });
+        return sendError(
+          req,
+          res,
+          new ValidationError(t("emails.verificationDataRequired"))
+        );
+      }
+
+      if (
+        await EmailController._rejectBlockedRecipients(
+          req,
+          res,
+          userEmail,
+          "transactional"
+        )
+      ) {
+        return;
       }
 
       const emailService = await getEmailService();
       const result = await emailService.sendVerificationEmail(
         userEmail,
-        verificationData
+        EmailController._branded(req, verificationData)
       );
 
       res.status(200).json({
         success: true,
-        message: "Email de verificación enviado exitosamente",
+        message: t("emails.verificationSent"),
         data: result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al enviar email de verificación",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.verificationFailed"),
       });
     }
   }
@@ -245,10 +292,19 @@ class EmailController {
    * Esta función envía emails de notificación personalizados para diversos
    * eventos del sistema. Es flexible y permite diferentes tipos de notificaciones
    * (info, success, warning, error) con contenido completamente personalizable.
+   * Si el destinatario es un usuario registrado, solo se envía a cuentas
+   * activas (responde 409 a suspendidas, bloqueadas, pendientes o de baja).
+   *
+   * Con groupId en lugar de userEmail se envía una notificación a cada
+   * miembro del grupo (opcionalmente solo a los roles indicados), con su
+   * nombre como userName. Los miembros cuya cuenta no está activa se omiten
+   * y se informan en data.skipped.
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.body - Cuerpo de la solicitud
-   * @param {string} req.body.userEmail - Dirección de email del destinatario
+   * @param {string} [req.body.userEmail] - Dirección de email del destinatario
+   * @param {string} [req.body.groupId] - ID del grupo destinatario (en lugar de userEmail)
+   * @param {string[]} [req.body.roles] - Roles del grupo que reciben la notificación (todos por defecto)
    * @param {Object} req.body.notificationData - Datos de la notificación
    * @param {string} req.body.notificationData.userName - Nombre del destinatario
    * @param {string} req.body.notificationData.title - Título de la notificación
@@ -284,37 +340,67 @@ class EmailController {
    *   }
    * }
    *
+   * // Notificación a los responsables de un grupo
+   * {
+   *   "groupId": "5b0e6a0c-3f7e-4c5a-9a43-1f0f3c2d8e77",
+   *   "roles": ["owner", "manager"],
+   *   "notificationData": {
+   *     "title": "Revisión trimestral",
+   *     "message": "La revisión del equipo es el próximo lunes."
+   *   }
+   * }
+   *
    * @since 1.0.0
    * @author Sistema CRUD
    * @version 1.0.0
    */
   static async sendNotificationEmail(req, res) {
     try {
-      const { userEmail, notificationData } = req.body;
+      const { userEmail, groupId, roles, notificationData } = req.body;
+
+      if ((!userEmail && !groupId) || !notificationData) {
+        return sendError(
+          req,
+          res,
+          new ValidationError(t("emails.notificationDataRequired"))
+        );
+      }
 
-      if (!userEmail || !notificationData) {
-        return res.status(400).json({
-          success: false,
-          message: "userEmail y notificationData son requeridos",
-        });
+      if (groupId) {
+        return await EmailController._sendGroupNotification(
+          req,
+          res,
+          { groupId, roles },
+          notificationData
+        );
+      }
+
+      if (
+        await EmailController._rejectBlockedRecipients(
+          req,
+          res,
+          userEmail,
+          "marketing"
+        )
+      ) {
+        return;
       }
 
       const emailService = await getEmailService();
       const result = await emailService.sendNotificationEmail(
         userEmail,
-        notificationData
+        EmailController._branded(req, notificationData)
       );
 
       res.status(200).json({
         success: true,
-        message: "Notificación enviada exitosamente",
+        message: t("emails.notificationSent"),
         data: result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al enviar notificación",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.notificationFailed"),
       });
     }
   }
@@ -324,7 +410,8 @@ class EmailController {
    *
    * Esta función permite enviar emails con contenido totalmente personalizado,
    * incluyendo plantillas, HTML puro, texto plano, datos dinámicos y archivos
-   * adjuntos. Es la opción más flexible para casos de uso específicos.
+   * adjuntos. Es la opción más flexible para casos de uso específicos. Igual
+   * que las notificaciones, solo llega a usuarios registrados si están activos.
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.body - Cuerpo de la solicitud
@@ -389,41 +476,55 @@ class EmailController {
         req.body;
 
       if (!to || !subject) {
-        return res.status(400).json({
-          success: false,
-          message: 'Los campos "to" y "subject" son requeridos',
-        });
+        return sendError(
+          req,
+          res,
+          new ValidationError(t("emails.customFieldsRequired"))
+        );
       }
 
       if (!template && !html && !text) {
-        return res.status(400).json({
-          success: false,
-          message: "Debe proporcionar template, html o text",
-        });
+        return sendError(
+          req,
+          res,
+          new ValidationError(t("emails.customContentRequired"))
+        );
+      }
+
+      if (
+        await EmailController._rejectBlockedRecipients(
+          req,
+          res,
+          to,
+          "marketing"
+        )
+      ) {
+        return;
       }
 
       const emailService = await getEmailService();
-      const result = await emailService.queueEmail({
-        to,
-        subject,
-        template,
-        data,
-        html,
-        text,
-        attachments,
-        priority,
-      });
+      const result = await emailService.queueEmail(
+        EmailController._branded(req, {
+          to,
+          subject,
+          template,
+          data,
+          html,
+          text,
+          attachments,
+          priority,
+        })
+      );
 
       res.status(200).json({
         success: true,
-        message: "Email enviado exitosamente",
+        message: t("emails.customSent"),
         data: result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al enviar email personalizado",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.customFailed"),
       });
     }
   }
@@ -480,14 +581,13 @@ class EmailController {
 
       res.status(200).json({
         success: true,
-        message: "Estadísticas obtenidas exitosamente",
+        message: t("emails.statsRetrieved"),
         data: stats,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al obtener estadísticas",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.statsFailed"),
       });
     }
   }
@@ -544,14 +644,13 @@ class EmailController {
 
       res.status(200).json({
         success: true,
-        message: "Configuración obtenida exitosamente",
+        message: t("emails.configRetrieved"),
         data: config,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al obtener configuración",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.configFailed"),
       });
     }
   }
@@ -599,10 +698,11 @@ class EmailController {
       const { to } = req.body;
 
       if (!to) {
-        return res.status(400).json({
-          success: false,
-          message: 'El campo "to" es requerido',
-        });
+        return sendError(
+          req,
+          res,
+          new ValidationError('El campo "to" es requerido')
+        );
       }
 
       const emailService = await getEmailService();
@@ -624,14 +724,13 @@ class EmailController {
 
       res.status(200).json({
         success: true,
-        message: "Email de prueba enviado exitosamente",
+        message: t("emails.testSent"),
         data: result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al enviar email de prueba",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.testFailed"),
       });
     }
   }
@@ -683,20 +782,194 @@ class EmailController {
 
       res.status(200).json({
         success: true,
-        message: "Templates obtenidos exitosamente",
+        message: t("emails.templatesRetrieved"),
         data: {
           templates,
           count: templates.length,
         },
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al obtener templates",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("emails.templatesFailed"),
       });
     }
   }
+
+  /**
+   * Enviar una notificación a cada miembro de un grupo
+   *
+   * Cada miembro la recibe con su nombre como userName. Se omiten los
+   * miembros cuya cuenta no puede recibir notificaciones y los envíos que
+   * fallan no detienen al resto; ambos se informan en la respuesta.
+   *
+   * @param {Object} req - Objeto de solicitud Express (con req.tenant si hay multi-tenencia)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Object} target - Destinatarios
+   * @param {string} target.groupId - ID del grupo
+   * @param {string[]} [target.roles] - Roles que reciben la notificación (todos por defecto)
+   * @param {Object} notificationData - Datos de la notificación
+   * @returns {Promise<void>} Responde 200 con el resultado por miembro, 400 o 404
+   * @private
+   */
+  static async _sendGroupNotification(
+    req,
+    res,
+    { groupId, roles },
+    notificationData
+  ) {
+    if (
+      roles !== undefined &&
+      (!Array.isArray(roles) ||
+        roles.length === 0 ||
+        roles.some((role) => !GROUP_ROLES.includes(role)))
+    ) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(
+          t("emails.groupRolesInvalid", { roles: GROUP_ROLES.join(", ") })
+        )
+      );
+    }
+
+    let members;
+    try {
+      members = await new GroupService(
+        EmailController._groupRepository(req),
+        EmailController._repository(req)
+      ).listMembers(groupId, { roles });
+    } catch (error) {
+      if (error instanceof GroupError) {
+        return sendError(req, res, error);
+      }
+      throw error;
+    }
+
+    const emailService = await getEmailService();
+    const sent = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const { user } of members) {
+      if (!user.canReceiveEmail("marketing")) {
+        skipped.push({
+          userId: user.id,
+          email: user.email,
+          reason: t("emails.accountStatus", { status: user.status }),
+        });
+        continue;
+      }
+
+      try {
+        const result = await emailService.sendNotificationEmail(
+          user.email,
+          EmailController._branded(req, {
+            ...notificationData,
+            userName: user.name,
+          })
+        );
+        sent.push({ userId: user.id, email: user.email, result });
+      } catch (error) {
+        failed.push({
+          userId: user.id,
+          email: user.email,
+          error: error.message,
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: t("emails.groupNotificationSent"),
+      data: { groupId, sent, skipped, failed },
+    });
+  }
+
+  /**
+   * Responder 409 si algún destinatario es un usuario que no admite la categoría de email
+   *
+   * Las notificaciones y los emails personalizados (marketing) solo llegan a
+   * cuentas activas; los transaccionales a cualquier cuenta que no esté dada
+   * de baja (User#canReceiveEmail). Las direcciones que no pertenecen a
+   * ningún usuario no se restringen.
+   *
+   * @param {Object} req - Objeto de solicitud Express (con req.tenant si hay multi-tenencia)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {string|string[]} recipients - Destinatario o lista de destinatarios
+   * @param {string} category - "transactional" o "marketing"
+   * @returns {Promise<boolean>} true si se respondió 409 y no debe enviarse el email
+   * @private
+   */
+  static async _rejectBlockedRecipients(req, res, recipients, category) {
+    for (const recipient of [].concat(recipients)) {
+      const user =
+        typeof recipient === "string" &&
+        (await EmailController._repository(req).findByEmail(
+          recipient.toLowerCase().trim()
+        ));
+
+      if (user && !user.canReceiveEmail(category)) {
+        sendError(
+          req,
+          res,
+          new ConflictError(t("emails.recipientUnavailable"), {
+            type: "recipient-unavailable",
+            detail: t("emails.recipientStatus", {
+              email: user.email,
+              status: user.status,
+            }),
+          })
+        );
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Datos de un email con la marca del tenant de la petición
+   *
+   * La marca solo la fija el servidor: se descarta la que venga en el cuerpo.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} data - Datos para EmailService (send* o queueEmail)
+   * @returns {Object} Copia de data con branding si el tenant tiene marca
+   * @private
+   */
+  static _branded(req, data) {
+    const { branding: _ignored, ...rest } = data;
+    const branding = getTenantBranding(req.tenant);
+
+    return branding ? { ...rest, branding } : rest;
+  }
+
+  /**
+   * Repositorio de usuarios de la petición (limitado a req.tenant si lo hay)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @returns {UserRepository|DatabaseUserRepository} Repositorio a usar
+   * @private
+   */
+  static _repository(req) {
+    return req.tenant
+      ? userRepository.forTenant(req.tenant.id)
+      : userRepository;
+  }
+
+  /**
+   * Repositorio de grupos de la petición (limitado a req.tenant si lo hay)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @returns {GroupRepository|DatabaseGroupRepository} Repositorio a usar
+   * @private
+   */
+  static _groupRepository(req) {
+    return req.tenant
+      ? groupRepository.forTenant(req.tenant.id)
+      : groupRepository;
+  }
 }
 
 module.exports = EmailController;
@@ -0,0 +1,367 @@
+const { groupRepository } = require("../models/Group");
+const { userRepository } = require("../models/User");
+const GroupService = require("../services/groupService");
+const { GroupError } = require("../services/groupService");
+const { sendError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/**
+ * Controlador de grupos (equipos) de usuarios y de sus miembros
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class GroupController {
+  /**
+   * Listar los grupos con su número de miembros
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con los grupos ordenados por nombre
+   */
+  static async list(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.listFailed"),
+      async () => {
+        const groups = await GroupController._service(req).list();
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.listed"),
+          data: groups.map(({ group, memberCount }) => ({
+            ...group.toJSON(),
+            memberCount,
+          })),
+          count: groups.length,
+        });
+      }
+    );
+  }
+
+  /**
+   * Crear un grupo
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - name y description (validados por validateGroup)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 201 con el grupo o 409 si el nombre ya existe
+   *
+   * @example
+   * // POST /api/groups
+   * { "name": "Ventas", "description": "Equipo comercial" }
+   */
+  static async create(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.createFailed"),
+      async () => {
+        const group = await GroupController._service(req).create(req.body);
+
+        res.status(201).json({
+          success: true,
+          message: t("groups.created"),
+          data: { ...group.toJSON(), memberCount: 0 },
+        });
+      }
+    );
+  }
+
+  /**
+   * Obtener un grupo con su número de miembros
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con el grupo o 404
+   */
+  static async getById(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.retrieveFailed"),
+      async () => {
+        const service = GroupController._service(req);
+        const group = await service.get(req.params.id);
+        const members = await service.listMembers(group.id);
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.retrieved"),
+          data: { ...group.toJSON(), memberCount: members.length },
+        });
+      }
+    );
+  }
+
+  /**
+   * Modificar el nombre y/o la descripción de un grupo
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - name y/o description (validados por validateGroupUpdate)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con el grupo, 404 o 409
+   */
+  static async update(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.updateFailed"),
+      async () => {
+        const changes = {};
+        for (const field of ["name", "description"]) {
+          if (req.body[field] !== undefined) {
+            changes[field] = req.body[field];
+          }
+        }
+
+        const group = await GroupController._service(req).update(
+          req.params.id,
+          changes
+        );
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.updated"),
+          data: group.toJSON(),
+        });
+      }
+    );
+  }
+
+  /**
+   * Eliminar un grupo y sus pertenencias
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 o 404
+   */
+  static async remove(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.deleteFailed"),
+      async () => {
+        await GroupController._service(req).remove(req.params.id);
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.deleted"),
+        });
+      }
+    );
+  }
+
+  /**
+   * Listar los miembros de un grupo por orden de alta
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {string} [req.query.role] - Filtrar por rol (validado por validateGroupMemberQuery)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con los miembros o 404
+   */
+  static async listMembers(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.membersFailed"),
+      async () => {
+        const { role } = req.query;
+        const members = await GroupController._service(req).listMembers(
+          req.params.id,
+          { roles: role ? [role] : undefined }
+        );
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.membersListed"),
+          data: members.map(GroupController._memberJSON),
+          count: members.length,
+        });
+      }
+    );
+  }
+
+  /**
+   * Añadir un usuario a un grupo
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - userId y role (validados por validateGroupMember)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 201 con el miembro, 404 o 409 si ya es miembro
+   *
+   * @example
+   * // POST /api/groups/:id/members
+   * { "userId": "123e4567-e89b-12d3-a456-426614174000", "role": "manager" }
+   */
+  static async addMember(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.memberAddFailed"),
+      async () => {
+        const member = await GroupController._service(req).addMember(
+          req.params.id,
+          req.body.userId,
+          req.body.role
+        );
+
+        res.status(201).json({
+          success: true,
+          message: t("groups.memberAdded"),
+          data: GroupController._memberJSON(member),
+        });
+      }
+    );
+  }
+
+  /**
+   * Cambiar el rol de un miembro
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - role (validado por validateGroupMember)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la pertenencia o 404
+   */
+  static async updateMember(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.memberUpdateFailed"),
+      async () => {
+        const membership = await GroupController._service(req).updateMember(
+          req.params.id,
+          req.params.userId,
+          req.body.role
+        );
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.memberUpdated"),
+          data: membership.toJSON(),
+        });
+      }
+    );
+  }
+
+  /**
+   * Quitar un usuario de un grupo
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 o 404
+   */
+  static async removeMember(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.memberRemoveFailed"),
+      async () => {
+        await GroupController._service(req).removeMember(
+          req.params.id,
+          req.params.userId
+        );
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.memberRemoved"),
+        });
+      }
+    );
+  }
+
+  /**
+   * Listar los grupos de un usuario con su rol en cada uno
+   *
+   * GET /api/users/:id/groups
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con los grupos o 404 si el usuario no existe
+   */
+  static async listUserGroups(req, res) {
+    await GroupController._handle(
+      req,
+      res,
+      t("groups.userGroupsFailed"),
+      async () => {
+        const groups = await GroupController._service(req).listUserGroups(
+          req.params.id
+        );
+
+        res.status(200).json({
+          success: true,
+          message: t("groups.userGroupsListed"),
+          data: groups.map(({ group, membership }) => ({
+            ...group.toJSON(),
+            role: membership.role,
+            joinedAt: membership.joinedAt,
+          })),
+          count: groups.length,
+        });
+      }
+    );
+  }
+
+  /**
+   * Servicio de grupos sobre los repositorios de la petición
+   *
+   * Con multi-tenencia (req.tenant) los grupos y los usuarios son los del
+   * tenant: un usuario de otro tenant no existe (404).
+   *
+   * @private
+   */
+  static _service(req) {
+    if (!req.tenant) {
+      return new GroupService(groupRepository, userRepository);
+    }
+
+    return new GroupService(
+      groupRepository.forTenant(req.tenant.id),
+      userRepository.forTenant(req.tenant.id)
+    );
+  }
+
+  /**
+   * Representación pública de un miembro: datos básicos del usuario y su rol
+   *
+   * @private
+   */
+  static _memberJSON({ user, membership }) {
+    return {
+      userId: user.id,
+      name: user.name,
+      email: user.email,
+      status: user.status,
+      role: membership.role,
+      joinedAt: membership.joinedAt,
+    };
+  }
+
+  /**
+   * Ejecutar una acción y responder los errores con el status de GroupError
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {string} message - Mensaje de la respuesta de error
+   * @param {Function} action - async () => void
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _handle(req, res, message, action) {
+    try {
+      await action();
+    } catch (error) {
+      if (error instanceof GroupError) {
+        return sendError(req, res, error);
+      }
+
+      sendError(req, res, error, { status: 500, message });
+    }
+  }
+}
+
+module.exports = GroupController;
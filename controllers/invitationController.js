@@ -0,0 +1,250 @@
+const {
+  userRepository,
+  VersionConflictError,
+  StatusTransitionError,
+} = require("../models/User");
+const { ANONYMOUS_ACTOR } = require("../models/AuditLog");
+const UserInvitationService = require("../services/userInvitationService");
+const { InvitationError } = require("../services/userInvitationService");
+const { sendError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/**
+ * Controlador de invitaciones de usuarios
+ *
+ * Los administradores invitan, reenvían y revocan invitaciones; el invitado
+ * las acepta con el enlace recibido por email (ver UserInvitationService).
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class InvitationController {
+  /**
+   * Listar las invitaciones pendientes, incluidas las caducadas
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con las invitaciones por orden de envío
+   */
+  static async list(req, res) {
+    await InvitationController._handle(
+      req,
+      res,
+      t("invitations.listFailed"),
+      async () => {
+        const service = InvitationController._service(req);
+        const users = await service.list();
+
+        res.status(200).json({
+          success: true,
+          message: t("invitations.listed"),
+          data: users.map((user) =>
+            InvitationController._invitationJSON(service, user)
+          ),
+          count: users.length,
+        });
+      }
+    );
+  }
+
+  /**
+   * Invitar a un usuario y enviarle el enlace por email
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - name, email, role y profile (validados por validateInvitation)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 201 con la invitación o 409 si el email ya está registrado
+   *
+   * @example
+   * // POST /api/invitations
+   * { "name": "Lucía Martín", "email": "lucia@example.com", "role": "editor" }
+   */
+  static async create(req, res) {
+    await InvitationController._handle(
+      req,
+      res,
+      t("invitations.createFailed"),
+      async () => {
+        const { name, email, role, profile } = req.body;
+        const service = InvitationController._service(req);
+        const { user } = await service.invite(
+          { name, email, role, profile },
+          { context: InvitationController._auditContext(req) }
+        );
+
+        res.status(201).json({
+          success: true,
+          message: t("invitations.sent"),
+          data: InvitationController._invitationJSON(service, user),
+        });
+      }
+    );
+  }
+
+  /**
+   * Reenviar una invitación con un enlace nuevo (los anteriores dejan de servir)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la invitación, 404 o 409 si ya se aceptó
+   */
+  static async resend(req, res) {
+    await InvitationController._handle(
+      req,
+      res,
+      t("invitations.resendFailed"),
+      async () => {
+        const service = InvitationController._service(req);
+        const { user } = await service.resend(req.params.id, {
+          context: InvitationController._auditContext(req),
+        });
+
+        res.status(200).json({
+          success: true,
+          message: t("invitations.resent"),
+          data: InvitationController._invitationJSON(service, user),
+        });
+      }
+    );
+  }
+
+  /**
+   * Revocar una invitación pendiente (borra el usuario invitado)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200, 404 o 409 si ya se aceptó
+   */
+  static async revoke(req, res) {
+    await InvitationController._handle(
+      req,
+      res,
+      t("invitations.revokeFailed"),
+      async () => {
+        await InvitationController._service(req).revoke(req.params.id, {
+          context: InvitationController._auditContext(req),
+        });
+
+        res.status(200).json({
+          success: true,
+          message: t("invitations.revoked"),
+        });
+      }
+    );
+  }
+
+  /**
+   * Aceptar una invitación eligiendo la contraseña de la cuenta
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - token y password (validados por validateInvitationAccept)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con el usuario activado; 400, 404,
+   * 409 o 410 según InvitationError
+   *
+   * @example
+   * // POST /api/invitations/accept
+   * { "token": "eyJzdWIiOi...Qm9f", "password": "miContraseña123" }
+   */
+  static async accept(req, res) {
+    await InvitationController._handle(
+      req,
+      res,
+      t("invitations.acceptFailed"),
+      async () => {
+        const user = await InvitationController._service(req).accept(
+          req.body.token,
+          req.body.password,
+          { context: InvitationController._auditContext(req) }
+        );
+
+        res.set("ETag", user.getETag());
+        res.status(200).json({
+          success: true,
+          message: t("invitations.accepted"),
+          data: user.toJSON(),
+        });
+      }
+    );
+  }
+
+  /**
+   * Servicio de invitaciones sobre el repositorio de la petición
+   *
+   * Con multi-tenencia (req.tenant) las invitaciones son las del tenant.
+   *
+   * @private
+   */
+  static _service(req) {
+    return new UserInvitationService(
+      req.tenant ? userRepository.forTenant(req.tenant.id) : userRepository
+    );
+  }
+
+  /**
+   * Contexto de auditoría de una petición (ver UserController._auditContext)
+   *
+   * @private
+   */
+  static _auditContext(req) {
+    return {
+      actor: req.user
+        ? String(req.user.email || req.user.userId)
+        : ANONYMOUS_ACTOR,
+      requestId: req.requestId,
+    };
+  }
+
+  /**
+   * Representación pública de una invitación pendiente
+   *
+   * @private
+   */
+  static _invitationJSON(service, user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      invitedAt: user.createdAt,
+      expiresAt: user.invitationExpiresAt,
+      expired: service.isExpired(user),
+    };
+  }
+
+  /**
+   * Ejecutar una acción y responder los errores con su código HTTP
+   *
+   * InvitationError lleva el suyo; aceptar una invitación que otra petición
+   * está aceptando responde 409 y los datos inválidos (p. ej. la contraseña
+   * o el perfil) 400.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {string} message - Mensaje de la respuesta de error
+   * @param {Function} action - async () => void
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _handle(req, res, message, action) {
+    try {
+      await action();
+    } catch (error) {
+      if (error instanceof InvitationError) {
+        return sendError(req, res, error);
+      }
+
+      const status =
+        error instanceof VersionConflictError ||
+        error instanceof StatusTransitionError
+          ? 409
+          : 400;
+
+      sendError(req, res, error, { status, message });
+    }
+  }
+}
+
+module.exports = InvitationController;
@@ -0,0 +1,205 @@
+const { userRepository } = require("../models/User");
+const { ATTRIBUTE_UPDATE_FIELDS } = require("../models/UserAttribute");
+const UserAttributeService = require("../services/userAttributeService");
+const { UserAttributeError } = require("../services/userAttributeService");
+const { sendError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/**
+ * Controlador de las definiciones de atributos de perfil de usuario
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class UserAttributeController {
+  /**
+   * Listar las definiciones ordenadas por clave
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con las definiciones
+   */
+  static async list(req, res) {
+    await UserAttributeController._handle(
+      req,
+      res,
+      t("attributes.listFailed"),
+      async () => {
+        const attributes = await UserAttributeController._service(req).list();
+
+        res.status(200).json({
+          success: true,
+          message: t("attributes.listed"),
+          data: attributes.map((attribute) => attribute.toJSON()),
+          count: attributes.length,
+        });
+      }
+    );
+  }
+
+  /**
+   * Definir un atributo de perfil
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - Definición (validada por validateUserAttribute)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 201 con la definición o 409 si la clave ya existe
+   *
+   * @example
+   * // POST /api/user-attributes
+   * { "key": "department", "type": "string", "required": true, "enum": ["Ventas", "Soporte"] }
+   */
+  static async create(req, res) {
+    await UserAttributeController._handle(
+      req,
+      res,
+      t("attributes.createFailed"),
+      async () => {
+        const { key, type } = req.body;
+        const attribute = await UserAttributeController._service(req).create({
+          key,
+          type,
+          ...UserAttributeController._pickMutable(req.body),
+        });
+
+        res.status(201).json({
+          success: true,
+          message: t("attributes.created"),
+          data: attribute.toJSON(),
+        });
+      }
+    );
+  }
+
+  /**
+   * Obtener una definición
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la definición o 404
+   */
+  static async getByKey(req, res) {
+    await UserAttributeController._handle(
+      req,
+      res,
+      t("attributes.retrieveFailed"),
+      async () => {
+        const attribute = await UserAttributeController._service(req).get(
+          req.params.key
+        );
+
+        res.status(200).json({
+          success: true,
+          message: t("attributes.retrieved"),
+          data: attribute.toJSON(),
+        });
+      }
+    );
+  }
+
+  /**
+   * Modificar las restricciones de una definición (no la clave ni el tipo)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - Propiedades de ATTRIBUTE_UPDATE_FIELDS; null las elimina
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la definición, 400 o 404
+   */
+  static async update(req, res) {
+    await UserAttributeController._handle(
+      req,
+      res,
+      t("attributes.updateFailed"),
+      async () => {
+        const attribute = await UserAttributeController._service(req).update(
+          req.params.key,
+          UserAttributeController._pickMutable(req.body)
+        );
+
+        res.status(200).json({
+          success: true,
+          message: t("attributes.updated"),
+          data: attribute.toJSON(),
+        });
+      }
+    );
+  }
+
+  /**
+   * Eliminar una definición (los valores guardados en los perfiles se conservan)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 o 404
+   */
+  static async remove(req, res) {
+    await UserAttributeController._handle(
+      req,
+      res,
+      t("attributes.deleteFailed"),
+      async () => {
+        await UserAttributeController._service(req).remove(req.params.key);
+
+        res.status(200).json({
+          success: true,
+          message: t("attributes.deleted"),
+        });
+      }
+    );
+  }
+
+  /**
+   * Servicio de atributos sobre las definiciones del repositorio de usuarios
+   * (las del tenant de la petición, con multi-tenencia)
+   *
+   * @private
+   */
+  static _service(req) {
+    const repository = req.tenant
+      ? userRepository.forTenant(req.tenant.id)
+      : userRepository;
+    return new UserAttributeService(repository.attributes);
+  }
+
+  /**
+   * Tomar del cuerpo solo las propiedades modificables indicadas
+   *
+   * @private
+   */
+  static _pickMutable(body) {
+    const picked = {};
+    ATTRIBUTE_UPDATE_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) {
+        picked[field] = body[field];
+      }
+    });
+
+    return picked;
+  }
+
+  /**
+   * Ejecutar una acción y responder los errores con el status de UserAttributeError
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {string} message - Mensaje de la respuesta de error
+   * @param {Function} action - async () => void
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _handle(req, res, message, action) {
+    try {
+      await action();
+    } catch (error) {
+      if (error instanceof UserAttributeError) {
+        return sendError(req, res, error);
+      }
+
+      sendError(req, res, error, { status: 500, message });
+    }
+  }
+}
+
+module.exports = UserAttributeController;
@@ -1,22 +1,54 @@
-const { userRepository } = require("../models/User");
+const {
+  User,
+  userRepository,
+  VersionConflictError,
+  StatusTransitionError,
+} = require("../models/User");
+const { ANONYMOUS_ACTOR } = require("../models/AuditLog");
+const { validateProfile } = require("../models/UserAttribute");
 const { getEmailService } = require("../services/emailService");
+const UserBulkService = require("../services/userBulkService");
+const { WRITABLE_FIELDS } = require("../services/userBulkService");
+const UserTransferService = require("../services/userTransferService");
+const UserStatsService = require("../services/userStatsService");
+const UserEmailChangeService = require("../services/userEmailChangeService");
+const UserAttributeService = require("../services/userAttributeService");
+const { UserAttributeError } = require("../services/userAttributeService");
+const {
+  TRANSFER_FORMATS,
+  TransferFormatError,
+} = require("../services/userTransferService");
+const { userConfig } = require("../config/userConfig");
+const { getTenantBranding } = require("../modules/tenancy");
+const { logger } = require("../modules/logger");
+const { t } = require("../modules/i18n");
+const { ApiError, NotFoundError, sendError } = require("../modules/errors");
+const {
+  JsonPatchError,
+  isEqual,
+  applyJsonPatch,
+  applyMergePatch,
+} = require("../modules/jsonPatch");
+const {
+  buildPaginationMetadata,
+  encodeCursor,
+} = require("../modules/database/pagination");
 
 class UserController {
   /**
    * Crear un nuevo usuario en el sistema
    *
-   * Esta función crea un nuevo usuario validando los datos de entrada,
-   * verificando que el email no esté registrado previamente y enviando
-   * automáticamente un email de bienvenida si la configuración de email
-   * está disponible.
+   * Esta función crea un nuevo usuario validando los datos de entrada y
+   * verificando que el email no esté registrado previamente. El repositorio
+   * publica user.created y el listener de emails (EmailEventSubscriber)
+   * envía la bienvenida si la configuración de email está disponible.
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.body - Cuerpo de la solicitud
    * @param {string} req.body.name - Nombre completo del usuario (2-50 caracteres)
    * @param {string} req.body.email - Dirección de email válida y única
    * @param {string} req.body.password - Contraseña del usuario (6-100 caracteres)
-   * @param {string} req.ip - Dirección IP del cliente que realiza la solicitud
-   * @param {Function} req.get - Función para obtener headers HTTP
+   * @param {string|null} [req.body.locale] - Idioma preferido de los mensajes ("es", "en")
    * @param {Object} res - Objeto de respuesta Express
    *
    * @returns {Promise<void>} No retorna valor directo, responde vía HTTP
@@ -58,55 +90,39 @@ class UserController {
    */
   static async create(req, res) {
     try {
-      const { name, email, password } = req.body;
+      const { name, email, password, profile, locale } = req.body;
 
-      const user = userRepository.create({ name, email, password });
-
-      try {
-        if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
-          const emailService = await getEmailService();
-          await emailService.sendWelcomeEmail(email, {
-            name,
-            email,
-            id: user.id,
-            ip: req.ip,
-            userAgent: req.get("User-Agent"),
-            template: "welcome-v2",
-            features: ["advanced-analytics", "premium-support"],
-          });
-        } else {
-          console.log("ℹ Email no configurado - saltando envío de bienvenida");
-        }
-      } catch (emailError) {
-        console.warn(
-          "Error al enviar email de bienvenida:",
-          emailError.message
-        );
-        // No fallar la creación del usuario por un error de email
-      }
+      const user = await UserController._repository(req).create(
+        { name, email, password, profile, locale },
+        { context: UserController._auditContext(req) }
+      );
 
+      res.set("ETag", user.getETag());
       res.status(201).json({
         success: true,
-        message: "Usuario creado exitosamente",
+        message: t("users.created"),
         data: user.toJSON(),
       });
     } catch (error) {
-      res.status(400).json({
-        success: false,
-        message: "Error al crear usuario",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 400,
+        message: t("users.createFailed"),
       });
     }
   }
 
   /**
-   * Obtener todos los usuarios registrados en el sistema
+   * Obtener los usuarios registrados en el sistema
    *
-   * Esta función recupera la lista completa de usuarios almacenados en la base de datos,
-   * retornando sus datos públicos (excluyendo contraseñas por seguridad) junto con
-   * el conteo total de usuarios encontrados.
+   * Esta función recupera una página de usuarios aplicando los filtros, el
+   * ordenamiento y el cursor validados por validateUserListQuery, retornando
+   * sus datos públicos (excluyendo contraseñas por seguridad), la metadata de
+   * paginación (misma estructura que DatabaseManager.paginate más los cursores)
+   * y los enlaces a las páginas siguiente y anterior.
    *
    * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.listQuery - Criterios normalizados (filters, sort, limit, offset, fingerprint)
+   * @param {Object} req.projection - Campos (?fields=) y expansiones (?expand=) validados por validateUserProjection
    * @param {Object} res - Objeto de respuesta Express
    *
    * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con array de usuarios
@@ -132,10 +148,33 @@ class UserController {
    *       "createdAt": "2025-09-25T11:15:00.000Z"
    *     }
    *   ],
-   *   "count": 2
+   *   "count": 2,
+   *   "pagination": {
+   *     "currentPage": 1,
+   *     "totalPages": 1,
+   *     "totalRecords": 2,
+   *     "recordsPerPage": 20,
+   *     "hasNextPage": false,
+   *     "hasPrevPage": false,
+   *     "nextPage": null,
+   *     "prevPage": null,
+   *     "nextCursor": null,
+   *     "prevCursor": null
+   *   },
+   *   "links": { "self": "/api/users", "next": null, "prev": null },
+   *   "filters": {},
+   *   "sort": [{ "field": "createdAt", "order": "asc" }]
    * }
    *
    * @example
+   * // Solicitud GET /users?emailDomain=example.com&sort=-createdAt&limit=10
+   * // Para la página siguiente usar links.next (o ?cursor=<pagination.nextCursor>)
+   *
+   * @example
+   * // Solicitud GET /users?fields=id,name&expand=history
+   * // Cada elemento de data solo trae id y name, más sus últimos cambios en history
+   *
+   * @example
    * // Respuesta cuando no hay usuarios (200)
    * {
    *   "success": true,
@@ -150,19 +189,44 @@ class UserController {
    */
   static async getAll(req, res) {
     try {
-      const users = userRepository.findAll();
+      const { filters, sort, limit, offset } = req.listQuery;
 
-      res.status(200).json({
-        success: true,
-        message: "Usuarios obtenidos exitosamente",
-        data: users.map((user) => user.toJSON()),
-        count: users.length,
+      // Los filtros de perfil llegan como texto: convertirlos al tipo de
+      // cada atributo (400 si alguno no está definido)
+      if (filters.profile) {
+        try {
+          filters.profile = await new UserAttributeService(
+            UserController._repository(req).attributes
+          ).parseFilters(filters.profile);
+        } catch (error) {
+          if (!(error instanceof UserAttributeError)) {
+            throw error;
+          }
+          return sendError(req, res, error, { status: 400 });
+        }
+      }
+
+      const result = await UserController._repository(req).findPage({
+        filters,
+        sort,
+        limit,
+        offset,
+        fields: UserController._repositoryFields(req.projection),
       });
+
+      UserController._sendPage(
+        req,
+        res,
+        {
+          items: await UserController._presentUsers(req, result.users),
+          total: result.total,
+        },
+        t("users.listed")
+      );
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al obtener usuarios",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.listFailed"),
       });
     }
   }
@@ -172,10 +236,13 @@ class UserController {
    *
    * Esta función busca y retorna los datos públicos de un usuario específico
    * identificado por su UUID. Si el usuario no existe, retorna un error 404.
+   * La respuesta incluye la cabecera ETag; si la cabecera If-None-Match de la
+   * solicitud coincide con ella se responde 304 sin cuerpo.
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.params - Parámetros de ruta
    * @param {string} req.params.id - ID único del usuario (formato UUID)
+   * @param {Object} req.projection - Campos (?fields=) y expansiones (?expand=) validados por validateUserProjection
    * @param {Object} res - Objeto de respuesta Express
    *
    * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con datos del usuario
@@ -193,9 +260,20 @@ class UserController {
    *     "id": "123e4567-e89b-12d3-a456-426614174000",
    *     "name": "María González",
    *     "email": "maria.gonzalez@example.com",
-   *     "createdAt": "2025-09-25T10:30:00.000Z"
+   *     "createdAt": "2025-09-25T10:30:00.000Z",
+   *     "updatedAt": "2025-09-25T10:30:00.000Z",
+   *     "version": 1
    *   }
    * }
+   * // ETag: "123e4567-e89b-12d3-a456-426614174000-v1"
+   *
+   * @example
+   * // Solicitud GET /users/123e4567-e89b-12d3-a456-426614174000?fields=id,name&expand=emails
+   * // data: { "id": "...", "name": "María González", "emails": { "sent": 1, "failed": 0, ... } }
+   *
+   * @example
+   * // Solicitud con If-None-Match: "123e4567-e89b-12d3-a456-426614174000-v1"
+   * // Respuesta sin cambios (304), sin cuerpo
    *
    * @example
    * // Respuesta cuando el usuario no existe (404)
@@ -212,25 +290,19 @@ class UserController {
     try {
       const { id } = req.params;
 
-      const user = userRepository.findById(id);
+      const user = await UserController._repository(req).findById(id, {
+        fields: UserController._repositoryFields(req.projection),
+      });
 
       if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "Usuario no encontrado",
-        });
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
       }
 
-      res.status(200).json({
-        success: true,
-        message: "Usuario obtenido exitosamente",
-        data: user.toJSON(),
-      });
+      await UserController._sendUser(req, res, user, t("users.retrieved"));
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al obtener usuario",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.retrieveFailed"),
       });
     }
   }
@@ -239,9 +311,13 @@ class UserController {
    * Actualizar completamente un usuario existente
    *
    * Esta función reemplaza completamente los datos de un usuario existente con
-   * la información proporcionada. Los campos id y createdAt no pueden ser
-   * modificados. Si el email es actualizado, se verifica que no esté en uso
-   * por otro usuario.
+   * la información proporcionada. Los campos id, createdAt, updatedAt, version
+   * y deletedAt no pueden ser modificados. Si el email es actualizado, se
+   * verifica que no esté en uso por otro usuario.
+   *
+   * Con la cabecera If-Match (ETag obtenido en GET) la actualización solo se
+   * aplica si el usuario no cambió desde entonces; en caso contrario responde
+   * 412 Precondition Failed con el ETag vigente.
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.params - Parámetros de ruta
@@ -257,6 +333,7 @@ class UserController {
    * @throws {Error} Cuando los datos de entrada son inválidos
    * @throws {Error} Cuando el usuario no existe (maneja como respuesta 404)
    * @throws {Error} Cuando el email ya está registrado por otro usuario
+   * @throws {VersionConflictError} Cuando If-Match no coincide (maneja como respuesta 412)
    *
    * @example
    * // Solicitud PUT /users/123e4567-e89b-12d3-a456-426614174000
@@ -274,11 +351,23 @@ class UserController {
    *     "id": "123e4567-e89b-12d3-a456-426614174000",
    *     "name": "María José González",
    *     "email": "maria.jose@example.com",
-   *     "createdAt": "2025-09-25T10:30:00.000Z"
+   *     "createdAt": "2025-09-25T10:30:00.000Z",
+   *     "updatedAt": "2025-09-26T09:00:00.000Z",
+   *     "version": 2
    *   }
    * }
    *
    * @example
+   * // Solicitud con If-Match: "123e4567-e89b-12d3-a456-426614174000-v1"
+   * // cuando el usuario ya va por la versión 2 (412)
+   * {
+   *   "success": false,
+   *   "message": "El usuario fue modificado por otra petición",
+   *   "error": "La cabecera If-Match no coincide con la versión actual; obtenga el usuario de nuevo y reintente",
+   *   "currentVersion": 2
+   * }
+   *
+   * @example
    * // Actualización parcial (solo algunos campos)
    * {
    *   "name": "María González"
@@ -289,35 +378,7 @@ class UserController {
    * @version 1.0.0
    */
   static async update(req, res) {
-    try {
-      const { id } = req.params;
-      const updateData = req.body;
-
-      // Remover campos que no se deben actualizar
-      delete updateData.id;
-      delete updateData.createdAt;
-
-      const user = userRepository.update(id, updateData);
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "Usuario no encontrado",
-        });
-      }
-
-      res.status(200).json({
-        success: true,
-        message: "Usuario actualizado exitosamente",
-        data: user.toJSON(),
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        message: "Error al actualizar usuario",
-        error: error.message,
-      });
-    }
+    return UserController._applyUpdate(req, res);
   }
 
   /**
@@ -326,7 +387,13 @@ class UserController {
    * Esta función actualiza solo los campos proporcionados en la solicitud,
    * dejando intactos los campos no especificados. Es útil para actualizaciones
    * selectivas donde no se requiere reemplazar todos los datos del usuario.
-   * Los campos id y createdAt no pueden ser modificados.
+   * Los campos id, createdAt, updatedAt, version y deletedAt no pueden ser
+   * modificados. Respeta If-Match igual que update (412 si no coincide).
+   *
+   * Además del cuerpo JSON plano acepta, según el Content-Type, un documento
+   * JSON Patch (application/json-patch+json, RFC 6902) o JSON Merge Patch
+   * (application/merge-patch+json, RFC 7396) sobre la representación del
+   * usuario (ver _applyPatch).
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.params - Parámetros de ruta
@@ -373,43 +440,21 @@ class UserController {
    * @version 1.0.0
    */
   static async partialUpdate(req, res) {
-    try {
-      const { id } = req.params;
-      const updateData = req.body;
-
-      // Remover campos que no se deben actualizar
-      delete updateData.id;
-      delete updateData.createdAt;
-
-      const user = userRepository.update(id, updateData);
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "Usuario no encontrado",
-        });
-      }
-
-      res.status(200).json({
-        success: true,
-        message: "Usuario actualizado exitosamente",
-        data: user.toJSON(),
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        message: "Error al actualizar usuario",
-        error: error.message,
-      });
+    if (req.patchDocument) {
+      return UserController._applyPatch(req, res);
     }
+
+    return UserController._applyUpdate(req, res);
   }
 
   /**
-   * Eliminar permanentemente un usuario del sistema
+   * Eliminar (lógicamente) un usuario del sistema
    *
-   * Esta función elimina completamente un usuario identificado por su ID único.
-   * La eliminación es permanente e irreversible. Si el usuario no existe,
-   * se retorna un error 404.
+   * Esta función marca como eliminado al usuario identificado por su ID único.
+   * Deja de aparecer en las lecturas normales, pero puede restaurarse con
+   * POST /users/:id/restore hasta que la purga programada lo borre
+   * definitivamente al vencer el periodo de retención. Si el usuario no
+   * existe (o ya estaba eliminado), se retorna un error 404.
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.params - Parámetros de ruta
@@ -444,51 +489,46 @@ class UserController {
     try {
       const { id } = req.params;
 
-      const deleted = userRepository.delete(id);
+      const deleted = await UserController._repository(req).delete(id, {
+        context: UserController._auditContext(req),
+      });
 
       if (!deleted) {
-        return res.status(404).json({
-          success: false,
-          message: "Usuario no encontrado",
-        });
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
       }
 
       res.status(200).json({
         success: true,
-        message: "Usuario eliminado exitosamente",
+        message: t("users.deleted"),
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al eliminar usuario",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.deleteFailed"),
       });
     }
   }
 
   /**
-   * Buscar un usuario específico por su dirección de email
+   * Restaurar un usuario eliminado
    *
-   * Esta función permite encontrar un usuario registrado mediante su dirección
-   * de email. Útil para validaciones de registro, recuperación de cuentas
-   * y verificaciones de existencia de usuarios.
+   * Recupera un usuario eliminado lógicamente que aún no ha sido purgado,
+   * volviendo a incluirlo en las lecturas normales.
    *
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} req.params - Parámetros de ruta
-   * @param {string} req.params.email - Dirección de email a buscar (debe ser válida)
+   * @param {string} req.params.id - ID único del usuario eliminado (formato UUID)
    * @param {Object} res - Objeto de respuesta Express
    *
-   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con datos del usuario
-   *
-   * @throws {Error} Cuando el usuario no es encontrado (maneja como respuesta 404)
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con el usuario restaurado
    *
    * @example
-   * // Solicitud GET /users/search/email/maria.gonzalez@example.com
+   * // Solicitud POST /users/123e4567-e89b-12d3-a456-426614174000/restore
    *
    * // Respuesta exitosa (200)
    * {
    *   "success": true,
-   *   "message": "Usuario encontrado exitosamente",
+   *   "message": "Usuario restaurado exitosamente",
    *   "data": {
    *     "id": "123e4567-e89b-12d3-a456-426614174000",
    *     "name": "María González",
@@ -498,116 +538,1608 @@ class UserController {
    * }
    *
    * @example
-   * // Respuesta cuando el email no existe (404)
+   * // Respuesta cuando no hay un usuario eliminado con ese ID (404)
    * {
    *   "success": false,
-   *   "message": "Usuario no encontrado con ese email"
+   *   "message": "Usuario eliminado no encontrado"
    * }
    *
-   * @since 1.0.0
+   * @since 1.2.0
    * @author Sistema CRUD
-   * @version 1.0.0
+   * @version 1.2.0
    */
-  static async findByEmail(req, res) {
+  static async restore(req, res) {
     try {
-      const { email } = req.params;
+      const { id } = req.params;
 
-      const user = userRepository.findByEmail(email);
+      const user = await UserController._repository(req).restore(id, {
+        context: UserController._auditContext(req),
+      });
 
       if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "Usuario no encontrado con ese email",
-        });
+        return sendError(
+          req,
+          res,
+          new NotFoundError(t("users.deletedNotFound"))
+        );
       }
 
+      res.set("ETag", user.getETag());
       res.status(200).json({
         success: true,
-        message: "Usuario encontrado exitosamente",
+        message: t("users.restored"),
         data: user.toJSON(),
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al buscar usuario",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.restoreFailed"),
       });
     }
   }
 
   /**
-   * Obtener estadísticas generales del sistema de usuarios
+   * Cambiar el estado de la cuenta de un usuario (acciones administrativas)
    *
-   * Esta función proporciona métricas importantes sobre el estado actual
-   * de los usuarios en el sistema, incluyendo conteos totales y estadísticas
-   * temporales como usuarios creados hoy y esta semana.
+   * Atiende POST /users/:id/activate, /suspend, /lock y /deactivate. El
+   * estado de destino y el motivo llegan en req.statusChange
+   * (validateStatusChange); el modelo decide si la transición está permitida
+   * desde el estado actual y el cambio queda en el historial.
    *
    * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.id - ID único del usuario (formato UUID)
+   * @param {{status: string, reason: string|null}} req.statusChange - Estado de destino y motivo
    * @param {Object} res - Objeto de respuesta Express
    *
-   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con estadísticas
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con el usuario actualizado
    *
    * @example
-   * // Solicitud GET /users/stats
+   * // Solicitud POST /users/123e4567-e89b-12d3-a456-426614174000/suspend
+   * { "reason": "Spam reiterado en comentarios" }
    *
    * // Respuesta exitosa (200)
    * {
    *   "success": true,
-   *   "message": "Estadísticas obtenidas exitosamente",
+   *   "message": "Estado del usuario actualizado a suspended",
    *   "data": {
-   *     "totalUsers": 25,
-   *     "usersCreatedToday": 3,
-   *     "usersCreatedThisWeek": 8
+   *     "id": "123e4567-e89b-12d3-a456-426614174000",
+   *     "status": "suspended",
+   *     "statusReason": "Spam reiterado en comentarios",
+   *     "statusChangedAt": "2025-10-02T12:00:00.000Z",
+   *     ...
    *   }
    * }
    *
    * @example
-   * // Sistema sin usuarios
+   * // Respuesta cuando la transición no está permitida (409)
+   * {
+   *   "success": false,
+   *   "message": "Transición de estado no permitida",
+   *   "error": "No se puede pasar del estado \"deactivated\" a \"suspended\"",
+   *   "currentStatus": "deactivated",
+   *   "allowedTransitions": ["active"]
+   * }
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async changeStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { status, reason } = req.statusChange;
+
+      const user = await UserController._repository(req).changeStatus(
+        id,
+        status,
+        {
+          reason,
+          context: UserController._auditContext(req),
+        }
+      );
+
+      if (!user) {
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
+      }
+
+      res.set("ETag", user.getETag());
+      res.status(200).json({
+        success: true,
+        message: t("users.statusChanged", { status: user.status }),
+        data: user.toJSON(),
+      });
+    } catch (error) {
+      if (error instanceof StatusTransitionError) {
+        return sendError(req, res, error, {
+          message: t("users.statusTransitionNotAllowed"),
+        });
+      }
+
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.statusChangeFailed"),
+      });
+    }
+  }
+
+  /**
+   * Confirmar un cambio de email con el token del enlace enviado al nuevo email
+   *
+   * El email pendiente pasa a ser el email del usuario y queda verificado.
+   * Un enlace caducado responde 410 y descarta el cambio pendiente.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - Cuerpo de la solicitud
+   * @param {string} req.body.token - Token del enlace (validateEmailChangeToken)
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con el usuario actualizado
+   *
+   * @example
+   * // Solicitud POST /users/email-change/confirm
+   * { "token": "eyJzdWIiOi...Qm9f" }
+   *
+   * // Respuesta exitosa (200)
+   * {
+   *   "success": true,
+   *   "message": "Email actualizado exitosamente",
+   *   "data": { "id": "123e4567-...", "email": "maria.nueva@example.com", "isVerified": true, ... }
+   * }
+   *
+   * @example
+   * // Respuesta con un enlace caducado (410)
+   * {
+   *   "success": false,
+   *   "message": "No se pudo confirmar el cambio de email",
+   *   "error": "El enlace ha caducado"
+   * }
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async confirmEmailChange(req, res) {
+    return UserController._resolveEmailChange(req, res, "confirm", {
+      success: t("users.emailChange.confirmed"),
+      failure: t("users.emailChange.confirmFailed"),
+    });
+  }
+
+  /**
+   * Revertir un cambio de email con el enlace "No fui yo" del email anterior
+   *
+   * Descarta el cambio si sigue pendiente o, si ya se confirmó, restaura el
+   * email anterior.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - Cuerpo de la solicitud
+   * @param {string} req.body.token - Token del enlace (validateEmailChangeToken)
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con el usuario actualizado
+   *
+   * @example
+   * // Solicitud POST /users/email-change/revert
+   * { "token": "eyJzdWIiOi...Zk3a" }
+   *
+   * // Respuesta exitosa (200)
+   * {
+   *   "success": true,
+   *   "message": "Cambio de email revertido",
+   *   "data": { "id": "123e4567-...", "email": "maria@example.com", ... }
+   * }
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async revertEmailChange(req, res) {
+    return UserController._resolveEmailChange(req, res, "revert", {
+      success: t("users.emailChange.reverted"),
+      failure: t("users.emailChange.revertFailed"),
+    });
+  }
+
+  /**
+   * Cambiar directamente el email de un usuario (corrección administrativa)
+   *
+   * Se salta el flujo de confirmación: el email cambia en el momento, se
+   * descarta cualquier cambio pendiente y el historial lo registra con la
+   * acción "override". Respeta If-Match igual que update (412 si no
+   * coincide).
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.id - ID único del usuario (formato UUID)
+   * @param {Object} req.body - Cuerpo de la solicitud (validateEmailOverride)
+   * @param {string} req.body.email - Nuevo email
+   * @param {boolean} [req.body.isVerified] - Si el nuevo email queda verificado (sin indicar, no cambia)
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con el usuario actualizado
+   *
+   * @example
+   * // Solicitud PUT /users/123e4567-e89b-12d3-a456-426614174000/email
+   * { "email": "maria@example.com", "isVerified": true }
+   *
+   * // Respuesta exitosa (200)
    * {
    *   "success": true,
-   *   "message": "Estadísticas obtenidas exitosamente",
-   *   "data": {
-   *     "totalUsers": 0,
-   *     "usersCreatedToday": 0,
-   *     "usersCreatedThisWeek": 0
-   *   }
+   *   "message": "Email actualizado por un administrador",
+   *   "data": { "id": "123e4567-...", "email": "maria@example.com", ... }
    * }
    *
-   * @since 1.0.0
+   * @since 1.2.0
    * @author Sistema CRUD
-   * @version 1.0.0
+   * @version 1.2.0
    */
-  static async getStats(req, res) {
+  static async overrideEmail(req, res) {
     try {
-      const users = userRepository.findAll();
-
-      const stats = {
-        totalUsers: users.length,
-        usersCreatedToday: users.filter((user) => {
-          const today = new Date().toDateString();
-          const userDate = new Date(user.createdAt).toDateString();
-          return today === userDate;
-        }).length,
-        usersCreatedThisWeek: users.filter((user) => {
-          const weekAgo = new Date();
-          weekAgo.setDate(weekAgo.getDate() - 7);
-          return new Date(user.createdAt) >= weekAgo;
-        }).length,
-      };
+      const { id } = req.params;
+      const { email, isVerified } = req.body;
+
+      let expectedVersion;
+      const ifMatch = req.get("If-Match");
 
+      if (ifMatch !== undefined) {
+        const current = await UserController._repository(req).findById(id);
+
+        if (!current) {
+          return sendError(req, res, new NotFoundError(t("users.notFound")));
+        }
+
+        if (!UserController._etagMatches(ifMatch, current.getETag())) {
+          return UserController._sendPreconditionFailed(req, res, current);
+        }
+
+        expectedVersion = current.version;
+      }
+
+      const user = await UserController._repository(req).changeEmail(
+        id,
+        { email, pendingEmail: null, pendingEmailExpiresAt: null, isVerified },
+        {
+          expectedVersion,
+          action: "override",
+          context: UserController._auditContext(req),
+        }
+      );
+
+      if (!user) {
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
+      }
+
+      res.set("ETag", user.getETag());
       res.status(200).json({
         success: true,
-        message: "Estadísticas obtenidas exitosamente",
-        data: stats,
+        message: t("users.emailChange.overridden"),
+        data: user.toJSON(),
+      });
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return UserController._sendPreconditionFailed(
+          req,
+          res,
+          await UserController._repository(req).findById(req.params.id)
+        );
+      }
+
+      sendError(req, res, error, {
+        status: 400,
+        message: t("users.emailChange.overrideFailed"),
+      });
+    }
+  }
+
+  /**
+   * Ejecutar un lote de operaciones create, update y delete
+   *
+   * Responde siempre 207 (Multi-Status) con un resultado por operación en el
+   * mismo orden del lote. En modo "atomic" (por defecto) o se aplican todas
+   * las operaciones o ninguna; en modo "best-effort" se aplican las válidas.
+   * Las altas masivas no envían email de bienvenida.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - Cuerpo de la solicitud
+   * @param {string} req.body.mode - "atomic" o "best-effort" (normalizado por validateBulkRequest)
+   * @param {Object[]} req.body.operations - Operaciones { op, id?, data?, version? }
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con los resultados
+   *
+   * @example
+   * // Solicitud POST /users/bulk
+   * {
+   *   "mode": "atomic",
+   *   "operations": [
+   *     { "op": "create", "data": { "name": "Ana Ruiz", "email": "ana@example.com", "password": "123456" } },
+   *     { "op": "delete", "id": "123e4567-e89b-12d3-a456-426614174000" }
+   *   ]
+   * }
+   *
+   * // Respuesta cuando una operación falla en modo atómico (207)
+   * {
+   *   "success": false,
+   *   "message": "Operación masiva revertida: no se aplicó ningún cambio",
+   *   "data": {
+   *     "mode": "atomic",
+   *     "applied": false,
+   *     "summary": { "total": 2, "succeeded": 0, "failed": 2 },
+   *     "results": [
+   *       { "index": 0, "op": "create", "success": false, "status": 424, "error": "No aplicada: otra operación del lote falló" },
+   *       { "index": 1, "op": "delete", "id": "123e4567-...", "success": false, "status": 404, "error": "Usuario no encontrado" }
+   *     ]
+   *   }
+   * }
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async bulk(req, res) {
+    try {
+      const { mode, operations } = req.body;
+
+      const result = await new UserBulkService(
+        UserController._repository(req)
+      ).execute(operations, {
+        mode,
+        context: UserController._auditContext(req),
+      });
+
+      let message = t("bulk.completed");
+      if (!result.applied) {
+        message = t("bulk.rolledBack");
+      } else if (result.summary.failed > 0) {
+        message = t("bulk.completedWithErrors");
+      }
+
+      res.status(207).json({
+        success: result.summary.failed === 0,
+        message,
+        data: result,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: "Error al obtener estadísticas",
-        error: error.message,
+      sendError(req, res, error, {
+        status: 500,
+        message: t("bulk.failed"),
       });
     }
   }
+
+  /**
+   * Exportar los usuarios activos como archivo descargable
+   *
+   * La respuesta se envía en streaming, leyendo el repositorio por lotes, y
+   * nunca incluye contraseñas. Columnas: id, name, email, createdAt,
+   * updatedAt y version.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {string} req.exportFormat - "csv", "ndjson" o "json" (normalizado por validateExportQuery)
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde con el archivo
+   *
+   * @example
+   * // Solicitud GET /users/export?format=csv
+   * // Content-Disposition: attachment; filename="users-2025-09-25.csv"
+   * id,name,email,createdAt,updatedAt,version
+   * 123e4567-e89b-12d3-a456-426614174000,Juan Pérez,juan@example.com,2025-09-25T10:30:00.000Z,2025-09-25T10:30:00.000Z,1
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async exportUsers(req, res) {
+    const format = req.exportFormat;
+    const date = new Date().toISOString().slice(0, 10);
+    const stream = new UserTransferService(
+      UserController._repository(req)
+    ).createExportStream(format);
+
+    stream.on("error", (error) => {
+      logger.error("Error al exportar usuarios", { error });
+
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+
+      sendError(req, res, error, {
+        status: 500,
+        message: t("transfer.exportFailed"),
+      });
+    });
+
+    res.set("Content-Type", TRANSFER_FORMATS[format]);
+    res.attachment(`users-${date}.${format}`);
+    stream.pipe(res);
+  }
+
+  /**
+   * Importar usuarios desde CSV, NDJSON o JSON
+   *
+   * Valida todas las filas antes de escribir: cada error indica la fila
+   * (línea del archivo en CSV/NDJSON, posición en JSON), el campo y el
+   * mensaje de User.validate, además de emails repetidos en el archivo o
+   * ya registrados. Si hay errores no se importa nada (422); con
+   * dryRun=true solo se devuelve el informe. En modo "upsert" los emails
+   * existentes actualizan nombre y contraseña.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {string|Object[]} req.body - Contenido del archivo
+   * @param {Object} req.importOptions - { format, mode, dryRun } (normalizado por validateImportRequest)
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con el informe
+   *
+   * @example
+   * // Solicitud POST /users/import?dryRun=true (Content-Type: text/csv)
+   * name,email,password
+   * Ana Ruiz,ana@example.com,123
+   *
+   * // Respuesta (200)
+   * {
+   *   "success": false,
+   *   "message": "Validación de importación completada",
+   *   "data": {
+   *     "format": "csv",
+   *     "mode": "create",
+   *     "dryRun": true,
+   *     "applied": false,
+   *     "summary": { "total": 1, "valid": 0, "invalid": 1, "created": 0, "updated": 0, "unchanged": 0, "wouldCreate": 0, "wouldUpdate": 0 },
+   *     "errors": [
+   *       { "row": 2, "field": "password", "error": "La contraseña debe tener al menos 6 caracteres" }
+   *     ]
+   *   }
+   * }
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async importUsers(req, res) {
+    try {
+      const { format, mode, dryRun } = req.importOptions;
+      const service = new UserTransferService(UserController._repository(req));
+
+      let parsed;
+      try {
+        parsed = service.parse(format, req.body);
+      } catch (error) {
+        if (error instanceof TransferFormatError) {
+          return sendError(req, res, error, {
+            status: 400,
+            message: t("transfer.invalidFile"),
+          });
+        }
+        throw error;
+      }
+
+      const rows = parsed.records.length + parsed.errors.length;
+      if (rows > service.config.maxImportRows) {
+        return sendError(
+          req,
+          res,
+          new ApiError(t("transfer.fileTooLarge"), {
+            status: 413,
+            detail: t("transfer.maxRows", {
+              count: service.config.maxImportRows,
+            }),
+          })
+        );
+      }
+
+      const report = await service.import(parsed.records, {
+        mode,
+        dryRun,
+        parseErrors: parsed.errors,
+        context: UserController._auditContext(req),
+      });
+      const data = { format, ...report };
+
+      if (dryRun) {
+        return res.status(200).json({
+          success: report.errors.length === 0,
+          message: t("transfer.validated"),
+          data,
+        });
+      }
+
+      if (!report.applied) {
+        return sendError(
+          req,
+          res,
+          new ApiError(t("transfer.rejected"), {
+            status: 422,
+            type: "import-rejected",
+            extensions: { data },
+          })
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: t("transfer.imported"),
+        data,
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("transfer.importFailed"),
+      });
+    }
+  }
+
+  /**
+   * Listar usuarios eliminados pendientes de purga (administración)
+   *
+   * Acepta los mismos filtros, ordenamiento y cursores que GET /users. Cada
+   * usuario incluye deletedAt, a partir del cual se calcula su purga.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.listQuery - Criterios normalizados por validateUserListQuery
+   * @param {Object} req.projection - Campos (?fields=) y expansiones (?expand=) validados por validateUserProjection
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con la página de usuarios eliminados
+   *
+   * @example
+   * // Solicitud GET /users/deleted?sort=-createdAt&limit=10
+   *
+   * // Respuesta exitosa (200)
+   * {
+   *   "success": true,
+   *   "message": "Usuarios eliminados obtenidos exitosamente",
+   *   "data": [
+   *     {
+   *       "id": "123e4567-e89b-12d3-a456-426614174000",
+   *       "name": "María González",
+   *       "email": "maria.gonzalez@example.com",
+   *       "createdAt": "2025-09-25T10:30:00.000Z",
+   *       "deletedAt": "2025-10-01T08:00:00.000Z"
+   *     }
+   *   ],
+   *   "count": 1,
+   *   "retentionDays": 30,
+   *   "pagination": { "currentPage": 1, "totalPages": 1, "totalRecords": 1, ... }
+   * }
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async getDeleted(req, res) {
+    try {
+      const { filters, sort, limit, offset } = req.listQuery;
+
+      const result = await UserController._repository(req).findDeleted({
+        filters,
+        sort,
+        limit,
+        offset,
+        fields: UserController._repositoryFields(req.projection),
+      });
+
+      UserController._sendPage(
+        req,
+        res,
+        {
+          items: await UserController._presentUsers(req, result.users),
+          total: result.total,
+        },
+        t("users.deletedListed"),
+        { retentionDays: userConfig.softDelete.retentionDays }
+      );
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.deletedListFailed"),
+      });
+    }
+  }
+
+  /**
+   * Obtener el historial de cambios de un usuario
+   *
+   * Lista, del más reciente al más antiguo, cada alta, actualización,
+   * eliminación y restauración del usuario con su actor, ID de petición y
+   * diff campo a campo (las contraseñas aparecen como "[REDACTED]"). El
+   * historial se conserva aunque el usuario se haya eliminado o purgado.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.id - ID único del usuario (formato UUID)
+   * @param {Object} req.listQuery - Filtros y paginación validados por validateAuditQuery
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP
+   *
+   * @example
+   * // Solicitud GET /users/123e4567-e89b-12d3-a456-426614174000/history?limit=10
+   *
+   * // Respuesta exitosa (200)
+   * {
+   *   "success": true,
+   *   "message": "Historial obtenido exitosamente",
+   *   "data": [
+   *     {
+   *       "id": "9b2f...",
+   *       "entityType": "user",
+   *       "entityId": "123e4567-e89b-12d3-a456-426614174000",
+   *       "action": "update",
+   *       "actor": "admin@example.com",
+   *       "requestId": "4f1c...",
+   *       "timestamp": "2025-10-01T08:00:00.000Z",
+   *       "changes": [
+   *         { "field": "email", "before": "ana@example.com", "after": "ana.ruiz@example.com" },
+   *         { "field": "password", "before": "[REDACTED]", "after": "[REDACTED]" }
+   *       ]
+   *     }
+   *   ],
+   *   "count": 1,
+   *   "pagination": { "currentPage": 1, "totalPages": 1, "totalRecords": 1, ... }
+   * }
+   *
+   * @example
+   * // Respuesta cuando el usuario no existe ni tiene historial (404)
+   * {
+   *   "success": false,
+   *   "message": "Usuario no encontrado"
+   * }
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async getHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const { filters, limit, offset } = req.listQuery;
+
+      // Con tenant, el historial solo tiene las entradas de sus usuarios
+      const repository = UserController._repository(req);
+
+      const result = await repository.auditLog.findPage({
+        filters: { ...filters, entityId: id },
+        limit,
+        offset,
+      });
+
+      if (result.total === 0 && !(await repository.findById(id))) {
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
+      }
+
+      UserController._sendPage(
+        req,
+        res,
+        { items: result.entries, total: result.total },
+        t("users.historyRetrieved")
+      );
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.historyFailed"),
+      });
+    }
+  }
+
+  /**
+   * Consultar el registro de auditoría de todos los usuarios
+   *
+   * Mismo formato que getHistory, filtrable por actor, acción y rango de
+   * fechas (from/to, inclusive; una fecha sin hora en "to" incluye el día).
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.listQuery - Filtros y paginación validados por validateAuditQuery
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP
+   *
+   * @example
+   * // Solicitud GET /api/audit?actor=admin@example.com&from=2025-10-01&to=2025-10-31
+   *
+   * @since 1.2.0
+   * @author Sistema CRUD
+   * @version 1.2.0
+   */
+  static async getAuditLog(req, res) {
+    try {
+      const { filters, limit, offset } = req.listQuery;
+
+      const result = await UserController._repository(req).auditLog.findPage({
+        filters,
+        limit,
+        offset,
+      });
+
+      UserController._sendPage(
+        req,
+        res,
+        { items: result.entries, total: result.total },
+        t("audit.retrieved")
+      );
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("audit.failed"),
+      });
+    }
+  }
+
+  /**
+   * Buscar un usuario específico por su dirección de email
+   *
+   * Esta función permite encontrar un usuario registrado mediante su dirección
+   * de email. Útil para validaciones de registro, recuperación de cuentas
+   * y verificaciones de existencia de usuarios.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.email - Dirección de email a buscar (sin distinguir mayúsculas)
+   * @param {Object} req.projection - Campos (?fields=) y expansiones (?expand=) validados por validateUserProjection
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con datos del usuario
+   *
+   * @throws {Error} Cuando el usuario no es encontrado (maneja como respuesta 404)
+   *
+   * @example
+   * // Solicitud GET /users/search/email/maria.gonzalez@example.com
+   *
+   * // Respuesta exitosa (200)
+   * {
+   *   "success": true,
+   *   "message": "Usuario encontrado exitosamente",
+   *   "data": {
+   *     "id": "123e4567-e89b-12d3-a456-426614174000",
+   *     "name": "María González",
+   *     "email": "maria.gonzalez@example.com",
+   *     "createdAt": "2025-09-25T10:30:00.000Z"
+   *   }
+   * }
+   *
+   * @example
+   * // Respuesta cuando el email no existe (404)
+   * {
+   *   "success": false,
+   *   "message": "Usuario no encontrado con ese email"
+   * }
+   *
+   * @since 1.0.0
+   * @author Sistema CRUD
+   * @version 1.0.0
+   */
+  static async findByEmail(req, res) {
+    try {
+      // Misma normalización con la que se guarda el email (USER_SCHEMA)
+      const { email } = User.validateUpdate({ email: req.params.email }).value;
+
+      const user = await UserController._repository(req).findByEmail(email, {
+        fields: UserController._repositoryFields(req.projection),
+      });
+
+      if (!user) {
+        return sendError(
+          req,
+          res,
+          new NotFoundError(t("users.notFoundByEmail"))
+        );
+      }
+
+      await UserController._sendUser(req, res, user, t("users.found"));
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("users.searchFailed"),
+      });
+    }
+  }
+
+  /**
+   * Obtener estadísticas generales del sistema de usuarios
+   *
+   * Además de los totales (usuarios, altas de hoy y de la última semana)
+   * devuelve, para el rango e intervalo pedidos, la serie de altas por
+   * periodo, el crecimiento frente al rango anterior, el desglose por
+   * dominio de email, los usuarios activos según su último login y las
+   * cohortes de retención (ver UserStatsService). Con almacenamiento en base
+   * de datos y caché configurada el resultado se cachea con
+   * CacheManager.remember. Con format=csv se descarga uno de los informes.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.statsQuery - { interval, from, to, format, report } validados por validateStatsQuery
+   * @param {Object} res - Objeto de respuesta Express
+   *
+   * @returns {Promise<void>} No retorna valor directo, responde vía HTTP con estadísticas
+   *
+   * @example
+   * // Solicitud GET /users/stats?interval=month&from=2025-01-01&to=2025-03-31
+   *
+   * // Respuesta exitosa (200)
+   * {
+   *   "success": true,
+   *   "message": "Estadísticas obtenidas exitosamente",
+   *   "data": {
+   *     "totalUsers": 25,
+   *     "usersCreatedToday": 3,
+   *     "usersCreatedThisWeek": 8,
+   *     "range": { "interval": "month", "from": "2025-01-01T00:00:00.000Z", "to": "2025-03-31T23:59:59.999Z" },
+   *     "signups": [
+   *       { "period": "2025-01", "signups": 4, "cumulative": 10 },
+   *       { "period": "2025-02", "signups": 6, "cumulative": 16 },
+   *       { "period": "2025-03", "signups": 9, "cumulative": 25 }
+   *     ],
+   *     "growth": { "signups": 19, "previousSignups": 5, "rate": 280, "usersAtStart": 6, "usersAtEnd": 25, "userBaseGrowth": 316.67 },
+   *     "domains": [{ "domain": "example.com", "users": 20, "percentage": 80 }],
+   *     "activity": { "trackedUsers": 18, "activeLast1Day": 2, "activeLast7Days": 9, "activeLast30Days": 15 },
+   *     "retention": [
+   *       { "cohort": "2025-01", "size": 4, "periods": [{ "offset": 1, "retained": 3, "rate": 75 }, { "offset": 2, "retained": 2, "rate": 50 }] }
+   *     ],
+   *     "generatedAt": "2025-04-01T09:00:00.000Z"
+   *   }
+   * }
+   *
+   * @example
+   * // Solicitud GET /users/stats?interval=week&format=csv&report=retention
+   * // Content-Disposition: attachment; filename="user-stats-retention-week.csv"
+   * cohort,size,offset,retained,rate
+   * 2025-09-01,4,1,3,75
+   *
+   * @since 1.0.0
+   * @author Sistema CRUD
+   * @version 1.0.0
+   */
+  static async getStats(req, res) {
+    try {
+      const { format, report, ...query } = req.statsQuery;
+
+      // Con tenant, las claves de la caché también son las del tenant
+      const repository = UserController._repository(req);
+      const cache = (repository.db && repository.db.cacheManager) || null;
+
+      const stats = await new UserStatsService(repository, {
+        cache:
+          cache && repository.tenantId !== null
+            ? cache.forTenant(repository.tenantId)
+            : cache,
+      }).getStats(query);
+
+      if (format === "csv") {
+        res.set("Content-Type", TRANSFER_FORMATS.csv);
+        res.attachment(`user-stats-${report}-${query.interval}.csv`);
+        return res.status(200).send(UserStatsService.toCsv(stats, report));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: t("stats.retrieved"),
+        data: stats,
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("stats.failed"),
+      });
+    }
+  }
+
+  /**
+   * Aplicar una actualización (PUT o PATCH) respetando If-Match
+   *
+   * Con If-Match la versión actual debe coincidir con el ETag enviado; si no,
+   * o si otra escritura se adelanta durante la actualización, se responde 412
+   * con el ETag vigente. Sin If-Match se mantiene la última escritura gana.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @private
+   */
+  static async _applyUpdate(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
+      // Remover campos que no se deben actualizar
+      delete updateData.id;
+      delete updateData.createdAt;
+      delete updateData.updatedAt;
+      delete updateData.version;
+      delete updateData.deletedAt;
+
+      let expectedVersion;
+      const ifMatch = req.get("If-Match");
+
+      if (ifMatch !== undefined) {
+        const current = await UserController._repository(req).findById(id);
+
+        if (!current) {
+          return sendError(req, res, new NotFoundError(t("users.notFound")));
+        }
+
+        if (!UserController._etagMatches(ifMatch, current.getETag())) {
+          return UserController._sendPreconditionFailed(req, res, current);
+        }
+
+        expectedVersion = current.version;
+      }
+
+      const { user, emailChange } = await UserController._saveChanges(
+        req,
+        id,
+        updateData,
+        { expectedVersion }
+      );
+
+      if (!user) {
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
+      }
+
+      UserController._sendUpdated(res, user, emailChange);
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return UserController._sendPreconditionFailed(
+          req,
+          res,
+          await UserController._repository(req).findById(req.params.id)
+        );
+      }
+
+      sendError(req, res, error, {
+        status: 400,
+        message: t("users.updateFailed"),
+      });
+    }
+  }
+
+  /**
+   * Aplicar un documento JSON Patch o JSON Merge Patch a un usuario
+   *
+   * El parche se aplica sobre la representación JSON del usuario (la misma
+   * de GET /users/:id, a la que puede añadirse password). Es atómico: si
+   * falla cualquier operación, incluida una test (409), no cambia nada. El
+   * resultado debe seguir cumpliendo User.validate y solo puede modificar
+   * name, email y password (422 en otro caso). El cambio se guarda
+   * condicionado a la versión sobre la que se aplicó el parche, de modo que
+   * una escritura concurrente produce 412 en lugar de perderse.
+   *
+   * @param {Object} req - Objeto de solicitud Express (con req.patchDocument)
+   * @param {Object} res - Objeto de respuesta Express
+   * @private
+   */
+  static async _applyPatch(req, res) {
+    try {
+      const { id } = req.params;
+      const { type, document } = req.patchDocument;
+
+      const current = await UserController._repository(req).findById(id);
+      if (!current) {
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
+      }
+
+      const ifMatch = req.get("If-Match");
+      if (
+        ifMatch !== undefined &&
+        !UserController._etagMatches(ifMatch, current.getETag())
+      ) {
+        return UserController._sendPreconditionFailed(req, res, current);
+      }
+
+      const original = current.toJSON();
+      const patched =
+        type === "json-patch"
+          ? applyJsonPatch(original, document)
+          : applyMergePatch(original, document);
+
+      if (
+        patched === null ||
+        typeof patched !== "object" ||
+        Array.isArray(patched)
+      ) {
+        return sendError(
+          req,
+          res,
+          new ApiError(t("patch.invalidResult"), {
+            status: 422,
+            errors: [t("patch.resultNotObject")],
+          })
+        );
+      }
+
+      const { changes, readOnly } = UserController._patchChanges(
+        original,
+        patched
+      );
+
+      if (readOnly.length > 0) {
+        return sendError(
+          req,
+          res,
+          new ApiError(t("patch.readOnlyFields"), {
+            status: 422,
+            detail: t("patch.readOnlyFieldsDetail", {
+              fields: readOnly.join(", "),
+              writable: WRITABLE_FIELDS.join(", "),
+            }),
+          })
+        );
+      }
+
+      // El resultado debe ser un usuario válido; la contraseña solo se
+      // valida si el parche la cambia (la guardada es un hash)
+      const validation = User.validate({
+        ...patched,
+        password: changes.password,
+      });
+      const errors = validation.fieldErrors
+        .filter(({ field }) => field !== "password" || "password" in changes)
+        .map(({ message }) => message);
+
+      // El perfil se guarda combinando cambios: solo las claves que el
+      // parche modifica, con null en las que elimina
+      if ("profile" in changes && errors.length === 0) {
+        changes.profile = UserController._profileChanges(
+          original.profile,
+          changes.profile || {}
+        );
+        errors.push(
+          ...validateProfile(
+            await UserController._repository(req).attributes.findAll(),
+            changes.profile,
+            { partial: true }
+          ).errors
+        );
+      }
+
+      if (errors.length > 0) {
+        return sendError(
+          req,
+          res,
+          new ApiError(t("patch.invalidResult"), {
+            status: 422,
+            errors,
+          })
+        );
+      }
+
+      if (typeof changes.name === "string") {
+        changes.name = changes.name.trim();
+      }
+      if (typeof changes.email === "string") {
+        changes.email = changes.email.toLowerCase().trim();
+      }
+
+      const { user, emailChange } =
+        Object.keys(changes).length === 0
+          ? { user: current, emailChange: null }
+          : await UserController._saveChanges(req, id, changes, {
+              current,
+              expectedVersion: current.version,
+            });
+
+      if (!user) {
+        return sendError(req, res, new NotFoundError(t("users.notFound")));
+      }
+
+      UserController._sendUpdated(res, user, emailChange);
+    } catch (error) {
+      if (error instanceof JsonPatchError) {
+        return sendError(req, res, error, {
+          message:
+            error.status === 409
+              ? t("patch.testFailed")
+              : t("patch.applyFailed"),
+        });
+      }
+
+      if (error instanceof VersionConflictError) {
+        return UserController._sendPreconditionFailed(
+          req,
+          res,
+          await UserController._repository(req).findById(req.params.id)
+        );
+      }
+
+      sendError(req, res, error, {
+        status: 400,
+        message: t("users.updateFailed"),
+      });
+    }
+  }
+
+  /**
+   * Guardar los cambios de un PUT o PATCH
+   *
+   * Un email distinto del actual no se aplica: queda como pendingEmail
+   * (UserEmailChangeService) y se envían el enlace de confirmación al nuevo
+   * email y el aviso con enlace de reversión al actual. El resto de campos
+   * se actualizan en el momento.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {string} id - ID del usuario
+   * @param {Object} changes - Campos a modificar (name, email, password)
+   * @param {Object} options - Opciones de la actualización
+   * @param {User} [options.current] - Usuario ya leído (se lee si hace falta)
+   * @param {number} [options.expectedVersion] - Versión esperada (If-Match)
+   * @returns {Promise<{user: User|null, emailChange: Object|null}>} Usuario
+   * actualizado (null si no existe) y el cambio de email solicitado, si lo hay
+   * @private
+   */
+  static async _saveChanges(req, id, changes, { current, expectedVersion }) {
+    const context = UserController._auditContext(req);
+    const { email, ...fields } = changes;
+    let emailChange = null;
+
+    if (typeof email === "string") {
+      const user =
+        current || (await UserController._repository(req).findById(id));
+      if (!user) {
+        return { user: null, emailChange };
+      }
+
+      if (email === user.email) {
+        fields.email = email;
+      } else {
+        emailChange = await new UserEmailChangeService(
+          UserController._repository(req)
+        ).request(user, email, { expectedVersion, context });
+        if (!emailChange) {
+          return { user: null, emailChange };
+        }
+
+        if (expectedVersion !== undefined) {
+          expectedVersion = emailChange.user.version;
+        }
+        await UserController._notifyEmailChange(emailChange, req.tenant);
+      }
+    }
+
+    const user =
+      emailChange && Object.keys(fields).length === 0
+        ? emailChange.user
+        : await UserController._repository(req).update(id, fields, {
+            expectedVersion,
+            context,
+          });
+
+    return { user, emailChange };
+  }
+
+  /**
+   * Responder 200 con el usuario actualizado y su ETag
+   *
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {User} user - Usuario actualizado
+   * @param {Object|null} emailChange - Cambio de email pendiente, si se solicitó
+   * @private
+   */
+  static _sendUpdated(res, user, emailChange) {
+    res.set("ETag", user.getETag());
+    res.status(200).json({
+      success: true,
+      message: emailChange
+        ? t("users.updatedPendingEmail")
+        : t("users.updated"),
+      data: user.toJSON(),
+    });
+  }
+
+  /**
+   * Enviar los emails de un cambio de email pendiente
+   *
+   * Igual que el email de bienvenida, un fallo en el envío no hace fallar la
+   * petición: el cambio queda pendiente hasta que caduca o se solicita otro.
+   *
+   * @param {Object} emailChange - Resultado de UserEmailChangeService#request
+   * @param {Object} [tenant] - Tenant de la petición (req.tenant), para la marca de los emails
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _notifyEmailChange(
+    { user, oldEmail, expiresAt, confirmToken, revertToken },
+    tenant
+  ) {
+    try {
+      if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
+        const emailService = await getEmailService();
+        const branding = getTenantBranding(tenant);
+        await emailService.sendEmailChangeConfirmation(user.pendingEmail, {
+          name: user.name,
+          token: confirmToken,
+          expiresAt,
+          ttlHours: userConfig.emailChange.ttlHours,
+          ...(branding && { branding }),
+        });
+        await emailService.sendEmailChangeNotice(oldEmail, {
+          name: user.name,
+          newEmail: user.pendingEmail,
+          token: revertToken,
+          ...(branding && { branding }),
+        });
+      } else {
+        logger.info("Email no configurado: se omite el envío", {
+          email: "confirmación de cambio de email",
+        });
+      }
+    } catch (emailError) {
+      logger.warn("Error al enviar los emails de cambio de email", {
+        error: emailError,
+      });
+    }
+  }
+
+  /**
+   * Confirmar o revertir un cambio de email con UserEmailChangeService
+   *
+   * Los errores del servicio (EmailChangeError) llevan su código HTTP; una
+   * escritura concurrente sobre el usuario responde 409 para que se reintente.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {string} action - "confirm" o "revert"
+   * @param {{success: string, failure: string}} messages - Mensajes de la respuesta
+   * @private
+   */
+  static async _resolveEmailChange(req, res, action, messages) {
+    try {
+      const user = await new UserEmailChangeService(
+        UserController._repository(req)
+      )[action](req.body.token, { context: UserController._auditContext(req) });
+
+      res.set("ETag", user.getETag());
+      res.status(200).json({
+        success: true,
+        message: messages.success,
+        data: user.toJSON(),
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: error instanceof ApiError ? error.status : 400,
+        message: messages.failure,
+      });
+    }
+  }
+
+  /**
+   * Calcular qué campos cambia un parche respecto a la representación original
+   *
+   * @param {Object} original - Usuario antes del parche (toJSON)
+   * @param {Object} patched - Resultado de aplicar el parche
+   * @returns {{changes: Object, readOnly: string[]}} Cambios en campos
+   * modificables (undefined si se eliminaron) y campos de solo lectura tocados
+   * @private
+   */
+  static _patchChanges(original, patched) {
+    const changes = {};
+    const readOnly = [];
+    const fields = new Set([...Object.keys(original), ...Object.keys(patched)]);
+
+    fields.forEach((field) => {
+      if (isEqual(original[field], patched[field])) {
+        return;
+      }
+
+      if (WRITABLE_FIELDS.includes(field)) {
+        changes[field] = patched[field];
+      } else {
+        readOnly.push(field);
+      }
+    });
+
+    return { changes, readOnly };
+  }
+
+  /**
+   * Calcular los cambios de perfil entre el perfil original y el parcheado
+   *
+   * @param {Object} original - Perfil antes del parche
+   * @param {Object} patched - Perfil resultante del parche
+   * @returns {Object} Claves nuevas o modificadas y null en las eliminadas
+   * @private
+   */
+  static _profileChanges(original, patched) {
+    const changes = {};
+
+    Object.keys(original).forEach((key) => {
+      if (!(key in patched)) {
+        changes[key] = null;
+      }
+    });
+    Object.entries(patched).forEach(([key, value]) => {
+      if (!isEqual(original[key], value)) {
+        changes[key] = value;
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Responder 412 indicando la versión vigente del usuario
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {User|undefined} current - Usuario en su estado actual
+   * @private
+   */
+  static _sendPreconditionFailed(req, res, current) {
+    if (current) {
+      res.set("ETag", current.getETag());
+    }
+
+    sendError(
+      req,
+      res,
+      new ApiError(t("users.versionConflict"), {
+        status: 412,
+        detail: t("users.versionConflictDetail"),
+        extensions: current ? { currentVersion: current.version } : undefined,
+      })
+    );
+  }
+
+  /**
+   * Repositorio de usuarios de una petición
+   *
+   * Con multi-tenencia (req.tenant, de resolveTenant) es la vista del
+   * repositorio limitada al tenant; si no, el repositorio completo.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @returns {UserRepository|DatabaseUserRepository} Repositorio a usar
+   * @private
+   */
+  static _repository(req) {
+    return req.tenant
+      ? userRepository.forTenant(req.tenant.id)
+      : userRepository;
+  }
+
+  /**
+   * Contexto de auditoría de una petición: quién hace el cambio y su ID
+   *
+   * El actor es el usuario autenticado (req.user, de authenticateToken en
+   * modules/auth.js) o "anonymous" si la ruta no exige autenticación.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @returns {{actor: string, requestId: string|undefined}} Contexto para el repositorio
+   * @private
+   */
+  static _auditContext(req) {
+    return {
+      actor: req.user
+        ? String(req.user.email || req.user.userId)
+        : ANONYMOUS_ACTOR,
+      requestId: req.requestId,
+    };
+  }
+
+  /**
+   * Comprobar si una cabecera If-Match / If-None-Match incluye un ETag
+   *
+   * Acepta "*" y listas separadas por comas. If-Match usa comparación fuerte
+   * (un ETag débil W/"..." nunca coincide); If-None-Match usa comparación
+   * débil, como indica RFC 7232.
+   *
+   * @param {string} header - Valor de la cabecera
+   * @param {string} etag - ETag actual del recurso
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.weak=false] - Usar comparación débil
+   * @returns {boolean} true si alguno de los ETags coincide
+   * @private
+   */
+  static _etagMatches(header, etag, { weak = false } = {}) {
+    return header
+      .split(",")
+      .map((value) => value.trim())
+      .some((candidate) => {
+        if (candidate === "*") {
+          return true;
+        }
+
+        if (candidate.startsWith("W/")) {
+          return weak && candidate.slice(2) === etag;
+        }
+
+        return candidate === etag;
+      });
+  }
+
+  /**
+   * Responder con un único usuario y su ETag, o 304 si el cliente ya lo tiene
+   *
+   * El cuerpo respeta ?fields= y ?expand= (req.projection). Las expansiones
+   * pueden cambiar sin que cambie la versión del usuario, por lo que con
+   * ellas no se envía el ETag de la versión (Express calcula uno a partir del
+   * contenido).
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {User} user - Usuario a devolver
+   * @param {string} message - Mensaje de la respuesta
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _sendUser(req, res, user, message) {
+    if (req.projection.expand.length === 0) {
+      const etag = user.getETag();
+      res.set("ETag", etag);
+
+      const ifNoneMatch = req.get("If-None-Match");
+      if (
+        ifNoneMatch !== undefined &&
+        UserController._etagMatches(ifNoneMatch, etag, { weak: true })
+      ) {
+        return res.status(304).end();
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: await UserController._presentUser(req, user),
+    });
+  }
+
+  /**
+   * Propiedades que el repositorio debe leer para una proyección
+   *
+   * Además de los campos pedidos se leen siempre id y version (ETag y
+   * expansiones) y email si se expande el estado de los emails.
+   *
+   * @param {{fields: string[]|null, expand: string[]}} projection - Proyección validada
+   * @returns {string[]|undefined} Propiedades a leer, o undefined para todas
+   * @private
+   */
+  static _repositoryFields({ fields, expand }) {
+    if (!fields) {
+      return undefined;
+    }
+
+    return [
+      ...new Set([
+        "id",
+        "version",
+        ...fields,
+        ...(expand.includes("emails") ? ["email"] : []),
+      ]),
+    ];
+  }
+
+  /**
+   * Representación de un usuario según ?fields= y ?expand=
+   *
+   * - history: últimos cambios del historial (userConfig.expand.historyLimit)
+   * - emails: estado de entrega de sus emails, o null si el email no está configurado
+   *
+   * @param {Object} req - Objeto de solicitud Express (con req.projection)
+   * @param {User} user - Usuario a representar
+   * @returns {Promise<Object>} Campos solicitados más las expansiones
+   * @private
+   */
+  static async _presentUser(req, user) {
+    const { fields, expand } = req.projection;
+    const data = user.toProjection(fields);
+
+    if (expand.includes("history")) {
+      const { auditLog } = UserController._repository(req);
+      const { entries } = await auditLog.findPage({
+        filters: { entityId: user.id },
+        limit: userConfig.expand.historyLimit,
+        offset: 0,
+      });
+      data.history = entries.map((entry) => entry.toJSON());
+    }
+
+    if (expand.includes("emails")) {
+      data.emails = await UserController._emailDeliveryStatus(user.email);
+    }
+
+    return data;
+  }
+
+  /**
+   * Representar una lista de usuarios según ?fields= y ?expand=
+   *
+   * @param {Object} req - Objeto de solicitud Express (con req.projection)
+   * @param {User[]} users - Usuarios a representar
+   * @returns {Promise<Object[]>} Usuarios representados, en el mismo orden
+   * @private
+   */
+  static async _presentUsers(req, users) {
+    return Promise.all(
+      users.map((user) => UserController._presentUser(req, user))
+    );
+  }
+
+  /**
+   * Estado de entrega de los emails de un usuario
+   *
+   * @param {string} email - Email del usuario
+   * @returns {Promise<Object|null>} Resultado de EmailService#getDeliveryStatus, o null sin configuración de email
+   * @private
+   */
+  static async _emailDeliveryStatus(email) {
+    if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) {
+      return null;
+    }
+
+    const emailService = await getEmailService();
+    return emailService.getDeliveryStatus(email);
+  }
+
+  /**
+   * Responder con una página de usuarios o de historial, su metadata y enlaces
+   *
+   * @param {Object} req - Objeto de solicitud Express (con req.listQuery)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {{items: Array<AuditEntry|Object>, total: number}} result - Página obtenida del repositorio (entradas o usuarios ya representados)
+   * @param {string} message - Mensaje de la respuesta
+   * @param {Object} [extra] - Campos adicionales de la respuesta
+   * @private
+   */
+  static _sendPage(req, res, { items, total }, message, extra = {}) {
+    const { filters, sort, limit, offset, fingerprint } = req.listQuery;
+
+    const page = Math.floor(offset / limit) + 1;
+    const nextCursor =
+      offset + limit < total ? encodeCursor(offset + limit, fingerprint) : null;
+    const prevCursor =
+      offset > 0
+        ? encodeCursor(Math.max(offset - limit, 0), fingerprint)
+        : null;
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: items.map((item) =>
+        typeof item.toJSON === "function" ? item.toJSON() : item
+      ),
+      count: items.length,
+      ...extra,
+      pagination: {
+        ...buildPaginationMetadata({ page, limit, total }),
+        nextCursor,
+        prevCursor,
+      },
+      links: {
+        self: UserController._buildListLink(req, req.query.cursor),
+        next: nextCursor && UserController._buildListLink(req, nextCursor),
+        prev: prevCursor && UserController._buildListLink(req, prevCursor),
+      },
+      filters,
+      sort,
+    });
+  }
+
+  /**
+   * Construir el enlace a una página del listado de usuarios
+   *
+   * Conserva los parámetros de la consulta original y sustituye el cursor.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {string|undefined} cursor - Cursor de la página enlazada
+   * @returns {string} Ruta relativa con query string
+   * @private
+   */
+  static _buildListLink(req, cursor) {
+    const params = new URLSearchParams();
+
+    Object.entries(req.query).forEach(([key, value]) => {
+      if (key !== "cursor" && typeof value === "string") {
+        params.set(key, value);
+      }
+    });
+
+    if (cursor) {
+      params.set("cursor", cursor);
+    }
+
+    const query = params.toString();
+    return `${req.baseUrl}${req.path === "/" ? "" : req.path}${
+      query ? `?${query}` : ""
+    }`;
+  }
 }
 
 module.exports = UserController;
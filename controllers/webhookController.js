@@ -0,0 +1,354 @@
+const { webhookRepository } = require("../models/Webhook");
+const WebhookService = require("../services/webhookService");
+const { WebhookError } = require("../services/webhookService");
+const { NotFoundError, sendError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/**
+ * Controlador de suscripciones de webhooks salientes
+ *
+ * Las entregas las hace WebhookService, suscrito al bus de eventos en
+ * app.js; este controlador gestiona las suscripciones, el registro de
+ * entregas, los reenvíos manuales y los eventos de prueba.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class WebhookController {
+  /**
+   * Listar las suscripciones (sin sus secretos)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con las suscripciones
+   */
+  static async list(req, res) {
+    try {
+      const webhooks = await WebhookController._repository(req).findAll();
+
+      res.status(200).json({
+        success: true,
+        message: t("webhooks.listed"),
+        data: webhooks.map((webhook) => webhook.toJSON()),
+        count: webhooks.length,
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("webhooks.listFailed"),
+      });
+    }
+  }
+
+  /**
+   * Crear una suscripción
+   *
+   * La respuesta incluye el secreto de la firma; después ya no se muestra.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - url, events, description y secret (validados por validateWebhook)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 201 con la suscripción y su secreto
+   *
+   * @example
+   * // POST /api/webhooks
+   * {
+   *   "url": "https://partner.example.com/hooks/usuarios",
+   *   "events": ["user.created", "email.failed"]
+   * }
+   */
+  static async create(req, res) {
+    try {
+      const { url, events, description, secret } = req.body;
+      const webhook = await WebhookController._repository(req).create({
+        url,
+        events,
+        description,
+        secret,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: t("webhooks.created"),
+        data: { ...webhook.toJSON(), secret: webhook.secret },
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("webhooks.createFailed"),
+      });
+    }
+  }
+
+  /**
+   * Obtener una suscripción
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la suscripción o 404
+   */
+  static async getById(req, res) {
+    try {
+      const webhook = await WebhookController._repository(req).findById(
+        req.params.id
+      );
+      if (!webhook) {
+        return WebhookController._sendNotFound(req, res);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: t("webhooks.retrieved"),
+        data: webhook.toJSON(),
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("webhooks.retrieveFailed"),
+      });
+    }
+  }
+
+  /**
+   * Modificar una suscripción
+   *
+   * Reactivarla (active: true) pone a cero los fallos seguidos y borra el
+   * motivo de la desactivación automática.
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.body - url, events, description, secret y/o active (validados por validateWebhookUpdate)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la suscripción o 404
+   */
+  static async update(req, res) {
+    try {
+      const changes = {};
+      for (const field of ["url", "events", "description", "secret"]) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      if (req.body.active === true) {
+        Object.assign(changes, {
+          active: true,
+          consecutiveFailures: 0,
+          disabledAt: null,
+          disabledReason: null,
+        });
+      } else if (req.body.active === false) {
+        changes.active = false;
+      }
+
+      const webhook = await WebhookController._repository(req).update(
+        req.params.id,
+        changes
+      );
+      if (!webhook) {
+        return WebhookController._sendNotFound(req, res);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: t("webhooks.updated"),
+        data: webhook.toJSON(),
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("webhooks.updateFailed"),
+      });
+    }
+  }
+
+  /**
+   * Eliminar una suscripción y su registro de entregas
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 o 404
+   */
+  static async remove(req, res) {
+    try {
+      if (!(await WebhookController._repository(req).delete(req.params.id))) {
+        return WebhookController._sendNotFound(req, res);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: t("webhooks.deleted"),
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("webhooks.deleteFailed"),
+      });
+    }
+  }
+
+  /**
+   * Listar las entregas de un webhook, de la más reciente a la más antigua
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} req.deliveryQuery - { status, limit } (validateWebhookDeliveryQuery)
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con las entregas o 404
+   */
+  static async getDeliveries(req, res) {
+    try {
+      const repository = WebhookController._repository(req);
+      if (!(await repository.findById(req.params.id))) {
+        return WebhookController._sendNotFound(req, res);
+      }
+
+      const { deliveries, total } = await repository.findDeliveries(
+        req.params.id,
+        req.deliveryQuery
+      );
+
+      res.status(200).json({
+        success: true,
+        message: t("webhooks.deliveriesListed"),
+        data: deliveries.map((delivery) => delivery.toJSON()),
+        count: deliveries.length,
+        total,
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("webhooks.deliveriesFailed"),
+      });
+    }
+  }
+
+  /**
+   * Obtener una entrega con el resultado de cada intento
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la entrega o 404
+   */
+  static async getDelivery(req, res) {
+    try {
+      const repository = WebhookController._repository(req);
+      if (!(await repository.findById(req.params.id))) {
+        return WebhookController._sendNotFound(req, res);
+      }
+
+      const delivery = await repository.findDelivery(
+        req.params.id,
+        req.params.deliveryId
+      );
+      if (!delivery) {
+        return sendError(
+          req,
+          res,
+          new NotFoundError(t("webhooks.deliveryNotFound"))
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: t("webhooks.deliveryRetrieved"),
+        data: delivery.toJSON(),
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: 500,
+        message: t("webhooks.deliveryFailed"),
+      });
+    }
+  }
+
+  /**
+   * Reenviar una entrega (un único intento, también a webhooks desactivados)
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la entrega nueva (status succeeded o failed) o 404
+   */
+  static async redeliver(req, res) {
+    await WebhookController._sendDelivery(
+      req,
+      res,
+      t("webhooks.redelivery"),
+      () =>
+        new WebhookService(WebhookController._repository(req)).redeliver(
+          req.params.id,
+          req.params.deliveryId
+        )
+    );
+  }
+
+  /**
+   * Enviar un evento de prueba webhook.ping
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @returns {Promise<void>} Responde 200 con la entrega (status succeeded o failed) o 404
+   */
+  static async ping(req, res) {
+    await WebhookController._sendDelivery(req, res, t("webhooks.ping"), () =>
+      new WebhookService(WebhookController._repository(req)).ping(req.params.id)
+    );
+  }
+
+  /**
+   * Ejecutar un envío manual y responder con su entrega
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {string} label - Tipo de envío, para los mensajes
+   * @param {Function} send - async () => WebhookDelivery
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _sendDelivery(req, res, label, send) {
+    try {
+      const delivery = await send();
+      const succeeded = delivery.status === "succeeded";
+
+      res.status(200).json({
+        success: true,
+        message: succeeded
+          ? t("webhooks.manualDelivered", { label })
+          : t("webhooks.manualNotDelivered", { label }),
+        data: delivery.toJSON(),
+      });
+    } catch (error) {
+      sendError(req, res, error, {
+        status: error instanceof WebhookError ? error.status : 500,
+        message: t("webhooks.manualFailed", { label: label.toLowerCase() }),
+      });
+    }
+  }
+
+  /**
+   * Repositorio de webhooks de la petición
+   *
+   * Con multi-tenencia (req.tenant) solo se ven y se crean las suscripciones
+   * del tenant: un webhook de otro tenant no existe (404).
+   *
+   * @private
+   */
+  static _repository(req) {
+    return req.tenant
+      ? webhookRepository.forTenant(req.tenant.id)
+      : webhookRepository;
+  }
+
+  /**
+   * Responder 404 cuando el webhook no existe
+   *
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @private
+   */
+  static _sendNotFound(req, res) {
+    sendError(req, res, new NotFoundError(t("webhooks.notFound")));
+  }
+}
+
+module.exports = WebhookController;
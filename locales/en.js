@@ -0,0 +1,485 @@
+// Catálogo de mensajes de la API en inglés
+//
+// Las claves deben coincidir con las de locales/es.js: npm run i18n:check
+// informa de las que faltan. Ver modules/i18n.js.
+
+module.exports = {
+  common: {
+    empty: "(empty)",
+    apiName: "User Management API",
+    docs: "API documentation",
+    or: " or ",
+  },
+  fields: {
+    name: "Name",
+    email: "Email",
+    password: "Password",
+    status: "Status",
+    role: "Role",
+    profile: "Profile",
+    locale: "Language",
+    id: "ID",
+    isVerified: "isVerified",
+  },
+  validation: {
+    field: "Field {path}",
+    required: "{label} is required",
+    type: "{label} must be {type}",
+    types: {
+      string: "a string",
+      number: "a number",
+      integer: "an integer",
+      boolean: "true or false",
+      object: "an object",
+      array: "an array",
+    },
+    enum: "{label} must be one of: {values}",
+    format: "{label} does not have a valid format",
+    minLength: {
+      one: "{label} must be at least {count} character long",
+      other: "{label} must be at least {count} characters long",
+    },
+    maxLength: {
+      one: "{label} cannot exceed {count} character",
+      other: "{label} cannot exceed {count} characters",
+    },
+    minItems: {
+      one: "{label} must have at least {count} item",
+      other: "{label} must have at least {count} items",
+    },
+    maxItems: {
+      one: "{label} cannot exceed {count} item",
+      other: "{label} cannot exceed {count} items",
+    },
+    min: "{label} must be greater than or equal to {count}",
+    max: "{label} must be less than or equal to {count}",
+    invalidData: "Invalid data: {errors}",
+    user: {
+      nameRequired: "Name is required and must be a string",
+      emailFormat: "The email format is not valid",
+      passwordRequired: "Password is required",
+      roleInvalid: "Role must be a non-empty string",
+    },
+    isoDate: "{param} must be a valid ISO 8601 date",
+    dateOrder: "{from} cannot be later than {to}",
+    filterNonEmpty: "The {param} filter must be a non-empty string",
+    boolean: "{param} must be true or false",
+    oneOf: "{param} must be one of: {values}",
+    paramRequired: "{param} is required",
+    atLeastOne: "Provide at least one of: {fields}",
+    uuid: "{params} must be a valid UUID",
+    limitRange: "limit must be an integer between 1 and {max}",
+    filterOneOf: "The {param} filter must be one of: {values}",
+    profileFilterInvalid: "Invalid profile attribute: {key}",
+    sortFieldInvalid: "Invalid sort field: {field}. Allowed: {allowed}",
+    sortFieldRepeated: "Repeated sort field: {field}",
+    commaList: "The {param} parameter must be a comma-separated list",
+    reasonTooLong: {
+      one: "reason cannot exceed {count} character",
+      other: "reason cannot exceed {count} characters",
+    },
+    reasonRequired: 'reason is required to change to status "{status}"',
+    descriptionTooLong: {
+      one: "description must be a string of up to {count} character",
+      other: "description must be a string of up to {count} characters",
+    },
+    lengthBetween: "{param} must be between {min} and {max} characters long",
+    notModifiable: "{param} cannot be modified",
+    linkToken: "token is required and must be the text received in the link",
+    idFormat: "The ID must be a valid UUID",
+    userInvalid: "Invalid user data",
+    updateInvalid: "Invalid update data",
+    idInvalid: "Invalid ID format",
+    emailInvalid: "Invalid email format",
+    emailChangeTokenInvalid: "Invalid email change token",
+    invitationInvalid: "Invalid invitation data",
+    acceptInvalid: "Invalid acceptance data",
+    emailOverrideInvalid: "Invalid email change data",
+    requestInvalid: "Invalid request data",
+    allowedFields: "Allowed fields: {fields}",
+    missingData: "Missing required data",
+    missingDataDetail: "name, email and password are required",
+    noUpdateFields: "No valid fields were provided to update",
+    cursorInvalid: "Invalid cursor",
+    cursorInvalidDetail:
+      "The cursor is malformed or does not match the query filters and order",
+    emailDomainInvalid: "The emailDomain filter must be a valid domain",
+    sortNotString: "The sort parameter must be a string",
+    queryInvalid: "Invalid query parameters",
+    queryFailed: "Error validating the query",
+    reasonNonEmpty: "reason must be a non-empty string",
+    statusChangeInvalid: "Invalid status change",
+    statusChangeFailed: "Error validating the status change",
+  },
+  users: {
+    versionConflict: "The user was modified by another request",
+    invalidStatusTransition: 'Cannot change status from "{from}" to "{to}"',
+    emailBelongsToDeleted:
+      "The email belongs to a deleted user; restore it or wait for it to be purged",
+    emailTaken: "The email is already registered",
+    created: "User created successfully",
+    createFailed: "Error creating user",
+    listed: "Users retrieved successfully",
+    listFailed: "Error retrieving users",
+    notFound: "User not found",
+    retrieved: "User retrieved successfully",
+    retrieveFailed: "Error retrieving user",
+    deleted: "User deleted successfully",
+    deleteFailed: "Error deleting user",
+    deletedNotFound: "Deleted user not found",
+    restored: "User restored successfully",
+    restoreFailed: "Error restoring user",
+    statusTransitionNotAllowed: "Status transition not allowed",
+    statusChangeFailed: "Error changing the user status",
+    emailChange: {
+      confirmed: "Email updated successfully",
+      confirmFailed: "The email change could not be confirmed",
+      reverted: "Email change reverted",
+      revertFailed: "The email change could not be reverted",
+      overridden: "Email updated by an administrator",
+      overrideFailed: "Error changing the email",
+      sameEmail: "The new email is the same as the current one",
+      notPending: "The email change is no longer pending",
+      notRevertible: "The email change can no longer be reverted",
+    },
+    deletedListed: "Deleted users retrieved successfully",
+    deletedListFailed: "Error retrieving deleted users",
+    historyRetrieved: "History retrieved successfully",
+    historyFailed: "Error retrieving history",
+    notFoundByEmail: "No user found with that email",
+    found: "User found successfully",
+    searchFailed: "Error searching user",
+    updateFailed: "Error updating user",
+    updatedPendingEmail: "User updated; the new email is pending confirmation",
+    updated: "User updated successfully",
+    versionConflictDetail:
+      "The If-Match header does not match the current version; fetch the user again and retry",
+    statusChanged: "User status updated to {status}",
+    statusActionsAllowed: "Allowed actions: {actions}",
+    statusActionUnsupported: "Unsupported status action",
+  },
+  auth: {
+    blocked: {
+      invited: "The account has an invitation pending acceptance",
+      suspended: "The account is suspended",
+      locked: "The account is locked for security reasons",
+      deactivated: "The account is deactivated",
+    },
+    tokenRevoked: "Token revoked",
+    tokenExpired: "Token expired",
+    tokenInvalid: "Invalid token",
+    credentialsRequired: "Email and password are required",
+    tooManyLoginAttempts: "Too many login attempts. Try again later",
+    invalidCredentials: "Invalid credentials",
+    refreshTokenRequired: "Refresh token required",
+    refreshTokenInvalid: "Invalid refresh token",
+    tokenTypeInvalid: "Invalid token type",
+    loggedOut: "Logged out successfully",
+    emailRequired: "Email required",
+    resetRequested:
+      "If the email exists, you will receive recovery instructions",
+    resetTokenGenerated: "Recovery token generated",
+    resetDataRequired: "Token and new password are required",
+    resetTokenInvalid: "Invalid recovery token",
+    resetTokenExpired: "Recovery token expired",
+    tooManyTokenAttempts: "Too many attempts with this token",
+    passwordReset: "Password reset successfully",
+    verificationTokenExpired: "Verification token expired",
+    verificationTokenInvalid: "Invalid verification token",
+    emailVerified: "Email verified successfully",
+    accessTokenRequired: "Access token required",
+    notAuthenticated: "User not authenticated",
+    forbidden: "You do not have permission to access this resource",
+  },
+  emails: {
+    welcomeDataRequired: "userEmail and userData are required",
+    welcomeSent: "Welcome email sent successfully",
+    welcomeFailed: "Error sending welcome email",
+    resetDataRequired: "userEmail and resetData are required",
+    resetSent: "Password reset email sent successfully",
+    resetFailed: "Error sending password reset email",
+    verificationDataRequired: "userEmail and verificationData are required",
+    verificationSent: "Verification email sent successfully",
+    verificationFailed: "Error sending verification email",
+    notificationDataRequired:
+      "userEmail (or groupId) and notificationData are required",
+    notificationSent: "Notification sent successfully",
+    notificationFailed: "Error sending notification",
+    customFieldsRequired: 'The "to" and "subject" fields are required',
+    customContentRequired: "You must provide template, html or text",
+    customSent: "Email sent successfully",
+    customFailed: "Error sending custom email",
+    statsRetrieved: "Statistics retrieved successfully",
+    statsFailed: "Error retrieving statistics",
+    configRetrieved: "Configuration retrieved successfully",
+    configFailed: "Error retrieving configuration",
+    testSent: "Test email sent successfully",
+    testFailed: "Error sending test email",
+    templatesRetrieved: "Templates retrieved successfully",
+    templatesFailed: "Error retrieving templates",
+    groupNotificationSent: "Notification sent to the group successfully",
+    recipientUnavailable: "The recipient cannot receive this email",
+    groupRolesInvalid: "roles must be an array with roles from: {roles}",
+    accountStatus: 'The account is in status "{status}"',
+    recipientStatus: 'The account of {email} is in status "{status}"',
+    rateLimited: "Rate limit exceeded",
+    queued: "Email added to the send queue",
+  },
+  groups: {
+    listFailed: "Error retrieving groups",
+    listed: "Groups retrieved successfully",
+    createFailed: "Error creating group",
+    created: "Group created successfully",
+    retrieveFailed: "Error retrieving group",
+    retrieved: "Group retrieved successfully",
+    updateFailed: "Error updating group",
+    updated: "Group updated successfully",
+    deleteFailed: "Error deleting group",
+    deleted: "Group deleted successfully",
+    membersFailed: "Error retrieving members",
+    membersListed: "Members retrieved successfully",
+    memberAddFailed: "Error adding member",
+    memberAdded: "Member added successfully",
+    memberUpdateFailed: "Error updating member",
+    memberUpdated: "Member updated successfully",
+    memberRemoveFailed: "Error removing member",
+    memberRemoved: "Member removed from the group successfully",
+    userGroupsFailed: "Error retrieving the user's groups",
+    userGroupsListed: "User groups retrieved successfully",
+    invalid: "Invalid group data",
+    memberInvalid: "Invalid member data",
+    notFound: "Group not found",
+    alreadyMember: "The user already belongs to the group",
+    notMember: "The user does not belong to the group",
+    nameTaken: 'A group named "{name}" already exists',
+  },
+  webhooks: {
+    listed: "Webhooks retrieved successfully",
+    listFailed: "Error retrieving webhooks",
+    created: "Webhook created successfully",
+    createFailed: "Error creating webhook",
+    retrieved: "Webhook retrieved successfully",
+    retrieveFailed: "Error retrieving webhook",
+    updated: "Webhook updated successfully",
+    updateFailed: "Error updating webhook",
+    deleted: "Webhook deleted successfully",
+    deleteFailed: "Error deleting webhook",
+    deliveriesListed: "Deliveries retrieved successfully",
+    deliveriesFailed: "Error retrieving deliveries",
+    deliveryNotFound: "Delivery not found",
+    deliveryRetrieved: "Delivery retrieved successfully",
+    deliveryFailed: "Error retrieving delivery",
+    redelivery: "Redelivery",
+    ping: "Test event",
+    notFound: "Webhook not found",
+    manualDelivered: "{label} delivered successfully",
+    manualNotDelivered:
+      "{label} not delivered: the receiver did not respond with 2xx",
+    manualFailed: "Error in {label}",
+    urlInvalid: "url must be a valid http or https URL",
+    urlPrivate:
+      "url cannot point to localhost, loopback, link-local or a private network",
+    eventsInvalid: 'events must be an array with "*" or events from: {events}',
+    disabledAfterFailures: {
+      one: "Disabled after {count} failed delivery",
+      other: "Disabled after {count} consecutive failed deliveries",
+    },
+    invalid: "Invalid webhook data",
+  },
+  invitations: {
+    listFailed: "Error retrieving invitations",
+    listed: "Invitations retrieved successfully",
+    createFailed: "Error creating the invitation",
+    sent: "Invitation sent successfully",
+    resendFailed: "Error resending the invitation",
+    resent: "Invitation resent successfully",
+    revokeFailed: "Error revoking the invitation",
+    revoked: "Invitation revoked successfully",
+    acceptFailed: "Error accepting the invitation",
+    accepted: "Invitation accepted; the account is now active",
+    pending: "There is already a pending invitation for this email",
+    notFound: "Invitation not found",
+    linkSuperseded:
+      "The link is no longer valid; use the one in the latest invitation received",
+    alreadyAccepted: "The invitation has already been accepted",
+  },
+  attributes: {
+    listFailed: "Error retrieving attributes",
+    listed: "Attributes retrieved successfully",
+    createFailed: "Error creating attribute",
+    created: "Attribute created successfully",
+    retrieveFailed: "Error retrieving attribute",
+    retrieved: "Attribute retrieved successfully",
+    updateFailed: "Error updating attribute",
+    updated: "Attribute updated successfully",
+    deleteFailed: "Error deleting attribute",
+    deleted: "Attribute deleted successfully",
+    invalid: "Invalid attribute data",
+    keyInvalid: "Invalid attribute key",
+    keyFormat:
+      "The key must start with a lowercase letter and have up to 40 letters, numbers or _",
+    label: 'The attribute "{key}"',
+    patternMismatch: "{label} does not have the expected format",
+    dateFormat: "{label} must be a date in YYYY-MM-DD format",
+    unknownType: "{label} has an unknown type",
+    typeInvalid: "The type must be one of: {types}",
+    optionNotAllowed: "{field} is only allowed in attributes of type {types}",
+    enumType: "enum values must be of type {type}",
+    lengthLimit: "{field} must be a non-negative integer (text length)",
+    numberLimit: "{field} must be a number",
+    labelInvalid: "label must be a string of up to 50 characters",
+    descriptionInvalid: "description must be a string of up to 200 characters",
+    requiredInvalid: "required must be true or false",
+    enumEmpty: "enum must be a non-empty list of values",
+    enumDuplicates: "enum cannot contain repeated values",
+    patternInvalid: "pattern must be a string of up to 200 characters",
+    patternRegex: "pattern is not a valid regular expression",
+    patternNested:
+      "pattern cannot contain nested quantifiers such as (a+)+ (they can block the server)",
+    patternMaxRequired: "max (maximum text length) is required with pattern",
+    minGreaterThanMax: "min cannot be greater than max",
+    profileNotObject: "The profile must be an object",
+    required: 'The attribute "{key}" is required',
+    undefined: 'The attribute "{key}" is not defined',
+    notFound: "Attribute not found",
+    keyTaken: 'An attribute with the key "{key}" already exists',
+  },
+  errors: {
+    malformedJson: "Malformed JSON",
+    malformedJsonDetail: "The request body contains invalid JSON",
+    internalServer: "Internal server error",
+    jsonContentType: "Content-Type must be application/json",
+    internal: "Internal error",
+    routeNotFound: "Route not found",
+  },
+  audit: {
+    retrieved: "Audit log retrieved successfully",
+    failed: "Error retrieving audit log",
+  },
+  bulk: {
+    completed: "Bulk operation completed",
+    rolledBack: "Bulk operation rolled back: no changes were applied",
+    completedWithErrors: "Bulk operation completed with errors",
+    failed: "Error processing bulk operation",
+    maxOperations: {
+      one: "The maximum is {count} operation per request",
+      other: "The maximum is {count} operations per request",
+    },
+    invalid: "Invalid batch of operations",
+    operationsRequired:
+      "An operations array with at least one operation is required",
+    tooLarge: "Batch too large",
+    validationFailed: "Error validating the batch",
+    reverted: "Reverted: another operation in the batch failed",
+    notApplied: "Not applied: another operation in the batch failed",
+    userRepeated: "The user already appears in another operation of the batch",
+    emailRepeated: "The email is repeated in another operation of the batch",
+    unsupportedOperation: "Unsupported operation; use {operations}",
+    noUpdateFields:
+      "No valid fields were provided to update; allowed: {fields}",
+    revertFailed: "Could not be reverted: {error}",
+  },
+  idempotency: {
+    invalidKey: "Invalid Idempotency-Key",
+    invalidKeyDetail:
+      "The key must have between 1 and 255 visible ASCII characters",
+    keyReused: "Idempotency-Key reused with a different request",
+    keyReusedDetail:
+      "The key was already used with a different method, path or body; use a new key",
+    inProgress: "Request in progress",
+    inProgressDetail:
+      "Another request with the same Idempotency-Key has not finished yet; retry later",
+  },
+  links: {
+    invalid: "The link is not valid",
+    expired: "The link has expired",
+  },
+  patch: {
+    invalidResult: "The patch result is not a valid user",
+    resultNotObject: "The resulting document must be an object",
+    readOnlyFields: "The patch modifies read-only fields",
+    testFailed: "The patch test operation failed",
+    applyFailed: "The patch could not be applied",
+    readOnlyFieldsDetail: "Read-only fields: {fields}; writable: {writable}",
+    invalidJsonPatch: "Invalid JSON Patch document",
+    invalidMergePatch: "Invalid JSON Merge Patch document",
+    mergePatchEmpty: "The document must be an object with at least one field",
+    errors: {
+      invalidPointer:
+        'Operation {index}: "{pointer}" is not a valid JSON Pointer',
+      invalidEscape:
+        'Operation {index}: invalid escape sequence in "{pointer}"',
+      notArray: "The JSON Patch document must be an array of operations",
+      empty: "The JSON Patch document has no operations",
+      notObject: "Operation {index}: must be an object",
+      invalidOp: "Operation {index}: op must be one of: {operations}",
+      valueRequired: 'Operation {index}: "{op}" requires value',
+      fromRequired: 'Operation {index}: "{op}" requires from',
+      pathNotFound: 'Operation {index}: the path "{pointer}" does not exist',
+      indexOutOfRange: 'Operation {index}: index out of range in "{pointer}"',
+      removeRoot: "Operation {index}: the whole document cannot be removed",
+      moveIntoItself: 'Operation {index}: "{from}" cannot be moved into itself',
+      testFailed:
+        'Operation {index}: the value of "{path}" does not match the expected one',
+    },
+  },
+  sanitizer: {
+    failed: "Error sanitizing the input",
+    rejected: "Input not allowed",
+    html: "{path} cannot contain HTML",
+    length: {
+      one: "{path} exceeds {count} character",
+      other: "{path} exceeds {count} characters",
+    },
+    depth: {
+      one: "{path} exceeds the maximum depth of {count} level",
+      other: "{path} exceeds the maximum depth of {count} levels",
+    },
+    array: {
+      one: "{path} has more than {count} item",
+      other: "{path} has more than {count} items",
+    },
+    keys: {
+      one: "{path} has more than {count} key",
+      other: "{path} has more than {count} keys",
+    },
+    key: 'The key "{key}" is not allowed ({path})',
+  },
+  stats: {
+    retrieved: "Statistics retrieved successfully",
+    failed: "Error retrieving statistics",
+    tooManyPeriods: "The range spans too many periods; the maximum is {max}",
+  },
+  tenancy: {
+    required: "You must indicate the tenant ({header} header)",
+    notFound: "Tenant not found",
+    mismatch: "The tenants indicated by the request do not match",
+    idInvalid: "The tenant ID is not valid",
+  },
+  transfer: {
+    exportFailed: "Error exporting users",
+    invalidFile: "Invalid import file",
+    fileTooLarge: "Import file too large",
+    validated: "Import validation completed",
+    rejected: "Import rejected: no users were imported",
+    imported: "Import completed",
+    importFailed: "Error importing users",
+    maxRows: {
+      one: "The maximum is {count} row per import",
+      other: "The maximum is {count} rows per import",
+    },
+    bodyText: "The body must be {format} text (Content-Type {contentType})",
+    bodyJsonArray: "The body must be a JSON array of users",
+    invalid: "Invalid import",
+    csvUnclosedQuote: "Invalid CSV: unclosed quotes on line {line}",
+    columnCount: {
+      one: "The row has {count} column and the header {expected}",
+      other: "The row has {count} columns and the header {expected}",
+    },
+    jsonInvalid: "Invalid JSON: {error}",
+    csvEmailColumn: "Invalid CSV: the header must include the email column",
+    lineNotObject: "Each line must be a JSON object",
+    jsonNotArray: "Invalid JSON: the body must be an array of users",
+    itemNotObject: "Each item must be an object",
+  },
+};
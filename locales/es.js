@@ -0,0 +1,492 @@
+// Catálogo de mensajes de la API en español (idioma por defecto)
+//
+// Las claves deben coincidir con las de locales/en.js: npm run i18n:check
+// informa de las que faltan. Ver modules/i18n.js.
+
+module.exports = {
+  common: {
+    empty: "(vacío)",
+    apiName: "API de Gestión de Usuarios",
+    docs: "Documentación de la API",
+    or: " o ",
+  },
+  fields: {
+    name: "El nombre",
+    email: "El email",
+    password: "La contraseña",
+    status: "El estado",
+    role: "El rol",
+    profile: "El perfil",
+    locale: "El idioma",
+    id: "El ID",
+    isVerified: "isVerified",
+  },
+  validation: {
+    field: "El campo {path}",
+    required: "{label} es requerido",
+    type: "{label} debe ser {type}",
+    types: {
+      string: "una cadena de texto",
+      number: "un número",
+      integer: "un número entero",
+      boolean: "true o false",
+      object: "un objeto",
+      array: "un array",
+    },
+    enum: "{label} debe ser uno de: {values}",
+    format: "{label} no tiene un formato válido",
+    minLength: {
+      one: "{label} debe tener al menos {count} carácter",
+      other: "{label} debe tener al menos {count} caracteres",
+    },
+    maxLength: {
+      one: "{label} no puede exceder {count} carácter",
+      other: "{label} no puede exceder los {count} caracteres",
+    },
+    minItems: {
+      one: "{label} debe tener al menos {count} elemento",
+      other: "{label} debe tener al menos {count} elementos",
+    },
+    maxItems: {
+      one: "{label} no puede exceder {count} elemento",
+      other: "{label} no puede exceder los {count} elementos",
+    },
+    min: "{label} debe ser mayor o igual que {count}",
+    max: "{label} debe ser menor o igual que {count}",
+    invalidData: "Datos inválidos: {errors}",
+    user: {
+      nameRequired: "El nombre es requerido y debe ser una cadena de texto",
+      emailFormat: "El formato del email no es válido",
+      passwordRequired: "La contraseña es requerida",
+      roleInvalid: "El rol debe ser una cadena de texto no vacía",
+    },
+    isoDate: "{param} debe ser una fecha ISO 8601 válida",
+    dateOrder: "{from} no puede ser posterior a {to}",
+    filterNonEmpty: "El filtro {param} debe ser un texto no vacío",
+    boolean: "{param} debe ser true o false",
+    oneOf: "{param} debe ser uno de: {values}",
+    paramRequired: "{param} es requerido",
+    atLeastOne: "Indique al menos uno de: {fields}",
+    uuid: "{params} debe ser un UUID válido",
+    limitRange: "limit debe ser un entero entre 1 y {max}",
+    filterOneOf: "El filtro {param} debe ser uno de: {values}",
+    profileFilterInvalid: "Atributo de perfil inválido: {key}",
+    sortFieldInvalid:
+      "Campo de ordenamiento inválido: {field}. Permitidos: {allowed}",
+    sortFieldRepeated: "Campo de ordenamiento repetido: {field}",
+    commaList: "El parámetro {param} debe ser una lista separada por comas",
+    reasonTooLong: {
+      one: "reason no puede exceder {count} carácter",
+      other: "reason no puede exceder los {count} caracteres",
+    },
+    reasonRequired: 'reason es requerido para pasar al estado "{status}"',
+    descriptionTooLong: {
+      one: "description debe ser un texto de hasta {count} carácter",
+      other: "description debe ser un texto de hasta {count} caracteres",
+    },
+    lengthBetween: "{param} debe tener entre {min} y {max} caracteres",
+    notModifiable: "{param} no se puede modificar",
+    linkToken: "token es requerido y debe ser el texto recibido en el enlace",
+    idFormat: "El ID debe ser un UUID válido",
+    userInvalid: "Datos de usuario inválidos",
+    updateInvalid: "Datos de actualización inválidos",
+    idInvalid: "Formato de ID inválido",
+    emailInvalid: "Formato de email inválido",
+    emailChangeTokenInvalid: "Token de cambio de email inválido",
+    invitationInvalid: "Datos de invitación inválidos",
+    acceptInvalid: "Datos de aceptación inválidos",
+    emailOverrideInvalid: "Datos de cambio de email inválidos",
+    requestInvalid: "Datos de la petición inválidos",
+    allowedFields: "Campos permitidos: {fields}",
+    missingData: "Faltan datos requeridos",
+    missingDataDetail: "Se requieren name, email y password",
+    noUpdateFields: "No se proporcionaron campos válidos para actualizar",
+    cursorInvalid: "Cursor inválido",
+    cursorInvalidDetail:
+      "El cursor está malformado o no corresponde a los filtros y orden de la consulta",
+    emailDomainInvalid: "El filtro emailDomain debe ser un dominio válido",
+    sortNotString: "El parámetro sort debe ser un texto",
+    queryInvalid: "Parámetros de consulta inválidos",
+    queryFailed: "Error en validación de consulta",
+    reasonNonEmpty: "reason debe ser un texto no vacío",
+    statusChangeInvalid: "Cambio de estado inválido",
+    statusChangeFailed: "Error en validación de cambio de estado",
+  },
+  users: {
+    versionConflict: "El usuario fue modificado por otra petición",
+    invalidStatusTransition: 'No se puede pasar del estado "{from}" a "{to}"',
+    emailBelongsToDeleted:
+      "El email pertenece a un usuario eliminado; restáurelo o espere a su purga",
+    emailTaken: "El email ya está registrado",
+    created: "Usuario creado exitosamente",
+    createFailed: "Error al crear usuario",
+    listed: "Usuarios obtenidos exitosamente",
+    listFailed: "Error al obtener usuarios",
+    notFound: "Usuario no encontrado",
+    retrieved: "Usuario obtenido exitosamente",
+    retrieveFailed: "Error al obtener usuario",
+    deleted: "Usuario eliminado exitosamente",
+    deleteFailed: "Error al eliminar usuario",
+    deletedNotFound: "Usuario eliminado no encontrado",
+    restored: "Usuario restaurado exitosamente",
+    restoreFailed: "Error al restaurar usuario",
+    statusTransitionNotAllowed: "Transición de estado no permitida",
+    statusChangeFailed: "Error al cambiar el estado del usuario",
+    emailChange: {
+      confirmed: "Email actualizado exitosamente",
+      confirmFailed: "No se pudo confirmar el cambio de email",
+      reverted: "Cambio de email revertido",
+      revertFailed: "No se pudo revertir el cambio de email",
+      overridden: "Email actualizado por un administrador",
+      overrideFailed: "Error al cambiar el email",
+      sameEmail: "El nuevo email es igual al actual",
+      notPending: "El cambio de email ya no está pendiente",
+      notRevertible: "El cambio de email ya no puede revertirse",
+    },
+    deletedListed: "Usuarios eliminados obtenidos exitosamente",
+    deletedListFailed: "Error al obtener usuarios eliminados",
+    historyRetrieved: "Historial obtenido exitosamente",
+    historyFailed: "Error al obtener historial",
+    notFoundByEmail: "Usuario no encontrado con ese email",
+    found: "Usuario encontrado exitosamente",
+    searchFailed: "Error al buscar usuario",
+    updateFailed: "Error al actualizar usuario",
+    updatedPendingEmail:
+      "Usuario actualizado; el nuevo email queda pendiente de confirmación",
+    updated: "Usuario actualizado exitosamente",
+    versionConflictDetail:
+      "La cabecera If-Match no coincide con la versión actual; obtenga el usuario de nuevo y reintente",
+    statusChanged: "Estado del usuario actualizado a {status}",
+    statusActionsAllowed: "Acciones permitidas: {actions}",
+    statusActionUnsupported: "Acción de estado no soportada",
+  },
+  auth: {
+    blocked: {
+      invited: "La cuenta tiene una invitación pendiente de aceptar",
+      suspended: "La cuenta está suspendida",
+      locked: "La cuenta está bloqueada por seguridad",
+      deactivated: "La cuenta está dada de baja",
+    },
+    tokenRevoked: "Token revocado",
+    tokenExpired: "Token expirado",
+    tokenInvalid: "Token inválido",
+    credentialsRequired: "Email y contraseña son requeridos",
+    tooManyLoginAttempts: "Demasiados intentos de login. Intenta más tarde",
+    invalidCredentials: "Credenciales inválidas",
+    refreshTokenRequired: "Refresh token requerido",
+    refreshTokenInvalid: "Refresh token inválido",
+    tokenTypeInvalid: "Token type inválido",
+    loggedOut: "Logout exitoso",
+    emailRequired: "Email requerido",
+    resetRequested:
+      "Si el email existe, recibirás instrucciones de recuperación",
+    resetTokenGenerated: "Token de recuperación generado",
+    resetDataRequired: "Token y nueva contraseña son requeridos",
+    resetTokenInvalid: "Token de recuperación inválido",
+    resetTokenExpired: "Token de recuperación expirado",
+    tooManyTokenAttempts: "Demasiados intentos con este token",
+    passwordReset: "Contraseña restablecida exitosamente",
+    verificationTokenExpired: "Token de verificación expirado",
+    verificationTokenInvalid: "Token de verificación inválido",
+    emailVerified: "Email verificado exitosamente",
+    accessTokenRequired: "Token de acceso requerido",
+    notAuthenticated: "Usuario no autenticado",
+    forbidden: "No tienes permisos para acceder a este recurso",
+  },
+  emails: {
+    welcomeDataRequired: "userEmail y userData son requeridos",
+    welcomeSent: "Email de bienvenida enviado exitosamente",
+    welcomeFailed: "Error al enviar email de bienvenida",
+    resetDataRequired: "userEmail y resetData son requeridos",
+    resetSent: "Email de recuperación enviado exitosamente",
+    resetFailed: "Error al enviar email de recuperación",
+    verificationDataRequired: "userEmail y verificationData son requeridos",
+    verificationSent: "Email de verificación enviado exitosamente",
+    verificationFailed: "Error al enviar email de verificación",
+    notificationDataRequired:
+      "userEmail (o groupId) y notificationData son requeridos",
+    notificationSent: "Notificación enviada exitosamente",
+    notificationFailed: "Error al enviar notificación",
+    customFieldsRequired: 'Los campos "to" y "subject" son requeridos',
+    customContentRequired: "Debe proporcionar template, html o text",
+    customSent: "Email enviado exitosamente",
+    customFailed: "Error al enviar email personalizado",
+    statsRetrieved: "Estadísticas obtenidas exitosamente",
+    statsFailed: "Error al obtener estadísticas",
+    configRetrieved: "Configuración obtenida exitosamente",
+    configFailed: "Error al obtener configuración",
+    testSent: "Email de prueba enviado exitosamente",
+    testFailed: "Error al enviar email de prueba",
+    templatesRetrieved: "Templates obtenidos exitosamente",
+    templatesFailed: "Error al obtener templates",
+    groupNotificationSent: "Notificación enviada al grupo exitosamente",
+    recipientUnavailable: "El destinatario no puede recibir este email",
+    groupRolesInvalid: "roles debe ser un array con roles de: {roles}",
+    accountStatus: 'La cuenta está en estado "{status}"',
+    recipientStatus: 'La cuenta de {email} está en estado "{status}"',
+    rateLimited: "Rate limit excedido",
+    queued: "Email agregado a la cola de envío",
+  },
+  groups: {
+    listFailed: "Error al obtener grupos",
+    listed: "Grupos obtenidos exitosamente",
+    createFailed: "Error al crear grupo",
+    created: "Grupo creado exitosamente",
+    retrieveFailed: "Error al obtener grupo",
+    retrieved: "Grupo obtenido exitosamente",
+    updateFailed: "Error al actualizar grupo",
+    updated: "Grupo actualizado exitosamente",
+    deleteFailed: "Error al eliminar grupo",
+    deleted: "Grupo eliminado exitosamente",
+    membersFailed: "Error al obtener miembros",
+    membersListed: "Miembros obtenidos exitosamente",
+    memberAddFailed: "Error al añadir miembro",
+    memberAdded: "Miembro añadido exitosamente",
+    memberUpdateFailed: "Error al actualizar miembro",
+    memberUpdated: "Miembro actualizado exitosamente",
+    memberRemoveFailed: "Error al quitar miembro",
+    memberRemoved: "Miembro eliminado del grupo exitosamente",
+    userGroupsFailed: "Error al obtener grupos del usuario",
+    userGroupsListed: "Grupos del usuario obtenidos exitosamente",
+    invalid: "Datos de grupo inválidos",
+    memberInvalid: "Datos de miembro inválidos",
+    notFound: "Grupo no encontrado",
+    alreadyMember: "El usuario ya pertenece al grupo",
+    notMember: "El usuario no pertenece al grupo",
+    nameTaken: 'Ya existe un grupo con el nombre "{name}"',
+  },
+  webhooks: {
+    listed: "Webhooks obtenidos exitosamente",
+    listFailed: "Error al obtener webhooks",
+    created: "Webhook creado exitosamente",
+    createFailed: "Error al crear webhook",
+    retrieved: "Webhook obtenido exitosamente",
+    retrieveFailed: "Error al obtener webhook",
+    updated: "Webhook actualizado exitosamente",
+    updateFailed: "Error al actualizar webhook",
+    deleted: "Webhook eliminado exitosamente",
+    deleteFailed: "Error al eliminar webhook",
+    deliveriesListed: "Entregas obtenidas exitosamente",
+    deliveriesFailed: "Error al obtener entregas",
+    deliveryNotFound: "Entrega no encontrada",
+    deliveryRetrieved: "Entrega obtenida exitosamente",
+    deliveryFailed: "Error al obtener entrega",
+    redelivery: "Reenvío",
+    ping: "Evento de prueba",
+    notFound: "Webhook no encontrado",
+    manualDelivered: "{label} entregado exitosamente",
+    manualNotDelivered:
+      "{label} no entregado: el receptor no respondió con 2xx",
+    manualFailed: "Error en {label}",
+    urlInvalid: "url debe ser una URL http o https válida",
+    urlPrivate:
+      "url no puede apuntar a localhost, loopback, link-local ni a una red privada",
+    eventsInvalid: 'events debe ser un array con "*" o eventos de: {events}',
+    disabledAfterFailures: {
+      one: "Desactivado tras {count} entrega fallida",
+      other: "Desactivado tras {count} entregas fallidas seguidas",
+    },
+    invalid: "Datos de webhook inválidos",
+  },
+  invitations: {
+    listFailed: "Error al obtener invitaciones",
+    listed: "Invitaciones obtenidas exitosamente",
+    createFailed: "Error al crear la invitación",
+    sent: "Invitación enviada exitosamente",
+    resendFailed: "Error al reenviar la invitación",
+    resent: "Invitación reenviada exitosamente",
+    revokeFailed: "Error al revocar la invitación",
+    revoked: "Invitación revocada exitosamente",
+    acceptFailed: "Error al aceptar la invitación",
+    accepted: "Invitación aceptada; la cuenta ya está activa",
+    pending: "Ya hay una invitación pendiente para este email",
+    notFound: "Invitación no encontrada",
+    linkSuperseded:
+      "El enlace ya no es válido; use el de la última invitación recibida",
+    alreadyAccepted: "La invitación ya ha sido aceptada",
+  },
+  attributes: {
+    listFailed: "Error al obtener atributos",
+    listed: "Atributos obtenidos exitosamente",
+    createFailed: "Error al crear atributo",
+    created: "Atributo creado exitosamente",
+    retrieveFailed: "Error al obtener atributo",
+    retrieved: "Atributo obtenido exitosamente",
+    updateFailed: "Error al actualizar atributo",
+    updated: "Atributo actualizado exitosamente",
+    deleteFailed: "Error al eliminar atributo",
+    deleted: "Atributo eliminado exitosamente",
+    invalid: "Datos de atributo inválidos",
+    keyInvalid: "Clave de atributo inválida",
+    keyFormat:
+      "La clave debe empezar por una minúscula y tener hasta 40 letras, números o _",
+    label: 'El atributo "{key}"',
+    patternMismatch: "{label} no tiene el formato esperado",
+    dateFormat: "{label} debe ser una fecha con formato AAAA-MM-DD",
+    unknownType: "{label} tiene un tipo desconocido",
+    typeInvalid: "El tipo debe ser uno de: {types}",
+    optionNotAllowed: "{field} solo se admite en atributos de tipo {types}",
+    enumType: "Los valores de enum deben ser de tipo {type}",
+    lengthLimit: "{field} debe ser un entero no negativo (longitud del texto)",
+    numberLimit: "{field} debe ser un número",
+    labelInvalid: "label debe ser un texto de hasta 50 caracteres",
+    descriptionInvalid: "description debe ser un texto de hasta 200 caracteres",
+    requiredInvalid: "required debe ser true o false",
+    enumEmpty: "enum debe ser una lista de valores no vacía",
+    enumDuplicates: "enum no puede contener valores repetidos",
+    patternInvalid: "pattern debe ser un texto de hasta 200 caracteres",
+    patternRegex: "pattern no es una expresión regular válida",
+    patternNested:
+      "pattern no admite cuantificadores anidados como (a+)+ (pueden bloquear el servidor)",
+    patternMaxRequired:
+      "max (longitud máxima del texto) es obligatorio con pattern",
+    minGreaterThanMax: "min no puede ser mayor que max",
+    profileNotObject: "El perfil debe ser un objeto",
+    required: 'El atributo "{key}" es obligatorio',
+    undefined: 'El atributo "{key}" no está definido',
+    notFound: "Atributo no encontrado",
+    keyTaken: 'Ya existe un atributo con la clave "{key}"',
+  },
+  errors: {
+    malformedJson: "JSON malformado",
+    malformedJsonDetail: "El cuerpo de la petición contiene JSON inválido",
+    internalServer: "Error interno del servidor",
+    jsonContentType: "Content-Type debe ser application/json",
+    internal: "Error interno",
+    routeNotFound: "Ruta no encontrada",
+  },
+  audit: {
+    retrieved: "Registro de auditoría obtenido exitosamente",
+    failed: "Error al obtener registro de auditoría",
+  },
+  bulk: {
+    completed: "Operación masiva completada",
+    rolledBack: "Operación masiva revertida: no se aplicó ningún cambio",
+    completedWithErrors: "Operación masiva completada con errores",
+    failed: "Error al procesar operación masiva",
+    maxOperations: {
+      one: "El máximo es de {count} operación por petición",
+      other: "El máximo es de {count} operaciones por petición",
+    },
+    invalid: "Lote de operaciones inválido",
+    operationsRequired:
+      "Se requiere un array operations con al menos una operación",
+    tooLarge: "Lote demasiado grande",
+    validationFailed: "Error en validación del lote",
+    reverted: "Revertida: otra operación del lote falló",
+    notApplied: "No aplicada: otra operación del lote falló",
+    userRepeated: "El usuario ya aparece en otra operación del lote",
+    emailRepeated: "El email está repetido en otra operación del lote",
+    unsupportedOperation: "Operación no soportada; use {operations}",
+    noUpdateFields:
+      "No se proporcionaron campos válidos para actualizar; permitidos: {fields}",
+    revertFailed: "No se pudo revertir: {error}",
+  },
+  idempotency: {
+    invalidKey: "Idempotency-Key inválida",
+    invalidKeyDetail:
+      "La clave debe tener entre 1 y 255 caracteres ASCII visibles",
+    keyReused: "Idempotency-Key reutilizada con otra petición",
+    keyReusedDetail:
+      "La clave ya se usó con un método, ruta o cuerpo diferentes; use una clave nueva",
+    inProgress: "Petición en curso",
+    inProgressDetail:
+      "Otra petición con la misma Idempotency-Key aún no ha terminado; reintente más tarde",
+  },
+  links: {
+    invalid: "El enlace no es válido",
+    expired: "El enlace ha caducado",
+  },
+  patch: {
+    invalidResult: "El resultado del parche no es un usuario válido",
+    resultNotObject: "El documento resultante debe ser un objeto",
+    readOnlyFields: "El parche modifica campos de solo lectura",
+    testFailed: "La operación test del parche no se cumple",
+    applyFailed: "No se pudo aplicar el parche",
+    readOnlyFieldsDetail:
+      "Campos de solo lectura: {fields}; modificables: {writable}",
+    invalidJsonPatch: "Documento JSON Patch inválido",
+    invalidMergePatch: "Documento JSON Merge Patch inválido",
+    mergePatchEmpty: "El documento debe ser un objeto con al menos un campo",
+    errors: {
+      invalidPointer:
+        'Operación {index}: "{pointer}" no es un JSON Pointer válido',
+      invalidEscape:
+        'Operación {index}: secuencia de escape inválida en "{pointer}"',
+      notArray: "El documento JSON Patch debe ser un array de operaciones",
+      empty: "El documento JSON Patch no tiene operaciones",
+      notObject: "Operación {index}: debe ser un objeto",
+      invalidOp: "Operación {index}: op debe ser uno de: {operations}",
+      valueRequired: 'Operación {index}: "{op}" requiere value',
+      fromRequired: 'Operación {index}: "{op}" requiere from',
+      pathNotFound: 'Operación {index}: la ruta "{pointer}" no existe',
+      indexOutOfRange:
+        'Operación {index}: índice fuera de rango en "{pointer}"',
+      removeRoot:
+        "Operación {index}: no se puede eliminar el documento completo",
+      moveIntoItself:
+        'Operación {index}: no se puede mover "{from}" dentro de sí mismo',
+      testFailed:
+        'Operación {index}: el valor de "{path}" no coincide con el esperado',
+    },
+  },
+  sanitizer: {
+    failed: "Error en sanitización",
+    rejected: "Entrada no permitida",
+    html: "{path} no puede contener HTML",
+    length: {
+      one: "{path} supera {count} carácter",
+      other: "{path} supera los {count} caracteres",
+    },
+    depth: {
+      one: "{path} supera la profundidad máxima de {count} nivel",
+      other: "{path} supera la profundidad máxima de {count} niveles",
+    },
+    array: {
+      one: "{path} tiene más de {count} elemento",
+      other: "{path} tiene más de {count} elementos",
+    },
+    keys: {
+      one: "{path} tiene más de {count} clave",
+      other: "{path} tiene más de {count} claves",
+    },
+    key: 'La clave "{key}" no está permitida ({path})',
+  },
+  stats: {
+    retrieved: "Estadísticas obtenidas exitosamente",
+    failed: "Error al obtener estadísticas",
+    tooManyPeriods: "El rango abarca demasiados periodos; el máximo es {max}",
+  },
+  tenancy: {
+    required: "Debe indicar el tenant (cabecera {header})",
+    notFound: "Tenant no encontrado",
+    mismatch: "El tenant indicado por la petición no coincide",
+    idInvalid: "El ID de tenant no es válido",
+  },
+  transfer: {
+    exportFailed: "Error al exportar usuarios",
+    invalidFile: "Archivo de importación inválido",
+    fileTooLarge: "Archivo de importación demasiado grande",
+    validated: "Validación de importación completada",
+    rejected: "Importación rechazada: no se importó ningún usuario",
+    imported: "Importación completada",
+    importFailed: "Error al importar usuarios",
+    maxRows: {
+      one: "El máximo es de {count} fila por importación",
+      other: "El máximo es de {count} filas por importación",
+    },
+    bodyText: "El cuerpo debe ser texto {format} (Content-Type {contentType})",
+    bodyJsonArray: "El cuerpo debe ser un array JSON de usuarios",
+    invalid: "Importación inválida",
+    csvUnclosedQuote: "CSV inválido: comillas sin cerrar en la línea {line}",
+    columnCount: {
+      one: "La fila tiene {count} columna y la cabecera {expected}",
+      other: "La fila tiene {count} columnas y la cabecera {expected}",
+    },
+    jsonInvalid: "JSON inválido: {error}",
+    csvEmailColumn: "CSV inválido: la cabecera debe incluir la columna email",
+    lineNotObject: "Cada línea debe ser un objeto JSON",
+    jsonNotArray: "JSON inválido: el cuerpo debe ser un array de usuarios",
+    itemNotObject: "Cada elemento debe ser un objeto",
+  },
+};
@@ -1,247 +1,2099 @@
-const { User } = require("../models/User");
+const crypto = require("crypto");
+const {
+  REASON_REQUIRED_STATUSES,
+  USER_JSON_FIELDS,
+  USER_SCHEMA,
+  USER_UPDATE_FIELDS,
+} = require("../models/User");
+const { AUDIT_ACTIONS } = require("../models/AuditLog");
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require("../models/Webhook");
+const { GROUP_ROLES } = require("../models/Group");
+const {
+  UserAttribute,
+  ATTRIBUTE_KEY_REGEX,
+  ATTRIBUTE_UPDATE_FIELDS,
+} = require("../models/UserAttribute");
+const { userConfig } = require("../config/userConfig");
+const { isPrivateHost } = require("../modules/network");
+const {
+  logger,
+  getRequestContext,
+  runWithRequestContext,
+  redactUrl,
+} = require("../modules/logger");
+const { t, applyRequestLocale } = require("../modules/i18n");
+const { BULK_MODES } = require("../services/userBulkService");
+const {
+  JSON_PATCH_TYPE,
+  MERGE_PATCH_TYPE,
+  JsonPatchError,
+  validateJsonPatch,
+} = require("../modules/jsonPatch");
+const {
+  TRANSFER_FORMATS,
+  IMPORT_MODES,
+} = require("../services/userTransferService");
+const {
+  STATS_INTERVALS,
+  STATS_CSV_REPORTS,
+  resolveStatsRange,
+  buildPeriods,
+} = require("../services/userStatsService");
+const {
+  createQueryFingerprint,
+  decodeCursor,
+} = require("../modules/database/pagination");
+const {
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENT_REPLAYED_HEADER,
+  IDEMPOTENCY_KEY_REGEX,
+  REPLAYED_HEADERS,
+  fingerprintRequest,
+  createIdempotencyStore,
+} = require("../modules/idempotency");
+const {
+  TenantError,
+  resolveTenantId,
+  getTenant,
+} = require("../modules/tenancy");
+const { validateSchema, pickSchema } = require("../modules/schema");
+const { SanitizationError, sanitizeValue } = require("../modules/sanitizer");
+const {
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  sendError,
+} = require("../modules/errors");
+
+/** Partes de la petición que puede validar validateRequest */
+const REQUEST_LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Crear un middleware que valida la petición con esquemas (modules/schema.js)
+ *
+ * Valida cada parte indicada (params, query y body; las de query y params
+ * convierten los textos a número o booleano según el tipo). Si hay errores
+ * responde 400 con los mensajes en errors y, en fieldErrors, cada uno con
+ * su parte y su campo; si no, deja los valores normalizados (trim,
+ * lowercase y conversiones) en la petición.
+ *
+ * @param {Object} schemas - { params?, query?, body? } con el esquema de cada parte
+ * @param {Object} [options] - Opciones de la validación
+ * @param {string} [options.message="validation.requestInvalid"] - Clave del catálogo (locales/) del mensaje de la respuesta 400
+ * @param {boolean} [options.partial=false] - Validación parcial (los obligatorios pueden faltar)
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * router.post(
+ *   "/",
+ *   validateRequest(
+ *     { body: pickSchema(USER_SCHEMA, ["name", "email"]) },
+ *     { message: "validation.invitationInvalid" }
+ *   ),
+ *   controller.create
+ * );
+ * // 400 { success: false, message: "Datos de invitación inválidos",
+ * //       errors: ["El formato del email no es válido"],
+ * //       fieldErrors: [{ location: "body", field: "email",
+ * //                       message: "El formato del email no es válido" }] }
+ */
+const validateRequest = (
+  schemas,
+  { message = "validation.requestInvalid", partial = false } = {}
+) => {
+  const locations = REQUEST_LOCATIONS.filter((location) => schemas[location]);
+
+  return (req, res, next) => {
+    const errors = [];
+    const fieldErrors = [];
+    const values = {};
+
+    locations.forEach((location) => {
+      const result = validateSchema(schemas[location], req[location], {
+        partial,
+        coerce: location !== "body",
+      });
+
+      errors.push(...result.errors);
+      result.fieldErrors.forEach((error) =>
+        fieldErrors.push({ location, ...error })
+      );
+      values[location] = result.value;
+    });
+
+    if (errors.length > 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t(message), { errors, fieldErrors })
+      );
+    }
+
+    locations.forEach((location) => {
+      req[location] = Object.assign(req[location] || {}, values[location]);
+    });
+    next();
+  };
+};
+
+/**
+ * Esquema del parámetro :id de las rutas de usuarios
+ */
+const USER_ID_PARAMS_SCHEMA = {
+  id: {
+    type: "string",
+    required: true,
+    format: "uuid",
+    label: "fields.id",
+    description: "ID del usuario",
+    messages: { format: "validation.idFormat" },
+  },
+};
+
+/** Cuerpo de las altas de usuarios (status y role solo en altas internas) */
+const USER_CREATE_SCHEMA = pickSchema(USER_SCHEMA, USER_UPDATE_FIELDS);
 
 /**
  * Middleware de validación para usuarios
  */
 
+const validateUserBody = validateRequest(
+  { body: USER_CREATE_SCHEMA },
+  { message: "validation.userInvalid" }
+);
+
 /**
- * Validar datos para crear usuario
+ * Validar datos para crear usuario (USER_SCHEMA)
  */
 const validateUser = (req, res, next) => {
-  try {
-    const { name, email, password } = req.body;
-
-    // Verificar que se proporcionen todos los campos requeridos
-    if (!name && !email && !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Faltan datos requeridos",
-        error: "Se requieren name, email y password",
+  const { name, email, password } = req.body || {};
+
+  // Verificar que se proporcione algún campo requerido
+  if (!name && !email && !password) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("validation.missingData"), {
+        detail: t("validation.missingDataDetail"),
+      })
+    );
+  }
+
+  return validateUserBody(req, res, next);
+};
+
+const validateUserUpdateBody = validateRequest(
+  { body: USER_CREATE_SCHEMA },
+  { message: "validation.updateInvalid", partial: true }
+);
+
+/**
+ * Validar datos para actualizar usuario (USER_SCHEMA, campos opcionales)
+ */
+const validateUserUpdate = (req, res, next) => {
+  // Verificar que se proporcione al menos un campo para actualizar
+  const providedFields = Object.keys(req.body || {}).filter((key) =>
+    USER_UPDATE_FIELDS.includes(key)
+  );
+
+  if (providedFields.length === 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("validation.noUpdateFields"), {
+        detail: t("validation.allowedFields", {
+          fields: USER_UPDATE_FIELDS.join(", "),
+        }),
+      })
+    );
+  }
+
+  return validateUserUpdateBody(req, res, next);
+};
+
+/**
+ * Validar el cuerpo de PATCH /users/:id según su Content-Type
+ *
+ * - application/json-patch+json: documento RFC 6902 (array de operaciones)
+ * - application/merge-patch+json: documento RFC 7396 (objeto)
+ * - application/json: cuerpo plano de name, email, password y profile (validateUserUpdate)
+ *
+ * Para los dos formatos de parche solo se valida la estructura y se deja en
+ * req.patchDocument ({ type, document }); el resultado de aplicarlo lo
+ * valida el controlador con User.validate.
+ *
+ * @example
+ * // PATCH /users/:id  (Content-Type: application/json-patch+json)
+ * // [{ "op": "test", "path": "/version", "value": 3 },
+ * //  { "op": "replace", "path": "/name", "value": "Ana María" }]
+ */
+const validateUserPatch = (req, res, next) => {
+  if (req.is(JSON_PATCH_TYPE)) {
+    try {
+      validateJsonPatch(req.body);
+    } catch (error) {
+      if (!(error instanceof JsonPatchError)) {
+        throw error;
+      }
+      return sendError(req, res, error, {
+        status: 400,
+        message: t("patch.invalidJsonPatch"),
       });
     }
 
-    // Usar la validación del modelo
-    const validation = User.validate({ name, email, password });
+    req.patchDocument = { type: "json-patch", document: req.body };
+    return next();
+  }
 
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: "Datos de usuario inválidos",
-        errors: validation.errors,
+  if (req.is(MERGE_PATCH_TYPE)) {
+    const isObject =
+      req.body !== null &&
+      typeof req.body === "object" &&
+      !Array.isArray(req.body);
+
+    if (!isObject || Object.keys(req.body).length === 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("patch.invalidMergePatch"), {
+          detail: t("patch.mergePatchEmpty"),
+        })
+      );
+    }
+
+    req.patchDocument = { type: "merge-patch", document: req.body };
+    return next();
+  }
+
+  return validateUserUpdate(req, res, next);
+};
+
+/**
+ * Validar ID de usuario (UUID)
+ */
+const validateId = validateRequest(
+  { params: USER_ID_PARAMS_SCHEMA },
+  { message: "validation.idInvalid" }
+);
+
+/**
+ * Validar email en parámetros de ruta
+ */
+const validateEmail = validateRequest(
+  { params: pickSchema(USER_SCHEMA, ["email"]) },
+  { message: "validation.emailInvalid" }
+);
+
+/**
+ * Parámetros de listado de usuarios
+ */
+const USER_SORT_FIELDS = ["name", "email", "createdAt"];
+const DEFAULT_USER_LIST_LIMIT = 20;
+const MAX_USER_LIST_LIMIT = 100;
+
+/**
+ * Convertir un parámetro de fecha (ISO 8601) a cadena ISO completa
+ *
+ * Una fecha sin hora en el límite superior incluye el día completo.
+ */
+const parseDateParam = (value, endOfDay = false) => {
+  if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+
+  return date.toISOString();
+};
+
+/**
+ * Validar el parámetro limit de un listado paginado
+ *
+ * @returns {number} Tamaño de página (el error, si lo hay, se añade a errors)
+ */
+const parseLimitParam = (limit, errors) => {
+  if (limit === undefined) {
+    return DEFAULT_USER_LIST_LIMIT;
+  }
+
+  const pageSize = Number(limit);
+  if (
+    !Number.isInteger(pageSize) ||
+    pageSize < 1 ||
+    pageSize > MAX_USER_LIST_LIMIT
+  ) {
+    errors.push(t("validation.limitRange", { max: MAX_USER_LIST_LIMIT }));
+  }
+
+  return pageSize;
+};
+
+/**
+ * Obtener el desplazamiento de un cursor de paginación
+ *
+ * @returns {number|null} Desplazamiento, o null tras responder 400 si el cursor es inválido
+ */
+const resolveCursorOffset = (req, res, cursor, fingerprint) => {
+  if (cursor === undefined) {
+    return 0;
+  }
+
+  try {
+    return decodeCursor(String(cursor), fingerprint);
+  } catch (error) {
+    sendError(
+      req,
+      res,
+      new ValidationError(t("validation.cursorInvalid"), {
+        detail: t("validation.cursorInvalidDetail"),
+      })
+    );
+    return null;
+  }
+};
+
+/**
+ * Validar filtros, ordenamiento y paginación del listado de usuarios
+ *
+ * Deja en req.listQuery los criterios normalizados:
+ * { filters, sort, limit, offset, fingerprint }
+ *
+ * Los parámetros profile.<clave> filtran por atributos de perfil; quedan
+ * como texto en filters.profile y el controlador los convierte al tipo de
+ * cada atributo (UserAttributeService#parseFilters).
+ *
+ * @example
+ * // GET /users?name=juan&emailDomain=example.com&sort=name,-createdAt&limit=10
+ * // GET /users?profile.department=Ventas&profile.newsletter=true
+ */
+const validateUserListQuery = (req, res, next) => {
+  try {
+    const { name, emailDomain, createdFrom, createdTo, sort, limit, cursor } =
+      req.query;
+    const errors = [];
+    const filters = {};
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || name.trim().length === 0) {
+        errors.push(t("validation.filterNonEmpty", { param: "name" }));
+      } else {
+        filters.name = name.trim();
+      }
+    }
+
+    if (emailDomain !== undefined) {
+      const domainRegex = /^[^\s@]+\.[^\s@]+$/;
+      if (typeof emailDomain !== "string" || !domainRegex.test(emailDomain)) {
+        errors.push(t("validation.emailDomainInvalid"));
+      } else {
+        filters.emailDomain = emailDomain.toLowerCase();
+      }
+    }
+
+    if (createdFrom !== undefined) {
+      const parsed = parseDateParam(createdFrom);
+      if (!parsed) {
+        errors.push(t("validation.isoDate", { param: "createdFrom" }));
+      } else {
+        filters.createdFrom = parsed;
+      }
+    }
+
+    if (createdTo !== undefined) {
+      const parsed = parseDateParam(createdTo, true);
+      if (!parsed) {
+        errors.push(t("validation.isoDate", { param: "createdTo" }));
+      } else {
+        filters.createdTo = parsed;
+      }
+    }
+
+    if (
+      filters.createdFrom &&
+      filters.createdTo &&
+      filters.createdFrom > filters.createdTo
+    ) {
+      errors.push(
+        t("validation.dateOrder", { from: "createdFrom", to: "createdTo" })
+      );
+    }
+
+    Object.entries(req.query)
+      .filter(([param]) => param.startsWith("profile."))
+      .forEach(([param, value]) => {
+        const key = param.slice("profile.".length);
+        if (!ATTRIBUTE_KEY_REGEX.test(key)) {
+          errors.push(
+            t("validation.profileFilterInvalid", {
+              key: key || t("common.empty"),
+            })
+          );
+        } else if (typeof value !== "string" || value === "") {
+          errors.push(t("validation.filterNonEmpty", { param }));
+        } else {
+          filters.profile = { ...filters.profile, [key]: value };
+        }
+      });
+
+    // sort=name,-createdAt → [{field: "name", order: "asc"}, ...]
+    let sortCriteria = [{ field: "createdAt", order: "asc" }];
+    if (sort !== undefined) {
+      const parts = typeof sort === "string" ? sort.split(",") : [];
+      sortCriteria = [];
+
+      parts.forEach((part) => {
+        const descending = part.startsWith("-");
+        const field = descending ? part.slice(1) : part;
+
+        if (!USER_SORT_FIELDS.includes(field)) {
+          errors.push(
+            t("validation.sortFieldInvalid", {
+              field: field || t("common.empty"),
+              allowed: USER_SORT_FIELDS.join(", "),
+            })
+          );
+        } else if (sortCriteria.some((criteria) => criteria.field === field)) {
+          errors.push(t("validation.sortFieldRepeated", { field }));
+        } else {
+          sortCriteria.push({ field, order: descending ? "desc" : "asc" });
+        }
       });
+
+      if (parts.length === 0) {
+        errors.push(t("validation.sortNotString"));
+      }
+    }
+
+    const pageSize = parseLimitParam(limit, errors);
+
+    if (errors.length > 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("validation.queryInvalid"), { errors })
+      );
+    }
+
+    const fingerprint = createQueryFingerprint({ filters, sort: sortCriteria });
+
+    const offset = resolveCursorOffset(req, res, cursor, fingerprint);
+    if (offset === null) {
+      return;
     }
 
-    // Sanitizar datos
-    req.body.name = name.trim();
-    req.body.email = email.toLowerCase().trim();
+    req.listQuery = {
+      filters,
+      sort: sortCriteria,
+      limit: pageSize,
+      offset,
+      fingerprint,
+    };
 
     next();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error en validación",
-      error: error.message,
+    sendError(req, res, error, {
+      status: 500,
+      message: t("validation.queryFailed"),
     });
   }
 };
 
 /**
- * Validar datos para actualizar usuario
+ * Validar filtros y paginación del historial de cambios
+ *
+ * Sirve para GET /api/audit y GET /api/users/:id/history. Deja en
+ * req.listQuery { filters, sort, limit, offset, fingerprint }; el orden es
+ * siempre del cambio más reciente al más antiguo. El cursor incluye el ID
+ * del usuario de la ruta, si lo hay.
+ *
+ * @example
+ * // GET /api/audit?actor=admin@example.com&action=update&from=2025-01-01&to=2025-01-31
  */
-const validateUserUpdate = (req, res, next) => {
+const validateAuditQuery = (req, res, next) => {
   try {
-    const updateData = req.body;
+    const { actor, action, from, to, limit, cursor } = req.query;
+    const errors = [];
+    const filters = {};
 
-    // Verificar que se proporcione al menos un campo para actualizar
-    const allowedFields = ["name", "email", "password"];
-    const providedFields = Object.keys(updateData).filter((key) =>
-      allowedFields.includes(key)
-    );
+    if (actor !== undefined) {
+      if (typeof actor !== "string" || actor.trim().length === 0) {
+        errors.push(t("validation.filterNonEmpty", { param: "actor" }));
+      } else {
+        filters.actor = actor.trim();
+      }
+    }
 
-    if (providedFields.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "No se proporcionaron campos válidos para actualizar",
-        error: `Campos permitidos: ${allowedFields.join(", ")}`,
-      });
+    if (action !== undefined) {
+      if (!AUDIT_ACTIONS.includes(action)) {
+        errors.push(
+          t("validation.filterOneOf", {
+            param: "action",
+            values: AUDIT_ACTIONS.join(", "),
+          })
+        );
+      } else {
+        filters.action = action;
+      }
     }
 
-    // Usar la validación del modelo para actualización
-    const validation = User.validateUpdate(updateData);
+    if (from !== undefined) {
+      const parsed = parseDateParam(from);
+      if (!parsed) {
+        errors.push(t("validation.isoDate", { param: "from" }));
+      } else {
+        filters.from = parsed;
+      }
+    }
 
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: "Datos de actualización inválidos",
-        errors: validation.errors,
-      });
+    if (to !== undefined) {
+      const parsed = parseDateParam(to, true);
+      if (!parsed) {
+        errors.push(t("validation.isoDate", { param: "to" }));
+      } else {
+        filters.to = parsed;
+      }
     }
 
-    // Sanitizar datos si están presentes
-    if (updateData.name) {
-      req.body.name = updateData.name.trim();
+    if (filters.from && filters.to && filters.from > filters.to) {
+      errors.push(t("validation.dateOrder", { from: "from", to: "to" }));
     }
-    if (updateData.email) {
-      req.body.email = updateData.email.toLowerCase().trim();
+
+    const pageSize = parseLimitParam(limit, errors);
+
+    if (errors.length > 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("validation.queryInvalid"), { errors })
+      );
+    }
+
+    const sort = [{ field: "timestamp", order: "desc" }];
+    const fingerprint = createQueryFingerprint({
+      filters,
+      sort,
+      entityId: req.params.id,
+    });
+
+    const offset = resolveCursorOffset(req, res, cursor, fingerprint);
+    if (offset === null) {
+      return;
     }
 
+    req.listQuery = { filters, sort, limit: pageSize, offset, fingerprint };
+
     next();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error en validación de actualización",
-      error: error.message,
+    sendError(req, res, error, {
+      status: 500,
+      message: t("validation.queryFailed"),
     });
   }
 };
 
 /**
- * Validar ID de usuario (UUID)
+ * Datos relacionados que pueden incluirse con ?expand=
+ *
+ * - history: cambios más recientes del historial del usuario
+ * - emails: estado de entrega de los emails enviados al usuario
  */
-const validateId = (req, res, next) => {
+const USER_EXPANSIONS = ["history", "emails"];
+
+/**
+ * Convertir un parámetro "a,b,c" en lista validada contra los valores permitidos
+ *
+ * @returns {string[]} Valores sin repetir (los errores se añaden a errors)
+ */
+const parseListParam = (value, name, allowed, errors) => {
+  const parts =
+    typeof value === "string"
+      ? value
+          .split(",")
+          .map((part) => part.trim())
+          .filter(Boolean)
+      : [];
+
+  if (parts.length === 0) {
+    errors.push(t("validation.commaList", { param: name }));
+    return [];
+  }
+
+  const unknown = parts.filter((part) => !allowed.includes(part));
+  if (unknown.length > 0) {
+    errors.push(
+      `Valores desconocidos en ${name}: ${unknown.join(
+        ", "
+      )}. Permitidos: ${allowed.join(", ")}`
+    );
+  }
+
+  return [...new Set(parts)];
+};
+
+/**
+ * Validar la proyección (?fields=) y las expansiones (?expand=) de usuarios
+ *
+ * Deja en req.projection { fields, expand }: fields es null si no se pidió
+ * proyección y expand un array (vacío si no se pidió ninguna expansión).
+ *
+ * @example
+ * // GET /users?fields=id,name&expand=history
+ */
+const validateUserProjection = (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { fields, expand } = req.query;
+    const errors = [];
 
-    if (!id) {
-      return res.status(400).json({
-        success: false,
-        message: "ID de usuario requerido",
-      });
-    }
+    const projection = {
+      fields:
+        fields === undefined
+          ? null
+          : parseListParam(fields, "fields", USER_JSON_FIELDS, errors),
+      expand:
+        expand === undefined
+          ? []
+          : parseListParam(expand, "expand", USER_EXPANSIONS, errors),
+    };
 
-    // Validar formato UUID básico
-    const uuidRegex =
-      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(id)) {
-      return res.status(400).json({
-        success: false,
-        message: "Formato de ID inválido",
-        error: "El ID debe ser un UUID válido",
-      });
+    if (errors.length > 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("validation.queryInvalid"), { errors })
+      );
     }
 
+    req.projection = projection;
+
     next();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error en validación de ID",
-      error: error.message,
+    sendError(req, res, error, {
+      status: 500,
+      message: t("validation.queryFailed"),
     });
   }
 };
 
 /**
- * Validar email en parámetros de ruta
+ * Acciones administrativas de estado: último segmento de la ruta → estado de destino
+ */
+const USER_STATUS_ACTIONS = {
+  activate: "active",
+  suspend: "suspended",
+  lock: "locked",
+  deactivate: "deactivated",
+};
+
+const MAX_STATUS_REASON_LENGTH = 500;
+
+/**
+ * Validar una petición de cambio de estado (POST /users/:id/suspend, ...)
+ *
+ * Deduce el estado de destino de la ruta y valida el motivo, obligatorio
+ * para suspended, locked y deactivated. Deja el resultado en
+ * req.statusChange ({ status, reason }); si la transición está permitida
+ * desde el estado actual lo decide el modelo.
+ *
+ * @example
+ * // POST /users/:id/suspend
+ * // { "reason": "Spam reiterado en comentarios" }
  */
-const validateEmail = (req, res, next) => {
+const validateStatusChange = (req, res, next) => {
   try {
-    const { email } = req.params;
+    const status = USER_STATUS_ACTIONS[req.path.split("/").pop()];
+    if (!status) {
+      return sendError(
+        req,
+        res,
+        new NotFoundError(t("users.statusActionUnsupported"), {
+          detail: t("users.statusActionsAllowed", {
+            actions: Object.keys(USER_STATUS_ACTIONS).join(", "),
+          }),
+        })
+      );
+    }
 
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: "Email requerido",
-      });
+    const { reason } = req.body || {};
+    const errors = [];
+
+    if (reason !== undefined && reason !== null) {
+      if (typeof reason !== "string" || reason.trim().length === 0) {
+        errors.push(t("validation.reasonNonEmpty"));
+      } else if (reason.trim().length > MAX_STATUS_REASON_LENGTH) {
+        errors.push(
+          t("validation.reasonTooLong", { count: MAX_STATUS_REASON_LENGTH })
+        );
+      }
+    } else if (REASON_REQUIRED_STATUSES.includes(status)) {
+      errors.push(t("validation.reasonRequired", { status }));
     }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: "Formato de email inválido",
-      });
+    if (errors.length > 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("validation.statusChangeInvalid"), { errors })
+      );
     }
 
+    req.statusChange = {
+      status,
+      reason: typeof reason === "string" ? reason.trim() : null,
+    };
+
     next();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error en validación de email",
-      error: error.message,
+    sendError(req, res, error, {
+      status: 500,
+      message: t("validation.statusChangeFailed"),
     });
   }
 };
 
+/** Longitud máxima de un token de cambio de email */
+const MAX_EMAIL_CHANGE_TOKEN_LENGTH = 2048;
+
+/** Mensaje (clave del catálogo) de los tokens de enlaces ausentes o mal formados */
+const LINK_TOKEN_MESSAGE = "validation.linkToken";
+
+/** Token firmado recibido en un enlace (cambio de email, invitación) */
+const LINK_TOKEN_FIELD = {
+  type: "string",
+  required: true,
+  trim: true,
+  minLength: 1,
+  maxLength: MAX_EMAIL_CHANGE_TOKEN_LENGTH,
+  description: "token del enlace recibido por email",
+  messages: {
+    required: LINK_TOKEN_MESSAGE,
+    type: LINK_TOKEN_MESSAGE,
+    minLength: LINK_TOKEN_MESSAGE,
+    maxLength: LINK_TOKEN_MESSAGE,
+  },
+};
+
+/** Cuerpo de POST /users/email-change/confirm y /revert */
+const EMAIL_CHANGE_TOKEN_SCHEMA = { token: LINK_TOKEN_FIELD };
+
 /**
- * Middleware para validar JSON
+ * Validar el cuerpo de POST /users/email-change/confirm y /revert
+ *
+ * Solo comprueba que llegue un token; su firma y caducidad las verifica
+ * UserEmailChangeService.
+ *
+ * @example
+ * // POST /users/email-change/confirm
+ * // { "token": "eyJzdWIiOi...Qm9f" }
  */
-const validateJSON = (req, res, next) => {
-  if (req.method === "POST" || req.method === "PUT" || req.method === "PATCH") {
-    if (!req.is("application/json")) {
-      return res.status(400).json({
-        success: false,
-        message: "Content-Type debe ser application/json",
-      });
+const validateEmailChangeToken = validateRequest(
+  { body: EMAIL_CHANGE_TOKEN_SCHEMA },
+  { message: "validation.emailChangeTokenInvalid" }
+);
+
+/**
+ * Cuerpo de POST /invitations: name y email obligatorios, role y profile no
+ *
+ * role solo admite los roles de userConfig.invitations.roles: una
+ * invitación no puede crear administradores.
+ */
+const INVITATION_SCHEMA = {
+  ...pickSchema(USER_SCHEMA, ["name", "email", "profile"]),
+  role: { ...USER_SCHEMA.role, enum: userConfig.invitations.roles },
+};
+
+/**
+ * Validar el cuerpo de POST /invitations
+ *
+ * name y email se normalizan como en validateUser. La contraseña la elige
+ * el invitado al aceptar.
+ *
+ * @example
+ * // POST /invitations
+ * // { "name": "Lucía Martín", "email": "lucia@example.com", "role": "editor" }
+ */
+const validateInvitation = validateRequest(
+  { body: INVITATION_SCHEMA },
+  { message: "validation.invitationInvalid" }
+);
+
+/** Cuerpo de POST /invitations/accept */
+const INVITATION_ACCEPT_SCHEMA = {
+  token: LINK_TOKEN_FIELD,
+  password: USER_SCHEMA.password,
+};
+
+/**
+ * Validar el cuerpo de POST /invitations/accept
+ *
+ * Comprueba que lleguen el token del enlace y una contraseña válida; la
+ * firma y la caducidad del token las verifica UserInvitationService.
+ *
+ * @example
+ * // POST /invitations/accept
+ * // { "token": "eyJzdWIiOi...Qm9f", "password": "miContraseña123" }
+ */
+const validateInvitationAccept = validateRequest(
+  { body: INVITATION_ACCEPT_SCHEMA },
+  { message: "validation.acceptInvalid" }
+);
+
+/** Cuerpo de PUT /users/:id/email */
+const EMAIL_OVERRIDE_SCHEMA = {
+  email: USER_SCHEMA.email,
+  isVerified: {
+    type: "boolean",
+    label: "fields.isVerified",
+    description: "sin indicar no cambia",
+  },
+};
+
+/**
+ * Validar el cuerpo de PUT /users/:id/email (corrección administrativa)
+ *
+ * email es obligatorio y se normaliza como en validateUserUpdate; isVerified
+ * es opcional y, si no se indica, la verificación no cambia.
+ *
+ * @example
+ * // PUT /users/:id/email
+ * // { "email": "maria@example.com", "isVerified": true }
+ */
+const validateEmailOverride = validateRequest(
+  { body: EMAIL_OVERRIDE_SCHEMA },
+  { message: "validation.emailOverrideInvalid" }
+);
+
+/**
+ * Validar la estructura de una petición de operaciones masivas
+ *
+ * Comprueba el modo y el tamaño del lote; cada operación se valida después
+ * por separado en UserBulkService para poder informar de sus errores uno a uno.
+ *
+ * @example
+ * // POST /users/bulk
+ * // { "mode": "best-effort", "operations": [{ "op": "create", "data": { ... } }] }
+ */
+const validateBulkRequest = (req, res, next) => {
+  try {
+    const { operations, mode = userConfig.bulk.defaultMode } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("bulk.invalid"), {
+          detail: t("bulk.operationsRequired"),
+        })
+      );
+    }
+
+    if (!BULK_MODES.includes(mode)) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("bulk.invalid"), {
+          detail: t("validation.oneOf", {
+            param: "mode",
+            values: BULK_MODES.join(", "),
+          }),
+        })
+      );
+    }
+
+    if (operations.length > userConfig.bulk.maxOperations) {
+      return sendError(
+        req,
+        res,
+        new ApiError(t("bulk.tooLarge"), {
+          status: 413,
+          detail: t("bulk.maxOperations", {
+            count: userConfig.bulk.maxOperations,
+          }),
+        })
+      );
     }
+
+    req.body.mode = mode;
+    next();
+  } catch (error) {
+    sendError(req, res, error, {
+      status: 500,
+      message: t("bulk.validationFailed"),
+    });
   }
-  next();
 };
 
 /**
- * Middleware para sanitizar entrada general
+ * Validar intervalo, rango, formato e informe de GET /users/stats
+ *
+ * Deja en req.statsQuery { interval, from, to, format, report } con el rango
+ * ya resuelto (ver resolveStatsRange). report indica qué informe se exporta
+ * con format=csv (por defecto "signups").
+ *
+ * @example
+ * // GET /users/stats?interval=week&from=2025-01-01&to=2025-03-31&format=csv&report=retention
  */
-const sanitizeInput = (req, res, next) => {
+const validateStatsQuery = (req, res, next) => {
   try {
-    // Sanitizar strings en el body
-    if (req.body && typeof req.body === "object") {
-      Object.keys(req.body).forEach((key) => {
-        if (typeof req.body[key] === "string") {
-          // Remover espacios extra y caracteres peligrosos básicos
-          req.body[key] = req.body[key].trim().replace(/[<>]/g, "");
-        }
-      });
+    const {
+      interval = "day",
+      from,
+      to,
+      format = "json",
+      report = "signups",
+    } = req.query;
+    const errors = [];
+
+    if (!STATS_INTERVALS.includes(interval)) {
+      errors.push(
+        t("validation.oneOf", {
+          param: "interval",
+          values: STATS_INTERVALS.join(", "),
+        })
+      );
+    }
+
+    const parsedFrom = from === undefined ? undefined : parseDateParam(from);
+    if (parsedFrom === null) {
+      errors.push(t("validation.isoDate", { param: "from" }));
+    }
+
+    const parsedTo = to === undefined ? undefined : parseDateParam(to, true);
+    if (parsedTo === null) {
+      errors.push(t("validation.isoDate", { param: "to" }));
+    }
+
+    if (!["json", "csv"].includes(format)) {
+      errors.push(
+        t("validation.oneOf", { param: "format", values: "json, csv" })
+      );
+    }
+
+    if (!Object.keys(STATS_CSV_REPORTS).includes(report)) {
+      errors.push(
+        t("validation.oneOf", {
+          param: "report",
+          values: Object.keys(STATS_CSV_REPORTS).join(", "),
+        })
+      );
+    }
+
+    if (errors.length === 0) {
+      const range = resolveStatsRange(
+        { interval, from: parsedFrom, to: parsedTo },
+        new Date(),
+        userConfig.stats.defaultRangeDays
+      );
+
+      if (range.from > range.to) {
+        errors.push(t("validation.dateOrder", { from: "from", to: "to" }));
+      } else if (
+        // Cota rápida (ningún periodo dura más de 31 días) antes de generar la serie
+        Date.parse(range.to) - Date.parse(range.from) >
+          userConfig.stats.maxPeriods * 31 * 24 * 60 * 60 * 1000 ||
+        buildPeriods(range).length > userConfig.stats.maxPeriods
+      ) {
+        errors.push(
+          t("stats.tooManyPeriods", { max: userConfig.stats.maxPeriods })
+        );
+      }
+
+      req.statsQuery = { ...range, format, report };
+    }
+
+    if (errors.length > 0) {
+      return sendError(
+        req,
+        res,
+        new ValidationError(t("validation.queryInvalid"), { errors })
+      );
     }
 
     next();
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error en sanitización",
-      error: error.message,
+    sendError(req, res, error, {
+      status: 500,
+      message: t("validation.queryFailed"),
     });
   }
 };
 
 /**
- * Middleware de manejo de errores global
+ * Validar el formato de GET /users/export
+ *
+ * Deja en req.exportFormat el formato (por defecto "csv").
  */
-const errorHandler = (err, req, res, next) => {
-  console.error("Error:", err);
+const validateExportQuery = (req, res, next) => {
+  const format = req.query.format || "csv";
 
-  // Error de JSON malformado
-  if (err instanceof SyntaxError && err.status === 400 && "body" in err) {
-    return res.status(400).json({
-      success: false,
-      message: "JSON malformado",
-      error: "El cuerpo de la petición contiene JSON inválido",
-    });
+  if (!Object.keys(TRANSFER_FORMATS).includes(format)) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("validation.queryInvalid"), {
+        detail: t("validation.oneOf", {
+          param: "format",
+          values: Object.keys(TRANSFER_FORMATS).join(", "),
+        }),
+      })
+    );
   }
 
-  // Error genérico
-  res.status(500).json({
-    success: false,
-    message: "Error interno del servidor",
-    error:
-      process.env.NODE_ENV === "development" ? err.message : "Error interno",
-  });
+  req.exportFormat = format;
+  next();
 };
 
 /**
- * Middleware de logging de peticiones
+ * Validar formato, modo y cuerpo de POST /users/import
+ *
+ * El formato se toma de ?format= o, si no se indica, del Content-Type
+ * (text/csv, application/x-ndjson o application/json). Deja en
+ * req.importOptions: { format, mode, dryRun }.
+ *
+ * @example
+ * // POST /users/import?mode=upsert&dryRun=true  (Content-Type: text/csv)
  */
-const requestLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path} - IP: ${req.ip}`);
+const validateImportRequest = (req, res, next) => {
+  const errors = [];
+  const { mode = "create", dryRun = "false" } = req.query;
+  let format = req.query.format;
+
+  if (!format) {
+    if (req.is("text/csv")) {
+      format = "csv";
+    } else if (req.is("application/x-ndjson")) {
+      format = "ndjson";
+    } else {
+      format = "json";
+    }
+  }
+
+  if (!Object.keys(TRANSFER_FORMATS).includes(format)) {
+    errors.push(
+      t("validation.oneOf", {
+        param: "format",
+        values: Object.keys(TRANSFER_FORMATS).join(", "),
+      })
+    );
+  } else if (
+    format === "json"
+      ? !Array.isArray(req.body)
+      : typeof req.body !== "string" || req.body.trim() === ""
+  ) {
+    errors.push(
+      format === "json"
+        ? t("transfer.bodyJsonArray")
+        : t("transfer.bodyText", {
+            format,
+            contentType: TRANSFER_FORMATS[format].split(";")[0],
+          })
+    );
+  }
+
+  if (!IMPORT_MODES.includes(mode)) {
+    errors.push(
+      t("validation.oneOf", {
+        param: "mode",
+        values: IMPORT_MODES.join(", "),
+      })
+    );
+  }
+
+  if (!["true", "false"].includes(dryRun)) {
+    errors.push(t("validation.boolean", { param: "dryRun" }));
+  }
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("transfer.invalid"), { errors })
+    );
+  }
+
+  req.importOptions = { format, mode, dryRun: dryRun === "true" };
+  next();
+};
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+const MAX_WEBHOOK_SECRET_LENGTH = 256;
+
+/**
+ * Comprobar los campos de una suscripción de webhook presentes en body
+ *
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {string[]} Errores encontrados
+ */
+const webhookFieldErrors = ({ url, events, description, secret, active }) => {
+  const errors = [];
+
+  if (url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = typeof url === "string" ? new URL(url) : null;
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (
+      !parsed ||
+      !["http:", "https:"].includes(parsed.protocol) ||
+      url.length > MAX_WEBHOOK_URL_LENGTH
+    ) {
+      errors.push(t("webhooks.urlInvalid"));
+    } else if (
+      !userConfig.webhooks.allowPrivateUrls &&
+      isPrivateHost(parsed.hostname)
+    ) {
+      errors.push(t("webhooks.urlPrivate"));
+    }
+  }
+
+  if (events !== undefined) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => event !== "*" && !WEBHOOK_EVENTS.includes(event))
+    ) {
+      errors.push(
+        t("webhooks.eventsInvalid", { events: WEBHOOK_EVENTS.join(", ") })
+      );
+    }
+  }
+
+  if (
+    description !== undefined &&
+    description !== null &&
+    (typeof description !== "string" ||
+      description.length > MAX_WEBHOOK_DESCRIPTION_LENGTH)
+  ) {
+    errors.push(
+      t("validation.descriptionTooLong", {
+        count: MAX_WEBHOOK_DESCRIPTION_LENGTH,
+      })
+    );
+  }
+
+  if (
+    secret !== undefined &&
+    (typeof secret !== "string" ||
+      secret.length < MIN_WEBHOOK_SECRET_LENGTH ||
+      secret.length > MAX_WEBHOOK_SECRET_LENGTH)
+  ) {
+    errors.push(
+      t("validation.lengthBetween", {
+        param: "secret",
+        min: MIN_WEBHOOK_SECRET_LENGTH,
+        max: MAX_WEBHOOK_SECRET_LENGTH,
+      })
+    );
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    errors.push(t("validation.boolean", { param: "active" }));
+  }
+
+  return errors;
+};
+
+/**
+ * Validar el cuerpo de POST /webhooks
+ *
+ * url y events son obligatorios; los eventos repetidos se eliminan. Si no
+ * se indica secret se genera uno.
+ *
+ * @example
+ * // POST /webhooks
+ * // { "url": "https://partner.example.com/hooks", "events": ["user.created"] }
+ */
+const validateWebhook = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  if (body.url === undefined) {
+    errors.push(t("validation.paramRequired", { param: "url" }));
+  }
+  if (body.events === undefined) {
+    errors.push(t("validation.paramRequired", { param: "events" }));
+  }
+  errors.push(...webhookFieldErrors({ ...body, active: undefined }));
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("webhooks.invalid"), { errors })
+    );
+  }
+
+  req.body.events = [...new Set(body.events)];
+  next();
+};
+
+/**
+ * Validar el cuerpo de PATCH /webhooks/:id
+ *
+ * Todos los campos son opcionales, pero debe llegar al menos uno.
+ *
+ * @example
+ * // PATCH /webhooks/:id
+ * // { "active": true }
+ */
+const validateWebhookUpdate = (req, res, next) => {
+  const body = req.body || {};
+  const fields = ["url", "events", "description", "secret", "active"];
+  const errors = webhookFieldErrors(body);
+
+  if (!fields.some((field) => body[field] !== undefined)) {
+    errors.push(t("validation.atLeastOne", { fields: fields.join(", ") }));
+  }
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("webhooks.invalid"), { errors })
+    );
+  }
+
+  if (body.events !== undefined) {
+    req.body.events = [...new Set(body.events)];
+  }
+  next();
+};
+
+/**
+ * Validar los IDs de webhook y de entrega de la ruta (UUID)
+ */
+const validateWebhookParams = (req, res, next) => {
+  const invalid = ["id", "deliveryId"].filter(
+    (param) =>
+      req.params[param] !== undefined && !UUID_REGEX.test(req.params[param])
+  );
+
+  if (invalid.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("validation.idInvalid"), {
+        detail: t("validation.uuid", { params: invalid.join(", ") }),
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Validar la consulta de GET /webhooks/:id/deliveries
+ *
+ * Deja en req.deliveryQuery { status, limit }.
+ *
+ * @example
+ * // GET /webhooks/:id/deliveries?status=failed&limit=50
+ */
+const validateWebhookDeliveryQuery = (req, res, next) => {
+  const { status, limit = "20" } = req.query;
+  const errors = [];
+  const parsedLimit = Number(limit);
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    errors.push(
+      t("validation.oneOf", {
+        param: "status",
+        values: DELIVERY_STATUSES.join(", "),
+      })
+    );
+  }
+
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+    errors.push(t("validation.limitRange", { max: 100 }));
+  }
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("validation.queryInvalid"), { errors })
+    );
+  }
+
+  req.deliveryQuery = { status, limit: parsedLimit };
+  next();
+};
+
+const MIN_GROUP_NAME_LENGTH = 2;
+const MAX_GROUP_NAME_LENGTH = 50;
+const MAX_GROUP_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Comprobar los campos de un grupo presentes en body
+ *
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {string[]} Errores encontrados
+ */
+const groupFieldErrors = ({ name, description }) => {
+  const errors = [];
+
+  if (
+    name !== undefined &&
+    (typeof name !== "string" ||
+      name.trim().length < MIN_GROUP_NAME_LENGTH ||
+      name.trim().length > MAX_GROUP_NAME_LENGTH)
+  ) {
+    errors.push(
+      t("validation.lengthBetween", {
+        param: "name",
+        min: MIN_GROUP_NAME_LENGTH,
+        max: MAX_GROUP_NAME_LENGTH,
+      })
+    );
+  }
+
+  if (
+    description !== undefined &&
+    description !== null &&
+    (typeof description !== "string" ||
+      description.length > MAX_GROUP_DESCRIPTION_LENGTH)
+  ) {
+    errors.push(
+      t("validation.descriptionTooLong", {
+        count: MAX_GROUP_DESCRIPTION_LENGTH,
+      })
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * Validar el cuerpo de POST /groups
+ *
+ * name es obligatorio y se guarda sin espacios al principio ni al final.
+ *
+ * @example
+ * // POST /groups
+ * // { "name": "Ventas", "description": "Equipo comercial" }
+ */
+const validateGroup = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  if (body.name === undefined) {
+    errors.push(t("validation.paramRequired", { param: "name" }));
+  }
+  errors.push(...groupFieldErrors(body));
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("groups.invalid"), { errors })
+    );
+  }
+
+  req.body.name = body.name.trim();
+  next();
+};
+
+/**
+ * Validar el cuerpo de PATCH /groups/:id (al menos name o description)
+ */
+const validateGroupUpdate = (req, res, next) => {
+  const body = req.body || {};
+  const errors = groupFieldErrors(body);
+
+  if (body.name === undefined && body.description === undefined) {
+    errors.push(t("validation.atLeastOne", { fields: "name, description" }));
+  }
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("groups.invalid"), { errors })
+    );
+  }
+
+  if (body.name !== undefined) {
+    req.body.name = body.name.trim();
+  }
+  next();
+};
+
+/**
+ * Validar los IDs de grupo y de usuario de la ruta (UUID)
+ */
+const validateGroupParams = (req, res, next) => {
+  const invalid = ["id", "userId"].filter(
+    (param) =>
+      req.params[param] !== undefined && !UUID_REGEX.test(req.params[param])
+  );
+
+  if (invalid.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("validation.idInvalid"), {
+        detail: t("validation.uuid", { params: invalid.join(", ") }),
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Validar el cuerpo de POST /groups/:id/members y PATCH /groups/:id/members/:userId
+ *
+ * Al añadir un miembro userId es obligatorio y role opcional ("member" por
+ * defecto); al modificarlo solo se acepta role, que es obligatorio.
+ *
+ * @example
+ * // POST /groups/:id/members
+ * // { "userId": "123e4567-e89b-12d3-a456-426614174000", "role": "manager" }
+ */
+const validateGroupMember = (req, res, next) => {
+  const { userId, role } = req.body || {};
+  const updating = req.params.userId !== undefined;
+  const errors = [];
+
+  if (!updating && (typeof userId !== "string" || !UUID_REGEX.test(userId))) {
+    errors.push(t("validation.uuid", { params: "userId" }));
+  }
+
+  if (updating && role === undefined) {
+    errors.push(t("validation.paramRequired", { param: "role" }));
+  } else if (role !== undefined && !GROUP_ROLES.includes(role)) {
+    errors.push(
+      t("validation.oneOf", {
+        param: "role",
+        values: GROUP_ROLES.join(", "),
+      })
+    );
+  }
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("groups.memberInvalid"), { errors })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Validar la consulta de GET /groups/:id/members
+ *
+ * @example
+ * // GET /groups/:id/members?role=manager
+ */
+const validateGroupMemberQuery = (req, res, next) => {
+  const { role } = req.query;
+
+  if (role !== undefined && !GROUP_ROLES.includes(role)) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("validation.queryInvalid"), {
+        errors: [
+          t("validation.oneOf", {
+            param: "role",
+            values: GROUP_ROLES.join(", "),
+          }),
+        ],
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Validar la definición de POST /user-attributes
+ */
+const validateUserAttribute = (req, res, next) => {
+  const validation = UserAttribute.validate(req.body || {});
+
+  if (!validation.isValid) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("attributes.invalid"), {
+        errors: validation.errors,
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Validar el cuerpo de PATCH /user-attributes/:key
+ *
+ * La clave y el tipo no se pueden modificar; el resto de la definición
+ * resultante la valida UserAttributeService, que conoce el tipo guardado.
+ */
+const validateUserAttributeUpdate = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  ["key", "type"]
+    .filter((field) => body[field] !== undefined)
+    .forEach((field) =>
+      errors.push(t("validation.notModifiable", { param: field }))
+    );
+
+  if (!ATTRIBUTE_UPDATE_FIELDS.some((field) => body[field] !== undefined)) {
+    errors.push(
+      t("validation.atLeastOne", {
+        fields: ATTRIBUTE_UPDATE_FIELDS.join(", "),
+      })
+    );
+  }
+
+  if (errors.length > 0) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("attributes.invalid"), { errors })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Validar la clave de atributo en la ruta
+ */
+const validateUserAttributeKey = (req, res, next) => {
+  if (!ATTRIBUTE_KEY_REGEX.test(req.params.key)) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("attributes.keyInvalid"), {
+        detail: t("attributes.keyFormat"),
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Rutas que además de JSON aceptan cuerpos de texto en otros formatos
+ */
+const TEXT_BODY_ROUTES = {
+  "/api/users/import": ["text/csv", "application/x-ndjson"],
+};
+
+/**
+ * Tipos de documento de parche que PATCH acepta además de JSON
+ */
+const PATCH_BODY_TYPES = [JSON_PATCH_TYPE, MERGE_PATCH_TYPE];
+
+/**
+ * Middleware para validar JSON
+ *
+ * Las peticiones sin cuerpo (p. ej. POST /users/:id/restore) no necesitan
+ * declarar Content-Type.
+ */
+const validateJSON = (req, res, next) => {
+  if (req.method === "POST" || req.method === "PUT" || req.method === "PATCH") {
+    const hasBody =
+      req.headers["transfer-encoding"] !== undefined ||
+      Number(req.headers["content-length"]) > 0;
+    const allowedTypes = [
+      "application/json",
+      ...(TEXT_BODY_ROUTES[req.path] || []),
+      ...(req.method === "PATCH" ? PATCH_BODY_TYPES : []),
+    ];
+
+    if (hasBody && !req.is(allowedTypes)) {
+      return sendError(
+        req,
+        res,
+        new ApiError(t("errors.jsonContentType"), { status: 415 }),
+        { status: 400 }
+      );
+    }
+  }
+  next();
+};
+
+/**
+ * Ajustes de la sanitización por ruta (ver modules/sanitizer.js)
+ *
+ * Se combinan con userConfig.sanitization; fields cambia la política de un
+ * campo del cuerpo y sus descendientes.
+ */
+const SANITIZATION_ROUTES = {
+  // El HTML del email personalizado y los adjuntos (en base64) se envían tal cual
+  "/api/emails/custom": {
+    maxStringLength: 5 * 1024 * 1024,
+    fields: {
+      html: { html: "allow" },
+      attachments: { html: "allow" },
+    },
+  },
+  // Una importación JSON es un array con un usuario por elemento; su límite
+  // de filas (transfer.maxImportRows) lo comprueba UserController.importUsers
+  "/api/users/import": { maxArrayLength: Infinity },
+};
+
+/**
+ * Middleware para sanitizar entrada general
+ *
+ * Sanitiza recursivamente el cuerpo JSON (objetos y arrays; los cuerpos de
+ * texto, como un CSV de importación, se dejan intactos) y la query según la
+ * política de la ruta. Las correcciones se registran como aviso con el ID
+ * de la petición; las entradas que la política rechaza (claves como
+ * __proto__, límites superados) responden 400.
+ */
+const sanitizeInput = (req, res, next) => {
+  const route = req.baseUrl + req.path;
+  const policy = SANITIZATION_ROUTES[route] || {};
+  const violations = [];
+
+  try {
+    if (req.body && typeof req.body === "object") {
+      const result = sanitizeValue(req.body, policy, { path: "body" });
+      req.body = result.value;
+      violations.push(...result.violations);
+    }
+
+    if (req.query && Object.keys(req.query).length > 0) {
+      const result = sanitizeValue(req.query, policy, { path: "query" });
+      req.query = result.value;
+      violations.push(...result.violations);
+    }
+  } catch (error) {
+    if (!(error instanceof SanitizationError)) {
+      return sendError(req, res, error, {
+        status: 500,
+        message: t("sanitizer.failed"),
+      });
+    }
+
+    logSanitizationViolations(req, route, [...violations, ...error.violations]);
+    return sendError(req, res, error, {
+      status: error.status,
+      message: t("sanitizer.rejected"),
+    });
+  }
+
+  if (violations.length > 0) {
+    logSanitizationViolations(req, route, violations);
+  }
+  next();
+};
+
+/**
+ * Registrar las infracciones de sanitización de una petición
+ *
+ * @private
+ */
+const logSanitizationViolations = (req, route, violations) => {
+  logger.warn("Entrada sanitizada", {
+    component: "sanitizer",
+    method: req.method,
+    route,
+    violations,
+  });
+};
+
+/**
+ * Middleware de manejo de errores global
+ *
+ * Responde con sendError (modules/errors.js) los errores que llegan con
+ * next(error): application/problem+json o el formato anterior según la
+ * cabecera Accept.
+ */
+const errorHandler = (err, req, res, next) => {
+  // Los errores de los parsers del cuerpo llegan antes de assignRequestId y
+  // resolveLocale: se responden en el idioma de la petición igualmente
+  if (!req.locale) {
+    return runWithRequestContext({ requestId: req.requestId }, () => {
+      applyRequestLocale(req, res);
+      errorHandler(err, req, res, next);
+    });
+  }
+
+  // Error de JSON malformado
+  if (err instanceof SyntaxError && err.status === 400 && "body" in err) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("errors.malformedJson"), {
+        type: "malformed-json",
+        detail: t("errors.malformedJsonDetail"),
+      })
+    );
+  }
+
+  // Errores de los parsers del cuerpo (p. ej. 413 si supera el límite)
+  if (!(err instanceof ApiError) && err.expose && err.status < 500) {
+    return sendError(
+      req,
+      res,
+      new ApiError(err.message, { status: err.status })
+    );
+  }
+
+  // Errores de la API con su estado; el resto, error interno sin detalles
+  // fuera de desarrollo
+  if (!(err instanceof ApiError) || err.status >= 500) {
+    logger.error("Error no controlado", {
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      error: err,
+    });
+  }
+
+  sendError(
+    req,
+    res,
+    err,
+    err instanceof ApiError ? {} : { message: t("errors.internalServer") }
+  );
+};
+
+/**
+ * Asignar un ID a cada petición
+ *
+ * Se reutiliza la cabecera X-Request-Id del cliente o del proxy si tiene un
+ * formato seguro; si no, se genera un UUID. Se devuelve en la respuesta y
+ * queda en req.requestId (por ejemplo para el historial de cambios) y en el
+ * contexto de la petición (modules/logger.js), que incluyen los registros
+ * de los servicios y de la base de datos. req.log es un logger con el ID.
+ */
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+
+  req.requestId =
+    incoming && REQUEST_ID_REGEX.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.requestId });
+  res.set("X-Request-Id", req.requestId);
+
+  runWithRequestContext({ requestId: req.requestId }, next);
+};
+
+/**
+ * Elegir el idioma de los mensajes de la petición (modules/i18n.js)
+ *
+ * Toma el de Accept-Language o el idioma por defecto, lo deja en req.locale
+ * y en el contexto de la petición y lo indica en Content-Language;
+ * authenticateToken lo cambia por la preferencia del usuario autenticado.
+ * Debe ir después de assignRequestId, que abre el contexto.
+ */
+const resolveLocale = (req, res, next) => {
+  applyRequestLocale(req, res);
+  next();
+};
+
+/**
+ * Resolver el tenant de la petición (multi-tenencia)
+ *
+ * Con userConfig.tenancy.enabled, toma el tenant de la cabecera, el
+ * subdominio o el claim del JWT (req.user, si authenticateToken se ejecutó
+ * antes) y lo deja en req.tenant ({ id, companyName, fromName, ... }); los
+ * controladores limitan a él el repositorio de usuarios, el cache y la
+ * marca de los emails. Una petición sin tenant o con fuentes que no
+ * coinciden responde 400 y un tenant no configurado, 404. Sin multi-tenencia
+ * no hace nada.
+ *
+ * Debe ir antes de handleIdempotencyKey, que separa las claves por tenant.
+ */
+const resolveTenant = (req, res, next) => {
+  const { tenancy } = userConfig;
+  if (!tenancy.enabled) {
+    return next();
+  }
+
+  try {
+    const tenantId = resolveTenantId(req, tenancy);
+    if (!tenantId) {
+      throw new TenantError(t("tenancy.required", { header: tenancy.header }));
+    }
+
+    const tenant = getTenant(tenantId, tenancy);
+    if (!tenant) {
+      throw new TenantError(t("tenancy.notFound"), 404);
+    }
+
+    req.tenant = tenant;
+    getRequestContext().tenantId = tenant.id;
+    next();
+  } catch (error) {
+    if (!(error instanceof TenantError)) {
+      return next(error);
+    }
+
+    sendError(req, res, error);
+  }
+};
+
+/**
+ * Respetar la cabecera Idempotency-Key en peticiones POST
+ *
+ * La primera respuesta (código, cabeceras principales y cuerpo) se guarda
+ * durante userConfig.idempotency.ttl segundos junto con la huella de la
+ * petición, y los reintentos con la misma clave la reciben de nuevo con
+ * Idempotent-Replayed: true sin volver a ejecutarse. Reutilizar la clave
+ * con otro método, ruta o cuerpo responde 422 y repetirla mientras la
+ * primera petición sigue en curso, 409. Las respuestas 5xx no se guardan
+ * para que el cliente pueda reintentar.
+ *
+ * Debe ir después del parser del cuerpo (p. ej. express.text en /import).
+ * Con multi-tenencia cada tenant tiene sus propias claves.
+ */
+let idempotencyStore = null;
+
+const handleIdempotencyKey = async (req, res, next) => {
+  const clientKey = req.get(IDEMPOTENCY_HEADER);
+
+  if (req.method !== "POST" || clientKey === undefined) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_REGEX.test(clientKey)) {
+    return sendError(
+      req,
+      res,
+      new ValidationError(t("idempotency.invalidKey"), {
+        detail: t("idempotency.invalidKeyDetail"),
+      })
+    );
+  }
+
+  try {
+    idempotencyStore = idempotencyStore || createIdempotencyStore();
+    const store = idempotencyStore;
+    const key = req.tenant ? `tenant:${req.tenant.id}:${clientKey}` : clientKey;
+    const fingerprint = fingerprintRequest(req);
+    const { ttl, lockTtl } = userConfig.idempotency;
+
+    const reserved = await store.reserve(
+      key,
+      { state: "pending", fingerprint },
+      lockTtl
+    );
+
+    if (!reserved) {
+      const record = await store.get(key);
+
+      if (record && record.fingerprint !== fingerprint) {
+        return sendError(
+          req,
+          res,
+          new ApiError(t("idempotency.keyReused"), {
+            status: 422,
+            type: "idempotency-key-reused",
+            detail: t("idempotency.keyReusedDetail"),
+          })
+        );
+      }
+
+      if (!record || record.state === "pending") {
+        return sendError(
+          req,
+          res,
+          new ConflictError(t("idempotency.inProgress"), {
+            type: "request-in-progress",
+            detail: t("idempotency.inProgressDetail"),
+          })
+        );
+      }
+
+      return res
+        .set(record.headers)
+        .set(IDEMPOTENT_REPLAYED_HEADER, "true")
+        .status(record.statusCode)
+        .send(record.body);
+    }
+
+    // Guardar la respuesta antes de enviarla, para que un reintento inmediato
+    // ya la encuentre; res.send(objeto) vuelve aquí con el JSON ya serializado
+    let settled = false;
+    const send = res.send;
+
+    res.send = function (body) {
+      if (body !== null && typeof body === "object" && !Buffer.isBuffer(body)) {
+        return send.call(this, body);
+      }
+
+      res.send = send;
+      settled = true;
+
+      const headers = {};
+      REPLAYED_HEADERS.forEach((name) => {
+        if (this.get(name) !== undefined) {
+          headers[name] = this.get(name);
+        }
+      });
+
+      const stored =
+        this.statusCode >= 500
+          ? store.release(key)
+          : store.save(
+              key,
+              {
+                state: "completed",
+                fingerprint,
+                statusCode: this.statusCode,
+                headers,
+                body: Buffer.isBuffer(body) ? body.toString() : body ?? "",
+              },
+              ttl
+            );
+
+      stored
+        .catch((error) =>
+          logger.error("Error guardando la respuesta idempotente", { error })
+        )
+        .finally(() => send.call(this, body));
+
+      return this;
+    };
+
+    // Respuestas que no pasan por res.send (streams, conexión cerrada)
+    res.on("close", () => {
+      if (!settled) {
+        settled = true;
+        store.release(key).catch(() => {});
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Registrar cada petición al terminar (access log)
+ *
+ * Incluye el método, la ruta (sin los valores sensibles de la query), el
+ * estado, la duración y los bytes del cuerpo de la respuesta. Las
+ * respuestas 4xx se registran como warn, las 5xx como error y las
+ * conexiones cerradas antes de terminar la respuesta con aborted: true.
+ * Debe ir después de assignRequestId.
+ */
+const requestLogger = (req, res, next) => {
+  if (!userConfig.logging.accessLog) {
+    return next();
+  }
+
+  const startedAt = process.hrtime.bigint();
+  const { write, end } = res;
+  let responseSize = 0;
+
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== "function") {
+      responseSize += Buffer.isBuffer(chunk)
+        ? chunk.length
+        : Buffer.byteLength(
+            String(chunk),
+            typeof encoding === "string" ? encoding : "utf8"
+          );
+    }
+  };
+
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  let logged = false;
+  const logAccess = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+    (req.log || logger).log(level, "Petición completada", {
+      component: "http",
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      status,
+      durationMs:
+        Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      responseSize,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      ...(!res.writableFinished && { aborted: true }),
+    });
+  };
+
+  res.on("finish", logAccess);
+  res.on("close", logAccess);
   next();
 };
 
 module.exports = {
+  USER_ID_PARAMS_SCHEMA,
+  USER_CREATE_SCHEMA,
+  EMAIL_CHANGE_TOKEN_SCHEMA,
+  EMAIL_OVERRIDE_SCHEMA,
+  INVITATION_SCHEMA,
+  INVITATION_ACCEPT_SCHEMA,
+  validateRequest,
   validateUser,
   validateUserUpdate,
+  validateUserPatch,
   validateId,
   validateEmail,
+  validateUserListQuery,
+  validateAuditQuery,
+  validateUserProjection,
+  validateStatusChange,
+  validateEmailChangeToken,
+  validateEmailOverride,
+  validateInvitation,
+  validateInvitationAccept,
+  validateBulkRequest,
+  validateStatsQuery,
+  validateExportQuery,
+  validateImportRequest,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookParams,
+  validateWebhookDeliveryQuery,
+  validateGroup,
+  validateGroupUpdate,
+  validateGroupParams,
+  validateGroupMember,
+  validateGroupMemberQuery,
+  validateUserAttribute,
+  validateUserAttributeUpdate,
+  validateUserAttributeKey,
   validateJSON,
   sanitizeInput,
   errorHandler,
+  assignRequestId,
+  resolveLocale,
+  resolveTenant,
+  handleIdempotencyKey,
   requestLogger,
 };
@@ -0,0 +1,284 @@
+const { v4: uuidv4 } = require("uuid");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Acciones que quedan registradas en el historial de cambios
+ *
+ * "override" es una corrección directa de un administrador que se salta el
+ * flujo normal (p. ej. cambiar el email sin enlace de confirmación).
+ */
+const AUDIT_ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  "restore",
+  "destroy",
+  "override",
+];
+
+/** Valor que sustituye a los campos sensibles en los diffs */
+const REDACTED = "[REDACTED]";
+
+/** Campos cuyo valor nunca se guarda en el historial, solo que cambiaron */
+const REDACTED_FIELDS = ["password"];
+
+/** Campos de control que no forman parte del diff */
+const UNAUDITED_FIELDS = ["id", "createdAt", "updatedAt", "version"];
+
+/** Actor registrado cuando la petición no está autenticada */
+const ANONYMOUS_ACTOR = "anonymous";
+
+/**
+ * Calcular el diff campo a campo entre dos estados de una entidad
+ *
+ * Los campos ausentes cuentan como null, de modo que un alta tiene todos los
+ * campos con before null y un borrado definitivo todos con after null. Los
+ * valores se comparan por su JSON para admitir objetos anidados.
+ *
+ * @param {Object|null} before - Estado anterior (toObject) o null si no existía
+ * @param {Object|null} after - Estado nuevo (toObject) o null si ya no existe
+ * @returns {Array<{field: string, before: *, after: *}>} Cambios, con las contraseñas como "[REDACTED]"
+ *
+ * @example
+ * buildChanges({ name: "Ana", password: "$scrypt$..." }, { name: "Ana María", password: "$scrypt$..." });
+ * // [
+ * //   { field: "name", before: "Ana", after: "Ana María" },
+ * //   { field: "password", before: "[REDACTED]", after: "[REDACTED]" }
+ * // ]
+ */
+function buildChanges(before, after) {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (UNAUDITED_FIELDS.includes(field)) {
+      return;
+    }
+
+    const previous = before?.[field] ?? null;
+    const current = after?.[field] ?? null;
+    if (JSON.stringify(previous) === JSON.stringify(current)) {
+      return;
+    }
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes.push({
+        field,
+        before: previous === null ? null : REDACTED,
+        after: current === null ? null : REDACTED,
+      });
+    } else {
+      changes.push({ field, before: previous, after: current });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Entrada del historial de cambios
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class AuditEntry {
+  /**
+   * @constructor
+   * @param {Object} data - Datos de la entrada
+   * @param {string} [data.id] - ID único (se genera si no se indica)
+   * @param {string} [data.entityType="user"] - Tipo de entidad modificada
+   * @param {string} data.entityId - ID de la entidad modificada
+   * @param {string|null} [data.tenantId=null] - Tenant de la entidad (null sin multi-tenencia)
+   * @param {string} data.action - Una de AUDIT_ACTIONS
+   * @param {string} [data.actor] - Quién hizo el cambio ("anonymous" por defecto)
+   * @param {string|null} [data.requestId] - ID de la petición HTTP (X-Request-Id)
+   * @param {string} [data.timestamp] - Fecha ISO del cambio (ahora por defecto)
+   * @param {Array<{field: string, before: *, after: *}>} [data.changes] - Diff campo a campo
+   */
+  constructor({
+    id,
+    entityType = "user",
+    entityId,
+    tenantId = null,
+    action,
+    actor,
+    requestId,
+    timestamp,
+    changes = [],
+  }) {
+    this.id = id || uuidv4();
+    this.entityType = entityType;
+    this.entityId = entityId;
+    this.tenantId = tenantId;
+    this.action = action;
+    this.actor = actor || ANONYMOUS_ACTOR;
+    this.requestId = requestId || null;
+    this.timestamp = timestamp || new Date().toISOString();
+    this.changes = changes;
+  }
+
+  /**
+   * Representación pública de la entrada (ya no contiene datos sensibles)
+   *
+   * @returns {Object} Copia plana de la entrada
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      entityType: this.entityType,
+      entityId: this.entityId,
+      tenantId: this.tenantId,
+      action: this.action,
+      actor: this.actor,
+      requestId: this.requestId,
+      timestamp: this.timestamp,
+      changes: this.changes,
+    };
+  }
+}
+
+/**
+ * Comprobar si una entrada cumple los filtros de consulta del historial
+ */
+const matchesAuditFilters = (entry, filters) =>
+  (!filters.entityId || entry.entityId === filters.entityId) &&
+  (!filters.actor || entry.actor === filters.actor) &&
+  (!filters.action || entry.action === filters.action) &&
+  (!filters.from || entry.timestamp >= filters.from) &&
+  (!filters.to || entry.timestamp <= filters.to);
+
+/**
+ * Historial de cambios en memoria
+ *
+ * Las entradas solo se añaden, nunca se modifican ni se borran. Es el
+ * historial del UserRepository en memoria; con USER_STORAGE=database se usa
+ * DatabaseAuditLogRepository, que ofrece la misma interfaz. Su vista de un
+ * tenant (forTenant) solo consulta las entradas de ese tenant.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const auditLog = new AuditLogRepository();
+ * await auditLog.record({ entityId: user.id, action: "create", changes });
+ * const { entries, total } = await auditLog.findPage({
+ *   filters: { entityId: user.id },
+ *   limit: 20,
+ * });
+ */
+class AuditLogRepository {
+  constructor() {
+    this.entries = [];
+    // null: todas las entradas; en la vista de un tenant, su ID
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del historial limitada a un tenant
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {AuditLogRepository} Historial con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
+  }
+
+  /**
+   * Añadir una entrada al historial
+   *
+   * @param {Object} data - Datos de la entrada (ver AuditEntry)
+   * @returns {Promise<AuditEntry>} Entrada guardada
+   */
+  async record(data) {
+    const entry = new AuditEntry(data);
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Obtener una página del historial, de la entrada más reciente a la más antigua
+   *
+   * @param {Object} [options] - Opciones de consulta
+   * @param {Object} [options.filters] - entityId, actor, action, from y to (fechas ISO inclusive)
+   * @param {number} [options.limit] - Máximo de entradas a devolver
+   * @param {number} [options.offset=0] - Entradas a saltar
+   * @returns {Promise<{entries: AuditEntry[], total: number}>} Página y total filtrado
+   */
+  async findPage({ filters = {}, limit, offset = 0 } = {}) {
+    const matching = this.entries
+      .filter(
+        (entry) =>
+          (this.tenantId === null || entry.tenantId === this.tenantId) &&
+          matchesAuditFilters(entry, filters)
+      )
+      .reverse();
+
+    return {
+      entries: matching.slice(
+        offset,
+        limit === undefined ? undefined : offset + limit
+      ),
+      total: matching.length,
+    };
+  }
+}
+
+/**
+ * Registrar un cambio en un historial, si el repositorio tiene uno
+ *
+ * Las actualizaciones que no cambian ningún campo auditado no se registran.
+ *
+ * @param {AuditLogRepository|DatabaseAuditLogRepository|null} auditLog - Historial de destino
+ * @param {Object} change - Cambio a registrar
+ * @param {string} change.entityType - Tipo de entidad
+ * @param {string} change.entityId - ID de la entidad
+ * @param {string|null} [change.tenantId] - Tenant de la entidad
+ * @param {string} change.action - Una de AUDIT_ACTIONS
+ * @param {Object|null} change.before - Estado anterior (toObject)
+ * @param {Object|null} change.after - Estado nuevo (toObject)
+ * @param {Object} [context] - Contexto de la petición
+ * @param {string} [context.actor] - Quién hace el cambio
+ * @param {string} [context.requestId] - ID de la petición HTTP
+ * @returns {Promise<AuditEntry|null>} Entrada registrada o null si no se registró
+ */
+async function recordChange(
+  auditLog,
+  { entityType, entityId, tenantId, action, before, after },
+  context = {}
+) {
+  if (!auditLog) {
+    return null;
+  }
+
+  const changes = buildChanges(before, after);
+  if (action === "update" && changes.length === 0) {
+    return null;
+  }
+
+  return auditLog.record({
+    entityType,
+    entityId,
+    tenantId,
+    action,
+    actor: context.actor,
+    requestId: context.requestId,
+    changes,
+  });
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  REDACTED,
+  ANONYMOUS_ACTOR,
+  AuditEntry,
+  AuditLogRepository,
+  buildChanges,
+  recordChange,
+};
@@ -0,0 +1,194 @@
+const DatabaseRepository = require("./DatabaseRepository");
+const { AuditEntry } = require("./AuditLog");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Correspondencia entre propiedades de AuditEntry y columnas en la base de datos
+ *
+ * El diff se guarda como texto JSON para usar el mismo esquema en MySQL,
+ * PostgreSQL y MongoDB. Las entradas sin tenant guardan tenant_id = '',
+ * como en la tabla de usuarios.
+ */
+const COLUMNS = {
+  id: "id",
+  entityType: "entity_type",
+  entityId: "entity_id",
+  action: "action",
+  actor: "actor",
+  requestId: "request_id",
+  timestamp: "occurred_at",
+  changes: "changes",
+  tenantId: "tenant_id",
+};
+
+/**
+ * Historial de cambios persistente sobre DatabaseManager
+ *
+ * Misma interfaz que AuditLogRepository (record, findPage, forTenant). Lo
+ * crea createUserRepository junto al DatabaseUserRepository, sobre la misma
+ * conexión.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class DatabaseAuditLogRepository extends DatabaseRepository {
+  /**
+   * @constructor
+   * @param {DatabaseManager} databaseManager - Gestor de base de datos (conectado o no)
+   * @param {Object} [options] - Opciones del repositorio
+   * @param {string} [options.table="user_audit_log"] - Tabla o colección del historial
+   * @param {boolean} [options.autoCreateTable=true] - Crear la tabla/índices si no existen
+   */
+  constructor(databaseManager, options = {}) {
+    super(databaseManager, {
+      table: options.table || "user_audit_log",
+      autoCreateTable: options.autoCreateTable,
+    });
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del historial limitada a un tenant
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {DatabaseAuditLogRepository} Historial con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
+  }
+
+  /**
+   * Añadir una entrada al historial
+   *
+   * @param {Object} data - Datos de la entrada (ver AuditEntry)
+   * @returns {Promise<AuditEntry>} Entrada guardada
+   */
+  async record(data) {
+    const entry = new AuditEntry(data);
+    await this._execute(this._builder().insert(this._toRow(entry)));
+    return entry;
+  }
+
+  /**
+   * Obtener una página del historial, de la entrada más reciente a la más antigua
+   *
+   * @param {Object} [options] - Opciones de consulta (filters, limit, offset), como AuditLogRepository.findPage
+   * @returns {Promise<{entries: AuditEntry[], total: number}>} Página y total filtrado
+   */
+  async findPage({ filters = {}, limit, offset = 0 } = {}) {
+    const builder = this._applyFilters(this._builder(), filters);
+
+    const total = this._countValue(
+      await this._execute(builder.clone().count())
+    );
+
+    const dataQuery = builder
+      .select()
+      .orderBy(COLUMNS.timestamp, "DESC")
+      .orderBy(COLUMNS.id, "DESC");
+
+    if (limit !== undefined) {
+      dataQuery.limit(limit);
+    }
+    if (offset > 0) {
+      dataQuery.offset(offset);
+    }
+
+    const rows = await this._select(dataQuery);
+
+    return {
+      entries: rows.map((row) => this._fromRow(row)),
+      total,
+    };
+  }
+
+  /**
+   * Aplicar el tenant del repositorio (si lo tiene) y los filtros del
+   * historial al builder
+   */
+  _applyFilters(builder, filters) {
+    if (this.tenantId !== null) {
+      builder.where(COLUMNS.tenantId, this.tenantId);
+    }
+
+    ["entityId", "actor", "action"].forEach((field) => {
+      if (filters[field]) {
+        builder.where(COLUMNS[field], filters[field]);
+      }
+    });
+
+    if (filters.from) {
+      builder.where(COLUMNS.timestamp, ">=", filters.from);
+    }
+    if (filters.to) {
+      builder.where(COLUMNS.timestamp, "<=", filters.to);
+    }
+
+    return builder;
+  }
+
+  /**
+   * Crear la tabla del historial (SQL) o su índice por entidad (MongoDB)
+   */
+  async _createTable() {
+    if (this.dbType === "mongodb") {
+      await this.db.adapter.db
+        .collection(this.table)
+        .createIndex({ [COLUMNS.entityId]: 1, [COLUMNS.timestamp]: -1 });
+      return;
+    }
+
+    await this.db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        ${COLUMNS.id} VARCHAR(36) PRIMARY KEY,
+        ${COLUMNS.entityType} VARCHAR(30) NOT NULL,
+        ${COLUMNS.entityId} VARCHAR(36) NOT NULL,
+        ${COLUMNS.action} VARCHAR(20) NOT NULL,
+        ${COLUMNS.actor} VARCHAR(255) NOT NULL,
+        ${COLUMNS.requestId} VARCHAR(128) NULL,
+        ${COLUMNS.timestamp} VARCHAR(30) NOT NULL,
+        ${COLUMNS.changes} TEXT NOT NULL,
+        ${COLUMNS.tenantId} VARCHAR(63) NOT NULL DEFAULT ''
+      )`,
+      [],
+      { cache: false }
+    );
+  }
+
+  /**
+   * Convertir una entrada en fila/documento de base de datos
+   */
+  _toRow(entry) {
+    const row = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      row[column] = entry[property] ?? null;
+    });
+    row[COLUMNS.tenantId] = entry.tenantId || "";
+    row[COLUMNS.changes] = JSON.stringify(entry.changes);
+
+    return row;
+  }
+
+  /**
+   * Convertir una fila/documento de base de datos en AuditEntry
+   */
+  _fromRow(row) {
+    const data = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      data[property] = row[column];
+    });
+    data.tenantId = data.tenantId || null;
+    data.changes =
+      typeof data.changes === "string" ? JSON.parse(data.changes) : [];
+
+    return new AuditEntry(data);
+  }
+}
+
+DatabaseAuditLogRepository.COLUMNS = COLUMNS;
+
+module.exports = DatabaseAuditLogRepository;
@@ -0,0 +1,375 @@
+const DatabaseRepository = require("./DatabaseRepository");
+const QueryBuilder = require("../modules/database/QueryBuilder");
+const { Group, GroupMembership, DEFAULT_GROUP_ROLE } = require("./Group");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Correspondencia entre propiedades de Group y columnas en la base de datos
+ *
+ * Los grupos sin tenant guardan tenant_id = '', como los usuarios.
+ */
+const COLUMNS = {
+  id: "id",
+  name: "name",
+  description: "description",
+  createdAt: "created_at",
+  updatedAt: "updated_at",
+  tenantId: "tenant_id",
+};
+
+/**
+ * Correspondencia entre propiedades de GroupMembership y columnas
+ */
+const MEMBER_COLUMNS = {
+  groupId: "group_id",
+  userId: "user_id",
+  role: "role",
+  joinedAt: "joined_at",
+};
+
+/**
+ * Grupos y pertenencias persistentes sobre DatabaseManager
+ *
+ * Misma interfaz que GroupRepository. Los grupos se guardan en options.table
+ * y las pertenencias en options.membersTable (una fila por usuario y grupo).
+ * Lo crea createGroupRepository sobre la conexión del repositorio de
+ * usuarios. forTenant() limita los grupos a la columna tenant_id.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class DatabaseGroupRepository extends DatabaseRepository {
+  /**
+   * @constructor
+   * @param {DatabaseManager} databaseManager - Gestor de base de datos (conectado o no)
+   * @param {Object} [options] - Opciones del repositorio
+   * @param {string} [options.table="user_groups"] - Tabla o colección de grupos
+   * @param {string} [options.membersTable="user_group_members"] - Tabla o colección de pertenencias
+   * @param {boolean} [options.autoCreateTable=true] - Crear las tablas/índices si no existen
+   */
+  constructor(databaseManager, options = {}) {
+    super(databaseManager, {
+      table: options.table || "user_groups",
+      autoCreateTable: options.autoCreateTable,
+    });
+    this.membersTable = options.membersTable || "user_group_members";
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del repositorio limitada a un tenant
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {DatabaseGroupRepository} Repositorio con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
+  }
+
+  /**
+   * Crear un grupo
+   *
+   * @param {Object} data - Datos del grupo (ver Group)
+   * @returns {Promise<Group>} Grupo creado
+   */
+  async create(data) {
+    const group = new Group({ ...data, tenantId: this.tenantId });
+    await this._execute(this._builder().insert(this._toRow(group)));
+    return group;
+  }
+
+  /**
+   * Obtener todos los grupos ordenados por nombre
+   *
+   * @returns {Promise<Group[]>} Grupos
+   */
+  async findAll() {
+    const rows = await this._select(
+      this._scoped().select().orderBy(COLUMNS.name, "ASC")
+    );
+    return rows.map((row) => this._fromRow(row));
+  }
+
+  /**
+   * Buscar un grupo por ID
+   *
+   * @param {string} id - ID del grupo
+   * @returns {Promise<Group|null>} Grupo o null
+   */
+  async findById(id) {
+    const rows = await this._select(
+      this._scoped().select().where(COLUMNS.id, id).limit(1)
+    );
+    return rows.length > 0 ? this._fromRow(rows[0]) : null;
+  }
+
+  /**
+   * Actualizar un grupo
+   *
+   * @param {string} id - ID del grupo
+   * @param {Object} changes - name y/o description
+   * @returns {Promise<Group|null>} Grupo actualizado o null si no existe
+   */
+  async update(id, changes) {
+    const row = { [COLUMNS.updatedAt]: new Date().toISOString() };
+    Object.entries(changes).forEach(([property, value]) => {
+      row[COLUMNS[property]] = value ?? null;
+    });
+
+    const result = await this._execute(
+      this._scoped().update(row).where(COLUMNS.id, id)
+    );
+    if (this._affectedCount(result) === 0) {
+      return null;
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Eliminar un grupo y sus pertenencias
+   *
+   * @param {string} id - ID del grupo
+   * @returns {Promise<boolean>} true si existía
+   */
+  async delete(id) {
+    const result = await this._execute(
+      this._scoped().delete().where(COLUMNS.id, id)
+    );
+    if (this._affectedCount(result) === 0) {
+      return false;
+    }
+
+    await this._execute(
+      this._membersBuilder().delete().where(MEMBER_COLUMNS.groupId, id)
+    );
+    return true;
+  }
+
+  /**
+   * Añadir un usuario a un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @param {string} [role="member"] - Uno de GROUP_ROLES
+   * @returns {Promise<GroupMembership>} Pertenencia creada
+   */
+  async addMember(groupId, userId, role = DEFAULT_GROUP_ROLE) {
+    const membership = new GroupMembership({ groupId, userId, role });
+    await this._execute(
+      this._membersBuilder().insert(this._toMemberRow(membership))
+    );
+    return membership;
+  }
+
+  /**
+   * Buscar la pertenencia de un usuario a un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<GroupMembership|null>} Pertenencia o null
+   */
+  async findMember(groupId, userId) {
+    const rows = await this._select(
+      this._membersBuilder()
+        .select()
+        .where(MEMBER_COLUMNS.groupId, groupId)
+        .where(MEMBER_COLUMNS.userId, userId)
+        .limit(1)
+    );
+    return rows.length > 0 ? this._fromMemberRow(rows[0]) : null;
+  }
+
+  /**
+   * Cambiar el rol de un miembro
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @param {string} role - Uno de GROUP_ROLES
+   * @returns {Promise<GroupMembership|null>} Pertenencia actualizada o null si no es miembro
+   */
+  async updateMember(groupId, userId, role) {
+    const result = await this._execute(
+      this._membersBuilder()
+        .update({ [MEMBER_COLUMNS.role]: role })
+        .where(MEMBER_COLUMNS.groupId, groupId)
+        .where(MEMBER_COLUMNS.userId, userId)
+    );
+    if (this._affectedCount(result) === 0) {
+      return null;
+    }
+
+    return this.findMember(groupId, userId);
+  }
+
+  /**
+   * Quitar un usuario de un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<boolean>} true si era miembro
+   */
+  async removeMember(groupId, userId) {
+    const result = await this._execute(
+      this._membersBuilder()
+        .delete()
+        .where(MEMBER_COLUMNS.groupId, groupId)
+        .where(MEMBER_COLUMNS.userId, userId)
+    );
+    return this._affectedCount(result) > 0;
+  }
+
+  /**
+   * Obtener los miembros de un grupo por orden de alta
+   *
+   * @param {string} groupId - ID del grupo
+   * @returns {Promise<GroupMembership[]>} Pertenencias
+   */
+  async findMembers(groupId) {
+    const rows = await this._select(
+      this._membersBuilder()
+        .select()
+        .where(MEMBER_COLUMNS.groupId, groupId)
+        .orderBy(MEMBER_COLUMNS.joinedAt, "ASC")
+    );
+    return rows.map((row) => this._fromMemberRow(row));
+  }
+
+  /**
+   * Obtener los grupos a los que pertenece un usuario
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<GroupMembership[]>} Pertenencias
+   */
+  async findMemberships(userId) {
+    const rows = await this._select(
+      this._membersBuilder()
+        .select()
+        .where(MEMBER_COLUMNS.userId, userId)
+        .orderBy(MEMBER_COLUMNS.joinedAt, "ASC")
+    );
+    return rows.map((row) => this._fromMemberRow(row));
+  }
+
+  /**
+   * Builder de grupos limitado al tenant del repositorio (si lo tiene)
+   */
+  _scoped() {
+    const builder = this._builder();
+    if (this.tenantId !== null) {
+      builder.where(COLUMNS.tenantId, this.tenantId);
+    }
+
+    return builder;
+  }
+
+  /**
+   * Crear un QueryBuilder nuevo apuntando a la tabla de pertenencias
+   */
+  _membersBuilder() {
+    return new QueryBuilder(this.dbType).from(this.membersTable);
+  }
+
+  /**
+   * Crear las tablas de grupos y pertenencias (SQL) o sus índices únicos (MongoDB)
+   */
+  async _createTable() {
+    if (this.dbType === "mongodb") {
+      await this.db.adapter.db
+        .collection(this.table)
+        .createIndex({ [COLUMNS.id]: 1 }, { unique: true });
+      await this.db.adapter.db
+        .collection(this.membersTable)
+        .createIndex(
+          { [MEMBER_COLUMNS.groupId]: 1, [MEMBER_COLUMNS.userId]: 1 },
+          { unique: true }
+        );
+      return;
+    }
+
+    await this.db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        ${COLUMNS.id} VARCHAR(36) PRIMARY KEY,
+        ${COLUMNS.name} VARCHAR(50) NOT NULL,
+        ${COLUMNS.description} VARCHAR(200) NULL,
+        ${COLUMNS.createdAt} VARCHAR(30) NOT NULL,
+        ${COLUMNS.updatedAt} VARCHAR(30) NOT NULL,
+        ${COLUMNS.tenantId} VARCHAR(63) NOT NULL DEFAULT ''
+      )`,
+      [],
+      { cache: false }
+    );
+    await this.db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.membersTable} (
+        ${MEMBER_COLUMNS.groupId} VARCHAR(36) NOT NULL,
+        ${MEMBER_COLUMNS.userId} VARCHAR(36) NOT NULL,
+        ${MEMBER_COLUMNS.role} VARCHAR(20) NOT NULL,
+        ${MEMBER_COLUMNS.joinedAt} VARCHAR(30) NOT NULL,
+        PRIMARY KEY (${MEMBER_COLUMNS.groupId}, ${MEMBER_COLUMNS.userId})
+      )`,
+      [],
+      { cache: false }
+    );
+  }
+
+  /**
+   * Convertir un grupo en fila/documento de base de datos
+   */
+  _toRow(group) {
+    const row = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      row[column] = group[property] ?? null;
+    });
+    row[COLUMNS.tenantId] = group.tenantId || "";
+
+    return row;
+  }
+
+  /**
+   * Convertir una fila/documento de base de datos en Group
+   */
+  _fromRow(row) {
+    const data = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      data[property] = row[column];
+    });
+    data.tenantId = data.tenantId || null;
+
+    return new Group(data);
+  }
+
+  /**
+   * Convertir una pertenencia en fila/documento de base de datos
+   */
+  _toMemberRow(membership) {
+    const row = {};
+
+    Object.entries(MEMBER_COLUMNS).forEach(([property, column]) => {
+      row[column] = membership[property];
+    });
+
+    return row;
+  }
+
+  /**
+   * Convertir una fila/documento de base de datos en GroupMembership
+   */
+  _fromMemberRow(row) {
+    const data = {};
+
+    Object.entries(MEMBER_COLUMNS).forEach(([property, column]) => {
+      data[property] = row[column];
+    });
+
+    return new GroupMembership(data);
+  }
+}
+
+DatabaseGroupRepository.COLUMNS = COLUMNS;
+DatabaseGroupRepository.MEMBER_COLUMNS = MEMBER_COLUMNS;
+
+module.exports = DatabaseGroupRepository;
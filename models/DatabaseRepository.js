@@ -0,0 +1,137 @@
+const QueryBuilder = require("../modules/database/QueryBuilder");
+
+/**
+ * Base de los repositorios persistentes sobre DatabaseManager
+ *
+ * Reúne lo que no depende de la entidad: construir queries con el
+ * QueryBuilder universal, ejecutarlas en MySQL, PostgreSQL o MongoDB,
+ * normalizar filas, conteos y filas afectadas de cada adaptador, y conectar
+ * y crear el esquema de forma perezosa en la primera operación. Cada
+ * subclase implementa _createTable() para su tabla o colección.
+ *
+ * @class
+ * @abstract
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class DatabaseRepository {
+  /**
+   * @constructor
+   * @param {DatabaseManager} databaseManager - Gestor de base de datos (conectado o no)
+   * @param {Object} options - Opciones del repositorio
+   * @param {string} options.table - Tabla o colección del repositorio
+   * @param {boolean} [options.autoCreateTable=true] - Crear la tabla/índices si no existen
+   */
+  constructor(databaseManager, { table, autoCreateTable } = {}) {
+    this.db = databaseManager;
+    this.table = table;
+    this.autoCreateTable = autoCreateTable !== false;
+    this.dbType = new QueryBuilder(databaseManager.config.type).dbType;
+    this.ready = null;
+  }
+
+  /**
+   * Crear un QueryBuilder nuevo apuntando a la tabla del repositorio
+   *
+   * Se crea uno por operación porque el builder de DatabaseManager es
+   * compartido y mantiene estado entre llamadas.
+   */
+  _builder() {
+    return new QueryBuilder(this.dbType).from(this.table);
+  }
+
+  /**
+   * Extraer el resultado de un COUNT de cualquier adaptador
+   */
+  _countValue(result) {
+    if (typeof result === "number") {
+      return result;
+    }
+
+    const rows = Array.isArray(result) ? result : result?.rows || [];
+    return rows.length > 0 ? Number(rows[0].count) : 0;
+  }
+
+  /**
+   * Extraer las filas afectadas por UPDATE/DELETE de cualquier adaptador
+   */
+  _affectedCount(result) {
+    if (!result) {
+      return 0;
+    }
+
+    return (
+      result.affectedRows ??
+      result.rowCount ??
+      result.matchedCount ??
+      result.deletedCount ??
+      0
+    );
+  }
+
+  /**
+   * Ejecutar un SELECT y normalizar las filas de cualquier adaptador
+   */
+  async _select(builder) {
+    const result = await this._execute(builder);
+
+    if (Array.isArray(result)) {
+      return result;
+    }
+
+    return result && Array.isArray(result.rows) ? result.rows : [];
+  }
+
+  /**
+   * Ejecutar una query construida con QueryBuilder
+   *
+   * El cache de DatabaseManager se desactiva: las lecturas deben reflejar
+   * siempre las escrituras recién realizadas.
+   */
+  async _execute(builder) {
+    await this._ensureReady();
+
+    if (this.dbType === "mongodb") {
+      return this.db.query(builder.toMongoDB(), [], { cache: false });
+    }
+
+    return this.db.query(builder.toSQL(), builder.getParams(), {
+      cache: false,
+    });
+  }
+
+  /**
+   * Conectar y preparar el esquema una sola vez
+   */
+  async _ensureReady() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        if (!this.db.isConnected) {
+          await this.db.connect();
+        }
+
+        if (this.autoCreateTable) {
+          await this._createTable();
+        }
+      })().catch((error) => {
+        // Permitir reintentar en la siguiente operación
+        this.ready = null;
+        throw error;
+      });
+    }
+
+    return this.ready;
+  }
+
+  /**
+   * Crear la tabla (SQL) o los índices (MongoDB) del repositorio
+   *
+   * @abstract
+   */
+  async _createTable() {
+    throw new Error("_createTable() debe implementarse en la subclase");
+  }
+}
+
+module.exports = DatabaseRepository;
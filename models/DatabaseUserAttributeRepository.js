@@ -0,0 +1,245 @@
+const DatabaseRepository = require("./DatabaseRepository");
+const { UserAttribute } = require("./UserAttribute");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Correspondencia entre propiedades de UserAttribute y columnas
+ *
+ * "key" es palabra reservada en MySQL, de ahí attribute_key. En SQL la
+ * lista enum se guarda como texto JSON; en MongoDB como array. Las
+ * definiciones sin tenant guardan tenant_id = '', como los usuarios.
+ */
+const COLUMNS = {
+  key: "attribute_key",
+  type: "type",
+  label: "label",
+  description: "description",
+  required: "required",
+  enum: "enum_values",
+  pattern: "pattern",
+  min: "min_value",
+  max: "max_value",
+  createdAt: "created_at",
+  updatedAt: "updated_at",
+  tenantId: "tenant_id",
+};
+
+/**
+ * Definiciones de atributos de perfil persistentes sobre DatabaseManager
+ *
+ * Misma interfaz que UserAttributeRepository, con las definiciones de
+ * cada tenant separadas por la columna tenant_id. Lo crea
+ * createUserRepository sobre la conexión del repositorio de usuarios.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class DatabaseUserAttributeRepository extends DatabaseRepository {
+  /**
+   * @constructor
+   * @param {DatabaseManager} databaseManager - Gestor de base de datos (conectado o no)
+   * @param {Object} [options] - Opciones del repositorio
+   * @param {string} [options.table="user_attributes"] - Tabla o colección de definiciones
+   * @param {boolean} [options.autoCreateTable=true] - Crear la tabla/índice si no existe
+   */
+  constructor(databaseManager, options = {}) {
+    super(databaseManager, {
+      table: options.table || "user_attributes",
+      autoCreateTable: options.autoCreateTable,
+    });
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del repositorio limitada a un tenant
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {DatabaseUserAttributeRepository} Repositorio con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
+  }
+
+  /**
+   * Crear una definición
+   *
+   * @param {Object} data - Datos de la definición (ver UserAttribute)
+   * @returns {Promise<UserAttribute>} Definición creada
+   */
+  async create(data) {
+    const attribute = new UserAttribute({ ...data, tenantId: this.tenantId });
+    await this._execute(this._builder().insert(this._toRow(attribute)));
+    return attribute;
+  }
+
+  /**
+   * Obtener todas las definiciones ordenadas por clave
+   *
+   * @returns {Promise<UserAttribute[]>} Definiciones
+   */
+  async findAll() {
+    const rows = await this._select(
+      this._scoped().select().orderBy(COLUMNS.key, "ASC")
+    );
+    return rows.map((row) => this._fromRow(row));
+  }
+
+  /**
+   * Buscar una definición por clave
+   *
+   * @param {string} key - Clave del atributo
+   * @returns {Promise<UserAttribute|null>} Definición o null
+   */
+  async findByKey(key) {
+    const rows = await this._select(
+      this._scoped().select().where(COLUMNS.key, key).limit(1)
+    );
+    return rows.length > 0 ? this._fromRow(rows[0]) : null;
+  }
+
+  /**
+   * Modificar una definición (la clave y el tipo no cambian)
+   *
+   * @param {string} key - Clave del atributo
+   * @param {Object} changes - Propiedades a modificar
+   * @returns {Promise<UserAttribute|null>} Definición actualizada o null si no existe
+   */
+  async update(key, changes) {
+    const row = { [COLUMNS.updatedAt]: new Date().toISOString() };
+    Object.entries(changes).forEach(([property, value]) => {
+      if (property !== "key" && property !== "type" && COLUMNS[property]) {
+        row[COLUMNS[property]] = this._toColumn(property, value);
+      }
+    });
+
+    const result = await this._execute(
+      this._scoped().update(row).where(COLUMNS.key, key)
+    );
+    if (this._affectedCount(result) === 0) {
+      return null;
+    }
+
+    return this.findByKey(key);
+  }
+
+  /**
+   * Eliminar una definición (los valores guardados en los perfiles se conservan)
+   *
+   * @param {string} key - Clave del atributo
+   * @returns {Promise<boolean>} true si existía
+   */
+  async delete(key) {
+    const result = await this._execute(
+      this._scoped().delete().where(COLUMNS.key, key)
+    );
+    return this._affectedCount(result) > 0;
+  }
+
+  /**
+   * Builder limitado a las definiciones del tenant del repositorio
+   */
+  _scoped() {
+    return this._builder().where(COLUMNS.tenantId, this.tenantId || "");
+  }
+
+  /**
+   * Crear la tabla de definiciones (SQL) o su índice único por tenant
+   * (MongoDB)
+   */
+  async _createTable() {
+    if (this.dbType === "mongodb") {
+      await this.db.adapter.db
+        .collection(this.table)
+        .createIndex(
+          { [COLUMNS.tenantId]: 1, [COLUMNS.key]: 1 },
+          { unique: true }
+        );
+      return;
+    }
+
+    await this.db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        ${COLUMNS.key} VARCHAR(40) NOT NULL,
+        ${COLUMNS.type} VARCHAR(20) NOT NULL,
+        ${COLUMNS.label} VARCHAR(50) NULL,
+        ${COLUMNS.description} VARCHAR(200) NULL,
+        ${COLUMNS.required} BOOLEAN NOT NULL DEFAULT FALSE,
+        ${COLUMNS.enum} TEXT NULL,
+        ${COLUMNS.pattern} VARCHAR(200) NULL,
+        ${COLUMNS.min} DOUBLE PRECISION NULL,
+        ${COLUMNS.max} DOUBLE PRECISION NULL,
+        ${COLUMNS.createdAt} VARCHAR(30) NOT NULL,
+        ${COLUMNS.updatedAt} VARCHAR(30) NOT NULL,
+        ${COLUMNS.tenantId} VARCHAR(63) NOT NULL DEFAULT '',
+        PRIMARY KEY (${COLUMNS.tenantId}, ${COLUMNS.key})
+      )`,
+      [],
+      { cache: false }
+    );
+  }
+
+  /**
+   * Valor de columna de una propiedad (enum como texto JSON en SQL y el
+   * tenant vacío como '')
+   */
+  _toColumn(property, value) {
+    if (property === "tenantId") {
+      return value || "";
+    }
+
+    if (
+      property === "enum" &&
+      value !== null &&
+      value !== undefined &&
+      this.dbType !== "mongodb"
+    ) {
+      return JSON.stringify(value);
+    }
+
+    return value ?? null;
+  }
+
+  /**
+   * Convertir una definición en fila/documento de base de datos
+   */
+  _toRow(attribute) {
+    const row = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      row[column] = this._toColumn(property, attribute[property]);
+    });
+
+    return row;
+  }
+
+  /**
+   * Convertir una fila/documento de base de datos en UserAttribute
+   *
+   * Los números llegan como texto en algunos drivers (p. ej. pg con DOUBLE).
+   */
+  _fromRow(row) {
+    const data = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      data[property] = row[column];
+    });
+
+    if (typeof data.enum === "string") {
+      data.enum = JSON.parse(data.enum);
+    }
+    ["min", "max"].forEach((property) => {
+      if (typeof data[property] === "string") {
+        data[property] = Number(data[property]);
+      }
+    });
+    data.tenantId = data.tenantId || null;
+
+    return new UserAttribute(data);
+  }
+}
+
+DatabaseUserAttributeRepository.COLUMNS = COLUMNS;
+
+module.exports = DatabaseUserAttributeRepository;
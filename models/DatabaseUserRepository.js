@@ -0,0 +1,1014 @@
+const DatabaseRepository = require("./DatabaseRepository");
+const {
+  User,
+  VersionConflictError,
+  READ_ONLY_FIELDS,
+  EMAIL_CHANGE_FIELDS,
+  assertEmailAvailable,
+  assertEmailChangeAllowed,
+  verifyUserCredentials,
+  auditUserChange,
+  assertValidProfile,
+  invalidDataError,
+} = require("./User");
+const { mergeProfile } = require("./UserAttribute");
+const { hashPassword } = require("../modules/passwordHasher");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Correspondencia entre propiedades de User y columnas/campos en la base de datos
+ *
+ * Se usan nombres en snake_case porque PostgreSQL convierte a minúsculas los
+ * identificadores sin comillas. Las fechas se guardan como cadenas ISO 8601
+ * para que el mismo esquema funcione igual en MySQL, PostgreSQL y MongoDB.
+ * El perfil se guarda como texto JSON en SQL y como subdocumento en MongoDB.
+ * Los usuarios sin tenant guardan tenant_id = '' para que el índice único
+ * (tenant_id, email) también los cubra (en SQL los NULL no se comparan).
+ */
+const COLUMNS = {
+  id: "id",
+  name: "name",
+  email: "email",
+  password: "password",
+  createdAt: "created_at",
+  updatedAt: "updated_at",
+  version: "version",
+  deletedAt: "deleted_at",
+  status: "status",
+  statusReason: "status_reason",
+  statusChangedAt: "status_changed_at",
+  role: "role",
+  isVerified: "is_verified",
+  lastLoginAt: "last_login_at",
+  pendingEmail: "pending_email",
+  pendingEmailExpiresAt: "pending_email_expires_at",
+  invitationExpiresAt: "invitation_expires_at",
+  profile: "profile",
+  locale: "locale",
+  tenantId: "tenant_id",
+};
+
+/**
+ * Repositorio de usuarios persistente sobre DatabaseManager
+ *
+ * Implementa la misma interfaz asíncrona que UserRepository (create, findAll,
+ * findPage, findDeleted, findById, findByEmail, update, changeStatus, changeEmail, delete,
+ * restore, purgeDeleted, expirePendingEmails, findInvitations, renewInvitation,
+ * acceptInvitation, destroy, verifyCredentials, updatePasswordHash, recordLogin) pero guarda los usuarios en MySQL, PostgreSQL o MongoDB
+ * usando los adaptadores de modules/database y el QueryBuilder universal. La conexión y la creación de la tabla se realizan
+ * de forma perezosa en la primera operación (ver DatabaseRepository).
+ *
+ * Igual que UserRepository, registra cada cambio en options.auditLog si se
+ * indica (DatabaseAuditLogRepository al crearlo con createUserRepository) y
+ * publica los eventos de dominio en options.events. Los perfiles se validan
+ * contra las definiciones de options.attributes. forTenant() limita todas
+ * las consultas y escrituras a la columna tenant_id de un tenant.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const DatabaseManager = require("../modules/database");
+ * const DatabaseUserRepository = require("./DatabaseUserRepository");
+ *
+ * const repository = new DatabaseUserRepository(
+ *   new DatabaseManager({ type: "postgresql", database: "crud" })
+ * );
+ *
+ * const user = await repository.create({
+ *   name: "María González",
+ *   email: "maria@example.com",
+ *   password: "password123"
+ * });
+ */
+class DatabaseUserRepository extends DatabaseRepository {
+  /**
+   * Crear una nueva instancia del repositorio sobre una base de datos
+   *
+   * @constructor
+   * @param {DatabaseManager} databaseManager - Gestor de base de datos (conectado o no)
+   * @param {Object} [options] - Opciones del repositorio
+   * @param {string} [options.table="users"] - Tabla o colección donde se guardan los usuarios
+   * @param {boolean} [options.autoCreateTable=true] - Crear la tabla/índices si no existen
+   * @param {DatabaseAuditLogRepository} [options.auditLog=null] - Historial de cambios
+   * @param {EventBus} [options.events=null] - Bus de eventos de dominio
+   * @param {DatabaseUserAttributeRepository} [options.attributes=null] - Definiciones
+   * de los atributos de perfil (sin atributos si no se indica)
+   */
+  constructor(databaseManager, options = {}) {
+    super(databaseManager, {
+      table: options.table || "users",
+      autoCreateTable: options.autoCreateTable,
+    });
+    this.auditLog = options.auditLog || null;
+    this.events = options.events || null;
+    this.attributes = options.attributes || null;
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del repositorio limitada a un tenant
+   *
+   * Mismo contrato que UserRepository.forTenant; comparte conexión y
+   * esquema con el repositorio original.
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {DatabaseUserRepository} Repositorio con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId, {
+      auditLog: this.auditLog && this.auditLog.forTenant(tenantId),
+      attributes: this.attributes && this.attributes.forTenant(tenantId),
+    });
+  }
+
+  /**
+   * Crear un nuevo usuario en la base de datos
+   *
+   * @param {Object} userData - Datos del usuario a crear
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @returns {Promise<User>} Instancia del usuario creado
+   * @throws {ValidationError} Cuando los datos de validación fallan
+   * @throws {ConflictError} Cuando el email ya está registrado en el sistema
+   * @throws {ConflictError} Cuando el email pertenece a un usuario eliminado pendiente de purga
+   */
+  async create(userData, { context } = {}) {
+    const validation = User.validate(userData);
+    if (!validation.isValid) {
+      throw invalidDataError(validation);
+    }
+    const data = { ...userData, email: validation.value.email };
+    await assertValidProfile(this, data.profile || {});
+
+    assertEmailAvailable(
+      await this.findByEmail(data.email, { includeDeleted: true })
+    );
+
+    const user = new User({
+      ...data,
+      password: await hashPassword(data.password),
+      profile: mergeProfile({}, data.profile || {}),
+      tenantId: this.tenantId,
+    });
+    await this._execute(this._builder().insert(this._toRow(user)));
+    await auditUserChange(this, "create", null, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Obtener todos los usuarios activos ordenados por fecha de creación
+   *
+   * @returns {Promise<User[]>} Array con todos los usuarios no eliminados
+   */
+  async findAll() {
+    const rows = await this._select(
+      this._scoped(this._builder(), "active")
+        .select()
+        .orderBy(COLUMNS.createdAt, "ASC")
+    );
+    return rows.map((row) => this._fromRow(row));
+  }
+
+  /**
+   * Obtener una página de usuarios con filtros y ordenamiento
+   *
+   * Mismo contrato que UserRepository.findPage. Se añade el id como último
+   * criterio de orden para que el desplazamiento sea determinista. Con fields
+   * solo se leen esas columnas (el resto de propiedades del User devuelto
+   * quedan con su valor por defecto).
+   *
+   * @param {Object} [options] - Opciones de consulta (filters, sort, limit, offset, fields)
+   * @returns {Promise<{users: User[], total: number}>} Página de usuarios y total filtrado
+   */
+  async findPage(options = {}) {
+    return this._page("active", options);
+  }
+
+  /**
+   * Obtener una página de usuarios eliminados (pendientes de purga)
+   *
+   * @param {Object} [options] - Opciones de consulta (filters, sort, limit, offset, fields)
+   * @returns {Promise<{users: User[], total: number}>} Página de usuarios eliminados y total filtrado
+   */
+  async findDeleted(options = {}) {
+    return this._page("deleted", options);
+  }
+
+  /**
+   * Consulta paginada compartida por findPage y findDeleted
+   */
+  async _page(
+    scope,
+    { filters = {}, sort = [], limit, offset = 0, fields } = {}
+  ) {
+    const builder = this._applyFilters(
+      this._scoped(this._builder(), scope),
+      filters
+    );
+
+    const countResult = await this._execute(builder.clone().count());
+    const total = this._countValue(countResult);
+
+    const dataQuery = builder.select(this._columns(fields));
+    sort.forEach(({ field, order }) => {
+      dataQuery.orderBy(COLUMNS[field], order);
+    });
+    dataQuery.orderBy(COLUMNS.id, "ASC");
+
+    if (limit !== undefined) {
+      dataQuery.limit(limit);
+    }
+    if (offset > 0) {
+      dataQuery.offset(offset);
+    }
+
+    const rows = await this._select(dataQuery);
+
+    return {
+      users: rows.map((row) => this._fromRow(row)),
+      total,
+    };
+  }
+
+  /**
+   * Buscar un usuario activo por su ID único
+   *
+   * @param {string} id - ID único del usuario (UUID)
+   * @param {Object} [options] - Opciones de búsqueda
+   * @param {boolean} [options.includeDeleted=false] - Incluir usuarios eliminados
+   * @param {string[]} [options.fields] - Propiedades a leer (por defecto todas)
+   * @returns {Promise<User|undefined>} Usuario encontrado o undefined si no existe
+   */
+  async findById(id, { includeDeleted = false, fields } = {}) {
+    return this._findOne(
+      COLUMNS.id,
+      id,
+      includeDeleted ? "all" : "active",
+      fields
+    );
+  }
+
+  /**
+   * Buscar un usuario por su dirección de email
+   *
+   * Igual que en UserRepository, los usuarios eliminados solo se incluyen
+   * con includeDeleted (comprobaciones de unicidad).
+   *
+   * @param {string} email - Dirección de email del usuario
+   * @param {Object} [options] - Opciones de búsqueda
+   * @param {boolean} [options.includeDeleted=false] - Incluir usuarios eliminados
+   * @param {string[]} [options.fields] - Propiedades a leer (por defecto todas)
+   * @returns {Promise<User|undefined>} Usuario encontrado o undefined si no existe
+   */
+  async findByEmail(email, { includeDeleted = false, fields } = {}) {
+    return this._findOne(
+      COLUMNS.email,
+      email,
+      includeDeleted ? "all" : "active",
+      fields
+    );
+  }
+
+  /**
+   * Actualizar un usuario existente con nuevos datos
+   *
+   * Solo se persisten las propiedades conocidas del modelo. El UPDATE se
+   * condiciona a la versión leída (bloqueo optimista), de modo que si otra
+   * escritura se adelanta no se pisa su cambio y se lanza VersionConflictError.
+   *
+   * @param {string} id - ID único del usuario a actualizar
+   * @param {Object} updateData - Datos a actualizar (campos opcionales)
+   * @param {Object} [options] - Opciones de actualización
+   * @param {number} [options.expectedVersion] - Versión que debe tener el usuario (If-Match)
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @returns {Promise<User|null>} Usuario actualizado o null si no se encontró
+   * @throws {ValidationError} Cuando los datos de actualización son inválidos
+   * @throws {ConflictError} Cuando el nuevo email ya está registrado por otro usuario
+   * @throws {VersionConflictError} Cuando la versión no coincide
+   */
+  async update(id, updateData, { expectedVersion, context } = {}) {
+    const validation = User.validateUpdate(updateData);
+    if (!validation.isValid) {
+      throw invalidDataError(validation);
+    }
+    if (updateData.profile !== undefined) {
+      await assertValidProfile(this, updateData.profile, { partial: true });
+    }
+
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    const values = { ...updateData, email: validation.value.email };
+    if (values.email) {
+      const existingUser = await this.findByEmail(values.email, {
+        includeDeleted: true,
+      });
+      if (existingUser && existingUser.id !== id) {
+        assertEmailAvailable(existingUser);
+      }
+    }
+
+    if (typeof values.password === "string") {
+      values.password = await hashPassword(values.password);
+    }
+    // El perfil se combina con el actual (null elimina un atributo); la
+    // versión leída garantiza que nadie lo cambió entretanto
+    if (values.profile !== undefined) {
+      values.profile = mergeProfile(user.profile, values.profile);
+    }
+
+    const before = user.toObject();
+    const changes = {};
+    Object.keys(values).forEach((key) => {
+      if (
+        values[key] !== undefined &&
+        COLUMNS[key] &&
+        !READ_ONLY_FIELDS.includes(key)
+      ) {
+        user[key] = values[key];
+        changes[COLUMNS[key]] = this._toColumn(key, values[key]);
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return user;
+    }
+
+    const readVersion = user.version;
+    user.version = readVersion + 1;
+    user.updatedAt = new Date().toISOString();
+    changes[COLUMNS.version] = user.version;
+    changes[COLUMNS.updatedAt] = user.updatedAt;
+
+    const result = await this._execute(
+      this._scoped(this._builder(), "all")
+        .update(changes)
+        .where(COLUMNS.id, id)
+        .where(COLUMNS.version, readVersion)
+    );
+
+    if (this._affectedCount(result) === 0) {
+      throw new VersionConflictError();
+    }
+
+    await auditUserChange(this, "update", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Cambiar el estado de la cuenta de un usuario activo
+   *
+   * Mismo contrato que UserRepository.changeStatus; el UPDATE se condiciona
+   * a la versión leída, igual que en update().
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} status - Estado de destino (ver USER_STATUSES)
+   * @param {Object} [options] - Opciones de la operación (reason, expectedVersion, context)
+   * @returns {Promise<User|null>} Usuario actualizado o null si no se encontró
+   * @throws {StatusTransitionError} Cuando la transición no está permitida
+   * @throws {VersionConflictError} Cuando la versión no coincide
+   */
+  async changeStatus(
+    id,
+    status,
+    { reason = null, expectedVersion, context } = {}
+  ) {
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    const before = user.toObject();
+    const readVersion = user.version;
+    user.transitionTo(status, reason);
+    user.version = readVersion + 1;
+    user.updatedAt = user.statusChangedAt;
+
+    const result = await this._execute(
+      this._scoped(this._builder(), "all")
+        .update({
+          [COLUMNS.status]: user.status,
+          [COLUMNS.statusReason]: user.statusReason,
+          [COLUMNS.statusChangedAt]: user.statusChangedAt,
+          [COLUMNS.isVerified]: user.isVerified,
+          [COLUMNS.version]: user.version,
+          [COLUMNS.updatedAt]: user.updatedAt,
+        })
+        .where(COLUMNS.id, id)
+        .where(COLUMNS.version, readVersion)
+    );
+
+    if (this._affectedCount(result) === 0) {
+      throw new VersionConflictError();
+    }
+
+    await auditUserChange(this, "update", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Cambiar el email de un usuario activo o su cambio de email pendiente
+   *
+   * Mismo contrato que UserRepository.changeEmail; el UPDATE se condiciona
+   * a la versión leída, igual que en update().
+   *
+   * @param {string} id - ID único del usuario
+   * @param {Object} changes - Subconjunto de EMAIL_CHANGE_FIELDS a modificar
+   * @param {Object} [options] - Opciones de la operación (expectedVersion, action, context)
+   * @returns {Promise<User|null>} Usuario actualizado o null si no se encontró
+   * @throws {ValidationError|ConflictError} Cuando el nuevo email no es válido o ya está registrado
+   * @throws {VersionConflictError} Cuando la versión no coincide
+   */
+  async changeEmail(
+    id,
+    changes,
+    { expectedVersion, action = "update", context } = {}
+  ) {
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    for (const email of [changes.email, changes.pendingEmail]) {
+      if (email) {
+        await assertEmailChangeAllowed(this, id, email);
+      }
+    }
+
+    const before = user.toObject();
+    const values = {};
+    EMAIL_CHANGE_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) {
+        user[field] = changes[field];
+        values[COLUMNS[field]] = changes[field];
+      }
+    });
+
+    const readVersion = user.version;
+    user.version = readVersion + 1;
+    user.updatedAt = new Date().toISOString();
+    values[COLUMNS.version] = user.version;
+    values[COLUMNS.updatedAt] = user.updatedAt;
+
+    const result = await this._execute(
+      this._scoped(this._builder(), "all")
+        .update(values)
+        .where(COLUMNS.id, id)
+        .where(COLUMNS.version, readVersion)
+    );
+
+    if (this._affectedCount(result) === 0) {
+      throw new VersionConflictError();
+    }
+
+    await auditUserChange(this, action, before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Eliminar (lógicamente) un usuario marcando deleted_at
+   *
+   * @param {string} id - ID único del usuario a eliminar
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @returns {Promise<boolean>} true si el usuario fue eliminado, false si no se encontró
+   */
+  async delete(id, { context } = {}) {
+    const user = await this.findById(id);
+    if (!user) {
+      return false;
+    }
+
+    const before = user.toObject();
+    user.deletedAt = new Date().toISOString();
+
+    await this._execute(
+      this._scoped(this._builder(), "all")
+        .update({ [COLUMNS.deletedAt]: user.deletedAt })
+        .where(COLUMNS.id, id)
+    );
+
+    await auditUserChange(this, "delete", before, user.toObject(), context);
+    return true;
+  }
+
+  /**
+   * Restaurar un usuario eliminado
+   *
+   * @param {string} id - ID único del usuario eliminado
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @returns {Promise<User|null>} Usuario restaurado o null si no hay un usuario eliminado con ese ID
+   */
+  async restore(id, { context } = {}) {
+    const user = await this._findOne(COLUMNS.id, id, "deleted");
+    if (!user) {
+      return null;
+    }
+
+    const before = user.toObject();
+    await this._execute(
+      this._scoped(this._builder(), "all")
+        .update({ [COLUMNS.deletedAt]: null })
+        .where(COLUMNS.id, id)
+    );
+
+    user.deletedAt = null;
+    await auditUserChange(this, "restore", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Borrar definitivamente los usuarios eliminados en o antes de una fecha
+   *
+   * Basta con la comparación: deleted_at NULL nunca cumple "<=" en SQL y en
+   * MongoDB $lte no compara null con cadenas.
+   *
+   * @param {string} deletedBefore - Fecha ISO límite (inclusive)
+   * @returns {Promise<number>} Cantidad de usuarios purgados
+   */
+  async purgeDeleted(deletedBefore) {
+    const result = await this._execute(
+      this._scoped(this._builder(), "all")
+        .delete()
+        .where(COLUMNS.deletedAt, "<=", deletedBefore)
+    );
+
+    return this._affectedCount(result);
+  }
+
+  /**
+   * Descartar los cambios de email pendientes que ya han caducado
+   *
+   * Mismo contrato que UserRepository.expirePendingEmails: cada usuario se
+   * actualiza con changeEmail(), de modo que queda en el historial.
+   *
+   * @param {string} expiredBefore - Fecha ISO; se descartan los que caducan en o antes de ella
+   * @returns {Promise<number>} Cantidad de cambios descartados
+   */
+  async expirePendingEmails(expiredBefore) {
+    const rows = await this._select(
+      this._scoped(this._builder(), "active")
+        .select([COLUMNS.id])
+        .where(COLUMNS.pendingEmailExpiresAt, "<=", expiredBefore)
+    );
+
+    for (const row of rows) {
+      await this.changeEmail(row[COLUMNS.id], {
+        pendingEmail: null,
+        pendingEmailExpiresAt: null,
+      });
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Obtener las invitaciones pendientes (usuarios invited) por orden de alta
+   *
+   * @returns {Promise<User[]>} Usuarios invited, incluidas las invitaciones caducadas
+   */
+  async findInvitations() {
+    const rows = await this._select(
+      this._scoped(this._builder(), "active")
+        .select()
+        .where(COLUMNS.status, "invited")
+        .orderBy(COLUMNS.createdAt, "ASC")
+    );
+    return rows.map((row) => this._fromRow(row));
+  }
+
+  /**
+   * Fijar una nueva caducidad a la invitación de un usuario invited
+   *
+   * Mismo contrato que UserRepository.renewInvitation.
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} expiresAt - Fecha ISO de caducidad del nuevo enlace
+   * @param {Object} [options] - Opciones de la operación (context)
+   * @returns {Promise<User|null>} Usuario actualizado o null si no hay invitación pendiente
+   * @throws {VersionConflictError} Cuando el usuario cambia durante la operación
+   */
+  async renewInvitation(id, expiresAt, { context } = {}) {
+    const user = await this.findById(id);
+    if (!user || user.status !== "invited") {
+      return null;
+    }
+
+    const before = user.toObject();
+    const readVersion = user.version;
+    user.invitationExpiresAt = expiresAt;
+    user.version = readVersion + 1;
+    user.updatedAt = new Date().toISOString();
+
+    await this._updateVersioned(id, readVersion, {
+      [COLUMNS.invitationExpiresAt]: user.invitationExpiresAt,
+      [COLUMNS.version]: user.version,
+      [COLUMNS.updatedAt]: user.updatedAt,
+    });
+
+    await auditUserChange(this, "update", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Aceptar la invitación de un usuario: guarda su contraseña y lo activa
+   *
+   * Mismo contrato que UserRepository.acceptInvitation; el UPDATE se
+   * condiciona a la versión leída, por lo que un enlace solo puede usarse
+   * una vez.
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} password - Contraseña elegida (texto plano, se guarda su hash)
+   * @param {Object} [options] - Opciones de la operación (expectedVersion, context)
+   * @returns {Promise<User|null>} Usuario activado o null si no se encontró
+   * @throws {ValidationError} Cuando la contraseña no es válida
+   * @throws {StatusTransitionError} Cuando el usuario no está invited
+   * @throws {VersionConflictError} Cuando la versión no coincide
+   */
+  async acceptInvitation(id, password, { expectedVersion, context } = {}) {
+    const validation = User.validateUpdate({ password });
+    if (!validation.isValid) {
+      throw invalidDataError(validation);
+    }
+
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    const before = user.toObject();
+    const readVersion = user.version;
+    user.acceptInvitation(await hashPassword(password));
+    user.version = readVersion + 1;
+    user.updatedAt = user.statusChangedAt;
+
+    await this._updateVersioned(id, readVersion, {
+      [COLUMNS.password]: user.password,
+      [COLUMNS.status]: user.status,
+      [COLUMNS.statusReason]: user.statusReason,
+      [COLUMNS.statusChangedAt]: user.statusChangedAt,
+      [COLUMNS.isVerified]: user.isVerified,
+      [COLUMNS.invitationExpiresAt]: null,
+      [COLUMNS.version]: user.version,
+      [COLUMNS.updatedAt]: user.updatedAt,
+    });
+
+    await auditUserChange(this, "update", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Verificar credenciales de un usuario activo (ver verifyUserCredentials)
+   *
+   * @param {string} email - Email del usuario
+   * @param {string} password - Contraseña en texto plano
+   * @returns {Promise<User|null>} Usuario si email y contraseña coinciden, null si no
+   */
+  async verifyCredentials(email, password) {
+    return verifyUserCredentials(this, email, password);
+  }
+
+  /**
+   * Sustituir el hash de contraseña guardado sin cambiar version ni updated_at
+   *
+   * Solo se audita si se indica un contexto (ver UserRepository.updatePasswordHash).
+   *
+   * @param {string} id - ID único del usuario (activo o eliminado)
+   * @param {string} hash - Hash generado con hashPassword
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @returns {Promise<boolean>} true si se actualizó, false si no existe
+   */
+  async updatePasswordHash(id, hash, { context } = {}) {
+    const audited = context && this.auditLog;
+    const user = audited && (await this._findOne(COLUMNS.id, id, "all"));
+
+    const result = await this._execute(
+      this._scoped(this._builder(), "all")
+        .update({ [COLUMNS.password]: hash })
+        .where(COLUMNS.id, id)
+    );
+
+    const updated = this._affectedCount(result) > 0;
+    if (updated && user) {
+      const before = user.toObject();
+      user.password = hash;
+      await auditUserChange(this, "update", before, user.toObject(), context);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Registrar un inicio de sesión (solo lastLoginAt, sin versión ni historial)
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} [loggedInAt] - Fecha ISO del inicio de sesión (por defecto ahora)
+   * @returns {Promise<boolean>} true si se registró, false si no existe
+   */
+  async recordLogin(id, loggedInAt = new Date().toISOString()) {
+    const result = await this._execute(
+      this._scoped(this._builder(), "active")
+        .update({ [COLUMNS.lastLoginAt]: loggedInAt })
+        .where(COLUMNS.id, id)
+    );
+
+    return this._affectedCount(result) > 0;
+  }
+
+  /**
+   * Borrar definitivamente un usuario, activo o eliminado
+   *
+   * @param {string} id - ID único del usuario
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @returns {Promise<boolean>} true si se borró, false si no existía
+   */
+  async destroy(id, { context } = {}) {
+    const user = this.auditLog && (await this._findOne(COLUMNS.id, id, "all"));
+
+    const result = await this._execute(
+      this._scoped(this._builder(), "all").delete().where(COLUMNS.id, id)
+    );
+
+    const destroyed = this._affectedCount(result) > 0;
+    if (destroyed && user) {
+      await auditUserChange(this, "destroy", user.toObject(), null, context);
+    }
+
+    return destroyed;
+  }
+
+  /**
+   * UPDATE de un usuario condicionado a la versión leída
+   *
+   * @throws {VersionConflictError} Si otra escritura cambió la versión
+   */
+  async _updateVersioned(id, readVersion, values) {
+    const result = await this._execute(
+      this._scoped(this._builder(), "all")
+        .update(values)
+        .where(COLUMNS.id, id)
+        .where(COLUMNS.version, readVersion)
+    );
+
+    if (this._affectedCount(result) === 0) {
+      throw new VersionConflictError();
+    }
+  }
+
+  /**
+   * Restringir el builder al tenant del repositorio (si lo tiene) y a
+   * usuarios activos, eliminados o todos
+   */
+  _scoped(builder, scope) {
+    if (this.tenantId !== null) {
+      builder.where(COLUMNS.tenantId, this.tenantId);
+    }
+
+    if (scope === "active") {
+      builder.whereNull(COLUMNS.deletedAt);
+    } else if (scope === "deleted") {
+      builder.whereNotNull(COLUMNS.deletedAt);
+    }
+
+    return builder;
+  }
+
+  /**
+   * Buscar un único usuario por columna
+   */
+  async _findOne(column, value, scope = "active", fields) {
+    const rows = await this._select(
+      this._scoped(this._builder(), scope)
+        .select(this._columns(fields))
+        .where(column, value)
+        .limit(1)
+    );
+    return rows.length > 0 ? this._fromRow(rows[0]) : undefined;
+  }
+
+  /**
+   * Columnas del SELECT para las propiedades pedidas (todas si no se indican)
+   */
+  _columns(fields) {
+    return fields ? fields.map((field) => COLUMNS[field]) : ["*"];
+  }
+
+  /**
+   * Aplicar los filtros de listado al builder
+   *
+   * Las fechas se comparan como cadenas ISO 8601, que ordenan igual que las
+   * fechas que representan.
+   */
+  _applyFilters(builder, filters) {
+    if (filters.name) {
+      this._whereContains(builder, COLUMNS.name, filters.name, "%", "%");
+    }
+
+    if (filters.emailDomain) {
+      this._whereContains(
+        builder,
+        COLUMNS.email,
+        `@${filters.emailDomain.toLowerCase()}`,
+        "%",
+        ""
+      );
+    }
+
+    if (filters.createdFrom && filters.createdTo) {
+      builder.whereBetween(
+        COLUMNS.createdAt,
+        filters.createdFrom,
+        filters.createdTo
+      );
+    } else if (filters.createdFrom) {
+      builder.where(COLUMNS.createdAt, ">=", filters.createdFrom);
+    } else if (filters.createdTo) {
+      builder.where(COLUMNS.createdAt, "<=", filters.createdTo);
+    }
+
+    Object.entries(filters.profile || {}).forEach(([key, value]) => {
+      this._whereProfile(builder, key, value);
+    });
+
+    return builder;
+  }
+
+  /**
+   * Condición de igualdad sobre un atributo del perfil
+   *
+   * Los textos se comparan sin distinguir mayúsculas, como en
+   * UserRepository. En SQL se extrae el valor del texto JSON con la función
+   * de cada motor; la clave es segura porque cumple ATTRIBUTE_KEY_REGEX.
+   */
+  _whereProfile(builder, key, value) {
+    if (this.dbType === "mongodb") {
+      const field = `${COLUMNS.profile}.${key}`;
+      if (typeof value !== "string") {
+        return builder.where(field, value);
+      }
+
+      const escaped = value
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/%/g, "\\x25");
+      return builder.whereLike(field, `^${escaped}$`);
+    }
+
+    const extracted =
+      this.dbType === "postgresql"
+        ? `${COLUMNS.profile}::jsonb ->> '${key}'`
+        : `JSON_UNQUOTE(JSON_EXTRACT(${COLUMNS.profile}, '$.${key}'))`;
+
+    return builder.where(`LOWER(${extracted})`, String(value).toLowerCase());
+  }
+
+  /**
+   * Condición LIKE sin distinguir mayúsculas, escapando comodines del término
+   *
+   * En MongoDB el QueryBuilder convierte el patrón en una expresión regular
+   * (insensible a mayúsculas) sustituyendo cada "%" por ".*", por lo que se
+   * escapan los caracteres especiales, el "%" literal se expresa como \x25
+   * y se ancla el final cuando el patrón no termina en comodín.
+   */
+  _whereContains(builder, column, term, prefix, suffix) {
+    if (this.dbType === "mongodb") {
+      const escaped = term
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/%/g, "\\x25");
+      return builder.whereLike(
+        column,
+        `${prefix}${escaped}${suffix === "" ? "$" : suffix}`
+      );
+    }
+
+    const escaped = term.replace(/[\\%_]/g, "\\$&");
+    const pattern = `${prefix}${escaped}${suffix}`;
+
+    // En PostgreSQL LIKE distingue mayúsculas
+    if (this.dbType === "postgresql") {
+      return builder.where(column, "ILIKE", pattern);
+    }
+
+    return builder.whereLike(column, pattern);
+  }
+
+  /**
+   * Crear la tabla de usuarios (SQL) o el índice único de email por tenant
+   * (MongoDB)
+   */
+  async _createTable() {
+    if (this.dbType === "mongodb") {
+      await this.db.adapter.db
+        .collection(this.table)
+        .createIndex(
+          { [COLUMNS.tenantId]: 1, [COLUMNS.email]: 1 },
+          { unique: true }
+        );
+      return;
+    }
+
+    await this.db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        ${COLUMNS.id} VARCHAR(36) PRIMARY KEY,
+        ${COLUMNS.name} VARCHAR(50) NOT NULL,
+        ${COLUMNS.email} VARCHAR(255) NOT NULL,
+        ${COLUMNS.password} VARCHAR(255) NOT NULL,
+        ${COLUMNS.createdAt} VARCHAR(30) NOT NULL,
+        ${COLUMNS.updatedAt} VARCHAR(30) NULL,
+        ${COLUMNS.version} INTEGER NOT NULL DEFAULT 1,
+        ${COLUMNS.deletedAt} VARCHAR(30) NULL,
+        ${COLUMNS.status} VARCHAR(30) NOT NULL DEFAULT 'active',
+        ${COLUMNS.statusReason} VARCHAR(500) NULL,
+        ${COLUMNS.statusChangedAt} VARCHAR(30) NULL,
+        ${COLUMNS.role} VARCHAR(30) NOT NULL DEFAULT 'user',
+        ${COLUMNS.isVerified} BOOLEAN NOT NULL DEFAULT FALSE,
+        ${COLUMNS.lastLoginAt} VARCHAR(30) NULL,
+        ${COLUMNS.pendingEmail} VARCHAR(255) NULL,
+        ${COLUMNS.pendingEmailExpiresAt} VARCHAR(30) NULL,
+        ${COLUMNS.invitationExpiresAt} VARCHAR(30) NULL,
+        ${COLUMNS.profile} TEXT NULL,
+        ${COLUMNS.locale} VARCHAR(10) NULL,
+        ${COLUMNS.tenantId} VARCHAR(63) NOT NULL DEFAULT '',
+        UNIQUE (${COLUMNS.tenantId}, ${COLUMNS.email})
+      )`,
+      [],
+      { cache: false }
+    );
+  }
+
+  /**
+   * Convertir un usuario en fila/documento de base de datos
+   */
+  _toRow(user) {
+    const data = user.toObject();
+    const row = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      row[column] = this._toColumn(property, data[property]);
+    });
+
+    return row;
+  }
+
+  /**
+   * Valor de columna de una propiedad (el perfil como texto JSON en SQL y
+   * el tenant vacío como '')
+   */
+  _toColumn(property, value) {
+    if (property === "profile" && this.dbType !== "mongodb") {
+      return JSON.stringify(value || {});
+    }
+
+    if (property === "tenantId") {
+      return value || "";
+    }
+
+    return value ?? null;
+  }
+
+  /**
+   * Convertir una fila/documento de base de datos en instancia de User
+   */
+  _fromRow(row) {
+    const data = {};
+
+    Object.entries(COLUMNS).forEach(([property, column]) => {
+      const value = row[column];
+      data[property] = value instanceof Date ? value.toISOString() : value;
+    });
+
+    if (typeof data.profile === "string") {
+      data.profile = JSON.parse(data.profile);
+    }
+    data.tenantId = data.tenantId || null;
+
+    return new User(data);
+  }
+}
+
+DatabaseUserRepository.COLUMNS = COLUMNS;
+
+module.exports = DatabaseUserRepository;
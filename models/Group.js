@@ -0,0 +1,363 @@
+const { v4: uuidv4 } = require("uuid");
+const { userRepository } = require("./User");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Roles de un usuario dentro de un grupo, de más a menos privilegios
+ */
+const GROUP_ROLES = ["owner", "manager", "member"];
+
+/** Rol asignado al añadir un miembro sin indicar rol */
+const DEFAULT_GROUP_ROLE = "member";
+
+/**
+ * Grupo (equipo) de usuarios
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class Group {
+  /**
+   * @constructor
+   * @param {Object} data - Datos del grupo
+   * @param {string} [data.id] - ID único (se genera si no se indica)
+   * @param {string} data.name - Nombre, único sin distinguir mayúsculas
+   * @param {string|null} [data.description=null] - Descripción libre
+   * @param {string|null} [data.tenantId=null] - Tenant del grupo (null sin multi-tenencia)
+   */
+  constructor({
+    id,
+    name,
+    description = null,
+    tenantId = null,
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id || uuidv4();
+    this.name = name;
+    this.description = description;
+    this.tenantId = tenantId;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || this.createdAt;
+  }
+
+  /**
+   * Representación pública del grupo (sin el tenant, que es el de la
+   * petición)
+   *
+   * @returns {Object} Datos del grupo
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+/**
+ * Pertenencia de un usuario a un grupo, con su rol en él
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class GroupMembership {
+  /**
+   * @constructor
+   * @param {Object} data - Datos de la pertenencia
+   * @param {string} data.groupId - ID del grupo
+   * @param {string} data.userId - ID del usuario
+   * @param {string} [data.role="member"] - Uno de GROUP_ROLES
+   * @param {string} [data.joinedAt] - Fecha ISO del alta en el grupo (ahora por defecto)
+   */
+  constructor({ groupId, userId, role = DEFAULT_GROUP_ROLE, joinedAt }) {
+    this.groupId = groupId;
+    this.userId = userId;
+    this.role = role;
+    this.joinedAt = joinedAt || new Date().toISOString();
+  }
+
+  /**
+   * Representación pública de la pertenencia
+   *
+   * @returns {Object} Datos de la pertenencia
+   */
+  toJSON() {
+    return {
+      groupId: this.groupId,
+      userId: this.userId,
+      role: this.role,
+      joinedAt: this.joinedAt,
+    };
+  }
+}
+
+/**
+ * Grupos y pertenencias en memoria
+ *
+ * Con USER_STORAGE=database se usa DatabaseGroupRepository, que ofrece la
+ * misma interfaz. Las pertenencias de un usuario eliminado se conservan
+ * (para que vuelva a sus grupos si se restaura); GroupService lo omite de
+ * los listados y de los envíos. Como UserRepository, forTenant() da una
+ * vista que solo ve y crea los grupos de un tenant.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const repository = new GroupRepository();
+ * const group = await repository.create({ name: "Ventas" });
+ * await repository.addMember(group.id, userId, "manager");
+ */
+class GroupRepository {
+  constructor() {
+    this.groups = [];
+    this.memberships = [];
+    // Tenant de las operaciones: null ve y crea grupos sin restricción
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del repositorio limitada a un tenant
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {GroupRepository} Repositorio con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
+  }
+
+  /**
+   * Grupos visibles para el tenant del repositorio
+   *
+   * @private
+   * @returns {Group[]} Todos los grupos sin tenant, o los del tenant
+   */
+  _scope() {
+    return this.tenantId === null
+      ? this.groups
+      : this.groups.filter((group) => group.tenantId === this.tenantId);
+  }
+
+  /**
+   * Crear un grupo
+   *
+   * @param {Object} data - Datos del grupo (ver Group)
+   * @returns {Promise<Group>} Grupo creado
+   */
+  async create(data) {
+    const group = new Group({ ...data, tenantId: this.tenantId });
+    this.groups.push(group);
+    return group;
+  }
+
+  /**
+   * Obtener todos los grupos ordenados por nombre
+   *
+   * @returns {Promise<Group[]>} Grupos
+   */
+  async findAll() {
+    return [...this._scope()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Buscar un grupo por ID
+   *
+   * @param {string} id - ID del grupo
+   * @returns {Promise<Group|null>} Grupo o null
+   */
+  async findById(id) {
+    return this._scope().find((group) => group.id === id) || null;
+  }
+
+  /**
+   * Actualizar un grupo
+   *
+   * @param {string} id - ID del grupo
+   * @param {Object} changes - name y/o description
+   * @returns {Promise<Group|null>} Grupo actualizado o null si no existe
+   */
+  async update(id, changes) {
+    const group = await this.findById(id);
+    if (!group) {
+      return null;
+    }
+
+    Object.assign(group, changes, { updatedAt: new Date().toISOString() });
+    return group;
+  }
+
+  /**
+   * Eliminar un grupo y sus pertenencias
+   *
+   * @param {string} id - ID del grupo
+   * @returns {Promise<boolean>} true si existía
+   */
+  async delete(id) {
+    if (!(await this.findById(id))) {
+      return false;
+    }
+
+    this.groups = this.groups.filter((group) => group.id !== id);
+    this.memberships = this.memberships.filter(
+      (membership) => membership.groupId !== id
+    );
+    return true;
+  }
+
+  /**
+   * Añadir un usuario a un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @param {string} [role="member"] - Uno de GROUP_ROLES
+   * @returns {Promise<GroupMembership>} Pertenencia creada
+   */
+  async addMember(groupId, userId, role) {
+    const membership = new GroupMembership({ groupId, userId, role });
+    this.memberships.push(membership);
+    return membership;
+  }
+
+  /**
+   * Buscar la pertenencia de un usuario a un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<GroupMembership|null>} Pertenencia o null
+   */
+  async findMember(groupId, userId) {
+    return (
+      this.memberships.find(
+        (membership) =>
+          membership.groupId === groupId && membership.userId === userId
+      ) || null
+    );
+  }
+
+  /**
+   * Cambiar el rol de un miembro
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @param {string} role - Uno de GROUP_ROLES
+   * @returns {Promise<GroupMembership|null>} Pertenencia actualizada o null si no es miembro
+   */
+  async updateMember(groupId, userId, role) {
+    const membership = await this.findMember(groupId, userId);
+    if (!membership) {
+      return null;
+    }
+
+    membership.role = role;
+    return membership;
+  }
+
+  /**
+   * Quitar un usuario de un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<boolean>} true si era miembro
+   */
+  async removeMember(groupId, userId) {
+    const membership = await this.findMember(groupId, userId);
+    this.memberships = this.memberships.filter(
+      (candidate) => candidate !== membership
+    );
+    return Boolean(membership);
+  }
+
+  /**
+   * Obtener los miembros de un grupo por orden de alta
+   *
+   * @param {string} groupId - ID del grupo
+   * @returns {Promise<GroupMembership[]>} Pertenencias
+   */
+  async findMembers(groupId) {
+    return this.memberships.filter(
+      (membership) => membership.groupId === groupId
+    );
+  }
+
+  /**
+   * Obtener los grupos a los que pertenece un usuario
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<GroupMembership[]>} Pertenencias
+   */
+  async findMemberships(userId) {
+    return this.memberships.filter(
+      (membership) => membership.userId === userId
+    );
+  }
+}
+
+/**
+ * Crear el repositorio de grupos según el almacenamiento configurado
+ *
+ * Usa el mismo almacenamiento que los usuarios (USER_STORAGE). Con
+ * "database" reutiliza la conexión de options.databaseManager si se indica.
+ *
+ * @param {Object} [options] - Opciones del repositorio
+ * @param {string} [options.storage] - "memory" o "database" (por defecto USER_STORAGE o "memory")
+ * @param {DatabaseManager} [options.databaseManager] - Gestor de base de datos a reutilizar
+ * @param {Object} [options.database] - Configuración para crear un DatabaseManager nuevo
+ * @returns {GroupRepository|DatabaseGroupRepository} Repositorio de grupos
+ *
+ * @throws {Error} Cuando el tipo de almacenamiento no está soportado
+ */
+const createGroupRepository = (options = {}) => {
+  const storage = (
+    options.storage ||
+    process.env.USER_STORAGE ||
+    "memory"
+  ).toLowerCase();
+
+  switch (storage) {
+    case "memory":
+      return new GroupRepository();
+
+    case "database": {
+      // Carga diferida: evita conectar/configurar la base de datos si no se usa
+      const DatabaseManager = require("../modules/database");
+      const DatabaseGroupRepository = require("./DatabaseGroupRepository");
+
+      const databaseManager =
+        options.databaseManager ||
+        new DatabaseManager(options.database || require("../config/database"));
+
+      return new DatabaseGroupRepository(databaseManager, options);
+    }
+
+    default:
+      throw new Error(
+        `Tipo de almacenamiento de grupos no soportado: ${storage}`
+      );
+  }
+};
+
+module.exports = {
+  GROUP_ROLES,
+  DEFAULT_GROUP_ROLE,
+  Group,
+  GroupMembership,
+  GroupRepository,
+  createGroupRepository,
+};
+
+// Instancia única, sobre la misma conexión que el repositorio de usuarios.
+// Se crea después de exportar porque DatabaseGroupRepository importa las
+// clases de este módulo.
+module.exports.groupRepository = createGroupRepository({
+  databaseManager: userRepository.db,
+});
@@ -1,4 +1,173 @@
 const { v4: uuidv4 } = require("uuid");
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+} = require("../modules/passwordHasher");
+const {
+  AuditLogRepository,
+  recordChange,
+  buildChanges,
+} = require("./AuditLog");
+const { eventBus } = require("../modules/eventBus");
+const {
+  UserAttributeRepository,
+  validateProfile,
+  mergeProfile,
+} = require("./UserAttribute");
+const { scopeToTenant } = require("../modules/tenancy");
+const { validateSchema } = require("../modules/schema");
+const { ValidationError, ConflictError } = require("../modules/errors");
+const { SUPPORTED_LOCALES, t } = require("../modules/i18n");
+
+/**
+ * Estados del ciclo de vida de una cuenta
+ *
+ * - invited: creada por una invitación aún no aceptada; no inicia sesión
+ * - pending_verification: registrada, con el email aún sin verificar
+ * - active: cuenta operativa
+ * - suspended: bloqueada por un administrador (p. ej. abuso)
+ * - locked: bloqueada por seguridad (p. ej. credenciales comprometidas)
+ * - deactivated: dada de baja; no inicia sesión ni recibe emails
+ */
+const USER_STATUSES = [
+  "invited",
+  "pending_verification",
+  "active",
+  "suspended",
+  "locked",
+  "deactivated",
+];
+
+/** Estado de los usuarios creados sin indicar otro (y de los ya existentes) */
+const DEFAULT_USER_STATUS = "active";
+
+/**
+ * Transiciones permitidas desde cada estado
+ *
+ * Una cuenta invited no admite transiciones: solo la activa aceptar la
+ * invitación (User#acceptInvitation), que fija a la vez su contraseña.
+ */
+const USER_STATUS_TRANSITIONS = {
+  invited: [],
+  pending_verification: ["active", "deactivated"],
+  active: ["suspended", "locked", "deactivated"],
+  suspended: ["active", "deactivated"],
+  locked: ["active", "deactivated"],
+  deactivated: ["active"],
+};
+
+/** Estados cuyo cambio exige indicar un motivo */
+const REASON_REQUIRED_STATUSES = ["suspended", "locked", "deactivated"];
+
+/** Estados que pueden iniciar sesión */
+const LOGIN_STATUSES = ["pending_verification", "active"];
+
+/**
+ * Estados que pueden recibir cada categoría de email
+ *
+ * - transactional: bienvenida, verificación y recuperación de contraseña
+ * - marketing: notificaciones y emails personalizados
+ */
+const EMAIL_STATUSES = {
+  transactional: ["pending_verification", "active", "suspended", "locked"],
+  marketing: ["active"],
+};
+
+/**
+ * Campos de la representación pública (toJSON) que pueden pedirse con
+ * ?fields= (ver User#toProjection). deletedAt solo aparece en usuarios eliminados.
+ */
+const USER_JSON_FIELDS = [
+  "id",
+  "name",
+  "email",
+  "createdAt",
+  "updatedAt",
+  "version",
+  "status",
+  "statusReason",
+  "statusChangedAt",
+  "role",
+  "isVerified",
+  "profile",
+  "locale",
+  "pendingEmail",
+  "pendingEmailExpiresAt",
+  "deletedAt",
+];
+
+/**
+ * Esquema de los datos de un usuario (ver modules/schema.js)
+ *
+ * Es la única definición de las reglas: la usan User.validate y
+ * validateUpdate, el middleware de las rutas, el registro de
+ * modules/auth.js y la documentación de /api/docs. status y role solo se
+ * indican en altas internas (registro, invitaciones); los valores del
+ * perfil se validan en los repositorios contra las definiciones de
+ * atributos, aquí solo su forma. label y messages son claves del catálogo
+ * de mensajes (locales/).
+ */
+const USER_SCHEMA = {
+  name: {
+    type: "string",
+    required: true,
+    trim: true,
+    minLength: 2,
+    maxLength: 50,
+    label: "fields.name",
+    messages: { required: "validation.user.nameRequired" },
+  },
+  email: {
+    type: "string",
+    required: true,
+    format: "email",
+    lowercase: true,
+    label: "fields.email",
+    messages: { format: "validation.user.emailFormat" },
+  },
+  password: {
+    type: "string",
+    required: true,
+    minLength: 6,
+    maxLength: 100,
+    label: "fields.password",
+    messages: { required: "validation.user.passwordRequired" },
+  },
+  status: {
+    type: "string",
+    enum: USER_STATUSES,
+    label: "fields.status",
+  },
+  role: {
+    type: "string",
+    trim: true,
+    minLength: 1,
+    label: "fields.role",
+    description: "user por defecto",
+    messages: {
+      type: "validation.user.roleInvalid",
+      minLength: "validation.user.roleInvalid",
+    },
+  },
+  profile: {
+    type: "object",
+    label: "fields.profile",
+    description:
+      "requerido si hay atributos obligatorios, ver /api/user-attributes",
+  },
+  locale: {
+    type: "string",
+    enum: SUPPORTED_LOCALES,
+    nullable: true,
+    label: "fields.locale",
+    description:
+      "idioma preferido de los mensajes de la API; null usa Accept-Language",
+  },
+};
+
+/** Campos de USER_SCHEMA que pueden cambiar las actualizaciones */
+const USER_UPDATE_FIELDS = ["name", "email", "password", "profile", "locale"];
 
 /**
  * Clase que representa un usuario del sistema
@@ -35,6 +204,21 @@ class User {
    * @param {string} userData.email - Dirección de email válida del usuario
    * @param {string} userData.password - Contraseña del usuario (6-100 caracteres)
    * @param {string} [userData.createdAt] - Fecha de creación en formato ISO (se genera automáticamente si no se proporciona)
+   * @param {string} [userData.updatedAt] - Fecha de última modificación en formato ISO (por defecto createdAt)
+   * @param {number} [userData.version] - Versión del recurso, se incrementa en cada actualización (por defecto 1)
+   * @param {string|null} [userData.deletedAt] - Fecha de eliminación lógica en formato ISO (null si está activo)
+   * @param {string} [userData.status="active"] - Estado de la cuenta (ver USER_STATUSES)
+   * @param {string|null} [userData.statusReason] - Motivo del último cambio de estado
+   * @param {string|null} [userData.statusChangedAt] - Fecha ISO del último cambio de estado
+   * @param {string} [userData.role="user"] - Rol del usuario (lo usa authorizeRoles en modules/auth.js)
+   * @param {boolean} [userData.isVerified=false] - Si el email del usuario está verificado
+   * @param {string|null} [userData.lastLoginAt] - Fecha ISO del último inicio de sesión (null si nunca inició sesión)
+   * @param {string|null} [userData.pendingEmail] - Nuevo email pendiente de confirmar
+   * @param {string|null} [userData.pendingEmailExpiresAt] - Fecha ISO en que caduca el cambio de email pendiente
+   * @param {string|null} [userData.invitationExpiresAt] - Fecha ISO en que caduca la invitación (solo cuentas invited)
+   * @param {Object} [userData.profile={}] - Atributos de perfil definidos por los administradores
+   * @param {string|null} [userData.locale=null] - Idioma preferido de los mensajes de la API (SUPPORTED_LOCALES)
+   * @param {string|null} [userData.tenantId=null] - Tenant al que pertenece (null sin multi-tenencia)
    *
    * @throws {Error} Cuando los datos proporcionados no cumplen con las validaciones básicas
    *
@@ -56,12 +240,48 @@ class User {
    *   createdAt: "2025-01-15T08:00:00.000Z"
    * });
    */
-  constructor({ id = null, name, email, password, createdAt = null }) {
+  constructor({
+    id = null,
+    name,
+    email,
+    password,
+    createdAt = null,
+    updatedAt = null,
+    version = null,
+    deletedAt = null,
+    status = null,
+    statusReason = null,
+    statusChangedAt = null,
+    role = null,
+    isVerified = false,
+    lastLoginAt = null,
+    pendingEmail = null,
+    pendingEmailExpiresAt = null,
+    invitationExpiresAt = null,
+    profile = null,
+    locale = null,
+    tenantId = null,
+  }) {
     this.id = id || uuidv4();
     this.name = name;
     this.email = email;
     this.password = password;
     this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || this.createdAt;
+    this.version = version || 1;
+    this.deletedAt = deletedAt;
+    this.status = status || DEFAULT_USER_STATUS;
+    this.statusReason = statusReason;
+    this.statusChangedAt = statusChangedAt;
+    this.role = role || "user";
+    this.isVerified = Boolean(isVerified);
+    this.lastLoginAt = lastLoginAt;
+    this.pendingEmail = pendingEmail;
+    this.pendingEmailExpiresAt = pendingEmailExpiresAt;
+    this.invitationExpiresAt = invitationExpiresAt;
+    this.profile = profile || {};
+    this.locale = locale;
+    this.tenantId = tenantId;
   }
 
   /**
@@ -80,8 +300,9 @@ class User {
    */
 
   /**
-   * @property {string} password - Contraseña del usuario (hash o texto plano)
-   * @example "miContraseña123"
+   * @property {string} password - Hash de la contraseña (scrypt o bcrypt); los
+   * repositorios lo generan al crear y actualizar, nunca guardan texto plano
+   * @example "$scrypt$N=16384,r=8,p=1$Qm9...$3q2..."
    */
 
   /**
@@ -89,12 +310,88 @@ class User {
    * @example "2025-09-25T10:30:00.000Z"
    */
 
+  /**
+   * @property {string} updatedAt - Fecha de la última modificación en formato ISO 8601
+   * @example "2025-09-26T09:00:00.000Z"
+   */
+
+  /**
+   * @property {number} version - Versión del recurso para control de concurrencia optimista
+   * @example 3
+   */
+
+  /**
+   * @property {string|null} deletedAt - Fecha de eliminación lógica en formato ISO 8601 (null si está activo)
+   * @example "2025-10-01T08:00:00.000Z"
+   */
+
+  /**
+   * @property {string} status - Estado de la cuenta; solo cambia con transitionTo
+   * @example "suspended"
+   */
+
+  /**
+   * @property {string|null} statusReason - Motivo del último cambio de estado
+   * @example "Spam reiterado en comentarios"
+   */
+
+  /**
+   * @property {string|null} statusChangedAt - Fecha del último cambio de estado en formato ISO 8601
+   * @example "2025-10-02T12:00:00.000Z"
+   */
+
+  /**
+   * @property {string} role - Rol del usuario
+   * @example "user"
+   */
+
+  /**
+   * @property {boolean} isVerified - Si el email del usuario está verificado
+   * @example true
+   */
+
+  /**
+   * @property {string|null} lastLoginAt - Fecha del último inicio de sesión en formato ISO 8601;
+   * es un dato interno (estadísticas de actividad) y no forma parte de toJSON
+   * @example "2025-10-03T07:45:00.000Z"
+   */
+
+  /**
+   * @property {string|null} pendingEmail - Nuevo email solicitado que aún no se ha
+   * confirmado; email no cambia hasta que se abre el enlace de confirmación
+   * @example "maria.nueva@example.com"
+   */
+
+  /**
+   * @property {string|null} pendingEmailExpiresAt - Fecha en formato ISO 8601 en que
+   * caduca el cambio de email pendiente
+   * @example "2025-10-04T07:45:00.000Z"
+   */
+
+  /**
+   * @property {string|null} invitationExpiresAt - Fecha en formato ISO 8601 en
+   * que caduca el enlace de la invitación (null salvo en cuentas invited)
+   * @example "2025-10-04T07:45:00.000Z"
+   */
+
+  /**
+   * @property {Object} profile - Valores de los atributos de perfil (ver
+   * UserAttribute); los repositorios los validan contra las definiciones
+   * @example { "department": "Ventas", "phone": "600123123" }
+   */
+
+  /**
+   * @property {string|null} locale - Idioma preferido de los mensajes de la
+   * API; viaja en el JWT y tiene prioridad sobre Accept-Language
+   * @example "en"
+   */
+
   /**
    * Validar datos de usuario para creación (todos los campos requeridos)
    *
    * Esta función estática valida que todos los campos requeridos estén presentes
    * y cumplan con las reglas de negocio del sistema. Es utilizada antes de crear
-   * nuevas instancias de usuario.
+   * nuevas instancias de usuario. Las reglas son las de USER_SCHEMA.
    *
    * @static
    * @param {Object} userData - Datos del usuario a validar
@@ -105,6 +402,8 @@ class User {
    * @returns {Object} Resultado de la validación
    * @returns {boolean} return.isValid - true si todos los datos son válidos
    * @returns {string[]} return.errors - Array de mensajes de error (vacío si es válido)
+   * @returns {Array<{field: string, message: string}>} return.fieldErrors - Los mismos errores con el campo al que pertenecen
+   * @returns {Object} return.value - Copia de los datos normalizada como se guarda (email en minúsculas, nombre sin espacios en los extremos)
    *
    * @example
    * // Datos válidos
@@ -126,39 +425,11 @@ class User {
    * // invalidResult.errors === ["El nombre debe tener al menos 2 caracteres", ...]
    */
   static validate(userData) {
-    const errors = [];
-
-    if (!userData.name || typeof userData.name !== "string") {
-      errors.push("El nombre es requerido y debe ser una cadena de texto");
-    } else if (userData.name.trim().length < 2) {
-      errors.push("El nombre debe tener al menos 2 caracteres");
-    } else if (userData.name.trim().length > 50) {
-      errors.push("El nombre no puede exceder los 50 caracteres");
-    }
-
-    // Validar email
-    if (!userData.email || typeof userData.email !== "string") {
-      errors.push("El email es requerido");
-    } else {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(userData.email)) {
-        errors.push("El formato del email no es válido");
-      }
-    }
-
-    // Validar password
-    if (!userData.password || typeof userData.password !== "string") {
-      errors.push("La contraseña es requerida");
-    } else if (userData.password.length < 6) {
-      errors.push("La contraseña debe tener al menos 6 caracteres");
-    } else if (userData.password.length > 100) {
-      errors.push("La contraseña no puede exceder los 100 caracteres");
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors,
-    };
+    const { isValid, errors, fieldErrors, value } = validateSchema(
+      USER_SCHEMA,
+      userData
+    );
+    return { isValid, errors, fieldErrors, value };
   }
 
   /**
@@ -166,7 +437,8 @@ class User {
    *
    * Esta función estática valida solo los campos que están presentes en los datos
    * de actualización. Es más flexible que validate() ya que permite actualizaciones
-   * parciales donde solo algunos campos necesitan ser modificados.
+   * parciales donde solo algunos campos necesitan ser modificados. Aplica
+   * USER_SCHEMA a los campos de USER_UPDATE_FIELDS.
    *
    * @static
    * @param {Object} userData - Datos del usuario a validar para actualización
@@ -177,6 +449,8 @@ class User {
    * @returns {Object} Resultado de la validación
    * @returns {boolean} return.isValid - true si los datos proporcionados son válidos
    * @returns {string[]} return.errors - Array de mensajes de error (vacío si es válido)
+   * @returns {Array<{field: string, message: string}>} return.fieldErrors - Los mismos errores con el campo al que pertenecen
+   * @returns {Object} return.value - Copia de los datos normalizada como se guarda (email en minúsculas, nombre sin espacios en los extremos)
    *
    * @example
    * // Actualización válida (solo email)
@@ -201,46 +475,12 @@ class User {
    * // emptyResult.isValid === true, emptyResult.errors === []
    */
   static validateUpdate(userData) {
-    const errors = [];
-
-    // Validar nombre si está presente
-    if (userData.name !== undefined) {
-      if (typeof userData.name !== "string") {
-        errors.push("El nombre debe ser una cadena de texto");
-      } else if (userData.name.trim().length < 2) {
-        errors.push("El nombre debe tener al menos 2 caracteres");
-      } else if (userData.name.trim().length > 50) {
-        errors.push("El nombre no puede exceder los 50 caracteres");
-      }
-    }
-
-    // Validar email si está presente
-    if (userData.email !== undefined) {
-      if (typeof userData.email !== "string") {
-        errors.push("El email debe ser una cadena de texto");
-      } else {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(userData.email)) {
-          errors.push("El formato del email no es válido");
-        }
-      }
-    }
-
-    // Validar password si está presente
-    if (userData.password !== undefined) {
-      if (typeof userData.password !== "string") {
-        errors.push("La contraseña debe ser una cadena de texto");
-      } else if (userData.password.length < 6) {
-        errors.push("La contraseña debe tener al menos 6 caracteres");
-      } else if (userData.password.length > 100) {
-        errors.push("La contraseña no puede exceder los 100 caracteres");
-      }
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors,
-    };
+    const { isValid, errors, fieldErrors, value } = validateSchema(
+      USER_SCHEMA,
+      userData,
+      { partial: true, only: USER_UPDATE_FIELDS }
+    );
+    return { isValid, errors, fieldErrors, value };
   }
 
   /**
@@ -255,6 +495,18 @@ class User {
    * @returns {string} return.name - Nombre completo del usuario
    * @returns {string} return.email - Dirección de email del usuario
    * @returns {string} return.createdAt - Fecha de creación en formato ISO
+   * @returns {string} return.updatedAt - Fecha de última modificación en formato ISO
+   * @returns {number} return.version - Versión del recurso
+   * @returns {string} return.status - Estado de la cuenta
+   * @returns {string|null} return.statusReason - Motivo del último cambio de estado
+   * @returns {string|null} return.statusChangedAt - Fecha del último cambio de estado
+   * @returns {string} return.role - Rol del usuario
+   * @returns {boolean} return.isVerified - Si el email está verificado
+   * @returns {Object} return.profile - Atributos de perfil
+   * @returns {string|null} return.locale - Idioma preferido (null sin preferencia)
+   * @returns {string} [return.pendingEmail] - Nuevo email pendiente de confirmar (solo si hay un cambio pendiente)
+   * @returns {string} [return.pendingEmailExpiresAt] - Caducidad del cambio pendiente
+   * @returns {string} [return.deletedAt] - Fecha de eliminación (solo en usuarios eliminados)
    *
    * @example
    * const user = new User({
@@ -268,7 +520,14 @@ class User {
    * //   id: "123e4567-e89b-12d3-a456-426614174000",
    * //   name: "María González",
    * //   email: "maria@example.com",
-   * //   createdAt: "2025-09-25T10:30:00.000Z"
+   * //   createdAt: "2025-09-25T10:30:00.000Z",
+   * //   updatedAt: "2025-09-25T10:30:00.000Z",
+   * //   version: 1,
+   * //   status: "active",
+   * //   statusReason: null,
+   * //   statusChangedAt: null,
+   * //   role: "user",
+   * //   isVerified: false
    * // }
    *
    * // Nota: password NO está incluido por seguridad
@@ -279,10 +538,48 @@ class User {
       name: this.name,
       email: this.email,
       createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      version: this.version,
+      status: this.status,
+      statusReason: this.statusReason,
+      statusChangedAt: this.statusChangedAt,
+      role: this.role,
+      isVerified: this.isVerified,
+      profile: this.profile,
+      locale: this.locale,
+      ...(this.pendingEmail && {
+        pendingEmail: this.pendingEmail,
+        pendingEmailExpiresAt: this.pendingEmailExpiresAt,
+      }),
+      ...(this.deletedAt && { deletedAt: this.deletedAt }),
       // Nota: No incluimos password por seguridad
     };
   }
 
+  /**
+   * Obtener la representación pública restringida a algunos campos
+   *
+   * Mantiene el orden de toJSON y omite los campos que toJSON no incluye
+   * (p. ej. deletedAt en un usuario activo).
+   *
+   * @param {string[]|null} [fields] - Campos de USER_JSON_FIELDS; sin indicar, todos
+   * @returns {Object} Objeto con los campos solicitados
+   *
+   * @example
+   * user.toProjection(["name", "id"]);
+   * // { id: "123e4567-e89b-12d3-a456-426614174000", name: "María González" }
+   */
+  toProjection(fields = null) {
+    const data = this.toJSON();
+    if (!fields) {
+      return data;
+    }
+
+    return Object.fromEntries(
+      Object.entries(data).filter(([field]) => fields.includes(field))
+    );
+  }
+
   /**
    * Convertir la instancia a objeto plano completo (solo uso interno)
    *
@@ -295,8 +592,20 @@ class User {
    * @returns {string} return.id - ID único del usuario
    * @returns {string} return.name - Nombre completo del usuario
    * @returns {string} return.email - Dirección de email del usuario
-   * @returns {string} return.password - Contraseña del usuario (¡USO INTERNO SOLAMENTE!)
+   * @returns {string} return.password - Hash de la contraseña (¡USO INTERNO SOLAMENTE!)
    * @returns {string} return.createdAt - Fecha de creación en formato ISO
+   * @returns {string} return.updatedAt - Fecha de última modificación en formato ISO
+   * @returns {number} return.version - Versión del recurso
+   * @returns {string} return.status - Estado de la cuenta
+   * @returns {string|null} return.statusReason - Motivo del último cambio de estado
+   * @returns {string|null} return.statusChangedAt - Fecha del último cambio de estado
+   * @returns {string} return.role - Rol del usuario
+   * @returns {boolean} return.isVerified - Si el email está verificado
+   * @returns {Object} return.profile - Atributos de perfil
+   * @returns {string|null} return.locale - Idioma preferido (null sin preferencia)
+   * @returns {string|null} return.invitationExpiresAt - Caducidad de la invitación pendiente
+   * @returns {string|null} return.tenantId - Tenant del usuario
+   * @returns {string} [return.deletedAt] - Fecha de eliminación (solo en usuarios eliminados)
    *
    * @example
    * const user = new User({
@@ -310,8 +619,15 @@ class User {
    * //   id: "123e4567-e89b-12d3-a456-426614174000",
    * //   name: "María González",
    * //   email: "maria@example.com",
-   * //   password: "secret123",  // ← ¡PELIGROSO!
-   * //   createdAt: "2025-09-25T10:30:00.000Z"
+   * //   password: "$scrypt$N=16384,r=8,p=1$...",  // ← hash, aun así ¡PELIGROSO!
+   * //   createdAt: "2025-09-25T10:30:00.000Z",
+   * //   updatedAt: "2025-09-25T10:30:00.000Z",
+   * //   version: 1,
+   * //   status: "active",
+   * //   statusReason: null,
+   * //   statusChangedAt: null,
+   * //   role: "user",
+   * //   isVerified: false
    * // }
    *
    * @warning No usar en respuestas HTTP públicas - expone información sensible
@@ -323,10 +639,523 @@ class User {
       email: this.email,
       password: this.password,
       createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      version: this.version,
+      status: this.status,
+      statusReason: this.statusReason,
+      statusChangedAt: this.statusChangedAt,
+      role: this.role,
+      isVerified: this.isVerified,
+      profile: this.profile,
+      locale: this.locale,
+      lastLoginAt: this.lastLoginAt,
+      pendingEmail: this.pendingEmail,
+      pendingEmailExpiresAt: this.pendingEmailExpiresAt,
+      invitationExpiresAt: this.invitationExpiresAt,
+      tenantId: this.tenantId,
+      ...(this.deletedAt && { deletedAt: this.deletedAt }),
     };
   }
+
+  /**
+   * Obtener el ETag del recurso
+   *
+   * Es un ETag fuerte derivado del ID y la versión: cambia con cada
+   * actualización, por lo que sirve tanto para If-None-Match (caché) como
+   * para If-Match (concurrencia optimista).
+   *
+   * @returns {string} ETag entre comillas, listo para la cabecera HTTP
+   *
+   * @example
+   * user.getETag(); // "\"123e4567-e89b-12d3-a456-426614174000-v1\""
+   */
+  getETag() {
+    return `"${this.id}-v${this.version}"`;
+  }
+
+  /**
+   * Comprobar una contraseña en texto plano contra el hash guardado
+   *
+   * @param {string} password - Contraseña recibida
+   * @returns {Promise<boolean>} true si coincide
+   *
+   * @example
+   * const ok = await user.verifyPassword("miContraseña123");
+   */
+  async verifyPassword(password) {
+    return verifyPassword(password, this.password);
+  }
+
+  /**
+   * Indicar si el hash guardado no corresponde a la configuración actual
+   *
+   * Ocurre con contraseñas en texto plano heredadas y cuando cambian el
+   * algoritmo o los parámetros de coste en userConfig.password.
+   *
+   * @returns {boolean} true si debe regenerarse tras una verificación correcta
+   */
+  needsPasswordRehash() {
+    return needsRehash(this.password);
+  }
+
+  /**
+   * Indicar si la cuenta puede pasar al estado indicado (USER_STATUS_TRANSITIONS)
+   *
+   * @param {string} status - Estado de destino
+   * @returns {boolean} true si la transición está permitida
+   */
+  canTransitionTo(status) {
+    return (USER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Cambiar el estado de la cuenta registrando motivo y fecha
+   *
+   * Pasar de pending_verification a active marca además el email como
+   * verificado. No cambia version ni updatedAt: de eso se encargan los
+   * repositorios (changeStatus), que son quienes persisten el cambio.
+   *
+   * @param {string} status - Estado de destino (ver USER_STATUSES)
+   * @param {string|null} [reason=null] - Motivo del cambio
+   * @throws {StatusTransitionError} Cuando la transición no está permitida
+   *
+   * @example
+   * user.transitionTo("suspended", "Spam reiterado en comentarios");
+   * user.status; // "suspended"
+   */
+  transitionTo(status, reason = null) {
+    if (!this.canTransitionTo(status)) {
+      throw new StatusTransitionError(this.status, status);
+    }
+
+    if (this.status === "pending_verification" && status === "active") {
+      this.isVerified = true;
+    }
+
+    this.status = status;
+    this.statusReason = reason;
+    this.statusChangedAt = new Date().toISOString();
+  }
+
+  /**
+   * Activar una cuenta invited con la contraseña elegida por el invitado
+   *
+   * Abrir el enlace de la invitación demuestra que el email es suyo, así que
+   * queda verificado. Igual que transitionTo, no cambia version ni
+   * updatedAt.
+   *
+   * @param {string} passwordHash - Hash de la nueva contraseña (hashPassword)
+   * @throws {StatusTransitionError} Cuando la cuenta no está invited
+   *
+   * @example
+   * user.acceptInvitation(await hashPassword("miContraseña123"));
+   * user.status; // "active"
+   */
+  acceptInvitation(passwordHash) {
+    if (this.status !== "invited") {
+      throw new StatusTransitionError(this.status, "active");
+    }
+
+    this.password = passwordHash;
+    this.isVerified = true;
+    this.invitationExpiresAt = null;
+    this.status = "active";
+    this.statusReason = null;
+    this.statusChangedAt = new Date().toISOString();
+  }
+
+  /**
+   * Indicar si la cuenta puede iniciar sesión (LOGIN_STATUSES)
+   *
+   * @returns {boolean} true si el estado permite iniciar sesión
+   */
+  canLogin() {
+    return LOGIN_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Indicar si la cuenta puede recibir una categoría de email (EMAIL_STATUSES)
+   *
+   * @param {string} category - "transactional" o "marketing"
+   * @returns {boolean} true si el estado permite el envío
+   *
+   * @example
+   * user.status = "suspended";
+   * user.canReceiveEmail("transactional"); // true
+   * user.canReceiveEmail("marketing"); // false
+   */
+  canReceiveEmail(category) {
+    return (EMAIL_STATUSES[category] || []).includes(this.status);
+  }
 }
 
+/**
+ * Error lanzado cuando una actualización espera una versión distinta de la actual
+ *
+ * Lo producen los repositorios cuando se pasa expectedVersion (If-Match) o
+ * cuando otra escritura concurrente modificó el usuario antes de guardar.
+ *
+ * @class
+ * @extends ConflictError
+ *
+ * @example
+ * try {
+ *   await userRepository.update(id, { name: "Nuevo" }, { expectedVersion: 2 });
+ * } catch (error) {
+ *   if (error instanceof VersionConflictError) {
+ *     console.log(error.currentVersion);
+ *   }
+ * }
+ */
+class VersionConflictError extends ConflictError {
+  /**
+   * @param {number} [currentVersion] - Versión actual del usuario, si se conoce
+   */
+  constructor(currentVersion) {
+    super(t("users.versionConflict"), {
+      type: "version-conflict",
+    });
+    this.name = "VersionConflictError";
+    this.code = "VERSION_CONFLICT";
+    this.currentVersion = currentVersion;
+  }
+}
+
+/**
+ * Error lanzado cuando se pide un cambio de estado no permitido
+ *
+ * Lo produce User#transitionTo según USER_STATUS_TRANSITIONS; los
+ * controladores lo traducen a 409 Conflict.
+ *
+ * @class
+ * @extends ConflictError
+ *
+ * @example
+ * try {
+ *   await userRepository.changeStatus(id, "locked", { reason: "..." });
+ * } catch (error) {
+ *   if (error instanceof StatusTransitionError) {
+ *     console.log(error.from, error.to, error.allowed);
+ *   }
+ * }
+ */
+class StatusTransitionError extends ConflictError {
+  /**
+   * @param {string} from - Estado actual
+   * @param {string} to - Estado pedido
+   */
+  constructor(from, to) {
+    const allowed = USER_STATUS_TRANSITIONS[from] || [];
+
+    super(t("users.invalidStatusTransition", { from, to }), {
+      type: "invalid-status-transition",
+      extensions: { currentStatus: from, allowedTransitions: allowed },
+    });
+    this.name = "StatusTransitionError";
+    this.code = "INVALID_STATUS_TRANSITION";
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+/**
+ * Propiedades gestionadas por el repositorio que update() nunca modifica
+ *
+ * El estado y la verificación solo cambian con changeStatus(), que aplica
+ * las transiciones permitidas; el rol se fija al crear el usuario,
+ * lastLoginAt solo lo actualiza recordLogin(), el cambio de email pendiente
+ * solo changeEmail(), la caducidad de la invitación solo renewInvitation() y
+ * acceptInvitation(), y el tenant no cambia nunca.
+ */
+const READ_ONLY_FIELDS = [
+  "id",
+  "createdAt",
+  "updatedAt",
+  "version",
+  "deletedAt",
+  "status",
+  "statusReason",
+  "statusChangedAt",
+  "role",
+  "isVerified",
+  "lastLoginAt",
+  "pendingEmail",
+  "pendingEmailExpiresAt",
+  "invitationExpiresAt",
+  "tenantId",
+];
+
+/**
+ * Propiedades que modifica changeEmail(): el email, el cambio pendiente y la
+ * verificación (un email confirmado por enlace queda verificado)
+ */
+const EMAIL_CHANGE_FIELDS = [
+  "email",
+  "pendingEmail",
+  "pendingEmailExpiresAt",
+  "isVerified",
+];
+
+/**
+ * Error "Datos inválidos" de una validación fallida
+ *
+ * Compartida por UserRepository y DatabaseUserRepository.
+ *
+ * @private
+ * @param {Object} validation - Resultado de User.validate, validateUpdate o validateProfile
+ * @returns {ValidationError} Error con los mensajes y, si los hay, los errores por campo
+ */
+const invalidDataError = (validation) =>
+  new ValidationError(
+    t("validation.invalidData", { errors: validation.errors.join(", ") }),
+    {
+      errors: validation.errors,
+      fieldErrors: validation.fieldErrors,
+    }
+  );
+
+/**
+ * Comprobar que un email puede usarse en changeEmail()
+ *
+ * Compartida por UserRepository y DatabaseUserRepository: valida el formato
+ * y que ningún otro usuario (activo o eliminado) lo tenga registrado.
+ *
+ * @private
+ * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+ * @param {string} id - Usuario que cambia de email
+ * @param {string} email - Email a comprobar
+ * @returns {Promise<void>}
+ * @throws {ValidationError} Cuando el email no es válido
+ * @throws {ConflictError} Cuando el email ya está registrado
+ */
+const assertEmailChangeAllowed = async (repository, id, email) => {
+  const validation = User.validateUpdate({ email });
+  if (!validation.isValid) {
+    throw invalidDataError(validation);
+  }
+
+  const existingUser = await repository.findByEmail(email, {
+    includeDeleted: true,
+  });
+  if (existingUser && existingUser.id !== id) {
+    assertEmailAvailable(existingUser);
+  }
+};
+
+/**
+ * Verificar si un usuario cumple los filtros de listado
+ *
+ * @private
+ * @param {User} user - Usuario a evaluar
+ * @param {Object} filters - Filtros (name, emailDomain, createdFrom, createdTo, profile)
+ * @returns {boolean} true si el usuario cumple todos los filtros
+ */
+const matchesUserFilters = (user, filters) => {
+  if (
+    filters.name &&
+    !user.name.toLowerCase().includes(filters.name.toLowerCase())
+  ) {
+    return false;
+  }
+
+  if (
+    filters.emailDomain &&
+    !user.email.toLowerCase().endsWith(`@${filters.emailDomain.toLowerCase()}`)
+  ) {
+    return false;
+  }
+
+  if (filters.createdFrom && user.createdAt < filters.createdFrom) {
+    return false;
+  }
+
+  if (filters.createdTo && user.createdAt > filters.createdTo) {
+    return false;
+  }
+
+  // Atributos de perfil: igualdad exacta, sin distinguir mayúsculas en textos
+  return Object.entries(filters.profile || {}).every(([key, expected]) => {
+    const value = user.profile[key];
+    return typeof expected === "string"
+      ? typeof value === "string" &&
+          value.toLowerCase() === expected.toLowerCase()
+      : value === expected;
+  });
+};
+
+/**
+ * Filtrar, ordenar y paginar una lista de usuarios
+ *
+ * Orden estable, por lo que los empates conservan el orden de creación.
+ *
+ * @private
+ * @param {User[]} source - Usuarios sobre los que paginar
+ * @param {Object} options - Opciones de consulta (filters, sort, limit, offset)
+ * @returns {{users: User[], total: number}} Página de usuarios y total filtrado
+ */
+const paginateUsers = (
+  source,
+  { filters = {}, sort = [], limit, offset = 0 } = {}
+) => {
+  const matches = source.filter((user) => matchesUserFilters(user, filters));
+
+  const sorted = [...matches].sort((a, b) => {
+    for (const { field, order } of sort) {
+      const result = String(a[field]).localeCompare(String(b[field]));
+      if (result !== 0) {
+        return order === "desc" ? -result : result;
+      }
+    }
+    return 0;
+  });
+
+  const end = limit === undefined ? undefined : offset + limit;
+
+  return {
+    users: sorted.slice(offset, end),
+    total: matches.length,
+  };
+};
+
+/**
+ * Verificar que un email encontrado no bloquee un registro o actualización
+ *
+ * Regla para cuentas eliminadas: conservan su email hasta la purga, y el
+ * error indica que debe restaurarse la cuenta en lugar de crear otra.
+ * Compartida por UserRepository y DatabaseUserRepository.
+ *
+ * @param {User|undefined} existingUser - Usuario que ya usa el email
+ * @throws {ConflictError} Cuando el email está en uso por un usuario activo o eliminado
+ */
+const assertEmailAvailable = (existingUser) => {
+  if (!existingUser) {
+    return;
+  }
+
+  if (existingUser.deletedAt) {
+    throw new ConflictError(t("users.emailBelongsToDeleted"), {
+      type: "email-taken",
+    });
+  }
+
+  throw new ConflictError(t("users.emailTaken"), {
+    type: "email-taken",
+  });
+};
+
+/**
+ * Verificar email y contraseña de un usuario activo
+ *
+ * Si la contraseña es correcta pero el hash guardado está desactualizado
+ * (texto plano heredado u otro algoritmo o coste), se regenera y guarda con
+ * repository.updatePasswordHash de forma transparente. Compartida por
+ * UserRepository y DatabaseUserRepository.
+ *
+ * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+ * @param {string} email - Email del usuario
+ * @param {string} password - Contraseña en texto plano
+ * @returns {Promise<User|null>} Usuario si las credenciales son válidas, null si no
+ */
+const verifyUserCredentials = async (repository, email, password) => {
+  const user = await repository.findByEmail(email);
+  if (!user || !(await user.verifyPassword(password))) {
+    return null;
+  }
+
+  if (user.needsPasswordRehash()) {
+    const hash = await hashPassword(password);
+    await repository.updatePasswordHash(user.id, hash);
+    user.password = hash;
+  }
+
+  return user;
+};
+
+/**
+ * Evento de dominio (modules/eventBus.js) que publica cada acción del
+ * historial; restore y destroy no publican ninguno
+ */
+const USER_EVENTS_BY_ACTION = {
+  create: "user.created",
+  update: "user.updated",
+  override: "user.updated",
+  delete: "user.deleted",
+};
+
+/**
+ * Registrar en el historial del repositorio un cambio sobre un usuario y
+ * publicar su evento de dominio
+ *
+ * Compartida por UserRepository y DatabaseUserRepository. No registra nada
+ * si el repositorio no tiene historial (repository.auditLog) ni publica
+ * nada si no tiene bus de eventos (repository.events). Como en el
+ * historial, una actualización sin cambios no publica evento.
+ *
+ * El evento lleva el usuario sin la contraseña y los cambios con el mismo
+ * formato que el historial: { user, changes }.
+ *
+ * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+ * @param {string} action - create, update, override, delete, restore o destroy
+ * @param {Object|null} before - Usuario antes del cambio (toObject) o null en altas
+ * @param {Object|null} after - Usuario después del cambio (toObject) o null en borrados definitivos
+ * @param {Object} [context] - Actor, ID de la petición y origen ({ actor, requestId, origin })
+ * @returns {Promise<AuditEntry|null>} Entrada registrada o null
+ */
+const auditUserChange = async (repository, action, before, after, context) => {
+  const entry = await recordChange(
+    repository.auditLog,
+    {
+      entityType: "user",
+      entityId: (after || before).id,
+      tenantId: (after || before).tenantId,
+      action,
+      before,
+      after,
+    },
+    context
+  );
+
+  const type = USER_EVENTS_BY_ACTION[action];
+  const changes = buildChanges(before, after);
+  if (repository.events && type && (action !== "update" || changes.length)) {
+    const user = { ...(after || before) };
+    delete user.password;
+    repository.events.publish(
+      type,
+      { user, changes },
+      { ...context, tenantId: user.tenantId }
+    );
+  }
+
+  return entry;
+};
+
+/**
+ * Validar un perfil o sus cambios contra los atributos definidos
+ *
+ * Compartida por UserRepository y DatabaseUserRepository, que leen las
+ * definiciones de repository.attributes; sin repositorio de atributos no
+ * hay ninguno definido.
+ *
+ * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+ * @param {Object} profile - Perfil completo (alta) o cambios (actualización)
+ * @param {Object} [options] - Opciones de validación (ver validateProfile)
+ * @param {boolean} [options.partial=false] - Validar cambios de una actualización
+ * @returns {Promise<void>}
+ * @throws {ValidationError} Cuando algún valor no cumple su definición
+ */
+const assertValidProfile = async (repository, profile, { partial } = {}) => {
+  const attributes = repository.attributes
+    ? await repository.attributes.findAll()
+    : [];
+  const validation = validateProfile(attributes, profile, { partial });
+
+  if (!validation.isValid) {
+    throw invalidDataError(validation);
+  }
+};
+
 /**
  * Repositorio para gestión de usuarios en memoria
  *
@@ -335,6 +1164,25 @@ class User {
  * métodos para crear, leer, actualizar y eliminar usuarios con validaciones
  * de negocio y manejo de errores.
  *
+ * Todos los métodos son asíncronos para compartir interfaz con
+ * DatabaseUserRepository, de modo que los controladores funcionen igual con
+ * cualquiera de los dos almacenamientos. Es el almacenamiento por defecto
+ * (y el usado en los tests).
+ *
+ * La eliminación es lógica: delete() marca deletedAt y mueve el usuario a
+ * deletedUsers, fuera de las lecturas normales, hasta que restore() lo
+ * recupera o purgeDeleted() lo borra definitivamente. Un usuario eliminado
+ * conserva su email reservado hasta la purga, de modo que siempre puede
+ * restaurarse sin conflictos.
+ *
+ * Si se le pasa un historial (auditLog), cada alta, actualización,
+ * eliminación, restauración y borrado definitivo registra una entrada con el
+ * actor, el ID de la petición y el diff campo a campo. La purga programada
+ * no se registra: el historial de los usuarios purgados se conserva.
+ *
+ * Si se le pasa un bus de eventos (events), las altas, actualizaciones y
+ * eliminaciones publican user.created, user.updated y user.deleted.
+ *
  * Implementa el patrón Singleton a través de la instancia exportada userRepository.
  *
  * @class
@@ -347,7 +1195,7 @@ class User {
  * const { userRepository } = require('./models/User');
  *
  * // Crear usuario
- * const user = userRepository.create({
+ * const user = await userRepository.create({
  *   name: "María González",
  *   email: "maria@example.com",
  *   password: "password123"
@@ -365,13 +1213,59 @@ class UserRepository {
    * En un entorno de producción, esto se conectaría a una base de datos real.
    *
    * @constructor
+   * @param {Object} [options] - Opciones del repositorio
+   * @param {AuditLogRepository} [options.auditLog=null] - Historial de cambios (sin auditoría si no se indica)
+   * @param {EventBus} [options.events=null] - Bus de eventos de dominio (sin eventos si no se indica)
+   * @param {UserAttributeRepository} [options.attributes] - Definiciones de los
+   * atributos de perfil (uno nuevo, vacío, si no se indica)
    *
    * @example
    * const repo = new UserRepository();
-   * // repo.users === []
+   * // repo.users === [], repo.deletedUsers === []
    */
-  constructor() {
+  constructor({ auditLog = null, events = null, attributes = null } = {}) {
     this.users = [];
+    this.deletedUsers = [];
+    this.auditLog = auditLog;
+    this.events = events;
+    this.attributes = attributes || new UserAttributeRepository();
+    // Tenant de las operaciones: null ve y crea usuarios sin restricción
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del repositorio limitada a un tenant
+   *
+   * La vista comparte los datos del repositorio: solo lee, crea y modifica
+   * usuarios del tenant, y la unicidad del email se comprueba dentro de él.
+   * Su historial (auditLog) y sus atributos de perfil (attributes) son
+   * también los del tenant.
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {UserRepository} Repositorio con tenantId fijado
+   *
+   * @example
+   * const acmeUsers = userRepository.forTenant("acme");
+   * await acmeUsers.create({ name: "Ana Ruiz", email: "ana@acme.com", password: "123456" });
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId, {
+      auditLog: this.auditLog && this.auditLog.forTenant(tenantId),
+      attributes: this.attributes && this.attributes.forTenant(tenantId),
+    });
+  }
+
+  /**
+   * Usuarios de una lista visibles para el tenant del repositorio
+   *
+   * @private
+   * @param {User[]} users - this.users o this.deletedUsers
+   * @returns {User[]} La misma lista sin tenant, o los usuarios del tenant
+   */
+  _scope(users) {
+    return this.tenantId === null
+      ? users
+      : users.filter((user) => user.tenantId === this.tenantId);
   }
 
   /**
@@ -385,17 +1279,20 @@ class UserRepository {
    * @param {string} userData.name - Nombre completo del usuario
    * @param {string} userData.email - Dirección de email única del usuario
    * @param {string} userData.password - Contraseña del usuario
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
    *
-   * @returns {User} Instancia del usuario creado
+   * @returns {Promise<User>} Instancia del usuario creado
    *
-   * @throws {Error} Cuando los datos de validación fallan
-   * @throws {Error} Cuando el email ya está registrado en el sistema
+   * @throws {ValidationError} Cuando los datos de validación fallan
+   * @throws {ConflictError} Cuando el email ya está registrado en el sistema
+   * @throws {ConflictError} Cuando el email pertenece a un usuario eliminado pendiente de purga
    *
    * @example
    * const { userRepository } = require('./models/User');
    *
    * try {
-   *   const newUser = userRepository.create({
+   *   const newUser = await userRepository.create({
    *     name: "Juan Pérez",
    *     email: "juan@example.com",
    *     password: "securePassword123"
@@ -411,7 +1308,7 @@ class UserRepository {
    * @example
    * // Error: email duplicado
    * try {
-   *   userRepository.create({
+   *   await userRepository.create({
    *     name: "Ana López",
    *     email: "juan@example.com", // Ya existe
    *     password: "password456"
@@ -420,19 +1317,34 @@ class UserRepository {
    *   console.error(error.message); // "El email ya está registrado"
    * }
    */
-  create(userData) {
+  async create(userData, { context } = {}) {
     const validation = User.validate(userData);
     if (!validation.isValid) {
-      throw new Error(`Datos inválidos: ${validation.errors.join(", ")}`);
+      throw invalidDataError(validation);
     }
+    // El email se guarda normalizado (en minúsculas), como lo valida USER_SCHEMA
+    const data = { ...userData, email: validation.value.email };
+    await assertValidProfile(this, data.profile || {});
 
-    // Verificar si el email ya existe
-    if (this.findByEmail(userData.email)) {
-      throw new Error("El email ya está registrado");
-    }
+    // Verificar si el email ya existe (incluye usuarios eliminados)
+    assertEmailAvailable(
+      await this.findByEmail(data.email, { includeDeleted: true })
+    );
+
+    const user = new User({
+      ...data,
+      password: await hashPassword(data.password),
+      profile: mergeProfile({}, data.profile || {}),
+      tenantId: this.tenantId,
+    });
+
+    // Revalidar tras el hash: otra alta pudo tomar el email mientras tanto
+    assertEmailAvailable(
+      await this.findByEmail(data.email, { includeDeleted: true })
+    );
 
-    const user = new User(userData);
     this.users.push(user);
+    await auditUserChange(this, "create", null, user.toObject(), context);
     return user;
   }
 
@@ -442,14 +1354,15 @@ class UserRepository {
    * Este método retorna una copia del array completo de usuarios almacenados
    * en memoria. Los objetos retornados son las instancias originales de User,
    * por lo que cualquier modificación afectaría los datos almacenados.
+   * Los usuarios eliminados no se incluyen.
    *
-   * @returns {User[]} Array con todas las instancias de usuario almacenadas
+   * @returns {Promise<User[]>} Array con todas las instancias de usuario almacenadas
    *
    * @example
    * const { userRepository } = require('./models/User');
    *
    * // Obtener todos los usuarios
-   * const allUsers = userRepository.findAll();
+   * const allUsers = await userRepository.findAll();
    *
    * console.log(`Total de usuarios: ${allUsers.length}`);
    * allUsers.forEach(user => {
@@ -458,28 +1371,82 @@ class UserRepository {
    *
    * @example
    * // Sistema vacío
-   * const emptyUsers = userRepository.findAll();
+   * const emptyUsers = await userRepository.findAll();
    * console.log(emptyUsers); // []
    */
-  findAll() {
-    return this.users;
+  async findAll() {
+    return this._scope(this.users);
+  }
+
+  /**
+   * Obtener una página de usuarios con filtros y ordenamiento
+   *
+   * Aplica los filtros, ordena por los campos indicados (orden estable, por lo
+   * que los empates conservan el orden de creación) y devuelve la porción
+   * solicitada junto con el total de coincidencias.
+   *
+   * @param {Object} [options] - Opciones de consulta
+   * @param {Object} [options.filters] - Filtros a aplicar
+   * @param {string} [options.filters.name] - Texto contenido en el nombre (sin distinguir mayúsculas)
+   * @param {string} [options.filters.emailDomain] - Dominio exacto del email (ej. "example.com")
+   * @param {string} [options.filters.createdFrom] - Fecha ISO mínima de creación (inclusive)
+   * @param {string} [options.filters.createdTo] - Fecha ISO máxima de creación (inclusive)
+   * @param {Object} [options.filters.profile] - Valores exactos de atributos de perfil, ya
+   * convertidos a su tipo (los textos sin distinguir mayúsculas)
+   * @param {Array<{field: string, order: string}>} [options.sort] - Campos de ordenamiento
+   * @param {number} [options.limit] - Máximo de usuarios a devolver
+   * @param {number} [options.offset=0] - Usuarios a saltar
+   * @param {string[]} [options.fields] - Campos que necesita el llamador; en memoria se
+   *   ignora porque los usuarios ya están cargados (DatabaseUserRepository los usa en el SELECT)
+   *
+   * @returns {Promise<{users: User[], total: number}>} Página de usuarios y total filtrado
+   *
+   * @example
+   * const { users, total } = await userRepository.findPage({
+   *   filters: { emailDomain: "example.com" },
+   *   sort: [{ field: "name", order: "asc" }],
+   *   limit: 20,
+   *   offset: 0
+   * });
+   */
+  async findPage(options = {}) {
+    return paginateUsers(this._scope(this.users), options);
+  }
+
+  /**
+   * Obtener una página de usuarios eliminados (pendientes de purga)
+   *
+   * Mismo contrato que findPage, aplicado solo a los usuarios eliminados.
+   * Pensado para el listado administrativo.
+   *
+   * @param {Object} [options] - Opciones de consulta (filters, sort, limit, offset, fields)
+   * @returns {Promise<{users: User[], total: number}>} Página de usuarios eliminados y total filtrado
+   *
+   * @example
+   * const { users, total } = await userRepository.findDeleted({ limit: 20 });
+   */
+  async findDeleted(options = {}) {
+    return paginateUsers(this._scope(this.deletedUsers), options);
   }
 
   /**
    * Buscar un usuario específico por su ID único
    *
    * Este método busca en el repositorio un usuario que coincida con el ID
-   * proporcionado. Si no se encuentra ningún usuario con ese ID, retorna undefined.
+   * proporcionado. Si no se encuentra ningún usuario activo con ese ID, retorna undefined.
    *
    * @param {string} id - ID único del usuario a buscar (formato UUID)
+   * @param {Object} [options] - Opciones de búsqueda
+   * @param {boolean} [options.includeDeleted=false] - Incluir usuarios eliminados
+   * @param {string[]} [options.fields] - Campos que necesita el llamador (se ignora en memoria)
    *
-   * @returns {User|undefined} Instancia del usuario encontrado o undefined si no existe
+   * @returns {Promise<User|undefined>} Instancia del usuario encontrado o undefined si no existe
    *
    * @example
    * const { userRepository } = require('./models/User');
    *
    * // Buscar usuario existente
-   * const user = userRepository.findById("123e4567-e89b-12d3-a456-426614174000");
+   * const user = await userRepository.findById("123e4567-e89b-12d3-a456-426614174000");
    * if (user) {
    *   console.log(`Usuario encontrado: ${user.name}`);
    * } else {
@@ -488,11 +1455,22 @@ class UserRepository {
    *
    * @example
    * // Buscar usuario inexistente
-   * const notFound = userRepository.findById("non-existent-id");
+   * const notFound = await userRepository.findById("non-existent-id");
    * console.log(notFound); // undefined
    */
-  findById(id) {
-    return this.users.find((user) => user.id === id);
+  async findById(id, { includeDeleted = false } = {}) {
+    const sources = includeDeleted
+      ? [this.users, this.deletedUsers]
+      : [this.users];
+
+    for (const users of sources) {
+      const user = this._scope(users).find((candidate) => candidate.id === id);
+      if (user) {
+        return user;
+      }
+    }
+
+    return undefined;
   }
 
   /**
@@ -502,15 +1480,22 @@ class UserRepository {
    * proporcionado. Útil para validaciones de registro, autenticación y
    * recuperación de cuentas. Si no se encuentra ningún usuario, retorna undefined.
    *
+   * Los usuarios eliminados no se devuelven salvo que se pida con
+   * includeDeleted; así lo hacen las comprobaciones de unicidad, ya que un
+   * usuario eliminado mantiene su email reservado hasta la purga.
+   *
    * @param {string} email - Dirección de email del usuario a buscar
+   * @param {Object} [options] - Opciones de búsqueda
+   * @param {boolean} [options.includeDeleted=false] - Incluir usuarios eliminados
+   * @param {string[]} [options.fields] - Campos que necesita el llamador (se ignora en memoria)
    *
-   * @returns {User|undefined} Instancia del usuario encontrado o undefined si no existe
+   * @returns {Promise<User|undefined>} Instancia del usuario encontrado o undefined si no existe
    *
    * @example
    * const { userRepository } = require('./models/User');
    *
    * // Buscar usuario por email
-   * const user = userRepository.findByEmail("maria@example.com");
+   * const user = await userRepository.findByEmail("maria@example.com");
    * if (user) {
    *   console.log(`Usuario encontrado: ${user.name}`);
    *   console.log(`ID: ${user.id}`);
@@ -520,15 +1505,28 @@ class UserRepository {
    *
    * @example
    * // Verificar disponibilidad de email
-   * const existingUser = userRepository.findByEmail("nuevo@email.com");
+   * const existingUser = await userRepository.findByEmail("nuevo@email.com");
    * if (existingUser) {
    *   console.log("Email ya registrado");
    * } else {
    *   console.log("Email disponible para registro");
    * }
    */
-  findByEmail(email) {
-    return this.users.find((user) => user.email === email);
+  async findByEmail(email, { includeDeleted = false } = {}) {
+    const sources = includeDeleted
+      ? [this.users, this.deletedUsers]
+      : [this.users];
+
+    for (const users of sources) {
+      const user = this._scope(users).find(
+        (candidate) => candidate.email === email
+      );
+      if (user) {
+        return user;
+      }
+    }
+
+    return undefined;
   }
 
   /**
@@ -536,25 +1534,31 @@ class UserRepository {
    *
    * Este método busca un usuario por ID, valida los datos de actualización,
    * verifica que el nuevo email (si se proporciona) no esté en uso por otro usuario,
-   * y actualiza solo los campos especificados en updateData.
+   * y actualiza solo los campos especificados en updateData. Cada actualización
+   * incrementa version y renueva updatedAt; id, createdAt, updatedAt, version y
+   * deletedAt no pueden modificarse por esta vía.
    *
    * @param {string} id - ID único del usuario a actualizar (formato UUID)
    * @param {Object} updateData - Datos a actualizar (campos opcionales)
    * @param {string} [updateData.name] - Nuevo nombre del usuario
    * @param {string} [updateData.email] - Nueva dirección de email (debe ser única)
    * @param {string} [updateData.password] - Nueva contraseña del usuario
+   * @param {Object} [options] - Opciones de actualización
+   * @param {number} [options.expectedVersion] - Versión que debe tener el usuario (If-Match)
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
    *
-   * @returns {User|null} Instancia del usuario actualizado o null si no se encontró
+   * @returns {Promise<User|null>} Instancia del usuario actualizado o null si no se encontró
    *
-   * @throws {Error} Cuando los datos de actualización son inválidos
-   * @throws {Error} Cuando el nuevo email ya está registrado por otro usuario
+   * @throws {ValidationError} Cuando los datos de actualización son inválidos
+   * @throws {ConflictError} Cuando el nuevo email ya está registrado por otro usuario
+   * @throws {VersionConflictError} Cuando la versión actual no es expectedVersion
    *
    * @example
    * const { userRepository } = require('./models/User');
    *
    * // Actualizar nombre y email
    * try {
-   *   const updatedUser = userRepository.update("user-id-123", {
+   *   const updatedUser = await userRepository.update("user-id-123", {
    *     name: "María José González",
    *     email: "maria.jose@example.com"
    *   });
@@ -570,65 +1574,98 @@ class UserRepository {
    *
    * @example
    * // Solo actualizar contraseña
-   * const userWithNewPassword = userRepository.update("user-id-123", {
+   * const userWithNewPassword = await userRepository.update("user-id-123", {
    *   password: "nuevaContraseñaSegura123"
    * });
    *
    * @example
    * // Error: email duplicado
    * try {
-   *   userRepository.update("user-id-123", {
+   *   await userRepository.update("user-id-123", {
    *     email: "existing@email.com" // Ya usado por otro usuario
    *   });
    * } catch (error) {
    *   console.error(error.message); // "El email ya está registrado"
    * }
    */
-  update(id, updateData) {
+  async update(id, updateData, { expectedVersion, context } = {}) {
     const validation = User.validateUpdate(updateData);
     if (!validation.isValid) {
-      throw new Error(`Datos inválidos: ${validation.errors.join(", ")}`);
+      throw invalidDataError(validation);
+    }
+    if (updateData.profile !== undefined) {
+      await assertValidProfile(this, updateData.profile, { partial: true });
     }
 
-    const userIndex = this.users.findIndex((user) => user.id === id);
-    if (userIndex === -1) {
-      return null;
+    // La nueva contraseña se guarda siempre como hash
+    const changes = { ...updateData, email: validation.value.email };
+    if (typeof changes.password === "string") {
+      changes.password = await hashPassword(changes.password);
     }
 
     // Verificar si el email ya existe (excepto el usuario actual)
-    if (updateData.email) {
-      const existingUser = this.findByEmail(updateData.email);
+    if (changes.email) {
+      const existingUser = await this.findByEmail(changes.email, {
+        includeDeleted: true,
+      });
       if (existingUser && existingUser.id !== id) {
-        throw new Error("El email ya está registrado");
+        assertEmailAvailable(existingUser);
       }
     }
 
-    // Actualizar solo los campos proporcionados
-    const user = this.users[userIndex];
-    Object.keys(updateData).forEach((key) => {
-      if (updateData[key] !== undefined) {
-        user[key] = updateData[key];
+    // Desde aquí no hay más esperas: comprobar versión y escribir es atómico
+    const user = this._scope(this.users).find(
+      (candidate) => candidate.id === id
+    );
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    // Actualizar solo los campos proporcionados; el perfil se combina con
+    // el actual (null elimina un atributo)
+    const before = user.toObject();
+    let changed = false;
+    Object.keys(changes).forEach((key) => {
+      if (changes[key] !== undefined && !READ_ONLY_FIELDS.includes(key)) {
+        user[key] =
+          key === "profile"
+            ? mergeProfile(user.profile, changes.profile)
+            : changes[key];
+        changed = true;
       }
     });
 
+    if (changed) {
+      user.version += 1;
+      user.updatedAt = new Date().toISOString();
+      await auditUserChange(this, "update", before, user.toObject(), context);
+    }
+
     return user;
   }
 
   /**
-   * Eliminar un usuario del repositorio
+   * Eliminar (lógicamente) un usuario del repositorio
    *
-   * Este método busca un usuario por ID y lo elimina permanentemente del
-   * repositorio en memoria. La eliminación es irreversible.
+   * Este método busca un usuario activo por ID, marca su fecha de eliminación
+   * y lo retira de las lecturas normales. Puede recuperarse con restore()
+   * hasta que purgeDeleted() lo borre definitivamente.
    *
    * @param {string} id - ID único del usuario a eliminar (formato UUID)
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
    *
-   * @returns {boolean} true si el usuario fue eliminado, false si no se encontró
+   * @returns {Promise<boolean>} true si el usuario fue eliminado, false si no se encontró
    *
    * @example
    * const { userRepository } = require('./models/User');
    *
    * // Eliminar usuario existente
-   * const deleted = userRepository.delete("user-id-123");
+   * const deleted = await userRepository.delete("user-id-123");
    * if (deleted) {
    *   console.log("Usuario eliminado exitosamente");
    * } else {
@@ -637,25 +1674,513 @@ class UserRepository {
    *
    * @example
    * // Intentar eliminar usuario inexistente
-   * const notDeleted = userRepository.delete("non-existent-id");
+   * const notDeleted = await userRepository.delete("non-existent-id");
    * console.log(notDeleted); // false
    */
-  delete(id) {
-    const userIndex = this.users.findIndex((user) => user.id === id);
-    if (userIndex === -1) {
+  async delete(id, { context } = {}) {
+    const user = this._scope(this.users).find(
+      (candidate) => candidate.id === id
+    );
+    if (!user) {
       return false;
     }
 
-    this.users.splice(userIndex, 1);
+    this.users.splice(this.users.indexOf(user), 1);
+    const before = user.toObject();
+    user.deletedAt = new Date().toISOString();
+    this.deletedUsers.push(user);
+
+    await auditUserChange(this, "delete", before, user.toObject(), context);
+    return true;
+  }
+
+  /**
+   * Restaurar un usuario eliminado
+   *
+   * @param {string} id - ID único del usuario eliminado (formato UUID)
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<User|null>} Usuario restaurado o null si no hay un usuario eliminado con ese ID
+   *
+   * @example
+   * const user = await userRepository.restore("user-id-123");
+   * if (!user) {
+   *   console.log("No hay un usuario eliminado con ese ID");
+   * }
+   */
+  async restore(id, { context } = {}) {
+    const user = this._scope(this.deletedUsers).find(
+      (candidate) => candidate.id === id
+    );
+    if (!user) {
+      return null;
+    }
+
+    this.deletedUsers.splice(this.deletedUsers.indexOf(user), 1);
+    const before = user.toObject();
+    user.deletedAt = null;
+
+    // Conservar el orden de creación entre los usuarios activos
+    const position = this.users.findIndex(
+      (candidate) => candidate.createdAt > user.createdAt
+    );
+    if (position === -1) {
+      this.users.push(user);
+    } else {
+      this.users.splice(position, 0, user);
+    }
+
+    await auditUserChange(this, "restore", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Cambiar el estado de la cuenta de un usuario activo
+   *
+   * Aplica User#transitionTo, incrementa version y renueva updatedAt. El
+   * historial lo registra como "update" con el diff de status y statusReason.
+   *
+   * @param {string} id - ID único del usuario (formato UUID)
+   * @param {string} status - Estado de destino (ver USER_STATUSES)
+   * @param {Object} [options] - Opciones de la operación
+   * @param {string|null} [options.reason=null] - Motivo del cambio
+   * @param {number} [options.expectedVersion] - Versión que debe tener el usuario (If-Match)
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<User|null>} Usuario actualizado o null si no se encontró
+   *
+   * @throws {StatusTransitionError} Cuando la transición no está permitida
+   * @throws {VersionConflictError} Cuando la versión actual no es expectedVersion
+   *
+   * @example
+   * const user = await userRepository.changeStatus(id, "suspended", {
+   *   reason: "Spam reiterado en comentarios",
+   * });
+   */
+  async changeStatus(
+    id,
+    status,
+    { reason = null, expectedVersion, context } = {}
+  ) {
+    const user = this._scope(this.users).find(
+      (candidate) => candidate.id === id
+    );
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    const before = user.toObject();
+    user.transitionTo(status, reason);
+    user.version += 1;
+    user.updatedAt = user.statusChangedAt;
+
+    await auditUserChange(this, "update", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Cambiar el email de un usuario activo o su cambio de email pendiente
+   *
+   * Es la única vía para modificar EMAIL_CHANGE_FIELDS (update() nunca cambia
+   * pendingEmail ni isVerified). Lo usa UserEmailChangeService para guardar,
+   * confirmar y revertir cambios, y la corrección directa de un administrador,
+   * que se registra en el historial con la acción "override".
+   *
+   * @param {string} id - ID único del usuario (formato UUID)
+   * @param {Object} changes - Subconjunto de EMAIL_CHANGE_FIELDS a modificar
+   * @param {string} [changes.email] - Nuevo email (debe estar libre)
+   * @param {string|null} [changes.pendingEmail] - Nuevo email pendiente (debe estar libre) o null
+   * @param {string|null} [changes.pendingEmailExpiresAt] - Caducidad del cambio pendiente
+   * @param {boolean} [changes.isVerified] - Si el email queda verificado
+   * @param {Object} [options] - Opciones de la operación
+   * @param {number} [options.expectedVersion] - Versión que debe tener el usuario (If-Match)
+   * @param {string} [options.action="update"] - Acción del historial ("update" u "override")
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<User|null>} Usuario actualizado o null si no se encontró
+   *
+   * @throws {ValidationError|ConflictError} Cuando el nuevo email no es válido o ya está registrado
+   * @throws {VersionConflictError} Cuando la versión actual no es expectedVersion
+   *
+   * @example
+   * const user = await userRepository.changeEmail(id, {
+   *   pendingEmail: "maria.nueva@example.com",
+   *   pendingEmailExpiresAt: "2025-10-04T07:45:00.000Z",
+   * });
+   */
+  async changeEmail(
+    id,
+    changes,
+    { expectedVersion, action = "update", context } = {}
+  ) {
+    for (const email of [changes.email, changes.pendingEmail]) {
+      if (email) {
+        await assertEmailChangeAllowed(this, id, email);
+      }
+    }
+
+    const user = this._scope(this.users).find(
+      (candidate) => candidate.id === id
+    );
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    const before = user.toObject();
+    EMAIL_CHANGE_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) {
+        user[field] = changes[field];
+      }
+    });
+    user.version += 1;
+    user.updatedAt = new Date().toISOString();
+
+    await auditUserChange(this, action, before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Descartar los cambios de email pendientes que ya han caducado
+   *
+   * Cada usuario afectado se actualiza con changeEmail() (nueva versión y
+   * entrada "update" en el historial); su email no cambia.
+   *
+   * @param {string} expiredBefore - Fecha ISO; se descartan los que caducan en o antes de ella
+   *
+   * @returns {Promise<number>} Cantidad de cambios descartados
+   *
+   * @example
+   * const expired = await userRepository.expirePendingEmails(new Date().toISOString());
+   */
+  async expirePendingEmails(expiredBefore) {
+    const expired = this._scope(this.users).filter(
+      (user) => user.pendingEmail && user.pendingEmailExpiresAt <= expiredBefore
+    );
+
+    for (const user of expired) {
+      await this.changeEmail(user.id, {
+        pendingEmail: null,
+        pendingEmailExpiresAt: null,
+      });
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Obtener las invitaciones pendientes: usuarios invited, por orden de alta
+   *
+   * Incluye las caducadas, que pueden reenviarse o revocarse.
+   *
+   * @returns {Promise<User[]>} Usuarios invited
+   */
+  async findInvitations() {
+    return this._scope(this.users).filter((user) => user.status === "invited");
+  }
+
+  /**
+   * Fijar una nueva caducidad a la invitación de un usuario invited
+   *
+   * Es el reenvío de la invitación: los enlaces anteriores dejan de servir
+   * porque su caducidad ya no coincide con invitationExpiresAt.
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} expiresAt - Fecha ISO de caducidad del nuevo enlace
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<User|null>} Usuario actualizado o null si no hay invitación pendiente
+   */
+  async renewInvitation(id, expiresAt, { context } = {}) {
+    const user = this._scope(this.users).find(
+      (candidate) => candidate.id === id && candidate.status === "invited"
+    );
+    if (!user) {
+      return null;
+    }
+
+    const before = user.toObject();
+    user.invitationExpiresAt = expiresAt;
+    user.version += 1;
+    user.updatedAt = new Date().toISOString();
+
+    await auditUserChange(this, "update", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Aceptar la invitación de un usuario: guarda su contraseña y lo activa
+   *
+   * Ver User#acceptInvitation. Con expectedVersion, dos aceptaciones
+   * simultáneas del mismo enlace no pueden tener éxito a la vez.
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} password - Contraseña elegida (texto plano, se guarda su hash)
+   * @param {Object} [options] - Opciones de la operación
+   * @param {number} [options.expectedVersion] - Versión que debe tener el usuario
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<User|null>} Usuario activado o null si no se encontró
+   *
+   * @throws {ValidationError} Cuando la contraseña no es válida
+   * @throws {StatusTransitionError} Cuando el usuario no está invited
+   * @throws {VersionConflictError} Cuando la versión actual no es expectedVersion
+   */
+  async acceptInvitation(id, password, { expectedVersion, context } = {}) {
+    const validation = User.validateUpdate({ password });
+    if (!validation.isValid) {
+      throw invalidDataError(validation);
+    }
+
+    const hash = await hashPassword(password);
+    const user = this._scope(this.users).find(
+      (candidate) => candidate.id === id
+    );
+    if (!user) {
+      return null;
+    }
+
+    if (expectedVersion !== undefined && user.version !== expectedVersion) {
+      throw new VersionConflictError(user.version);
+    }
+
+    const before = user.toObject();
+    user.acceptInvitation(hash);
+    user.version += 1;
+    user.updatedAt = user.statusChangedAt;
+
+    await auditUserChange(this, "update", before, user.toObject(), context);
+    return user;
+  }
+
+  /**
+   * Borrar definitivamente los usuarios eliminados antes de una fecha
+   *
+   * Libera también sus emails para nuevos registros. La operación es
+   * irreversible.
+   *
+   * @param {string} deletedBefore - Fecha ISO; se purgan los eliminados en o antes de ella
+   *
+   * @returns {Promise<number>} Cantidad de usuarios purgados
+   *
+   * @example
+   * // Purgar usuarios eliminados hace más de 30 días
+   * const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+   * const purged = await userRepository.purgeDeleted(cutoff);
+   */
+  async purgeDeleted(deletedBefore) {
+    const purgeable = this._scope(this.deletedUsers);
+    const remaining = this.deletedUsers.filter(
+      (user) => !purgeable.includes(user) || user.deletedAt > deletedBefore
+    );
+    const purged = this.deletedUsers.length - remaining.length;
+
+    this.deletedUsers = remaining;
+    return purged;
+  }
+
+  /**
+   * Verificar credenciales de un usuario activo (ver verifyUserCredentials)
+   *
+   * @param {string} email - Email del usuario
+   * @param {string} password - Contraseña en texto plano
+   *
+   * @returns {Promise<User|null>} Usuario si email y contraseña coinciden, null si no
+   *
+   * @example
+   * const user = await userRepository.verifyCredentials("maria@example.com", "miContraseña123");
+   * if (!user) {
+   *   // credenciales inválidas
+   * }
+   */
+  async verifyCredentials(email, password) {
+    return verifyUserCredentials(this, email, password);
+  }
+
+  /**
+   * Sustituir el hash de contraseña guardado de un usuario activo o eliminado
+   *
+   * Solo para uso interno (rehash transparente, migración de texto plano y
+   * reversión de operaciones masivas): recibe un hash ya generado y no
+   * cambia version ni updatedAt. Solo se audita si se indica un contexto,
+   * porque regenerar el hash de la misma contraseña no es un cambio.
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} hash - Hash generado con hashPassword
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<boolean>} true si se actualizó, false si no existe
+   */
+  async updatePasswordHash(id, hash, { context } = {}) {
+    const user = await this.findById(id, { includeDeleted: true });
+    if (!user) {
+      return false;
+    }
+
+    const before = user.toObject();
+    user.password = hash;
+
+    if (context) {
+      await auditUserChange(this, "update", before, user.toObject(), context);
+    }
+    return true;
+  }
+
+  /**
+   * Registrar un inicio de sesión del usuario
+   *
+   * Guarda lastLoginAt para las estadísticas de actividad y retención. No
+   * cambia version ni updatedAt ni se audita: no es una modificación de los
+   * datos del usuario.
+   *
+   * @param {string} id - ID único del usuario
+   * @param {string} [loggedInAt] - Fecha ISO del inicio de sesión (por defecto ahora)
+   *
+   * @returns {Promise<boolean>} true si se registró, false si no existe
+   */
+  async recordLogin(id, loggedInAt = new Date().toISOString()) {
+    const user = await this.findById(id);
+    if (!user) {
+      return false;
+    }
+
+    user.lastLoginAt = loggedInAt;
+    return true;
+  }
+
+  /**
+   * Borrar definitivamente un usuario, activo o eliminado, sin periodo de retención
+   *
+   * Pensado para deshacer altas (por ejemplo al revertir una operación
+   * masiva atómica); el borrado normal de la API es DELETE lógico.
+   *
+   * @param {string} id - ID único del usuario
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<boolean>} true si se borró, false si no existía
+   */
+  async destroy(id, { context } = {}) {
+    const user = await this.findById(id, { includeDeleted: true });
+    if (!user) {
+      return false;
+    }
+
+    this.users = this.users.filter((candidate) => candidate.id !== id);
+    this.deletedUsers = this.deletedUsers.filter(
+      (candidate) => candidate.id !== id
+    );
+
+    await auditUserChange(this, "destroy", user.toObject(), null, context);
     return true;
   }
 }
 
-// Instancia única del repositorio (singleton)
-const userRepository = new UserRepository();
+/**
+ * Crear el repositorio de usuarios según la configuración
+ *
+ * El almacenamiento se elige con `options.storage` o la variable de entorno
+ * USER_STORAGE:
+ * - "memory" (por defecto): UserRepository en memoria, usado en los tests
+ * - "database": DatabaseUserRepository sobre DatabaseManager (MySQL,
+ *   PostgreSQL o MongoDB según DB_TYPE y config/database.js)
+ *
+ * @param {Object} [options] - Opciones de creación
+ * @param {string} [options.storage] - "memory" o "database"
+ * @param {DatabaseManager} [options.databaseManager] - Gestor ya creado (solo "database")
+ * @param {Object} [options.database] - Configuración para crear un DatabaseManager nuevo
+ * @param {string} [options.table] - Tabla/colección de usuarios (solo "database")
+ * @param {AuditLogRepository|DatabaseAuditLogRepository} [options.auditLog] - Historial de
+ * cambios; por defecto uno nuevo sobre el mismo almacenamiento
+ * @param {EventBus} [options.events] - Bus de eventos de dominio; por defecto el
+ * compartido (eventBus de modules/eventBus.js)
+ * @param {UserAttributeRepository|DatabaseUserAttributeRepository} [options.attributes] -
+ * Definiciones de atributos de perfil; por defecto unas nuevas sobre el mismo almacenamiento
+ *
+ * @returns {UserRepository|DatabaseUserRepository} Repositorio de usuarios
+ *
+ * @throws {Error} Cuando el tipo de almacenamiento no está soportado
+ *
+ * @example
+ * // USER_STORAGE=database DB_TYPE=postgresql node app.js
+ * const repository = createUserRepository({ storage: "database" });
+ */
+const createUserRepository = (options = {}) => {
+  const storage = (
+    options.storage ||
+    process.env.USER_STORAGE ||
+    "memory"
+  ).toLowerCase();
+
+  switch (storage) {
+    case "memory":
+      return new UserRepository({
+        auditLog: options.auditLog || new AuditLogRepository(),
+        events: options.events || eventBus,
+        attributes: options.attributes,
+      });
+
+    case "database": {
+      // Carga diferida: evita conectar/configurar la base de datos si no se usa
+      const DatabaseManager = require("../modules/database");
+      const DatabaseUserRepository = require("./DatabaseUserRepository");
+      const DatabaseAuditLogRepository = require("./DatabaseAuditLogRepository");
+      const DatabaseUserAttributeRepository = require("./DatabaseUserAttributeRepository");
+
+      const databaseManager =
+        options.databaseManager ||
+        new DatabaseManager(options.database || require("../config/database"));
+
+      return new DatabaseUserRepository(databaseManager, {
+        ...options,
+        auditLog:
+          options.auditLog || new DatabaseAuditLogRepository(databaseManager),
+        events: options.events || eventBus,
+        attributes:
+          options.attributes ||
+          new DatabaseUserAttributeRepository(databaseManager),
+      });
+    }
+
+    default:
+      throw new Error(
+        `Tipo de almacenamiento de usuarios no soportado: ${storage}`
+      );
+  }
+};
 
 module.exports = {
   User,
   UserRepository,
-  userRepository,
+  VersionConflictError,
+  StatusTransitionError,
+  USER_STATUSES,
+  USER_STATUS_TRANSITIONS,
+  REASON_REQUIRED_STATUSES,
+  USER_JSON_FIELDS,
+  USER_SCHEMA,
+  USER_UPDATE_FIELDS,
+  READ_ONLY_FIELDS,
+  EMAIL_CHANGE_FIELDS,
+  createUserRepository,
+  assertEmailAvailable,
+  assertEmailChangeAllowed,
+  verifyUserCredentials,
+  auditUserChange,
+  assertValidProfile,
+  invalidDataError,
 };
+
+// Instancia única del repositorio (singleton). Se crea después de exportar
+// User porque DatabaseUserRepository lo importa desde este módulo.
+module.exports.userRepository = createUserRepository();
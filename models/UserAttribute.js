@@ -0,0 +1,636 @@
+const { t } = require("../modules/i18n");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Tipos de valor de un atributo de perfil
+ *
+ * - string: texto (admite enum, pattern y min/max como longitud)
+ * - number: número finito (admite enum y min/max como valor)
+ * - boolean: true o false
+ * - date: fecha con formato AAAA-MM-DD
+ */
+const ATTRIBUTE_TYPES = ["string", "number", "boolean", "date"];
+
+/** Clave de un atributo: empieza por minúscula, hasta 40 caracteres */
+const ATTRIBUTE_KEY_REGEX = /^[a-z][a-zA-Z0-9_]{0,39}$/;
+
+/** Propiedades de una definición que pueden modificarse tras crearla */
+const ATTRIBUTE_UPDATE_FIELDS = [
+  "label",
+  "description",
+  "required",
+  "enum",
+  "pattern",
+  "min",
+  "max",
+];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Indicar si una expresión regular repite un grupo que ya contiene un
+ * cuantificador, como (a+)+ o (\w*\s?){2,}
+ *
+ * Son los patrones con retroceso exponencial (ReDoS): un texto que casi
+ * coincide bloquea el proceso al validarlo. Se ignoran los caracteres
+ * escapados y las clases ([...]).
+ *
+ * @private
+ */
+const hasNestedQuantifier = (pattern) => {
+  // Por cada grupo abierto, si contiene algún cuantificador
+  const groups = [false];
+  let inClass = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === "\\") {
+      index++;
+    } else if (inClass) {
+      inClass = char !== "]";
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")" && groups.length > 1) {
+      const quantified = groups.pop();
+      if (quantified && /[*+{]/.test(pattern[index + 1])) {
+        return true;
+      }
+      groups[groups.length - 1] = groups[groups.length - 1] || quantified;
+    } else if ("*+{".includes(char)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Indicar si un valor es un objeto plano (no null ni array)
+ *
+ * @private
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Definición de un atributo de perfil de usuario
+ *
+ * Los administradores definen los atributos que admite user.profile (ver
+ * /api/user-attributes). La clave y el tipo no cambian tras la creación; el
+ * resto de restricciones se aplican a los valores que se escriban desde ese
+ * momento, sin revalidar los ya guardados.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const department = new UserAttribute({
+ *   key: "department",
+ *   type: "string",
+ *   required: true,
+ *   enum: ["Ventas", "Soporte"],
+ * });
+ * department.validateValue("Marketing");
+ * // 'El atributo "department" debe ser uno de: Ventas, Soporte'
+ */
+class UserAttribute {
+  /**
+   * @constructor
+   * @param {Object} data - Datos de la definición
+   * @param {string} data.key - Clave en user.profile (ATTRIBUTE_KEY_REGEX)
+   * @param {string} data.type - Uno de ATTRIBUTE_TYPES
+   * @param {string|null} [data.label=null] - Nombre para mostrar
+   * @param {string|null} [data.description=null] - Descripción libre
+   * @param {boolean} [data.required=false] - Obligatorio al crear usuarios
+   * @param {Array|null} [data.enum=null] - Valores permitidos (string y number)
+   * @param {string|null} [data.pattern=null] - Expresión regular que debe cumplir (string)
+   * @param {number|null} [data.min=null] - Longitud (string) o valor (number) mínimo
+   * @param {number|null} [data.max=null] - Longitud (string) o valor (number) máximo
+   * @param {string|null} [data.tenantId=null] - Tenant de la definición (null sin multi-tenencia)
+   */
+  constructor({
+    key,
+    type,
+    label = null,
+    description = null,
+    required = false,
+    enum: values = null,
+    pattern = null,
+    min = null,
+    max = null,
+    tenantId = null,
+    createdAt,
+    updatedAt,
+  }) {
+    this.key = key;
+    this.type = type;
+    this.label = label;
+    this.description = description;
+    this.required = Boolean(required);
+    this.enum = values;
+    this.pattern = pattern;
+    this.min = min;
+    this.max = max;
+    this.tenantId = tenantId;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || this.createdAt;
+  }
+
+  /**
+   * Validar los datos de una definición de atributo
+   *
+   * @static
+   * @param {Object} data - Datos de la definición (ver constructor)
+   * @returns {{isValid: boolean, errors: string[], fieldErrors: Array<{field: string, message: string}>}}
+   *
+   * @example
+   * UserAttribute.validate({ key: "age", type: "number", pattern: "^\\d+$" });
+   * // errors: ["pattern solo se admite en atributos de tipo string"]
+   */
+  static validate(data) {
+    const errors = [];
+    const fieldErrors = [];
+    const addError = (field, message) => {
+      errors.push(message);
+      fieldErrors.push({ field, message });
+    };
+
+    if (typeof data.key !== "string" || !ATTRIBUTE_KEY_REGEX.test(data.key)) {
+      addError("key", t("attributes.keyFormat"));
+    }
+
+    if (!ATTRIBUTE_TYPES.includes(data.type)) {
+      addError(
+        "type",
+        t("attributes.typeInvalid", { types: ATTRIBUTE_TYPES.join(", ") })
+      );
+    }
+
+    if (
+      data.label !== undefined &&
+      data.label !== null &&
+      (typeof data.label !== "string" || data.label.length > 50)
+    ) {
+      addError("label", t("attributes.labelInvalid"));
+    }
+
+    if (
+      data.description !== undefined &&
+      data.description !== null &&
+      (typeof data.description !== "string" || data.description.length > 200)
+    ) {
+      addError("description", t("attributes.descriptionInvalid"));
+    }
+
+    if (data.required !== undefined && typeof data.required !== "boolean") {
+      addError("required", t("attributes.requiredInvalid"));
+    }
+
+    const has = (field) => data[field] !== undefined && data[field] !== null;
+    const allows = (field, types) => {
+      if (has(field) && ATTRIBUTE_TYPES.includes(data.type)) {
+        if (!types.includes(data.type)) {
+          addError(
+            field,
+            t("attributes.optionNotAllowed", {
+              field,
+              types: types.join(t("common.or")),
+            })
+          );
+          return false;
+        }
+      }
+      return has(field);
+    };
+
+    if (allows("enum", ["string", "number"])) {
+      if (!Array.isArray(data.enum) || data.enum.length === 0) {
+        addError("enum", t("attributes.enumEmpty"));
+      } else if (
+        data.enum.some((value) =>
+          data.type === "number"
+            ? typeof value !== "number" || !Number.isFinite(value)
+            : typeof value !== "string"
+        )
+      ) {
+        addError("enum", t("attributes.enumType", { type: data.type }));
+      } else if (new Set(data.enum).size !== data.enum.length) {
+        addError("enum", t("attributes.enumDuplicates"));
+      }
+    }
+
+    if (allows("pattern", ["string"])) {
+      if (typeof data.pattern !== "string" || data.pattern.length > 200) {
+        addError("pattern", t("attributes.patternInvalid"));
+      } else {
+        try {
+          new RegExp(data.pattern);
+
+          if (hasNestedQuantifier(data.pattern)) {
+            addError("pattern", t("attributes.patternNested"));
+          } else if (!has("max")) {
+            addError("max", t("attributes.patternMaxRequired"));
+          }
+        } catch (error) {
+          addError("pattern", t("attributes.patternRegex"));
+        }
+      }
+    }
+
+    ["min", "max"].forEach((field) => {
+      if (!allows(field, ["string", "number"])) {
+        return;
+      }
+
+      const value = data[field];
+      if (data.type === "string" && !(Number.isInteger(value) && value >= 0)) {
+        addError(field, t("attributes.lengthLimit", { field }));
+      } else if (typeof value !== "number" || !Number.isFinite(value)) {
+        addError(field, t("attributes.numberLimit", { field }));
+      }
+    });
+
+    if (
+      typeof data.min === "number" &&
+      typeof data.max === "number" &&
+      data.min > data.max
+    ) {
+      addError("min", t("attributes.minGreaterThanMax"));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      fieldErrors,
+    };
+  }
+
+  /**
+   * Comprobar un valor contra el tipo y las restricciones del atributo
+   *
+   * @param {*} value - Valor a comprobar (no null)
+   * @returns {string|null} Mensaje de error o null si es válido
+   */
+  validateValue(value) {
+    const typeError = this.validateType(value);
+    if (typeError) {
+      return typeError;
+    }
+
+    const label = t("attributes.label", { key: this.key });
+
+    if (this.type === "string") {
+      if (this.min !== null && value.length < this.min) {
+        return t("validation.minLength", { label, count: this.min });
+      }
+      if (this.max !== null && value.length > this.max) {
+        return t("validation.maxLength", { label, count: this.max });
+      }
+      if (this.pattern !== null && !new RegExp(this.pattern).test(value)) {
+        return t("attributes.patternMismatch", { label });
+      }
+    }
+
+    if (this.type === "number") {
+      if (this.min !== null && value < this.min) {
+        return t("validation.min", { label, count: this.min });
+      }
+      if (this.max !== null && value > this.max) {
+        return t("validation.max", { label, count: this.max });
+      }
+    }
+
+    if (this.enum !== null && !this.enum.includes(value)) {
+      return t("validation.enum", { label, values: this.enum.join(", ") });
+    }
+
+    return null;
+  }
+
+  /**
+   * Comprobar solo que un valor es del tipo del atributo (sin restricciones)
+   *
+   * @param {*} value - Valor a comprobar (no null)
+   * @returns {string|null} Mensaje de error o null si es del tipo
+   */
+  validateType(value) {
+    const label = t("attributes.label", { key: this.key });
+
+    switch (this.type) {
+      case "string":
+        return typeof value === "string"
+          ? null
+          : t("validation.type", { label, type: t("validation.types.string") });
+
+      case "number":
+        return typeof value === "number" && Number.isFinite(value)
+          ? null
+          : t("validation.type", { label, type: t("validation.types.number") });
+
+      case "boolean":
+        return typeof value === "boolean"
+          ? null
+          : t("validation.type", {
+              label,
+              type: t("validation.types.boolean"),
+            });
+
+      case "date": {
+        const date =
+          typeof value === "string" &&
+          DATE_REGEX.test(value) &&
+          new Date(value);
+        return date &&
+          !isNaN(date.getTime()) &&
+          date.toISOString().startsWith(value)
+          ? null
+          : t("attributes.dateFormat", { label });
+      }
+
+      default:
+        return t("attributes.unknownType", { label });
+    }
+  }
+
+  /**
+   * Convertir texto (columna CSV o parámetro de consulta) al tipo del atributo
+   *
+   * No valida: un texto que no representa el tipo se devuelve sin convertir
+   * (o como NaN en number) para que validateValue lo rechace.
+   *
+   * @param {string} text - Texto recibido
+   * @returns {*} Valor convertido
+   *
+   * @example
+   * new UserAttribute({ key: "age", type: "number" }).parseValue("42"); // 42
+   */
+  parseValue(text) {
+    if (this.type === "number") {
+      return text.trim() === "" ? NaN : Number(text);
+    }
+
+    if (this.type === "boolean") {
+      const normalized = text.trim().toLowerCase();
+      if (normalized === "true" || normalized === "false") {
+        return normalized === "true";
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Representación pública de la definición (sin el tenant, que es el de
+   * la petición)
+   *
+   * @returns {Object} Datos de la definición
+   */
+  toJSON() {
+    return {
+      key: this.key,
+      type: this.type,
+      label: this.label,
+      description: this.description,
+      required: this.required,
+      enum: this.enum,
+      pattern: this.pattern,
+      min: this.min,
+      max: this.max,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+/**
+ * Validar un perfil (o los cambios de un perfil) contra las definiciones
+ *
+ * Cada clave debe corresponder a un atributo definido y cumplir sus
+ * restricciones; null indica que la clave se elimina, lo que se admite
+ * también en claves sin definición (valores de atributos ya eliminados).
+ * Al crear (partial=false) todos los atributos obligatorios deben tener
+ * valor; al actualizar solo se impide eliminarlos, de modo que definir un
+ * atributo obligatorio no bloquea las actualizaciones de usuarios previos.
+ *
+ * @param {UserAttribute[]} attributes - Definiciones vigentes
+ * @param {Object} profile - Perfil o cambios del perfil
+ * @param {Object} [options] - Opciones de validación
+ * @param {boolean} [options.partial=false] - Validar cambios de una actualización
+ * @returns {{isValid: boolean, errors: string[], fieldErrors: Array<{field: string, message: string}>}}
+ * Resultado con el campo "profile.<clave>" de cada error
+ *
+ * @example
+ * validateProfile(attributes, { department: "Ventas", age: "42" });
+ * // errors: ['El atributo "age" debe ser un número']
+ */
+const validateProfile = (attributes, profile, { partial = false } = {}) => {
+  const errors = [];
+  const fieldErrors = [];
+  const addError = (field, message) => {
+    errors.push(message);
+    fieldErrors.push({ field, message });
+  };
+
+  if (!isPlainObject(profile)) {
+    addError("profile", t("attributes.profileNotObject"));
+    return { isValid: false, errors, fieldErrors };
+  }
+
+  const byKey = new Map(
+    attributes.map((attribute) => [attribute.key, attribute])
+  );
+
+  Object.entries(profile).forEach(([key, value]) => {
+    const attribute = byKey.get(key);
+    const field = `profile.${key}`;
+
+    if (value === null || value === undefined) {
+      if (partial && attribute && attribute.required) {
+        addError(field, t("attributes.required", { key }));
+      }
+      return;
+    }
+
+    if (!attribute) {
+      addError(field, t("attributes.undefined", { key }));
+      return;
+    }
+
+    const message = attribute.validateValue(value);
+    if (message) {
+      addError(field, message);
+    }
+  });
+
+  if (!partial) {
+    attributes
+      .filter(
+        ({ key, required }) =>
+          required && (profile[key] === undefined || profile[key] === null)
+      )
+      .forEach(({ key }) =>
+        addError(`profile.${key}`, t("attributes.required", { key }))
+      );
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    fieldErrors,
+  };
+};
+
+/**
+ * Aplicar unos cambios a un perfil: null elimina la clave
+ *
+ * @param {Object} current - Perfil actual
+ * @param {Object} changes - Cambios (ya validados con validateProfile)
+ * @returns {Object} Perfil nuevo (no modifica current)
+ *
+ * @example
+ * mergeProfile({ department: "Ventas", phone: "600" }, { phone: null, locale: "es" });
+ * // { department: "Ventas", locale: "es" }
+ */
+const mergeProfile = (current, changes) => {
+  const profile = { ...current };
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      delete profile[key];
+    } else {
+      profile[key] = value;
+    }
+  });
+
+  return profile;
+};
+
+/**
+ * Repositorio en memoria de definiciones de atributos de perfil
+ *
+ * Lo crea createUserRepository junto al repositorio de usuarios (propiedad
+ * attributes), igual que el historial de cambios. Cada tenant define sus
+ * propios atributos: la vista de un tenant (forTenant) solo ve y crea los
+ * suyos, y el repositorio sin tenant, los que no tienen tenant.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class UserAttributeRepository {
+  constructor() {
+    this.attributes = [];
+    // Tenant de las definiciones (null: las que no tienen tenant)
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del repositorio limitada a un tenant
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {UserAttributeRepository} Repositorio con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
+  }
+
+  /**
+   * Definiciones del tenant del repositorio
+   *
+   * @private
+   * @returns {UserAttribute[]} Definiciones con el tenantId del repositorio
+   */
+  _scope() {
+    return this.attributes.filter(
+      (attribute) => attribute.tenantId === this.tenantId
+    );
+  }
+
+  /**
+   * Crear una definición
+   *
+   * @param {Object} data - Datos de la definición (ver UserAttribute)
+   * @returns {Promise<UserAttribute>} Definición creada
+   */
+  async create(data) {
+    const attribute = new UserAttribute({ ...data, tenantId: this.tenantId });
+    this.attributes.push(attribute);
+    return attribute;
+  }
+
+  /**
+   * Obtener todas las definiciones ordenadas por clave
+   *
+   * @returns {Promise<UserAttribute[]>} Definiciones
+   */
+  async findAll() {
+    return this._scope().sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Buscar una definición por clave
+   *
+   * @param {string} key - Clave del atributo
+   * @returns {Promise<UserAttribute|null>} Definición o null
+   */
+  async findByKey(key) {
+    return this._scope().find((attribute) => attribute.key === key) || null;
+  }
+
+  /**
+   * Modificar una definición (la clave y el tipo no cambian)
+   *
+   * @param {string} key - Clave del atributo
+   * @param {Object} changes - Propiedades a modificar
+   * @returns {Promise<UserAttribute|null>} Definición actualizada o null si no existe
+   */
+  async update(key, changes) {
+    const attribute = await this.findByKey(key);
+    if (!attribute) {
+      return null;
+    }
+
+    Object.entries(changes).forEach(([property, value]) => {
+      if (property !== "key" && property !== "type") {
+        attribute[property] = value;
+      }
+    });
+    attribute.updatedAt = new Date().toISOString();
+
+    return attribute;
+  }
+
+  /**
+   * Eliminar una definición (los valores guardados en los perfiles se conservan)
+   *
+   * @param {string} key - Clave del atributo
+   * @returns {Promise<boolean>} true si existía
+   */
+  async delete(key) {
+    const attribute = await this.findByKey(key);
+    if (!attribute) {
+      return false;
+    }
+
+    this.attributes = this.attributes.filter(
+      (candidate) => candidate !== attribute
+    );
+    return true;
+  }
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  ATTRIBUTE_KEY_REGEX,
+  ATTRIBUTE_UPDATE_FIELDS,
+  UserAttribute,
+  UserAttributeRepository,
+  validateProfile,
+  mergeProfile,
+};
@@ -0,0 +1,413 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { userConfig } = require("../config/userConfig");
+const { scopeToTenant } = require("../modules/tenancy");
+
+/**
+ * Eventos de dominio (modules/eventBus.js) que pueden enviarse por webhook
+ *
+ * auth.password_reset_requested no se incluye porque lleva el token de
+ * recuperación. "*" en los filtros de una suscripción equivale a todos.
+ */
+const WEBHOOK_EVENTS = [
+  "user.created",
+  "user.updated",
+  "user.deleted",
+  "auth.login",
+  "email.sent",
+  "email.failed",
+];
+
+/** Estados de una entrega: pending mientras quedan intentos */
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+/**
+ * Generar el secreto con el que se firman las entregas de un webhook
+ *
+ * @returns {string} Secreto aleatorio con prefijo whsec_
+ */
+const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Suscripción de un sistema externo a eventos de dominio
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class Webhook {
+  /**
+   * @constructor
+   * @param {Object} data - Datos de la suscripción
+   * @param {string} [data.id] - ID único (se genera si no se indica)
+   * @param {string} data.url - URL http(s) que recibe los eventos por POST
+   * @param {string[]} data.events - Eventos suscritos (WEBHOOK_EVENTS o "*")
+   * @param {string} [data.secret] - Secreto de la firma (se genera si no se indica)
+   * @param {string|null} [data.description=null] - Descripción libre
+   * @param {boolean} [data.active=true] - Si recibe eventos
+   * @param {number} [data.consecutiveFailures=0] - Entregas fallidas seguidas
+   * @param {string|null} [data.disabledAt=null] - Fecha ISO de la desactivación automática
+   * @param {string|null} [data.disabledReason=null] - Motivo de la desactivación automática
+   * @param {string|null} [data.tenantId=null] - Tenant de la suscripción (null sin multi-tenencia)
+   */
+  constructor({
+    id,
+    url,
+    events,
+    secret,
+    description = null,
+    active = true,
+    consecutiveFailures = 0,
+    disabledAt = null,
+    disabledReason = null,
+    tenantId = null,
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id || uuidv4();
+    this.url = url;
+    this.events = events;
+    this.secret = secret || generateWebhookSecret();
+    this.description = description;
+    this.active = active;
+    this.consecutiveFailures = consecutiveFailures;
+    this.disabledAt = disabledAt;
+    this.disabledReason = disabledReason;
+    this.tenantId = tenantId;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || this.createdAt;
+  }
+
+  /**
+   * Indicar si la suscripción debe recibir un tipo de evento
+   *
+   * @param {string} type - Tipo de evento
+   * @returns {boolean} true si está activa y el evento pasa el filtro
+   */
+  accepts(type) {
+    return (
+      this.active && (this.events.includes("*") || this.events.includes(type))
+    );
+  }
+
+  /**
+   * Representación pública de la suscripción (sin el secreto ni el tenant,
+   * que es el de la petición)
+   *
+   * @returns {Object} Datos de la suscripción
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      description: this.description,
+      active: this.active,
+      consecutiveFailures: this.consecutiveFailures,
+      disabledAt: this.disabledAt,
+      disabledReason: this.disabledReason,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+/**
+ * Entrega de un evento a un webhook, con el resultado de cada intento
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ */
+class WebhookDelivery {
+  /**
+   * @constructor
+   * @param {Object} data - Datos de la entrega
+   * @param {string} [data.id] - ID único (se genera si no se indica)
+   * @param {string} data.webhookId - Webhook de destino
+   * @param {string} data.eventId - ID del evento de dominio
+   * @param {string} data.eventType - Tipo del evento
+   * @param {Object} data.body - Cuerpo JSON enviado
+   * @param {string|null} [data.redeliveryOf=null] - Entrega original si es un reenvío manual
+   */
+  constructor({
+    id,
+    webhookId,
+    eventId,
+    eventType,
+    body,
+    redeliveryOf = null,
+    status = "pending",
+    attempts = [],
+    createdAt,
+    completedAt = null,
+  }) {
+    this.id = id || uuidv4();
+    this.webhookId = webhookId;
+    this.eventId = eventId;
+    this.eventType = eventType;
+    this.body = body;
+    this.redeliveryOf = redeliveryOf;
+    this.status = status;
+    this.attempts = attempts;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.completedAt = completedAt;
+  }
+
+  /**
+   * Representación pública de la entrega
+   *
+   * @returns {Object} Datos de la entrega y sus intentos
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      webhookId: this.webhookId,
+      eventId: this.eventId,
+      eventType: this.eventType,
+      status: this.status,
+      redeliveryOf: this.redeliveryOf,
+      attempts: this.attempts,
+      body: this.body,
+      createdAt: this.createdAt,
+      completedAt: this.completedAt,
+    };
+  }
+}
+
+/**
+ * Suscripciones de webhooks y registro de entregas en memoria
+ *
+ * Se pierden al reiniciar el proceso, igual que el historial del
+ * UserRepository en memoria. De cada webhook se guardan como mucho
+ * deliveryLogLimit entregas; al superarlo se descartan las más antiguas.
+ * Como GroupRepository, forTenant() da una vista que solo ve y crea las
+ * suscripciones de un tenant.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const repository = new WebhookRepository();
+ * const webhook = await repository.create({
+ *   url: "https://partner.example.com/hooks",
+ *   events: ["user.created"],
+ * });
+ */
+class WebhookRepository {
+  /**
+   * @constructor
+   * @param {Object} [options] - Opciones del repositorio
+   * @param {number} [options.deliveryLogLimit=100] - Entregas guardadas por webhook
+   */
+  constructor({ deliveryLogLimit = 100 } = {}) {
+    this.webhooks = [];
+    this.deliveries = [];
+    this.deliveryLogLimit = deliveryLogLimit;
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del repositorio limitada a un tenant
+   *
+   * @param {string} tenantId - ID del tenant
+   * @returns {WebhookRepository} Repositorio con tenantId fijado
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
+  }
+
+  /**
+   * Suscripciones visibles para el tenant del repositorio
+   *
+   * @private
+   * @returns {Webhook[]} Todas las suscripciones sin tenant, o las del tenant
+   */
+  _scope() {
+    return this.tenantId === null
+      ? this.webhooks
+      : this.webhooks.filter((webhook) => webhook.tenantId === this.tenantId);
+  }
+
+  /**
+   * Crear una suscripción
+   *
+   * @param {Object} data - Datos de la suscripción (ver Webhook)
+   * @returns {Promise<Webhook>} Suscripción creada
+   */
+  async create(data) {
+    const webhook = new Webhook({ ...data, tenantId: this.tenantId });
+    this.webhooks.push(webhook);
+    return webhook;
+  }
+
+  /**
+   * Obtener todas las suscripciones, de la más antigua a la más reciente
+   *
+   * @returns {Promise<Webhook[]>} Suscripciones
+   */
+  async findAll() {
+    return [...this._scope()];
+  }
+
+  /**
+   * Obtener las suscripciones activas de un tenant que reciben un tipo de
+   * evento
+   *
+   * Un evento solo se entrega a las suscripciones de su tenant; los eventos
+   * sin tenant (null), a las suscripciones sin tenant.
+   *
+   * @param {string} type - Tipo de evento
+   * @param {string|null} [tenantId=null] - Tenant del evento
+   * @returns {Promise<Webhook[]>} Suscripciones
+   */
+  async findSubscribed(type, tenantId = null) {
+    return this.webhooks.filter(
+      (webhook) => webhook.accepts(type) && webhook.tenantId === tenantId
+    );
+  }
+
+  /**
+   * Buscar una suscripción por ID
+   *
+   * @param {string} id - ID de la suscripción
+   * @returns {Promise<Webhook|null>} Suscripción o null
+   */
+  async findById(id) {
+    return this._scope().find((webhook) => webhook.id === id) || null;
+  }
+
+  /**
+   * Actualizar una suscripción
+   *
+   * @param {string} id - ID de la suscripción
+   * @param {Object} changes - Campos a cambiar
+   * @returns {Promise<Webhook|null>} Suscripción actualizada o null si no existe
+   */
+  async update(id, changes) {
+    const webhook = await this.findById(id);
+    if (!webhook) {
+      return null;
+    }
+
+    Object.assign(webhook, changes, { updatedAt: new Date().toISOString() });
+    return webhook;
+  }
+
+  /**
+   * Eliminar una suscripción y sus entregas
+   *
+   * @param {string} id - ID de la suscripción
+   * @returns {Promise<boolean>} true si existía
+   */
+  async delete(id) {
+    if (!(await this.findById(id))) {
+      return false;
+    }
+
+    this.webhooks = this.webhooks.filter((webhook) => webhook.id !== id);
+    this.deliveries = this.deliveries.filter(
+      (delivery) => delivery.webhookId !== id
+    );
+    return true;
+  }
+
+  /**
+   * Guardar una entrega nueva en el registro
+   *
+   * @param {Object} data - Datos de la entrega (ver WebhookDelivery)
+   * @returns {Promise<WebhookDelivery>} Entrega guardada
+   */
+  async recordDelivery(data) {
+    const delivery = new WebhookDelivery(data);
+    this.deliveries.push(delivery);
+
+    const own = this.deliveries.filter(
+      (candidate) => candidate.webhookId === delivery.webhookId
+    );
+    if (own.length > this.deliveryLogLimit) {
+      const dropped = new Set(own.slice(0, own.length - this.deliveryLogLimit));
+      this.deliveries = this.deliveries.filter(
+        (candidate) => !dropped.has(candidate)
+      );
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Actualizar una entrega (estado e intentos)
+   *
+   * @param {string} id - ID de la entrega
+   * @param {Object} changes - Campos a cambiar
+   * @returns {Promise<WebhookDelivery|null>} Entrega actualizada o null si no existe
+   */
+  async updateDelivery(id, changes) {
+    const delivery = this.deliveries.find((candidate) => candidate.id === id);
+    if (!delivery) {
+      return null;
+    }
+
+    Object.assign(delivery, changes);
+    return delivery;
+  }
+
+  /**
+   * Obtener las entregas de un webhook, de la más reciente a la más antigua
+   *
+   * @param {string} webhookId - ID de la suscripción
+   * @param {Object} [options] - Opciones de consulta
+   * @param {string} [options.status] - Filtrar por estado (DELIVERY_STATUSES)
+   * @param {number} [options.limit] - Máximo de entregas a devolver
+   * @returns {Promise<{deliveries: WebhookDelivery[], total: number}>} Entregas y total filtrado
+   */
+  async findDeliveries(webhookId, { status, limit } = {}) {
+    const matching = this.deliveries
+      .filter(
+        (delivery) =>
+          delivery.webhookId === webhookId &&
+          (!status || delivery.status === status)
+      )
+      .reverse();
+
+    return {
+      deliveries: limit === undefined ? matching : matching.slice(0, limit),
+      total: matching.length,
+    };
+  }
+
+  /**
+   * Buscar una entrega de un webhook
+   *
+   * @param {string} webhookId - ID de la suscripción
+   * @param {string} id - ID de la entrega
+   * @returns {Promise<WebhookDelivery|null>} Entrega o null
+   */
+  async findDelivery(webhookId, id) {
+    return (
+      this.deliveries.find(
+        (delivery) => delivery.webhookId === webhookId && delivery.id === id
+      ) || null
+    );
+  }
+}
+
+/** Repositorio compartido por la aplicación */
+const webhookRepository = new WebhookRepository({
+  deliveryLogLimit: userConfig.webhooks.deliveryLogLimit,
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  Webhook,
+  WebhookDelivery,
+  WebhookRepository,
+  generateWebhookSecret,
+  webhookRepository,
+};
@@ -4,6 +4,21 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const rateLimit = require("express-rate-limit");
+const { SignedTokenError, verifySignedToken } = require("./signedToken");
+const { eventBus } = require("./eventBus");
+const { userConfig } = require("../config/userConfig");
+const { User, invalidDataError } = require("../models/User");
+const { logger } = require("./logger");
+const { t, applyRequestLocale } = require("./i18n");
+const {
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthError,
+  RateLimitError,
+  sendError,
+} = require("./errors");
 
 // ==================== CONFIGURACIÓN ====================
 
@@ -32,6 +47,30 @@ const authConfig = {
   },
 };
 
+// Registros de autenticación y de seguridad (modules/logger.js)
+const authLog = logger.child({ component: "auth" });
+const securityLog = logger.child({ component: "security" });
+
+// Motivo de rechazo del login según el estado de la cuenta (User#canLogin),
+// como clave del catálogo de mensajes (locales/)
+const BLOCKED_STATUS_MESSAGES = {
+  invited: "auth.blocked.invited",
+  suspended: "auth.blocked.suspended",
+  locked: "auth.blocked.locked",
+  deactivated: "auth.blocked.deactivated",
+};
+
+/**
+ * Registra el fallo de una operación: warn si lo causa la petición (errores
+ * 4xx de modules/errors.js) y error en otro caso
+ */
+function logFailure(message, error, data = {}) {
+  const level =
+    error instanceof ApiError && error.status < 500 ? "warn" : "error";
+
+  authLog.log(level, message, { ...data, error });
+}
+
 // ==================== ALMACENAMIENTO EN MEMORIA ====================
 
 // Blacklist de tokens JWT
@@ -56,8 +95,8 @@ async function hashPassword(password) {
     const salt = await bcrypt.genSalt(authConfig.bcrypt.saltRounds);
     return await bcrypt.hash(password, salt);
   } catch (error) {
-    console.error("Error al hashear contraseña:", error);
-    throw new Error("Error interno del servidor");
+    authLog.error("Error al hashear contraseña", { error });
+    throw new Error(t("errors.internalServer"));
   }
 }
 
@@ -68,11 +107,29 @@ async function verifyPassword(password, hash) {
   try {
     return await bcrypt.compare(password, hash);
   } catch (error) {
-    console.error("Error al verificar contraseña:", error);
+    authLog.error("Error al verificar contraseña", { error });
     return false;
   }
 }
 
+/**
+ * Claim con el tenant del usuario (userConfig.tenancy.jwtClaim), si tiene
+ *
+ * resolveTenant lo compara con la cabecera o el subdominio de cada petición.
+ */
+function tenantClaim(user) {
+  return user.tenantId ? { [userConfig.tenancy.jwtClaim]: user.tenantId } : {};
+}
+
+/**
+ * Claim locale del JWT con el idioma preferido del usuario, si lo eligió
+ *
+ * authenticateToken lo usa para responder en ese idioma (modules/i18n.js).
+ */
+function localeClaim(user) {
+  return user.locale ? { locale: user.locale } : {};
+}
+
 /**
  * Genera tokens JWT (access y refresh)
  */
@@ -83,6 +140,8 @@ function generateTokens(user) {
       email: user.email,
       role: user.role || "user",
       name: user.name,
+      ...tenantClaim(user),
+      ...localeClaim(user),
     };
 
     const accessToken = jwt.sign(payload, authConfig.jwt.accessTokenSecret, {
@@ -108,8 +167,8 @@ function generateTokens(user) {
 
     return { accessToken, refreshToken };
   } catch (error) {
-    console.error("Error al generar tokens:", error);
-    throw new Error("Error interno del servidor");
+    authLog.error("Error al generar tokens", { error });
+    throw new Error(t("errors.internalServer"));
   }
 }
 
@@ -120,7 +179,7 @@ function verifyToken(token, secret) {
   try {
     // Verificar si el token está en la blacklist
     if (tokenBlacklist.has(token)) {
-      throw new Error("Token revocado");
+      throw new AuthError(t("auth.tokenRevoked"), { type: "token-revoked" });
     }
 
     return jwt.verify(token, secret, {
@@ -129,9 +188,9 @@ function verifyToken(token, secret) {
     });
   } catch (error) {
     if (error.name === "TokenExpiredError") {
-      throw new Error("Token expirado");
+      throw new AuthError(t("auth.tokenExpired"), { type: "token-expired" });
     } else if (error.name === "JsonWebTokenError") {
-      throw new Error("Token inválido");
+      throw new AuthError(t("auth.tokenInvalid"), { type: "invalid-token" });
     }
     throw error;
   }
@@ -156,6 +215,16 @@ function generatePasswordResetToken(userId) {
   return token;
 }
 
+/**
+ * Indica si la respuesta de initiatePasswordReset incluye el token
+ *
+ * Solo en desarrollo y tests: en producción el enlace llega únicamente por
+ * email (services/emailEventSubscriber.js).
+ */
+function exposesResetToken() {
+  return ["development", "test"].includes(process.env.NODE_ENV);
+}
+
 /**
  * Limpia tokens de recuperación expirados
  */
@@ -177,42 +246,31 @@ async function registerUser(userData, userRepository) {
   try {
     const { name, email, password, role = "user" } = userData;
 
-    // Validar datos requeridos
-    if (!name || !email || !password) {
-      throw new Error("Nombre, email y contraseña son requeridos");
-    }
-
-    // Validar formato de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      throw new Error("Formato de email inválido");
-    }
-
-    // Validar fortaleza de contraseña
-    if (password.length < 8) {
-      throw new Error("La contraseña debe tener al menos 8 caracteres");
+    // Mismas reglas que el resto de altas (USER_SCHEMA en models/User.js)
+    const validation = User.validate({ name, email, password, role });
+    if (!validation.isValid) {
+      throw invalidDataError(validation);
     }
 
     // Verificar si el usuario ya existe
-    const existingUser = userRepository.findByEmail(email);
+    const existingUser = await userRepository.findByEmail(email);
     if (existingUser) {
-      throw new Error("El email ya está registrado");
+      throw new ConflictError(t("users.emailTaken"), {
+        type: "email-taken",
+      });
     }
 
-    // Hashear contraseña
-    const hashedPassword = await hashPassword(password);
-
-    // Crear usuario
-    const user = userRepository.create({
+    // Crear usuario (el repositorio guarda el hash de la contraseña); la
+    // cuenta queda pendiente hasta verificar el email
+    const user = await userRepository.create({
       name,
       email,
-      password: hashedPassword,
+      password,
       role,
-      isVerified: false,
-      createdAt: new Date(),
+      status: "pending_verification",
     });
 
-    console.log(`[AUTH] Usuario registrado: ${email} (ID: ${user.id})`);
+    authLog.info("Usuario registrado", { email, userId: user.id });
 
     return {
       success: true,
@@ -225,7 +283,7 @@ async function registerUser(userData, userRepository) {
       },
     };
   } catch (error) {
-    console.error("[AUTH] Error en registro:", error.message);
+    logFailure("Error en registro", error);
     throw error;
   }
 }
@@ -238,7 +296,7 @@ async function loginUser(credentials, userRepository) {
     const { email, password } = credentials;
 
     if (!email || !password) {
-      throw new Error("Email y contraseña son requeridos");
+      throw new ValidationError(t("auth.credentialsRequired"));
     }
 
     // Verificar rate limiting
@@ -248,42 +306,61 @@ async function loginUser(credentials, userRepository) {
     if (attempts.count >= authConfig.rateLimiting.maxAttempts) {
       const timeSinceLastAttempt = now - attempts.lastAttempt;
       if (timeSinceLastAttempt < authConfig.rateLimiting.windowMs) {
-        throw new Error("Demasiados intentos de login. Intenta más tarde");
+        throw new RateLimitError(t("auth.tooManyLoginAttempts"), {
+          retryAfter: Math.ceil(
+            (authConfig.rateLimiting.windowMs - timeSinceLastAttempt) / 1000
+          ),
+        });
       } else {
         // Reset attempts after window
         loginAttempts.delete(email);
       }
     }
 
-    // Buscar usuario
-    const user = userRepository.findByEmail(email);
+    // Verificar email y contraseña (regenera el hash si está desactualizado)
+    const user = await userRepository.verifyCredentials(email, password);
     if (!user) {
       // Incrementar intentos fallidos
       loginAttempts.set(email, {
         count: attempts.count + 1,
         lastAttempt: now,
       });
-      throw new Error("Credenciales inválidas");
+      throw new AuthError(t("auth.invalidCredentials"), {
+        type: "invalid-credentials",
+      });
     }
 
-    // Verificar contraseña
-    const isValidPassword = await verifyPassword(password, user.password);
-    if (!isValidPassword) {
-      // Incrementar intentos fallidos
-      loginAttempts.set(email, {
-        count: attempts.count + 1,
-        lastAttempt: now,
+    // Credenciales correctas - limpiar intentos fallidos
+    loginAttempts.delete(email);
+
+    // Solo las cuentas activas o pendientes de verificación inician sesión
+    if (!user.canLogin()) {
+      throw new AuthError(t(BLOCKED_STATUS_MESSAGES[user.status]), {
+        status: 403,
+        type: "account-blocked",
       });
-      throw new Error("Credenciales inválidas");
     }
 
-    // Login exitoso - limpiar intentos fallidos
-    loginAttempts.delete(email);
+    // Guardar la fecha del login (estadísticas de actividad y retención)
+    await userRepository.recordLogin(user.id);
+
+    eventBus.publish(
+      "auth.login",
+      {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+      },
+      { actor: user.email, tenantId: user.tenantId }
+    );
 
     // Generar tokens
     const tokens = generateTokens(user);
 
-    console.log(`[AUTH] Login exitoso: ${email} (ID: ${user.id})`);
+    authLog.info("Login exitoso", { email, userId: user.id });
 
     return {
       success: true,
@@ -297,7 +374,7 @@ async function loginUser(credentials, userRepository) {
       tokens,
     };
   } catch (error) {
-    console.error("[AUTH] Error en login:", error.message);
+    logFailure("Error en login", error, { email: credentials.email });
     throw error;
   }
 }
@@ -308,12 +385,14 @@ async function loginUser(credentials, userRepository) {
 async function refreshAccessToken(refreshToken, userRepository) {
   try {
     if (!refreshToken) {
-      throw new Error("Refresh token requerido");
+      throw new ValidationError(t("auth.refreshTokenRequired"));
     }
 
     // Verificar si el refresh token es válido
     if (!validRefreshTokens.has(refreshToken)) {
-      throw new Error("Refresh token inválido");
+      throw new AuthError(t("auth.refreshTokenInvalid"), {
+        type: "invalid-token",
+      });
     }
 
     // Verificar el refresh token
@@ -323,13 +402,22 @@ async function refreshAccessToken(refreshToken, userRepository) {
     );
 
     if (decoded.tokenType !== "refresh") {
-      throw new Error("Token type inválido");
+      throw new AuthError(t("auth.tokenTypeInvalid"), {
+        type: "invalid-token",
+      });
     }
 
     // Buscar usuario
-    const user = userRepository.findById(decoded.userId);
+    const user = await userRepository.findById(decoded.userId);
     if (!user) {
-      throw new Error("Usuario no encontrado");
+      throw new NotFoundError(t("users.notFound"));
+    }
+
+    if (!user.canLogin()) {
+      throw new AuthError(t(BLOCKED_STATUS_MESSAGES[user.status]), {
+        status: 403,
+        type: "account-blocked",
+      });
     }
 
     // Generar nuevo access token
@@ -338,6 +426,8 @@ async function refreshAccessToken(refreshToken, userRepository) {
       email: user.email,
       role: user.role,
       name: user.name,
+      ...tenantClaim(user),
+      ...localeClaim(user),
     };
 
     const newAccessToken = jwt.sign(payload, authConfig.jwt.accessTokenSecret, {
@@ -347,14 +437,17 @@ async function refreshAccessToken(refreshToken, userRepository) {
       subject: user.id.toString(),
     });
 
-    console.log(`[AUTH] Token refrescado para usuario: ${user.email}`);
+    authLog.info("Token refrescado", {
+      email: user.email,
+      userId: user.id,
+    });
 
     return {
       success: true,
       accessToken: newAccessToken,
     };
   } catch (error) {
-    console.error("[AUTH] Error al refrescar token:", error.message);
+    logFailure("Error al refrescar token", error);
     throw error;
   }
 }
@@ -374,14 +467,14 @@ function logoutUser(accessToken, refreshToken) {
       tokenBlacklist.add(refreshToken);
     }
 
-    console.log("[AUTH] Logout exitoso - tokens invalidados");
+    authLog.info("Logout exitoso: tokens invalidados");
 
     return {
       success: true,
-      message: "Logout exitoso",
+      message: t("auth.loggedOut"),
     };
   } catch (error) {
-    console.error("[AUTH] Error en logout:", error.message);
+    logFailure("Error en logout", error);
     throw error;
   }
 }
@@ -389,34 +482,53 @@ function logoutUser(accessToken, refreshToken) {
 /**
  * Inicia proceso de recuperación de contraseña
  */
-function initiatePasswordReset(email, userRepository) {
+async function initiatePasswordReset(email, userRepository) {
   try {
     if (!email) {
-      throw new Error("Email requerido");
+      throw new ValidationError(t("auth.emailRequired"));
     }
 
     // Buscar usuario
-    const user = userRepository.findByEmail(email);
+    const user = await userRepository.findByEmail(email);
     if (!user) {
       // Por seguridad, no revelar si el email existe
       return {
         success: true,
-        message: "Si el email existe, recibirás instrucciones de recuperación",
+        message: t("auth.resetRequested"),
       };
     }
 
     // Generar token de recuperación
     const resetToken = generatePasswordResetToken(user.id);
 
-    console.log(`[AUTH] Token de recuperación generado para: ${email}`);
+    // El token nunca se registra: solo viaja en el evento y en el email
+    authLog.info("Token de recuperación generado", { email });
+
+    // El listener de emails (services/emailEventSubscriber.js) envía el enlace
+    eventBus.publish(
+      "auth.password_reset_requested",
+      {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          tenantId: user.tenantId,
+        },
+        resetToken,
+        expiresAt: new Date(
+          passwordResetTokens.get(resetToken).expiry
+        ).toISOString(),
+      },
+      { actor: user.email, tenantId: user.tenantId }
+    );
 
     return {
       success: true,
-      resetToken, // En producción, esto se enviaría por email
-      message: "Token de recuperación generado",
+      ...(exposesResetToken() && { resetToken }),
+      message: t("auth.resetTokenGenerated"),
     };
   } catch (error) {
-    console.error("[AUTH] Error en recuperación de contraseña:", error.message);
+    logFailure("Error en recuperación de contraseña", error);
     throw error;
   }
 }
@@ -427,57 +539,120 @@ function initiatePasswordReset(email, userRepository) {
 async function resetPassword(resetToken, newPassword, userRepository) {
   try {
     if (!resetToken || !newPassword) {
-      throw new Error("Token y nueva contraseña son requeridos");
+      throw new ValidationError(t("auth.resetDataRequired"));
     }
 
     // Verificar token
     const tokenData = passwordResetTokens.get(resetToken);
     if (!tokenData) {
-      throw new Error("Token de recuperación inválido");
+      throw new ValidationError(t("auth.resetTokenInvalid"), {
+        type: "invalid-token",
+      });
     }
 
     // Verificar expiración
     if (Date.now() > tokenData.expiry) {
       passwordResetTokens.delete(resetToken);
-      throw new Error("Token de recuperación expirado");
+      throw new ValidationError(t("auth.resetTokenExpired"), {
+        type: "token-expired",
+      });
     }
 
     // Verificar intentos
     if (tokenData.attempts >= authConfig.passwordReset.maxAttempts) {
       passwordResetTokens.delete(resetToken);
-      throw new Error("Demasiados intentos con este token");
+      throw new RateLimitError(t("auth.tooManyTokenAttempts"));
     }
 
-    // Validar nueva contraseña
-    if (newPassword.length < 8) {
+    // Validar nueva contraseña (USER_SCHEMA)
+    const validation = User.validateUpdate({ password: newPassword });
+    if (!validation.isValid) {
       tokenData.attempts++;
-      throw new Error("La contraseña debe tener al menos 8 caracteres");
+      throw new ValidationError(validation.errors[0], {
+        errors: validation.errors,
+      });
     }
 
     // Buscar usuario
-    const user = userRepository.findById(tokenData.userId);
+    const user = await userRepository.findById(tokenData.userId);
     if (!user) {
       passwordResetTokens.delete(resetToken);
-      throw new Error("Usuario no encontrado");
+      throw new NotFoundError(t("users.notFound"));
     }
 
-    // Hashear nueva contraseña
-    const hashedPassword = await hashPassword(newPassword);
-
-    // Actualizar contraseña
-    userRepository.update(user.id, { password: hashedPassword });
+    // Actualizar contraseña (el repositorio guarda el hash)
+    await userRepository.update(user.id, { password: newPassword });
 
     // Eliminar token usado
     passwordResetTokens.delete(resetToken);
 
-    console.log(`[AUTH] Contraseña restablecida para usuario: ${user.email}`);
+    authLog.info("Contraseña restablecida", {
+      email: user.email,
+      userId: user.id,
+    });
 
     return {
       success: true,
-      message: "Contraseña restablecida exitosamente",
+      message: t("auth.passwordReset"),
     };
   } catch (error) {
-    console.error("[AUTH] Error al restablecer contraseña:", error.message);
+    logFailure("Error al restablecer contraseña", error);
+    throw error;
+  }
+}
+
+/**
+ * Verifica el email de un usuario con el token del enlace de verificación
+ *
+ * Una cuenta pending_verification pasa a active (lo que marca el email
+ * como verificado); si ya estaba verificada no cambia nada.
+ */
+async function verifyEmail(verificationToken, userRepository) {
+  try {
+    let payload;
+    try {
+      // Token generado por services/emailEventSubscriber.js al registrarse
+      payload = verifySignedToken(verificationToken, {
+        secret: userConfig.emailVerification.secret,
+        purpose: "email-verification",
+      });
+    } catch (error) {
+      if (error instanceof SignedTokenError) {
+        throw error.reason === "expired"
+          ? new ValidationError(t("auth.verificationTokenExpired"), {
+              type: "token-expired",
+            })
+          : new ValidationError(t("auth.verificationTokenInvalid"), {
+              type: "invalid-token",
+            });
+      }
+      throw error;
+    }
+
+    // El token deja de servir si el email ha cambiado desde que se envió
+    const user = await userRepository.findById(payload.sub);
+    if (!user || user.email !== payload.email) {
+      throw new ValidationError(t("auth.verificationTokenInvalid"), {
+        type: "invalid-token",
+      });
+    }
+
+    if (user.status === "pending_verification") {
+      await userRepository.changeStatus(user.id, "active", {
+        context: { actor: user.email },
+      });
+      authLog.info("Email verificado", {
+        email: user.email,
+        userId: user.id,
+      });
+    }
+
+    return {
+      success: true,
+      message: t("auth.emailVerified"),
+    };
+  } catch (error) {
+    logFailure("Error al verificar email", error);
     throw error;
   }
 }
@@ -493,21 +668,33 @@ function authenticateToken(req, res, next) {
     const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Token de acceso requerido",
-      });
+      return sendError(req, res, new AuthError(t("auth.accessTokenRequired")));
     }
 
     const decoded = verifyToken(token, authConfig.jwt.accessTokenSecret);
     req.user = decoded;
+    // El idioma preferido del usuario tiene prioridad sobre Accept-Language
+    applyRequestLocale(req, res);
     next();
   } catch (error) {
-    return res.status(403).json({
-      success: false,
-      message: error.message,
-    });
+    return sendError(req, res, error, { status: 403 });
+  }
+}
+
+/**
+ * Middleware de autenticación opcional
+ *
+ * Sin cabecera Authorization la petición sigue como anónima; si la trae, el
+ * token debe ser válido (authenticateToken) y req.user identifica al actor
+ * de los cambios en el historial y aporta el tenant del token (ver
+ * resolveTenantId en modules/tenancy.js).
+ */
+function authenticateOptional(req, res, next) {
+  if (!req.headers["authorization"]) {
+    return next();
   }
+
+  return authenticateToken(req, res, next);
 }
 
 /**
@@ -517,44 +704,54 @@ function authorizeRoles(...allowedRoles) {
   return (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: "Usuario no autenticado",
-        });
+        return sendError(req, res, new AuthError(t("auth.notAuthenticated")));
       }
 
       if (!allowedRoles.includes(req.user.role)) {
-        console.log(
-          `[AUTH] Acceso denegado: ${req.user.email} (${
-            req.user.role
-          }) intentó acceder a recurso que requiere: ${allowedRoles.join(", ")}`
-        );
-        return res.status(403).json({
-          success: false,
-          message: "No tienes permisos para acceder a este recurso",
+        authLog.warn("Acceso denegado", {
+          email: req.user.email,
+          role: req.user.role,
+          requiredRoles: allowedRoles,
         });
+        return sendError(
+          req,
+          res,
+          new AuthError(t("auth.forbidden"), {
+            status: 403,
+          })
+        );
       }
 
       next();
     } catch (error) {
-      return res.status(500).json({
-        success: false,
-        message: "Error interno del servidor",
+      return sendError(req, res, error, {
+        status: 500,
+        message: t("errors.internalServer"),
       });
     }
   };
 }
 
+/**
+ * Middlewares de las rutas de administración: token JWT válido (401/403)
+ * con rol admin (403)
+ */
+const requireAdmin = [authenticateToken, authorizeRoles("admin")];
+
 /**
  * Rate limiting middleware para login
  */
 const loginRateLimit = rateLimit({
   windowMs: authConfig.rateLimiting.windowMs,
   max: authConfig.rateLimiting.maxAttempts,
-  message: {
-    success: false,
-    message: "Demasiados intentos de login. Intenta más tarde",
-  },
+  handler: (req, res) =>
+    sendError(
+      req,
+      res,
+      new RateLimitError(t("auth.tooManyLoginAttempts"), {
+        retryAfter: Math.ceil(authConfig.rateLimiting.windowMs / 1000),
+      })
+    ),
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: authConfig.rateLimiting.skipSuccessfulRequests,
@@ -574,7 +771,6 @@ function securityLogger(req, res, next) {
       req.path.includes("/register")
     ) {
       const logData = {
-        timestamp: new Date().toISOString(),
         ip: req.ip,
         userAgent: req.get("User-Agent"),
         method: req.method,
@@ -583,7 +779,7 @@ function securityLogger(req, res, next) {
         user: req.user ? req.user.email : "anonymous",
       };
 
-      console.log("[SECURITY]", JSON.stringify(logData));
+      securityLog.info("Evento de seguridad", logData);
     }
 
     originalSend.call(this, data);
@@ -605,6 +801,7 @@ module.exports = {
   logoutUser,
   initiatePasswordReset,
   resetPassword,
+  verifyEmail,
 
   // Utilidades
   hashPassword,
@@ -614,7 +811,9 @@ module.exports = {
 
   // Middlewares
   authenticateToken,
+  authenticateOptional,
   authorizeRoles,
+  requireAdmin,
   loginRateLimit,
   securityLogger,
 
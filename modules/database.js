@@ -35,6 +35,8 @@ const SeedManager = require("./database/SeedManager");
 const BackupManager = require("./database/BackupManager");
 const PerformanceMonitor = require("./database/PerformanceMonitor");
 const CacheManager = require("./database/CacheManager");
+const { buildPaginationMetadata } = require("./database/pagination");
+const { logger } = require("./logger");
 
 /**
  * Clase principal del módulo de base de datos
@@ -99,6 +101,7 @@ class DatabaseManager extends EventEmitter {
 
     this.isConnected = false;
     this.connectionRetries = 0;
+    this.logger = logger.child({ component: "database" });
 
     this._initializeComponents();
   }
@@ -148,28 +151,34 @@ class DatabaseManager extends EventEmitter {
       this.isConnected = true;
       this.connectionRetries = 0;
       this.emit("connected");
-      console.log(`✅ Conectado a ${this.config.type} en ${this.config.host}`);
+      this.logger.info("Conectado a la base de datos", {
+        type: this.config.type,
+        host: this.config.host,
+      });
     });
 
     this.adapter.on("disconnected", () => {
       this.isConnected = false;
       this.emit("disconnected");
-      console.log(`❌ Desconectado de ${this.config.type}`);
+      this.logger.warn("Desconectado de la base de datos", {
+        type: this.config.type,
+      });
       this._handleReconnection();
     });
 
     this.adapter.on("error", (error) => {
       this.emit("error", error);
-      console.error("❌ Error de base de datos:", error.message);
+      this.logger.error("Error de base de datos", { error });
     });
 
     // Eventos de performance
     if (this.performanceMonitor) {
       this.performanceMonitor.on("slowQuery", (data) => {
         this.emit("slowQuery", data);
-        console.warn(
-          `🐌 Query lenta detectada: ${data.duration}ms - ${data.query}`
-        );
+        this.logger.warn("Query lenta detectada", {
+          durationMs: data.duration,
+          query: data.query,
+        });
       });
     }
   }
@@ -179,7 +188,9 @@ class DatabaseManager extends EventEmitter {
    */
   async connect() {
     try {
-      console.log(`🔄 Conectando a ${this.config.type}...`);
+      this.logger.info("Conectando a la base de datos", {
+        type: this.config.type,
+      });
       await this.adapter.connect();
 
       // Inicializar cache si está habilitado
@@ -194,7 +205,7 @@ class DatabaseManager extends EventEmitter {
 
       return true;
     } catch (error) {
-      console.error("❌ Error al conectar:", error.message);
+      this.logger.error("Error al conectar a la base de datos", { error });
       throw error;
     }
   }
@@ -209,9 +220,11 @@ class DatabaseManager extends EventEmitter {
       }
 
       await this.adapter.disconnect();
-      console.log("✅ Desconectado correctamente");
+      this.logger.info("Desconectado de la base de datos");
     } catch (error) {
-      console.error("❌ Error al desconectar:", error.message);
+      this.logger.error("Error al desconectar de la base de datos", {
+        error,
+      });
       throw error;
     }
   }
@@ -221,26 +234,27 @@ class DatabaseManager extends EventEmitter {
    */
   async _handleReconnection() {
     if (this.connectionRetries >= this.config.maxRetries) {
-      console.error(
-        `❌ Máximo número de reintentos alcanzado (${this.config.maxRetries})`
-      );
+      this.logger.error("Máximo número de reintentos de conexión alcanzado", {
+        maxRetries: this.config.maxRetries,
+      });
       this.emit("maxRetriesReached");
       return;
     }
 
     this.connectionRetries++;
-    console.log(
-      `🔄 Reintento de conexión ${this.connectionRetries}/${this.config.maxRetries}`
-    );
+    this.logger.info("Reintentando la conexión", {
+      attempt: this.connectionRetries,
+      maxRetries: this.config.maxRetries,
+    });
 
     setTimeout(async () => {
       try {
         await this.connect();
       } catch (error) {
-        console.error(
-          `❌ Fallo en reintento ${this.connectionRetries}:`,
-          error.message
-        );
+        this.logger.error("Fallo en el reintento de conexión", {
+          attempt: this.connectionRetries,
+          error,
+        });
       }
     }, this.config.retryDelay * this.connectionRetries);
   }
@@ -286,6 +300,7 @@ class DatabaseManager extends EventEmitter {
       }
 
       this.emit("queryExecuted", { sql, params, duration, success: true });
+      this.logger.debug("Query ejecutada", { sql, durationMs: duration });
 
       return result;
     } catch (error) {
@@ -308,6 +323,7 @@ class DatabaseManager extends EventEmitter {
         success: false,
         error,
       });
+      this.logger.error("Error en query", { sql, durationMs: duration, error });
       throw error;
     }
   }
@@ -372,23 +388,9 @@ class DatabaseManager extends EventEmitter {
 
     const data = await this.query(dataQuery.toSQL());
 
-    // Metadata de paginación
-    const totalPages = Math.ceil(total / limit);
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
-
     return {
       data,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalRecords: total,
-        recordsPerPage: limit,
-        hasNextPage,
-        hasPrevPage,
-        nextPage: hasNextPage ? page + 1 : null,
-        prevPage: hasPrevPage ? page - 1 : null,
-      },
+      pagination: buildPaginationMetadata({ page, limit, total }),
       filters: filters,
       search: {
         term: searchTerm,
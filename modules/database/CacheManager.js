@@ -6,6 +6,7 @@
 const EventEmitter = require("events");
 const Redis = require("redis");
 const crypto = require("crypto");
+const { scopeToTenant } = require("../tenancy");
 
 class CacheManager extends EventEmitter {
   constructor(config = {}) {
@@ -42,6 +43,18 @@ class CacheManager extends EventEmitter {
       errors: 0,
       totalRequests: 0,
     };
+    // Tenant de las claves (ver forTenant); null usa las claves compartidas
+    this.tenantId = null;
+  }
+
+  /**
+   * Obtener una vista del cache con las claves de un tenant
+   *
+   * Comparte conexión y estadísticas; sus claves llevan "tenant:<id>:" tras
+   * el prefijo, de modo que clear() solo borra las del tenant.
+   */
+  forTenant(tenantId) {
+    return scopeToTenant(this, tenantId);
   }
 
   /**
@@ -184,6 +197,41 @@ class CacheManager extends EventEmitter {
     }
   }
 
+  /**
+   * Establecer valor solo si la clave no existe (SET NX)
+   *
+   * Es atómico en Redis, por lo que sirve como reserva entre procesos.
+   * Retorna true si se guardó y false si la clave ya existía o no hay conexión.
+   */
+  async add(key, value, ttl = null) {
+    if (!this.config.enabled || !this.isConnected) {
+      return false;
+    }
+
+    try {
+      const cacheKey = this._buildKey(key);
+      const cacheTTL = ttl || this.config.ttl;
+      const result = await this.client.set(cacheKey, this._serialize(value), {
+        EX: cacheTTL,
+        NX: true,
+      });
+
+      if (result === null) {
+        return false;
+      }
+
+      this.stats.sets++;
+      this.emit("set", { key: cacheKey, ttl: cacheTTL });
+
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      this.emit("error", error);
+      console.error("❌ Error estableciendo en cache:", error.message);
+      return false;
+    }
+  }
+
   /**
    * Eliminar valor del cache
    */
@@ -472,15 +520,16 @@ class CacheManager extends EventEmitter {
   }
 
   /**
-   * Construir clave de cache
+   * Construir clave de cache (con el tenant, si lo hay, tras el prefijo)
    */
   _buildKey(key) {
-    const fullKey = this.config.keyPrefix + key;
+    const prefix = this._keyPrefix();
+    const fullKey = prefix + key;
 
     if (fullKey.length > this.config.maxKeySize) {
       // Usar hash para claves muy largas
       const hash = crypto.createHash("sha256").update(fullKey).digest("hex");
-      return this.config.keyPrefix + "hash:" + hash;
+      return prefix + "hash:" + hash;
     }
 
     return fullKey;
@@ -490,7 +539,16 @@ class CacheManager extends EventEmitter {
    * Construir clave de tag
    */
   _buildTagKey(tag) {
-    return this.config.keyPrefix + "tag:" + tag;
+    return this._keyPrefix() + "tag:" + tag;
+  }
+
+  /**
+   * Prefijo de las claves del tenant actual
+   */
+  _keyPrefix() {
+    return this.tenantId
+      ? `${this.config.keyPrefix}tenant:${this.tenantId}:`
+      : this.config.keyPrefix;
   }
 
   /**
@@ -5,7 +5,9 @@
 
 class QueryBuilder {
   constructor(dbType) {
-    this.dbType = dbType.toLowerCase();
+    // "postgres" es un alias aceptado por DatabaseManager
+    this.dbType =
+      dbType.toLowerCase() === "postgres" ? "postgresql" : dbType.toLowerCase();
     this.reset();
   }
 
@@ -406,20 +408,41 @@ class QueryBuilder {
       return this.toMongoDB();
     }
 
+    let sql;
+
     switch (this.query.type) {
       case "select":
-        return this._buildSelectSQL();
+        sql = this._buildSelectSQL();
+        break;
       case "insert":
-        return this._buildInsertSQL();
+        sql = this._buildInsertSQL();
+        break;
       case "update":
-        return this._buildUpdateSQL();
+        sql = this._buildUpdateSQL();
+        break;
       case "delete":
-        return this._buildDeleteSQL();
+        sql = this._buildDeleteSQL();
+        break;
       case "count":
-        return this._buildCountSQL();
+        sql = this._buildCountSQL();
+        break;
       default:
         throw new Error(`Tipo de query no soportado: ${this.query.type}`);
     }
+
+    return this._formatPlaceholders(sql);
+  }
+
+  /**
+   * Adaptar placeholders al dialecto (PostgreSQL usa $1, $2, ...)
+   */
+  _formatPlaceholders(sql) {
+    if (this.dbType !== "postgresql") {
+      return sql;
+    }
+
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
   }
 
   /**
@@ -771,6 +794,11 @@ class QueryBuilder {
   getParams() {
     const params = [];
 
+    // Parámetros de UPDATE (el SET va antes que el WHERE)
+    if (this.query.type === "update") {
+      params.push(...Object.values(this.query.updates));
+    }
+
     // Parámetros de WHERE
     for (const condition of this.query.where) {
       if (condition.type === "group") {
@@ -789,11 +817,6 @@ class QueryBuilder {
       }
     }
 
-    // Parámetros de UPDATE
-    if (this.query.type === "update") {
-      params.push(...Object.values(this.query.updates));
-    }
-
     // Parámetros de HAVING
     for (const condition of this.query.having) {
       this._addConditionParams(condition, params);
@@ -4,6 +4,7 @@
  */
 
 const EventEmitter = require("events");
+const { logger, getRequestContext } = require("../../logger");
 
 class BaseAdapter extends EventEmitter {
   constructor(config) {
@@ -136,6 +137,9 @@ class BaseAdapter extends EventEmitter {
 
   /**
    * Log de eventos internos
+   *
+   * Se emite como evento "log" (con el ID de la petición en curso, si la
+   * hay); sin listeners se registra con el logger compartido.
    */
   _log(level, message, data = {}) {
     const logData = {
@@ -143,17 +147,18 @@ class BaseAdapter extends EventEmitter {
       message,
       adapter: this.constructor.name,
       timestamp: new Date().toISOString(),
+      ...getRequestContext(),
       ...data,
     };
 
     this.emit("log", logData);
 
-    // Log básico a consola si no hay listeners
     if (this.listenerCount("log") === 0) {
-      console.log(
-        `[${level.toUpperCase()}] ${this.constructor.name}: ${message}`,
-        data
-      );
+      logger.log(level, message, {
+        component: "database",
+        adapter: this.constructor.name,
+        ...data,
+      });
     }
   }
 }
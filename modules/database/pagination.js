@@ -0,0 +1,86 @@
+/**
+ * Utilidades de paginación
+ * Metadata común para DatabaseManager.paginate y la API de usuarios,
+ * y cursores opacos para paginación basada en cursor
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Construir la metadata de paginación
+ *
+ * Es la misma estructura que devuelve DatabaseManager.paginate, de modo que
+ * los clientes vean respuestas idénticas en ambas capas.
+ */
+function buildPaginationMetadata({ page, limit, total }) {
+  const totalPages = Math.ceil(total / limit);
+  const hasNextPage = page < totalPages;
+  const hasPrevPage = page > 1;
+
+  return {
+    currentPage: page,
+    totalPages,
+    totalRecords: total,
+    recordsPerPage: limit,
+    hasNextPage,
+    hasPrevPage,
+    nextPage: hasNextPage ? page + 1 : null,
+    prevPage: hasPrevPage ? page - 1 : null,
+  };
+}
+
+/**
+ * Huella corta de los criterios de una consulta (filtros y orden)
+ *
+ * Se guarda dentro del cursor para rechazar cursores usados con criterios
+ * distintos a los que los generaron.
+ */
+function createQueryFingerprint(criteria) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(criteria))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Codificar un cursor opaco (base64url)
+ */
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString(
+    "base64url"
+  );
+}
+
+/**
+ * Decodificar un cursor opaco y devolver su desplazamiento
+ *
+ * @throws {Error} Cuando el cursor está malformado o no corresponde a la consulta
+ */
+function decodeCursor(cursor, fingerprint) {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Cursor inválido");
+  }
+
+  if (
+    !payload ||
+    !Number.isInteger(payload.o) ||
+    payload.o < 0 ||
+    payload.f !== fingerprint
+  ) {
+    throw new Error("Cursor inválido");
+  }
+
+  return payload.o;
+}
+
+module.exports = {
+  buildPaginationMetadata,
+  createQueryFingerprint,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,316 @@
+// MÓDULO: Errores de la API y respuestas de error (RFC 7807, application/problem+json)
+
+const { userConfig } = require("../config/userConfig");
+const { t } = require("./i18n");
+
+/** Tipo de contenido de las respuestas de error RFC 7807 */
+const PROBLEM_CONTENT_TYPE = "application/problem+json";
+
+/**
+ * Código de tipo de cada estado HTTP, para los errores que no indican uno
+ *
+ * Los códigos son estables: los clientes pueden distinguir los errores por
+ * el type de la respuesta sin depender del texto de los mensajes.
+ */
+const STATUS_TYPES = {
+  400: "bad-request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not-found",
+  409: "conflict",
+  410: "gone",
+  412: "precondition-failed",
+  413: "payload-too-large",
+  415: "unsupported-media-type",
+  422: "unprocessable-entity",
+  428: "precondition-required",
+  429: "rate-limited",
+  500: "internal-error",
+  503: "service-unavailable",
+};
+
+/**
+ * Error de la API con su código HTTP y su tipo de problema
+ *
+ * Lo lanzan el modelo, los servicios y los middlewares; sendError lo
+ * traduce a la respuesta. message resume el error y detail lo explica;
+ * extensions añade campos a la respuesta (p. ej. currentVersion).
+ *
+ * @class
+ * @extends Error
+ *
+ * @example
+ * throw new ApiError("Lote demasiado grande", {
+ *   status: 413,
+ *   detail: "El máximo es de 100 operaciones por petición",
+ * });
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Resumen del error
+   * @param {Object} [options] - Detalles del error
+   * @param {number} [options.status=500] - Código HTTP
+   * @param {string} [options.type] - Código del tipo de problema (por defecto, el del estado)
+   * @param {string} [options.detail] - Explicación de este caso concreto
+   * @param {string[]} [options.errors] - Mensajes de cada error de validación
+   * @param {Object[]} [options.fieldErrors] - Errores por campo { location?, field, message }
+   * @param {Object} [options.extensions] - Campos adicionales de la respuesta
+   */
+  constructor(
+    message,
+    { status = 500, type, detail, errors, fieldErrors, extensions } = {}
+  ) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.type = type || STATUS_TYPES[status] || "error";
+    this.detail = detail;
+    this.errors = errors;
+    this.fieldErrors = fieldErrors;
+    this.extensions = extensions;
+  }
+}
+
+/**
+ * Datos de entrada no válidos (400)
+ *
+ * @class
+ * @extends ApiError
+ */
+class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { type: "validation-error", ...options, status: 400 });
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Recurso inexistente (404)
+ *
+ * @class
+ * @extends ApiError
+ */
+class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 404 });
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Conflicto con el estado actual del recurso (409)
+ *
+ * @class
+ * @extends ApiError
+ */
+class ConflictError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 409 });
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * Petición sin autenticar (401) o sin permisos (403)
+ *
+ * @class
+ * @extends ApiError
+ */
+class AuthError extends ApiError {
+  /**
+   * @param {string} message - Resumen del error
+   * @param {Object} [options] - Ver ApiError; status puede ser 401 o 403
+   */
+  constructor(message, options = {}) {
+    super(message, { status: 401, ...options });
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * Demasiadas peticiones (429)
+ *
+ * retryAfter (segundos) se envía en la cabecera Retry-After y en la respuesta.
+ *
+ * @class
+ * @extends ApiError
+ */
+class RateLimitError extends ApiError {
+  /**
+   * @param {string} message - Resumen del error
+   * @param {Object} [options] - Ver ApiError
+   * @param {number} [options.retryAfter] - Segundos hasta poder reintentar
+   */
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, {
+      ...options,
+      status: 429,
+      extensions: retryAfter
+        ? { ...options.extensions, retryAfter }
+        : options.extensions,
+    });
+    this.name = "RateLimitError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Indicar si la petición prefiere application/problem+json
+ *
+ * Se negocia con la cabecera Accept. Sin ella, o con una que acepte ambos
+ * formatos por igual, se usa userConfig.errors.format.
+ *
+ * @param {Object} req - Petición de Express
+ * @returns {boolean} true para responder application/problem+json
+ */
+const prefersProblem = (req) => {
+  const formats =
+    userConfig.errors.format === "problem"
+      ? [PROBLEM_CONTENT_TYPE, "application/json"]
+      : ["application/json", PROBLEM_CONTENT_TYPE];
+
+  return (req.accepts(formats) || formats[0]) === PROBLEM_CONTENT_TYPE;
+};
+
+/**
+ * Mensaje de un error que puede mostrarse al cliente
+ *
+ * Los errores internos (5xx) solo muestran su mensaje en desarrollo; los
+ * ApiError se juzgan por su propio estado, aunque la ruta responda otro.
+ *
+ * @private
+ */
+const exposedMessage = (error, status) =>
+  (error instanceof ApiError ? error.status : status) < 500 ||
+  process.env.NODE_ENV === "development"
+    ? error.message
+    : t("errors.internal");
+
+/**
+ * Indicar si un error lleva mensajes de validación
+ *
+ * @private
+ */
+const hasErrors = (error) =>
+  Array.isArray(error.errors) && error.errors.length > 0;
+
+/**
+ * Respuesta RFC 7807 de un error
+ *
+ * title es el resumen (fallback.message o el mensaje del error) y detail la
+ * explicación; los errores de validación se detallan en errors con la
+ * parte de la petición y el campo de cada uno.
+ *
+ * @param {Object} req - Petición de Express
+ * @param {Error} error - Error a describir
+ * @param {Object} [fallback] - Estado y resumen cuando el error no es un ApiError
+ * @returns {Object} { type, title, status, detail?, instance, requestId, errors?, ... }
+ */
+const toProblem = (req, error, fallback = {}) => {
+  const typed = error instanceof ApiError;
+  const status = typed ? error.status : fallback.status || 500;
+  const type = typed ? error.type : STATUS_TYPES[status] || "error";
+  const title =
+    fallback.message || (typed ? error.message : t("errors.internalServer"));
+  const detail =
+    fallback.message || !typed ? exposedMessage(error, status) : error.detail;
+
+  const problem = {
+    type: `${userConfig.errors.typeBaseUrl}${type}`,
+    title,
+    status,
+    ...(detail !== undefined && detail !== title && { detail }),
+    instance: req.originalUrl,
+    requestId: req.requestId,
+  };
+
+  if (typed && (error.fieldErrors || hasErrors(error))) {
+    problem.errors =
+      error.fieldErrors || error.errors.map((message) => ({ message }));
+  }
+
+  return { ...problem, ...(typed && error.extensions) };
+};
+
+/**
+ * Cuerpo { success: false, message, error?, errors? } de las respuestas
+ * anteriores a RFC 7807
+ *
+ * @private
+ */
+const toEnvelope = (error, status, fallback) => {
+  const typed = error instanceof ApiError;
+  const envelope = {
+    success: false,
+    message:
+      fallback.message || (typed ? error.message : t("errors.internalServer")),
+  };
+
+  const detail =
+    fallback.message || !typed ? exposedMessage(error, status) : error.detail;
+  if (detail !== undefined) {
+    envelope.error = detail;
+  }
+
+  if (typed && !fallback.message) {
+    if (hasErrors(error)) {
+      envelope.errors = error.errors;
+    }
+    if (error.fieldErrors) {
+      envelope.fieldErrors = error.fieldErrors;
+    }
+  }
+
+  return { ...envelope, ...(typed && error.extensions) };
+};
+
+/**
+ * Responder un error en el formato que negocia la petición
+ *
+ * Es el único punto en que se construyen las respuestas de error: lo usan
+ * errorHandler, los middlewares de validación y los controladores. Con
+ * application/problem+json el estado es el del ApiError; el formato
+ * anterior conserva durante la migración los estados y mensajes de cada
+ * ruta (fallback). Los mensajes de los errores internos no se muestran
+ * fuera de desarrollo.
+ *
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error a responder
+ * @param {Object} [fallback] - Respuesta de la ruta en el formato anterior
+ * @param {number} [fallback.status] - Estado HTTP (y el de los errores que no son ApiError)
+ * @param {string} [fallback.message] - Resumen; el mensaje del error pasa a detail/error
+ * @returns {Object} res
+ *
+ * @example
+ * } catch (error) {
+ *   sendError(req, res, error, { status: 400, message: "Error al crear usuario" });
+ * }
+ */
+const sendError = (req, res, error, fallback = {}) => {
+  if (error instanceof RateLimitError && error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+
+  if (prefersProblem(req)) {
+    const problem = toProblem(req, error, fallback);
+    return res.status(problem.status).type(PROBLEM_CONTENT_TYPE).json(problem);
+  }
+
+  const status = fallback.status || error.status || 500;
+  return res.status(status).json(toEnvelope(error, status, fallback));
+};
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  STATUS_TYPES,
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthError,
+  RateLimitError,
+  prefersProblem,
+  toProblem,
+  sendError,
+};
@@ -0,0 +1,218 @@
+// MÓDULO: Bus de eventos de dominio en proceso (usuarios, autenticación, emails)
+
+const crypto = require("crypto");
+const { userConfig } = require("../config/userConfig");
+const { logger, getRequestContext } = require("./logger");
+
+const log = logger.child({ component: "events" });
+
+/**
+ * Tipos de evento de dominio admitidos por EventBus
+ *
+ * email.sent y email.failed los publica EmailService: el segundo cuando un
+ * email no se puede entregar (tras agotar los reintentos de la cola).
+ * user.invited lo publica UserInvitationService con el enlace firmado de la
+ * invitación, por lo que no se envía a los webhooks.
+ */
+const DOMAIN_EVENTS = [
+  "user.created",
+  "user.updated",
+  "user.deleted",
+  "user.invited",
+  "auth.login",
+  "auth.password_reset_requested",
+  "email.sent",
+  "email.failed",
+];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Comprobar que un tipo de evento es uno de DOMAIN_EVENTS
+ *
+ * @param {string} type - Tipo de evento
+ * @throws {Error} Cuando el tipo no existe
+ */
+const assertEventType = (type) => {
+  if (!DOMAIN_EVENTS.includes(type)) {
+    throw new Error(`Tipo de evento desconocido: ${type}`);
+  }
+};
+
+/**
+ * Bus de eventos de dominio
+ *
+ * Desacopla a quien produce un cambio (repositorios, modules/auth.js) de lo
+ * que debe pasar después (emails, integraciones...): basta con suscribir un
+ * listener nuevo, sin tocar controladores.
+ *
+ * publish() no espera a los listeners: cada uno se ejecuta por separado, de
+ * modo que el fallo de uno no afecta a los demás ni a la operación que
+ * publicó el evento. Un listener que falla se reintenta `retries` veces,
+ * esperando retryDelayMs × intento entre reintentos; si agota los intentos
+ * el error se registra en consola y se descarta.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { eventBus } = require("./modules/eventBus");
+ *
+ * eventBus.subscribe("user.created", async (event) => {
+ *   console.log(`Alta de ${event.payload.user.email}`);
+ * });
+ *
+ * eventBus.publish("user.created", { user }, { actor: "admin@example.com" });
+ */
+class EventBus {
+  /**
+   * @constructor
+   * @param {Object} [config] - Sobrescribe userConfig.events
+   * @param {number} [config.retries] - Reintentos de un listener que falla
+   * @param {number} [config.retryDelayMs] - Espera base entre reintentos
+   */
+  constructor(config = {}) {
+    this.config = { ...userConfig.events, ...config };
+    this.listeners = new Map(DOMAIN_EVENTS.map((type) => [type, []]));
+    this.pending = new Set();
+  }
+
+  /**
+   * Suscribir un listener a un tipo de evento
+   *
+   * @param {string} type - Tipo de evento (ver DOMAIN_EVENTS)
+   * @param {Function} listener - async (event) => void
+   * @param {Object} [options] - Opciones de la suscripción
+   * @param {string} [options.name] - Nombre en los mensajes de error (por defecto el de la función)
+   * @param {number} [options.retries] - Reintentos de este listener (por defecto config.retries)
+   * @returns {Function} Función que cancela la suscripción
+   * @throws {Error} Cuando el tipo de evento no existe
+   */
+  subscribe(type, listener, { name, retries } = {}) {
+    assertEventType(type);
+
+    const subscription = {
+      listener,
+      name: name || listener.name || "anónimo",
+      retries: retries === undefined ? this.config.retries : retries,
+    };
+    this.listeners.get(type).push(subscription);
+
+    return () => {
+      this.listeners.set(
+        type,
+        this.listeners.get(type).filter((current) => current !== subscription)
+      );
+    };
+  }
+
+  /**
+   * Publicar un evento y entregarlo a sus listeners en segundo plano
+   *
+   * @param {string} type - Tipo de evento (ver DOMAIN_EVENTS)
+   * @param {Object} [payload] - Datos del evento
+   * @param {Object} [context] - Actor, ID de la petición y origen ({ actor, requestId, origin })
+   * @param {string|null} [context.tenantId] - Tenant del evento (por defecto, el de la
+   * petición en curso); se publica en event.tenantId, no en event.context
+   * @returns {{id: string, type: string, occurredAt: string, tenantId: string|null, payload: Object, context: Object}} Evento publicado
+   * @throws {Error} Cuando el tipo de evento no existe
+   */
+  publish(type, payload = {}, context = {}) {
+    assertEventType(type);
+
+    const { tenantId = getRequestContext().tenantId ?? null, ...rest } =
+      context;
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      occurredAt: new Date().toISOString(),
+      tenantId,
+      payload,
+      context: rest,
+    };
+
+    for (const subscription of this.listeners.get(type)) {
+      const delivery = this._deliver(event, subscription);
+      this.pending.add(delivery);
+      delivery.then(() => this.pending.delete(delivery));
+    }
+
+    return event;
+  }
+
+  /**
+   * Esperar a que terminen las entregas en curso (incluidos sus reintentos)
+   *
+   * Útil en tests y al cerrar el servidor.
+   *
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+
+  /**
+   * Número de listeners suscritos a un tipo de evento
+   *
+   * @param {string} type - Tipo de evento
+   * @returns {number} Listeners suscritos
+   */
+  listenerCount(type) {
+    return (this.listeners.get(type) || []).length;
+  }
+
+  /**
+   * Entregar un evento a un listener, con reintentos
+   *
+   * Nunca rechaza: los errores se registran en consola.
+   *
+   * @param {Object} event - Evento publicado
+   * @param {Object} subscription - { listener, name, retries }
+   * @returns {Promise<boolean>} true si el listener terminó sin error
+   */
+  async _deliver(event, { listener, name, retries }) {
+    // Siempre de forma asíncrona, aunque el listener no lo sea
+    await Promise.resolve();
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      try {
+        await listener(event);
+        return true;
+      } catch (error) {
+        if (attempt > retries) {
+          log.error("El listener falló y se descarta el evento", {
+            listener: name,
+            eventType: event.type,
+            eventId: event.id,
+            attempts: attempt,
+            error,
+          });
+          return false;
+        }
+
+        log.warn("Reintentando el listener", {
+          listener: name,
+          eventType: event.type,
+          eventId: event.id,
+          attempt,
+          retries,
+          error,
+        });
+        await wait(this.config.retryDelayMs * attempt);
+      }
+    }
+  }
+}
+
+/** Bus compartido por la aplicación (ver app.js y createUserRepository) */
+const eventBus = new EventBus();
+
+module.exports = {
+  DOMAIN_EVENTS,
+  EventBus,
+  eventBus,
+};
@@ -0,0 +1,294 @@
+// MÓDULO: Catálogo de mensajes de la API (es, en) con interpolación y plurales
+
+const { userConfig } = require("../config/userConfig");
+const { getRequestContext } = require("./logger");
+
+/**
+ * Catálogos de mensajes por idioma (locales/<idioma>.js)
+ *
+ * Cada catálogo agrupa los mensajes por área con claves anidadas
+ * ("users.notFound"). Un mensaje es un texto con marcadores {nombre} o, si
+ * depende de una cantidad, un objeto con sus formas plurales (categorías
+ * CLDR de Intl.PluralRules: zero, one, few, many, other); zero, si existe,
+ * se usa solo con count 0.
+ */
+const CATALOGS = {
+  es: require("../locales/es"),
+  en: require("../locales/en"),
+};
+
+/** Idiomas con catálogo */
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/** Categorías de las formas plurales de un mensaje */
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+/**
+ * Indicar si un valor del catálogo es un mensaje con formas plurales
+ *
+ * @private
+ */
+const isPluralEntry = (entry) =>
+  entry !== null &&
+  typeof entry === "object" &&
+  typeof entry.other === "string" &&
+  Object.keys(entry).every((key) => PLURAL_CATEGORIES.includes(key));
+
+/**
+ * Buscar una clave ("users.notFound") en un catálogo
+ *
+ * @private
+ */
+const lookup = (catalog, key) =>
+  key
+    .split(".")
+    .reduce(
+      (node, part) =>
+        node && typeof node === "object" && !isPluralEntry(node)
+          ? node[part]
+          : undefined,
+      catalog
+    );
+
+/**
+ * Elegir la forma plural de un mensaje según params.count
+ *
+ * @private
+ */
+const selectPlural = (entry, locale, count) => {
+  if (count === 0 && entry.zero !== undefined) {
+    return entry.zero;
+  }
+
+  const category = new Intl.PluralRules(locale).select(Number(count) || 0);
+  return entry[category] !== undefined ? entry[category] : entry.other;
+};
+
+/**
+ * Sustituir los marcadores {nombre} por los parámetros
+ *
+ * Los marcadores sin parámetro se dejan tal cual.
+ *
+ * @private
+ */
+const interpolate = (text, params) =>
+  text.replace(PLACEHOLDER_REGEX, (placeholder, name) =>
+    params[name] === undefined || params[name] === null
+      ? placeholder
+      : String(params[name])
+  );
+
+/**
+ * Idioma por defecto (userConfig.i18n.defaultLocale)
+ *
+ * @returns {string} Idioma por defecto, o "es" si no tiene catálogo
+ */
+const getDefaultLocale = () =>
+  CATALOGS[userConfig.i18n.defaultLocale]
+    ? userConfig.i18n.defaultLocale
+    : "es";
+
+/**
+ * Traducir una clave a un idioma
+ *
+ * Si el idioma no tiene la clave se usa el idioma por defecto; si ninguno la
+ * tiene se devuelve la clave (así los textos que aún no son claves se
+ * muestran sin cambios).
+ *
+ * @param {string} locale - Idioma ("es", "en")
+ * @param {string} key - Clave del mensaje
+ * @param {Object} [params] - Valores de los marcadores; count elige la forma plural
+ * @returns {string} Mensaje traducido
+ *
+ * @example
+ * translate("en", "transfer.maxRows", { count: 1 });
+ * // "The maximum is 1 row per import"
+ */
+const translate = (locale, key, params = {}) => {
+  let entry = CATALOGS[locale] ? lookup(CATALOGS[locale], key) : undefined;
+  if (entry === undefined) {
+    locale = getDefaultLocale();
+    entry = lookup(CATALOGS[locale], key);
+  }
+
+  if (isPluralEntry(entry)) {
+    entry = selectPlural(entry, locale, params.count);
+  }
+
+  return typeof entry === "string" ? interpolate(entry, params) : key;
+};
+
+/**
+ * Idioma de la petición en curso
+ *
+ * @returns {string} El que eligió applyRequestLocale, o el idioma por defecto
+ * fuera de una petición
+ */
+const getLocale = () => getRequestContext().locale || getDefaultLocale();
+
+/**
+ * Traducir una clave al idioma de la petición en curso
+ *
+ * Los controladores, los middlewares, el modelo y los servicios la usan sin
+ * recibir req: el idioma viaja en el contexto de la petición
+ * (modules/logger.js).
+ *
+ * @param {string} key - Clave del mensaje
+ * @param {Object} [params] - Valores de los marcadores; count elige la forma plural
+ * @returns {string} Mensaje traducido
+ *
+ * @example
+ * throw new NotFoundError(t("users.notFound"));
+ */
+const t = (key, params) => translate(getLocale(), key, params);
+
+/**
+ * Elegir el idioma de una cabecera Accept-Language
+ *
+ * Recorre los idiomas por su peso q; "en-US" se acepta como "en" y "*"
+ * como el idioma por defecto.
+ *
+ * @param {string} [header] - Cabecera Accept-Language ("en-US,en;q=0.9,es;q=0.8")
+ * @returns {string|null} Idioma con catálogo, o null si no hay ninguno
+ */
+const negotiateLocale = (header) => {
+  if (!header) {
+    return null;
+  }
+
+  const ranges = header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(";");
+      const quality = options
+        .map((option) => option.trim())
+        .find((option) => option.startsWith("q="));
+      return {
+        tag: tag.trim().toLowerCase(),
+        q: quality ? Number(quality.slice(2)) : 1,
+        index,
+      };
+    })
+    .filter(({ tag, q }) => tag && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of ranges) {
+    if (tag === "*") {
+      return getDefaultLocale();
+    }
+
+    const locale = [tag, tag.split("-")[0]].find((candidate) =>
+      SUPPORTED_LOCALES.includes(candidate)
+    );
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Elegir el idioma de una petición
+ *
+ * Por orden: la preferencia del usuario autenticado (claim locale del JWT,
+ * ver modules/auth.js), la cabecera Accept-Language y el idioma por defecto.
+ *
+ * @param {Object} req - Petición de Express
+ * @returns {string} Idioma con catálogo
+ */
+const chooseLocale = (req) => {
+  const preference = req.user && req.user.locale;
+  if (SUPPORTED_LOCALES.includes(preference)) {
+    return preference;
+  }
+
+  return negotiateLocale(req.get("Accept-Language")) || getDefaultLocale();
+};
+
+/**
+ * Fijar el idioma de una petición
+ *
+ * Lo deja en req.locale y en el contexto de la petición (para t) y lo
+ * indica en Content-Language. El middleware resolveLocale lo llama al
+ * recibir la petición y authenticateToken de nuevo con el usuario ya
+ * autenticado.
+ *
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @returns {string} Idioma elegido
+ */
+const applyRequestLocale = (req, res) => {
+  req.locale = chooseLocale(req);
+  getRequestContext().locale = req.locale;
+  res.set("Content-Language", req.locale);
+  res.vary("Accept-Language");
+
+  return req.locale;
+};
+
+/**
+ * Claves de un catálogo, con los mensajes plurales como una sola clave
+ *
+ * @private
+ */
+const flattenKeys = (node, prefix = "") =>
+  Object.entries(node).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return typeof value === "string" || isPluralEntry(value)
+      ? [key]
+      : flattenKeys(value, key);
+  });
+
+/**
+ * Claves que le faltan a cada idioma respecto al resto
+ *
+ * @param {Object} [catalogs] - Catálogos a comparar (por defecto, los de la API)
+ * @returns {Object} { es: ["users.notFound", ...], en: [...] }; listas vacías si están completos
+ *
+ * @example
+ * findMissingKeys({ es: { a: "A", b: "B" }, en: { a: "A" } });
+ * // { es: [], en: ["b"] }
+ */
+const findMissingKeys = (catalogs = CATALOGS) => {
+  const keys = Object.fromEntries(
+    Object.entries(catalogs).map(([locale, catalog]) => [
+      locale,
+      flattenKeys(catalog),
+    ])
+  );
+  const allKeys = [...new Set(Object.values(keys).flat())].sort();
+
+  return Object.fromEntries(
+    Object.entries(keys).map(([locale, localeKeys]) => [
+      locale,
+      allKeys.filter((key) => !localeKeys.includes(key)),
+    ])
+  );
+};
+
+/**
+ * Indicar si un idioma tiene un mensaje con la clave dada
+ *
+ * @param {string} key - Clave del mensaje
+ * @param {string} [locale] - Idioma (por defecto, el idioma por defecto)
+ * @returns {boolean} true si la clave existe
+ */
+const hasKey = (key, locale = getDefaultLocale()) => {
+  const entry = CATALOGS[locale] ? lookup(CATALOGS[locale], key) : undefined;
+  return typeof entry === "string" || isPluralEntry(entry);
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  translate,
+  t,
+  getLocale,
+  negotiateLocale,
+  chooseLocale,
+  applyRequestLocale,
+  findMissingKeys,
+  hasKey,
+};
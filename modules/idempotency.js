@@ -0,0 +1,269 @@
+// MÓDULO: Idempotency-Key para peticiones POST
+
+const crypto = require("crypto");
+const { userConfig } = require("../config/userConfig");
+
+/** Cabecera con la clave de idempotencia que envía el cliente */
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+/** Cabecera que marca una respuesta repetida desde el almacenamiento */
+const IDEMPOTENT_REPLAYED_HEADER = "Idempotent-Replayed";
+
+/** Claves aceptadas: 1-255 caracteres ASCII visibles (p. ej. un UUID) */
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7e]{1,255}$/;
+
+/** Cabeceras de la respuesta original que se repiten junto al cuerpo */
+const REPLAYED_HEADERS = [
+  "content-type",
+  "content-disposition",
+  "etag",
+  "location",
+];
+
+/**
+ * Huella de una petición: método, ruta y cuerpo
+ *
+ * Dos peticiones con la misma Idempotency-Key deben tener la misma huella;
+ * si no, la clave se está reutilizando para otra operación.
+ *
+ * @param {Object} req - Petición de Express (ya con el cuerpo parseado)
+ * @returns {string} Hash SHA-256 en hexadecimal
+ */
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([req.method, req.baseUrl + req.path, req.body ?? null])
+    )
+    .digest("hex");
+
+/**
+ * Almacenamiento de claves de idempotencia en memoria
+ *
+ * Sirve para un único proceso (y es el que usan los tests). Las entradas
+ * caducadas se descartan al leerlas y en un barrido como mucho una vez
+ * por minuto, sin temporizadores que mantengan vivo el proceso.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const store = new MemoryIdempotencyStore();
+ * if (await store.reserve("clave", { state: "pending" }, 60)) {
+ *   await store.save("clave", { state: "completed", statusCode: 201 }, 86400);
+ * }
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.entries = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Obtener el registro de una clave
+   *
+   * @param {string} key - Clave de idempotencia
+   * @returns {Promise<Object|null>} Registro guardado o null si no existe o caducó
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return structuredClone(entry.record);
+  }
+
+  /**
+   * Guardar un registro solo si la clave no existe
+   *
+   * @param {string} key - Clave de idempotencia
+   * @param {Object} record - Registro a guardar
+   * @param {number} ttl - Segundos de validez
+   * @returns {Promise<boolean>} true si se reservó, false si ya existía
+   */
+  async reserve(key, record, ttl) {
+    this._sweep();
+
+    if ((await this.get(key)) !== null) {
+      return false;
+    }
+
+    await this.save(key, record, ttl);
+    return true;
+  }
+
+  /**
+   * Guardar (o sustituir) el registro de una clave
+   *
+   * @param {string} key - Clave de idempotencia
+   * @param {Object} record - Registro a guardar
+   * @param {number} ttl - Segundos de validez
+   * @returns {Promise<void>}
+   */
+  async save(key, record, ttl) {
+    this.entries.set(key, {
+      record: structuredClone(record),
+      expiresAt: Date.now() + ttl * 1000,
+    });
+  }
+
+  /**
+   * Liberar una clave para que pueda volver a usarse
+   *
+   * @param {string} key - Clave de idempotencia
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Eliminar las entradas caducadas (como mucho una vez por minuto)
+   */
+  _sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < 60000) {
+      return;
+    }
+
+    this.lastSweep = now;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Almacenamiento de claves de idempotencia en Redis a través de CacheManager
+ *
+ * Las claves se comparten entre procesos y la reserva usa SET NX
+ * (CacheManager.add), de modo que dos reintentos simultáneos no pueden
+ * ejecutarse a la vez. Mientras el CacheManager no esté conectado se usa
+ * un MemoryIdempotencyStore local.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const store = new CacheIdempotencyStore(databaseManager.cacheManager);
+ */
+class CacheIdempotencyStore {
+  /**
+   * @constructor
+   * @param {CacheManager} cache - Caché de Redis
+   * @param {Object} [options] - Opciones del almacenamiento
+   * @param {string} [options.prefix="idempotency:"] - Prefijo de las claves
+   */
+  constructor(cache, { prefix = "idempotency:" } = {}) {
+    this.cache = cache;
+    this.prefix = prefix;
+    this.fallback = new MemoryIdempotencyStore();
+  }
+
+  async get(key) {
+    return this.cache.isConnected
+      ? this.cache.get(this._key(key))
+      : this.fallback.get(key);
+  }
+
+  async reserve(key, record, ttl) {
+    return this.cache.isConnected
+      ? this.cache.add(this._key(key), record, ttl)
+      : this.fallback.reserve(key, record, ttl);
+  }
+
+  async save(key, record, ttl) {
+    if (this.cache.isConnected) {
+      await this.cache.set(this._key(key), record, ttl);
+    } else {
+      await this.fallback.save(key, record, ttl);
+    }
+  }
+
+  async release(key) {
+    if (this.cache.isConnected) {
+      await this.cache.delete(this._key(key));
+    } else {
+      await this.fallback.release(key);
+    }
+  }
+
+  /**
+   * Clave en Redis; se usa un hash para no depender de la longitud de la original
+   */
+  _key(key) {
+    return this.prefix + crypto.createHash("sha256").update(key).digest("hex");
+  }
+}
+
+/**
+ * Crear el almacenamiento de claves de idempotencia según la configuración
+ *
+ * El almacenamiento se elige con `options.storage` o
+ * userConfig.idempotency.storage (USER_IDEMPOTENCY_STORAGE):
+ * - "memory" (por defecto): MemoryIdempotencyStore, solo para un proceso
+ * - "cache": CacheIdempotencyStore sobre el CacheManager indicado o el del
+ *   DatabaseManager del repositorio de usuarios (USER_STORAGE=database con
+ *   la caché habilitada)
+ *
+ * @param {Object} [options] - Opciones de creación
+ * @param {string} [options.storage] - "memory" o "cache"
+ * @param {CacheManager} [options.cache] - Caché a usar (solo "cache")
+ *
+ * @returns {MemoryIdempotencyStore|CacheIdempotencyStore} Almacenamiento
+ *
+ * @throws {Error} Cuando el almacenamiento no está soportado o no hay caché disponible
+ */
+const createIdempotencyStore = (options = {}) => {
+  const storage = (
+    options.storage || userConfig.idempotency.storage
+  ).toLowerCase();
+
+  switch (storage) {
+    case "memory":
+      return new MemoryIdempotencyStore();
+
+    case "cache": {
+      const { userRepository } = require("../models/User");
+      const cache =
+        options.cache || (userRepository.db && userRepository.db.cacheManager);
+
+      if (!cache) {
+        throw new Error(
+          "El almacenamiento de idempotencia en caché requiere un CacheManager (USER_STORAGE=database con la caché habilitada)"
+        );
+      }
+
+      return new CacheIdempotencyStore(cache);
+    }
+
+    default:
+      throw new Error(
+        `Tipo de almacenamiento de idempotencia no soportado: ${storage}`
+      );
+  }
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENT_REPLAYED_HEADER,
+  IDEMPOTENCY_KEY_REGEX,
+  REPLAYED_HEADERS,
+  fingerprintRequest,
+  MemoryIdempotencyStore,
+  CacheIdempotencyStore,
+  createIdempotencyStore,
+};
@@ -0,0 +1,455 @@
+// MÓDULO: JSON Patch (RFC 6902) y JSON Merge Patch (RFC 7396)
+
+const { ApiError } = require("./errors");
+const { t } = require("./i18n");
+
+/** Content-Type de los documentos JSON Patch */
+const JSON_PATCH_TYPE = "application/json-patch+json";
+
+/** Content-Type de los documentos JSON Merge Patch */
+const MERGE_PATCH_TYPE = "application/merge-patch+json";
+
+/** Operaciones definidas por RFC 6902 */
+const JSON_PATCH_OPERATIONS = [
+  "add",
+  "remove",
+  "replace",
+  "move",
+  "copy",
+  "test",
+];
+
+const ARRAY_INDEX_REGEX = /^(0|[1-9]\d*)$/;
+
+/**
+ * Error al validar o aplicar un parche
+ *
+ * status indica la respuesta HTTP adecuada: 400 si el documento del parche
+ * está mal formado, 409 si falla una operación test y 422 si el parche no
+ * puede aplicarse al recurso (por ejemplo, una ruta que no existe).
+ *
+ * @class
+ * @extends ApiError
+ */
+class JsonPatchError extends ApiError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Detalles del error
+   * @param {number} [options.status=400] - Código HTTP sugerido
+   * @param {number|null} [options.index=null] - Índice de la operación que falló
+   */
+  constructor(message, { status = 400, index = null } = {}) {
+    super(message, { status });
+    this.name = "JsonPatchError";
+    this.index = index;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const hasOwn = (object, key) =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+/**
+ * Asignar una propiedad propia sin pasar por setters (p. ej. "__proto__")
+ */
+const defineValue = (object, key, value) =>
+  Object.defineProperty(object, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+
+/**
+ * Comparar dos valores JSON; el orden de las claves de los objetos no importa
+ *
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} true si son iguales según RFC 6902 (operación test)
+ */
+function isEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => isEqual(item, b[index]))
+    );
+  }
+
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) {
+      return false;
+    }
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => hasOwn(b, key) && isEqual(a[key], b[key]))
+    );
+  }
+
+  return a === b;
+}
+
+/**
+ * Convertir un JSON Pointer (RFC 6901) en la lista de sus tokens
+ *
+ * @param {string} pointer - Puntero, "" para el documento completo
+ * @param {number} [index] - Índice de la operación (para el error)
+ * @returns {string[]} Tokens ya desescapados (~1 → "/", ~0 → "~")
+ * @throws {JsonPatchError} Cuando el puntero no es válido
+ */
+function parsePointer(pointer, index) {
+  if (typeof pointer !== "string" || (pointer !== "" && pointer[0] !== "/")) {
+    throw new JsonPatchError(
+      t("patch.errors.invalidPointer", { index, pointer }),
+      { index }
+    );
+  }
+
+  if (/~[^01]|~$/.test(pointer)) {
+    throw new JsonPatchError(
+      t("patch.errors.invalidEscape", { index, pointer }),
+      { index }
+    );
+  }
+
+  return pointer === ""
+    ? []
+    : pointer
+        .slice(1)
+        .split("/")
+        .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Validar la estructura de un documento JSON Patch sin aplicarlo
+ *
+ * @param {Array<Object>} operations - Documento JSON Patch
+ * @throws {JsonPatchError} Con status 400 si el documento está mal formado
+ *
+ * @example
+ * validateJsonPatch([{ op: "replace", path: "/name", value: "Ana" }]);
+ */
+function validateJsonPatch(operations) {
+  if (!Array.isArray(operations)) {
+    throw new JsonPatchError(t("patch.errors.notArray"));
+  }
+
+  if (operations.length === 0) {
+    throw new JsonPatchError(t("patch.errors.empty"));
+  }
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation)) {
+      throw new JsonPatchError(t("patch.errors.notObject", { index }), {
+        index,
+      });
+    }
+
+    if (!JSON_PATCH_OPERATIONS.includes(operation.op)) {
+      throw new JsonPatchError(
+        t("patch.errors.invalidOp", {
+          index,
+          operations: JSON_PATCH_OPERATIONS.join(", "),
+        }),
+        { index }
+      );
+    }
+
+    parsePointer(operation.path, index);
+
+    if (
+      ["add", "replace", "test"].includes(operation.op) &&
+      !hasOwn(operation, "value")
+    ) {
+      throw new JsonPatchError(
+        t("patch.errors.valueRequired", { index, op: operation.op }),
+        { index }
+      );
+    }
+
+    if (["move", "copy"].includes(operation.op)) {
+      if (!hasOwn(operation, "from")) {
+        throw new JsonPatchError(
+          t("patch.errors.fromRequired", { index, op: operation.op }),
+          { index }
+        );
+      }
+      parsePointer(operation.from, index);
+    }
+  });
+}
+
+/**
+ * Resolver el contenedor y la clave finales de un puntero
+ *
+ * @returns {{parent: Object|Array, key: string}} Contenedor y último token
+ * @throws {JsonPatchError} 422 si algún tramo intermedio no existe
+ */
+function resolveParent(document, tokens, pointer, index) {
+  let parent = document;
+
+  for (const token of tokens.slice(0, -1)) {
+    const exists = Array.isArray(parent)
+      ? ARRAY_INDEX_REGEX.test(token) && Number(token) < parent.length
+      : isPlainObject(parent) && hasOwn(parent, token);
+
+    if (!exists) {
+      throw new JsonPatchError(
+        t("patch.errors.pathNotFound", { index, pointer }),
+        { status: 422, index }
+      );
+    }
+    parent = parent[token];
+  }
+
+  if (!Array.isArray(parent) && !isPlainObject(parent)) {
+    throw new JsonPatchError(
+      t("patch.errors.pathNotFound", { index, pointer }),
+      { status: 422, index }
+    );
+  }
+
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+/**
+ * Indicar si un contenedor tiene un elemento en la clave indicada
+ */
+const hasMember = (parent, key) =>
+  Array.isArray(parent)
+    ? ARRAY_INDEX_REGEX.test(key) && Number(key) < parent.length
+    : hasOwn(parent, key);
+
+/**
+ * Leer el valor de un puntero que debe existir
+ */
+function getValue(document, pointer, index) {
+  const tokens = parsePointer(pointer, index);
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer, index);
+  if (!hasMember(parent, key)) {
+    throw new JsonPatchError(
+      t("patch.errors.pathNotFound", { index, pointer }),
+      { status: 422, index }
+    );
+  }
+
+  return parent[key];
+}
+
+/**
+ * Operación add: inserta en arrays y crea o sustituye en objetos
+ *
+ * @returns {*} Documento resultante (cambia si el puntero es "")
+ */
+function addValue(document, pointer, value, index) {
+  const tokens = parsePointer(pointer, index);
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer, index);
+
+  if (Array.isArray(parent)) {
+    if (key === "-") {
+      parent.push(value);
+    } else if (ARRAY_INDEX_REGEX.test(key) && Number(key) <= parent.length) {
+      parent.splice(Number(key), 0, value);
+    } else {
+      throw new JsonPatchError(
+        t("patch.errors.indexOutOfRange", { index, pointer }),
+        { status: 422, index }
+      );
+    }
+  } else {
+    defineValue(parent, key, value);
+  }
+
+  return document;
+}
+
+/**
+ * Operación remove: el valor debe existir
+ */
+function removeValue(document, pointer, index) {
+  const tokens = parsePointer(pointer, index);
+  if (tokens.length === 0) {
+    throw new JsonPatchError(t("patch.errors.removeRoot", { index }), {
+      status: 422,
+      index,
+    });
+  }
+
+  const { parent, key } = resolveParent(document, tokens, pointer, index);
+  if (!hasMember(parent, key)) {
+    throw new JsonPatchError(
+      t("patch.errors.pathNotFound", { index, pointer }),
+      { status: 422, index }
+    );
+  }
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+
+  return document;
+}
+
+/**
+ * Aplicar un documento JSON Patch (RFC 6902)
+ *
+ * Las operaciones se aplican en orden sobre una copia: si cualquiera falla
+ * (incluida una operación test) se lanza el error y el documento original
+ * no cambia, de modo que el parche es atómico.
+ *
+ * @param {*} document - Documento JSON de partida (no se modifica)
+ * @param {Array<Object>} operations - Operaciones { op, path, value?, from? }
+ * @returns {*} Nuevo documento con el parche aplicado
+ * @throws {JsonPatchError} 400 si el parche está mal formado, 409 si falla un test, 422 si no puede aplicarse
+ *
+ * @example
+ * applyJsonPatch({ name: "Ana", version: 2 }, [
+ *   { op: "test", path: "/version", value: 2 },
+ *   { op: "replace", path: "/name", value: "Ana María" },
+ * ]);
+ * // { name: "Ana María", version: 2 }
+ */
+function applyJsonPatch(document, operations) {
+  validateJsonPatch(operations);
+
+  let result = clone(document);
+
+  operations.forEach((operation, index) => {
+    const { op, path } = operation;
+
+    switch (op) {
+      case "add":
+        result = addValue(result, path, clone(operation.value), index);
+        break;
+
+      case "remove":
+        result = removeValue(result, path, index);
+        break;
+
+      case "replace":
+        getValue(result, path, index);
+        result =
+          path === ""
+            ? clone(operation.value)
+            : addValue(
+                removeValue(result, path, index),
+                path,
+                clone(operation.value),
+                index
+              );
+        break;
+
+      case "move": {
+        if (path.startsWith(`${operation.from}/`)) {
+          throw new JsonPatchError(
+            t("patch.errors.moveIntoItself", {
+              index,
+              from: operation.from,
+            }),
+            { status: 422, index }
+          );
+        }
+        const value = getValue(result, operation.from, index);
+        if (operation.from !== path) {
+          result = addValue(
+            removeValue(result, operation.from, index),
+            path,
+            value,
+            index
+          );
+        }
+        break;
+      }
+
+      case "copy":
+        result = addValue(
+          result,
+          path,
+          clone(getValue(result, operation.from, index)),
+          index
+        );
+        break;
+
+      case "test":
+        if (!isEqual(getValue(result, path, index), operation.value)) {
+          throw new JsonPatchError(
+            t("patch.errors.testFailed", { index, path }),
+            { status: 409, index }
+          );
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Aplicar un documento JSON Merge Patch (RFC 7396)
+ *
+ * Los miembros con valor null se eliminan, los objetos se combinan de
+ * forma recursiva y cualquier otro valor (incluidos los arrays) sustituye
+ * al existente. No modifica target.
+ *
+ * @param {*} target - Documento de partida
+ * @param {*} patch - Documento Merge Patch
+ * @returns {*} Nuevo documento con el parche aplicado
+ *
+ * @example
+ * applyMergePatch({ name: "Ana", email: "ana@example.com" }, { name: "Ana María" });
+ * // { name: "Ana María", email: "ana@example.com" }
+ */
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? clone(target) : {};
+
+  Object.keys(patch).forEach((key) => {
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      defineValue(
+        result,
+        key,
+        applyMergePatch(
+          hasOwn(result, key) ? result[key] : undefined,
+          patch[key]
+        )
+      );
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  JSON_PATCH_TYPE,
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_OPERATIONS,
+  JsonPatchError,
+  isEqual,
+  validateJsonPatch,
+  applyJsonPatch,
+  applyMergePatch,
+};
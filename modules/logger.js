@@ -0,0 +1,284 @@
+// MÓDULO: Registro estructurado (JSON) con el contexto de la petición
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { userConfig } = require("../config/userConfig");
+
+/** Niveles de registro, del más al menos grave */
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+/** Valor con el que se sustituyen los datos sensibles */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Claves cuyo valor nunca se registra: contraseñas, secretos, tokens y
+ * cabeceras de credenciales (password, newPassword, resetToken,
+ * authorization, x-api-key...). Se comparan sin guiones ni mayúsculas.
+ */
+const SENSITIVE_KEY_REGEX =
+  /(password|secret|token|authorization|cookie|apikey)$/;
+
+/** Niveles de anidación que se registran de cada dato */
+const MAX_DEPTH = 6;
+
+/**
+ * Contexto de la petición en curso ({ requestId, tenantId, locale })
+ *
+ * assignRequestId lo abre para cada petición; los registros de los
+ * servicios y de la base de datos lo incluyen sin recibir req.
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Contexto de la petición en curso
+ *
+ * @returns {Object} { requestId?, tenantId?, locale? } o {} fuera de una petición
+ */
+const getRequestContext = () => requestContext.getStore() || {};
+
+/**
+ * Ejecutar una función dentro de un contexto de petición
+ *
+ * @param {Object} context - Contexto ({ requestId, ... }); puede ampliarse después
+ * @param {Function} callback - Función a ejecutar
+ * @returns {*} Resultado de callback
+ */
+const runWithRequestContext = (context, callback) =>
+  requestContext.run(context, callback);
+
+/**
+ * Conservar el contexto de la petición tras un middleware que lo pierde
+ *
+ * Los parsers del cuerpo leen el stream de la petición y llaman a next desde
+ * sus eventos, fuera del contexto abierto por assignRequestId.
+ *
+ * @param {Function} middleware - Middleware de Express
+ * @returns {Function} Middleware que llama a next dentro del contexto
+ *
+ * @example
+ * router.post("/import", withRequestContext(express.text()), controller.import);
+ */
+const withRequestContext = (middleware) => (req, res, next) => {
+  const context = requestContext.getStore();
+
+  middleware(req, res, (...args) =>
+    context ? requestContext.run(context, () => next(...args)) : next(...args)
+  );
+};
+
+/**
+ * Indicar si el valor de una clave es sensible
+ *
+ * @param {string} key - Nombre de la clave
+ * @returns {boolean} true si debe ocultarse
+ */
+const isSensitiveKey = (key) => {
+  const normalized = String(key).toLowerCase().replace(/[-_]/g, "");
+
+  return (
+    SENSITIVE_KEY_REGEX.test(normalized) ||
+    userConfig.logging.redactKeys.includes(normalized)
+  );
+};
+
+/**
+ * Ocultar los valores sensibles de la query de una URL
+ *
+ * @param {string} url - URL o ruta (/api/invitations/accept?token=...)
+ * @returns {string} URL con los valores sensibles sustituidos
+ */
+const redactUrl = (url) => {
+  const index = url.indexOf("?");
+  if (index === -1) {
+    return url;
+  }
+
+  const query = url
+    .slice(index + 1)
+    .split("&")
+    .map((pair) => {
+      const [key] = pair.split("=");
+      return isSensitiveKey(decodeURIComponent(key))
+        ? `${key}=${REDACTED}`
+        : pair;
+    })
+    .join("&");
+
+  return `${url.slice(0, index)}?${query}`;
+};
+
+/**
+ * Copia registrable de un dato: oculta los valores sensibles, convierte los
+ * errores y las fechas y corta los objetos circulares o muy anidados
+ *
+ * @private
+ */
+const serialize = (value, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.status && { status: value.status }),
+      ...(value.code && { code: value.code }),
+      ...(value.stack && { stack: value.stack }),
+    };
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (value === null || typeof value !== "object") {
+    return typeof value === "bigint" ? value.toString() : value;
+  }
+
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? "[Array]" : "[Object]";
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => serialize(item, depth + 1, seen));
+  }
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = isSensitiveKey(key)
+      ? REDACTED
+      : serialize(value[key], depth + 1, seen);
+  });
+  return result;
+};
+
+/**
+ * Escribir una línea de registro en la consola
+ *
+ * error va a stderr (console.error), warn a console.warn y el resto a
+ * console.log.
+ *
+ * @private
+ */
+const writeToConsole = (level, line) => {
+  if (level === "error") {
+    console.error(line);
+  } else if (level === "warn") {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+};
+
+/**
+ * Logger estructurado
+ *
+ * Cada registro es una línea JSON con la fecha, el nivel, el mensaje, el
+ * contexto de la petición en curso (requestId, tenantId, locale), los campos fijos
+ * del logger (child) y los datos del registro, con las contraseñas, tokens y
+ * secretos ocultos.
+ *
+ * @class
+ *
+ * @example
+ * const log = logger.child({ component: "email" });
+ * log.info("Email enviado", { to: "ana@example.com", messageId });
+ * // {"time":"...","level":"info","msg":"Email enviado","requestId":"...",
+ * //  "component":"email","to":"ana@example.com","messageId":"..."}
+ */
+class Logger {
+  /**
+   * @param {Object} [options] - Opciones del logger
+   * @param {string} [options.level] - Nivel mínimo (por defecto, userConfig.logging.level)
+   * @param {Object} [options.bindings] - Campos incluidos en todos los registros
+   * @param {Function} [options.write] - (level, line) => void; por defecto, la consola
+   */
+  constructor({ level, bindings = {}, write = writeToConsole } = {}) {
+    this.level = level;
+    this.bindings = bindings;
+    this.write = write;
+  }
+
+  /**
+   * Logger con campos adicionales en todos sus registros
+   *
+   * @param {Object} bindings - Campos a añadir (p. ej. { component: "auth" })
+   * @param {Object} [options] - Opciones del logger hijo
+   * @param {string} [options.level] - Nivel mínimo propio
+   * @returns {Logger} Logger hijo
+   */
+  child(bindings, { level = this.level } = {}) {
+    return new Logger({
+      level,
+      bindings: { ...this.bindings, ...bindings },
+      write: this.write,
+    });
+  }
+
+  /**
+   * Indicar si se registran los mensajes de un nivel
+   *
+   * @param {string} level - "error", "warn", "info" o "debug"
+   * @returns {boolean} true si el nivel alcanza el mínimo configurado
+   */
+  isLevelEnabled(level) {
+    const minimum = LOG_LEVELS.indexOf(this.level || userConfig.logging.level);
+
+    return LOG_LEVELS.indexOf(level) <= minimum;
+  }
+
+  /**
+   * Registrar un mensaje
+   *
+   * @param {string} level - "error", "warn", "info" o "debug"
+   * @param {string} message - Descripción del evento
+   * @param {Object} [data] - Datos del evento ({ error } para los errores)
+   */
+  log(level, message, data = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...getRequestContext(),
+      ...serialize(this.bindings),
+      ...serialize(data),
+    };
+
+    this.write(level, JSON.stringify(entry));
+  }
+
+  error(message, data) {
+    this.log("error", message, data);
+  }
+
+  warn(message, data) {
+    this.log("warn", message, data);
+  }
+
+  info(message, data) {
+    this.log("info", message, data);
+  }
+
+  debug(message, data) {
+    this.log("debug", message, data);
+  }
+}
+
+/** Logger raíz de la aplicación */
+const logger = new Logger();
+
+module.exports = {
+  LOG_LEVELS,
+  REDACTED,
+  Logger,
+  logger,
+  getRequestContext,
+  runWithRequestContext,
+  withRequestContext,
+  isSensitiveKey,
+  redactUrl,
+};
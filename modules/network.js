@@ -0,0 +1,139 @@
+// MÓDULO: Direcciones de red internas (protección SSRF de las URLs salientes)
+
+const dns = require("dns");
+const net = require("net");
+
+/**
+ * Rangos IPv4 de loopback, link-local, redes privadas y especiales, como
+ * [primer octeto, máscara del segundo octeto, valor del segundo octeto]
+ */
+const PRIVATE_IPV4_RANGES = [
+  [0, 0, 0], // 0.0.0.0/8 ("esta red")
+  [10, 0, 0], // 10.0.0.0/8
+  [100, 0xc0, 64], // 100.64.0.0/10 (CGNAT)
+  [127, 0, 0], // 127.0.0.0/8 (loopback)
+  [169, 0xff, 254], // 169.254.0.0/16 (link-local, metadatos de la nube)
+  [172, 0xf0, 16], // 172.16.0.0/12
+  [192, 0xff, 168], // 192.168.0.0/16
+];
+
+/**
+ * Indicar si una IPv4 en texto es interna
+ *
+ * @private
+ */
+const isPrivateIPv4 = (address) => {
+  const [first, second] = address.split(".").map(Number);
+
+  return (
+    first >= 224 || // multicast y reservadas
+    PRIVATE_IPV4_RANGES.some(
+      ([octet, mask, value]) => first === octet && (second & mask) === value
+    )
+  );
+};
+
+/**
+ * Indicar si una dirección IP es de loopback, link-local o de una red privada
+ *
+ * Cubre IPv4 (127/8, 10/8, 172.16/12, 192.168/16, 169.254/16, 100.64/10,
+ * 0/8 y desde 224/4) e IPv6 (::, ::1, fc00::/7, fe80::/10 y las IPv4
+ * mapeadas como ::ffff:127.0.0.1).
+ *
+ * @param {string} address - Dirección IP (sin corchetes)
+ * @returns {boolean} true si es interna; false si es pública o no es una IP
+ *
+ * @example
+ * isPrivateAddress("169.254.169.254"); // true
+ * isPrivateAddress("93.184.216.34"); // false
+ */
+const isPrivateAddress = (address) => {
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return isPrivateIPv4(address);
+  }
+  if (version !== 6) {
+    return false;
+  }
+
+  const normalized = address.toLowerCase();
+  const mapped = normalized.match(/^(?:0*:)*:ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateIPv4(mapped[1]);
+  }
+  // URL escribe las IPv4 mapeadas en hexadecimal (::ffff:7f00:1)
+  const mappedHex = normalized.match(
+    /^(?:0*:)*:ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/
+  );
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map((group) => parseInt(group, 16));
+    return isPrivateIPv4(
+      `${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`
+    );
+  }
+
+  return (
+    /^[:0]*:0*[01]?$/.test(normalized) || // :: y ::1
+    /^f[cd]/.test(normalized) || // fc00::/7 (direcciones locales únicas)
+    /^fe[89ab]/.test(normalized) // fe80::/10 (link-local)
+  );
+};
+
+/**
+ * Indicar si el host de una URL apunta a la propia máquina o a una red interna
+ *
+ * Solo mira el texto del host (localhost, *.localhost e IPs); los nombres
+ * que resuelven a direcciones internas los detiene safeLookup al conectar.
+ *
+ * @param {string} hostname - Host de una URL (URL.hostname, IPv6 entre corchetes)
+ * @returns {boolean} true si es interno
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname
+    .toLowerCase()
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "");
+
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    isPrivateAddress(host)
+  );
+};
+
+/**
+ * dns.lookup que rechaza los nombres que resuelven a direcciones internas
+ *
+ * Se pasa como opción lookup de http.request: la comprobación se hace con
+ * la dirección a la que realmente se conecta, así que un DNS que cambia
+ * entre la validación y el envío (DNS rebinding) no la evita.
+ *
+ * @param {string} hostname - Nombre a resolver
+ * @param {Object} options - Opciones de dns.lookup (family, all...)
+ * @param {Function} callback - (error, address, family) o (error, addresses)
+ */
+const safeLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(
+          `${hostname} resuelve a una dirección interna (${blocked.address})`
+        )
+      );
+    }
+
+    callback(null, address, family);
+  });
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  safeLookup,
+};
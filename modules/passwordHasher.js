@@ -0,0 +1,176 @@
+// MÓDULO: Hash y verificación de contraseñas de usuarios
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { userConfig } = require("../config/userConfig");
+
+const scrypt = promisify(crypto.scrypt);
+
+/** Algoritmos de hash admitidos en userConfig.password.algorithm */
+const PASSWORD_ALGORITHMS = ["scrypt", "bcrypt"];
+
+const SCRYPT_HASH_REGEX =
+  /^\$scrypt\$N=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$(\d{2})\$[./A-Za-z0-9]{53}$/;
+
+/**
+ * Cargar bcryptjs solo cuando se usa (misma dependencia que modules/auth.js)
+ */
+const loadBcrypt = () => require("bcryptjs");
+
+/**
+ * Memoria máxima para scrypt: 128 * N * r bytes más un margen
+ */
+const scryptMaxmem = (N, r) => 128 * N * r * 2;
+
+/**
+ * Identificar el algoritmo de un valor almacenado
+ *
+ * @param {string} stored - Valor guardado en el campo password
+ * @returns {string|null} "scrypt", "bcrypt" o null si no es un hash conocido (texto plano heredado)
+ */
+function getHashAlgorithm(stored) {
+  if (typeof stored !== "string") {
+    return null;
+  }
+  if (SCRYPT_HASH_REGEX.test(stored)) {
+    return "scrypt";
+  }
+  if (BCRYPT_HASH_REGEX.test(stored)) {
+    return "bcrypt";
+  }
+  return null;
+}
+
+/**
+ * Indicar si un valor almacenado ya es un hash reconocido
+ *
+ * @param {string} stored - Valor guardado en el campo password
+ * @returns {boolean} true para hashes scrypt o bcrypt
+ */
+function isPasswordHash(stored) {
+  return getHashAlgorithm(stored) !== null;
+}
+
+/**
+ * Generar el hash de una contraseña con el algoritmo y coste configurados
+ *
+ * Formatos: "$scrypt$N=16384,r=8,p=1$<salt base64>$<hash base64>" o el
+ * formato estándar de bcrypt ("$2a$12$...").
+ *
+ * @param {string} password - Contraseña en texto plano
+ * @param {Object} [config] - Sobrescribe userConfig.password
+ * @returns {Promise<string>} Hash autocontenido (algoritmo, parámetros y sal)
+ * @throws {Error} Cuando el algoritmo configurado no es scrypt ni bcrypt
+ *
+ * @example
+ * const hash = await hashPassword("miContraseña123");
+ * // "$scrypt$N=16384,r=8,p=1$Qm9...$3q2..."
+ */
+async function hashPassword(password, config = userConfig.password) {
+  if (!PASSWORD_ALGORITHMS.includes(config.algorithm)) {
+    throw new Error(
+      `Algoritmo de contraseñas no soportado: ${config.algorithm}`
+    );
+  }
+
+  if (config.algorithm === "bcrypt") {
+    const bcrypt = loadBcrypt();
+    return bcrypt.hash(password, await bcrypt.genSalt(config.bcryptRounds));
+  }
+
+  const { N, r, p, keyLength } = config.scrypt;
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, keyLength, {
+    N,
+    r,
+    p,
+    maxmem: scryptMaxmem(N, r),
+  });
+
+  return `$scrypt$N=${N},r=${r},p=${p}$${salt.toString(
+    "base64"
+  )}$${key.toString("base64")}`;
+}
+
+/**
+ * Verificar una contraseña contra el valor almacenado
+ *
+ * Acepta hashes scrypt y bcrypt sin importar el algoritmo configurado, y
+ * también contraseñas en texto plano heredadas (anteriores al hash) para
+ * que puedan migrarse de forma transparente al iniciar sesión.
+ *
+ * @param {string} password - Contraseña en texto plano recibida
+ * @param {string} stored - Valor guardado en el campo password
+ * @returns {Promise<boolean>} true si la contraseña coincide
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") {
+    return false;
+  }
+
+  const algorithm = getHashAlgorithm(stored);
+
+  if (algorithm === "bcrypt") {
+    return loadBcrypt().compare(password, stored);
+  }
+
+  if (algorithm === "scrypt") {
+    const [, N, r, p, salt, hash] = stored.match(SCRYPT_HASH_REGEX);
+    const expected = Buffer.from(hash, "base64");
+    const key = await scrypt(
+      password,
+      Buffer.from(salt, "base64"),
+      expected.length,
+      {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p),
+        maxmem: scryptMaxmem(Number(N), Number(r)),
+      }
+    );
+    return crypto.timingSafeEqual(key, expected);
+  }
+
+  // Texto plano heredado: comparar en tiempo constante
+  const given = crypto.createHash("sha256").update(password).digest();
+  const legacy = crypto.createHash("sha256").update(stored).digest();
+  return crypto.timingSafeEqual(given, legacy);
+}
+
+/**
+ * Indicar si un valor almacenado debe regenerarse con la configuración actual
+ *
+ * Es true para texto plano, para otro algoritmo y cuando cambian los
+ * parámetros de coste (rondas de bcrypt o N, r, p de scrypt).
+ *
+ * @param {string} stored - Valor guardado en el campo password
+ * @param {Object} [config] - Sobrescribe userConfig.password
+ * @returns {boolean} true si conviene rehashear tras una verificación correcta
+ */
+function needsRehash(stored, config = userConfig.password) {
+  const algorithm = getHashAlgorithm(stored);
+
+  if (algorithm !== config.algorithm) {
+    return true;
+  }
+
+  if (algorithm === "bcrypt") {
+    return Number(stored.match(BCRYPT_HASH_REGEX)[1]) !== config.bcryptRounds;
+  }
+
+  const [, N, r, p] = stored.match(SCRYPT_HASH_REGEX);
+  const { scrypt: params } = config;
+  return (
+    Number(N) !== params.N || Number(r) !== params.r || Number(p) !== params.p
+  );
+}
+
+module.exports = {
+  PASSWORD_ALGORITHMS,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  isPasswordHash,
+  getHashAlgorithm,
+};
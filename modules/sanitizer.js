@@ -0,0 +1,337 @@
+// MÓDULO: Sanitización recursiva de la entrada (cuerpo y query de las peticiones)
+
+const { userConfig } = require("../config/userConfig");
+const { ValidationError } = require("./errors");
+const { t } = require("./i18n");
+
+/** Tratamientos del HTML en los textos */
+const HTML_POLICIES = ["strip", "escape", "reject", "allow"];
+
+/** Claves que permitirían contaminar prototipos al copiar o fusionar objetos */
+const DANGEROUS_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Claves de secretos (contraseñas y tokens), en cualquier nivel, cuyos
+ * textos se guardan tal cual: un espacio o un "<" forman parte del secreto.
+ * Solo se comprueba su longitud. También el value de una operación JSON
+ * Patch cuyo path termina en una de ellas ({ op, path: "/password", value }).
+ */
+const SECRET_KEYS = ["password", "currentPassword", "newPassword", "token"];
+
+/**
+ * Caracteres de control que se eliminan: C0 salvo tabulador y saltos de
+ * línea, DEL, C1 y los controles de dirección bidireccional (permiten
+ * disfrazar textos, p. ej. nombres de fichero o enlaces)
+ */
+const CONTROL_CHARS_REGEX =
+  /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+const HTML_TAG_REGEX = /<[^>]*>/g;
+const ANGLE_BRACKETS_REGEX = /[<>]/g;
+const HAS_ANGLE_BRACKETS_REGEX = /[<>]/;
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Error de una entrada que la política rechaza
+ *
+ * @class
+ * @extends ValidationError
+ */
+class SanitizationError extends ValidationError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} violation - Infracción que provoca el rechazo { rule, path }
+   * @param {Object[]} [violations] - Todas las infracciones encontradas hasta el rechazo
+   */
+  constructor(message, violation, violations = [violation]) {
+    super(message, { type: "input-rejected" });
+    this.name = "SanitizationError";
+    this.rule = violation.rule;
+    this.path = violation.path;
+    this.violations = violations;
+  }
+}
+
+/**
+ * Política por defecto (userConfig.sanitization) con las opciones dadas
+ *
+ * @param {Object} [overrides] - Opciones que sustituyen a las de la configuración
+ * @returns {Object} Política completa
+ */
+const resolvePolicy = (overrides = {}) => {
+  const policy = { ...userConfig.sanitization, fields: {}, ...overrides };
+
+  if (!HTML_POLICIES.includes(policy.html)) {
+    throw new Error(
+      `Política HTML desconocida "${
+        policy.html
+      }"; use una de: ${HTML_POLICIES.join(", ")}`
+    );
+  }
+
+  return policy;
+};
+
+/**
+ * Indicar si un valor es un objeto plano (como los que produce JSON.parse)
+ *
+ * @private
+ */
+const isPlainObject = (value) =>
+  Object.prototype.toString.call(value) === "[object Object]";
+
+/**
+ * Sanitizar un texto según la política
+ *
+ * Normaliza Unicode, elimina caracteres de control, aplica la política
+ * HTML, recorta espacios y comprueba la longitud, por ese orden.
+ *
+ * @private
+ */
+const sanitizeString = (value, policy, path, state) => {
+  let result = policy.normalize ? value.normalize(policy.normalize) : value;
+
+  if (policy.stripControl) {
+    const cleaned = result.replace(CONTROL_CHARS_REGEX, "");
+    if (cleaned !== result) {
+      state.record({ rule: "control", path, action: "removed" });
+      result = cleaned;
+    }
+  }
+
+  if (policy.html !== "allow" && HAS_ANGLE_BRACKETS_REGEX.test(result)) {
+    if (policy.html === "reject") {
+      state.reject({ rule: "html", path }, t("sanitizer.html", { path }));
+    }
+
+    result =
+      policy.html === "escape"
+        ? result.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char])
+        : result.replace(HTML_TAG_REGEX, "").replace(ANGLE_BRACKETS_REGEX, "");
+    state.record({
+      rule: "html",
+      path,
+      action: policy.html === "escape" ? "escaped" : "stripped",
+    });
+  }
+
+  if (policy.trim) {
+    result = result.trim();
+  }
+
+  if (result.length > policy.maxStringLength) {
+    state.reject(
+      { rule: "length", path },
+      t("sanitizer.length", { path, count: policy.maxStringLength })
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Comprobar la longitud de un secreto sin modificarlo
+ *
+ * @private
+ */
+const checkSecret = (value, policy, path, state) => {
+  if (value.length > policy.maxStringLength) {
+    state.reject(
+      { rule: "length", path },
+      t("sanitizer.length", { path, count: policy.maxStringLength })
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Indicar si la propiedad key de un objeto guarda un secreto
+ *
+ * Lo es si key está en SECRET_KEYS o si el objeto es una operación JSON
+ * Patch sobre un secreto y key es su value.
+ *
+ * @private
+ */
+const isSecretProperty = (object, key) => {
+  if (SECRET_KEYS.includes(key)) {
+    return true;
+  }
+  if (key !== "value" || typeof object.path !== "string") {
+    return false;
+  }
+
+  // Último segmento del JSON Pointer, sin escapes (~1 es "/" y ~0 es "~")
+  const segment = object.path
+    .split("/")
+    .pop()
+    .replace(/~1/g, "/")
+    .replace(/~0/g, "~");
+  return typeof object.op === "string" && SECRET_KEYS.includes(segment);
+};
+
+/**
+ * Sanitizar un valor y sus descendientes
+ *
+ * patternPath es la ruta sin índices de array ("items.name"), con la que se
+ * buscan las excepciones de policy.fields. secret indica que los textos
+ * del valor (o de sus elementos, si es un array) son secretos.
+ *
+ * @private
+ */
+const sanitizeNode = (
+  value,
+  policy,
+  path,
+  patternPath,
+  depth,
+  state,
+  secret = false
+) => {
+  const fieldPolicy =
+    patternPath && state.fields[patternPath]
+      ? { ...policy, ...state.fields[patternPath] }
+      : policy;
+
+  if (typeof value === "string") {
+    return secret
+      ? checkSecret(value, fieldPolicy, path, state)
+      : sanitizeString(value, fieldPolicy, path, state);
+  }
+
+  if (!Array.isArray(value) && !isPlainObject(value)) {
+    return value;
+  }
+
+  if (depth > fieldPolicy.maxDepth) {
+    state.reject(
+      { rule: "depth", path },
+      t("sanitizer.depth", { path, count: fieldPolicy.maxDepth })
+    );
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length > fieldPolicy.maxArrayLength) {
+      state.reject(
+        { rule: "array", path },
+        t("sanitizer.array", { path, count: fieldPolicy.maxArrayLength })
+      );
+    }
+
+    return value.map((item, index) =>
+      sanitizeNode(
+        item,
+        fieldPolicy,
+        `${path}[${index}]`,
+        patternPath,
+        depth + 1,
+        state,
+        secret
+      )
+    );
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length > fieldPolicy.maxKeys) {
+    state.reject(
+      { rule: "keys", path },
+      t("sanitizer.keys", { path, count: fieldPolicy.maxKeys })
+    );
+  }
+
+  const result = {};
+  keys.forEach((key) => {
+    const childPath = `${path}.${key}`;
+    if (DANGEROUS_KEYS.includes(key)) {
+      state.reject(
+        { rule: "key", path: childPath },
+        t("sanitizer.key", { key, path: childPath })
+      );
+    }
+
+    result[key] = sanitizeNode(
+      value[key],
+      fieldPolicy,
+      childPath,
+      patternPath ? `${patternPath}.${key}` : key,
+      depth + 1,
+      state,
+      isSecretProperty(value, key)
+    );
+  });
+
+  return result;
+};
+
+/**
+ * Sanitizar un valor recursivamente (objetos, arrays y textos)
+ *
+ * Devuelve una copia sanitizada y las infracciones corregidas (HTML
+ * eliminado o escapado, caracteres de control eliminados). Las que la
+ * política no corrige (claves peligrosas, límites superados, HTML con
+ * html "reject") lanzan SanitizationError.
+ *
+ * Los textos de SECRET_KEYS (password, token...), también como value de
+ * una operación JSON Patch sobre ellos, no se transforman; solo se
+ * comprueba su longitud.
+ *
+ * policy.fields permite cambiar la política de un campo y sus
+ * descendientes, por su ruta sin índices de array:
+ * { fields: { html: { html: "allow" }, "items.notes": { html: "escape" } } }
+ *
+ * @param {*} value - Valor a sanitizar
+ * @param {Object} [policy] - Opciones que sustituyen a userConfig.sanitization
+ * @param {string} [policy.html] - "strip", "escape", "reject" o "allow"
+ * @param {string|false} [policy.normalize] - Forma Unicode ("NFC", "NFKC"...) o false
+ * @param {boolean} [policy.stripControl] - Eliminar caracteres de control
+ * @param {boolean} [policy.trim] - Recortar espacios de los textos
+ * @param {number} [policy.maxDepth] - Niveles de anidación admitidos
+ * @param {number} [policy.maxKeys] - Claves admitidas por objeto
+ * @param {number} [policy.maxStringLength] - Caracteres admitidos por texto
+ * @param {number} [policy.maxArrayLength] - Elementos admitidos por array
+ * @param {Object} [policy.fields] - Excepciones por campo
+ * @param {Object} [options] - Opciones de la operación
+ * @param {string} [options.path="body"] - Nombre del valor en las rutas de las infracciones
+ *
+ * @returns {Object} { value, violations: [{ rule, path, action }] }
+ * @throws {SanitizationError} Cuando la política rechaza la entrada
+ *
+ * @example
+ * sanitizeValue({ userData: { name: " <b>Ana</b> " } });
+ * // { value: { userData: { name: "Ana" } },
+ * //   violations: [{ rule: "html", path: "body.userData.name", action: "stripped" }] }
+ */
+const sanitizeValue = (value, policy = {}, { path = "body" } = {}) => {
+  const resolved = resolvePolicy(policy);
+  const violations = [];
+  const state = {
+    fields: resolved.fields,
+    record: (violation) => violations.push(violation),
+    reject: (violation, message) => {
+      const rejected = { ...violation, action: "rejected" };
+      violations.push(rejected);
+      throw new SanitizationError(message, rejected, violations);
+    },
+  };
+
+  return {
+    value: sanitizeNode(value, resolved, path, "", 0, state),
+    violations,
+  };
+};
+
+module.exports = {
+  HTML_POLICIES,
+  DANGEROUS_KEYS,
+  SECRET_KEYS,
+  SanitizationError,
+  resolvePolicy,
+  sanitizeValue,
+};
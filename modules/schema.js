@@ -0,0 +1,443 @@
+// MÓDULO: Esquemas declarativos de validación (modelos, middleware y documentación)
+
+const { t } = require("./i18n");
+
+/**
+ * Un esquema describe los campos de un recurso una sola vez; de él salen la
+ * validación de los modelos, el middleware de las rutas (ver validateRequest
+ * en middleware/validation.js) y la documentación de /api/docs.
+ *
+ * Cada campo es un objeto con:
+ *
+ * - type: "string", "number", "integer", "boolean", "object" o "array"
+ * - required: obligatorio al validar un recurso completo (no en parciales)
+ * - nullable: admite null
+ * - label: clave del sujeto de los mensajes ("fields.name": "El nombre");
+ *   por defecto "El campo <ruta>" (validation.field)
+ * - description: texto adicional para la documentación
+ * - enum: valores permitidos
+ * - format: formato de SCHEMA_FORMATS ("email", "uuid") y pattern: RegExp
+ * - minLength / maxLength: longitud de textos y arrays
+ * - min / max: valor de los números
+ * - trim: las longitudes se miden sin espacios y el valor se devuelve recortado
+ * - lowercase: el valor válido se devuelve en minúsculas
+ * - properties: esquema de los campos de un objeto
+ * - items: campo de los elementos de un array
+ * - messages: claves de los mensajes propios por regla (required, type,
+ *   enum, format, minLength, maxLength, min, max)
+ *
+ * Los mensajes se traducen al idioma de la petición (modules/i18n.js) con
+ * los parámetros label, path, type, values (los de enum) y count (el límite
+ * de la regla).
+ */
+
+/** Formatos con nombre para la regla format */
+const SCHEMA_FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
+};
+
+/** Nombre de cada tipo en la documentación generada */
+const DOC_TYPE_NAMES = {
+  string: "string",
+  number: "número",
+  integer: "entero",
+  boolean: "boolean",
+  object: "objeto",
+  array: "array",
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const hasType = (value, type) => {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Convertir los textos de query y params al tipo del campo
+ *
+ * Solo convierte textos que representan un valor del tipo; el resto se
+ * deja tal cual para que falle la validación de tipo.
+ *
+ * @private
+ */
+const coerceValue = (value, type) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  if ((type === "number" || type === "integer") && value.trim() !== "") {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+
+  return value;
+};
+
+/** Mensajes de longitud de los arrays (elementos en lugar de caracteres) */
+const ARRAY_LENGTH_MESSAGES = { minLength: "minItems", maxLength: "maxItems" };
+
+/**
+ * Mensaje de error de una regla, el propio del campo o el genérico del
+ * catálogo (validation.<regla>)
+ *
+ * @private
+ */
+const ruleMessage = (rule, key, path, detail) => {
+  const params = {
+    label: rule.label ? t(rule.label) : t("validation.field", { path }),
+    path,
+    type: t(`validation.types.${rule.type}`),
+    values: rule.enum && rule.enum.join(", "),
+    count: detail,
+  };
+
+  if (rule.messages && rule.messages[key]) {
+    return t(rule.messages[key], params);
+  }
+
+  const messageKey =
+    rule.type === "array" && ARRAY_LENGTH_MESSAGES[key]
+      ? ARRAY_LENGTH_MESSAGES[key]
+      : key;
+  return t(`validation.${messageKey}`, params);
+};
+
+/**
+ * Validar un valor presente contra su campo
+ *
+ * Devuelve el valor normalizado; los errores se añaden con addError y cada
+ * campo informa solo del primero, salvo los de sus campos anidados.
+ *
+ * @private
+ */
+const checkValue = (rule, value, path, options, addError) => {
+  const fail = (key, detail) => {
+    addError(path, ruleMessage(rule, key, path, detail));
+    return value;
+  };
+
+  if (rule.enum) {
+    return rule.enum.includes(value) ? value : fail("enum");
+  }
+
+  if (!hasType(value, rule.type)) {
+    return fail("type");
+  }
+
+  if (rule.type === "string") {
+    const text = rule.trim ? value.trim() : value;
+
+    if (rule.format && !SCHEMA_FORMATS[rule.format].test(text)) {
+      return fail("format");
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+      return fail("format");
+    }
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      return fail("minLength", rule.minLength);
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      return fail("maxLength", rule.maxLength);
+    }
+
+    return rule.lowercase ? text.toLowerCase() : text;
+  }
+
+  if (rule.type === "number" || rule.type === "integer") {
+    if (rule.min !== undefined && value < rule.min) {
+      return fail("min", rule.min);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return fail("max", rule.max);
+    }
+    return value;
+  }
+
+  if (rule.type === "array") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail("minLength", rule.minLength);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail("maxLength", rule.maxLength);
+    }
+    if (!rule.items) {
+      return value;
+    }
+
+    return value.map((item, index) =>
+      validateField(rule.items, item, `${path}[${index}]`, options, addError)
+    );
+  }
+
+  if (rule.type === "object" && rule.properties) {
+    return validateFields(rule.properties, value, path, options, addError);
+  }
+
+  return value;
+};
+
+/**
+ * Validar un campo: presencia, null y después su valor
+ *
+ * @private
+ */
+const validateField = (rule, raw, path, options, addError) => {
+  const value = options.coerce ? coerceValue(raw, rule.type) : raw;
+  const missing =
+    value === undefined ||
+    (!options.partial && (value === null || value === ""));
+
+  if (rule.required && !options.partial) {
+    // Al validar un recurso completo, un obligatorio de otro tipo cuenta como ausente
+    if (missing || (!rule.enum && !hasType(value, rule.type))) {
+      addError(path, ruleMessage(rule, "required", path));
+      return value;
+    }
+  } else if (value === undefined) {
+    return value;
+  }
+
+  if (value === null && rule.nullable) {
+    return value;
+  }
+
+  return checkValue(rule, value, path, options, addError);
+};
+
+/**
+ * Validar los campos de un esquema sobre un objeto
+ *
+ * Los campos que el esquema no define se copian sin validar.
+ *
+ * @private
+ */
+const validateFields = (schema, data, prefix, options, addError) => {
+  const value = { ...data };
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    if (options.only && !prefix && !options.only.includes(name)) {
+      return;
+    }
+
+    const path = prefix ? `${prefix}.${name}` : name;
+    const result = validateField(rule, data[name], path, options, addError);
+    if (result !== undefined) {
+      value[name] = result;
+    }
+  });
+
+  return value;
+};
+
+/**
+ * Validar datos contra un esquema
+ *
+ * @param {Object} schema - Campos del recurso (ver la cabecera del módulo)
+ * @param {Object} data - Datos a validar
+ * @param {Object} [options] - Opciones de la validación
+ * @param {boolean} [options.partial=false] - Validación parcial (actualizaciones):
+ * los obligatorios pueden faltar y solo se validan los campos presentes
+ * @param {string[]} [options.only] - Validar solo estos campos de primer nivel
+ * @param {boolean} [options.coerce=false] - Convertir textos a número o
+ * booleano según el tipo (query y params)
+ *
+ * @returns {Object} Resultado de la validación
+ * @returns {boolean} return.isValid - true si no hay errores
+ * @returns {string[]} return.errors - Mensajes de error
+ * @returns {Array<{field: string, message: string}>} return.fieldErrors - Los
+ * mismos errores con la ruta del campo (p. ej. "address.city" o "tags[1]")
+ * @returns {Object} return.value - Copia de los datos con los valores
+ * normalizados (trim, lowercase y conversiones)
+ *
+ * @example
+ * const schema = {
+ *   name: { type: "string", required: true, trim: true, minLength: 2, label: "fields.name" },
+ *   tags: { type: "array", items: { type: "string" } },
+ * };
+ *
+ * validateSchema(schema, { name: " A ", tags: ["x", 1] }).fieldErrors;
+ * // [{ field: "name", message: "El nombre debe tener al menos 2 caracteres" },
+ * //  { field: "tags[1]", message: "El campo tags[1] debe ser una cadena de texto" }]
+ */
+const validateSchema = (schema, data, options = {}) => {
+  const errors = [];
+  const fieldErrors = [];
+  const addError = (field, message) => {
+    errors.push(message);
+    fieldErrors.push({ field, message });
+  };
+
+  const value = validateFields(
+    schema,
+    isPlainObject(data) ? data : {},
+    "",
+    options,
+    addError
+  );
+
+  return { isValid: errors.length === 0, errors, fieldErrors, value };
+};
+
+/**
+ * Quedarse con algunos campos de un esquema
+ *
+ * @param {Object} schema - Esquema original
+ * @param {string[]} fields - Campos a conservar
+ * @param {Object} [overrides] - Cambios por campo (p. ej. { role: { required: true } })
+ * @returns {Object} Nuevo esquema
+ *
+ * @example
+ * const invitation = pickSchema(USER_SCHEMA, ["name", "email", "role"]);
+ */
+const pickSchema = (schema, fields, overrides = {}) =>
+  Object.fromEntries(
+    fields.map((field) => [field, { ...schema[field], ...overrides[field] }])
+  );
+
+/**
+ * Describir un campo en una línea para la documentación
+ *
+ * @private
+ */
+const describeField = (rule, partial) => {
+  const type = rule.enum
+    ? rule.enum.join(" | ")
+    : DOC_TYPE_NAMES[rule.type] || rule.type;
+  const details = [rule.required && !partial ? "requerido" : "opcional"];
+
+  const { minLength, maxLength } = rule;
+  const unit = rule.type === "array" ? "elementos" : "caracteres";
+  if (minLength !== undefined && maxLength !== undefined) {
+    details.push(`${minLength}-${maxLength} ${unit}`);
+  } else if (minLength === 1 && rule.type === "string") {
+    details.push("no vacío");
+  } else if (minLength !== undefined) {
+    details.push(`mín. ${minLength} ${unit}`);
+  } else if (maxLength !== undefined) {
+    details.push(`máx. ${maxLength} ${unit}`);
+  }
+
+  if (rule.min !== undefined && rule.max !== undefined) {
+    details.push(`${rule.min}-${rule.max}`);
+  } else if (rule.min !== undefined) {
+    details.push(`mín. ${rule.min}`);
+  } else if (rule.max !== undefined) {
+    details.push(`máx. ${rule.max}`);
+  }
+
+  if (rule.format) {
+    details.push(`formato ${rule.format} válido`);
+  }
+  if (rule.nullable) {
+    details.push("admite null");
+  }
+
+  const description = rule.description ? `; ${rule.description}` : "";
+  return `${type} (${details.join(", ")}${description})`;
+};
+
+/**
+ * Describir los campos de un esquema para /api/docs
+ *
+ * @param {Object} schema - Esquema del recurso
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.partial=false] - Documentar una actualización
+ * parcial (todos los campos opcionales)
+ * @returns {Object} { campo: "tipo (requerido, 2-50 caracteres; descripción)" }
+ *
+ * @example
+ * describeSchema(USER_SCHEMA).password;
+ * // "string (requerido, 6-100 caracteres)"
+ */
+const describeSchema = (schema, { partial = false } = {}) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([name, rule]) => [
+      name,
+      describeField(rule, partial),
+    ])
+  );
+
+/**
+ * Convertir un campo a JSON Schema
+ *
+ * @private
+ */
+const fieldToJSONSchema = (rule) => {
+  const json = {
+    type: rule.nullable ? [rule.type, "null"] : rule.type,
+    description: rule.description,
+    enum: rule.enum,
+    format: rule.format,
+    pattern: rule.pattern ? rule.pattern.source : undefined,
+    minLength: rule.type === "string" ? rule.minLength : undefined,
+    maxLength: rule.type === "string" ? rule.maxLength : undefined,
+    minItems: rule.type === "array" ? rule.minLength : undefined,
+    maxItems: rule.type === "array" ? rule.maxLength : undefined,
+    minimum: rule.min,
+    maximum: rule.max,
+    items: rule.items ? fieldToJSONSchema(rule.items) : undefined,
+  };
+
+  if (rule.properties) {
+    Object.assign(json, toJSONSchema(rule.properties));
+  }
+
+  return Object.fromEntries(
+    Object.entries(json).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * Convertir un esquema a JSON Schema (draft 2020-12) para clientes y
+ * herramientas de documentación
+ *
+ * @param {Object} schema - Esquema del recurso
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.partial=false] - Sin campos obligatorios
+ * @returns {Object} { type: "object", properties, required? }
+ */
+function toJSONSchema(schema, { partial = false } = {}) {
+  const required = partial
+    ? []
+    : Object.keys(schema).filter((name) => schema[name].required);
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(schema).map(([name, rule]) => [
+        name,
+        fieldToJSONSchema(rule),
+      ])
+    ),
+    ...(required.length > 0 ? { required } : {}),
+  };
+}
+
+module.exports = {
+  SCHEMA_FORMATS,
+  validateSchema,
+  pickSchema,
+  describeSchema,
+  toJSONSchema,
+};
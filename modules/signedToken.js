@@ -0,0 +1,114 @@
+// MÓDULO: Tokens firmados (HMAC-SHA256) para enlaces enviados por email
+
+const crypto = require("crypto");
+const { t } = require("./i18n");
+
+/**
+ * Error al verificar un token firmado
+ *
+ * reason es "invalid" si el token está mal formado, la firma no coincide o
+ * es de otro propósito, y "expired" si caducó. En los tokens caducados con
+ * firma válida, payload contiene sus datos (p. ej. para limpiar un cambio
+ * pendiente).
+ *
+ * @class
+ * @extends Error
+ */
+class SignedTokenError extends Error {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Detalles del error
+   * @param {string} [options.reason="invalid"] - "invalid" o "expired"
+   * @param {Object|null} [options.payload=null] - Datos del token caducado
+   */
+  constructor(message, { reason = "invalid", payload = null } = {}) {
+    super(message);
+    this.name = "SignedTokenError";
+    this.reason = reason;
+    this.payload = payload;
+  }
+}
+
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+/**
+ * Crear un token firmado
+ *
+ * El token es "<payload en base64url>.<firma>": sus datos pueden leerse,
+ * pero no modificarse sin conocer el secreto.
+ *
+ * @param {Object} payload - Datos del token (deben ser serializables a JSON)
+ * @param {Object} options - Opciones del token
+ * @param {string} options.secret - Secreto de la firma
+ * @param {string} options.purpose - Uso del token; verifySignedToken exige el mismo
+ * @param {string} options.expiresAt - Fecha ISO de caducidad
+ * @returns {string} Token apto para URLs
+ *
+ * @example
+ * const token = createSignedToken(
+ *   { sub: user.id, email: "nuevo@example.com" },
+ *   { secret, purpose: "email-change", expiresAt: "2025-10-02T08:00:00.000Z" }
+ * );
+ */
+function createSignedToken(payload, { secret, purpose, expiresAt }) {
+  const data = Buffer.from(
+    JSON.stringify({ ...payload, purpose, exp: expiresAt })
+  ).toString("base64url");
+
+  return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Verificar un token firmado y devolver sus datos
+ *
+ * @param {string} token - Token recibido
+ * @param {Object} options - Opciones de verificación
+ * @param {string} options.secret - Secreto de la firma
+ * @param {string} options.purpose - Uso esperado del token
+ * @param {Date} [options.now] - Momento de referencia para la caducidad
+ * @returns {Object} Datos del token (incluye purpose y exp)
+ * @throws {SignedTokenError} Cuando el token no es válido o ha caducado
+ */
+function verifySignedToken(token, { secret, purpose, now = new Date() }) {
+  const [data, signature, extra] =
+    typeof token === "string" ? token.split(".") : [];
+
+  const expected = data ? Buffer.from(sign(data, secret)) : null;
+  const received = Buffer.from(signature || "");
+
+  if (
+    !data ||
+    extra !== undefined ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new SignedTokenError(t("links.invalid"));
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new SignedTokenError(t("links.invalid"));
+  }
+
+  if (!payload || payload.purpose !== purpose) {
+    throw new SignedTokenError(t("links.invalid"));
+  }
+
+  if (!(new Date(payload.exp) > now)) {
+    throw new SignedTokenError(t("links.expired"), {
+      reason: "expired",
+      payload,
+    });
+  }
+
+  return payload;
+}
+
+module.exports = {
+  SignedTokenError,
+  createSignedToken,
+  verifySignedToken,
+};
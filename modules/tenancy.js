@@ -0,0 +1,171 @@
+// MÓDULO: Multi-tenencia (varios clientes aislados en un mismo despliegue)
+
+const { userConfig } = require("../config/userConfig");
+const { ApiError } = require("./errors");
+const { t } = require("./i18n");
+
+/** IDs de tenant: minúsculas, dígitos y guiones, como una etiqueta DNS */
+const TENANT_ID_REGEX = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * Error al resolver el tenant de una petición
+ *
+ * @class
+ * @extends ApiError
+ */
+class TenantError extends ApiError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {number} [status=400] - Código HTTP de la respuesta
+   */
+  constructor(message, status = 400) {
+    super(message, { status });
+    this.name = "TenantError";
+  }
+}
+
+/**
+ * Leer el tenant del subdominio (acme.example.com -> acme)
+ *
+ * Solo se consideran hosts bajo baseDomain con una única etiqueta más; el
+ * propio dominio base o "www" no indican tenant.
+ *
+ * @private
+ */
+const fromSubdomain = (req, baseDomain) => {
+  if (!baseDomain) {
+    return undefined;
+  }
+
+  const host = String(req.hostname || "").toLowerCase();
+  const suffix = `.${baseDomain.toLowerCase()}`;
+  if (!host.endsWith(suffix)) {
+    return undefined;
+  }
+
+  const label = host.slice(0, -suffix.length);
+  return label && label !== "www" && !label.includes(".") ? label : undefined;
+};
+
+/**
+ * Resolver el ID de tenant de una petición
+ *
+ * Lee las fuentes configuradas (cabecera, subdominio y claim del JWT en
+ * req.user). Si varias indican un tenant deben coincidir: una petición
+ * no puede pedir los datos de un tenant con el token de otro.
+ *
+ * @param {Object} req - Petición de Express
+ * @param {Object} [config=userConfig.tenancy] - Configuración de tenencia
+ * @returns {string|null} ID del tenant o null si ninguna fuente lo indica
+ * @throws {TenantError} Si el ID no es válido o las fuentes no coinciden
+ *
+ * @example
+ * // X-Tenant-ID: acme
+ * resolveTenantId(req); // "acme"
+ */
+const resolveTenantId = (req, config = userConfig.tenancy) => {
+  const readers = {
+    header: () => req.get(config.header),
+    subdomain: () => fromSubdomain(req, config.baseDomain),
+    jwt: () => req.user && req.user[config.jwtClaim],
+  };
+
+  const found = new Set();
+  config.sources.forEach((source) => {
+    const value = readers[source] ? readers[source]() : undefined;
+    if (value !== undefined && value !== null && value !== "") {
+      found.add(String(value).trim().toLowerCase());
+    }
+  });
+
+  if (found.size > 1) {
+    throw new TenantError(t("tenancy.mismatch"));
+  }
+
+  const [tenantId = null] = found;
+  if (tenantId !== null && !TENANT_ID_REGEX.test(tenantId)) {
+    throw new TenantError(t("tenancy.idInvalid"));
+  }
+
+  return tenantId;
+};
+
+/**
+ * Obtener un tenant configurado con su ID y su configuración
+ *
+ * @param {string} tenantId - ID del tenant
+ * @param {Object} [config=userConfig.tenancy] - Configuración de tenencia
+ * @returns {Object|null} { id, companyName?, fromName?, ... } o null si no existe
+ */
+const getTenant = (tenantId, config = userConfig.tenancy) => {
+  if (
+    !tenantId ||
+    !Object.prototype.hasOwnProperty.call(config.tenants, tenantId)
+  ) {
+    return null;
+  }
+
+  return { ...config.tenants[tenantId], id: tenantId };
+};
+
+/**
+ * Marca de los emails de un tenant (para renderTemplate)
+ *
+ * @param {Object|string|null} tenant - Tenant (getTenant) o su ID
+ * @returns {Object|null} { companyName, fromName } definidos o null
+ */
+const getTenantBranding = (tenant) => {
+  const settings = typeof tenant === "string" ? getTenant(tenant) : tenant;
+  if (!settings) {
+    return null;
+  }
+
+  const branding = {};
+  ["companyName", "fromName"].forEach((field) => {
+    if (settings[field]) {
+      branding[field] = settings[field];
+    }
+  });
+
+  return Object.keys(branding).length > 0 ? branding : null;
+};
+
+/**
+ * Vista de un repositorio (o caché) limitada a un tenant
+ *
+ * Devuelve un proxy que comparte el estado del objeto original y solo
+ * cambia su propiedad tenantId, que sus métodos usan para filtrar. Así un
+ * único repositorio sirve a todos los tenants sin copiar sus datos. Las
+ * propiedades de overrides sustituyen a las del original (p. ej. el
+ * historial de un repositorio de usuarios, también limitado al tenant).
+ *
+ * @param {Object} target - Objeto con una propiedad tenantId
+ * @param {string} tenantId - ID del tenant
+ * @param {Object} [overrides={}] - Propiedades que cambian en la vista
+ * @returns {Object} Proxy con tenantId fijado
+ *
+ * @example
+ * const acmeUsers = scopeToTenant(userRepository, "acme");
+ * await acmeUsers.findAll(); // solo los usuarios de acme
+ */
+const scopeToTenant = (target, tenantId, overrides = {}) =>
+  new Proxy(target, {
+    get: (object, property, receiver) => {
+      if (property === "tenantId") {
+        return tenantId;
+      }
+      if (Object.prototype.hasOwnProperty.call(overrides, property)) {
+        return overrides[property];
+      }
+      return Reflect.get(object, property, receiver);
+    },
+  });
+
+module.exports = {
+  TENANT_ID_REGEX,
+  TenantError,
+  resolveTenantId,
+  getTenant,
+  getTenantBranding,
+  scopeToTenant,
+};
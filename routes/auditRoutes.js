@@ -0,0 +1,30 @@
+const express = require("express");
+const UserController = require("../controllers/userController");
+const { validateAuditQuery } = require("../middleware/validation");
+const { requireAdmin } = require("../modules/auth");
+
+const router = express.Router();
+
+/**
+ * Rutas del registro de auditoría
+ */
+
+// Historial de cambios de todos los usuarios, del más reciente al más antiguo
+// (administración)
+router.get("/", requireAdmin, validateAuditQuery, UserController.getAuditLog);
+
+/**
+ * Documentación de rutas:
+ *
+ * GET /audit - Registro de auditoría (filtros actor, action, from y to; paginación por cursor)
+ *
+ * Ejemplo:
+ * GET /audit?actor=admin@example.com&action=update&from=2025-10-01&to=2025-10-31&limit=50
+ * Siguiente página: GET /audit?...&cursor=<pagination.nextCursor>
+ *
+ * Requiere un administrador autenticado (Authorization: Bearer <token JWT
+ * con role admin>). El historial de un único usuario está en
+ * GET /users/:id/history.
+ */
+
+module.exports = router;
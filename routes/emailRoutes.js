@@ -1,6 +1,9 @@
 const express = require("express");
 const EmailController = require("../controllers/emailController");
-const { validateJSON, sanitizeInput } = require("../middleware/validation");
+const {
+  validateJSON,
+  handleIdempotencyKey,
+} = require("../middleware/validation");
 
 const router = express.Router();
 
@@ -8,9 +11,10 @@ const router = express.Router();
  * Rutas para gestión de emails
  */
 
-// Middleware específico para rutas de email
+// Middleware específico para rutas de email (la sanitización se aplica en
+// app.js; repetirla aquí escaparía dos veces con la política "escape")
 router.use(validateJSON);
-router.use(sanitizeInput);
+router.use(handleIdempotencyKey); // Idempotency-Key en las rutas POST
 
 // Rutas de estadísticas y configuración
 router.get("/stats", EmailController.getEmailStats);
@@ -0,0 +1,78 @@
+const express = require("express");
+const GroupController = require("../controllers/groupController");
+const {
+  validateGroup,
+  validateGroupUpdate,
+  validateGroupParams,
+  validateGroupMember,
+  validateGroupMemberQuery,
+  handleIdempotencyKey,
+} = require("../middleware/validation");
+
+const router = express.Router();
+
+/**
+ * Rutas de grupos (equipos) de usuarios
+ */
+
+// Grupos
+router.get("/", GroupController.list);
+router.post("/", handleIdempotencyKey, validateGroup, GroupController.create);
+router.get("/:id", validateGroupParams, GroupController.getById);
+router.patch(
+  "/:id",
+  validateGroupParams,
+  validateGroupUpdate,
+  GroupController.update
+);
+router.delete("/:id", validateGroupParams, GroupController.remove);
+
+// Miembros
+router.get(
+  "/:id/members",
+  validateGroupParams,
+  validateGroupMemberQuery,
+  GroupController.listMembers
+);
+router.post(
+  "/:id/members",
+  handleIdempotencyKey,
+  validateGroupParams,
+  validateGroupMember,
+  GroupController.addMember
+);
+router.patch(
+  "/:id/members/:userId",
+  validateGroupParams,
+  validateGroupMember,
+  GroupController.updateMember
+);
+router.delete(
+  "/:id/members/:userId",
+  validateGroupParams,
+  GroupController.removeMember
+);
+
+/**
+ * Documentación de rutas:
+ *
+ * GET    /groups                       - Listar grupos con su número de miembros
+ * POST   /groups                       - Crear grupo (nombre único sin distinguir mayúsculas)
+ * GET    /groups/:id                   - Obtener grupo
+ * PATCH  /groups/:id                   - Modificar nombre y/o descripción
+ * DELETE /groups/:id                   - Eliminar grupo y sus pertenencias
+ * GET    /groups/:id/members           - Listar miembros (filtro role)
+ * POST   /groups/:id/members           - Añadir miembro con un rol (owner, manager, member)
+ * PATCH  /groups/:id/members/:userId   - Cambiar el rol de un miembro
+ * DELETE /groups/:id/members/:userId   - Quitar miembro
+ *
+ * Los grupos de un usuario se consultan en GET /users/:id/groups y las
+ * notificaciones a un grupo se envían con POST /emails/notification
+ * indicando groupId en lugar de userEmail.
+ *
+ * Ejemplo:
+ * POST /groups/5b0e6a0c-3f7e-4c5a-9a43-1f0f3c2d8e77/members
+ * { "userId": "123e4567-e89b-12d3-a456-426614174000", "role": "manager" }
+ */
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require("express");
+const InvitationController = require("../controllers/invitationController");
+const {
+  validateId,
+  validateInvitation,
+  validateInvitationAccept,
+  handleIdempotencyKey,
+} = require("../middleware/validation");
+const { requireAdmin } = require("../modules/auth");
+
+const router = express.Router();
+
+/**
+ * Rutas de invitaciones de usuarios
+ */
+
+// Aceptación con el enlace recibido por email (debe ir antes que /:id)
+router.post(
+  "/accept",
+  handleIdempotencyKey,
+  validateInvitationAccept,
+  InvitationController.accept
+);
+
+// Administración de invitaciones
+router.get("/", requireAdmin, InvitationController.list);
+router.post(
+  "/",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateInvitation,
+  InvitationController.create
+);
+router.post(
+  "/:id/resend",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateId,
+  InvitationController.resend
+);
+router.delete("/:id", requireAdmin, validateId, InvitationController.revoke);
+
+/**
+ * Documentación de rutas:
+ *
+ * GET    /invitations             - Listar invitaciones pendientes (expired indica las caducadas)
+ * POST   /invitations             - Invitar: crea el usuario en estado invited y envía el enlace
+ * POST   /invitations/:id/resend  - Reenviar con un enlace nuevo (los anteriores dejan de servir)
+ * DELETE /invitations/:id         - Revocar: borra el usuario invitado y libera su email
+ * POST   /invitations/accept      - Aceptar con el token del enlace y la contraseña elegida
+ *
+ * Salvo la aceptación, requieren un administrador autenticado
+ * (Authorization: Bearer <token JWT con role admin>). role solo admite los
+ * roles de USER_INVITATION_ROLES (user y editor por defecto).
+ *
+ * El :id de una invitación es el ID del usuario invitado. Tras aceptarla,
+ * el usuario queda active, con el email verificado.
+ *
+ * Ejemplo:
+ * POST /invitations/accept
+ * { "token": "eyJzdWIiOi...Qm9f", "password": "miContraseña123" }
+ */
+
+module.exports = router;
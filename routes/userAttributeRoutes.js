@@ -0,0 +1,63 @@
+const express = require("express");
+const UserAttributeController = require("../controllers/userAttributeController");
+const {
+  validateUserAttribute,
+  validateUserAttributeUpdate,
+  validateUserAttributeKey,
+  handleIdempotencyKey,
+} = require("../middleware/validation");
+const { requireAdmin } = require("../modules/auth");
+
+const router = express.Router();
+
+/**
+ * Rutas de las definiciones de atributos de perfil (user.profile)
+ */
+
+router.get("/", UserAttributeController.list);
+router.post(
+  "/",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateUserAttribute,
+  UserAttributeController.create
+);
+router.get("/:key", validateUserAttributeKey, UserAttributeController.getByKey);
+router.patch(
+  "/:key",
+  requireAdmin,
+  validateUserAttributeKey,
+  validateUserAttributeUpdate,
+  UserAttributeController.update
+);
+router.delete(
+  "/:key",
+  requireAdmin,
+  validateUserAttributeKey,
+  UserAttributeController.remove
+);
+
+/**
+ * Documentación de rutas:
+ *
+ * GET    /user-attributes        - Listar definiciones ordenadas por clave
+ * POST   /user-attributes        - Definir atributo (key, type, required, enum, pattern, min, max)
+ * GET    /user-attributes/:key   - Obtener definición
+ * PATCH  /user-attributes/:key   - Modificar restricciones (no la clave ni el tipo)
+ * DELETE /user-attributes/:key   - Eliminar definición (los valores guardados se conservan)
+ *
+ * Crear, modificar y eliminar definiciones requiere un administrador
+ * autenticado (Authorization: Bearer <token JWT con role admin>). pattern
+ * exige max y no admite cuantificadores anidados como (a+)+.
+ *
+ * Los valores se envían en el objeto profile de POST, PUT y PATCH
+ * /users/:id, se filtran con GET /users?profile.<clave>=valor y se
+ * exportan e importan como columnas profile.<clave> (CSV) o como el
+ * objeto profile (NDJSON y JSON).
+ *
+ * Ejemplo:
+ * POST /user-attributes
+ * { "key": "department", "type": "string", "required": true, "enum": ["Ventas", "Soporte"] }
+ */
+
+module.exports = router;
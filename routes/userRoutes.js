@@ -1,10 +1,25 @@
 const express = require("express");
 const UserController = require("../controllers/userController");
+const GroupController = require("../controllers/groupController");
 const {
   validateUser,
   validateUserUpdate,
+  validateUserPatch,
   validateId,
+  validateUserListQuery,
+  validateAuditQuery,
+  validateUserProjection,
+  validateStatsQuery,
+  validateStatusChange,
+  validateEmailChangeToken,
+  validateEmailOverride,
+  validateBulkRequest,
+  validateExportQuery,
+  validateImportRequest,
+  handleIdempotencyKey,
 } = require("../middleware/validation");
+const { withRequestContext } = require("../modules/logger");
+const { requireAdmin } = require("../modules/auth");
 
 const router = express.Router();
 
@@ -13,35 +28,173 @@ const router = express.Router();
  */
 
 // Ruta para obtener estadísticas (debe ir antes que /:id para evitar conflictos)
-router.get("/stats", UserController.getStats);
+router.get("/stats", validateStatsQuery, UserController.getStats);
 
 // Ruta para buscar por email (debe ir antes que /:id)
-router.get("/search/email/:email", UserController.findByEmail);
+router.get(
+  "/search/email/:email",
+  validateUserProjection,
+  UserController.findByEmail
+);
+
+// Listado administrativo de usuarios eliminados (debe ir antes que /:id)
+router.get(
+  "/deleted",
+  requireAdmin,
+  validateUserListQuery,
+  validateUserProjection,
+  UserController.getDeleted
+);
+
+// Operaciones masivas de creación, actualización y eliminación (administración)
+router.post(
+  "/bulk",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateBulkRequest,
+  UserController.bulk
+);
+
+// Exportación e importación en CSV, NDJSON o JSON (administración; deben ir
+// antes que /:id)
+router.get(
+  "/export",
+  requireAdmin,
+  validateExportQuery,
+  UserController.exportUsers
+);
+router.post(
+  "/import",
+  requireAdmin,
+  withRequestContext(
+    express.text({
+      type: ["text/csv", "application/x-ndjson"],
+      limit: "10mb",
+    })
+  ),
+  handleIdempotencyKey,
+  validateImportRequest,
+  UserController.importUsers
+);
+
+// Confirmación y reversión de cambios de email (enlaces enviados por email)
+router.post(
+  "/email-change/confirm",
+  handleIdempotencyKey,
+  validateEmailChangeToken,
+  UserController.confirmEmailChange
+);
+router.post(
+  "/email-change/revert",
+  handleIdempotencyKey,
+  validateEmailChangeToken,
+  UserController.revertEmailChange
+);
 
 // Rutas CRUD básicas
-router.post("/", validateUser, UserController.create);
-router.get("/", UserController.getAll);
-router.get("/:id", validateId, UserController.getById);
+router.post("/", handleIdempotencyKey, validateUser, UserController.create);
+router.get(
+  "/",
+  validateUserListQuery,
+  validateUserProjection,
+  UserController.getAll
+);
+router.get("/:id", validateId, validateUserProjection, UserController.getById);
 router.put("/:id", validateId, validateUserUpdate, UserController.update);
 router.patch(
   "/:id",
   validateId,
-  validateUserUpdate,
+  validateUserPatch,
   UserController.partialUpdate
 );
 router.delete("/:id", validateId, UserController.delete);
+router.post(
+  "/:id/restore",
+  handleIdempotencyKey,
+  validateId,
+  UserController.restore
+);
+
+// Cambios de estado de la cuenta (administración)
+router.post(
+  "/:id/activate",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateId,
+  validateStatusChange,
+  UserController.changeStatus
+);
+router.post(
+  "/:id/suspend",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateId,
+  validateStatusChange,
+  UserController.changeStatus
+);
+router.post(
+  "/:id/lock",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateId,
+  validateStatusChange,
+  UserController.changeStatus
+);
+router.post(
+  "/:id/deactivate",
+  requireAdmin,
+  handleIdempotencyKey,
+  validateId,
+  validateStatusChange,
+  UserController.changeStatus
+);
+
+// Corrección directa del email sin confirmación (administración)
+router.put(
+  "/:id/email",
+  requireAdmin,
+  validateId,
+  validateEmailOverride,
+  UserController.overrideEmail
+);
+router.get(
+  "/:id/history",
+  validateId,
+  validateAuditQuery,
+  UserController.getHistory
+);
+router.get("/:id/groups", validateId, GroupController.listUserGroups);
 
 /**
  * Documentación de rutas:
  *
  * POST   /users              - Crear nuevo usuario
- * GET    /users              - Obtener todos los usuarios
- * GET    /users/stats        - Obtener estadísticas de usuarios
+ * GET    /users              - Listar usuarios (filtros, orden y paginación por cursor)
+ * GET    /users/stats        - Estadísticas: series de altas, dominios, crecimiento, actividad y retención (JSON o CSV)
  * GET    /users/search/email/:email - Buscar usuario por email
  * GET    /users/:id          - Obtener usuario por ID
- * PUT    /users/:id          - Actualizar usuario completo
- * PATCH  /users/:id          - Actualizar usuario parcial
- * DELETE /users/:id          - Eliminar usuario
+ * PUT    /users/:id          - Actualizar usuario completo (un email nuevo queda pendiente de confirmación)
+ * PATCH  /users/:id          - Actualizar usuario parcial (JSON, JSON Patch o JSON Merge Patch)
+ * POST   /users/email-change/confirm - Confirmar un cambio de email con el token del enlace
+ * POST   /users/email-change/revert  - Revertir un cambio de email ("No fui yo")
+ * PUT    /users/:id/email    - Cambiar el email sin confirmación (administración)
+ * DELETE /users/:id          - Eliminar usuario (eliminación lógica)
+ * POST   /users/:id/restore  - Restaurar usuario eliminado
+ * POST   /users/:id/activate - Activar (verificar, reactivar o desbloquear) la cuenta
+ * POST   /users/:id/suspend  - Suspender la cuenta (requiere reason)
+ * POST   /users/:id/lock     - Bloquear la cuenta por seguridad (requiere reason)
+ * POST   /users/:id/deactivate - Dar de baja la cuenta (requiere reason)
+ * GET    /users/:id/history  - Historial de cambios del usuario (paginado)
+ * GET    /users/:id/groups   - Grupos del usuario con su rol en cada uno
+ * GET    /users/deleted      - Listar usuarios eliminados (administración)
+ * POST   /users/bulk         - Crear, actualizar o eliminar usuarios en bloque (administración)
+ * GET    /users/export       - Exportar usuarios en CSV, NDJSON o JSON (administración)
+ * POST   /users/import       - Importar usuarios desde CSV, NDJSON o JSON (administración)
+ *
+ * Los cambios de estado, el cambio de email sin confirmación, el listado de
+ * eliminados, las operaciones masivas, la exportación y la importación
+ * requieren un administrador autenticado (Authorization: Bearer <token JWT
+ * con role admin>).
  *
  * Ejemplos de uso:
  *
@@ -53,6 +206,22 @@ router.delete("/:id", validateId, UserController.delete);
  *   "password": "123456"
  * }
  *
+ * Las rutas POST aceptan la cabecera Idempotency-Key: un reintento con la
+ * misma clave y el mismo cuerpo recibe la respuesta original
+ * (Idempotent-Replayed: true) sin crear otro usuario.
+ *
+ * Listar usuarios filtrando y ordenando:
+ * GET /users?name=juan&emailDomain=example.com&createdFrom=2025-01-01&sort=name,-createdAt&limit=10
+ * Siguiente página: GET /users?...&cursor=<pagination.nextCursor>
+ *
+ * Solo algunos campos y datos relacionados (listados, detalle y búsqueda por email):
+ * GET /users?fields=id,name
+ * GET /users/123e4567-e89b-12d3-a456-426614174000?fields=id,email&expand=history,emails
+ *
+ * Estadísticas semanales de un trimestre y cohortes de retención en CSV:
+ * GET /users/stats?interval=week&from=2025-01-01&to=2025-03-31
+ * GET /users/stats?interval=month&format=csv&report=retention
+ *
  * Actualizar usuario:
  * PUT /users/123e4567-e89b-12d3-a456-426614174000
  * {
@@ -66,6 +235,33 @@ router.delete("/:id", validateId, UserController.delete);
  * {
  *   "name": "Juan Carlos"
  * }
+ *
+ * JSON Patch (Content-Type: application/json-patch+json):
+ * PATCH /users/123e4567-e89b-12d3-a456-426614174000
+ * [
+ *   { "op": "test", "path": "/email", "value": "juan@example.com" },
+ *   { "op": "replace", "path": "/name", "value": "Juan Carlos" }
+ * ]
+ *
+ * JSON Merge Patch (Content-Type: application/merge-patch+json):
+ * PATCH /users/123e4567-e89b-12d3-a456-426614174000
+ * {
+ *   "name": "Juan Carlos"
+ * }
+ *
+ * Cambio de email: PUT/PATCH con un email nuevo lo deja en pendingEmail y
+ * envía un enlace de confirmación al nuevo email y un aviso "No fui yo" al
+ * actual. El token de cada enlace se envía a:
+ * POST /users/email-change/confirm
+ * {
+ *   "token": "eyJzdWIiOi...Qm9f"
+ * }
+ *
+ * Suspender usuario:
+ * POST /users/123e4567-e89b-12d3-a456-426614174000/suspend
+ * {
+ *   "reason": "Spam reiterado en comentarios"
+ * }
  */
 
 module.exports = router;
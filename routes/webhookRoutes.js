@@ -0,0 +1,86 @@
+const express = require("express");
+const WebhookController = require("../controllers/webhookController");
+const {
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookParams,
+  validateWebhookDeliveryQuery,
+  handleIdempotencyKey,
+} = require("../middleware/validation");
+const { requireAdmin } = require("../modules/auth");
+
+const router = express.Router();
+
+/**
+ * Rutas de suscripciones de webhooks salientes
+ */
+
+// Todas son de administración: los webhooks reciben los datos de los usuarios
+router.use(requireAdmin);
+
+// Suscripciones
+router.get("/", WebhookController.list);
+router.post(
+  "/",
+  handleIdempotencyKey,
+  validateWebhook,
+  WebhookController.create
+);
+router.get("/:id", validateWebhookParams, WebhookController.getById);
+router.patch(
+  "/:id",
+  validateWebhookParams,
+  validateWebhookUpdate,
+  WebhookController.update
+);
+router.delete("/:id", validateWebhookParams, WebhookController.remove);
+
+// Evento de prueba para comprobar el receptor
+router.post("/:id/ping", validateWebhookParams, WebhookController.ping);
+
+// Registro de entregas y reenvío manual
+router.get(
+  "/:id/deliveries",
+  validateWebhookParams,
+  validateWebhookDeliveryQuery,
+  WebhookController.getDeliveries
+);
+router.get(
+  "/:id/deliveries/:deliveryId",
+  validateWebhookParams,
+  WebhookController.getDelivery
+);
+router.post(
+  "/:id/deliveries/:deliveryId/redeliver",
+  validateWebhookParams,
+  WebhookController.redeliver
+);
+
+/**
+ * Documentación de rutas:
+ *
+ * GET    /webhooks                                   - Listar suscripciones (sin secretos)
+ * POST   /webhooks                                   - Crear suscripción (la respuesta incluye el secreto)
+ * GET    /webhooks/:id                               - Obtener suscripción
+ * PATCH  /webhooks/:id                               - Modificar suscripción (active: true la reactiva)
+ * DELETE /webhooks/:id                               - Eliminar suscripción y sus entregas
+ * POST   /webhooks/:id/ping                          - Enviar un evento de prueba webhook.ping
+ * GET    /webhooks/:id/deliveries                    - Registro de entregas (status, limit)
+ * GET    /webhooks/:id/deliveries/:deliveryId        - Entrega con el resultado de cada intento
+ * POST   /webhooks/:id/deliveries/:deliveryId/redeliver - Reenviar una entrega
+ *
+ * Todas requieren un administrador autenticado (Authorization: Bearer
+ * <token JWT con role admin>). La url no puede apuntar a localhost,
+ * loopback, link-local ni a redes privadas, salvo con
+ * USER_WEBHOOK_ALLOW_PRIVATE_URLS=true (desarrollo y tests).
+ *
+ * Ejemplo:
+ * POST /webhooks
+ * { "url": "https://partner.example.com/hooks", "events": ["user.created", "email.failed"] }
+ *
+ * Cada entrega es un POST JSON { id, type, occurredAt, data } con las cabeceras
+ * X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp y X-Webhook-Signature
+ * (sha256=HMAC-SHA256 de "<timestamp>.<cuerpo>" con el secreto).
+ */
+
+module.exports = router;
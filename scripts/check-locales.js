@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Comprobación de los catálogos de mensajes de la API (locales/)
+ *
+ * Informa de las claves que tiene un idioma y le faltan a otro, y de las
+ * claves que usa el código y no existen en el catálogo. Se consideran
+ * claves del código los textos con forma de clave ("users.notFound") de
+ * una sección del catálogo que son el primer argumento de t(), el valor de
+ * una propiedad (label y messages de los esquemas, message de
+ * validateRequest...) o el valor de una constante o parámetro por defecto.
+ *
+ * Uso:
+ *   node scripts/check-locales.js
+ *   npm run i18n:check
+ *
+ * Opciones:
+ *   --help      Mostrar esta ayuda
+ *
+ * Termina con código 1 si falta alguna clave.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  SUPPORTED_LOCALES,
+  findMissingKeys,
+  hasKey,
+} = require("../modules/i18n");
+
+const ROOT = path.join(__dirname, "..");
+
+/** Archivos y directorios con el código de la API */
+const SOURCES = [
+  "app.js",
+  "controllers",
+  "middleware",
+  "models",
+  "modules",
+  "routes",
+  "services",
+];
+
+/** Texto con forma de clave tras t(, una propiedad o un = */
+const KEY_LITERAL_REGEX =
+  /(?:\bt\(\s*|\w+:\s*|=\s*)(["'`])([a-z][A-Za-z0-9]*(?:\.[A-Za-z0-9_]+)+)\1/g;
+
+const COMMENT_LINE_REGEX = /^\s*(\*|\/\/|\/\*)/;
+
+/**
+ * Claves de mensajes que usa un código fuente
+ *
+ * Ignora las líneas de comentarios y los textos cuya primera parte no es
+ * una sección del catálogo (nombres de eventos, de archivos...).
+ *
+ * @param {string} source - Código fuente
+ * @param {string[]} sections - Secciones del catálogo ("users", "validation"...)
+ * @returns {Array<{key: string, line: number}>} Claves con su línea
+ *
+ * @example
+ * collectCodeKeys('throw new NotFoundError(t("users.notFound"));', ["users"]);
+ * // [{ key: "users.notFound", line: 1 }]
+ */
+const collectCodeKeys = (source, sections) =>
+  source.split("\n").flatMap((text, index) =>
+    COMMENT_LINE_REGEX.test(text)
+      ? []
+      : [...text.matchAll(KEY_LITERAL_REGEX)]
+          .map((match) => match[2])
+          .filter((key) => sections.includes(key.split(".")[0]))
+          .map((key) => ({ key, line: index + 1 }))
+  );
+
+/**
+ * Archivos .js de las fuentes, recorriendo los directorios
+ *
+ * @private
+ */
+const listSourceFiles = (root) =>
+  SOURCES.map((source) => path.join(root, source))
+    .filter((file) => fs.existsSync(file))
+    .flatMap(function walk(file) {
+      if (!fs.statSync(file).isDirectory()) {
+        return file.endsWith(".js") ? [file] : [];
+      }
+      return fs
+        .readdirSync(file)
+        .sort()
+        .flatMap((name) => walk(path.join(file, name)));
+    });
+
+/**
+ * Comprobar los catálogos y el código
+ *
+ * @param {Object} [options] - Opciones de la comprobación
+ * @param {string} [options.root] - Raíz del proyecto (por defecto, la de este script)
+ * @returns {{missing: Object, unknown: Array<{file: string, line: number, key: string}>}}
+ * missing: claves que le faltan a cada idioma; unknown: claves del código
+ * que no están en el catálogo del idioma por defecto
+ */
+const checkLocales = ({ root = ROOT } = {}) => {
+  const sections = [
+    ...new Set(
+      SUPPORTED_LOCALES.flatMap((locale) =>
+        Object.keys(require(path.join(ROOT, "locales", locale)))
+      )
+    ),
+  ];
+
+  const unknown = listSourceFiles(root).flatMap((file) =>
+    collectCodeKeys(fs.readFileSync(file, "utf8"), sections)
+      .filter(({ key }) => !hasKey(key))
+      .map(({ key, line }) => ({
+        file: path.relative(root, file),
+        line,
+        key,
+      }))
+  );
+
+  return { missing: findMissingKeys(), unknown };
+};
+
+function main() {
+  if (process.argv.includes("--help")) {
+    console.log("Uso: node scripts/check-locales.js [--help]");
+    return;
+  }
+
+  const { missing, unknown } = checkLocales();
+  let problems = unknown.length;
+
+  Object.entries(missing).forEach(([locale, keys]) => {
+    problems += keys.length;
+    keys.forEach((key) =>
+      console.log(`❌ locales/${locale}.js: falta la clave ${key}`)
+    );
+  });
+  unknown.forEach(({ file, line, key }) =>
+    console.log(`❌ ${file}:${line}: la clave ${key} no está en el catálogo`)
+  );
+
+  if (problems > 0) {
+    console.error(`❌ ${problems} claves sin traducir`);
+    process.exit(1);
+  }
+
+  console.log(
+    `✅ Catálogos completos (${SUPPORTED_LOCALES.join(
+      ", "
+    )}) y todas las claves del código existen`
+  );
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  collectCodeKeys,
+  checkLocales,
+};
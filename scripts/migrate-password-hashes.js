@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Migración única: contraseñas en texto plano → hash
+ *
+ * Recorre los usuarios guardados (activos y eliminados) y reemplaza cada
+ * contraseña en texto plano por su hash con el algoritmo configurado en
+ * USER_PASSWORD_ALGORITHM. Es idempotente y puede repetirse sin riesgo.
+ *
+ * Uso:
+ *   node scripts/migrate-password-hashes.js [--dry-run]
+ *   npm run migrate:passwords -- --dry-run
+ *
+ * Opciones:
+ *   --dry-run   Solo contar las contraseñas pendientes, sin escribir
+ *   --help      Mostrar esta ayuda
+ *
+ * Variables de entorno:
+ *   USER_STORAGE   Almacenamiento a migrar (por defecto "database")
+ *   DB_TYPE, ...   Conexión, igual que la aplicación (config/database.js)
+ */
+
+require("dotenv").config();
+
+const { createUserRepository } = require("../models/User");
+const PasswordMigrationService = require("../services/passwordMigrationService");
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help")) {
+    console.log(
+      "Uso: node scripts/migrate-password-hashes.js [--dry-run] [--help]"
+    );
+    return;
+  }
+
+  const dryRun = args.includes("--dry-run");
+  const repository = createUserRepository({
+    storage: process.env.USER_STORAGE || "database",
+  });
+
+  try {
+    const summary = await new PasswordMigrationService(repository).run({
+      dryRun,
+    });
+
+    console.log(
+      `${dryRun ? "🔎 Simulación" : "✅ Migración completada"}: ${
+        summary.scanned
+      } usuarios revisados, ${summary.migrated} ${
+        dryRun ? "por migrar" : "migrados"
+      }, ${summary.skipped} sin contraseña`
+    );
+  } finally {
+    if (repository.db) {
+      await repository.db.disconnect();
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Error en la migración de contraseñas:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,237 @@
+const { getEmailService } = require("./emailService");
+const { createSignedToken } = require("../modules/signedToken");
+const { userConfig } = require("../config/userConfig");
+const { getTenantBranding } = require("../modules/tenancy");
+const { logger } = require("../modules/logger");
+
+const log = logger.child({ component: "email" });
+
+/** Propósito del token del enlace de verificación (lo comprueba auth.verifyEmail) */
+const EMAIL_VERIFICATION_PURPOSE = "email-verification";
+
+/** Plantilla y funcionalidades destacadas del email de bienvenida */
+const WELCOME_EMAIL = {
+  template: "welcome-v2",
+  features: ["advanced-analytics", "premium-support"],
+};
+
+/**
+ * Obtener EmailService solo si Gmail está configurado
+ *
+ * @returns {Promise<EmailService|null>} Servicio de email o null si no hay credenciales
+ */
+const getConfiguredEmailService = async () =>
+  process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD
+    ? getEmailService()
+    : null;
+
+/**
+ * Suscripciones por defecto del bus de eventos que envían emails
+ *
+ * - user.created: email de bienvenida y, si la cuenta está pendiente de
+ *   verificación, el enlace para verificar el email (verifyEmail de
+ *   modules/auth.js), en listeners separados para que un fallo de uno no
+ *   reenvíe el otro al reintentar.
+ *   Las altas masivas (origin "bulk") y las cuentas invitadas no envían nada.
+ * - user.invited: enlace para aceptar la invitación (UserInvitationService).
+ * - auth.password_reset_requested: enlace para restablecer la contraseña.
+ *
+ * Si un envío falla, el error se propaga para que EventBus lo reintente.
+ * Sin credenciales de Gmail los envíos se omiten. Los emails de usuarios de
+ * un tenant llevan su marca (userConfig.tenancy.tenants).
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { eventBus } = require("../modules/eventBus");
+ *
+ * new EmailEventSubscriber().subscribe(eventBus);
+ */
+class EmailEventSubscriber {
+  /**
+   * @constructor
+   * @param {Function} [emailServiceProvider] - async () => EmailService|null (por defecto, el singleton si Gmail está configurado)
+   * @param {Object} [config] - Sobrescribe userConfig.emailVerification
+   */
+  constructor(emailServiceProvider = getConfiguredEmailService, config = {}) {
+    this.emailServiceProvider = emailServiceProvider;
+    this.config = { ...userConfig.emailVerification, ...config };
+  }
+
+  /**
+   * Suscribir los listeners al bus
+   *
+   * @param {EventBus} bus - Bus de eventos de dominio
+   * @returns {Function} Función que cancela todas las suscripciones
+   */
+  subscribe(bus) {
+    const unsubscribers = [
+      bus.subscribe("user.created", (event) => this.onUserCreated(event), {
+        name: "email:user.created",
+      }),
+      bus.subscribe(
+        "user.created",
+        (event) => this.onVerificationRequired(event),
+        { name: "email:user.created:verification" }
+      ),
+      bus.subscribe("user.invited", (event) => this.onUserInvited(event), {
+        name: "email:user.invited",
+      }),
+      bus.subscribe(
+        "auth.password_reset_requested",
+        (event) => this.onPasswordResetRequested(event),
+        { name: "email:auth.password_reset_requested" }
+      ),
+    ];
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
+  /**
+   * Enviar la bienvenida a un usuario nuevo
+   *
+   * @param {Object} event - Evento user.created
+   * @returns {Promise<void>}
+   */
+  async onUserCreated({ payload: { user }, context }) {
+    if (!EmailEventSubscriber._welcomes(user, context)) {
+      return;
+    }
+
+    const emailService = await this._emailService("bienvenida");
+    if (!emailService) {
+      return;
+    }
+
+    await emailService.sendWelcomeEmail(user.email, {
+      name: user.name,
+      email: user.email,
+      id: user.id,
+      ...WELCOME_EMAIL,
+      ...EmailEventSubscriber._branded(user),
+    });
+  }
+
+  /**
+   * Enviar el enlace de verificación a un usuario nuevo pendiente de verificar
+   *
+   * @param {Object} event - Evento user.created
+   * @returns {Promise<void>}
+   */
+  async onVerificationRequired({ payload: { user }, context }) {
+    if (
+      !EmailEventSubscriber._welcomes(user, context) ||
+      user.status !== "pending_verification"
+    ) {
+      return;
+    }
+
+    const emailService = await this._emailService("verificación");
+    if (!emailService) {
+      return;
+    }
+
+    await emailService.sendVerificationEmail(user.email, {
+      name: user.name,
+      token: createSignedToken(
+        { sub: user.id, email: user.email },
+        {
+          secret: this.config.secret,
+          purpose: EMAIL_VERIFICATION_PURPOSE,
+          expiresAt: new Date(
+            Date.now() + this.config.ttlHours * 60 * 60 * 1000
+          ).toISOString(),
+        }
+      ),
+      code: "No requerido (usa el enlace)",
+      ...EmailEventSubscriber._branded(user),
+    });
+  }
+
+  /**
+   * Enviar el enlace para aceptar una invitación (también en los reenvíos)
+   *
+   * @param {Object} event - Evento user.invited
+   * @returns {Promise<void>}
+   */
+  async onUserInvited({ payload: { user, token, expiresAt } }) {
+    const emailService = await this._emailService("invitación");
+    if (!emailService) {
+      return;
+    }
+
+    await emailService.sendInvitationEmail(user.email, {
+      name: user.name,
+      token,
+      expiresAt,
+      ttlHours: userConfig.invitations.ttlHours,
+      ...EmailEventSubscriber._branded(user),
+    });
+  }
+
+  /**
+   * Enviar el enlace para restablecer la contraseña
+   *
+   * @param {Object} event - Evento auth.password_reset_requested
+   * @returns {Promise<void>}
+   */
+  async onPasswordResetRequested({ payload: { user, resetToken } }) {
+    const emailService = await this._emailService("recuperación de contraseña");
+    if (!emailService) {
+      return;
+    }
+
+    await emailService.sendPasswordResetEmail(user.email, {
+      name: user.name,
+      token: resetToken,
+      ...EmailEventSubscriber._branded(user),
+    });
+  }
+
+  /**
+   * Indicar si el alta de un usuario envía emails: no las masivas ni las de
+   * invitados, que reciben el email de user.invited en su lugar
+   *
+   * @param {Object} user - Usuario del evento
+   * @param {Object} context - Contexto del evento (origin)
+   * @returns {boolean} true si se envían la bienvenida y la verificación
+   * @private
+   */
+  static _welcomes(user, context) {
+    return context.origin !== "bulk" && user.status !== "invited";
+  }
+
+  /**
+   * Marca del tenant del usuario para los datos del email ({} sin tenant o
+   * si el tenant no tiene marca)
+   *
+   * @param {Object} user - Usuario del evento (con tenantId)
+   * @returns {Object} { branding } o {}
+   * @private
+   */
+  static _branded(user) {
+    const branding = getTenantBranding(user.tenantId);
+    return branding ? { branding } : {};
+  }
+
+  /**
+   * Obtener el servicio de email o registrar que el envío se omite
+   *
+   * @param {string} label - Tipo de email, para el mensaje
+   * @returns {Promise<EmailService|null>} Servicio de email o null
+   */
+  async _emailService(label) {
+    const emailService = await this.emailServiceProvider();
+    if (!emailService) {
+      log.info("Email no configurado: se omite el envío", { email: label });
+    }
+
+    return emailService;
+  }
+}
+
+module.exports = EmailEventSubscriber;
+module.exports.EMAIL_VERIFICATION_PURPOSE = EMAIL_VERIFICATION_PURPOSE;
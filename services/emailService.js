@@ -7,6 +7,14 @@ const {
   getProviderConfig,
   validateConfig,
 } = require("../config/emailConfig");
+const { eventBus } = require("../modules/eventBus");
+const { RateLimitError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+const {
+  logger,
+  getRequestContext,
+  runWithRequestContext,
+} = require("../modules/logger");
 
 /**
  * Servicio completo para envío de emails con múltiples proveedores
@@ -57,6 +65,8 @@ class EmailService {
    * automáticamente la inicialización del servicio.
    *
    * @constructor
+   * @param {Object} [options] - Opciones del servicio
+   * @param {EventBus|null} [options.events] - Bus donde se publican email.sent y email.failed (por defecto el compartido)
    *
    * @property {Object} transporter - Instancia de Nodemailer para envío de emails
    * @property {Map<string, Function>} templates - Mapa de plantillas Handlebars compiladas
@@ -76,7 +86,12 @@ class EmailService {
    * const emailService = new EmailService();
    * // Inicializa automáticamente con init()
    */
-  constructor() {
+  constructor({ events = eventBus } = {}) {
+    this.events = events;
+    this.logger = logger.child(
+      { component: "email" },
+      { level: emailConfig.logging.level }
+    );
     this.transporter = null;
     this.templates = new Map();
     this.emailQueue = [];
@@ -132,7 +147,7 @@ class EmailService {
 
       this.log("info", "EmailService inicializado correctamente");
     } catch (error) {
-      this.log("error", `Error al inicializar EmailService: ${error.message}`);
+      this.log("error", "Error al inicializar EmailService", { error });
       throw error;
     }
   }
@@ -163,12 +178,11 @@ class EmailService {
 
       // Verificar conexión
       await this.transporter.verify();
-      this.log(
-        "info",
-        `Transporter creado exitosamente para: ${emailConfig.provider}`
-      );
+      this.log("info", "Transporter creado", {
+        provider: emailConfig.provider,
+      });
     } catch (error) {
-      this.log("error", `Error al crear transporter: ${error.message}`);
+      this.log("error", "Error al crear transporter", { error });
       throw error;
     }
   }
@@ -209,32 +223,38 @@ class EmailService {
           const templateContent = await fs.readFile(templatePath, "utf-8");
 
           this.templates.set(templateName, handlebars.compile(templateContent));
-          this.log("debug", `Template cargado: ${templateName}`);
+          this.log("debug", "Template cargado", { template: templateName });
         }
       }
 
-      this.log("info", `${this.templates.size} templates cargados`);
+      this.log("info", "Templates cargados", { count: this.templates.size });
     } catch (error) {
-      this.log("error", `Error al cargar templates: ${error.message}`);
+      this.log("error", "Error al cargar templates", { error });
       throw error;
     }
   }
 
   /**
    * Renderizar template con datos
+   *
+   * @param {string} templateName - Nombre de la plantilla
+   * @param {Object} [data={}] - Datos de la plantilla
+   * @param {Object|null} [branding=null] - Marca del tenant ({ companyName, fromName },
+   * ver getTenantBranding en modules/tenancy.js); por defecto emailConfig.fromName
    */
-  renderTemplate(templateName, data = {}) {
+  renderTemplate(templateName, data = {}, branding = null) {
     if (!this.templates.has(templateName)) {
       throw new Error(`Template no encontrado: ${templateName}`);
     }
 
+    const companyName =
+      (branding && branding.companyName) || emailConfig.fromName;
+
     // Datos por defecto
     const defaultData = {
-      companyName: emailConfig.fromName,
+      companyName,
       companyAddress: "123 Main Street, Ciudad, País",
-      footerText: `© ${new Date().getFullYear()} ${
-        emailConfig.fromName
-      }. Todos los derechos reservados.`,
+      footerText: `© ${new Date().getFullYear()} ${companyName}. Todos los derechos reservados.`,
       socialLinks: "",
       unsubscribeUrl: `${emailConfig.templates.baseUrl}/unsubscribe`,
       language: emailConfig.templates.defaultLanguage,
@@ -258,12 +278,21 @@ class EmailService {
 
   /**
    * Enviar email individual
+   *
+   * Publica email.sent al enviarlo y email.failed si falla y no se va a
+   * reintentar (final).
+   *
+   * @param {Object} options - Opciones del email (ver queueEmail)
+   * @param {Object} [delivery] - Opciones del envío
+   * @param {boolean} [delivery.final=true] - false si la cola reintentará el envío
    */
-  async sendEmail(options) {
+  async sendEmail(options, { final = true } = {}) {
     try {
       // Verificar rate limit
       if (!this.checkRateLimit()) {
-        throw new Error("Rate limit excedido");
+        throw new RateLimitError(t("emails.rateLimited"), {
+          retryAfter: this.getRateLimitRetryAfter(),
+        });
       }
 
       const emailOptions = await this.prepareEmailOptions(options);
@@ -280,11 +309,18 @@ class EmailService {
       if (emailConfig.development.enabled && !process.env.FORCE_EMAIL_SEND) {
         // En desarrollo, simular envío
         result = this.simulateEmailSend(emailOptions);
-        this.log("info", `Email simulado enviado a: ${emailOptions.to}`);
+        this.log("info", "Email simulado enviado", {
+          to: emailOptions.to,
+          subject: emailOptions.subject,
+        });
       } else {
         // Envío real
         result = await this.transporter.sendMail(emailOptions);
-        this.log("info", `Email enviado exitosamente a: ${emailOptions.to}`);
+        this.log("info", "Email enviado", {
+          to: emailOptions.to,
+          subject: emailOptions.subject,
+          messageId: result.messageId,
+        });
       }
 
       // Actualizar contadores
@@ -295,6 +331,9 @@ class EmailService {
         messageId: result.messageId,
         response: result.response,
       });
+      this.publishEmailEvent("email.sent", options, {
+        messageId: result.messageId,
+      });
 
       return {
         success: true,
@@ -302,13 +341,18 @@ class EmailService {
         response: result.response,
       };
     } catch (error) {
-      this.log("error", `Error al enviar email: ${error.message}`);
+      this.log("error", "Error al enviar email", { to: options.to, error });
 
       this.failedEmails.push({
         ...options,
         error: error.message,
         failedAt: new Date(),
       });
+      if (final) {
+        this.publishEmailEvent("email.failed", options, {
+          error: error.message,
+        });
+      }
 
       throw error;
     }
@@ -316,6 +360,9 @@ class EmailService {
 
   /**
    * Preparar opciones del email
+   *
+   * options.branding (marca del tenant) personaliza la plantilla y el
+   * nombre del remitente; la dirección sigue siendo emailConfig.from.
    */
   async prepareEmailOptions(options) {
     const {
@@ -325,6 +372,7 @@ class EmailService {
       data = {},
       attachments = [],
       priority = "normal",
+      branding = null,
     } = options;
 
     if (!to || !subject) {
@@ -335,7 +383,7 @@ class EmailService {
     let text = "";
 
     if (template) {
-      html = this.renderTemplate(template, data);
+      html = this.renderTemplate(template, data, branding);
       text = this.htmlToText(html);
     } else if (options.html) {
       html = options.html;
@@ -347,7 +395,9 @@ class EmailService {
     }
 
     return {
-      from: `${emailConfig.fromName} <${emailConfig.from}>`,
+      from: `${(branding && branding.fromName) || emailConfig.fromName} <${
+        emailConfig.from
+      }>`,
       to: Array.isArray(to) ? to.join(", ") : to,
       subject,
       html,
@@ -388,6 +438,7 @@ class EmailService {
    * @param {string} [options.text] - Contenido de texto plano alternativo
    * @param {Array} [options.attachments] - Array de archivos adjuntos
    * @param {string} [options.priority] - Prioridad del email ('high', 'normal', 'low')
+   * @param {Object} [options.branding] - Marca del tenant: companyName (plantilla) y fromName (remitente)
    *
    * @returns {Promise<Object>} Resultado del envío con ID y estado
    * @returns {string} return.emailId - ID único del email
@@ -447,6 +498,8 @@ class EmailService {
     const queueItem = {
       id: this.generateId(),
       options,
+      // Contexto de la petición que encola el email, para sus registros
+      context: { ...getRequestContext() },
       attempts: 0,
       maxAttempts: emailConfig.retry.attempts,
       addedAt: new Date(),
@@ -454,12 +507,12 @@ class EmailService {
     };
 
     this.emailQueue.push(queueItem);
-    this.log("info", `Email agregado a la cola: ${queueItem.id}`);
+    this.log("info", "Email agregado a la cola", { queueId: queueItem.id });
 
     return {
       success: true,
       queueId: queueItem.id,
-      message: "Email agregado a la cola de envío",
+      message: t("emails.queued"),
     };
   }
 
@@ -476,35 +529,40 @@ class EmailService {
       while (this.emailQueue.length > 0) {
         const batch = this.emailQueue.splice(0, emailConfig.queue.batchSize);
 
-        const promises = batch.map(async (item) => {
-          try {
-            await this.sendEmail(item.options);
-            item.status = "sent";
-            this.log("info", `Email de cola enviado: ${item.id}`);
-          } catch (error) {
-            item.attempts++;
-            item.lastError = error.message;
-
-            if (item.attempts < item.maxAttempts) {
-              item.status = "retrying";
-              // Reagregar a la cola con delay
-              setTimeout(() => {
-                this.emailQueue.push(item);
-              }, this.calculateRetryDelay(item.attempts));
-
-              this.log(
-                "warn",
-                `Reintentando email ${item.id} (intento ${item.attempts}/${item.maxAttempts})`
-              );
-            } else {
-              item.status = "failed";
-              this.log(
-                "error",
-                `Email fallido definitivamente: ${item.id} - ${error.message}`
-              );
+        const promises = batch.map((item) =>
+          runWithRequestContext(item.context, async () => {
+            try {
+              await this.sendEmail(item.options, {
+                final: item.attempts + 1 >= item.maxAttempts,
+              });
+              item.status = "sent";
+              this.log("info", "Email de cola enviado", { queueId: item.id });
+            } catch (error) {
+              item.attempts++;
+              item.lastError = error.message;
+
+              if (item.attempts < item.maxAttempts) {
+                item.status = "retrying";
+                // Reagregar a la cola con delay
+                setTimeout(() => {
+                  this.emailQueue.push(item);
+                }, this.calculateRetryDelay(item.attempts));
+
+                this.log("warn", "Reintentando email", {
+                  queueId: item.id,
+                  attempt: item.attempts,
+                  maxAttempts: item.maxAttempts,
+                });
+              } else {
+                item.status = "failed";
+                this.log("error", "Email fallido definitivamente", {
+                  queueId: item.id,
+                  error,
+                });
+              }
             }
-          }
-        });
+          })
+        );
 
         await Promise.allSettled(promises);
 
@@ -521,6 +579,28 @@ class EmailService {
     processQueue();
   }
 
+  /**
+   * Publicar un evento de email en el bus (sin contenido ni adjuntos)
+   *
+   * @param {string} type - email.sent o email.failed
+   * @param {Object} options - Opciones del email
+   * @param {Object} details - messageId o error
+   */
+  publishEmailEvent(type, options, details) {
+    if (!this.events) {
+      return;
+    }
+
+    this.events.publish(type, {
+      email: {
+        to: options.to,
+        subject: options.subject,
+        template: options.template || null,
+        ...details,
+      },
+    });
+  }
+
   /**
    * Calcular delay para reintentos
    */
@@ -571,6 +651,22 @@ class EmailService {
     return true;
   }
 
+  /**
+   * Segundos hasta que se reinicia el límite agotado (el diario si se
+   * agotaron ambos)
+   *
+   * @returns {number} Segundos hasta poder volver a enviar
+   */
+  getRateLimitRetryAfter() {
+    const { hourly, daily } = this.rateLimitCounters;
+    const resetTime =
+      daily.count >= emailConfig.rateLimit.maxPerDay
+        ? daily.resetTime
+        : hourly.resetTime;
+
+    return Math.max(1, Math.ceil((resetTime - Date.now()) / 1000));
+  }
+
   /**
    * Actualizar contadores de rate limit
    */
@@ -623,7 +719,7 @@ class EmailService {
       existingData.push(emailData);
       await fs.writeFile(filePath, JSON.stringify(existingData, null, 2));
     } catch (error) {
-      this.log("error", `Error al guardar email en archivo: ${error.message}`);
+      this.log("error", "Error al guardar email en archivo", { error });
     }
   }
 
@@ -694,11 +790,16 @@ class EmailService {
       emailData.features = userData.features;
     }
 
+    const { branding = null } = userData;
+
     return await this.queueEmail({
       to: userEmail,
-      subject: `¡Bienvenido a ${emailConfig.fromName}!`,
+      subject: `¡Bienvenido a ${
+        (branding && branding.companyName) || emailConfig.fromName
+      }!`,
       template: templateName,
       data: emailData,
+      branding,
     });
   }
 
@@ -716,6 +817,7 @@ class EmailService {
         requestIP: resetData.ip || "No disponible",
         userAgent: resetData.userAgent || "No disponible",
       },
+      branding: resetData.branding,
     });
   }
 
@@ -733,23 +835,123 @@ class EmailService {
         requestDate: new Date().toLocaleString("es-ES"),
         expirationDate: new Date(Date.now() + 86400000).toLocaleString("es-ES"),
       },
+      branding: verificationData.branding,
+    });
+  }
+
+  /**
+   * Enviar al nuevo email el enlace de confirmación de un cambio de email
+   *
+   * Usa la plantilla email-verification; la dirección no se cambia hasta
+   * que se abre el enlace (ver UserEmailChangeService).
+   *
+   * @param {string} newEmail - Nuevo email pendiente de confirmar
+   * @param {Object} changeData - Datos del cambio
+   * @param {string} changeData.name - Nombre del usuario
+   * @param {string} changeData.token - Token firmado del enlace de confirmación
+   * @param {string} changeData.expiresAt - Fecha ISO de caducidad del enlace
+   * @param {number} [changeData.ttlHours=24] - Horas de validez del enlace
+   * @returns {Promise<Object>} Resultado de queueEmail
+   */
+  async sendEmailChangeConfirmation(newEmail, changeData) {
+    return await this.queueEmail({
+      to: newEmail,
+      subject: "Confirma tu nuevo email",
+      template: "email-verification",
+      data: {
+        userName: changeData.name,
+        userEmail: newEmail,
+        verificationUrl: `${emailConfig.templates.baseUrl}/confirm-email-change?token=${changeData.token}`,
+        verificationCode: "No requerido (usa el enlace)",
+        expirationTime: `${changeData.ttlHours || 24} horas`,
+        requestDate: new Date().toLocaleString("es-ES"),
+        expirationDate: new Date(changeData.expiresAt).toLocaleString("es-ES"),
+      },
+      branding: changeData.branding,
+    });
+  }
+
+  /**
+   * Avisar al email anterior de un cambio de email, con enlace para revertirlo
+   *
+   * @param {string} oldEmail - Email actual del usuario
+   * @param {Object} changeData - Datos del cambio
+   * @param {string} changeData.name - Nombre del usuario
+   * @param {string} changeData.newEmail - Nuevo email solicitado
+   * @param {string} changeData.token - Token firmado del enlace "No fui yo"
+   * @returns {Promise<Object>} Resultado de queueEmail
+   */
+  async sendEmailChangeNotice(oldEmail, changeData) {
+    return await this.sendNotificationEmail(oldEmail, {
+      title: "Se ha solicitado cambiar tu email",
+      userName: changeData.name,
+      message: `Se ha solicitado cambiar el email de tu cuenta a ${changeData.newEmail}. El cambio no se aplicará hasta que se confirme desde esa dirección.`,
+      type: "warning",
+      isUrgent: true,
+      urgentMessage:
+        "Si no has sido tú, revierte el cambio y cambia tu contraseña.",
+      hasAction: true,
+      actionUrl: `${emailConfig.templates.baseUrl}/revert-email-change?token=${changeData.token}`,
+      actionButtonText: "No fui yo",
+      actionDescription:
+        "El enlace descarta el cambio pendiente o, si ya se confirmó, restaura este email.",
+      branding: changeData.branding,
+    });
+  }
+
+  /**
+   * Enviar a un invitado el enlace para aceptar su invitación
+   *
+   * Usa la plantilla invitation; al abrir el enlace el invitado elige su
+   * contraseña (ver UserInvitationService).
+   *
+   * @param {string} userEmail - Email del invitado
+   * @param {Object} invitationData - Datos de la invitación
+   * @param {string} invitationData.name - Nombre del invitado
+   * @param {string} invitationData.token - Token firmado del enlace
+   * @param {string} invitationData.expiresAt - Fecha ISO de caducidad del enlace
+   * @param {number} [invitationData.ttlHours=72] - Horas de validez del enlace
+   * @returns {Promise<Object>} Resultado de queueEmail
+   */
+  async sendInvitationEmail(userEmail, invitationData) {
+    const { branding = null } = invitationData;
+
+    return await this.queueEmail({
+      to: userEmail,
+      subject: `Te han invitado a ${
+        (branding && branding.companyName) || emailConfig.fromName
+      }`,
+      template: "invitation",
+      data: {
+        userName: invitationData.name,
+        userEmail,
+        invitationUrl: `${emailConfig.templates.baseUrl}/accept-invitation?token=${invitationData.token}`,
+        expirationTime: `${invitationData.ttlHours || 72} horas`,
+        expirationDate: new Date(invitationData.expiresAt).toLocaleString(
+          "es-ES"
+        ),
+      },
+      branding,
     });
   }
 
   async sendNotificationEmail(userEmail, notificationData) {
+    const { branding = null, ...notification } = notificationData;
+
     return await this.queueEmail({
       to: userEmail,
-      subject: notificationData.title,
+      subject: notification.title,
       template: "notification",
       data: {
-        userName: notificationData.userName,
-        notificationTitle: notificationData.title,
-        notificationMessage: notificationData.message,
-        notificationType: notificationData.type || "info",
+        userName: notification.userName,
+        notificationTitle: notification.title,
+        notificationMessage: notification.message,
+        notificationType: notification.type || "info",
         notificationDate: new Date().toLocaleString("es-ES"),
         notificationId: this.generateId(),
-        ...notificationData,
+        ...notification,
       },
+      branding,
     });
   }
 
@@ -803,6 +1005,42 @@ class EmailService {
     };
   }
 
+  /**
+   * Obtener el estado de entrega de los emails de un destinatario
+   *
+   * Resume el historial en memoria de la instancia (emails enviados,
+   * fallidos y pendientes en la cola) para una dirección concreta.
+   *
+   * @param {string} recipient - Dirección de email del destinatario
+   * @returns {Object} Estado de entrega
+   * @returns {number} return.sent - Emails enviados
+   * @returns {number} return.failed - Emails fallidos
+   * @returns {number} return.queued - Emails pendientes en la cola
+   * @returns {string|null} return.lastSentAt - Fecha ISO del último envío
+   * @returns {string|null} return.lastFailedAt - Fecha ISO del último fallo
+   * @returns {string|null} return.lastError - Error del último fallo
+   *
+   * @example
+   * emailService.getDeliveryStatus("maria@example.com");
+   * // { sent: 2, failed: 0, queued: 1, lastSentAt: "2025-10-01T08:00:00.000Z", lastFailedAt: null, lastError: null }
+   */
+  getDeliveryStatus(recipient) {
+    const sent = this.sentEmails.filter((email) => email.to === recipient);
+    const failed = this.failedEmails.filter((email) => email.to === recipient);
+    const lastSent = sent[sent.length - 1];
+    const lastFailed = failed[failed.length - 1];
+
+    return {
+      sent: sent.length,
+      failed: failed.length,
+      queued: this.emailQueue.filter((item) => item.options.to === recipient)
+        .length,
+      lastSentAt: lastSent ? lastSent.sentAt.toISOString() : null,
+      lastFailedAt: lastFailed ? lastFailed.failedAt.toISOString() : null,
+      lastError: lastFailed ? lastFailed.error : null,
+    };
+  }
+
   /**
    * Utilidades
    */
@@ -815,17 +1053,19 @@ class EmailService {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  log(level, message) {
+  /**
+   * Registrar un evento del servicio con el logger compartido
+   *
+   * Usa el nivel de EMAIL_LOG_LEVEL; EMAIL_LOGGING_ENABLED=false lo desactiva.
+   *
+   * @param {string} level - "error", "warn", "info" o "debug"
+   * @param {string} message - Descripción del evento
+   * @param {Object} [data] - Datos del evento
+   */
+  log(level, message, data) {
     if (!emailConfig.logging.enabled) return;
 
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-
-    if (emailConfig.development.enabled || level === "error") {
-      console.log(logMessage);
-    }
-
-    // Aquí podrías agregar logging a archivo si lo necesitas
+    this.logger.log(level, message, data);
   }
 }
 
@@ -0,0 +1,283 @@
+const { ApiError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/**
+ * Error de una operación sobre grupos
+ *
+ * status indica la respuesta HTTP adecuada: 404 si el grupo, el usuario o
+ * la pertenencia no existen y 409 si el nombre ya está en uso o el usuario
+ * ya es miembro.
+ *
+ * @class
+ * @extends ApiError
+ */
+class GroupError extends ApiError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Detalles del error
+   * @param {number} [options.status=400] - Código HTTP sugerido
+   */
+  constructor(message, { status = 400 } = {}) {
+    super(message, { status });
+    this.name = "GroupError";
+  }
+}
+
+/**
+ * Servicio de grupos (equipos) de usuarios
+ *
+ * Gestiona los grupos y la pertenencia de los usuarios con un rol en cada
+ * grupo (GROUP_ROLES). Los nombres son únicos sin distinguir mayúsculas.
+ * Los miembros se resuelven contra el repositorio de usuarios: los usuarios
+ * eliminados conservan su pertenencia, pero no aparecen en los listados ni
+ * reciben los envíos al grupo hasta que se restauran.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { groupRepository } = require("../models/Group");
+ * const { userRepository } = require("../models/User");
+ *
+ * const service = new GroupService(groupRepository, userRepository);
+ * const group = await service.create({ name: "Ventas" });
+ * await service.addMember(group.id, userId, "manager");
+ */
+class GroupService {
+  /**
+   * @constructor
+   * @param {GroupRepository|DatabaseGroupRepository} repository - Repositorio de grupos
+   * @param {UserRepository|DatabaseUserRepository} users - Repositorio de usuarios
+   */
+  constructor(repository, users) {
+    this.repository = repository;
+    this.users = users;
+  }
+
+  /**
+   * Obtener todos los grupos con su número de miembros
+   *
+   * @returns {Promise<Array<{group: Group, memberCount: number}>>} Grupos ordenados por nombre
+   */
+  async list() {
+    const groups = await this.repository.findAll();
+
+    return Promise.all(
+      groups.map(async (group) => ({
+        group,
+        memberCount: (await this._resolveMembers(group.id)).length,
+      }))
+    );
+  }
+
+  /**
+   * Crear un grupo
+   *
+   * @param {Object} data - name y description
+   * @returns {Promise<Group>} Grupo creado
+   * @throws {GroupError} 409 si ya existe un grupo con ese nombre
+   */
+  async create({ name, description }) {
+    await this._assertNameAvailable(name);
+    return this.repository.create({ name, description });
+  }
+
+  /**
+   * Obtener un grupo
+   *
+   * @param {string} id - ID del grupo
+   * @returns {Promise<Group>} Grupo
+   * @throws {GroupError} 404 si no existe
+   */
+  async get(id) {
+    const group = await this.repository.findById(id);
+    if (!group) {
+      throw new GroupError(t("groups.notFound"), { status: 404 });
+    }
+
+    return group;
+  }
+
+  /**
+   * Modificar el nombre y/o la descripción de un grupo
+   *
+   * @param {string} id - ID del grupo
+   * @param {Object} changes - name y/o description
+   * @returns {Promise<Group>} Grupo actualizado
+   * @throws {GroupError} 404 si no existe, 409 si el nombre ya está en uso
+   */
+  async update(id, changes) {
+    await this.get(id);
+    if (changes.name !== undefined) {
+      await this._assertNameAvailable(changes.name, id);
+    }
+
+    return this.repository.update(id, changes);
+  }
+
+  /**
+   * Eliminar un grupo y sus pertenencias (los usuarios no se modifican)
+   *
+   * @param {string} id - ID del grupo
+   * @returns {Promise<void>}
+   * @throws {GroupError} 404 si no existe
+   */
+  async remove(id) {
+    if (!(await this.repository.delete(id))) {
+      throw new GroupError(t("groups.notFound"), { status: 404 });
+    }
+  }
+
+  /**
+   * Obtener los miembros de un grupo, opcionalmente filtrados por rol
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {Object} [options] - Opciones de consulta
+   * @param {string[]} [options.roles] - Roles a incluir (todos por defecto)
+   * @returns {Promise<Array<{user: User, membership: GroupMembership}>>} Miembros por orden de alta
+   * @throws {GroupError} 404 si el grupo no existe
+   */
+  async listMembers(groupId, { roles } = {}) {
+    await this.get(groupId);
+    return this._resolveMembers(groupId, roles);
+  }
+
+  /**
+   * Añadir un usuario a un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @param {string} [role="member"] - Uno de GROUP_ROLES
+   * @returns {Promise<{user: User, membership: GroupMembership}>} Miembro añadido
+   * @throws {GroupError} 404 si el grupo o el usuario no existen, 409 si ya es miembro
+   */
+  async addMember(groupId, userId, role) {
+    await this.get(groupId);
+
+    const user = await this.users.findById(userId);
+    if (!user) {
+      throw new GroupError(t("users.notFound"), { status: 404 });
+    }
+
+    if (await this.repository.findMember(groupId, userId)) {
+      throw new GroupError(t("groups.alreadyMember"), {
+        status: 409,
+      });
+    }
+
+    const membership = await this.repository.addMember(groupId, userId, role);
+    return { user, membership };
+  }
+
+  /**
+   * Cambiar el rol de un miembro
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @param {string} role - Uno de GROUP_ROLES
+   * @returns {Promise<GroupMembership>} Pertenencia actualizada
+   * @throws {GroupError} 404 si el grupo no existe o el usuario no es miembro
+   */
+  async updateMember(groupId, userId, role) {
+    await this.get(groupId);
+
+    const membership = await this.repository.updateMember(
+      groupId,
+      userId,
+      role
+    );
+    if (!membership) {
+      throw new GroupError(t("groups.notMember"), {
+        status: 404,
+      });
+    }
+
+    return membership;
+  }
+
+  /**
+   * Quitar un usuario de un grupo
+   *
+   * @param {string} groupId - ID del grupo
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<void>}
+   * @throws {GroupError} 404 si el grupo no existe o el usuario no es miembro
+   */
+  async removeMember(groupId, userId) {
+    await this.get(groupId);
+
+    if (!(await this.repository.removeMember(groupId, userId))) {
+      throw new GroupError(t("groups.notMember"), {
+        status: 404,
+      });
+    }
+  }
+
+  /**
+   * Obtener los grupos de un usuario con su rol en cada uno
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array<{group: Group, membership: GroupMembership}>>} Grupos por orden de alta
+   * @throws {GroupError} 404 si el usuario no existe
+   */
+  async listUserGroups(userId) {
+    if (!(await this.users.findById(userId))) {
+      throw new GroupError(t("users.notFound"), { status: 404 });
+    }
+
+    const memberships = await this.repository.findMemberships(userId);
+    const groups = await Promise.all(
+      memberships.map(async (membership) => ({
+        group: await this.repository.findById(membership.groupId),
+        membership,
+      }))
+    );
+
+    return groups.filter(({ group }) => group);
+  }
+
+  /**
+   * Resolver las pertenencias de un grupo a usuarios existentes
+   *
+   * @private
+   */
+  async _resolveMembers(groupId, roles) {
+    const memberships = (await this.repository.findMembers(groupId)).filter(
+      (membership) => !roles || roles.includes(membership.role)
+    );
+    const members = await Promise.all(
+      memberships.map(async (membership) => ({
+        user: await this.users.findById(membership.userId),
+        membership,
+      }))
+    );
+
+    return members.filter(({ user }) => user);
+  }
+
+  /**
+   * Comprobar que ningún otro grupo usa el nombre (sin distinguir mayúsculas)
+   *
+   * @private
+   */
+  async _assertNameAvailable(name, exceptId = null) {
+    const key = name.trim().toLowerCase();
+    const groups = await this.repository.findAll();
+
+    if (
+      groups.some(
+        (group) =>
+          group.id !== exceptId && group.name.trim().toLowerCase() === key
+      )
+    ) {
+      throw new GroupError(t("groups.nameTaken", { name }), {
+        status: 409,
+      });
+    }
+  }
+}
+
+module.exports = GroupService;
+module.exports.GroupError = GroupError;
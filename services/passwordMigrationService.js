@@ -0,0 +1,90 @@
+const { hashPassword, isPasswordHash } = require("../modules/passwordHasher");
+
+/**
+ * Migración única de contraseñas guardadas en texto plano
+ *
+ * Antes de la versión 1.2.0 los repositorios guardaban la contraseña tal
+ * como llegaba. Este servicio recorre por lotes todos los usuarios, activos
+ * y eliminados, y sustituye cada contraseña que no sea un hash reconocido
+ * por su hash con el algoritmo configurado (userConfig.password). Es
+ * idempotente: los hashes existentes no se tocan, así que puede repetirse.
+ *
+ * Los hashes con parámetros antiguos no se migran aquí; se regeneran al
+ * verificar la contraseña (verifyCredentials).
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { createUserRepository } = require("../models/User");
+ * const PasswordMigrationService = require("./services/passwordMigrationService");
+ *
+ * const migration = new PasswordMigrationService(
+ *   createUserRepository({ storage: "database" })
+ * );
+ * const summary = await migration.run({ dryRun: true });
+ * // { scanned: 120, migrated: 118, skipped: 0 }
+ */
+class PasswordMigrationService {
+  /**
+   * @constructor
+   * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+   * @param {Object} [config] - Opciones de la migración
+   * @param {number} [config.batchSize=500] - Usuarios leídos por consulta
+   */
+  constructor(repository, config = {}) {
+    this.repository = repository;
+    this.config = { batchSize: 500, ...config };
+  }
+
+  /**
+   * Ejecutar la migración
+   *
+   * @param {Object} [options] - Opciones de ejecución
+   * @param {boolean} [options.dryRun=false] - Solo contar, sin escribir
+   * @returns {Promise<{scanned: number, migrated: number, skipped: number}>}
+   * Usuarios revisados, migrados (o por migrar en dryRun) y omitidos por no tener contraseña
+   */
+  async run({ dryRun = false } = {}) {
+    const summary = { scanned: 0, migrated: 0, skipped: 0 };
+
+    for (const finder of ["findPage", "findDeleted"]) {
+      let offset = 0;
+
+      for (;;) {
+        const { users } = await this.repository[finder]({
+          sort: [{ field: "createdAt", order: "asc" }],
+          limit: this.config.batchSize,
+          offset,
+        });
+
+        for (const user of users) {
+          summary.scanned++;
+
+          if (typeof user.password !== "string" || user.password === "") {
+            summary.skipped++;
+          } else if (!isPasswordHash(user.password)) {
+            if (!dryRun) {
+              await this.repository.updatePasswordHash(
+                user.id,
+                await hashPassword(user.password)
+              );
+            }
+            summary.migrated++;
+          }
+        }
+
+        offset += users.length;
+        if (users.length < this.config.batchSize) {
+          break;
+        }
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = PasswordMigrationService;
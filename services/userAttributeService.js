@@ -0,0 +1,195 @@
+const { UserAttribute } = require("../models/UserAttribute");
+const { ApiError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/**
+ * Error de una operación sobre atributos de perfil
+ *
+ * status indica la respuesta HTTP adecuada: 400 si la definición o un
+ * filtro no son válidos, 404 si el atributo no existe y 409 si la clave ya
+ * está en uso.
+ *
+ * @class
+ * @extends ApiError
+ */
+class UserAttributeError extends ApiError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Detalles del error
+   * @param {number} [options.status=400] - Código HTTP sugerido
+   * @param {string[]} [options.errors=[]] - Errores de validación de la definición
+   */
+  constructor(message, { status = 400, errors = [] } = {}) {
+    super(message, { status, errors });
+    this.name = "UserAttributeError";
+  }
+}
+
+/**
+ * Servicio de atributos de perfil definidos por los administradores
+ *
+ * Gestiona las definiciones (UserAttribute) que validan user.profile y
+ * convierte los filtros de listado ?profile.<clave>= al tipo de cada
+ * atributo. La clave y el tipo no pueden modificarse; los cambios en las
+ * restricciones solo afectan a los valores que se escriban después.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { userRepository } = require("../models/User");
+ *
+ * const service = new UserAttributeService(userRepository.attributes);
+ * await service.create({ key: "department", type: "string", enum: ["Ventas", "Soporte"] });
+ */
+class UserAttributeService {
+  /**
+   * @constructor
+   * @param {UserAttributeRepository|DatabaseUserAttributeRepository} repository - Definiciones
+   */
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Obtener todas las definiciones ordenadas por clave
+   *
+   * @returns {Promise<UserAttribute[]>} Definiciones
+   */
+  async list() {
+    return this.repository.findAll();
+  }
+
+  /**
+   * Crear una definición
+   *
+   * @param {Object} data - Datos de la definición (ver UserAttribute)
+   * @returns {Promise<UserAttribute>} Definición creada
+   * @throws {UserAttributeError} 400 si no es válida, 409 si la clave ya existe
+   */
+  async create(data) {
+    UserAttributeService._assertValid(data);
+
+    if (await this.repository.findByKey(data.key)) {
+      throw new UserAttributeError(
+        t("attributes.keyTaken", { key: data.key }),
+        { status: 409 }
+      );
+    }
+
+    return this.repository.create(data);
+  }
+
+  /**
+   * Obtener una definición
+   *
+   * @param {string} key - Clave del atributo
+   * @returns {Promise<UserAttribute>} Definición
+   * @throws {UserAttributeError} 404 si no existe
+   */
+  async get(key) {
+    const attribute = await this.repository.findByKey(key);
+    if (!attribute) {
+      throw new UserAttributeError(t("attributes.notFound"), { status: 404 });
+    }
+
+    return attribute;
+  }
+
+  /**
+   * Modificar las restricciones de una definición
+   *
+   * La definición resultante se valida completa (p. ej. min no puede
+   * superar al max ya guardado).
+   *
+   * @param {string} key - Clave del atributo
+   * @param {Object} changes - label, description, required, enum, pattern, min y/o max
+   * @returns {Promise<UserAttribute>} Definición actualizada
+   * @throws {UserAttributeError} 404 si no existe, 400 si el resultado no es válido
+   */
+  async update(key, changes) {
+    const current = await this.get(key);
+    UserAttributeService._assertValid({ ...current.toJSON(), ...changes });
+
+    return this.repository.update(key, changes);
+  }
+
+  /**
+   * Eliminar una definición
+   *
+   * Los valores guardados en los perfiles se conservan; pueden borrarse
+   * enviando null en la clave.
+   *
+   * @param {string} key - Clave del atributo
+   * @returns {Promise<void>}
+   * @throws {UserAttributeError} 404 si no existe
+   */
+  async remove(key) {
+    if (!(await this.repository.delete(key))) {
+      throw new UserAttributeError(t("attributes.notFound"), { status: 404 });
+    }
+  }
+
+  /**
+   * Convertir los filtros de perfil del listado al tipo de cada atributo
+   *
+   * Solo se comprueba el tipo: un valor fuera de las restricciones del
+   * atributo simplemente no coincide con ningún usuario.
+   *
+   * @param {Object<string, string>} filters - Texto recibido por clave
+   * @returns {Promise<Object>} Valores convertidos por clave
+   * @throws {UserAttributeError} 400 si un atributo no existe o el valor no es de su tipo
+   *
+   * @example
+   * await service.parseFilters({ age: "42", newsletter: "true" });
+   * // { age: 42, newsletter: true }
+   */
+  async parseFilters(filters) {
+    const attributes = await this.repository.findAll();
+    const parsed = {};
+    const errors = [];
+
+    Object.entries(filters).forEach(([key, text]) => {
+      const attribute = attributes.find((candidate) => candidate.key === key);
+      if (!attribute) {
+        errors.push(t("attributes.undefined", { key }));
+        return;
+      }
+
+      const value = attribute.parseValue(text);
+      const message = attribute.validateType(value);
+      if (message) {
+        errors.push(message);
+      } else {
+        parsed[key] = value;
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new UserAttributeError(t("validation.queryInvalid"), {
+        errors,
+      });
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Validar una definición completa
+   *
+   * @private
+   */
+  static _assertValid(data) {
+    const validation = UserAttribute.validate(data);
+    if (!validation.isValid) {
+      throw new UserAttributeError(t("attributes.invalid"), {
+        errors: validation.errors,
+      });
+    }
+  }
+}
+
+module.exports = UserAttributeService;
+module.exports.UserAttributeError = UserAttributeError;
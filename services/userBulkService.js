@@ -0,0 +1,480 @@
+const {
+  User,
+  VersionConflictError,
+  assertEmailAvailable,
+  assertValidProfile,
+} = require("../models/User");
+const { userConfig } = require("../config/userConfig");
+const { ApiError } = require("../modules/errors");
+const { logger } = require("../modules/logger");
+const { t } = require("../modules/i18n");
+
+const log = logger.child({ component: "bulk" });
+
+/** Modos de ejecución admitidos por POST /api/users/bulk */
+const BULK_MODES = ["atomic", "best-effort"];
+
+/** Operaciones admitidas dentro de un lote */
+const BULK_OPERATIONS = ["create", "update", "delete"];
+
+/** Campos que una operación create/update puede escribir */
+const WRITABLE_FIELDS = ["name", "email", "password", "profile", "locale"];
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Error de una operación concreta del lote, con su código HTTP
+ */
+class BulkOperationError extends ApiError {
+  constructor(status, message) {
+    super(message, { status });
+    this.name = "BulkOperationError";
+  }
+}
+
+/**
+ * Servicio de operaciones masivas sobre usuarios
+ *
+ * Procesa un lote de operaciones create, update y delete en dos fases:
+ *
+ * 1. Planificación: valida cada operación con User.validate/validateUpdate
+ *    (y el perfil contra los atributos definidos) y simula el lote en orden, comprobando emails duplicados tanto contra los
+ *    usuarios guardados (incluidos los eliminados, igual que
+ *    UserRepository.create) como contra las operaciones anteriores del lote.
+ * 2. Aplicación: en modo "best-effort" se aplican las operaciones válidas y
+ *    el resto se informa como fallida; en modo "atomic" solo se aplica el
+ *    lote si todas son válidas, y si una escritura falla a mitad se deshacen
+ *    las ya aplicadas en orden inverso.
+ *
+ * Cada usuario solo puede aparecer en una operación update/delete por lote,
+ * así las compensaciones del modo atómico son siempre exactas.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { userRepository } = require("../models/User");
+ * const UserBulkService = require("./services/userBulkService");
+ *
+ * const result = await new UserBulkService(userRepository).execute(
+ *   [
+ *     { op: "create", data: { name: "Ana", email: "ana@example.com", password: "123456" } },
+ *     { op: "delete", id: "123e4567-e89b-12d3-a456-426614174000" }
+ *   ],
+ *   { mode: "atomic" }
+ * );
+ * // result.summary => { total: 2, succeeded: 2, failed: 0 }
+ */
+class UserBulkService {
+  /**
+   * @constructor
+   * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+   * @param {Object} [config] - Sobrescribe userConfig.bulk
+   */
+  constructor(repository, config = {}) {
+    this.repository = repository;
+    this.config = { ...userConfig.bulk, ...config };
+  }
+
+  /**
+   * Ejecutar un lote de operaciones
+   *
+   * @param {Object[]} operations - Operaciones del lote
+   * @param {string} operations[].op - "create", "update" o "delete"
+   * @param {string} [operations[].id] - ID del usuario (update y delete)
+   * @param {Object} [operations[].data] - Campos name, email, password y profile (create y update)
+   * @param {number} [operations[].version] - Versión esperada del usuario (update), como If-Match
+   * @param {Object} [options] - Opciones de ejecución
+   * @param {string} [options.mode] - "atomic" o "best-effort" (por defecto userConfig.bulk.defaultMode)
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial de cambios
+   *
+   * @returns {Promise<Object>} Resultado con mode, applied, summary y results
+   * (uno por operación, en el mismo orden, con index, op, id, status y data o error)
+   */
+  async execute(operations, { mode = this.config.defaultMode, context } = {}) {
+    // Los eventos de dominio del lote llevan origin "bulk" (sin email de bienvenida)
+    context = { ...context, origin: "bulk" };
+
+    const plan = await this._plan(operations);
+    const failed = plan.some((item) => item.error);
+    let applied = true;
+
+    if (mode === "atomic") {
+      applied = !failed && (await this._applyAtomic(plan, context));
+
+      if (!applied) {
+        plan
+          .filter((item) => !item.error)
+          .forEach((item) => {
+            item.error = new BulkOperationError(
+              424,
+              item.reverted ? t("bulk.reverted") : t("bulk.notApplied")
+            );
+          });
+      }
+    } else {
+      for (const item of plan.filter((candidate) => !candidate.error)) {
+        try {
+          await this._apply(item, context);
+        } catch (error) {
+          item.error = error;
+        }
+      }
+    }
+
+    const results = plan.map((item) => this._toResult(item));
+    const succeeded = results.filter((result) => result.success).length;
+
+    return {
+      mode,
+      applied,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+      results,
+    };
+  }
+
+  /**
+   * Validar y simular el lote en orden sin escribir nada
+   */
+  async _plan(operations) {
+    const state = {
+      claimedEmails: new Set(),
+      releasedEmails: new Set(),
+      touchedIds: new Set(),
+    };
+    const plan = [];
+
+    for (const [index, operation] of operations.entries()) {
+      const item = {
+        index,
+        op: operation && operation.op,
+        id: operation && operation.id,
+      };
+
+      try {
+        await this._prepare(item, operation, state);
+      } catch (error) {
+        item.error = error;
+      }
+
+      plan.push(item);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Preparar una operación: validar, comprobar existencia y reservar emails
+   */
+  async _prepare(item, operation, state) {
+    if (
+      !operation ||
+      typeof operation !== "object" ||
+      !BULK_OPERATIONS.includes(operation.op)
+    ) {
+      throw new BulkOperationError(
+        400,
+        t("bulk.unsupportedOperation", {
+          operations: BULK_OPERATIONS.join(", "),
+        })
+      );
+    }
+
+    if (operation.op === "create") {
+      item.data = this._pickWritable(operation.data);
+
+      const validation = User.validate(item.data);
+      if (!validation.isValid) {
+        throw new BulkOperationError(
+          400,
+          t("validation.invalidData", {
+            errors: validation.errors.join(", "),
+          })
+        );
+      }
+      await this._assertProfile(item.data.profile || {});
+
+      await this._claimEmail(item.data.email, null, state);
+      return;
+    }
+
+    if (typeof item.id !== "string" || !UUID_REGEX.test(item.id)) {
+      throw new BulkOperationError(400, t("validation.idFormat"));
+    }
+
+    if (state.touchedIds.has(item.id)) {
+      throw new BulkOperationError(409, t("bulk.userRepeated"));
+    }
+
+    const current = await this.repository.findById(item.id);
+    if (!current) {
+      throw new BulkOperationError(404, t("users.notFound"));
+    }
+
+    if (operation.op === "delete") {
+      state.touchedIds.add(item.id);
+      return;
+    }
+
+    item.data = this._pickWritable(operation.data);
+    if (Object.keys(item.data).length === 0) {
+      throw new BulkOperationError(
+        400,
+        t("bulk.noUpdateFields", { fields: WRITABLE_FIELDS.join(", ") })
+      );
+    }
+
+    const validation = User.validateUpdate(item.data);
+    if (!validation.isValid) {
+      throw new BulkOperationError(
+        400,
+        t("validation.invalidData", {
+          errors: validation.errors.join(", "),
+        })
+      );
+    }
+    if (item.data.profile !== undefined) {
+      await this._assertProfile(item.data.profile, { partial: true });
+    }
+
+    if (operation.version !== undefined) {
+      item.expectedVersion = operation.version;
+      if (current.version !== operation.version) {
+        throw new VersionConflictError(current.version);
+      }
+    }
+
+    if (item.data.email !== undefined && item.data.email !== current.email) {
+      await this._claimEmail(item.data.email, item.id, state);
+      state.releasedEmails.add(current.email);
+    }
+    state.touchedIds.add(item.id);
+
+    // Copia de los valores actuales para poder revertir en modo atómico; del
+    // perfil, solo las claves que cambian (null en las que no existían)
+    item.previous = {};
+    Object.keys(item.data).forEach((field) => {
+      item.previous[field] = current[field];
+    });
+    if (item.data.profile !== undefined) {
+      item.previous.profile = {};
+      Object.keys(item.data.profile).forEach((key) => {
+        item.previous.profile[key] = current.profile[key] ?? null;
+      });
+    }
+  }
+
+  /**
+   * Validar un perfil o sus cambios contra los atributos definidos
+   */
+  async _assertProfile(profile, options) {
+    try {
+      await assertValidProfile(this.repository, profile, options);
+    } catch (error) {
+      throw new BulkOperationError(400, error.message);
+    }
+  }
+
+  /**
+   * Reservar un email para una operación del lote
+   *
+   * Aplica la misma regla que UserRepository.create: el email no puede
+   * pertenecer a otro usuario, ni activo ni eliminado pendiente de purga.
+   * Los emails que una actualización anterior del lote deja libres se
+   * pueden reutilizar en operaciones posteriores.
+   */
+  async _claimEmail(email, ownerId, state) {
+    if (state.claimedEmails.has(email)) {
+      throw new BulkOperationError(409, t("bulk.emailRepeated"));
+    }
+
+    if (!state.releasedEmails.has(email)) {
+      const existing = await this.repository.findByEmail(email, {
+        includeDeleted: true,
+      });
+
+      if (existing && existing.id !== ownerId) {
+        try {
+          assertEmailAvailable(existing);
+        } catch (error) {
+          throw new BulkOperationError(409, error.message);
+        }
+      }
+    }
+
+    state.claimedEmails.add(email);
+  }
+
+  /**
+   * Aplicar todo el plan; si una escritura falla se revierten las anteriores
+   *
+   * @returns {Promise<boolean>} true si todas las operaciones quedaron aplicadas
+   */
+  async _applyAtomic(plan, context) {
+    const done = [];
+
+    for (const item of plan) {
+      try {
+        await this._apply(item, context);
+        done.push(item);
+      } catch (error) {
+        item.error = error;
+
+        for (const appliedItem of done.reverse()) {
+          await this._revert(appliedItem, context);
+        }
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Ejecutar una operación ya validada contra el repositorio
+   */
+  async _apply(item, context) {
+    if (item.op === "create") {
+      item.user = await this.repository.create(item.data, { context });
+      item.id = item.user.id;
+      item.status = 201;
+      return;
+    }
+
+    let found;
+    if (item.op === "update") {
+      item.user = await this.repository.update(item.id, item.data, {
+        expectedVersion: item.expectedVersion,
+        context,
+      });
+      found = Boolean(item.user);
+    } else {
+      found = await this.repository.delete(item.id, { context });
+    }
+
+    if (!found) {
+      throw new BulkOperationError(404, t("users.notFound"));
+    }
+    item.status = 200;
+  }
+
+  /**
+   * Deshacer una operación aplicada (compensación del modo atómico)
+   *
+   * Revertir una actualización incrementa de nuevo la versión del usuario.
+   * La contraseña anterior ya es un hash, así que se repone con
+   * updatePasswordHash en lugar de volver a pasar por update. Las
+   * compensaciones también quedan en el historial de cambios.
+   */
+  async _revert(item, context) {
+    try {
+      if (item.op === "create") {
+        await this.repository.destroy(item.id, { context });
+      } else if (item.op === "update") {
+        const { password, ...fields } = item.previous;
+        if (Object.keys(fields).length > 0) {
+          await this.repository.update(item.id, fields, { context });
+        }
+        if (password !== undefined) {
+          await this.repository.updatePasswordHash(item.id, password, {
+            context,
+          });
+        }
+      } else {
+        await this.repository.restore(item.id, { context });
+      }
+      item.reverted = true;
+    } catch (error) {
+      log.error("No se pudo revertir la operación", {
+        index: item.index,
+        op: item.op,
+        error,
+      });
+      item.error = new BulkOperationError(
+        500,
+        t("bulk.revertFailed", { error: error.message })
+      );
+    }
+  }
+
+  /**
+   * Quedarse solo con los campos escribibles y normalizarlos como validateUser
+   */
+  _pickWritable(data) {
+    const picked = {};
+
+    if (!data || typeof data !== "object") {
+      return picked;
+    }
+
+    WRITABLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    });
+
+    if (typeof picked.name === "string") {
+      picked.name = picked.name.trim();
+    }
+    if (typeof picked.email === "string") {
+      picked.email = picked.email.toLowerCase().trim();
+    }
+
+    return picked;
+  }
+
+  /**
+   * Resultado público de una operación
+   */
+  _toResult(item) {
+    const result = {
+      index: item.index,
+      op: item.op,
+      ...(item.id !== undefined && { id: item.id }),
+    };
+
+    if (item.error) {
+      return {
+        ...result,
+        success: false,
+        status: this._statusFor(item.error),
+        error: item.error.message,
+        ...(item.error instanceof VersionConflictError && {
+          currentVersion: item.error.currentVersion,
+        }),
+      };
+    }
+
+    return {
+      ...result,
+      success: true,
+      status: item.status,
+      ...(item.op !== "delete" && { data: item.user.toJSON() }),
+    };
+  }
+
+  /**
+   * Código HTTP de una operación fallida
+   */
+  _statusFor(error) {
+    if (error instanceof BulkOperationError) {
+      return error.status;
+    }
+    if (error instanceof VersionConflictError) {
+      return 412;
+    }
+    return 400;
+  }
+}
+
+module.exports = UserBulkService;
+module.exports.BULK_MODES = BULK_MODES;
+module.exports.BULK_OPERATIONS = BULK_OPERATIONS;
+module.exports.WRITABLE_FIELDS = WRITABLE_FIELDS;
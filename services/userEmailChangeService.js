@@ -0,0 +1,301 @@
+const { userConfig } = require("../config/userConfig");
+const {
+  SignedTokenError,
+  createSignedToken,
+  verifySignedToken,
+} = require("../modules/signedToken");
+const { ApiError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/** Propósitos de los tokens firmados del cambio de email */
+const EMAIL_CHANGE_PURPOSES = {
+  confirm: "email-change-confirm",
+  revert: "email-change-revert",
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Campos que descartan el cambio de email pendiente */
+const CLEARED_PENDING_EMAIL = {
+  pendingEmail: null,
+  pendingEmailExpiresAt: null,
+};
+
+/**
+ * Error de un cambio de email
+ *
+ * status indica la respuesta HTTP adecuada: 400 si el enlace no es válido,
+ * 404 si el usuario ya no existe, 409 si el cambio ya no está pendiente (o
+ * ya no puede revertirse) y 410 si el enlace ha caducado.
+ *
+ * @class
+ * @extends ApiError
+ */
+class EmailChangeError extends ApiError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Detalles del error
+   * @param {number} [options.status=400] - Código HTTP sugerido
+   */
+  constructor(message, { status = 400 } = {}) {
+    super(message, { status });
+    this.name = "EmailChangeError";
+  }
+}
+
+/**
+ * Servicio de cambio de email verificado
+ *
+ * Un cambio de email pedido por el propio usuario no se aplica de inmediato:
+ * el nuevo email se guarda como pendingEmail hasta que se abre el enlace de
+ * confirmación enviado a esa dirección. Al email anterior se envía un aviso
+ * con un enlace "No fui yo" que descarta el cambio pendiente o, si ya se
+ * confirmó, restaura el email anterior.
+ *
+ * Los enlaces llevan tokens firmados con HMAC (modules/signedToken.js), por
+ * lo que no se guarda ningún token en el repositorio. El envío de los emails
+ * corresponde a quien llama (ver UserController).
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const service = new UserEmailChangeService(userRepository);
+ *
+ * const { confirmToken, revertToken } = await service.request(
+ *   user,
+ *   "maria.nueva@example.com"
+ * );
+ *
+ * // Al abrir el enlace de confirmación
+ * const confirmed = await service.confirm(confirmToken);
+ */
+class UserEmailChangeService {
+  /**
+   * @constructor
+   * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+   * @param {Object} [config] - Sobrescribe userConfig.emailChange
+   */
+  constructor(repository, config = {}) {
+    this.repository = repository;
+    this.config = { ...userConfig.emailChange, ...config };
+  }
+
+  /**
+   * Guardar un nuevo email como pendiente y generar los enlaces
+   *
+   * Si ya había un cambio pendiente se sustituye, y sus enlaces dejan de
+   * servir para confirmar.
+   *
+   * @param {User} user - Usuario que cambia de email
+   * @param {string} newEmail - Nuevo email (normalizado)
+   * @param {Object} [options] - Opciones de la operación
+   * @param {number} [options.expectedVersion] - Versión que debe tener el usuario (If-Match)
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @param {Date} [options.now] - Momento de referencia
+   *
+   * @returns {Promise<Object|null>} { user, oldEmail, expiresAt, confirmToken, revertToken } o null si el usuario no existe
+   *
+   * @throws {EmailChangeError} Cuando el nuevo email es el actual
+   * @throws {Error} Cuando el nuevo email ya está registrado
+   * @throws {VersionConflictError} Cuando la versión actual no es expectedVersion
+   */
+  async request(user, newEmail, { expectedVersion, context, now } = {}) {
+    if (newEmail === user.email) {
+      throw new EmailChangeError(t("users.emailChange.sameEmail"));
+    }
+
+    const requestedAt = now || new Date();
+    const expiresAt = new Date(
+      requestedAt.getTime() + this.config.ttlHours * HOUR_MS
+    ).toISOString();
+
+    const updated = await this.repository.changeEmail(
+      user.id,
+      { pendingEmail: newEmail, pendingEmailExpiresAt: expiresAt },
+      { expectedVersion, context }
+    );
+    if (!updated) {
+      return null;
+    }
+
+    return {
+      user: updated,
+      oldEmail: user.email,
+      expiresAt,
+      confirmToken: createSignedToken(
+        { sub: user.id, email: newEmail },
+        {
+          secret: this.config.secret,
+          purpose: EMAIL_CHANGE_PURPOSES.confirm,
+          expiresAt,
+        }
+      ),
+      revertToken: createSignedToken(
+        {
+          sub: user.id,
+          oldEmail: user.email,
+          newEmail,
+          wasVerified: user.isVerified,
+        },
+        {
+          secret: this.config.secret,
+          purpose: EMAIL_CHANGE_PURPOSES.revert,
+          expiresAt: new Date(
+            requestedAt.getTime() + this.config.revertTtlDays * 24 * HOUR_MS
+          ).toISOString(),
+        }
+      ),
+    };
+  }
+
+  /**
+   * Confirmar un cambio de email con el token del enlace de confirmación
+   *
+   * El email pasa a ser el pendiente y queda verificado. Si el enlace ha
+   * caducado, el cambio pendiente al que corresponde se descarta.
+   *
+   * @param {string} token - Token del enlace de confirmación
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @param {Date} [options.now] - Momento de referencia
+   *
+   * @returns {Promise<User>} Usuario con el nuevo email
+   *
+   * @throws {EmailChangeError} Cuando el enlace no es válido, ha caducado o el cambio ya no está pendiente
+   * @throws {Error} Cuando el nuevo email se ha registrado mientras estaba pendiente
+   */
+  async confirm(token, { context, now } = {}) {
+    const payload = await this._verify(
+      token,
+      EMAIL_CHANGE_PURPOSES.confirm,
+      now,
+      async (expired) => {
+        const user = await this.repository.findById(expired.sub);
+        if (user && user.pendingEmail === expired.email) {
+          await this.repository.changeEmail(user.id, CLEARED_PENDING_EMAIL, {
+            context,
+          });
+        }
+      }
+    );
+
+    const user = await this._findUser(payload.sub);
+    if (user.pendingEmail !== payload.email) {
+      throw new EmailChangeError(t("users.emailChange.notPending"), {
+        status: 409,
+      });
+    }
+
+    return this.repository.changeEmail(
+      user.id,
+      { ...CLEARED_PENDING_EMAIL, email: payload.email, isVerified: true },
+      { expectedVersion: user.version, context }
+    );
+  }
+
+  /**
+   * Revertir un cambio de email con el token del aviso al email anterior
+   *
+   * Si el cambio sigue pendiente se descarta; si ya se confirmó, se
+   * restaura el email anterior con su estado de verificación.
+   *
+   * @param {string} token - Token del enlace "No fui yo"
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @param {Date} [options.now] - Momento de referencia
+   *
+   * @returns {Promise<User>} Usuario con el email anterior
+   *
+   * @throws {EmailChangeError} Cuando el enlace no es válido, ha caducado o el email ha vuelto a cambiar
+   * @throws {Error} Cuando el email anterior ya lo ha registrado otro usuario
+   */
+  async revert(token, { context, now } = {}) {
+    const payload = await this._verify(
+      token,
+      EMAIL_CHANGE_PURPOSES.revert,
+      now
+    );
+
+    const user = await this._findUser(payload.sub);
+    const options = { expectedVersion: user.version, context };
+
+    if (user.pendingEmail === payload.newEmail) {
+      return this.repository.changeEmail(
+        user.id,
+        CLEARED_PENDING_EMAIL,
+        options
+      );
+    }
+
+    if (user.email === payload.newEmail) {
+      return this.repository.changeEmail(
+        user.id,
+        {
+          ...CLEARED_PENDING_EMAIL,
+          email: payload.oldEmail,
+          isVerified: payload.wasVerified,
+        },
+        options
+      );
+    }
+
+    throw new EmailChangeError(t("users.emailChange.notRevertible"), {
+      status: 409,
+    });
+  }
+
+  /**
+   * Verificar un token y traducir los errores a EmailChangeError
+   *
+   * @param {string} token - Token recibido
+   * @param {string} purpose - Propósito esperado
+   * @param {Date} [now] - Momento de referencia
+   * @param {Function} [onExpired] - Se ejecuta con los datos de un token caducado
+   * @returns {Promise<Object>} Datos del token
+   */
+  async _verify(token, purpose, now, onExpired) {
+    try {
+      return verifySignedToken(token, {
+        secret: this.config.secret,
+        purpose,
+        now,
+      });
+    } catch (error) {
+      if (!(error instanceof SignedTokenError)) {
+        throw error;
+      }
+
+      if (error.reason === "expired") {
+        if (onExpired) {
+          await onExpired(error.payload);
+        }
+        throw new EmailChangeError(error.message, { status: 410 });
+      }
+
+      throw new EmailChangeError(error.message);
+    }
+  }
+
+  /**
+   * Obtener el usuario de un token
+   *
+   * @param {string} id - ID del usuario
+   * @returns {Promise<User>} Usuario activo
+   * @throws {EmailChangeError} Cuando el usuario no existe
+   */
+  async _findUser(id) {
+    const user = await this.repository.findById(id);
+    if (!user) {
+      throw new EmailChangeError(t("users.notFound"), { status: 404 });
+    }
+
+    return user;
+  }
+}
+
+module.exports = UserEmailChangeService;
+module.exports.EmailChangeError = EmailChangeError;
+module.exports.EMAIL_CHANGE_PURPOSES = EMAIL_CHANGE_PURPOSES;
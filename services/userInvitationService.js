@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const { userConfig } = require("../config/userConfig");
+const {
+  SignedTokenError,
+  createSignedToken,
+  verifySignedToken,
+} = require("../modules/signedToken");
+const { ApiError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+
+/** Propósito de los tokens firmados de las invitaciones */
+const INVITATION_PURPOSE = "invitation";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Error de una invitación
+ *
+ * status indica la respuesta HTTP adecuada: 400 si el enlace no es válido,
+ * 404 si la invitación no existe (o se revocó), 409 si ya se aceptó, el
+ * email ya está registrado o el enlace se sustituyó por un reenvío, y 410
+ * si el enlace ha caducado.
+ *
+ * @class
+ * @extends ApiError
+ */
+class InvitationError extends ApiError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Detalles del error
+   * @param {number} [options.status=400] - Código HTTP sugerido
+   */
+  constructor(message, { status = 400 } = {}) {
+    super(message, { status });
+    this.name = "InvitationError";
+  }
+}
+
+/**
+ * Servicio de invitaciones de usuarios
+ *
+ * Un administrador invita a alguien por su email: se crea un usuario en
+ * estado invited, con una contraseña aleatoria que nadie conoce, y se
+ * genera un enlace firmado (modules/signedToken.js) con el que el invitado
+ * elige su contraseña y activa la cuenta.
+ *
+ * Los enlaces son de un solo uso y caducan: aceptar la invitación saca al
+ * usuario del estado invited, y cada reenvío fija una nueva caducidad
+ * (invitationExpiresAt) con la que deben coincidir los enlaces, de modo que
+ * los anteriores dejan de servir. Revocar la invitación borra el usuario y
+ * libera su email.
+ *
+ * Si el repositorio tiene bus de eventos (repository.events), cada
+ * invitación y reenvío publica user.invited con el enlace; el email lo
+ * envía EmailEventSubscriber.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const service = new UserInvitationService(userRepository);
+ *
+ * const { user, token } = await service.invite({
+ *   name: "Lucía Martín",
+ *   email: "lucia@example.com",
+ *   role: "editor",
+ * });
+ *
+ * // Al abrir el enlace de la invitación
+ * const active = await service.accept(token, "miContraseña123");
+ */
+class UserInvitationService {
+  /**
+   * @constructor
+   * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+   * @param {Object} [config] - Sobrescribe userConfig.invitations
+   */
+  constructor(repository, config = {}) {
+    this.repository = repository;
+    this.config = { ...userConfig.invitations, ...config };
+  }
+
+  /**
+   * Invitar a un usuario: crearlo en estado invited y generar su enlace
+   *
+   * @param {Object} data - Datos del invitado
+   * @param {string} data.name - Nombre completo
+   * @param {string} data.email - Email (normalizado)
+   * @param {string} [data.role] - Rol de la cuenta (por defecto "user")
+   * @param {Object} [data.profile] - Atributos de perfil
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @param {Date} [options.now] - Momento de referencia
+   *
+   * @returns {Promise<Object>} { user, token, expiresAt }
+   *
+   * @throws {InvitationError} 409 si el email ya está registrado o invitado
+   * @throws {Error} Cuando los datos o el perfil no son válidos
+   */
+  async invite({ name, email, role, profile }, { context, now } = {}) {
+    const existing = await this.repository.findByEmail(email, {
+      includeDeleted: true,
+    });
+    if (existing) {
+      throw new InvitationError(
+        existing.status === "invited" && !existing.deletedAt
+          ? t("invitations.pending")
+          : t("users.emailTaken"),
+        { status: 409 }
+      );
+    }
+
+    const user = await this.repository.create(
+      {
+        name,
+        email,
+        role,
+        profile,
+        password: crypto.randomBytes(32).toString("base64url"),
+        status: "invited",
+        invitationExpiresAt: this._expiresAt(now),
+      },
+      { context }
+    );
+
+    return this._issue(user, context);
+  }
+
+  /**
+   * Reenviar una invitación pendiente con un enlace nuevo
+   *
+   * Sirve también para invitaciones caducadas. Los enlaces anteriores dejan
+   * de servir.
+   *
+   * @param {string} id - ID del usuario invitado
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @param {Date} [options.now] - Momento de referencia
+   *
+   * @returns {Promise<Object>} { user, token, expiresAt }
+   *
+   * @throws {InvitationError} 404 si no existe y 409 si ya se aceptó
+   */
+  async resend(id, { context, now } = {}) {
+    await this._findPending(id);
+
+    const user = await this.repository.renewInvitation(
+      id,
+      this._expiresAt(now),
+      { context }
+    );
+    if (!user) {
+      throw new InvitationError(t("invitations.notFound"), { status: 404 });
+    }
+
+    return this._issue(user, context);
+  }
+
+  /**
+   * Revocar una invitación pendiente borrando el usuario invitado
+   *
+   * @param {string} id - ID del usuario invitado
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<User>} Usuario borrado
+   *
+   * @throws {InvitationError} 404 si no existe y 409 si ya se aceptó
+   */
+  async revoke(id, { context } = {}) {
+    const user = await this._findPending(id);
+    await this.repository.destroy(id, { context });
+    return user;
+  }
+
+  /**
+   * Obtener las invitaciones pendientes, incluidas las caducadas
+   *
+   * @returns {Promise<User[]>} Usuarios invited por orden de alta
+   */
+  async list() {
+    return this.repository.findInvitations();
+  }
+
+  /**
+   * Aceptar una invitación con el token del enlace
+   *
+   * Guarda la contraseña elegida y activa la cuenta con el email verificado.
+   *
+   * @param {string} token - Token del enlace de la invitación
+   * @param {string} password - Contraseña elegida por el invitado
+   * @param {Object} [options] - Opciones de la operación
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   * @param {Date} [options.now] - Momento de referencia
+   *
+   * @returns {Promise<User>} Usuario activado
+   *
+   * @throws {InvitationError} Cuando el enlace no es válido, ha caducado, se
+   * ha sustituido por un reenvío o la invitación ya no está pendiente
+   * @throws {VersionConflictError} Cuando otra petición acepta la invitación a la vez
+   * @throws {Error} Cuando la contraseña no es válida
+   */
+  async accept(token, password, { context, now } = {}) {
+    const payload = this._verify(token, now);
+    const user = await this._findPending(payload.sub);
+
+    if (
+      user.email !== payload.email ||
+      user.invitationExpiresAt !== payload.exp
+    ) {
+      throw new InvitationError(t("invitations.linkSuperseded"), {
+        status: 409,
+      });
+    }
+
+    const accepted = await this.repository.acceptInvitation(user.id, password, {
+      expectedVersion: user.version,
+      context,
+    });
+    if (!accepted) {
+      throw new InvitationError(t("invitations.notFound"), { status: 404 });
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Indicar si la invitación de un usuario ha caducado
+   *
+   * @param {User} user - Usuario invited
+   * @param {Date} [now] - Momento de referencia
+   * @returns {boolean} true si su enlace ya no puede aceptarse
+   */
+  isExpired(user, now = new Date()) {
+    return !(new Date(user.invitationExpiresAt) > now);
+  }
+
+  /**
+   * Generar el enlace de una invitación y publicar user.invited
+   *
+   * @param {User} user - Usuario invited
+   * @param {Object} [context] - Actor e ID de la petición
+   * @returns {Object} { user, token, expiresAt }
+   */
+  _issue(user, context) {
+    const expiresAt = user.invitationExpiresAt;
+    const token = createSignedToken(
+      { sub: user.id, email: user.email },
+      { secret: this.config.secret, purpose: INVITATION_PURPOSE, expiresAt }
+    );
+
+    if (this.repository.events) {
+      this.repository.events.publish(
+        "user.invited",
+        {
+          user: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            tenantId: user.tenantId,
+          },
+          token,
+          expiresAt,
+        },
+        context
+      );
+    }
+
+    return { user, token, expiresAt };
+  }
+
+  /**
+   * Verificar un token y traducir los errores a InvitationError
+   *
+   * @param {string} token - Token recibido
+   * @param {Date} [now] - Momento de referencia
+   * @returns {Object} Datos del token
+   */
+  _verify(token, now) {
+    try {
+      return verifySignedToken(token, {
+        secret: this.config.secret,
+        purpose: INVITATION_PURPOSE,
+        now,
+      });
+    } catch (error) {
+      if (!(error instanceof SignedTokenError)) {
+        throw error;
+      }
+
+      throw new InvitationError(error.message, {
+        status: error.reason === "expired" ? 410 : 400,
+      });
+    }
+  }
+
+  /**
+   * Obtener un usuario con la invitación pendiente
+   *
+   * @param {string} id - ID del usuario
+   * @returns {Promise<User>} Usuario invited
+   * @throws {InvitationError} 404 si no existe y 409 si ya no está invited
+   */
+  async _findPending(id) {
+    const user = await this.repository.findById(id);
+    if (!user) {
+      throw new InvitationError(t("invitations.notFound"), { status: 404 });
+    }
+
+    if (user.status !== "invited") {
+      throw new InvitationError(t("invitations.alreadyAccepted"), {
+        status: 409,
+      });
+    }
+
+    return user;
+  }
+
+  /**
+   * Fecha de caducidad de un enlace generado ahora
+   *
+   * @param {Date} [now] - Momento de referencia
+   * @returns {string} Fecha ISO
+   */
+  _expiresAt(now) {
+    return new Date(
+      (now || new Date()).getTime() + this.config.ttlHours * HOUR_MS
+    ).toISOString();
+  }
+}
+
+module.exports = UserInvitationService;
+module.exports.InvitationError = InvitationError;
+module.exports.INVITATION_PURPOSE = INVITATION_PURPOSE;
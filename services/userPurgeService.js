@@ -0,0 +1,127 @@
+const cron = require("node-cron");
+const { userConfig } = require("../config/userConfig");
+const { logger } = require("../modules/logger");
+
+const log = logger.child({ component: "purge" });
+
+/**
+ * Servicio de purga de usuarios eliminados
+ *
+ * Los usuarios eliminados lógicamente pueden restaurarse durante el periodo
+ * de retención configurado (USER_RETENTION_DAYS). Pasado ese tiempo, este
+ * servicio los borra definitivamente mediante una tarea programada con
+ * node-cron (USER_PURGE_SCHEDULE), liberando también sus emails. La misma
+ * tarea descarta los cambios de email pendientes que han caducado.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { userRepository } = require("../models/User");
+ * const UserPurgeService = require("./services/userPurgeService");
+ *
+ * const purgeService = new UserPurgeService(userRepository);
+ * purgeService.start();
+ *
+ * // Purga manual
+ * const purged = await purgeService.purge();
+ */
+class UserPurgeService {
+  /**
+   * @constructor
+   * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+   * @param {Object} [config] - Sobrescribe userConfig.softDelete
+   */
+  constructor(repository, config = {}) {
+    this.repository = repository;
+    this.config = { ...userConfig.softDelete, ...config };
+    this.scheduledJob = null;
+  }
+
+  /**
+   * Fecha límite de retención: se purgan los eliminados en o antes de ella
+   *
+   * @param {Date} [now] - Momento de referencia
+   * @returns {string} Fecha ISO 8601
+   */
+  getCutoff(now = new Date()) {
+    const retentionMs = this.config.retentionDays * 24 * 60 * 60 * 1000;
+    return new Date(now.getTime() - retentionMs).toISOString();
+  }
+
+  /**
+   * Borrar definitivamente los usuarios cuya retención ha vencido
+   *
+   * También descarta los cambios de email pendientes caducados
+   * (repository.expirePendingEmails).
+   *
+   * @param {Date} [now] - Momento de referencia
+   * @returns {Promise<number>} Cantidad de usuarios purgados
+   */
+  async purge(now = new Date()) {
+    const purged = await this.repository.purgeDeleted(this.getCutoff(now));
+
+    if (purged > 0) {
+      log.info("Usuarios eliminados purgados", { count: purged });
+    }
+
+    const expired = await this.repository.expirePendingEmails(
+      now.toISOString()
+    );
+
+    if (expired > 0) {
+      log.info("Cambios de email caducados descartados", { count: expired });
+    }
+
+    return purged;
+  }
+
+  /**
+   * Programar la purga periódica
+   *
+   * @throws {Error} Cuando la expresión cron es inválida
+   */
+  start() {
+    if (this.scheduledJob) {
+      return;
+    }
+
+    if (!cron.validate(this.config.purgeSchedule)) {
+      throw new Error(`Expresión cron inválida: ${this.config.purgeSchedule}`);
+    }
+
+    this.scheduledJob = cron.schedule(
+      this.config.purgeSchedule,
+      async () => {
+        try {
+          await this.purge();
+        } catch (error) {
+          log.error("Error en la purga de usuarios", { error });
+        }
+      },
+      {
+        scheduled: true,
+        timezone: this.config.timezone,
+      }
+    );
+
+    log.info("Purga de usuarios programada", {
+      schedule: this.config.purgeSchedule,
+      retentionDays: this.config.retentionDays,
+    });
+  }
+
+  /**
+   * Detener la purga programada
+   */
+  stop() {
+    if (this.scheduledJob) {
+      this.scheduledJob.stop();
+      this.scheduledJob = null;
+    }
+  }
+}
+
+module.exports = UserPurgeService;
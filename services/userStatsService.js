@@ -0,0 +1,403 @@
+const { userConfig } = require("../config/userConfig");
+const { toCsvLine } = require("./userTransferService");
+
+/** Intervalos de agrupación de las series temporales */
+const STATS_INTERVALS = ["day", "week", "month"];
+
+/** Informes exportables como CSV y sus columnas */
+const STATS_CSV_REPORTS = {
+  signups: ["period", "signups", "cumulative"],
+  domains: ["domain", "users", "percentage"],
+  retention: ["cohort", "size", "offset", "retained", "rate"],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Inicio (UTC) del periodo que contiene la fecha; las semanas empiezan en lunes (ISO 8601)
+ */
+const startOfPeriod = (date, interval) => {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+  if (interval === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    start.setUTCDate(1);
+  }
+
+  return start;
+};
+
+/**
+ * Inicio del periodo siguiente
+ */
+const nextPeriod = (start, interval) => {
+  const next = new Date(start);
+
+  if (interval === "month") {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === "week" ? 7 : 1));
+  }
+
+  return next;
+};
+
+/**
+ * Etiqueta de un periodo: fecha de inicio (día y semana) o año-mes (mes)
+ */
+const periodLabel = (start, interval) =>
+  start.toISOString().slice(0, interval === "month" ? 7 : 10);
+
+/**
+ * Resolver el rango de fechas de una consulta de estadísticas
+ *
+ * Sin "to" el rango termina al final del día actual (UTC) y sin "from"
+ * abarca defaultRangeDays días, de modo que la clave de caché no cambia
+ * durante el día.
+ *
+ * @param {Object} query - Consulta ({ interval, from, to } en ISO 8601)
+ * @param {Date} now - Momento de referencia
+ * @param {number} defaultRangeDays - Días del rango cuando no se indica from
+ * @returns {{interval: string, from: string, to: string}} Rango normalizado
+ */
+const resolveStatsRange = (
+  { interval = "day", from, to },
+  now,
+  defaultRangeDays
+) => {
+  const end = to
+    ? new Date(to)
+    : new Date(startOfPeriod(now, "day").getTime() + DAY_MS - 1);
+  const start = from
+    ? new Date(from)
+    : new Date(
+        startOfPeriod(end, "day").getTime() - (defaultRangeDays - 1) * DAY_MS
+      );
+
+  return { interval, from: start.toISOString(), to: end.toISOString() };
+};
+
+/**
+ * Inicios de los periodos que cubren un rango (los extremos pueden ser parciales)
+ *
+ * @param {{interval: string, from: string, to: string}} range - Rango normalizado
+ * @returns {Date[]} Inicio de cada periodo, en orden
+ */
+const buildPeriods = ({ interval, from, to }) => {
+  const end = new Date(to);
+  const periods = [];
+
+  for (
+    let start = startOfPeriod(new Date(from), interval);
+    start <= end;
+    start = nextPeriod(start, interval)
+  ) {
+    periods.push(start);
+  }
+
+  return periods;
+};
+
+/**
+ * Porcentaje con dos decimales, o null si el total es 0
+ */
+const percentage = (part, total) =>
+  total === 0 ? null : Math.round((part / total) * 10000) / 100;
+
+/**
+ * Servicio de estadísticas de usuarios
+ *
+ * Calcula los totales históricos de GET /api/users/stats más series de altas
+ * por día, semana o mes en un rango de fechas, el desglose por dominio de
+ * email, el crecimiento respecto al periodo anterior, los usuarios activos
+ * (según lastLoginAt) y cohortes de retención. Todas las fechas se agrupan
+ * en UTC. Solo se consideran usuarios no eliminados.
+ *
+ * Si se le pasa un CacheManager, el resultado se guarda con remember()
+ * durante userConfig.stats.cacheTtl segundos, con una clave por intervalo
+ * y rango.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { userRepository } = require("../models/User");
+ * const UserStatsService = require("./services/userStatsService");
+ *
+ * const service = new UserStatsService(userRepository, {
+ *   cache: databaseManager.cacheManager
+ * });
+ *
+ * const stats = await service.getStats({ interval: "week" });
+ * const csv = UserStatsService.toCsv(stats, "retention");
+ */
+class UserStatsService {
+  /**
+   * @constructor
+   * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+   * @param {Object} [options] - Opciones del servicio
+   * @param {CacheManager|null} [options.cache=null] - Caché de resultados (usa remember)
+   * @param {Object} [options.config] - Sobrescribe userConfig.stats
+   */
+  constructor(repository, { cache = null, config = {} } = {}) {
+    this.repository = repository;
+    this.cache = cache;
+    this.config = { ...userConfig.stats, ...config };
+  }
+
+  /**
+   * Obtener las estadísticas de un rango (desde la caché si está disponible)
+   *
+   * @param {Object} [query] - Consulta ({ interval, from, to }); ver resolveStatsRange
+   * @param {Date} [now] - Momento de referencia
+   * @returns {Promise<Object>} Estadísticas (ver _compute)
+   */
+  async getStats(query = {}, now = new Date()) {
+    const range = resolveStatsRange(query, now, this.config.defaultRangeDays);
+    const compute = () => this._compute(range, now);
+
+    if (!this.cache) {
+      return compute();
+    }
+
+    return this.cache.remember(
+      `users:stats:${range.interval}:${range.from}:${range.to}`,
+      compute,
+      this.config.cacheTtl
+    );
+  }
+
+  /**
+   * Calcular las estadísticas de un rango ya resuelto
+   *
+   * @param {{interval: string, from: string, to: string}} range - Rango normalizado
+   * @param {Date} now - Momento de referencia
+   * @returns {Promise<Object>} totalUsers, usersCreatedToday, usersCreatedThisWeek,
+   * range, signups, growth, domains, activity, retention y generatedAt
+   */
+  async _compute(range, now) {
+    const users = await this.repository.findAll();
+    const periods = buildPeriods(range);
+    const inRange = users.filter(
+      (user) => user.createdAt >= range.from && user.createdAt <= range.to
+    );
+
+    const today = now.toDateString();
+    const weekAgo = new Date(now);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+
+    return {
+      totalUsers: users.length,
+      usersCreatedToday: users.filter(
+        (user) => new Date(user.createdAt).toDateString() === today
+      ).length,
+      usersCreatedThisWeek: users.filter(
+        (user) => new Date(user.createdAt) >= weekAgo
+      ).length,
+      range,
+      signups: this._signups(users, inRange, periods, range),
+      growth: this._growth(users, inRange, range),
+      domains: this._domains(users),
+      activity: this._activity(users, range, now),
+      retention: this._retention(inRange, periods, range, now),
+      generatedAt: now.toISOString(),
+    };
+  }
+
+  /**
+   * Altas por periodo y total acumulado de usuarios al final de cada uno
+   */
+  _signups(users, inRange, periods, { interval, from }) {
+    const counts = new Map(periods.map((start) => [start.getTime(), 0]));
+    inRange.forEach((user) => {
+      const key = startOfPeriod(new Date(user.createdAt), interval).getTime();
+      counts.set(key, counts.get(key) + 1);
+    });
+
+    let cumulative = users.filter((user) => user.createdAt < from).length;
+
+    return periods.map((start) => {
+      const signups = counts.get(start.getTime());
+      cumulative += signups;
+      return { period: periodLabel(start, interval), signups, cumulative };
+    });
+  }
+
+  /**
+   * Crecimiento del rango frente al rango anterior de la misma duración
+   *
+   * rate es la variación porcentual de altas (null si el rango anterior no
+   * tuvo ninguna) y userBaseGrowth el aumento porcentual de la base de
+   * usuarios durante el rango (null si empezó vacía).
+   */
+  _growth(users, inRange, { from, to }) {
+    const duration = new Date(to).getTime() - new Date(from).getTime() + 1;
+    const previousFrom = new Date(new Date(from).getTime() - duration);
+    const usersAtStart = users.filter((user) => user.createdAt < from).length;
+    const previousSignups = users.filter(
+      (user) =>
+        user.createdAt >= previousFrom.toISOString() && user.createdAt < from
+    ).length;
+
+    return {
+      signups: inRange.length,
+      previousSignups,
+      rate:
+        previousSignups === 0
+          ? null
+          : percentage(inRange.length - previousSignups, previousSignups),
+      usersAtStart,
+      usersAtEnd: usersAtStart + inRange.length,
+      userBaseGrowth: percentage(inRange.length, usersAtStart),
+    };
+  }
+
+  /**
+   * Usuarios por dominio de email (de mayor a menor, como máximo topDomains)
+   */
+  _domains(users) {
+    const counts = new Map();
+    users.forEach((user) => {
+      const domain = user.email.split("@").pop().toLowerCase();
+      counts.set(domain, (counts.get(domain) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .slice(0, this.config.topDomains)
+      .map(([domain, count]) => ({
+        domain,
+        users: count,
+        percentage: percentage(count, users.length),
+      }));
+  }
+
+  /**
+   * Usuarios activos según su último inicio de sesión
+   *
+   * Se cuenta hacia atrás desde el final del rango (o desde ahora si el
+   * rango termina en el futuro). trackedUsers indica cuántos usuarios
+   * tienen algún login registrado.
+   */
+  _activity(users, { to }, now) {
+    const reference = Math.min(new Date(to).getTime(), now.getTime());
+    const activeSince = (days) => {
+      const since = new Date(reference - days * DAY_MS).toISOString();
+      const until = new Date(reference).toISOString();
+      return users.filter(
+        (user) =>
+          user.lastLoginAt &&
+          user.lastLoginAt >= since &&
+          user.lastLoginAt <= until
+      ).length;
+    };
+
+    return {
+      trackedUsers: users.filter((user) => user.lastLoginAt).length,
+      activeLast1Day: activeSince(1),
+      activeLast7Days: activeSince(7),
+      activeLast30Days: activeSince(30),
+    };
+  }
+
+  /**
+   * Cohortes de retención por periodo de alta
+   *
+   * Para cada periodo del rango con altas, retained en el desplazamiento k
+   * es el número de usuarios de la cohorte cuyo último login es posterior al
+   * inicio del periodo k (retención "sin límite": quien vuelve más tarde
+   * también cuenta como retenido antes). Solo se incluyen periodos ya
+   * empezados y como máximo retentionPeriods desplazamientos.
+   */
+  _retention(inRange, periods, { interval, to }, now) {
+    const reference = new Date(Math.min(new Date(to).getTime(), now.getTime()));
+
+    return periods
+      .map((start) => {
+        const end = nextPeriod(start, interval).toISOString();
+        const cohort = inRange.filter(
+          (user) =>
+            user.createdAt >= start.toISOString() && user.createdAt < end
+        );
+
+        const offsets = [];
+        let offsetStart = nextPeriod(start, interval);
+        for (
+          let offset = 1;
+          offset <= this.config.retentionPeriods && offsetStart <= reference;
+          offset++
+        ) {
+          const since = offsetStart.toISOString();
+          const retained = cohort.filter(
+            (user) => user.lastLoginAt && user.lastLoginAt >= since
+          ).length;
+          offsets.push({
+            offset,
+            retained,
+            rate: percentage(retained, cohort.length),
+          });
+          offsetStart = nextPeriod(offsetStart, interval);
+        }
+
+        return {
+          cohort: periodLabel(start, interval),
+          size: cohort.length,
+          periods: offsets,
+        };
+      })
+      .filter((cohort) => cohort.size > 0);
+  }
+
+  /**
+   * Serializar uno de los informes de las estadísticas como CSV
+   *
+   * @param {Object} stats - Resultado de getStats
+   * @param {string} report - "signups", "domains" o "retention"
+   * @returns {string} CSV con cabecera (RFC 4180, líneas CRLF)
+   *
+   * @example
+   * UserStatsService.toCsv(stats, "signups");
+   * // period,signups,cumulative
+   * // 2025-10-01,3,120
+   */
+  static toCsv(stats, report) {
+    let rows;
+
+    if (report === "domains") {
+      rows = stats.domains.map((item) => [
+        item.domain,
+        item.users,
+        item.percentage,
+      ]);
+    } else if (report === "retention") {
+      rows = stats.retention.flatMap((cohort) =>
+        cohort.periods.map((period) => [
+          cohort.cohort,
+          cohort.size,
+          period.offset,
+          period.retained,
+          period.rate,
+        ])
+      );
+    } else {
+      rows = stats.signups.map((item) => [
+        item.period,
+        item.signups,
+        item.cumulative,
+      ]);
+    }
+
+    return [STATS_CSV_REPORTS[report], ...rows].map(toCsvLine).join("");
+  }
+}
+
+module.exports = UserStatsService;
+module.exports.STATS_INTERVALS = STATS_INTERVALS;
+module.exports.STATS_CSV_REPORTS = STATS_CSV_REPORTS;
+module.exports.resolveStatsRange = resolveStatsRange;
+module.exports.buildPeriods = buildPeriods;
@@ -0,0 +1,612 @@
+const { Readable } = require("stream");
+const { User, assertEmailAvailable } = require("../models/User");
+const { validateProfile } = require("../models/UserAttribute");
+const { userConfig } = require("../config/userConfig");
+const { ValidationError } = require("../modules/errors");
+const { t } = require("../modules/i18n");
+const UserBulkService = require("./userBulkService");
+
+/** Formatos de importación/exportación y su Content-Type */
+const TRANSFER_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+/** Modos de importación: solo altas o alta/actualización por email */
+const IMPORT_MODES = ["create", "upsert"];
+
+/**
+ * Columnas exportadas (nunca incluye la contraseña); el CSV añade una
+ * columna profile.<clave> por atributo definido y NDJSON/JSON el objeto profile
+ */
+const EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "email",
+  "createdAt",
+  "updatedAt",
+  "version",
+];
+
+/**
+ * Campos que se leen de cada fila importada, además del perfil (columnas
+ * profile.<clave> o el objeto profile); el resto se ignora
+ */
+const IMPORT_FIELDS = ["name", "email", "password"];
+
+/** Prefijo de las columnas CSV de atributos de perfil */
+const PROFILE_COLUMN_PREFIX = "profile.";
+
+/**
+ * Indicar si un valor es un objeto plano (no null ni array)
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Error de formato que impide leer el archivo completo (respuesta 400)
+ */
+class TransferFormatError extends ValidationError {
+  constructor(message) {
+    super(message, { type: "invalid-import-format" });
+    this.name = "TransferFormatError";
+  }
+}
+
+/**
+ * Escapar un valor según RFC 4180
+ */
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializar una fila CSV terminada en CRLF
+ */
+const toCsvLine = (values) => `${values.map(toCsvValue).join(",")}\r\n`;
+
+/**
+ * Leer un CSV con cabecera (RFC 4180: comillas dobles, "" escapadas y saltos
+ * de línea dentro de campos entrecomillados)
+ *
+ * @param {string} text - Contenido del archivo
+ * @returns {{records: Array<{row: number, data: Object}>, errors: Array<{row: number, field: null, error: string}>}}
+ * Registros con el número de línea donde empiezan y errores de estructura por fila
+ * @throws {TransferFormatError} Cuando falta la columna email o hay comillas sin cerrar
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== "") {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new TransferFormatError(
+      t("transfer.csvUnclosedQuote", { line: rowLine })
+    );
+  }
+  if (field !== "" || fields.length > 0) {
+    endRow();
+  }
+
+  const [header, ...dataRows] = rows;
+  const columns = header ? header.fields.map((column) => column.trim()) : [];
+  if (!columns.includes("email")) {
+    throw new TransferFormatError(t("transfer.csvEmailColumn"));
+  }
+
+  const records = [];
+  const errors = [];
+  dataRows.forEach(({ line: row, fields: values }) => {
+    if (values.length !== columns.length) {
+      errors.push({
+        row,
+        field: null,
+        error: t("transfer.columnCount", {
+          count: values.length,
+          expected: columns.length,
+        }),
+      });
+      return;
+    }
+
+    const data = {};
+    columns.forEach((column, index) => {
+      data[column] = values[index];
+    });
+    records.push({ row, data });
+  });
+
+  return { records, errors };
+};
+
+/**
+ * Leer NDJSON: un objeto JSON por línea, las líneas vacías se ignoran
+ */
+const parseNdjson = (text) => {
+  const records = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === "") {
+      return;
+    }
+
+    const row = index + 1;
+    try {
+      const data = JSON.parse(line);
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        errors.push({
+          row,
+          field: null,
+          error: t("transfer.lineNotObject"),
+        });
+        return;
+      }
+      records.push({ row, data });
+    } catch (error) {
+      errors.push({
+        row,
+        field: null,
+        error: t("transfer.jsonInvalid", { error: error.message }),
+      });
+    }
+  });
+
+  return { records, errors };
+};
+
+/**
+ * Leer un array JSON ya parseado; la fila es la posición (desde 1)
+ */
+const parseJsonArray = (items) => {
+  if (!Array.isArray(items)) {
+    throw new TransferFormatError(t("transfer.jsonNotArray"));
+  }
+
+  const records = [];
+  const errors = [];
+
+  items.forEach((data, index) => {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      errors.push({
+        row: index + 1,
+        field: null,
+        error: t("transfer.itemNotObject"),
+      });
+      return;
+    }
+    records.push({ row: index + 1, data });
+  });
+
+  return { records, errors };
+};
+
+/**
+ * Servicio de importación y exportación masiva de usuarios
+ *
+ * Exporta los usuarios activos en CSV, NDJSON o JSON como un stream que se
+ * genera por lotes (userConfig.transfer.exportBatchSize) para no cargar toda
+ * la base en memoria. Importa los mismos formatos en dos pasos: primero un
+ * informe de validación por fila (fila, campo y error de User.validate y de
+ * los atributos de perfil, más emails repetidos en el archivo o ya
+ * registrados) y, si no hay errores y
+ * no es un simulacro, la aplicación del lote en modo atómico mediante
+ * UserBulkService.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { userRepository } = require("../models/User");
+ * const UserTransferService = require("./services/userTransferService");
+ *
+ * const service = new UserTransferService(userRepository);
+ * service.createExportStream("csv").pipe(fs.createWriteStream("users.csv"));
+ *
+ * const { records, errors } = service.parse("csv", fs.readFileSync("users.csv", "utf8"));
+ * const report = await service.import(records, { mode: "upsert", dryRun: true, parseErrors: errors });
+ */
+class UserTransferService {
+  /**
+   * @constructor
+   * @param {UserRepository|DatabaseUserRepository} repository - Repositorio de usuarios
+   * @param {Object} [config] - Sobrescribe userConfig.transfer
+   */
+  constructor(repository, config = {}) {
+    this.repository = repository;
+    this.config = { ...userConfig.transfer, ...config };
+  }
+
+  /**
+   * Crear un stream con la exportación de usuarios activos
+   *
+   * @param {string} format - "csv", "ndjson" o "json"
+   * @returns {Readable} Stream de texto listo para enviar con pipe
+   */
+  createExportStream(format) {
+    return Readable.from(this._exportChunks(format));
+  }
+
+  /**
+   * Generar la exportación por lotes, ordenada por fecha de creación
+   */
+  async *_exportChunks(format) {
+    const batchSize = this.config.exportBatchSize;
+    const profileKeys = (await this._attributes()).map(({ key }) => key);
+    let offset = 0;
+
+    if (format === "csv") {
+      yield toCsvLine([
+        ...EXPORT_COLUMNS,
+        ...profileKeys.map((key) => `${PROFILE_COLUMN_PREFIX}${key}`),
+      ]);
+    } else if (format === "json") {
+      yield "[";
+    }
+
+    for (;;) {
+      const { users } = await this.repository.findPage({
+        sort: [{ field: "createdAt", order: "asc" }],
+        limit: batchSize,
+        offset,
+      });
+
+      if (users.length > 0) {
+        yield users
+          .map((user, index) =>
+            this._formatUser(user, format, offset + index, profileKeys)
+          )
+          .join("");
+      }
+
+      offset += users.length;
+      if (users.length < batchSize) {
+        break;
+      }
+    }
+
+    if (format === "json") {
+      yield "]\n";
+    }
+  }
+
+  /**
+   * Serializar un usuario exportado según el formato
+   */
+  _formatUser(user, format, position, profileKeys) {
+    const data = user.toJSON();
+    const exported = {};
+    EXPORT_COLUMNS.forEach((column) => {
+      exported[column] = data[column];
+    });
+
+    if (format === "csv") {
+      return toCsvLine([
+        ...EXPORT_COLUMNS.map((column) => exported[column]),
+        ...profileKeys.map((key) => data.profile[key]),
+      ]);
+    }
+
+    exported.profile = data.profile;
+    if (format === "ndjson") {
+      return `${JSON.stringify(exported)}\n`;
+    }
+    return `${position === 0 ? "" : ","}\n${JSON.stringify(exported)}`;
+  }
+
+  /**
+   * Leer el contenido de un archivo de importación
+   *
+   * @param {string} format - "csv", "ndjson" o "json"
+   * @param {string|Object[]} body - Texto (csv, ndjson) o array ya parseado (json)
+   * @returns {{records: Array<{row: number, data: Object}>, errors: Array<Object>}}
+   * @throws {TransferFormatError} Cuando el archivo no puede leerse
+   */
+  parse(format, body) {
+    if (format === "csv") {
+      return parseCsv(body);
+    }
+    if (format === "ndjson") {
+      return parseNdjson(body);
+    }
+    return parseJsonArray(body);
+  }
+
+  /**
+   * Validar y, si procede, importar los registros leídos
+   *
+   * En modo "create" todo email ya registrado es un error; en modo "upsert"
+   * los emails de usuarios activos actualizan su nombre y/o contraseña. Los
+   * emails de usuarios eliminados pendientes de purga son siempre un error.
+   * Si hay cualquier error no se importa nada.
+   *
+   * @param {Array<{row: number, data: Object}>} records - Registros de parse()
+   * @param {Object} [options] - Opciones de importación
+   * @param {string} [options.mode="create"] - "create" o "upsert"
+   * @param {boolean} [options.dryRun=false] - Solo validar, sin escribir
+   * @param {Array<Object>} [options.parseErrors=[]] - Errores de estructura de parse()
+   * @param {Object} [options.context] - Actor e ID de la petición para el historial
+   *
+   * @returns {Promise<Object>} Informe con mode, dryRun, applied, summary
+   * ({ total, valid, invalid, created, updated, unchanged }) y errors
+   * ([{ row, field, error }], ordenados por fila). created y updated cuentan
+   * solo lo escrito: si no se aplicó (dryRun o errores) son 0 y summary
+   * añade wouldCreate y wouldUpdate con lo que se habría escrito
+   */
+  async import(
+    records,
+    { mode = "create", dryRun = false, parseErrors = [], context } = {}
+  ) {
+    const errors = [...parseErrors];
+    const planned = [];
+    const seenEmails = new Map();
+    const attributes = await this._attributes();
+
+    for (const { row, data } of records) {
+      const rowErrors = [];
+      const item = await this._planRecord(
+        row,
+        data,
+        { mode, seenEmails, attributes },
+        rowErrors
+      );
+
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors);
+      } else {
+        planned.push(item);
+      }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    const report = (applied) => {
+      const invalidRows = new Set(errors.map((error) => error.row)).size;
+      const count = (action) =>
+        planned.filter((item) => item.action === action).length;
+
+      return {
+        mode,
+        dryRun,
+        applied,
+        summary: {
+          total: records.length + parseErrors.length,
+          valid: planned.length,
+          invalid: invalidRows,
+          created: applied ? count("create") : 0,
+          updated: applied ? count("update") : 0,
+          unchanged: count("unchanged"),
+          ...(!applied && {
+            wouldCreate: count("create"),
+            wouldUpdate: count("update"),
+          }),
+        },
+        errors,
+      };
+    };
+
+    if (dryRun || errors.length > 0) {
+      return report(false);
+    }
+
+    const writes = planned.filter((item) => item.action !== "unchanged");
+    if (writes.length === 0) {
+      return report(true);
+    }
+
+    const result = await new UserBulkService(this.repository).execute(
+      writes.map((item) =>
+        item.action === "create"
+          ? { op: "create", data: item.data }
+          : { op: "update", id: item.id, data: item.data }
+      ),
+      { mode: "atomic", context }
+    );
+
+    if (!result.applied) {
+      result.results
+        .filter((operation) => operation.status !== 424)
+        .forEach((operation) => {
+          errors.push({
+            row: writes[operation.index].row,
+            field: null,
+            error: operation.error,
+          });
+        });
+    }
+
+    return report(result.applied);
+  }
+
+  /**
+   * Definiciones de atributos de perfil del repositorio (ninguna si no tiene)
+   */
+  async _attributes() {
+    return this.repository.attributes
+      ? this.repository.attributes.findAll()
+      : [];
+  }
+
+  /**
+   * Leer el perfil de una fila: el objeto profile (NDJSON/JSON) o las
+   * columnas profile.<clave> (CSV), convertidas al tipo de cada atributo.
+   * Las columnas vacías se ignoran.
+   */
+  _readProfile(raw, attributes) {
+    const profile =
+      raw.profile !== null && typeof raw.profile === "object"
+        ? { ...raw.profile }
+        : {};
+
+    Object.entries(raw)
+      .filter(([column]) => column.startsWith(PROFILE_COLUMN_PREFIX))
+      .forEach(([column, text]) => {
+        const key = column.slice(PROFILE_COLUMN_PREFIX.length);
+        const attribute = attributes.find((candidate) => candidate.key === key);
+        if (typeof text !== "string" || text.trim() === "") {
+          return;
+        }
+        profile[key] = attribute ? attribute.parseValue(text.trim()) : text;
+      });
+
+    return profile;
+  }
+
+  /**
+   * Decidir qué hacer con una fila y acumular sus errores
+   */
+  async _planRecord(row, raw, { mode, seenEmails, attributes }, rowErrors) {
+    const data = {};
+    IMPORT_FIELDS.forEach((field) => {
+      const value =
+        typeof raw[field] === "string" ? raw[field].trim() : raw[field];
+      if (value !== undefined && value !== null && value !== "") {
+        data[field] = value;
+      }
+    });
+    if (typeof data.email === "string") {
+      data.email = data.email.toLowerCase();
+    }
+    if (raw.profile !== undefined && !isPlainObject(raw.profile)) {
+      rowErrors.push({
+        row,
+        field: "profile",
+        error: t("attributes.profileNotObject"),
+      });
+      return null;
+    }
+    const profile = this._readProfile(raw, attributes);
+    if (Object.keys(profile).length > 0) {
+      data.profile = profile;
+    }
+
+    const addErrors = (validation) =>
+      validation.fieldErrors.forEach(({ field, message }) =>
+        rowErrors.push({ row, field, error: message })
+      );
+
+    if (typeof data.email === "string" && seenEmails.has(data.email)) {
+      rowErrors.push({
+        row,
+        field: "email",
+        error: `El email está repetido en el archivo (fila ${seenEmails.get(
+          data.email
+        )})`,
+      });
+      return null;
+    }
+
+    const emailValidation = User.validateUpdate({ email: data.email });
+    if (data.email === undefined || !emailValidation.isValid) {
+      addErrors(User.validate(data));
+      return null;
+    }
+    seenEmails.set(data.email, row);
+
+    const existing = await this.repository.findByEmail(data.email, {
+      includeDeleted: true,
+    });
+
+    if (!existing) {
+      addErrors(User.validate(data));
+      addErrors(validateProfile(attributes, profile));
+      return { row, action: "create", data };
+    }
+
+    if (mode !== "upsert" || existing.deletedAt) {
+      try {
+        assertEmailAvailable(existing);
+      } catch (error) {
+        rowErrors.push({ row, field: "email", error: error.message });
+      }
+      return null;
+    }
+
+    // La contraseña solo se conoce como hash: si viene en el archivo se
+    // vuelve a guardar sin compararla
+    const changes = {};
+    if (data.name !== undefined && data.name !== existing.name) {
+      changes.name = data.name;
+    }
+    if (data.password !== undefined) {
+      changes.password = data.password;
+    }
+    const profileChanges = {};
+    Object.entries(profile).forEach(([key, value]) => {
+      if (existing.profile[key] !== value) {
+        profileChanges[key] = value;
+      }
+    });
+    if (Object.keys(profileChanges).length > 0) {
+      changes.profile = profileChanges;
+      addErrors(validateProfile(attributes, profileChanges, { partial: true }));
+    }
+    addErrors(User.validateUpdate(changes));
+
+    return Object.keys(changes).length === 0
+      ? { row, action: "unchanged", id: existing.id }
+      : { row, action: "update", id: existing.id, data: changes };
+  }
+}
+
+module.exports = UserTransferService;
+module.exports.TRANSFER_FORMATS = TRANSFER_FORMATS;
+module.exports.IMPORT_MODES = IMPORT_MODES;
+module.exports.TransferFormatError = TransferFormatError;
+module.exports.parseCsv = parseCsv;
+module.exports.toCsvLine = toCsvLine;
@@ -0,0 +1,452 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { v4: uuidv4 } = require("uuid");
+const { userConfig } = require("../config/userConfig");
+const { WEBHOOK_EVENTS } = require("../models/Webhook");
+const { ApiError } = require("../modules/errors");
+const { logger } = require("../modules/logger");
+const { t } = require("../modules/i18n");
+const { isPrivateHost, safeLookup } = require("../modules/network");
+
+const log = logger.child({ component: "webhooks" });
+
+/** Caracteres de la respuesta del receptor que se guardan en el registro */
+const MAX_RESPONSE_LENGTH = 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Error de una operación sobre webhooks
+ *
+ * status indica la respuesta HTTP adecuada (404 si el webhook o la entrega
+ * no existen).
+ *
+ * @class
+ * @extends ApiError
+ */
+class WebhookError extends ApiError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [options] - Detalles del error
+   * @param {number} [options.status=400] - Código HTTP sugerido
+   */
+  constructor(message, { status = 400 } = {}) {
+    super(message, { status });
+    this.name = "WebhookError";
+  }
+}
+
+/**
+ * Firmar el cuerpo de una entrega
+ *
+ * La firma es HMAC-SHA256 de "<timestamp>.<cuerpo>" con el secreto del
+ * webhook, en hexadecimal y con el prefijo "sha256=". Incluir el timestamp
+ * permite al receptor rechazar entregas antiguas reenviadas por terceros.
+ *
+ * @param {string} secret - Secreto del webhook
+ * @param {number} timestamp - Segundos Unix de la cabecera X-Webhook-Timestamp
+ * @param {string} payload - Cuerpo JSON exacto que se envía
+ * @returns {string} Valor de la cabecera X-Webhook-Signature
+ *
+ * @example
+ * // En el receptor
+ * const expected = signWebhookPayload(secret, req.get("X-Webhook-Timestamp"), rawBody);
+ * crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(req.get("X-Webhook-Signature")));
+ */
+function signWebhookPayload(secret, timestamp, payload) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+  return `sha256=${signature}`;
+}
+
+/**
+ * Enviar un POST con cuerpo JSON (http o https según la URL)
+ *
+ * Salvo con allowPrivateUrls, no conecta con localhost, loopback,
+ * link-local ni redes privadas, tampoco a través de un nombre que resuelva
+ * a ellas (ver modules/network.js).
+ *
+ * @param {string} url - URL de destino
+ * @param {string} payload - Cuerpo ya serializado
+ * @param {Object} headers - Cabeceras adicionales
+ * @param {Object} options - Opciones del envío
+ * @param {number} options.timeoutMs - Milisegundos máximos de espera
+ * @param {boolean} options.allowPrivateUrls - Admitir direcciones internas
+ * @returns {Promise<{statusCode: number, body: string}>} Respuesta del receptor
+ */
+function postJson(url, payload, headers, { timeoutMs, allowPrivateUrls }) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+
+  if (!allowPrivateUrls && isPrivateHost(target.hostname)) {
+    return Promise.reject(
+      new Error(`${target.hostname} es una dirección interna`)
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        ...(allowPrivateUrls ? {} : { lookup: safeLookup }),
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          ...headers,
+        },
+        timeout: timeoutMs,
+      },
+      (response) => {
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          if (body.length < MAX_RESPONSE_LENGTH) {
+            body += chunk;
+          }
+        });
+        response.on("end", () =>
+          resolve({
+            statusCode: response.statusCode,
+            body: body.slice(0, MAX_RESPONSE_LENGTH),
+          })
+        );
+      }
+    );
+
+    request.on("timeout", () =>
+      request.destroy(new Error(`Sin respuesta tras ${timeoutMs} ms`))
+    );
+    request.on("error", reject);
+    request.end(payload);
+  });
+}
+
+/**
+ * Servicio de webhooks salientes
+ *
+ * Se suscribe al bus de eventos (modules/eventBus.js) y envía cada evento
+ * de WEBHOOK_EVENTS a los webhooks activos que lo filtran, como POST JSON
+ * firmado (ver signWebhookPayload). Cada envío queda en el registro de
+ * entregas con el resultado de sus intentos.
+ *
+ * Una respuesta 2xx es un éxito; cualquier otra, un error de red o un
+ * timeout se reintentan hasta maxAttempts intentos con espera exponencial
+ * (la política de EmailService.calculateRetryDelay). Tras
+ * disableAfterFailures entregas fallidas seguidas el webhook se desactiva;
+ * vuelve a recibir eventos al reactivarlo con PATCH /api/webhooks/:id.
+ *
+ * @class
+ * @since 1.2.0
+ * @author Sistema CRUD
+ * @version 1.2.0
+ *
+ * @example
+ * const { eventBus } = require("../modules/eventBus");
+ * const { webhookRepository } = require("../models/Webhook");
+ *
+ * new WebhookService(webhookRepository).subscribe(eventBus);
+ */
+class WebhookService {
+  /**
+   * @constructor
+   * @param {WebhookRepository} repository - Suscripciones y registro de entregas
+   * @param {Object} [config] - Sobrescribe userConfig.webhooks
+   */
+  constructor(repository, config = {}) {
+    this.repository = repository;
+    this.config = { ...userConfig.webhooks, ...config };
+  }
+
+  /**
+   * Suscribir el servicio a los eventos de WEBHOOK_EVENTS
+   *
+   * @param {EventBus} bus - Bus de eventos de dominio
+   * @returns {Function} Función que cancela todas las suscripciones
+   */
+  subscribe(bus) {
+    const unsubscribers = WEBHOOK_EVENTS.map((type) =>
+      // Las entregas gestionan sus propios reintentos: sin reintentos del bus
+      bus.subscribe(type, (event) => this.dispatch(event), {
+        name: `webhooks:${type}`,
+        retries: 0,
+      })
+    );
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
+  /**
+   * Enviar un evento a todos los webhooks de su tenant que lo filtran
+   *
+   * @param {Object} event - Evento publicado en el bus (event.tenantId es su tenant)
+   * @returns {Promise<WebhookDelivery[]>} Entregas terminadas (con éxito o fallidas)
+   */
+  async dispatch(event) {
+    const webhooks = await this.repository.findSubscribed(
+      event.type,
+      event.tenantId ?? null
+    );
+    const body = {
+      id: event.id,
+      type: event.type,
+      occurredAt: event.occurredAt,
+      data: event.payload,
+    };
+
+    return Promise.all(
+      webhooks.map(async (webhook) =>
+        this.deliver(
+          webhook,
+          await this.repository.recordDelivery({
+            webhookId: webhook.id,
+            eventId: event.id,
+            eventType: event.type,
+            body,
+          })
+        )
+      )
+    );
+  }
+
+  /**
+   * Reenviar manualmente una entrega anterior
+   *
+   * Crea una entrega nueva con el mismo cuerpo (redeliveryOf apunta a la
+   * original) y hace un único intento, también si el webhook está
+   * desactivado.
+   *
+   * @param {string} webhookId - ID del webhook
+   * @param {string} deliveryId - ID de la entrega a reenviar
+   * @returns {Promise<WebhookDelivery>} Entrega nueva con el resultado del intento
+   * @throws {WebhookError} Cuando el webhook o la entrega no existen
+   */
+  async redeliver(webhookId, deliveryId) {
+    const webhook = await this._findWebhook(webhookId);
+    const original = await this.repository.findDelivery(webhookId, deliveryId);
+    if (!original) {
+      throw new WebhookError(t("webhooks.deliveryNotFound"), { status: 404 });
+    }
+
+    const delivery = await this.repository.recordDelivery({
+      webhookId,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      body: original.body,
+      redeliveryOf: original.id,
+    });
+
+    return this.deliver(webhook, delivery, { maxAttempts: 1 });
+  }
+
+  /**
+   * Enviar un evento de prueba (webhook.ping) para comprobar el receptor
+   *
+   * Hace un único intento que queda en el registro pero no cuenta para la
+   * desactivación automática.
+   *
+   * @param {string} webhookId - ID del webhook
+   * @returns {Promise<WebhookDelivery>} Entrega con el resultado del intento
+   * @throws {WebhookError} Cuando el webhook no existe
+   */
+  async ping(webhookId) {
+    const webhook = await this._findWebhook(webhookId);
+    const eventId = uuidv4();
+
+    const delivery = await this.repository.recordDelivery({
+      webhookId,
+      eventId,
+      eventType: "webhook.ping",
+      body: {
+        id: eventId,
+        type: "webhook.ping",
+        occurredAt: new Date().toISOString(),
+        data: { webhook: webhook.toJSON() },
+      },
+    });
+
+    return this.deliver(webhook, delivery, {
+      maxAttempts: 1,
+      countFailures: false,
+    });
+  }
+
+  /**
+   * Intentar una entrega hasta que tenga éxito o se agoten los intentos
+   *
+   * @param {Webhook} webhook - Webhook de destino
+   * @param {WebhookDelivery} delivery - Entrega registrada
+   * @param {Object} [options] - Opciones de la entrega
+   * @param {number} [options.maxAttempts] - Intentos (por defecto config.maxAttempts)
+   * @param {boolean} [options.countFailures=true] - Si el resultado cuenta para la desactivación automática
+   * @returns {Promise<WebhookDelivery>} Entrega terminada
+   */
+  async deliver(
+    webhook,
+    delivery,
+    { maxAttempts = this.config.maxAttempts, countFailures = true } = {}
+  ) {
+    const payload = JSON.stringify(delivery.body);
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await this._attempt(webhook, delivery, payload, attempt);
+      const attempts = [...delivery.attempts, result];
+
+      if (result.success || attempt >= maxAttempts) {
+        const finished = await this.repository.updateDelivery(delivery.id, {
+          status: result.success ? "succeeded" : "failed",
+          attempts,
+          completedAt: result.attemptedAt,
+        });
+
+        if (countFailures) {
+          await this._recordOutcome(webhook, result.success);
+        }
+        return finished || delivery;
+      }
+
+      await this.repository.updateDelivery(delivery.id, { attempts });
+      await wait(this.calculateRetryDelay(attempt));
+    }
+  }
+
+  /**
+   * Calcular la espera antes del siguiente reintento
+   *
+   * @param {number} attempt - Intento que acaba de fallar (1 = el primero)
+   * @returns {number} Milisegundos de espera
+   */
+  calculateRetryDelay(attempt) {
+    const baseDelay = this.config.retryDelayMs;
+
+    if (this.config.backoff === "exponential") {
+      return baseDelay * Math.pow(2, attempt - 1);
+    }
+
+    return baseDelay * attempt;
+  }
+
+  /**
+   * Hacer un intento de entrega
+   *
+   * @param {Webhook} webhook - Webhook de destino
+   * @param {WebhookDelivery} delivery - Entrega
+   * @param {string} payload - Cuerpo serializado
+   * @param {number} attempt - Número de intento
+   * @returns {Promise<Object>} { attempt, attemptedAt, success, statusCode, response, error, durationMs }
+   */
+  async _attempt(webhook, delivery, payload, attempt) {
+    const attemptedAt = new Date();
+    const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+    const result = {
+      attempt,
+      attemptedAt: attemptedAt.toISOString(),
+      success: false,
+      statusCode: null,
+      response: null,
+      error: null,
+    };
+
+    try {
+      const response = await postJson(
+        webhook.url,
+        payload,
+        {
+          "User-Agent": "Sistema-CRUD-Webhooks/1.0",
+          "X-Webhook-Id": webhook.id,
+          "X-Webhook-Event": delivery.eventType,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signWebhookPayload(
+            webhook.secret,
+            timestamp,
+            payload
+          ),
+        },
+        {
+          timeoutMs: this.config.timeoutMs,
+          allowPrivateUrls: this.config.allowPrivateUrls,
+        }
+      );
+
+      result.statusCode = response.statusCode;
+      result.response = response.body;
+      result.success = response.statusCode >= 200 && response.statusCode < 300;
+      if (!result.success) {
+        result.error = `El receptor respondió ${response.statusCode}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    result.durationMs = Date.now() - attemptedAt.getTime();
+    return result;
+  }
+
+  /**
+   * Actualizar el contador de fallos seguidos y desactivar si se supera
+   *
+   * @param {Webhook} webhook - Webhook de la entrega
+   * @param {boolean} success - Si la entrega tuvo éxito
+   * @returns {Promise<void>}
+   */
+  async _recordOutcome(webhook, success) {
+    const current = await this.repository.findById(webhook.id);
+    if (!current) {
+      return;
+    }
+
+    if (success) {
+      if (current.consecutiveFailures > 0) {
+        await this.repository.update(current.id, { consecutiveFailures: 0 });
+      }
+      return;
+    }
+
+    const consecutiveFailures = current.consecutiveFailures + 1;
+    const changes = { consecutiveFailures };
+
+    if (
+      current.active &&
+      consecutiveFailures >= this.config.disableAfterFailures
+    ) {
+      Object.assign(changes, {
+        active: false,
+        disabledAt: new Date().toISOString(),
+        disabledReason: t("webhooks.disabledAfterFailures", {
+          count: consecutiveFailures,
+        }),
+      });
+      log.warn("Webhook desactivado", {
+        webhookId: current.id,
+        consecutiveFailures,
+      });
+    }
+
+    await this.repository.update(current.id, changes);
+  }
+
+  /**
+   * Obtener un webhook
+   *
+   * @param {string} id - ID del webhook
+   * @returns {Promise<Webhook>} Webhook
+   * @throws {WebhookError} Cuando no existe
+   */
+  async _findWebhook(id) {
+    const webhook = await this.repository.findById(id);
+    if (!webhook) {
+      throw new WebhookError(t("webhooks.notFound"), { status: 404 });
+    }
+
+    return webhook;
+  }
+}
+
+module.exports = WebhookService;
+module.exports.WebhookError = WebhookError;
+module.exports.signWebhookPayload = signWebhookPayload;
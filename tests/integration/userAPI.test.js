@@ -1,6 +1,18 @@
 const request = require("supertest");
 const app = require("../../app");
 const { UserRepository } = require("../../models/User");
+const { generateTokens } = require("../../modules/auth");
+
+/** Cabecera Authorization con un token JWT del rol indicado */
+const authHeader = (role = "admin") =>
+  `Bearer ${
+    generateTokens({
+      id: `${role}-1`,
+      name: "Admin",
+      email: `${role}@example.com`,
+      role,
+    }).accessToken
+  }`;
 
 /**
  * Tests de integración completos para la API de usuarios
@@ -31,6 +43,9 @@ describe("User API Integration Tests", () => {
     // Reemplazar la instancia global con una nueva para cada test
     const userModel = require("../../models/User");
     userModel.userRepository.users = [];
+    userModel.userRepository.deletedUsers = [];
+    userModel.userRepository.auditLog.entries = [];
+    userModel.userRepository.attributes.attributes = [];
   });
 
   describe("POST /api/users - Crear usuario", () => {
@@ -409,6 +424,159 @@ describe("User API Integration Tests", () => {
         expect(response.body.data[2].name).toBe("Usuario 3");
       });
     });
+
+    describe("Filtros, ordenamiento y paginación", () => {
+      beforeEach(async () => {
+        const users = [
+          { name: "Juan Pérez", email: "juan@example.com", password: "123456" },
+          { name: "Ana Juárez", email: "ana@empresa.org", password: "123456" },
+          {
+            name: "Carlos López",
+            email: "carlos@example.com",
+            password: "123456",
+          },
+          {
+            name: "Beatriz Ruiz",
+            email: "bea@example.com",
+            password: "123456",
+          },
+          {
+            name: "Diego Sanz",
+            email: "diego@empresa.org",
+            password: "123456",
+          },
+        ];
+
+        for (const userData of users) {
+          await request(app).post("/api/users").send(userData);
+        }
+
+        const userModel = require("../../models/User");
+        userModel.userRepository.users.forEach((user, index) => {
+          user.createdAt = `2025-0${index + 1}-15T12:00:00.000Z`;
+        });
+      });
+
+      test("debe incluir metadata de paginación con la estructura de paginate", async () => {
+        const response = await request(app).get("/api/users").expect(200);
+
+        expect(response.body.pagination).toEqual({
+          currentPage: 1,
+          totalPages: 1,
+          totalRecords: 5,
+          recordsPerPage: 20,
+          hasNextPage: false,
+          hasPrevPage: false,
+          nextPage: null,
+          prevPage: null,
+          nextCursor: null,
+          prevCursor: null,
+        });
+        expect(response.body.sort).toEqual([
+          { field: "createdAt", order: "asc" },
+        ]);
+        expect(response.body.links).toEqual({
+          self: "/api/users",
+          next: null,
+          prev: null,
+        });
+      });
+
+      test("debe filtrar por nombre, dominio y rango de fechas", async () => {
+        const byName = await request(app).get("/api/users?name=JU").expect(200);
+        expect(byName.body.data.map((user) => user.name)).toEqual([
+          "Juan Pérez",
+          "Ana Juárez",
+        ]);
+
+        const byDomain = await request(app)
+          .get("/api/users?emailDomain=EMPRESA.org")
+          .expect(200);
+        expect(byDomain.body.count).toBe(2);
+        expect(byDomain.body.filters).toEqual({ emailDomain: "empresa.org" });
+
+        const byDate = await request(app)
+          .get("/api/users?createdFrom=2025-02-01&createdTo=2025-03-15")
+          .expect(200);
+        expect(byDate.body.data.map((user) => user.name)).toEqual([
+          "Ana Juárez",
+          "Carlos López",
+        ]);
+      });
+
+      test("debe ordenar por varios campos", async () => {
+        const response = await request(app)
+          .get("/api/users?sort=-email,name")
+          .expect(200);
+
+        expect(response.body.data.map((user) => user.email)).toEqual([
+          "juan@example.com",
+          "diego@empresa.org",
+          "carlos@example.com",
+          "bea@example.com",
+          "ana@empresa.org",
+        ]);
+      });
+
+      test("debe recorrer páginas con cursores next y prev", async () => {
+        const first = await request(app)
+          .get("/api/users?emailDomain=example.com&limit=2")
+          .expect(200);
+
+        expect(first.body.data.map((user) => user.name)).toEqual([
+          "Juan Pérez",
+          "Carlos López",
+        ]);
+        expect(first.body.pagination).toMatchObject({
+          currentPage: 1,
+          totalPages: 2,
+          totalRecords: 3,
+          hasNextPage: true,
+          prevCursor: null,
+        });
+
+        const second = await request(app)
+          .get(first.body.links.next)
+          .expect(200);
+
+        expect(second.body.data.map((user) => user.name)).toEqual([
+          "Beatriz Ruiz",
+        ]);
+        expect(second.body.pagination).toMatchObject({
+          currentPage: 2,
+          hasNextPage: false,
+          hasPrevPage: true,
+          nextCursor: null,
+        });
+        expect(second.body.links.next).toBeNull();
+
+        const back = await request(app).get(second.body.links.prev).expect(200);
+        expect(back.body.data).toEqual(first.body.data);
+      });
+
+      test("debe rechazar cursores inválidos o de otra consulta", async () => {
+        const first = await request(app).get("/api/users?limit=2").expect(200);
+
+        const reused = await request(app)
+          .get(
+            `/api/users?limit=2&sort=name&cursor=${first.body.pagination.nextCursor}`
+          )
+          .expect(400);
+        expect(reused.body.message).toBe("Cursor inválido");
+
+        await request(app).get("/api/users?cursor=no-es-un-cursor").expect(400);
+      });
+
+      test("debe rechazar parámetros inválidos", async () => {
+        const response = await request(app)
+          .get("/api/users?limit=500&sort=password&createdFrom=ayer")
+          .expect(400);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.message).toBe("Parámetros de consulta inválidos");
+        expect(response.body.errors).toHaveLength(3);
+      });
+    });
   });
 
   describe("GET /api/users/:id - Obtener usuario por ID", () => {
@@ -510,11 +678,13 @@ describe("User API Integration Tests", () => {
 
         expect(response.body).toMatchObject({
           success: true,
-          message: "Usuario actualizado exitosamente",
+          message:
+            "Usuario actualizado; el nuevo email queda pendiente de confirmación",
           data: {
             id: createdUser.id,
             name: "Juan Carlos Pérez",
-            email: "juancarlos@example.com",
+            email: createdUser.email,
+            pendingEmail: "juancarlos@example.com",
             createdAt: createdUser.createdAt,
           },
         });
@@ -650,7 +820,9 @@ describe("User API Integration Tests", () => {
           .send(updateData)
           .expect(200);
 
-        expect(response.body.data.email).toBe("nuevo@example.com");
+        // El email no cambia hasta confirmar el enlace enviado al nuevo
+        expect(response.body.data.email).toBe(createdUser.email);
+        expect(response.body.data.pendingEmail).toBe("nuevo@example.com");
         expect(response.body.data.name).toBe("Juan Pérez"); // Sin cambios
       });
 
@@ -709,207 +881,2959 @@ describe("User API Integration Tests", () => {
     });
   });
 
-  describe("DELETE /api/users/:id - Eliminar usuario", () => {
+  describe("Control de concurrencia con ETag / If-Match", () => {
     let createdUser;
+    let etag;
 
     beforeEach(async () => {
-      const userData = {
+      const response = await request(app).post("/api/users").send({
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
-      };
-
-      const response = await request(app).post("/api/users").send(userData);
+      });
 
       createdUser = response.body.data;
+      etag = response.headers.etag;
     });
 
-    describe("Casos de éxito", () => {
-      test("debe eliminar usuario existente", async () => {
-        const response = await request(app)
-          .delete(`/api/users/${createdUser.id}`)
-          .expect(200);
+    test("debe incluir ETag, version y updatedAt al crear y obtener", async () => {
+      expect(etag).toBe(`"${createdUser.id}-v1"`);
+      expect(createdUser.version).toBe(1);
+      expect(createdUser.updatedAt).toBe(createdUser.createdAt);
 
-        expect(response.body).toMatchObject({
-          success: true,
-          message: "Usuario eliminado exitosamente",
-        });
+      const response = await request(app)
+        .get(`/api/users/${createdUser.id}`)
+        .expect(200);
 
-        // Verificar que el usuario ya no existe
-        await request(app).get(`/api/users/${createdUser.id}`).expect(404);
-      });
+      expect(response.headers.etag).toBe(etag);
+    });
 
-      test("debe eliminar usuario correcto entre múltiples", async () => {
-        // Crear usuarios adicionales
-        const userData2 = {
-          name: "María García",
-          email: "maria@example.com",
-          password: "654321",
-        };
-        const userData3 = {
-          name: "Carlos López",
-          email: "carlos@example.com",
-          password: "abcdef",
-        };
+    test("debe responder 304 si If-None-Match coincide", async () => {
+      const response = await request(app)
+        .get(`/api/users/${createdUser.id}`)
+        .set("If-None-Match", etag)
+        .expect(304);
 
-        const user2Response = await request(app)
-          .post("/api/users")
-          .send(userData2);
-        const user3Response = await request(app)
-          .post("/api/users")
-          .send(userData3);
+      expect(response.body).toEqual({});
+    });
 
-        // Eliminar usuario del medio
-        await request(app)
-          .delete(`/api/users/${user2Response.body.data.id}`)
-          .expect(200);
+    test("debe actualizar con PUT si If-Match coincide", async () => {
+      const response = await request(app)
+        .put(`/api/users/${createdUser.id}`)
+        .set("If-Match", etag)
+        .send({ name: "Juan Carlos", email: "juan@example.com" })
+        .expect(200);
 
-        // Verificar que los otros usuarios siguen existiendo
-        await request(app).get(`/api/users/${createdUser.id}`).expect(200);
+      expect(response.body.data.version).toBe(2);
+      expect(response.headers.etag).toBe(`"${createdUser.id}-v2"`);
+    });
 
-        await request(app)
-          .get(`/api/users/${user3Response.body.data.id}`)
-          .expect(200);
+    test("debe responder 412 con PATCH si If-Match está obsoleto", async () => {
+      await request(app)
+        .patch(`/api/users/${createdUser.id}`)
+        .set("If-Match", etag)
+        .send({ name: "Primera edición" })
+        .expect(200);
 
-        // Verificar que el eliminado no existe
-        await request(app)
-          .get(`/api/users/${user2Response.body.data.id}`)
-          .expect(404);
+      const response = await request(app)
+        .patch(`/api/users/${createdUser.id}`)
+        .set("If-Match", etag)
+        .send({ name: "Edición obsoleta" })
+        .expect(412);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        message: "El usuario fue modificado por otra petición",
+        currentVersion: 2,
       });
+      expect(response.headers.etag).toBe(`"${createdUser.id}-v2"`);
+
+      const current = await request(app).get(`/api/users/${createdUser.id}`);
+      expect(current.body.data.name).toBe("Primera edición");
     });
 
-    describe("Casos de error", () => {
-      test("debe retornar 404 para ID inexistente", async () => {
-        const fakeId = "123e4567-e89b-12d3-a456-426614174000";
+    test("debe aceptar If-Match: * y sin If-Match mantener last-write-wins", async () => {
+      await request(app)
+        .patch(`/api/users/${createdUser.id}`)
+        .set("If-Match", "*")
+        .send({ name: "Con comodín" })
+        .expect(200);
 
-        const response = await request(app)
-          .delete(`/api/users/${fakeId}`)
-          .expect(404);
+      const response = await request(app)
+        .patch(`/api/users/${createdUser.id}`)
+        .send({ name: "Sin precondición" })
+        .expect(200);
 
-        expect(response.body).toMatchObject({
-          success: false,
-          message: "Usuario no encontrado",
-        });
-      });
+      expect(response.body.data.version).toBe(3);
+    });
 
-      test("debe manejar eliminación múltiple del mismo usuario", async () => {
-        // Primera eliminación - debe funcionar
-        await request(app).delete(`/api/users/${createdUser.id}`).expect(200);
+    test("debe ignorar version enviada en el cuerpo", async () => {
+      const response = await request(app)
+        .patch(`/api/users/${createdUser.id}`)
+        .send({ name: "Juan Carlos", version: 99 })
+        .expect(200);
 
-        // Segunda eliminación del mismo usuario - debe fallar
-        await request(app).delete(`/api/users/${createdUser.id}`).expect(404);
-      });
+      expect(response.body.data.version).toBe(2);
     });
   });
 
-  describe("GET /api/users/search/email/:email - Buscar por email", () => {
-    let createdUser;
+  describe("POST /api/users/bulk - Operaciones masivas", () => {
+    let existingUser;
 
     beforeEach(async () => {
-      const userData = {
+      const response = await request(app).post("/api/users").send({
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
-      };
+      });
 
-      const response = await request(app).post("/api/users").send(userData);
+      existingUser = response.body.data;
+    });
 
-      createdUser = response.body.data;
+    test("debe aplicar un lote atómico válido y responder 207", async () => {
+      const response = await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader())
+        .send({
+          operations: [
+            {
+              op: "create",
+              data: {
+                name: "Ana Ruiz",
+                email: "ana@example.com",
+                password: "123456",
+              },
+            },
+            {
+              op: "update",
+              id: existingUser.id,
+              data: { name: "Juan Carlos" },
+              version: 1,
+            },
+          ],
+        })
+        .expect(207);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        message: "Operación masiva completada",
+        data: {
+          mode: "atomic",
+          applied: true,
+          summary: { total: 2, succeeded: 2, failed: 0 },
+        },
+      });
+      expect(response.body.data.results[0]).toMatchObject({
+        index: 0,
+        op: "create",
+        status: 201,
+        data: { email: "ana@example.com" },
+      });
+      expect(response.body.data.results[0].data.password).toBeUndefined();
+      expect(response.body.data.results[1].data.version).toBe(2);
     });
 
-    describe("Casos de éxito", () => {
-      test("debe encontrar usuario por email existente", async () => {
-        const response = await request(app)
-          .get("/api/users/search/email/juan@example.com")
-          .expect(200);
+    test("no debe aplicar ningún cambio si falla una operación en modo atómico", async () => {
+      const response = await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader())
+        .send({
+          mode: "atomic",
+          operations: [
+            { op: "delete", id: existingUser.id },
+            {
+              op: "create",
+              data: {
+                name: "Duplicado",
+                email: "juan@example.com",
+                password: "123456",
+              },
+            },
+          ],
+        })
+        .expect(207);
 
-        expect(response.body).toMatchObject({
-          success: true,
-          message: "Usuario encontrado exitosamente",
-          data: {
-            id: createdUser.id,
-            name: "Juan Pérez",
-            email: "juan@example.com",
-            createdAt: expect.any(String),
-          },
-        });
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe(
+        "Operación masiva revertida: no se aplicó ningún cambio"
+      );
+      expect(response.body.data.results.map((result) => result.status)).toEqual(
+        [424, 409]
+      );
 
-        expect(response.body.data.password).toBeUndefined();
+      await request(app).get(`/api/users/${existingUser.id}`).expect(200);
+    });
+
+    test("debe aplicar las operaciones válidas en modo best-effort", async () => {
+      const response = await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader())
+        .send({
+          mode: "best-effort",
+          operations: [
+            { op: "delete", id: existingUser.id },
+            { op: "delete", id: "123e4567-e89b-12d3-a456-426614174000" },
+          ],
+        })
+        .expect(207);
+
+      expect(response.body.message).toBe(
+        "Operación masiva completada con errores"
+      );
+      expect(response.body.data.summary).toEqual({
+        total: 2,
+        succeeded: 1,
+        failed: 1,
+      });
+      expect(response.body.data.results[1]).toMatchObject({
+        success: false,
+        status: 404,
+        error: "Usuario no encontrado",
       });
 
-      test("debe encontrar usuario con email que contiene caracteres especiales", async () => {
-        const userData = {
-          name: "José María",
-          email: "jose.maria+test@dominio-español.com",
-          password: "123456",
-        };
+      await request(app).get(`/api/users/${existingUser.id}`).expect(404);
+    });
 
-        await request(app).post("/api/users").send(userData);
+    test("debe rechazar lotes vacíos o con modo desconocido", async () => {
+      await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader())
+        .send({ operations: [] })
+        .expect(400);
 
-        const response = await request(app)
-          .get("/api/users/search/email/jose.maria+test@dominio-español.com")
-          .expect(200);
+      const response = await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader())
+        .send({
+          mode: "parcial",
+          operations: [{ op: "delete", id: existingUser.id }],
+        })
+        .expect(400);
 
-        expect(response.body.data.email).toBe(
-          "jose.maria+test@dominio-español.com"
-        );
-      });
+      expect(response.body.message).toBe("Lote de operaciones inválido");
     });
 
-    describe("Casos de error", () => {
-      test("debe retornar 404 para email inexistente", async () => {
-        const response = await request(app)
-          .get("/api/users/search/email/inexistente@example.com")
-          .expect(404);
+    test("debe responder 413 si el lote supera el máximo de operaciones", async () => {
+      const { userConfig } = require("../../config/userConfig");
+      const operations = Array.from(
+        { length: userConfig.bulk.maxOperations + 1 },
+        () => ({ op: "delete", id: existingUser.id })
+      );
 
-        expect(response.body).toMatchObject({
-          success: false,
-          message: "Usuario no encontrado con ese email",
-        });
+      const response = await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader())
+        .send({ operations })
+        .expect(413);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        message: "Lote demasiado grande",
       });
+      await request(app).get(`/api/users/${existingUser.id}`).expect(200);
+    });
 
-      test("debe ser case-sensitive para emails", async () => {
-        const response = await request(app)
-          .get("/api/users/search/email/JUAN@EXAMPLE.COM")
-          .expect(404);
+    test("debe exigir un administrador", async () => {
+      await request(app)
+        .post("/api/users/bulk")
+        .send({ operations: [{ op: "delete", id: existingUser.id }] })
+        .expect(401);
+      await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader("user"))
+        .send({ operations: [{ op: "delete", id: existingUser.id }] })
+        .expect(403);
+
+      await request(app).get(`/api/users/${existingUser.id}`).expect(200);
+    });
+  });
 
-        expect(response.body.message).toBe(
-          "Usuario no encontrado con ese email"
-        );
+  describe("Exportación e importación de usuarios", () => {
+    beforeEach(async () => {
+      await request(app).post("/api/users").send({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
       });
+    });
 
-      test("debe manejar emails con caracteres especiales en URL", async () => {
-        const email = "test+special@example.com";
-        const encodedEmail = encodeURIComponent(email);
+    test("debe exportar CSV como descarga sin contraseñas", async () => {
+      const response = await request(app)
+        .get("/api/users/export?format=csv")
+        .set("Authorization", authHeader())
+        .expect(200);
 
-        const response = await request(app)
-          .get(`/api/users/search/email/${encodedEmail}`)
-          .expect(404); // No existe este usuario
+      expect(response.headers["content-type"]).toBe("text/csv; charset=utf-8");
+      expect(response.headers["content-disposition"]).toMatch(
+        /^attachment; filename="users-\d{4}-\d{2}-\d{2}\.csv"$/
+      );
+      expect(response.text.split("\r\n")[0]).toBe(
+        "id,name,email,createdAt,updatedAt,version"
+      );
+      expect(response.text).toContain("juan@example.com");
+      expect(response.text).not.toContain("123456");
+    });
 
-        expect(response.body.success).toBe(false);
+    test("debe exportar NDJSON y rechazar formatos desconocidos", async () => {
+      const response = await request(app)
+        .get("/api/users/export?format=ndjson")
+        .set("Authorization", authHeader())
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = "";
+          res.on("data", (chunk) => (text += chunk));
+          res.on("end", () => callback(null, text));
+        })
+        .expect(200);
+
+      expect(JSON.parse(response.body.trim())).toMatchObject({
+        email: "juan@example.com",
       });
+
+      await request(app)
+        .get("/api/users/export?format=xml")
+        .set("Authorization", authHeader())
+        .expect(400);
     });
-  });
 
-  describe("GET /api/users/stats - Estadísticas de usuarios", () => {
-    describe("Casos de éxito", () => {
-      test("debe retornar estadísticas con cero usuarios", async () => {
-        const response = await request(app).get("/api/users/stats").expect(200);
+    test("debe exigir un administrador para exportar e importar", async () => {
+      await request(app).get("/api/users/export?format=csv").expect(401);
+      await request(app)
+        .get("/api/users/export?format=csv")
+        .set("Authorization", authHeader("user"))
+        .expect(403);
+      await request(app)
+        .post("/api/users/import")
+        .set("Content-Type", "text/csv")
+        .send("name,email,password\nAna Ruiz,ana@example.com,123456")
+        .expect(401);
+      await request(app)
+        .get("/api/users/deleted")
+        .set("Authorization", authHeader("user"))
+        .expect(403);
+
+      await request(app)
+        .get("/api/users/search/email/ana@example.com")
+        .expect(404);
+    });
 
-        expect(response.body).toMatchObject({
-          success: true,
-          message: "Estadísticas obtenidas exitosamente",
-          data: {
-            totalUsers: 0,
-            usersCreatedToday: 0,
-            usersCreatedThisWeek: 0,
+    test("debe validar un CSV en modo dryRun sin importar", async () => {
+      const response = await request(app)
+        .post("/api/users/import?dryRun=true")
+        .set("Authorization", authHeader())
+        .set("Content-Type", "text/csv")
+        .send(
+          "name,email,password\nAna Ruiz,ana@example.com,123456\nJuan Bis,juan@example.com,123456\n"
+        )
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        message: "Validación de importación completada",
+        data: {
+          format: "csv",
+          dryRun: true,
+          applied: false,
+          summary: {
+            total: 2,
+            valid: 1,
+            invalid: 1,
+            created: 0,
+            wouldCreate: 1,
           },
-        });
+          errors: [
+            { row: 3, field: "email", error: "El email ya está registrado" },
+          ],
+        },
       });
 
-      test("debe calcular estadísticas correctamente con usuarios", async () => {
-        // Crear usuarios de prueba
-        const users = [
+      await request(app)
+        .get("/api/users/search/email/ana@example.com")
+        .expect(404);
+    });
+
+    test("debe rechazar con 422 una importación con errores", async () => {
+      const response = await request(app)
+        .post("/api/users/import")
+        .set("Authorization", authHeader())
+        .set("Content-Type", "application/x-ndjson")
+        .send(
+          '{"name":"Ana Ruiz","email":"ana@example.com","password":"123456"}\nno es json\n'
+        )
+        .expect(422);
+
+      expect(response.body.data.errors[0]).toMatchObject({
+        row: 2,
+        field: null,
+      });
+      expect(response.body.data.summary).toMatchObject({
+        created: 0,
+        wouldCreate: 1,
+      });
+      await request(app)
+        .get("/api/users/search/email/ana@example.com")
+        .expect(404);
+    });
+
+    test("debe importar un array JSON en modo upsert", async () => {
+      const response = await request(app)
+        .post("/api/users/import?mode=upsert")
+        .set("Authorization", authHeader())
+        .send([
+          { name: "Juan Carlos", email: "juan@example.com" },
+          { name: "Ana Ruiz", email: "ana@example.com", password: "123456" },
+        ])
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        message: "Importación completada",
+        data: { applied: true, summary: { created: 1, updated: 1 } },
+      });
+
+      const juan = await request(app).get(
+        "/api/users/search/email/juan@example.com"
+      );
+      expect(juan.body.data.name).toBe("Juan Carlos");
+    });
+
+    test("debe responder 400 con CSV mal formado o parámetros inválidos", async () => {
+      const malformed = await request(app)
+        .post("/api/users/import")
+        .set("Authorization", authHeader())
+        .set("Content-Type", "text/csv")
+        .send('name,email\n"Ana,ana@example.com\n')
+        .expect(400);
+
+      expect(malformed.body.message).toBe("Archivo de importación inválido");
+
+      const invalid = await request(app)
+        .post("/api/users/import?mode=merge")
+        .set("Authorization", authHeader())
+        .send({ name: "Ana" })
+        .expect(400);
+
+      expect(invalid.body.errors).toHaveLength(2);
+    });
+  });
+
+  describe("Historial de cambios y auditoría", () => {
+    const createUser = (email = "ana@example.com") =>
+      request(app)
+        .post("/api/users")
+        .set("X-Request-Id", "req-alta")
+        .send({ name: "Ana Ruiz", email, password: "123456" })
+        .expect(201);
+
+    test("debe devolver X-Request-Id y generarlo si no se envía o es inválido", async () => {
+      const sent = await request(app)
+        .get("/api/users")
+        .set("X-Request-Id", "abc-123")
+        .expect(200);
+      const invalid = await request(app)
+        .get("/api/users")
+        .set("X-Request-Id", "no válido <script>")
+        .expect(200);
+
+      expect(sent.headers["x-request-id"]).toBe("abc-123");
+      expect(invalid.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test("debe registrar alta, actualización, eliminación y restauración", async () => {
+      const created = await createUser();
+      const { id } = created.body.data;
+
+      await request(app)
+        .patch(`/api/users/${id}`)
+        .send({ name: "Ana Ruiz López", password: "nueva123" })
+        .expect(200);
+      await request(app).delete(`/api/users/${id}`).expect(200);
+      await request(app).post(`/api/users/${id}/restore`).expect(200);
+
+      const response = await request(app)
+        .get(`/api/users/${id}/history`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.map((entry) => entry.action)).toEqual([
+        "restore",
+        "delete",
+        "update",
+        "create",
+      ]);
+      expect(response.body.data[3]).toMatchObject({
+        entityId: id,
+        actor: "anonymous",
+        requestId: "req-alta",
+      });
+      expect(response.body.data[2].changes).toEqual([
+        { field: "name", before: "Ana Ruiz", after: "Ana Ruiz López" },
+        { field: "password", before: "[REDACTED]", after: "[REDACTED]" },
+      ]);
+      expect(JSON.stringify(response.body)).not.toContain("nueva123");
+    });
+
+    test("debe paginar el historial con cursor", async () => {
+      const created = await createUser();
+      const { id } = created.body.data;
+      for (const name of ["Ana Uno", "Ana Dos"]) {
+        await request(app).patch(`/api/users/${id}`).send({ name });
+      }
+
+      const first = await request(app)
+        .get(`/api/users/${id}/history?limit=2`)
+        .expect(200);
+      const second = await request(app).get(first.body.links.next).expect(200);
+
+      expect(first.body.pagination.totalRecords).toBe(3);
+      expect(first.body.data[0].changes[0].after).toBe("Ana Dos");
+      expect(second.body.data.map((entry) => entry.action)).toEqual(["create"]);
+      expect(second.body.pagination.nextCursor).toBeNull();
+    });
+
+    test("debe responder 404 para usuarios sin historial y 400 con parámetros inválidos", async () => {
+      await request(app)
+        .get("/api/users/123e4567-e89b-42d3-a456-426614174000/history")
+        .expect(404);
+
+      const response = await request(app)
+        .get("/api/audit?action=borrar&from=ayer&limit=0")
+        .set("Authorization", authHeader())
+        .set("Authorization", authHeader())
+        .expect(400);
+      expect(response.body.errors).toHaveLength(3);
+    });
+
+    test("debe exigir un administrador para el registro global", async () => {
+      await createUser();
+
+      await request(app).get("/api/audit").expect(401);
+      const forbidden = await request(app)
+        .get("/api/audit")
+        .set("Authorization", authHeader())
+        .set("Authorization", authHeader("user"))
+        .expect(403);
+      expect(forbidden.body).not.toHaveProperty("data");
+    });
+
+    test("debe filtrar el registro global por actor, acción y fechas", async () => {
+      await createUser("ana@example.com");
+      await createUser("luis@example.com");
+
+      const today = new Date().toISOString().slice(0, 10);
+      const all = await request(app)
+        .get(
+          `/api/audit?action=create&actor=anonymous&from=${today}&to=${today}`
+        )
+        .set("Authorization", authHeader())
+        .expect(200);
+      const other = await request(app)
+        .get("/api/audit?actor=admin@example.com")
+        .set("Authorization", authHeader())
+        .expect(200);
+      const past = await request(app)
+        .get("/api/audit?to=2000-01-01")
+        .set("Authorization", authHeader())
+        .expect(200);
+
+      expect(all.body.pagination.totalRecords).toBe(2);
+      expect(all.body.filters).toMatchObject({
+        action: "create",
+        actor: "anonymous",
+      });
+      expect(other.body.data).toEqual([]);
+      expect(past.body.data).toEqual([]);
+    });
+
+    test("debe registrar como actor al usuario autenticado", async () => {
+      const created = await createUser();
+      const { id } = created.body.data;
+
+      await request(app)
+        .patch(`/api/users/${id}`)
+        .set("Authorization", authHeader())
+        .send({ name: "Ana Ruiz López" })
+        .expect(200);
+      const invalid = await request(app)
+        .patch(`/api/users/${id}`)
+        .set("Authorization", "Bearer no-es-un-token")
+        .send({ name: "Otro Nombre" })
+        .expect(403);
+      const audit = await request(app)
+        .get("/api/audit?actor=admin@example.com")
+        .set("Authorization", authHeader())
+        .expect(200);
+
+      expect(invalid.body.message).toBe("Token inválido");
+      expect(audit.body.data).toEqual([
+        expect.objectContaining({
+          entityId: id,
+          action: "update",
+          actor: "admin@example.com",
+        }),
+      ]);
+    });
+  });
+
+  describe("Estado de la cuenta", () => {
+    const createUser = async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+        })
+        .expect(201);
+      return response.body.data;
+    };
+
+    test("debe crear usuarios activos con rol user", async () => {
+      const user = await createUser();
+
+      expect(user).toMatchObject({
+        status: "active",
+        statusReason: null,
+        statusChangedAt: null,
+        role: "user",
+        isVerified: false,
+      });
+    });
+
+    test("debe suspender con motivo y reactivar después", async () => {
+      const { id } = await createUser();
+
+      const suspended = await request(app)
+        .post(`/api/users/${id}/suspend`)
+        .set("Authorization", authHeader())
+        .send({ reason: "Spam reiterado" })
+        .expect(200);
+
+      expect(suspended.body.message).toBe(
+        "Estado del usuario actualizado a suspended"
+      );
+      expect(suspended.body.data).toMatchObject({
+        status: "suspended",
+        statusReason: "Spam reiterado",
+        version: 2,
+      });
+      expect(suspended.headers.etag).toBe(`"${id}-v2"`);
+
+      const activated = await request(app)
+        .post(`/api/users/${id}/activate`)
+        .set("Authorization", authHeader())
+        .expect(200);
+
+      expect(activated.body.data.status).toBe("active");
+      expect(activated.body.data.statusReason).toBeNull();
+
+      const history = await request(app)
+        .get(`/api/users/${id}/history`)
+        .expect(200);
+      expect(history.body.data[1].changes).toContainEqual({
+        field: "status",
+        before: "active",
+        after: "suspended",
+      });
+    });
+
+    test("debe exigir motivo para suspender, bloquear y dar de baja", async () => {
+      const { id } = await createUser();
+
+      for (const action of ["suspend", "lock", "deactivate"]) {
+        const response = await request(app)
+          .post(`/api/users/${id}/${action}`)
+          .set("Authorization", authHeader())
+          .send({})
+          .expect(400);
+
+        expect(response.body.message).toBe("Cambio de estado inválido");
+      }
+    });
+
+    test("debe responder 409 ante transiciones no permitidas", async () => {
+      const { id } = await createUser();
+
+      await request(app)
+        .post(`/api/users/${id}/deactivate`)
+        .set("Authorization", authHeader())
+        .send({ reason: "Baja voluntaria" })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/users/${id}/lock`)
+        .set("Authorization", authHeader())
+        .send({ reason: "Credenciales filtradas" })
+        .expect(409);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: "Transición de estado no permitida",
+        error: 'No se puede pasar del estado "deactivated" a "locked"',
+        currentStatus: "deactivated",
+        allowedTransitions: ["active"],
+      });
+    });
+
+    test("debe exigir un administrador autenticado", async () => {
+      const { id } = await createUser();
+
+      for (const action of ["activate", "suspend", "lock", "deactivate"]) {
+        const anonymous = await request(app)
+          .post(`/api/users/${id}/${action}`)
+          .send({ reason: "Spam" })
+          .expect(401);
+        const user = await request(app)
+          .post(`/api/users/${id}/${action}`)
+          .set("Authorization", authHeader("user"))
+          .send({ reason: "Spam" })
+          .expect(403);
+
+        expect(anonymous.body.message).toBe("Token de acceso requerido");
+        expect(user.body.message).toBe(
+          "No tienes permisos para acceder a este recurso"
+        );
+      }
+      const unchanged = await request(app).get(`/api/users/${id}`).expect(200);
+      expect(unchanged.body.data.status).toBe("active");
+    });
+
+    test("debe responder 404 si el usuario no existe", async () => {
+      await request(app)
+        .post("/api/users/123e4567-e89b-42d3-a456-426614174000/suspend")
+        .set("Authorization", authHeader())
+        .send({ reason: "Spam" })
+        .expect(404);
+    });
+
+    test("no debe permitir cambiar el estado con PATCH", async () => {
+      const { id } = await createUser();
+
+      const response = await request(app)
+        .patch(`/api/users/${id}`)
+        .send({ name: "Ana María", status: "suspended", role: "admin" })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        name: "Ana María",
+        status: "active",
+        role: "user",
+      });
+    });
+  });
+
+  describe("PATCH /api/users/:id - JSON Patch y JSON Merge Patch", () => {
+    let user;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+        })
+        .expect(201);
+      user = response.body.data;
+    });
+
+    const jsonPatch = (operations) =>
+      request(app)
+        .patch(`/api/users/${user.id}`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify(operations));
+
+    const mergePatch = (document) =>
+      request(app)
+        .patch(`/api/users/${user.id}`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify(document));
+
+    test("debe aplicar un JSON Patch con operaciones test", async () => {
+      const response = await jsonPatch([
+        { op: "test", path: "/email", value: "ana@example.com" },
+        { op: "test", path: "/version", value: 1 },
+        { op: "replace", path: "/name", value: "Ana María" },
+        { op: "add", path: "/password", value: "nueva123" },
+      ]).expect(200);
+
+      expect(response.body.data).toMatchObject({
+        name: "Ana María",
+        version: 2,
+      });
+      expect(response.headers.etag).toBe(`"${user.id}-v2"`);
+
+      const userModel = require("../../models/User");
+      const stored = await userModel.userRepository.findById(user.id);
+      expect(await stored.verifyPassword("nueva123")).toBe(true);
+    });
+
+    test("no debe cambiar nada si falla una operación test", async () => {
+      const response = await jsonPatch([
+        { op: "replace", path: "/name", value: "Ana María" },
+        { op: "test", path: "/email", value: "otra@example.com" },
+      ]).expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe(
+        "La operación test del parche no se cumple"
+      );
+
+      const current = await request(app)
+        .get(`/api/users/${user.id}`)
+        .expect(200);
+      expect(current.body.data).toMatchObject({ name: "Ana Ruiz", version: 1 });
+    });
+
+    test("debe aplicar un JSON Merge Patch normalizando el email", async () => {
+      const response = await mergePatch({
+        name: "Ana María",
+        email: "Ana.Maria@Example.com",
+      }).expect(200);
+
+      expect(response.body.data).toMatchObject({
+        name: "Ana María",
+        email: "ana@example.com",
+        pendingEmail: "ana.maria@example.com",
+        version: 3,
+      });
+    });
+
+    test("debe responder 422 si el resultado no es un usuario válido", async () => {
+      const removed = await mergePatch({ name: null }).expect(422);
+      const invalid = await jsonPatch([
+        { op: "replace", path: "/email", value: "no-es-email" },
+      ]).expect(422);
+
+      expect(removed.body.message).toBe(
+        "El resultado del parche no es un usuario válido"
+      );
+      expect(removed.body.errors).toEqual([
+        "El nombre es requerido y debe ser una cadena de texto",
+      ]);
+      expect(invalid.body.errors).toEqual([
+        "El formato del email no es válido",
+      ]);
+    });
+
+    test("debe responder 422 al modificar campos de solo lectura", async () => {
+      const response = await jsonPatch([
+        { op: "replace", path: "/status", value: "suspended" },
+        { op: "remove", path: "/version" },
+      ]).expect(422);
+
+      expect(response.body.message).toBe(
+        "El parche modifica campos de solo lectura"
+      );
+      expect(response.body.error).toContain("version, status");
+    });
+
+    test("debe responder 400 ante documentos mal formados", async () => {
+      await jsonPatch({ op: "replace" }).expect(400);
+      await jsonPatch([{ op: "replace", path: "/name" }]).expect(400);
+      await mergePatch(["name"]).expect(400);
+    });
+
+    test("debe responder 422 si la ruta del parche no existe", async () => {
+      const response = await jsonPatch([
+        { op: "remove", path: "/nickname" },
+      ]).expect(422);
+
+      expect(response.body.message).toBe("No se pudo aplicar el parche");
+    });
+
+    test("debe respetar If-Match", async () => {
+      await request(app)
+        .patch(`/api/users/${user.id}`)
+        .set("Content-Type", "application/merge-patch+json")
+        .set("If-Match", `"${user.id}-v9"`)
+        .send(JSON.stringify({ name: "Ana María" }))
+        .expect(412);
+    });
+  });
+
+  describe("Proyección de campos y expansión (?fields= y ?expand=)", () => {
+    let user;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+        })
+        .expect(201);
+      user = response.body.data;
+    });
+
+    test("debe devolver solo los campos pedidos en listado y detalle", async () => {
+      const list = await request(app)
+        .get("/api/users?fields=id,name")
+        .expect(200);
+      const detail = await request(app)
+        .get(`/api/users/${user.id}?fields=name,id`)
+        .expect(200);
+      const byEmail = await request(app)
+        .get("/api/users/search/email/ana@example.com?fields=email")
+        .expect(200);
+
+      expect(list.body.data).toEqual([{ id: user.id, name: "Ana Ruiz" }]);
+      expect(list.body.links.self).toBe("/api/users?fields=id%2Cname");
+      expect(detail.body.data).toEqual({ id: user.id, name: "Ana Ruiz" });
+      expect(detail.headers.etag).toBe(`"${user.id}-v1"`);
+      expect(byEmail.body.data).toEqual({ email: "ana@example.com" });
+    });
+
+    test("debe rechazar campos y expansiones desconocidos", async () => {
+      const response = await request(app)
+        .get("/api/users?fields=id,password&expand=orders")
+        .expect(400);
+
+      expect(response.body.message).toBe("Parámetros de consulta inválidos");
+      expect(response.body.errors).toEqual([
+        expect.stringContaining("Valores desconocidos en fields: password"),
+        expect.stringContaining("Valores desconocidos en expand: orders"),
+      ]);
+
+      await request(app).get(`/api/users/${user.id}?fields=`).expect(400);
+    });
+
+    test("debe expandir el historial reciente del usuario", async () => {
+      await request(app)
+        .patch(`/api/users/${user.id}`)
+        .send({ name: "Ana María" })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/users/${user.id}?fields=id&expand=history`)
+        .expect(200);
+
+      expect(response.body.data.id).toBe(user.id);
+      expect(response.body.data.history.map((entry) => entry.action)).toEqual([
+        "update",
+        "create",
+      ]);
+    });
+
+    test("debe expandir el estado de los emails (null sin configuración)", async () => {
+      const response = await request(app)
+        .get("/api/users?fields=name&expand=emails")
+        .expect(200);
+
+      expect(response.body.data).toEqual([{ name: "Ana Ruiz", emails: null }]);
+    });
+
+    test("no debe usar el ETag de la versión cuando hay expansiones", async () => {
+      await request(app)
+        .get(`/api/users/${user.id}?fields=id`)
+        .set("If-None-Match", `"${user.id}-v1"`)
+        .expect(304);
+
+      const response = await request(app)
+        .get(`/api/users/${user.id}?expand=history`)
+        .set("If-None-Match", `"${user.id}-v1"`)
+        .expect(200);
+
+      expect(response.headers.etag).not.toBe(`"${user.id}-v1"`);
+    });
+
+    test("debe proyectar el listado de usuarios eliminados", async () => {
+      await request(app).delete(`/api/users/${user.id}`).expect(200);
+
+      const response = await request(app)
+        .get("/api/users/deleted?fields=id,deletedAt")
+        .set("Authorization", authHeader())
+        .expect(200);
+
+      expect(Object.keys(response.body.data[0])).toEqual(["id", "deletedAt"]);
+    });
+  });
+
+  describe("Idempotency-Key en rutas POST", () => {
+    const userData = {
+      name: "Ana Reintento",
+      email: "ana.reintento@example.com",
+      password: "123456",
+    };
+
+    test("debe repetir la primera respuesta sin crear otro usuario", async () => {
+      const first = await request(app)
+        .post("/api/users")
+        .set("Idempotency-Key", "crear-ana-1")
+        .send(userData)
+        .expect(201);
+
+      const retry = await request(app)
+        .post("/api/users")
+        .set("Idempotency-Key", "crear-ana-1")
+        .send(userData)
+        .expect(201);
+
+      expect(first.headers["idempotent-replayed"]).toBeUndefined();
+      expect(retry.headers["idempotent-replayed"]).toBe("true");
+      expect(retry.headers.etag).toBe(first.headers.etag);
+      expect(retry.body).toEqual(first.body);
+
+      const list = await request(app).get("/api/users").expect(200);
+      expect(list.body.data).toHaveLength(1);
+    });
+
+    test("debe responder 422 si la clave se reutiliza con otro cuerpo", async () => {
+      await request(app)
+        .post("/api/users")
+        .set("Idempotency-Key", "crear-ana-2")
+        .send(userData)
+        .expect(201);
+
+      const response = await request(app)
+        .post("/api/users")
+        .set("Idempotency-Key", "crear-ana-2")
+        .send({ ...userData, email: "otra@example.com" })
+        .expect(422);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        message: "Idempotency-Key reutilizada con otra petición",
+      });
+    });
+
+    test("debe rechazar claves con formato inválido", async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .set("Idempotency-Key", "clave con espacios")
+        .send(userData)
+        .expect(400);
+
+      expect(response.body.message).toBe("Idempotency-Key inválida");
+    });
+
+    test("no debe guardar errores del servidor para permitir reintentos", async () => {
+      const { userRepository } = require("../../models/User");
+      const created = await request(app)
+        .post("/api/users")
+        .send(userData)
+        .expect(201);
+      await request(app).delete(`/api/users/${created.body.data.id}`);
+      jest
+        .spyOn(userRepository, "restore")
+        .mockRejectedValueOnce(new Error("Base de datos no disponible"));
+
+      await request(app)
+        .post(`/api/users/${created.body.data.id}/restore`)
+        .set("Idempotency-Key", "restaurar-ana-1")
+        .expect(500);
+
+      const retry = await request(app)
+        .post(`/api/users/${created.body.data.id}/restore`)
+        .set("Idempotency-Key", "restaurar-ana-1")
+        .expect(200);
+
+      expect(retry.headers["idempotent-replayed"]).toBeUndefined();
+      jest.restoreAllMocks();
+    });
+
+    test("debe aplicarse también a los emails", async () => {
+      const first = await request(app)
+        .post("/api/emails/welcome")
+        .set("Idempotency-Key", "bienvenida-1")
+        .send({ userEmail: "ana@example.com" })
+        .expect(400);
+
+      const retry = await request(app)
+        .post("/api/emails/welcome")
+        .set("Idempotency-Key", "bienvenida-1")
+        .send({ userEmail: "ana@example.com" })
+        .expect(400);
+
+      expect(retry.headers["idempotent-replayed"]).toBe("true");
+      expect(retry.body).toEqual(first.body);
+    });
+  });
+
+  describe("Cambio de email verificado", () => {
+    const { createSignedToken } = require("../../modules/signedToken");
+    const { userConfig } = require("../../config/userConfig");
+    const {
+      EMAIL_CHANGE_PURPOSES,
+    } = require("../../services/userEmailChangeService");
+    let user;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+        })
+        .expect(201);
+      user = response.body.data;
+    });
+
+    // Mismos tokens que llegan en los enlaces de los emails
+    const signToken = (purpose, payload, expiresAt) =>
+      createSignedToken(
+        { sub: user.id, ...payload },
+        { secret: userConfig.emailChange.secret, purpose, expiresAt }
+      );
+
+    const requestChange = () =>
+      request(app)
+        .patch(`/api/users/${user.id}`)
+        .send({ email: "ana.nueva@example.com" })
+        .expect(200);
+
+    test("debe confirmar el nuevo email con el enlace y registrarlo en el historial", async () => {
+      const pending = await requestChange();
+      const token = signToken(
+        EMAIL_CHANGE_PURPOSES.confirm,
+        { email: "ana.nueva@example.com" },
+        pending.body.data.pendingEmailExpiresAt
+      );
+
+      const response = await request(app)
+        .post("/api/users/email-change/confirm")
+        .send({ token })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        message: "Email actualizado exitosamente",
+        data: { email: "ana.nueva@example.com", isVerified: true },
+      });
+      expect(response.body.data).not.toHaveProperty("pendingEmail");
+      expect(response.headers.etag).toBe(`"${user.id}-v3"`);
+
+      const history = await request(app)
+        .get(`/api/users/${user.id}/history`)
+        .expect(200);
+      expect(history.body.data[0].changes).toContainEqual({
+        field: "email",
+        before: "ana@example.com",
+        after: "ana.nueva@example.com",
+      });
+
+      await request(app)
+        .post("/api/users/email-change/confirm")
+        .send({ token })
+        .expect(409);
+    });
+
+    test("debe revertir el cambio con el enlace enviado al email anterior", async () => {
+      await requestChange();
+      const token = signToken(
+        EMAIL_CHANGE_PURPOSES.revert,
+        {
+          oldEmail: "ana@example.com",
+          newEmail: "ana.nueva@example.com",
+          wasVerified: false,
+        },
+        new Date(Date.now() + 60000).toISOString()
+      );
+
+      const response = await request(app)
+        .post("/api/users/email-change/revert")
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.message).toBe("Cambio de email revertido");
+      expect(response.body.data.email).toBe("ana@example.com");
+      expect(response.body.data).not.toHaveProperty("pendingEmail");
+    });
+
+    test("debe responder 410 y descartar el cambio con un enlace caducado", async () => {
+      await requestChange();
+      const token = signToken(
+        EMAIL_CHANGE_PURPOSES.confirm,
+        { email: "ana.nueva@example.com" },
+        new Date(Date.now() - 1000).toISOString()
+      );
+
+      const response = await request(app)
+        .post("/api/users/email-change/confirm")
+        .send({ token })
+        .expect(410);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        message: "No se pudo confirmar el cambio de email",
+        error: "El enlace ha caducado",
+      });
+
+      const current = await request(app)
+        .get(`/api/users/${user.id}`)
+        .expect(200);
+      expect(current.body.data.email).toBe("ana@example.com");
+      expect(current.body.data).not.toHaveProperty("pendingEmail");
+    });
+
+    test.each([
+      [{}, "Token de cambio de email inválido"],
+      [
+        { token: "manipulado.firma" },
+        "No se pudo confirmar el cambio de email",
+      ],
+    ])(
+      "debe rechazar tokens ausentes o no válidos (%j)",
+      async (body, message) => {
+        const response = await request(app)
+          .post("/api/users/email-change/confirm")
+          .send(body)
+          .expect(400);
+
+        expect(response.body.message).toBe(message);
+      }
+    );
+
+    test("debe permitir a un administrador cambiar el email sin confirmación", async () => {
+      await requestChange();
+
+      const response = await request(app)
+        .put(`/api/users/${user.id}/email`)
+        .set("Authorization", authHeader())
+        .set("If-Match", `"${user.id}-v2"`)
+        .send({ email: "Ana.Corregida@Example.com", isVerified: true })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        message: "Email actualizado por un administrador",
+        data: { email: "ana.corregida@example.com", isVerified: true },
+      });
+      expect(response.body.data).not.toHaveProperty("pendingEmail");
+
+      const history = await request(app)
+        .get(`/api/users/${user.id}/history?action=override`)
+        .expect(200);
+      expect(history.body.data).toHaveLength(1);
+
+      await request(app)
+        .put(`/api/users/${user.id}/email`)
+        .set("Authorization", authHeader())
+        .set("If-Match", `"${user.id}-v2"`)
+        .send({ email: "otra@example.com" })
+        .expect(412);
+      await request(app)
+        .put(`/api/users/${user.id}/email`)
+        .set("Authorization", authHeader())
+        .send({ email: "no-es-email" })
+        .expect(400);
+    });
+
+    test("debe exigir un administrador para cambiar el email sin confirmación", async () => {
+      await request(app)
+        .put(`/api/users/${user.id}/email`)
+        .send({ email: "atacante@example.com" })
+        .expect(401);
+      await request(app)
+        .put(`/api/users/${user.id}/email`)
+        .set("Authorization", authHeader("user"))
+        .send({ email: "atacante@example.com" })
+        .expect(403);
+
+      const unchanged = await request(app)
+        .get(`/api/users/${user.id}`)
+        .expect(200);
+      expect(unchanged.body.data.email).toBe(user.email);
+    });
+  });
+
+  describe("Eventos de dominio", () => {
+    const { eventBus } = require("../../modules/eventBus");
+    let received;
+    let unsubscribers;
+
+    beforeEach(() => {
+      received = [];
+      unsubscribers = ["user.created", "user.updated", "user.deleted"].map(
+        (type) => eventBus.subscribe(type, (event) => received.push(event))
+      );
+    });
+
+    afterEach(() => unsubscribers.forEach((unsubscribe) => unsubscribe()));
+
+    test("debe publicar user.created con el actor y el ID de la petición", async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .set("X-Request-Id", "req-evento")
+        .send({
+          name: "Juan Pérez",
+          email: "juan@example.com",
+          password: "123456",
+        });
+      await eventBus.drain();
+
+      expect(response.status).toBe(201);
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({
+        type: "user.created",
+        payload: { user: { id: response.body.data.id } },
+        context: { actor: "anonymous", requestId: "req-evento" },
+      });
+      expect(received[0].payload.user).not.toHaveProperty("password");
+    });
+
+    test("debe marcar los eventos de las operaciones masivas con origin bulk", async () => {
+      await request(app)
+        .post("/api/users/bulk")
+        .set("Authorization", authHeader())
+        .send({
+          operations: [
+            {
+              op: "create",
+              data: {
+                name: "Ana Ruiz",
+                email: "ana@example.com",
+                password: "123456",
+              },
+            },
+          ],
+        });
+      await eventBus.drain();
+
+      expect(received).toHaveLength(1);
+      expect(received[0].context.origin).toBe("bulk");
+    });
+
+    test("debe publicar user.updated y user.deleted", async () => {
+      const created = await request(app).post("/api/users").send({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+      const { id } = created.body.data;
+
+      await request(app)
+        .patch(`/api/users/${id}`)
+        .send({ name: "Juan Carlos" });
+      await request(app).delete(`/api/users/${id}`);
+      await eventBus.drain();
+
+      expect(received.map((event) => event.type)).toEqual([
+        "user.created",
+        "user.updated",
+        "user.deleted",
+      ]);
+    });
+  });
+
+  describe("Webhooks salientes", () => {
+    const http = require("http");
+    const { eventBus } = require("../../modules/eventBus");
+    const { webhookRepository } = require("../../models/Webhook");
+    const { signWebhookPayload } = require("../../services/webhookService");
+    let receiver;
+    let receiverUrl;
+    let received;
+    let statuses;
+
+    beforeAll((done) => {
+      receiver = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = statuses.length > 0 ? statuses.shift() : 204;
+          res.end();
+        });
+      });
+      receiver.listen(0, () => {
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      receiver.close(done);
+    });
+
+    beforeEach(() => {
+      received = [];
+      statuses = [];
+      webhookRepository.webhooks = [];
+      webhookRepository.deliveries = [];
+    });
+
+    const createWebhook = (body = {}) =>
+      request(app)
+        .post("/api/webhooks")
+        .set("Authorization", authHeader())
+        .send({ url: receiverUrl, events: ["user.created"], ...body });
+
+    test("debe crear un webhook y devolver el secreto solo al crearlo", async () => {
+      const response = await createWebhook({ description: "CRM" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        url: receiverUrl,
+        events: ["user.created"],
+        description: "CRM",
+        active: true,
+      });
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+
+      const list = await request(app)
+        .get("/api/webhooks")
+        .set("Authorization", authHeader());
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0]).not.toHaveProperty("secret");
+    });
+
+    test("debe entregar user.created firmado con el secreto del webhook", async () => {
+      const webhook = await createWebhook();
+
+      const user = await request(app).post("/api/users").send({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+      await eventBus.drain();
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+      expect(JSON.parse(body)).toMatchObject({
+        type: "user.created",
+        data: { user: { id: user.body.data.id, email: "juan@example.com" } },
+      });
+      expect(headers["x-webhook-signature"]).toBe(
+        signWebhookPayload(
+          webhook.body.data.secret,
+          headers["x-webhook-timestamp"],
+          body
+        )
+      );
+
+      const deliveries = await request(app)
+        .get(`/api/webhooks/${webhook.body.data.id}/deliveries`)
+        .set("Authorization", authHeader());
+      expect(deliveries.status).toBe(200);
+      expect(deliveries.body.total).toBe(1);
+      expect(deliveries.body.data[0]).toMatchObject({
+        eventType: "user.created",
+        status: "succeeded",
+      });
+    });
+
+    test("debe reenviar una entrega fallida y enviar eventos de prueba", async () => {
+      const webhook = await createWebhook();
+      const id = webhook.body.data.id;
+      statuses = [500, 500, 500, 500, 500];
+
+      await request(app).post("/api/users").send({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+      await eventBus.drain();
+
+      const failed = await request(app)
+        .get(`/api/webhooks/${id}/deliveries?status=failed`)
+        .set("Authorization", authHeader());
+      expect(failed.body.total).toBe(1);
+      expect(failed.body.data[0].attempts).toHaveLength(5);
+
+      const redelivery = await request(app)
+        .post(
+          `/api/webhooks/${id}/deliveries/${failed.body.data[0].id}/redeliver`
+        )
+        .set("Authorization", authHeader());
+      expect(redelivery.status).toBe(200);
+      expect(redelivery.body.message).toBe("Reenvío entregado exitosamente");
+      expect(redelivery.body.data.redeliveryOf).toBe(failed.body.data[0].id);
+
+      const ping = await request(app)
+        .post(`/api/webhooks/${id}/ping`)
+        .set("Authorization", authHeader());
+      expect(ping.status).toBe(200);
+      expect(ping.body.data.eventType).toBe("webhook.ping");
+      expect(received).toHaveLength(7);
+    });
+
+    test("debe reactivar un webhook desactivado", async () => {
+      const webhook = await createWebhook();
+      const id = webhook.body.data.id;
+      await webhookRepository.update(id, {
+        active: false,
+        consecutiveFailures: 10,
+        disabledReason: "Desactivado tras 10 entregas fallidas seguidas",
+      });
+
+      const response = await request(app)
+        .patch(`/api/webhooks/${id}`)
+        .set("Authorization", authHeader())
+        .send({ active: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        active: true,
+        consecutiveFailures: 0,
+        disabledReason: null,
+      });
+    });
+
+    test("debe validar las suscripciones y responder 404", async () => {
+      const invalid = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", authHeader())
+        .send({ url: "ftp://example.com", events: ["user.exploded"] });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.errors).toHaveLength(2);
+
+      const english = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", authHeader())
+        .set("Accept-Language", "en")
+        .send({ url: "https://crm.example.com/hooks", events: [] });
+      expect(english.status).toBe(400);
+      expect(english.body.errors).toEqual([
+        expect.stringMatching(
+          /^events must be an array with "\*" or events from: user\.created, /
+        ),
+      ]);
+
+      const missing = await request(app)
+        .get("/api/webhooks/00000000-0000-4000-8000-000000000000")
+        .set("Authorization", authHeader());
+      expect(missing.status).toBe(404);
+
+      const badId = await request(app)
+        .delete("/api/webhooks/no-es-uuid")
+        .set("Authorization", authHeader());
+      expect(badId.status).toBe(400);
+    });
+
+    test("debe exigir un administrador y rechazar URLs internas", async () => {
+      const { userConfig } = require("../../config/userConfig");
+
+      await request(app)
+        .post("/api/webhooks")
+        .send({ url: "https://crm.example.com/hooks", events: ["*"] })
+        .expect(401);
+      await request(app)
+        .get("/api/webhooks")
+        .set("Authorization", authHeader("user"))
+        .expect(403);
+
+      userConfig.webhooks.allowPrivateUrls = false;
+      try {
+        for (const url of [
+          "http://169.254.169.254/latest",
+          "http://localhost:8080/hooks",
+          "http://[::1]/hooks",
+          "http://10.0.0.5/hooks",
+        ]) {
+          const response = await createWebhook({ url }).expect(400);
+          expect(response.body.errors).toEqual([
+            "url no puede apuntar a localhost, loopback, link-local ni a una red privada",
+          ]);
+        }
+        await createWebhook({ url: "https://crm.example.com/hooks" }).expect(
+          201
+        );
+      } finally {
+        userConfig.webhooks.allowPrivateUrls = true;
+        webhookRepository.webhooks = [];
+      }
+    });
+  });
+
+  describe("Grupos de usuarios", () => {
+    const { groupRepository } = require("../../models/Group");
+    let ana;
+    let juan;
+
+    beforeEach(async () => {
+      groupRepository.groups = [];
+      groupRepository.memberships = [];
+
+      ana = (
+        await request(app).post("/api/users").send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+        })
+      ).body.data;
+      juan = (
+        await request(app).post("/api/users").send({
+          name: "Juan Pérez",
+          email: "juan@example.com",
+          password: "123456",
+        })
+      ).body.data;
+    });
+
+    test("debe crear grupos, gestionar miembros y listar los grupos de un usuario", async () => {
+      const created = await request(app)
+        .post("/api/groups")
+        .send({ name: "  Ventas ", description: "Equipo comercial" });
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({
+        name: "Ventas",
+        description: "Equipo comercial",
+        memberCount: 0,
+      });
+      const groupId = created.body.data.id;
+
+      const added = await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .send({ userId: ana.id, role: "owner" });
+      expect(added.status).toBe(201);
+      expect(added.body.data).toMatchObject({
+        userId: ana.id,
+        email: "ana@example.com",
+        role: "owner",
+      });
+      await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .send({ userId: juan.id });
+
+      const promoted = await request(app)
+        .patch(`/api/groups/${groupId}/members/${juan.id}`)
+        .send({ role: "manager" });
+      expect(promoted.status).toBe(200);
+      expect(promoted.body.data.role).toBe("manager");
+
+      const managers = await request(app).get(
+        `/api/groups/${groupId}/members?role=manager`
+      );
+      expect(managers.body.data.map((member) => member.email)).toEqual([
+        "juan@example.com",
+      ]);
+
+      const userGroups = await request(app).get(`/api/users/${ana.id}/groups`);
+      expect(userGroups.status).toBe(200);
+      expect(userGroups.body.data).toEqual([
+        expect.objectContaining({ id: groupId, name: "Ventas", role: "owner" }),
+      ]);
+
+      const removed = await request(app).delete(
+        `/api/groups/${groupId}/members/${ana.id}`
+      );
+      expect(removed.status).toBe(200);
+
+      const group = await request(app).get(`/api/groups/${groupId}`);
+      expect(group.body.data.memberCount).toBe(1);
+    });
+
+    test("debe responder 409 con nombres o miembros repetidos", async () => {
+      const created = await request(app)
+        .post("/api/groups")
+        .send({ name: "Ventas" });
+      const groupId = created.body.data.id;
+
+      const duplicateName = await request(app)
+        .post("/api/groups")
+        .send({ name: "ventas" });
+      expect(duplicateName.status).toBe(409);
+      expect(duplicateName.body.message).toBe(
+        'Ya existe un grupo con el nombre "ventas"'
+      );
+
+      await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .send({ userId: ana.id });
+      const duplicateMember = await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .send({ userId: ana.id });
+      expect(duplicateMember.status).toBe(409);
+    });
+
+    test("debe validar los datos y responder 404 a grupos, usuarios y miembros inexistentes", async () => {
+      const missingId = "00000000-0000-4000-8000-000000000000";
+      const created = await request(app)
+        .post("/api/groups")
+        .send({ name: "Ventas" });
+      const groupId = created.body.data.id;
+
+      const invalidGroup = await request(app)
+        .post("/api/groups")
+        .send({ name: "V", description: 42 });
+      expect(invalidGroup.status).toBe(400);
+      expect(invalidGroup.body.errors).toHaveLength(2);
+
+      const invalidRole = await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .send({ userId: ana.id, role: "admin" });
+      expect(invalidRole.status).toBe(400);
+
+      expect((await request(app).get(`/api/groups/${missingId}`)).status).toBe(
+        404
+      );
+      expect(
+        (
+          await request(app)
+            .post(`/api/groups/${groupId}/members`)
+            .send({ userId: missingId })
+        ).status
+      ).toBe(404);
+      expect(
+        (await request(app).delete(`/api/groups/${groupId}/members/${juan.id}`))
+          .status
+      ).toBe(404);
+      expect(
+        (await request(app).get(`/api/users/${missingId}/groups`)).status
+      ).toBe(404);
+      expect((await request(app).get("/api/groups/no-es-uuid")).status).toBe(
+        400
+      );
+    });
+
+    test("debe eliminar el grupo con sus pertenencias", async () => {
+      const created = await request(app)
+        .post("/api/groups")
+        .send({ name: "Ventas" });
+      const groupId = created.body.data.id;
+      await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .send({ userId: ana.id });
+
+      const response = await request(app).delete(`/api/groups/${groupId}`);
+
+      expect(response.status).toBe(200);
+      const userGroups = await request(app).get(`/api/users/${ana.id}/groups`);
+      expect(userGroups.body.data).toEqual([]);
+    });
+  });
+
+  describe("Atributos de perfil", () => {
+    const defineAttribute = (definition) =>
+      request(app)
+        .post("/api/user-attributes")
+        .set("Authorization", authHeader())
+        .send(definition);
+
+    beforeEach(async () => {
+      await defineAttribute({
+        key: "department",
+        type: "string",
+        label: "Departamento",
+        required: true,
+        enum: ["Ventas", "Soporte"],
+      }).expect(201);
+      await defineAttribute({ key: "age", type: "number", min: 18 }).expect(
+        201
+      );
+    });
+
+    test("debe gestionar las definiciones de atributos", async () => {
+      const list = await request(app).get("/api/user-attributes").expect(200);
+      expect(list.body.data.map(({ key }) => key)).toEqual([
+        "age",
+        "department",
+      ]);
+
+      const duplicated = await defineAttribute({ key: "age", type: "string" });
+      expect(duplicated.status).toBe(409);
+
+      const invalid = await defineAttribute({
+        key: "Zona",
+        type: "string",
+        min: -1,
+      });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe("Datos de atributo inválidos");
+
+      const updated = await request(app)
+        .patch("/api/user-attributes/age")
+        .set("Authorization", authHeader())
+        .send({ max: 65 })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ min: 18, max: 65 });
+
+      const typeChange = await request(app)
+        .patch("/api/user-attributes/age")
+        .set("Authorization", authHeader())
+        .send({ type: "string" });
+      expect(typeChange.status).toBe(400);
+
+      await request(app)
+        .delete("/api/user-attributes/age")
+        .set("Authorization", authHeader())
+        .expect(200);
+      await request(app).get("/api/user-attributes/age").expect(404);
+    });
+
+    test("debe exigir un administrador y rechazar patrones con ReDoS", async () => {
+      await request(app)
+        .post("/api/user-attributes")
+        .send({ key: "zone", type: "string" })
+        .expect(401);
+      await request(app)
+        .patch("/api/user-attributes/age")
+        .set("Authorization", authHeader("user"))
+        .send({ max: 65 })
+        .expect(403);
+      await request(app).delete("/api/user-attributes/age").expect(401);
+
+      const nested = await defineAttribute({
+        key: "code",
+        type: "string",
+        pattern: "(a+)+$",
+        max: 20,
+      }).expect(400);
+      expect(nested.body.errors).toContain(
+        "pattern no admite cuantificadores anidados como (a+)+ (pueden bloquear el servidor)"
+      );
+      const unbounded = await defineAttribute({
+        key: "code",
+        type: "string",
+        pattern: "^E\\d+$",
+      }).expect(400);
+      expect(unbounded.body.errors).toContain(
+        "max (longitud máxima del texto) es obligatorio con pattern"
+      );
+    });
+
+    test("debe validar, fusionar y filtrar el perfil de los usuarios", async () => {
+      const missing = await request(app).post("/api/users").send({
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      });
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toContain(
+        'El atributo "department" es obligatorio'
+      );
+
+      const ana = (
+        await request(app)
+          .post("/api/users")
+          .send({
+            name: "Ana Ruiz",
+            email: "ana@example.com",
+            password: "123456",
+            profile: { department: "Ventas", age: 30 },
+          })
+          .expect(201)
+      ).body.data;
+      await request(app)
+        .post("/api/users")
+        .send({
+          name: "Juan Pérez",
+          email: "juan@example.com",
+          password: "123456",
+          profile: { department: "Soporte" },
+        })
+        .expect(201);
+      expect(ana.profile).toEqual({ department: "Ventas", age: 30 });
+
+      const outOfEnum = await request(app)
+        .patch(`/api/users/${ana.id}`)
+        .send({ profile: { department: "Marketing" } });
+      expect(outOfEnum.status).toBe(400);
+
+      const merged = await request(app)
+        .patch(`/api/users/${ana.id}`)
+        .send({ profile: { age: 31 } })
+        .expect(200);
+      expect(merged.body.data.profile).toEqual({
+        department: "Ventas",
+        age: 31,
+      });
+
+      const removed = await request(app)
+        .patch(`/api/users/${ana.id}`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ profile: { age: null } }))
+        .expect(200);
+      expect(removed.body.data.profile).toEqual({ department: "Ventas" });
+
+      const required = await request(app)
+        .patch(`/api/users/${ana.id}`)
+        .set("Content-Type", "application/merge-patch+json")
+        .send(JSON.stringify({ profile: { department: null } }));
+      expect(required.status).toBe(422);
+
+      const filtered = await request(app)
+        .get("/api/users?profile.department=soporte")
+        .expect(200);
+      expect(filtered.body.data.map(({ email }) => email)).toEqual([
+        "juan@example.com",
+      ]);
+
+      const badFilter = await request(app).get("/api/users?profile.age=abc");
+      expect(badFilter.status).toBe(400);
+      expect(badFilter.body.errors).toEqual([
+        'El atributo "age" debe ser un número',
+      ]);
+      const unknownFilter = await request(app).get(
+        "/api/users?profile.color=azul"
+      );
+      expect(unknownFilter.status).toBe(400);
+
+      const csv = await request(app)
+        .get("/api/users/export?format=csv")
+        .set("Authorization", authHeader())
+        .expect(200);
+      expect(csv.text.split("\r\n")[0]).toBe(
+        "id,name,email,createdAt,updatedAt,version,profile.age,profile.department"
+      );
+    });
+  });
+
+  describe("Multi-tenencia", () => {
+    const { userConfig } = require("../../config/userConfig");
+    const originalTenancy = { ...userConfig.tenancy };
+
+    const asTenant = (tenantId, test) => test.set("X-Tenant-ID", tenantId);
+    const createUser = (tenantId, userData) =>
+      asTenant(tenantId, request(app).post("/api/users")).send(userData);
+
+    beforeEach(() => {
+      Object.assign(userConfig.tenancy, {
+        enabled: true,
+        tenants: {
+          acme: { companyName: "Acme S.L.", fromName: "Equipo Acme" },
+          globex: {},
+        },
+      });
+    });
+
+    afterEach(() => {
+      Object.assign(userConfig.tenancy, originalTenancy);
+    });
+
+    test("debe exigir un tenant configurado", async () => {
+      const missing = await request(app).get("/api/users").expect(400);
+      expect(missing.body).toEqual({
+        success: false,
+        message: "Debe indicar el tenant (cabecera X-Tenant-ID)",
+      });
+
+      const unknown = await asTenant(
+        "initech",
+        request(app).get("/api/users")
+      ).expect(404);
+      expect(unknown.body.message).toBe("Tenant no encontrado");
+
+      const invalid = await asTenant(
+        "acme_corp",
+        request(app).get("/api/users")
+      ).expect(400);
+      expect(invalid.body.message).toBe("El ID de tenant no es válido");
+    });
+
+    test("debe aislar los usuarios, el email y las estadísticas de cada tenant", async () => {
+      const userData = {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      };
+
+      const ana = await createUser("acme", userData).expect(201);
+      await createUser("globex", userData).expect(201);
+      const duplicated = await createUser("acme", userData).expect(400);
+      expect(duplicated.body.error).toBe("El email ya está registrado");
+
+      const list = await asTenant(
+        "acme",
+        request(app).get("/api/users")
+      ).expect(200);
+      expect(list.body.data.map(({ id }) => id)).toEqual([ana.body.data.id]);
+
+      const path = `/api/users/${ana.body.data.id}`;
+      await asTenant("globex", request(app).get(path)).expect(404);
+      await asTenant("globex", request(app).delete(path)).expect(404);
+      await asTenant("globex", request(app).get(`${path}/history`)).expect(404);
+      await asTenant("acme", request(app).get(`${path}/history`)).expect(200);
+
+      const stats = await asTenant(
+        "globex",
+        request(app).get("/api/users/stats")
+      ).expect(200);
+      expect(stats.body.data.totalUsers).toBe(1);
+    });
+
+    test("debe limitar el registro de auditoría al tenant", async () => {
+      const userData = {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      };
+      const ana = await createUser("acme", userData).expect(201);
+      await createUser("globex", userData).expect(201);
+
+      await request(app).get("/api/audit").expect(400);
+      const audit = await asTenant(
+        "acme",
+        request(app).get("/api/audit").set("Authorization", authHeader())
+      ).expect(200);
+      expect(audit.body.data).toHaveLength(1);
+      expect(audit.body.data[0]).toMatchObject({
+        entityId: ana.body.data.id,
+        tenantId: "acme",
+        action: "create",
+      });
+    });
+
+    test("debe separar los atributos de perfil de cada tenant", async () => {
+      await asTenant("acme", request(app).post("/api/user-attributes"))
+        .set("Authorization", authHeader())
+        .send({ key: "level", type: "number" })
+        .expect(201);
+
+      const globex = await asTenant(
+        "globex",
+        request(app).get("/api/user-attributes")
+      ).expect(200);
+      expect(globex.body.data).toEqual([]);
+
+      const userData = {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+        profile: { level: 3 },
+      };
+      await createUser("globex", userData).expect(400);
+      await createUser("acme", userData).expect(201);
+    });
+
+    test("debe separar los grupos de cada tenant y sus miembros", async () => {
+      const { groupRepository } = require("../../models/Group");
+      groupRepository.groups = [];
+      groupRepository.memberships = [];
+
+      const userData = {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      };
+      const ana = await createUser("acme", userData).expect(201);
+      const otherAna = await createUser("globex", userData).expect(201);
+
+      const group = await asTenant("acme", request(app).post("/api/groups"))
+        .send({ name: "Ventas" })
+        .expect(201);
+      const path = `/api/groups/${group.body.data.id}`;
+
+      await asTenant("globex", request(app).get(path)).expect(404);
+      await asTenant("acme", request(app).post(`${path}/members`))
+        .send({ userId: otherAna.body.data.id })
+        .expect(404);
+      await asTenant("acme", request(app).post(`${path}/members`))
+        .send({ userId: ana.body.data.id })
+        .expect(201);
+
+      const globexGroups = await asTenant(
+        "globex",
+        request(app).get("/api/groups")
+      ).expect(200);
+      expect(globexGroups.body.data).toEqual([]);
+    });
+
+    test("debe separar los webhooks de cada tenant", async () => {
+      const { webhookRepository } = require("../../models/Webhook");
+      webhookRepository.webhooks = [];
+      webhookRepository.deliveries = [];
+      const asAdmin = (tenantId, test) =>
+        asTenant(tenantId, test).set("Authorization", authHeader());
+
+      const webhook = await asAdmin("acme", request(app).post("/api/webhooks"))
+        .send({
+          url: "https://crm.example.com/hooks",
+          events: ["user.deleted"],
+        })
+        .expect(201);
+      const path = `/api/webhooks/${webhook.body.data.id}`;
+
+      await asAdmin("globex", request(app).get(path)).expect(404);
+      await asAdmin("globex", request(app).get(`${path}/deliveries`)).expect(
+        404
+      );
+      await asAdmin("globex", request(app).delete(path)).expect(404);
+      await asAdmin("acme", request(app).get(path)).expect(200);
+
+      const globexWebhooks = await asAdmin(
+        "globex",
+        request(app).get("/api/webhooks")
+      ).expect(200);
+      expect(globexWebhooks.body.data).toEqual([]);
+      expect(
+        await webhookRepository.findSubscribed("user.deleted", "acme")
+      ).toHaveLength(1);
+      expect(
+        await webhookRepository.findSubscribed("user.deleted", "globex")
+      ).toEqual([]);
+    });
+
+    test("debe leer el tenant del token JWT", async () => {
+      const ana = await createUser("acme", {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      }).expect(201);
+      const token = generateTokens({
+        id: ana.body.data.id,
+        email: "ana@example.com",
+        role: "user",
+        tenantId: "acme",
+      }).accessToken;
+
+      const list = await request(app)
+        .get("/api/users")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.data.map(({ id }) => id)).toEqual([ana.body.data.id]);
+
+      const mismatch = await asTenant("globex", request(app).get("/api/users"))
+        .set("Authorization", `Bearer ${token}`)
+        .expect(400);
+      expect(mismatch.body.message).toBe(
+        "El tenant indicado por la petición no coincide"
+      );
+    });
+
+    test("debe separar las claves de idempotencia por tenant", async () => {
+      const userData = {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      };
+
+      const first = await createUser("acme", userData)
+        .set("Idempotency-Key", "alta-ana")
+        .expect(201);
+      const other = await createUser("globex", userData)
+        .set("Idempotency-Key", "alta-ana")
+        .expect(201);
+
+      expect(other.headers["idempotent-replayed"]).toBeUndefined();
+      expect(other.body.data.id).not.toBe(first.body.data.id);
+    });
+  });
+
+  describe("Invitaciones", () => {
+    const { eventBus } = require("../../modules/eventBus");
+    let tokens;
+    let unsubscribe;
+
+    beforeEach(() => {
+      // Enlaces que recibiría el invitado por email
+      tokens = [];
+      unsubscribe = eventBus.subscribe("user.invited", (event) =>
+        tokens.push(event.payload.token)
+      );
+    });
+
+    afterEach(() => unsubscribe());
+
+    const invite = async () => {
+      const response = await request(app)
+        .post("/api/invitations")
+        .set("Authorization", authHeader())
+        .send({
+          name: "Lucía Martín",
+          email: "Lucia@Example.com",
+          role: "editor",
+        })
+        .expect(201);
+      await eventBus.drain();
+      return response.body.data;
+    };
+
+    test("debe invitar, listar y activar la cuenta con el enlace", async () => {
+      const invitation = await invite();
+
+      expect(invitation).toMatchObject({
+        name: "Lucía Martín",
+        email: "lucia@example.com",
+        role: "editor",
+        expired: false,
+      });
+      expect(tokens).toHaveLength(1);
+
+      const list = await request(app)
+        .get("/api/invitations")
+        .set("Authorization", authHeader())
+        .expect(200);
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0].id).toBe(invitation.id);
+
+      const user = await request(app)
+        .get(`/api/users/${invitation.id}`)
+        .expect(200);
+      expect(user.body.data.status).toBe("invited");
+
+      const response = await request(app)
+        .post("/api/invitations/accept")
+        .send({ token: tokens[0], password: "nueva123" })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        message: "Invitación aceptada; la cuenta ya está activa",
+        data: { id: invitation.id, status: "active", isVerified: true },
+      });
+      expect(response.headers.etag).toBe(`"${invitation.id}-v2"`);
+
+      const again = await request(app)
+        .post("/api/invitations/accept")
+        .send({ token: tokens[0], password: "nueva123" })
+        .expect(409);
+      expect(again.body.message).toBe("La invitación ya ha sido aceptada");
+      const after = await request(app)
+        .get("/api/invitations")
+        .set("Authorization", authHeader());
+      expect(after.body.count).toBe(0);
+    });
+
+    test("debe rechazar invitaciones a emails registrados o ya invitados", async () => {
+      await invite();
+
+      const pending = await request(app)
+        .post("/api/invitations")
+        .set("Authorization", authHeader())
+        .send({ name: "Lucía Martín", email: "lucia@example.com" })
+        .expect(409);
+      expect(pending.body).toEqual({
+        success: false,
+        message: "Ya hay una invitación pendiente para este email",
+      });
+
+      await request(app)
+        .post("/api/users")
+        .send({
+          name: "Juan Pérez",
+          email: "juan@example.com",
+          password: "123456",
+        })
+        .expect(201);
+      await request(app)
+        .post("/api/invitations")
+        .set("Authorization", authHeader())
+        .send({ name: "Juan Pérez", email: "juan@example.com" })
+        .expect(409);
+    });
+
+    test("debe exigir un administrador y no invitar administradores", async () => {
+      const anonymous = await request(app)
+        .post("/api/invitations")
+        .send({ name: "Eva Gil", email: "eva@example.com", role: "admin" })
+        .expect(401);
+      expect(anonymous.body.success).toBe(false);
+
+      await request(app)
+        .get("/api/invitations")
+        .set("Authorization", authHeader("user"))
+        .expect(403);
+      await request(app)
+        .delete("/api/invitations/123e4567-e89b-12d3-a456-426614174000")
+        .expect(401);
+
+      const admin = await request(app)
+        .post("/api/invitations")
+        .set("Authorization", authHeader())
+        .send({ name: "Eva Gil", email: "eva@example.com", role: "admin" })
+        .expect(400);
+      expect(admin.body.message).toBe("Datos de invitación inválidos");
+      expect(tokens).toEqual([]);
+    });
+
+    test("debe validar los datos de la invitación y de la aceptación", async () => {
+      const invalid = await request(app)
+        .post("/api/invitations")
+        .set("Authorization", authHeader())
+        .send({ name: "Lucía Martín", role: "" })
+        .expect(400);
+      expect(invalid.body.message).toBe("Datos de invitación inválidos");
+
+      await request(app)
+        .post("/api/invitations/accept")
+        .send({ token: "no-es-un-token", password: "nueva123" })
+        .expect(400);
+      await request(app)
+        .post("/api/invitations/accept")
+        .send({ password: "nueva123" })
+        .expect(400);
+    });
+
+    test("debe invalidar el enlace anterior al reenviar y liberar el email al revocar", async () => {
+      const invitation = await invite();
+
+      await request(app)
+        .post(`/api/invitations/${invitation.id}/resend`)
+        .set("Authorization", authHeader())
+        .expect(200);
+      await eventBus.drain();
+      expect(tokens).toHaveLength(2);
+
+      await request(app)
+        .post("/api/invitations/accept")
+        .send({ token: tokens[0], password: "nueva123" })
+        .expect(409);
+
+      await request(app)
+        .delete(`/api/invitations/${invitation.id}`)
+        .set("Authorization", authHeader())
+        .expect(200);
+      await request(app)
+        .post("/api/invitations/accept")
+        .send({ token: tokens[1], password: "nueva123" })
+        .expect(404);
+      await request(app)
+        .delete(`/api/invitations/${invitation.id}`)
+        .set("Authorization", authHeader())
+        .expect(404);
+
+      await invite();
+    });
+  });
+
+  describe("Esquemas de validación", () => {
+    test("debe indicar la parte y el campo de cada error", async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .send({ name: "A", email: "no-es-email", password: "123456" })
+        .expect(400);
+
+      expect(response.body.fieldErrors).toEqual([
+        {
+          location: "body",
+          field: "name",
+          message: "El nombre debe tener al menos 2 caracteres",
+        },
+        {
+          location: "body",
+          field: "email",
+          message: "El formato del email no es válido",
+        },
+      ]);
+
+      const invalidId = await request(app).get("/api/users/123").expect(400);
+      expect(invalidId.body).toMatchObject({
+        message: "Formato de ID inválido",
+        errors: ["El ID debe ser un UUID válido"],
+      });
+    });
+
+    test("debe documentar en /api/docs las mismas reglas que valida", async () => {
+      const { USER_SCHEMA } = require("../../models/User");
+      const response = await request(app).get("/api/docs").expect(200);
+
+      const createUser = response.body.endpoints.find(
+        (endpoint) =>
+          endpoint.method === "POST" && endpoint.path === "/api/users"
+      );
+      expect(createUser.body.password).toBe(
+        `string (requerido, ${USER_SCHEMA.password.minLength}-${USER_SCHEMA.password.maxLength} caracteres)`
+      );
+      expect(response.body.schemas.user).toMatchObject({
+        type: "object",
+        required: ["name", "email", "password"],
+        properties: { password: { type: "string", minLength: 6 } },
+      });
+    });
+  });
+
+  describe("Sanitización de la entrada", () => {
+    test("debe eliminar HTML y caracteres de control antes de validar", async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .send({
+          name: " <b>Ana</b> Ruiz\u0000 ",
+          email: "ana@example.com",
+          password: "123456",
+        })
+        .expect(201);
+
+      expect(response.body.data.name).toBe("Ana Ruiz");
+    });
+
+    test("no debe modificar las contraseñas", async () => {
+      const { userRepository: repository } = require("../../models/User");
+
+      await request(app)
+        .post("/api/users")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: " <b>secreto</b> ",
+        })
+        .expect(201);
+
+      expect(
+        await repository.verifyCredentials(
+          "ana@example.com",
+          " <b>secreto</b> "
+        )
+      ).toBeTruthy();
+      expect(
+        await repository.verifyCredentials("ana@example.com", "secreto")
+      ).toBeFalsy();
+    });
+
+    test("no debe modificar las contraseñas de un JSON Patch", async () => {
+      const { userRepository: repository } = require("../../models/User");
+      const created = await request(app)
+        .post("/api/users")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+        })
+        .expect(201);
+
+      await request(app)
+        .patch(`/api/users/${created.body.data.id}`)
+        .set("Content-Type", "application/json-patch+json")
+        .send(
+          JSON.stringify([
+            { op: "add", path: "/password", value: "new<pw>word1" },
+          ])
+        )
+        .expect(200);
+
+      expect(
+        await repository.verifyCredentials("ana@example.com", "new<pw>word1")
+      ).toBeTruthy();
+      expect(
+        await repository.verifyCredentials("ana@example.com", "newword1")
+      ).toBeFalsy();
+    });
+
+    test("debe rechazar claves que contaminan prototipos", async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .set("Content-Type", "application/json")
+        .send(
+          '{"name": "Ana Ruiz", "email": "ana@example.com", "password": "123456", "__proto__": {"role": "admin"}}'
+        )
+        .expect(400);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: "Entrada no permitida",
+        error: 'La clave "__proto__" no está permitida (body.__proto__)',
+      });
+      expect({}.role).toBeUndefined();
+    });
+  });
+
+  describe("Respuestas de error (application/problem+json)", () => {
+    const PROBLEM = "application/problem+json";
+
+    test("debe responder RFC 7807 con los errores por campo", async () => {
+      const response = await request(app)
+        .post("/api/users")
+        .set("Accept", PROBLEM)
+        .set("X-Request-Id", "req-problem-1")
+        .send({ name: "Ana Ruiz", email: "no-es-email" })
+        .expect(400)
+        .expect("Content-Type", /application\/problem\+json/);
+
+      expect(response.body).toMatchObject({
+        type: "/problems/validation-error",
+        title: "Datos de usuario inválidos",
+        status: 400,
+        instance: "/api/users",
+        requestId: "req-problem-1",
+      });
+      expect(response.body.errors).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ location: "body", field: "email" }),
+          expect.objectContaining({ location: "body", field: "password" }),
+        ])
+      );
+      expect(response.body.success).toBeUndefined();
+    });
+
+    test("debe usar el estado y el tipo del error del modelo", async () => {
+      const userData = {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      };
+      await request(app).post("/api/users").send(userData).expect(201);
+
+      const response = await request(app)
+        .post("/api/users")
+        .set("Accept", PROBLEM)
+        .send(userData)
+        .expect(409);
+
+      expect(response.body).toMatchObject({
+        type: "/problems/email-taken",
+        title: "Error al crear usuario",
+        detail: "El email ya está registrado",
+        status: 409,
+      });
+    });
+
+    test("debe responder 404 con el formato negociado", async () => {
+      const id = "123e4567-e89b-12d3-a456-426614174000";
+
+      const problem = await request(app)
+        .get(`/api/users/${id}`)
+        .set("Accept", PROBLEM)
+        .expect(404);
+      expect(problem.body).toMatchObject({
+        type: "/problems/not-found",
+        title: "Usuario no encontrado",
+        instance: `/api/users/${id}`,
+      });
+
+      const legacy = await request(app).get(`/api/users/${id}`).expect(404);
+      expect(legacy.headers["content-type"]).toMatch(/application\/json/);
+      expect(legacy.body).toEqual({
+        success: false,
+        message: "Usuario no encontrado",
+      });
+    });
+
+    test("debe conservar el formato anterior por defecto", async () => {
+      const userData = {
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      };
+      await request(app).post("/api/users").send(userData).expect(201);
+
+      const response = await request(app)
+        .post("/api/users")
+        .send(userData)
+        .expect(400);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: "Error al crear usuario",
+        error: "El email ya está registrado",
+      });
+    });
+  });
+
+  describe("Registro estructurado (logs)", () => {
+    const { eventBus } = require("../../modules/eventBus");
+
+    // Registros JSON escritos con console.log y console.warn
+    const logEntries = () =>
+      [...console.log.mock.calls, ...console.warn.mock.calls]
+        .map(([line]) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+
+    test("debe registrar cada petición con su estado, duración y tamaño", async () => {
+      const response = await request(app)
+        .get("/api/users?page=1")
+        .set("X-Request-Id", "req-log-1")
+        .expect(200);
+
+      expect(response.headers["x-request-id"]).toBe("req-log-1");
+      const access = logEntries().find(
+        (entry) => entry.msg === "Petición completada"
+      );
+      expect(access).toMatchObject({
+        level: "info",
+        requestId: "req-log-1",
+        component: "http",
+        method: "GET",
+        path: "/api/users?page=1",
+        status: 200,
+        responseSize: Buffer.byteLength(response.text),
+      });
+      expect(access.durationMs).toEqual(expect.any(Number));
+    });
+
+    test("debe registrar los errores de cliente como warn y ocultar los tokens", async () => {
+      await request(app)
+        .get("/api/users/123e4567-e89b-12d3-a456-426614174000?token=secreto")
+        .set("X-Request-Id", "req-log-2")
+        .expect(404);
+
+      const access = logEntries().find(
+        (entry) => entry.msg === "Petición completada"
+      );
+      expect(access).toMatchObject({
+        level: "warn",
+        requestId: "req-log-2",
+        status: 404,
+        path: "/api/users/123e4567-e89b-12d3-a456-426614174000?token=[REDACTED]",
+      });
+    });
+
+    test("debe incluir el ID de la petición en los registros de los servicios", async () => {
+      await request(app)
+        .post("/api/users")
+        .set("X-Request-Id", "req-log-3")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+        })
+        .expect(201);
+      await eventBus.drain();
+
+      expect(logEntries()).toContainEqual(
+        expect.objectContaining({
+          msg: "Email no configurado: se omite el envío",
+          requestId: "req-log-3",
+          component: "email",
+        })
+      );
+      expect(JSON.stringify(logEntries())).not.toContain("123456");
+    });
+  });
+
+  describe("Idioma de los mensajes", () => {
+    test("debe responder en español por defecto", async () => {
+      const response = await request(app)
+        .get("/api/users/123e4567-e89b-12d3-a456-426614174000")
+        .expect(404);
+
+      expect(response.headers["content-language"]).toBe("es");
+      expect(response.headers.vary).toContain("Accept-Language");
+      expect(response.body.message).toBe("Usuario no encontrado");
+    });
+
+    test("debe responder en el idioma de Accept-Language", async () => {
+      const response = await request(app)
+        .get("/api/users/123e4567-e89b-12d3-a456-426614174000")
+        .set("Accept-Language", "en-US,en;q=0.9,es;q=0.8")
+        .expect(404);
+
+      expect(response.headers["content-language"]).toBe("en");
+      expect(response.body.message).toBe("User not found");
+    });
+
+    test("debe traducir los errores de validación y de JSON malformado", async () => {
+      const invalid = await request(app)
+        .post("/api/users")
+        .set("Accept-Language", "en")
+        .send({ name: "A", email: "ana@example.com", password: "123456" })
+        .expect(400);
+      const malformed = await request(app)
+        .post("/api/users")
+        .set("Accept-Language", "en")
+        .set("Content-Type", "application/json")
+        .send('{"name":')
+        .expect(400);
+
+      expect(invalid.body).toMatchObject({
+        message: "Invalid user data",
+        errors: ["Name must be at least 2 characters long"],
+      });
+      expect(malformed.headers["content-language"]).toBe("en");
+      expect(malformed.body).toMatchObject({
+        message: "Malformed JSON",
+        error: "The request body contains invalid JSON",
+      });
+    });
+
+    test("debe guardar el idioma preferido del usuario", async () => {
+      const created = await request(app)
+        .post("/api/users")
+        .send({
+          name: "Ana Ruiz",
+          email: "ana@example.com",
+          password: "123456",
+          locale: "en",
+        })
+        .expect(201);
+      const invalid = await request(app)
+        .patch(`/api/users/${created.body.data.id}`)
+        .send({ locale: "fr" })
+        .expect(400);
+
+      expect(created.body.data.locale).toBe("en");
+      expect(invalid.body.errors).toEqual([
+        "El idioma debe ser uno de: es, en",
+      ]);
+    });
+  });
+
+  describe("DELETE /api/users/:id - Eliminar usuario", () => {
+    let createdUser;
+
+    beforeEach(async () => {
+      const userData = {
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      };
+
+      const response = await request(app).post("/api/users").send(userData);
+
+      createdUser = response.body.data;
+    });
+
+    describe("Casos de éxito", () => {
+      test("debe eliminar usuario existente", async () => {
+        const response = await request(app)
+          .delete(`/api/users/${createdUser.id}`)
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          success: true,
+          message: "Usuario eliminado exitosamente",
+        });
+
+        // Verificar que el usuario ya no existe
+        await request(app).get(`/api/users/${createdUser.id}`).expect(404);
+      });
+
+      test("debe eliminar usuario correcto entre múltiples", async () => {
+        // Crear usuarios adicionales
+        const userData2 = {
+          name: "María García",
+          email: "maria@example.com",
+          password: "654321",
+        };
+        const userData3 = {
+          name: "Carlos López",
+          email: "carlos@example.com",
+          password: "abcdef",
+        };
+
+        const user2Response = await request(app)
+          .post("/api/users")
+          .send(userData2);
+        const user3Response = await request(app)
+          .post("/api/users")
+          .send(userData3);
+
+        // Eliminar usuario del medio
+        await request(app)
+          .delete(`/api/users/${user2Response.body.data.id}`)
+          .expect(200);
+
+        // Verificar que los otros usuarios siguen existiendo
+        await request(app).get(`/api/users/${createdUser.id}`).expect(200);
+
+        await request(app)
+          .get(`/api/users/${user3Response.body.data.id}`)
+          .expect(200);
+
+        // Verificar que el eliminado no existe
+        await request(app)
+          .get(`/api/users/${user2Response.body.data.id}`)
+          .expect(404);
+      });
+    });
+
+    describe("Casos de error", () => {
+      test("debe retornar 404 para ID inexistente", async () => {
+        const fakeId = "123e4567-e89b-12d3-a456-426614174000";
+
+        const response = await request(app)
+          .delete(`/api/users/${fakeId}`)
+          .expect(404);
+
+        expect(response.body).toMatchObject({
+          success: false,
+          message: "Usuario no encontrado",
+        });
+      });
+
+      test("debe manejar eliminación múltiple del mismo usuario", async () => {
+        // Primera eliminación - debe funcionar
+        await request(app).delete(`/api/users/${createdUser.id}`).expect(200);
+
+        // Segunda eliminación del mismo usuario - debe fallar
+        await request(app).delete(`/api/users/${createdUser.id}`).expect(404);
+      });
+    });
+
+    describe("Eliminación lógica, restauración y listado de eliminados", () => {
+      beforeEach(async () => {
+        await request(app).delete(`/api/users/${createdUser.id}`).expect(200);
+      });
+
+      test("debe excluir al usuario eliminado de las lecturas normales", async () => {
+        const list = await request(app).get("/api/users").expect(200);
+        expect(list.body.count).toBe(0);
+
+        await request(app)
+          .get("/api/users/search/email/juan@example.com")
+          .expect(404);
+
+        const stats = await request(app).get("/api/users/stats").expect(200);
+        expect(stats.body.data.totalUsers).toBe(0);
+      });
+
+      test("debe listar usuarios eliminados con deletedAt", async () => {
+        const response = await request(app)
+          .get("/api/users/deleted")
+          .set("Authorization", authHeader())
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          success: true,
+          message: "Usuarios eliminados obtenidos exitosamente",
+          count: 1,
+          retentionDays: expect.any(Number),
+          pagination: { totalRecords: 1 },
+          links: { self: "/api/users/deleted" },
+        });
+        expect(response.body.data[0]).toMatchObject({
+          id: createdUser.id,
+          deletedAt: expect.any(String),
+        });
+        expect(response.body.data[0]).not.toHaveProperty("password");
+      });
+
+      test("debe restaurar al usuario eliminado sin cuerpo en la petición", async () => {
+        const response = await request(app)
+          .post(`/api/users/${createdUser.id}/restore`)
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          success: true,
+          message: "Usuario restaurado exitosamente",
+          data: { id: createdUser.id, email: "juan@example.com" },
+        });
+        expect(response.body.data).not.toHaveProperty("deletedAt");
+
+        await request(app).get(`/api/users/${createdUser.id}`).expect(200);
+
+        const deleted = await request(app)
+          .get("/api/users/deleted")
+          .set("Authorization", authHeader())
+          .expect(200);
+        expect(deleted.body.count).toBe(0);
+      });
+
+      test("debe retornar 404 al restaurar un usuario no eliminado", async () => {
+        await request(app)
+          .post(`/api/users/${createdUser.id}/restore`)
+          .expect(200);
+
+        const response = await request(app)
+          .post(`/api/users/${createdUser.id}/restore`)
+          .expect(404);
+
+        expect(response.body).toMatchObject({
+          success: false,
+          message: "Usuario eliminado no encontrado",
+        });
+      });
+
+      test("debe impedir reutilizar el email de un usuario eliminado", async () => {
+        const response = await request(app)
+          .post("/api/users")
+          .send({
+            name: "Juan Nuevo",
+            email: "juan@example.com",
+            password: "123456",
+          })
+          .expect(400);
+
+        expect(response.body.error).toBe(
+          "El email pertenece a un usuario eliminado; restáurelo o espere a su purga"
+        );
+      });
+    });
+  });
+
+  describe("GET /api/users/search/email/:email - Buscar por email", () => {
+    let createdUser;
+
+    beforeEach(async () => {
+      const userData = {
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      };
+
+      const response = await request(app).post("/api/users").send(userData);
+
+      createdUser = response.body.data;
+    });
+
+    describe("Casos de éxito", () => {
+      test("debe encontrar usuario por email existente", async () => {
+        const response = await request(app)
+          .get("/api/users/search/email/juan@example.com")
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          success: true,
+          message: "Usuario encontrado exitosamente",
+          data: {
+            id: createdUser.id,
+            name: "Juan Pérez",
+            email: "juan@example.com",
+            createdAt: expect.any(String),
+          },
+        });
+
+        expect(response.body.data.password).toBeUndefined();
+      });
+
+      test("debe encontrar usuario con email que contiene caracteres especiales", async () => {
+        const userData = {
+          name: "José María",
+          email: "jose.maria+test@dominio-español.com",
+          password: "123456",
+        };
+
+        await request(app).post("/api/users").send(userData);
+
+        const response = await request(app)
+          .get("/api/users/search/email/jose.maria+test@dominio-español.com")
+          .expect(200);
+
+        expect(response.body.data.email).toBe(
+          "jose.maria+test@dominio-español.com"
+        );
+      });
+
+      test("no debe distinguir mayúsculas en el email buscado", async () => {
+        const response = await request(app)
+          .get("/api/users/search/email/Juan@EXAMPLE.com")
+          .expect(200);
+
+        expect(response.body.data.id).toBe(createdUser.id);
+      });
+    });
+
+    describe("Casos de error", () => {
+      test("debe retornar 404 para email inexistente", async () => {
+        const response = await request(app)
+          .get("/api/users/search/email/inexistente@example.com")
+          .expect(404);
+
+        expect(response.body).toMatchObject({
+          success: false,
+          message: "Usuario no encontrado con ese email",
+        });
+      });
+
+      test("debe manejar emails con caracteres especiales en URL", async () => {
+        const email = "test+special@example.com";
+        const encodedEmail = encodeURIComponent(email);
+
+        const response = await request(app)
+          .get(`/api/users/search/email/${encodedEmail}`)
+          .expect(404); // No existe este usuario
+
+        expect(response.body.success).toBe(false);
+      });
+    });
+  });
+
+  describe("GET /api/users/stats - Estadísticas de usuarios", () => {
+    describe("Casos de éxito", () => {
+      test("debe retornar estadísticas con cero usuarios", async () => {
+        const response = await request(app).get("/api/users/stats").expect(200);
+
+        expect(response.body).toMatchObject({
+          success: true,
+          message: "Estadísticas obtenidas exitosamente",
+          data: {
+            totalUsers: 0,
+            usersCreatedToday: 0,
+            usersCreatedThisWeek: 0,
+          },
+        });
+      });
+
+      test("debe calcular estadísticas correctamente con usuarios", async () => {
+        // Crear usuarios de prueba
+        const users = [
           { name: "Usuario 1", email: "user1@example.com", password: "123456" },
           { name: "Usuario 2", email: "user2@example.com", password: "123456" },
           { name: "Usuario 3", email: "user3@example.com", password: "123456" },
@@ -940,6 +3864,83 @@ describe("User API Integration Tests", () => {
         expect(typeof response.body.data.usersCreatedToday).toBe("number");
         expect(typeof response.body.data.usersCreatedThisWeek).toBe("number");
       });
+
+      test("debe agrupar altas por semana en el rango indicado", async () => {
+        await request(app).post("/api/users").send({
+          name: "Usuario 1",
+          email: "user1@example.com",
+          password: "123456",
+        });
+        await request(app).post("/api/users").send({
+          name: "Usuario 2",
+          email: "user2@test.org",
+          password: "123456",
+        });
+
+        const today = new Date().toISOString().slice(0, 10);
+        const response = await request(app)
+          .get(`/api/users/stats?interval=week&from=${today}&to=${today}`)
+          .expect(200);
+
+        const { range, signups, growth, domains, activity, retention } =
+          response.body.data;
+        expect(range).toEqual({
+          interval: "week",
+          from: `${today}T00:00:00.000Z`,
+          to: `${today}T23:59:59.999Z`,
+        });
+        expect(signups).toEqual([
+          { period: expect.any(String), signups: 2, cumulative: 2 },
+        ]);
+        expect(growth).toMatchObject({ signups: 2, usersAtEnd: 2 });
+        expect(domains.map((item) => item.domain).sort()).toEqual([
+          "example.com",
+          "test.org",
+        ]);
+        expect(activity.trackedUsers).toBe(0);
+        expect(retention).toEqual([
+          { cohort: signups[0].period, size: 2, periods: [] },
+        ]);
+      });
+
+      test("debe exportar un informe como CSV", async () => {
+        await request(app).post("/api/users").send({
+          name: "Usuario 1",
+          email: "user1@example.com",
+          password: "123456",
+        });
+
+        const response = await request(app)
+          .get("/api/users/stats?format=csv&report=domains")
+          .expect(200);
+
+        expect(response.headers["content-type"]).toMatch(/^text\/csv/);
+        expect(response.headers["content-disposition"]).toBe(
+          'attachment; filename="user-stats-domains-day.csv"'
+        );
+        expect(response.text).toBe(
+          "domain,users,percentage\r\nexample.com,1,100\r\n"
+        );
+      });
+    });
+
+    describe("Casos de error", () => {
+      test.each([
+        ["interval=year", "interval"],
+        ["from=2025-13-01", "from"],
+        ["format=xml", "format"],
+        ["report=emails", "report"],
+        ["from=2025-03-10&to=2025-03-01", "from no puede ser posterior a to"],
+        ["interval=day&from=2000-01-01&to=2025-01-01", "máximo es 366"],
+      ])("debe rechazar %s", async (query, message) => {
+        const response = await request(app)
+          .get(`/api/users/stats?${query}`)
+          .expect(400);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.message).toBe("Parámetros de consulta inválidos");
+        expect(response.body.errors.join(" ")).toContain(message);
+      });
     });
   });
 
@@ -0,0 +1,29 @@
+/**
+ * Mock del DatabaseManager para los tests de los repositorios de base de datos
+ * query resuelve { rows: [] } (se sobrescribe con mockResolvedValueOnce) y el
+ * adaptador de MongoDB expone collection().createIndex para los índices.
+ */
+
+/**
+ * Crear un DatabaseManager simulado y ya conectado
+ *
+ * @param {string} type - Tipo de base de datos (mysql, postgresql, mongodb...)
+ * @returns {Object} Gestor con config, isConnected, connect, query y adapter
+ */
+const createDatabaseManager = (type) => ({
+  config: { type },
+  isConnected: true,
+  connect: jest.fn().mockResolvedValue(true),
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+  adapter: {
+    db: {
+      collection: jest.fn().mockReturnValue({
+        createIndex: jest.fn().mockResolvedValue("index_1"),
+      }),
+    },
+  },
+});
+
+module.exports = {
+  createDatabaseManager,
+};
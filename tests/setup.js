@@ -7,6 +7,12 @@ process.env.NODE_ENV = "test";
 process.env.PORT = 3001;
 process.env.EMAIL_DEV_SAVE_FILE = "true";
 process.env.FORCE_EMAIL_SEND = "false";
+// Coste de scrypt reducido para que el hash de contraseñas no ralentice los tests
+process.env.USER_SCRYPT_COST = "1024";
+// Reintentos de webhooks casi inmediatos para no alargar los tests
+process.env.USER_WEBHOOK_RETRY_DELAY_MS = "5";
+// Los receptores de webhooks de los tests escuchan en 127.0.0.1
+process.env.USER_WEBHOOK_ALLOW_PRIVATE_URLS = "true";
 
 // Mock console.log para tests más limpios (opcional)
 const originalConsoleLog = console.log;
@@ -0,0 +1,230 @@
+/**
+ * Tests unitarios para el historial de cambios (AuditLog)
+ */
+
+const {
+  AuditLogRepository,
+  REDACTED,
+  buildChanges,
+  recordChange,
+} = require("../../models/AuditLog");
+const { UserRepository } = require("../../models/User");
+
+const context = { actor: "admin@example.com", requestId: "req-1" };
+
+describe("buildChanges", () => {
+  test("debe devolver solo los campos que cambian, sin campos de control", () => {
+    expect(
+      buildChanges(
+        { id: "1", name: "Ana", email: "ana@example.com", version: 1 },
+        { id: "1", name: "Ana María", email: "ana@example.com", version: 2 }
+      )
+    ).toEqual([{ field: "name", before: "Ana", after: "Ana María" }]);
+  });
+
+  test("debe ocultar el valor de la contraseña", () => {
+    expect(
+      buildChanges(null, { name: "Ana", password: "$scrypt$hash" })
+    ).toEqual([
+      { field: "name", before: null, after: "Ana" },
+      { field: "password", before: null, after: REDACTED },
+    ]);
+    expect(
+      buildChanges({ password: "$scrypt$a" }, { password: "$scrypt$b" })
+    ).toEqual([{ field: "password", before: REDACTED, after: REDACTED }]);
+  });
+});
+
+describe("AuditLogRepository", () => {
+  let auditLog;
+
+  beforeEach(async () => {
+    auditLog = new AuditLogRepository();
+
+    await auditLog.record({
+      entityId: "u1",
+      action: "create",
+      actor: "ana@example.com",
+      timestamp: "2025-01-01T10:00:00.000Z",
+    });
+    await auditLog.record({
+      entityId: "u2",
+      action: "create",
+      timestamp: "2025-01-02T10:00:00.000Z",
+    });
+    await auditLog.record({
+      entityId: "u1",
+      action: "update",
+      actor: "ana@example.com",
+      timestamp: "2025-01-03T10:00:00.000Z",
+    });
+  });
+
+  test("debe listar de la entrada más reciente a la más antigua", async () => {
+    const { entries, total } = await auditLog.findPage({ limit: 2 });
+
+    expect(total).toBe(3);
+    expect(entries.map((entry) => entry.timestamp)).toEqual([
+      "2025-01-03T10:00:00.000Z",
+      "2025-01-02T10:00:00.000Z",
+    ]);
+    expect(entries[1].actor).toBe("anonymous");
+  });
+
+  test("debe filtrar por entidad, actor, acción y rango de fechas", async () => {
+    const page = (filters) =>
+      auditLog
+        .findPage({ filters })
+        .then(({ entries }) => entries.map((entry) => entry.action));
+
+    expect(await page({ entityId: "u1" })).toEqual(["update", "create"]);
+    expect(await page({ actor: "ana@example.com", action: "create" })).toEqual([
+      "create",
+    ]);
+    expect(
+      await page({
+        from: "2025-01-02T00:00:00.000Z",
+        to: "2025-01-02T23:59:59.999Z",
+      })
+    ).toHaveLength(1);
+  });
+
+  test("recordChange no debe registrar actualizaciones sin cambios", async () => {
+    const entry = await recordChange(auditLog, {
+      entityType: "user",
+      entityId: "u1",
+      action: "update",
+      before: { name: "Ana" },
+      after: { name: "Ana" },
+    });
+
+    expect(entry).toBeNull();
+    expect(auditLog.entries).toHaveLength(3);
+    expect(
+      await recordChange(null, { action: "create", after: { name: "Ana" } })
+    ).toBeNull();
+  });
+});
+
+describe("UserRepository con historial", () => {
+  let auditLog;
+  let repository;
+  let user;
+
+  beforeEach(async () => {
+    auditLog = new AuditLogRepository();
+    repository = new UserRepository({ auditLog });
+    user = await repository.create(
+      { name: "Ana Ruiz", email: "ana@example.com", password: "123456" },
+      { context }
+    );
+  });
+
+  test("debe registrar el alta con actor, petición y contraseña oculta", () => {
+    const [entry] = auditLog.entries;
+
+    expect(entry).toMatchObject({
+      entityType: "user",
+      entityId: user.id,
+      action: "create",
+      actor: "admin@example.com",
+      requestId: "req-1",
+    });
+    expect(entry.changes).toEqual([
+      { field: "name", before: null, after: "Ana Ruiz" },
+      { field: "email", before: null, after: "ana@example.com" },
+      { field: "password", before: null, after: REDACTED },
+      { field: "status", before: null, after: "active" },
+      { field: "role", before: null, after: "user" },
+      { field: "isVerified", before: null, after: false },
+      { field: "profile", before: null, after: {} },
+    ]);
+  });
+
+  test("debe registrar el diff de cada actualización y omitir las que no cambian nada", async () => {
+    await repository.update(
+      user.id,
+      { email: "ana.ruiz@example.com", password: "nueva123" },
+      { context }
+    );
+    await repository.update(user.id, {});
+
+    expect(auditLog.entries).toHaveLength(2);
+    expect(auditLog.entries[1].changes).toEqual([
+      {
+        field: "email",
+        before: "ana@example.com",
+        after: "ana.ruiz@example.com",
+      },
+      { field: "password", before: REDACTED, after: REDACTED },
+    ]);
+    expect(JSON.stringify(auditLog.entries)).not.toContain("nueva123");
+  });
+
+  test("debe registrar los cambios de estado con su motivo", async () => {
+    await repository.changeStatus(user.id, "suspended", {
+      reason: "Spam",
+      context,
+    });
+
+    expect(auditLog.entries).toHaveLength(2);
+    expect(auditLog.entries[1].action).toBe("update");
+    expect(auditLog.entries[1].changes).toEqual([
+      { field: "status", before: "active", after: "suspended" },
+      { field: "statusReason", before: null, after: "Spam" },
+      {
+        field: "statusChangedAt",
+        before: null,
+        after: expect.any(String),
+      },
+    ]);
+  });
+
+  test("debe registrar eliminación, restauración y borrado definitivo", async () => {
+    await repository.delete(user.id, { context });
+    await repository.restore(user.id, { context });
+    await repository.destroy(user.id, { context });
+
+    const actions = auditLog.entries.map((entry) => entry.action);
+    expect(actions).toEqual(["create", "delete", "restore", "destroy"]);
+    expect(auditLog.entries[1].changes).toEqual([
+      {
+        field: "deletedAt",
+        before: null,
+        after: expect.any(String),
+      },
+    ]);
+    expect(auditLog.entries[3].changes).toContainEqual({
+      field: "email",
+      before: "ana@example.com",
+      after: null,
+    });
+  });
+
+  test("debe guardar el tenant del usuario y limitar el historial de su vista", async () => {
+    const acme = repository.forTenant("acme");
+    const juan = await acme.create(
+      { name: "Juan Pérez", email: "juan@example.com", password: "123456" },
+      { context }
+    );
+
+    expect(auditLog.entries[1]).toMatchObject({
+      entityId: juan.id,
+      tenantId: "acme",
+    });
+
+    const { entries, total } = await acme.auditLog.findPage();
+    expect(total).toBe(1);
+    expect(entries[0].entityId).toBe(juan.id);
+    expect((await repository.auditLog.findPage()).total).toBe(2);
+    expect(
+      (await repository.forTenant("globex").auditLog.findPage()).total
+    ).toBe(0);
+  });
+
+  test("no debe auditar el rehash de contraseñas sin contexto", async () => {
+    await repository.updatePasswordHash(user.id, "$scrypt$otro");
+
+    expect(auditLog.entries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests unitarios para DatabaseAuditLogRepository
+ * Se usa un DatabaseManager simulado para verificar las queries generadas.
+ */
+
+const DatabaseAuditLogRepository = require("../../models/DatabaseAuditLogRepository");
+const DatabaseUserRepository = require("../../models/DatabaseUserRepository");
+const { AuditEntry, REDACTED } = require("../../models/AuditLog");
+const { createDatabaseManager } = require("../mocks/DatabaseManager.mock");
+
+const storedRow = {
+  id: "9b2f6c1e-0d1a-4b7e-9c55-7a3c2d1e0f00",
+  entity_type: "user",
+  entity_id: "123e4567-e89b-42d3-a456-426614174000",
+  action: "update",
+  actor: "admin@example.com",
+  request_id: "req-1",
+  occurred_at: "2025-10-01T08:00:00.000Z",
+  changes: JSON.stringify([
+    { field: "name", before: "Ana", after: "Ana María" },
+  ]),
+};
+
+describe("DatabaseAuditLogRepository", () => {
+  let db;
+  let auditLog;
+
+  beforeEach(() => {
+    db = createDatabaseManager("mysql");
+    auditLog = new DatabaseAuditLogRepository(db);
+  });
+
+  test("debe crear la tabla e insertar el diff como JSON", async () => {
+    const entry = await auditLog.record({
+      entityId: storedRow.entity_id,
+      action: "create",
+      requestId: "req-1",
+      changes: [{ field: "name", before: null, after: "Ana" }],
+    });
+
+    expect(db.query.mock.calls[0][0]).toContain(
+      "CREATE TABLE IF NOT EXISTS user_audit_log"
+    );
+
+    const [sql, params] = db.query.mock.calls.at(-1);
+    expect(sql).toBe(
+      "INSERT INTO user_audit_log (id, entity_type, entity_id, action, actor, request_id, occurred_at, changes, tenant_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"
+    );
+    expect(params).toEqual([
+      entry.id,
+      "user",
+      storedRow.entity_id,
+      "create",
+      "anonymous",
+      "req-1",
+      entry.timestamp,
+      '[{"field":"name","before":null,"after":"Ana"}]',
+      "",
+    ]);
+  });
+
+  test("debe filtrar, ordenar del más reciente al más antiguo y paginar", async () => {
+    db.query.mockImplementation(async (sql) =>
+      sql.includes("COUNT")
+        ? { rows: [{ count: 3 }] }
+        : sql.startsWith("SELECT")
+        ? { rows: [storedRow] }
+        : { rows: [] }
+    );
+
+    const { entries, total } = await auditLog.findPage({
+      filters: {
+        entityId: storedRow.entity_id,
+        actor: "admin@example.com",
+        from: "2025-10-01T00:00:00.000Z",
+      },
+      limit: 1,
+      offset: 2,
+    });
+
+    expect(total).toBe(3);
+    expect(entries[0]).toBeInstanceOf(AuditEntry);
+    expect(entries[0].toJSON()).toMatchObject({
+      entityId: storedRow.entity_id,
+      requestId: "req-1",
+      timestamp: storedRow.occurred_at,
+      changes: [{ field: "name", before: "Ana", after: "Ana María" }],
+    });
+
+    const [sql, params] = db.query.mock.calls.at(-1);
+    expect(sql).toBe(
+      "SELECT * FROM user_audit_log WHERE entity_id = ? AND actor = ? AND occurred_at >= ? ORDER BY occurred_at DESC, id DESC LIMIT 1 OFFSET 2"
+    );
+    expect(params).toEqual([
+      storedRow.entity_id,
+      "admin@example.com",
+      "2025-10-01T00:00:00.000Z",
+    ]);
+  });
+
+  test("debe limitar la vista de un tenant a sus entradas", async () => {
+    db.query.mockImplementation(async (sql) =>
+      sql.includes("COUNT")
+        ? { rows: [{ count: 1 }] }
+        : sql.startsWith("SELECT")
+        ? { rows: [{ ...storedRow, tenant_id: "acme" }] }
+        : { rows: [] }
+    );
+
+    const { entries } = await auditLog.forTenant("acme").findPage({
+      filters: { action: "update" },
+    });
+
+    expect(entries[0].tenantId).toBe("acme");
+    const [sql, params] = db.query.mock.calls.at(-1);
+    expect(sql).toBe(
+      "SELECT * FROM user_audit_log WHERE tenant_id = ? AND action = ? ORDER BY occurred_at DESC, id DESC"
+    );
+    expect(params).toEqual(["acme", "update"]);
+    expect(auditLog.tenantId).toBeNull();
+  });
+
+  test("debe registrar los cambios de DatabaseUserRepository con su contexto", async () => {
+    const users = new DatabaseUserRepository(createDatabaseManager("mysql"), {
+      auditLog,
+    });
+    users.db.query.mockImplementation(async (sql) =>
+      sql.includes("AND id = ?")
+        ? {
+            rows: [
+              {
+                id: storedRow.entity_id,
+                name: "Ana",
+                email: "ana@example.com",
+                password: "$scrypt$hash",
+                created_at: "2025-09-25T10:30:00.000Z",
+              },
+            ],
+          }
+        : { rows: [], affectedRows: 1 }
+    );
+
+    await users.update(
+      storedRow.entity_id,
+      { name: "Ana María", password: "nueva123" },
+      { context: { actor: "admin@example.com", requestId: "req-2" } }
+    );
+
+    const [, params] = db.query.mock.calls.at(-1);
+    expect(params.slice(1, 6)).toEqual([
+      "user",
+      storedRow.entity_id,
+      "update",
+      "admin@example.com",
+      "req-2",
+    ]);
+    expect(JSON.parse(params[7])).toEqual([
+      { field: "name", before: "Ana", after: "Ana María" },
+      { field: "password", before: REDACTED, after: REDACTED },
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests unitarios para DatabaseGroupRepository
+ * Se usa un DatabaseManager simulado para verificar las queries generadas.
+ */
+
+const DatabaseGroupRepository = require("../../models/DatabaseGroupRepository");
+const { Group, GroupMembership } = require("../../models/Group");
+const { createDatabaseManager } = require("../mocks/DatabaseManager.mock");
+
+const groupId = "5b0e6a0c-3f7e-4c5a-9a43-1f0f3c2d8e77";
+const userId = "123e4567-e89b-42d3-a456-426614174000";
+
+describe("DatabaseGroupRepository", () => {
+  let db;
+  let repository;
+
+  beforeEach(() => {
+    db = createDatabaseManager("mysql");
+    repository = new DatabaseGroupRepository(db);
+  });
+
+  test("debe crear las dos tablas e insertar el grupo", async () => {
+    const group = await repository.create({ name: "Ventas" });
+
+    expect(db.query.mock.calls[0][0]).toContain(
+      "CREATE TABLE IF NOT EXISTS user_groups"
+    );
+    expect(db.query.mock.calls[1][0]).toContain(
+      "CREATE TABLE IF NOT EXISTS user_group_members"
+    );
+    expect(db.query.mock.calls[1][0]).toContain(
+      "PRIMARY KEY (group_id, user_id)"
+    );
+
+    const [sql, params] = db.query.mock.calls.at(-1);
+    expect(sql).toBe(
+      "INSERT INTO user_groups (id, name, description, created_at, updated_at, tenant_id) VALUES (?, ?, ?, ?, ?, ?)"
+    );
+    expect(params).toEqual([
+      group.id,
+      "Ventas",
+      null,
+      group.createdAt,
+      group.updatedAt,
+      "",
+    ]);
+  });
+
+  test("debe guardar y leer las pertenencias en su tabla", async () => {
+    const membership = await repository.addMember(groupId, userId, "manager");
+
+    const [insertSql, insertParams] = db.query.mock.calls.at(-1);
+    expect(insertSql).toBe(
+      "INSERT INTO user_group_members (group_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)"
+    );
+    expect(insertParams).toEqual([
+      groupId,
+      userId,
+      "manager",
+      membership.joinedAt,
+    ]);
+
+    db.query.mockResolvedValueOnce({
+      rows: [
+        {
+          group_id: groupId,
+          user_id: userId,
+          role: "manager",
+          joined_at: "2025-10-01T08:00:00.000Z",
+        },
+      ],
+    });
+    const members = await repository.findMembers(groupId);
+
+    const [selectSql, selectParams] = db.query.mock.calls.at(-1);
+    expect(selectSql).toBe(
+      "SELECT * FROM user_group_members WHERE group_id = ? ORDER BY joined_at ASC"
+    );
+    expect(selectParams).toEqual([groupId]);
+    expect(members).toEqual([
+      new GroupMembership({
+        groupId,
+        userId,
+        role: "manager",
+        joinedAt: "2025-10-01T08:00:00.000Z",
+      }),
+    ]);
+  });
+
+  test("debe devolver null al actualizar un miembro o grupo inexistente", async () => {
+    db.query.mockResolvedValue({ affectedRows: 0 });
+
+    expect(await repository.updateMember(groupId, userId, "owner")).toBeNull();
+    expect(await repository.update(groupId, { name: "Soporte" })).toBeNull();
+    expect(await repository.removeMember(groupId, userId)).toBe(false);
+  });
+
+  test("debe eliminar las pertenencias junto con el grupo", async () => {
+    db.query.mockResolvedValue({ affectedRows: 1 });
+
+    expect(await repository.delete(groupId)).toBe(true);
+
+    const statements = db.query.mock.calls.slice(-2).map(([sql]) => sql);
+    expect(statements).toEqual([
+      "DELETE FROM user_groups WHERE id = ?",
+      "DELETE FROM user_group_members WHERE group_id = ?",
+    ]);
+  });
+
+  test("debe limitar la vista de un tenant a sus grupos", async () => {
+    const acme = repository.forTenant("acme");
+
+    const group = await acme.create({ name: "Ventas" });
+    expect(group.tenantId).toBe("acme");
+    expect(db.query.mock.calls.at(-1)[1].at(-1)).toBe("acme");
+
+    db.query.mockResolvedValue({ affectedRows: 0 });
+    expect(await acme.delete(groupId)).toBe(false);
+
+    const [sql, params] = db.query.mock.calls.at(-1);
+    expect(sql).toBe("DELETE FROM user_groups WHERE tenant_id = ? AND id = ?");
+    expect(params).toEqual(["acme", groupId]);
+  });
+
+  test("debe crear los índices únicos y consultar documentos en MongoDB", async () => {
+    db = createDatabaseManager("mongodb");
+    repository = new DatabaseGroupRepository(db);
+    db.query.mockResolvedValueOnce([
+      {
+        id: groupId,
+        name: "Ventas",
+        description: null,
+        created_at: "2025-10-01T08:00:00.000Z",
+        updated_at: "2025-10-01T08:00:00.000Z",
+      },
+    ]);
+
+    const group = await repository.findById(groupId);
+
+    expect(db.adapter.db.collection).toHaveBeenCalledWith("user_groups");
+    expect(db.adapter.db.collection).toHaveBeenCalledWith("user_group_members");
+    expect(group).toBeInstanceOf(Group);
+    expect(group.name).toBe("Ventas");
+  });
+});
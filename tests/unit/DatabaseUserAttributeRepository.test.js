@@ -0,0 +1,141 @@
+/**
+ * Tests unitarios para DatabaseUserAttributeRepository
+ * Se usa un DatabaseManager simulado para verificar las queries generadas.
+ */
+
+const DatabaseUserAttributeRepository = require("../../models/DatabaseUserAttributeRepository");
+const { UserAttribute } = require("../../models/UserAttribute");
+const { createDatabaseManager } = require("../mocks/DatabaseManager.mock");
+
+const storedRow = {
+  attribute_key: "department",
+  type: "string",
+  label: "Departamento",
+  description: null,
+  required: 1,
+  enum_values: '["Ventas","Soporte"]',
+  pattern: null,
+  min_value: null,
+  max_value: "30",
+  created_at: "2025-10-01T08:00:00.000Z",
+  updated_at: "2025-10-01T08:00:00.000Z",
+};
+
+describe("DatabaseUserAttributeRepository", () => {
+  let db;
+  let repository;
+
+  beforeEach(() => {
+    db = createDatabaseManager("mysql");
+    repository = new DatabaseUserAttributeRepository(db);
+  });
+
+  test("debe crear la tabla e insertar enum como JSON", async () => {
+    const attribute = await repository.create({
+      key: "department",
+      type: "string",
+      required: true,
+      enum: ["Ventas", "Soporte"],
+    });
+
+    expect(db.query.mock.calls[0][0]).toContain(
+      "CREATE TABLE IF NOT EXISTS user_attributes"
+    );
+
+    const [sql, params] = db.query.mock.calls.at(-1);
+    expect(sql).toBe(
+      "INSERT INTO user_attributes (attribute_key, type, label, description, required, enum_values, pattern, min_value, max_value, created_at, updated_at, tenant_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+    );
+    expect(params).toEqual([
+      "department",
+      "string",
+      null,
+      null,
+      true,
+      '["Ventas","Soporte"]',
+      null,
+      null,
+      null,
+      attribute.createdAt,
+      attribute.updatedAt,
+      "",
+    ]);
+  });
+
+  test("debe convertir las filas en UserAttribute ordenadas por clave", async () => {
+    db.query.mockResolvedValue({ rows: [storedRow] });
+
+    const attributes = await repository.findAll();
+
+    const [sql] = db.query.mock.calls.at(-1);
+    expect(sql).toBe(
+      "SELECT * FROM user_attributes WHERE tenant_id = ? ORDER BY attribute_key ASC"
+    );
+    expect(attributes[0]).toBeInstanceOf(UserAttribute);
+    expect(attributes[0].toJSON()).toMatchObject({
+      key: "department",
+      required: true,
+      enum: ["Ventas", "Soporte"],
+      max: 30,
+    });
+  });
+
+  test("debe actualizar solo las columnas modificables", async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+    db.query.mockResolvedValueOnce({ affectedRows: 1 });
+    db.query.mockResolvedValueOnce({ rows: [storedRow] });
+
+    await repository.update("department", {
+      key: "otra",
+      type: "number",
+      enum: null,
+      max: 30,
+    });
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toBe(
+      "UPDATE user_attributes SET updated_at = ?, enum_values = ?, max_value = ? WHERE tenant_id = ? AND attribute_key = ?"
+    );
+    expect(params.slice(1)).toEqual([null, 30, "", "department"]);
+  });
+
+  test("debe limitar la vista de un tenant a sus definiciones", async () => {
+    db.query.mockResolvedValue({ rows: [{ ...storedRow, tenant_id: "acme" }] });
+    const acme = repository.forTenant("acme");
+
+    const [attribute] = await acme.findAll();
+    expect(attribute.tenantId).toBe("acme");
+    expect(db.query.mock.calls.at(-1)[1]).toEqual(["acme"]);
+
+    await acme.create({ key: "level", type: "number" });
+    expect(db.query.mock.calls.at(-1)[1].at(-1)).toBe("acme");
+
+    await acme.delete("level");
+    const [sql, params] = db.query.mock.calls.at(-1);
+    expect(sql).toBe(
+      "DELETE FROM user_attributes WHERE tenant_id = ? AND attribute_key = ?"
+    );
+    expect(params).toEqual(["acme", "level"]);
+  });
+
+  test("debe devolver null o false si la definición no existe", async () => {
+    db.query.mockResolvedValue({ affectedRows: 0 });
+
+    expect(await repository.update("zone", { label: "Zona" })).toBeNull();
+    expect(await repository.delete("zone")).toBe(false);
+  });
+
+  test("debe crear el índice único y guardar enum como array en MongoDB", async () => {
+    db = createDatabaseManager("mongodb");
+    repository = new DatabaseUserAttributeRepository(db);
+
+    await repository.create({ key: "level", type: "number", enum: [1, 2] });
+
+    expect(db.adapter.db.collection).toHaveBeenCalledWith("user_attributes");
+    expect(db.query.mock.calls.at(-1)[0]).toMatchObject({
+      collection: "user_attributes",
+      method: "insertOne",
+      query: { attribute_key: "level", enum_values: [1, 2] },
+    });
+  });
+});
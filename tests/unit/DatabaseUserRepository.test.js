@@ -0,0 +1,767 @@
+/**
+ * Tests unitarios para DatabaseUserRepository
+ * Se usa un DatabaseManager simulado para verificar las queries generadas
+ * con QueryBuilder y la conversión entre filas y instancias de User.
+ */
+
+const DatabaseUserRepository = require("../../models/DatabaseUserRepository");
+const {
+  User,
+  UserRepository,
+  VersionConflictError,
+  createUserRepository,
+} = require("../../models/User");
+const { createDatabaseManager } = require("../mocks/DatabaseManager.mock");
+
+const storedRow = {
+  id: "123e4567-e89b-42d3-a456-426614174000",
+  name: "Juan Pérez",
+  email: "juan@example.com",
+  password: "123456",
+  created_at: "2025-09-25T10:30:00.000Z",
+};
+
+describe("DatabaseUserRepository", () => {
+  describe("MySQL", () => {
+    let db;
+    let repository;
+
+    beforeEach(() => {
+      db = createDatabaseManager("mysql");
+      repository = new DatabaseUserRepository(db);
+    });
+
+    test("debe crear la tabla una sola vez antes de la primera operación", async () => {
+      await repository.findAll();
+      await repository.findAll();
+
+      const createCalls = db.query.mock.calls.filter(([sql]) =>
+        sql.includes("CREATE TABLE IF NOT EXISTS users")
+      );
+      expect(createCalls).toHaveLength(1);
+    });
+
+    test("debe conectar si el gestor no está conectado", async () => {
+      db.isConnected = false;
+
+      await repository.findAll();
+
+      expect(db.connect).toHaveBeenCalledTimes(1);
+    });
+
+    test("debe insertar el usuario con columnas snake_case", async () => {
+      const user = await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+
+      expect(user).toBeInstanceOf(User);
+
+      const [sql, params, options] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "INSERT INTO users (id, name, email, password, created_at, updated_at, version, deleted_at, status, status_reason, status_changed_at, role, is_verified, last_login_at, pending_email, pending_email_expires_at, invitation_expires_at, profile, locale, tenant_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+      );
+      expect(params).toEqual([
+        user.id,
+        "Juan Pérez",
+        "juan@example.com",
+        user.password,
+        user.createdAt,
+        user.createdAt,
+        1,
+        null,
+        "active",
+        null,
+        null,
+        "user",
+        false,
+        null,
+        null,
+        null,
+        null,
+        "{}",
+        null,
+        "",
+      ]);
+      expect(user.password).toMatch(/^\$scrypt\$/);
+      expect(options).toEqual({ cache: false });
+    });
+
+    test("debe rechazar email duplicado", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT") ? { rows: [storedRow] } : { rows: [] }
+      );
+
+      await expect(
+        repository.create({
+          name: "Otro",
+          email: "juan@example.com",
+          password: "654321",
+        })
+      ).rejects.toThrow("El email ya está registrado");
+
+      expect(
+        db.query.mock.calls.some(([sql]) => sql.startsWith("INSERT"))
+      ).toBe(false);
+    });
+
+    test("debe rechazar datos inválidos sin consultar la base de datos", async () => {
+      await expect(
+        repository.create({ name: "", email: "x", password: "1" })
+      ).rejects.toThrow("Datos inválidos");
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test("debe convertir filas en instancias de User", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT")
+          ? {
+              rows: [
+                { ...storedRow, created_at: new Date(storedRow.created_at) },
+              ],
+            }
+          : { rows: [] }
+      );
+
+      const user = await repository.findById(storedRow.id);
+
+      expect(user).toBeInstanceOf(User);
+      expect(user.toObject()).toEqual({
+        id: storedRow.id,
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+        createdAt: "2025-09-25T10:30:00.000Z",
+        updatedAt: "2025-09-25T10:30:00.000Z",
+        version: 1,
+        status: "active",
+        statusReason: null,
+        statusChangedAt: null,
+        role: "user",
+        isVerified: false,
+        profile: {},
+        locale: null,
+        lastLoginAt: null,
+        pendingEmail: null,
+        pendingEmailExpiresAt: null,
+        invitationExpiresAt: null,
+        tenantId: null,
+      });
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "SELECT * FROM users WHERE deleted_at IS NULL AND id = ? LIMIT 1"
+      );
+      expect(params).toEqual([storedRow.id]);
+    });
+
+    test("debe retornar undefined cuando no encuentra el usuario", async () => {
+      expect(await repository.findByEmail("nadie@example.com")).toBeUndefined();
+    });
+
+    test("debe actualizar solo columnas conocidas condicionando la versión", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.includes("AND id = ?")
+          ? { rows: [{ ...storedRow, version: 3 }] }
+          : { rows: [], affectedRows: 1 }
+      );
+
+      const user = await repository.update(storedRow.id, {
+        name: "Juan Carlos",
+        createdAt: "2000-01-01T00:00:00.000Z",
+        version: 99,
+        unknown: "ignored",
+      });
+
+      expect(user.name).toBe("Juan Carlos");
+      expect(user.createdAt).toBe(storedRow.created_at);
+      expect(user.version).toBe(4);
+      expect(user.updatedAt > storedRow.created_at).toBe(true);
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "UPDATE users SET name = ?, version = ?, updated_at = ? WHERE id = ? AND version = ?"
+      );
+      expect(params).toEqual([
+        "Juan Carlos",
+        4,
+        user.updatedAt,
+        storedRow.id,
+        3,
+      ]);
+    });
+
+    test("debe cambiar el estado condicionando la versión", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.includes("AND id = ?")
+          ? { rows: [{ ...storedRow, version: 3, status: "active" }] }
+          : { rows: [], affectedRows: 1 }
+      );
+
+      const user = await repository.changeStatus(storedRow.id, "suspended", {
+        reason: "Spam",
+      });
+
+      expect(user.status).toBe("suspended");
+      expect(user.version).toBe(4);
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "UPDATE users SET status = ?, status_reason = ?, status_changed_at = ?, is_verified = ?, version = ?, updated_at = ? WHERE id = ? AND version = ?"
+      );
+      expect(params).toEqual([
+        "suspended",
+        "Spam",
+        user.statusChangedAt,
+        false,
+        4,
+        user.statusChangedAt,
+        storedRow.id,
+        3,
+      ]);
+    });
+
+    test("debe guardar un cambio de email pendiente condicionando la versión", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.includes("AND id = ?")
+          ? { rows: [{ ...storedRow, version: 3 }] }
+          : { rows: [], affectedRows: 1 }
+      );
+
+      const user = await repository.changeEmail(storedRow.id, {
+        pendingEmail: "juan.nuevo@example.com",
+        pendingEmailExpiresAt: "2025-10-02T08:00:00.000Z",
+      });
+
+      expect(user.email).toBe("juan@example.com");
+      expect(user.pendingEmail).toBe("juan.nuevo@example.com");
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "UPDATE users SET pending_email = ?, pending_email_expires_at = ?, version = ?, updated_at = ? WHERE id = ? AND version = ?"
+      );
+      expect(params).toEqual([
+        "juan.nuevo@example.com",
+        "2025-10-02T08:00:00.000Z",
+        4,
+        user.updatedAt,
+        storedRow.id,
+        3,
+      ]);
+    });
+
+    test("debe descartar los cambios de email caducados", async () => {
+      db.query.mockImplementation(async (sql) => {
+        if (sql.startsWith("SELECT id")) {
+          return { rows: [{ id: storedRow.id }] };
+        }
+        return sql.includes("AND id = ?")
+          ? {
+              rows: [
+                {
+                  ...storedRow,
+                  pending_email: "juan.nuevo@example.com",
+                  pending_email_expires_at: "2025-10-01T00:00:00.000Z",
+                },
+              ],
+            }
+          : { rows: [], affectedRows: 1 };
+      });
+
+      await expect(
+        repository.expirePendingEmails("2025-10-02T00:00:00.000Z")
+      ).resolves.toBe(1);
+
+      const calls = db.query.mock.calls.map(([sql, params]) => [sql, params]);
+      expect(calls).toContainEqual([
+        "SELECT id FROM users WHERE deleted_at IS NULL AND pending_email_expires_at <= ?",
+        ["2025-10-02T00:00:00.000Z"],
+      ]);
+      expect(calls.at(-1)[0]).toBe(
+        "UPDATE users SET pending_email = ?, pending_email_expires_at = ?, version = ?, updated_at = ? WHERE id = ? AND version = ?"
+      );
+      expect(calls.at(-1)[1].slice(0, 2)).toEqual([null, null]);
+    });
+
+    test("debe listar y aceptar invitaciones condicionando la versión", async () => {
+      const invited = {
+        ...storedRow,
+        status: "invited",
+        version: 2,
+        invitation_expires_at: "2025-10-04T08:00:00.000Z",
+      };
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT")
+          ? { rows: [invited] }
+          : { rows: [], affectedRows: 1 }
+      );
+
+      const [pending] = await repository.findInvitations();
+      expect(pending.invitationExpiresAt).toBe("2025-10-04T08:00:00.000Z");
+      expect(db.query.mock.calls.at(-1)).toEqual([
+        "SELECT * FROM users WHERE deleted_at IS NULL AND status = ? ORDER BY created_at ASC",
+        ["invited"],
+        expect.anything(),
+      ]);
+
+      const user = await repository.acceptInvitation(storedRow.id, "nueva123", {
+        expectedVersion: 2,
+      });
+
+      expect(user.status).toBe("active");
+      expect(user.isVerified).toBe(true);
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "UPDATE users SET password = ?, status = ?, status_reason = ?, status_changed_at = ?, is_verified = ?, invitation_expires_at = ?, version = ?, updated_at = ? WHERE id = ? AND version = ?"
+      );
+      expect(params.slice(1)).toEqual([
+        "active",
+        null,
+        user.statusChangedAt,
+        true,
+        null,
+        3,
+        user.updatedAt,
+        storedRow.id,
+        2,
+      ]);
+      expect(params[0]).toMatch(/^\$scrypt\$/);
+    });
+
+    test("debe lanzar VersionConflictError si la versión no coincide", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.includes("AND id = ?")
+          ? { rows: [{ ...storedRow, version: 2 }] }
+          : { rows: [], affectedRows: 0 }
+      );
+
+      await expect(
+        repository.update(
+          storedRow.id,
+          { name: "Juan Carlos" },
+          { expectedVersion: 1 }
+        )
+      ).rejects.toMatchObject({
+        name: "VersionConflictError",
+        currentVersion: 2,
+      });
+      expect(
+        db.query.mock.calls.some(([sql]) => sql.startsWith("UPDATE"))
+      ).toBe(false);
+
+      // Otra escritura se adelantó entre la lectura y el UPDATE
+      await expect(
+        repository.update(storedRow.id, { name: "Juan Carlos" })
+      ).rejects.toBeInstanceOf(VersionConflictError);
+    });
+
+    test("debe retornar null al actualizar usuario inexistente", async () => {
+      expect(await repository.update("no-existe", { name: "Nuevo" })).toBe(
+        null
+      );
+    });
+
+    test("debe eliminar lógicamente usuario existente y retornar false si no existe", async () => {
+      expect(await repository.delete("no-existe")).toBe(false);
+
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT") ? { rows: [storedRow] } : { rows: [] }
+      );
+
+      expect(await repository.delete(storedRow.id)).toBe(true);
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe("UPDATE users SET deleted_at = ? WHERE id = ?");
+      expect(params[0]).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+      expect(params[1]).toBe(storedRow.id);
+    });
+
+    test("debe restaurar solo usuarios eliminados", async () => {
+      expect(await repository.restore(storedRow.id)).toBe(null);
+      expect(db.query.mock.calls.at(-1)[0]).toBe(
+        "SELECT * FROM users WHERE deleted_at IS NOT NULL AND id = ? LIMIT 1"
+      );
+
+      const deletedRow = {
+        ...storedRow,
+        deleted_at: "2025-10-01T08:00:00.000Z",
+      };
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT") ? { rows: [deletedRow] } : { rows: [] }
+      );
+
+      const user = await repository.restore(storedRow.id);
+
+      expect(user.deletedAt).toBe(null);
+      expect(db.query.mock.calls.at(-1)).toEqual([
+        "UPDATE users SET deleted_at = ? WHERE id = ?",
+        [null, storedRow.id],
+        { cache: false },
+      ]);
+    });
+
+    test("debe rechazar emails de usuarios eliminados", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT")
+          ? { rows: [{ ...storedRow, deleted_at: "2025-10-01T08:00:00.000Z" }] }
+          : { rows: [] }
+      );
+
+      await expect(
+        repository.create({
+          name: "Otro",
+          email: "juan@example.com",
+          password: "654321",
+        })
+      ).rejects.toThrow("El email pertenece a un usuario eliminado");
+
+      expect(db.query.mock.calls.at(-1)[0]).toBe(
+        "SELECT * FROM users WHERE email = ? LIMIT 1"
+      );
+    });
+
+    test("debe purgar eliminados hasta la fecha límite y contar filas", async () => {
+      db.query.mockResolvedValue({ rows: [], affectedRows: 2 });
+
+      const purged = await repository.purgeDeleted("2025-09-01T00:00:00.000Z");
+
+      expect(purged).toBe(2);
+      expect(db.query.mock.calls.at(-1).slice(0, 2)).toEqual([
+        "DELETE FROM users WHERE deleted_at <= ?",
+        ["2025-09-01T00:00:00.000Z"],
+      ]);
+    });
+
+    test("debe registrar el último login sin cambiar la versión", async () => {
+      db.query.mockResolvedValue({ rows: [], affectedRows: 1 });
+
+      await expect(
+        repository.recordLogin("user-1", "2025-10-01T08:00:00.000Z")
+      ).resolves.toBe(true);
+      expect(db.query.mock.calls.at(-1).slice(0, 2)).toEqual([
+        "UPDATE users SET last_login_at = ? WHERE deleted_at IS NULL AND id = ?",
+        ["2025-10-01T08:00:00.000Z", "user-1"],
+      ]);
+    });
+
+    test("debe borrar definitivamente un usuario por ID con destroy", async () => {
+      db.query.mockResolvedValue({ rows: [], affectedRows: 1 });
+
+      await expect(repository.destroy("user-1")).resolves.toBe(true);
+      expect(db.query.mock.calls.at(-1).slice(0, 2)).toEqual([
+        "DELETE FROM users WHERE id = ?",
+        ["user-1"],
+      ]);
+    });
+    test("debe hashear la contraseña al actualizarla", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.includes("AND id = ?")
+          ? { rows: [storedRow] }
+          : { rows: [], affectedRows: 1 }
+      );
+
+      const user = await repository.update(storedRow.id, {
+        password: "nuevapassword",
+      });
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "UPDATE users SET password = ?, version = ?, updated_at = ? WHERE id = ? AND version = ?"
+      );
+      expect(params[0]).toBe(user.password);
+      expect(await user.verifyPassword("nuevapassword")).toBe(true);
+    });
+
+    test("debe rehashear contraseñas heredadas al verificar credenciales", async () => {
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT")
+          ? { rows: [storedRow] }
+          : { rows: [], affectedRows: 1 }
+      );
+
+      const user = await repository.verifyCredentials(
+        "juan@example.com",
+        "123456"
+      );
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe("UPDATE users SET password = ? WHERE id = ?");
+      expect(params).toEqual([user.password, storedRow.id]);
+      expect(user.password).toMatch(/^\$scrypt\$/);
+      expect(
+        await repository.verifyCredentials("juan@example.com", "654321")
+      ).toBeNull();
+    });
+  });
+
+  describe("findPage", () => {
+    test("debe contar y paginar con filtros escapados y orden determinista", async () => {
+      const db = createDatabaseManager("mysql");
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT COUNT")
+          ? { rows: [{ count: 5 }] }
+          : { rows: sql.startsWith("SELECT *") ? [storedRow] : [] }
+      );
+      const repository = new DatabaseUserRepository(db);
+
+      const { users, total } = await repository.findPage({
+        filters: {
+          name: "50%_off",
+          emailDomain: "Example.com",
+          createdFrom: "2025-01-01T00:00:00.000Z",
+        },
+        sort: [{ field: "name", order: "desc" }],
+        limit: 2,
+        offset: 2,
+      });
+
+      expect(total).toBe(5);
+      expect(users[0]).toBeInstanceOf(User);
+
+      const [countSql, countParams] = db.query.mock.calls.at(-2);
+      expect(countSql).toBe(
+        "SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL AND name LIKE ? AND email LIKE ? AND created_at >= ?"
+      );
+      expect(countParams).toEqual([
+        "%50\\%\\_off%",
+        "%@example.com",
+        "2025-01-01T00:00:00.000Z",
+      ]);
+
+      const [sql] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "SELECT * FROM users WHERE deleted_at IS NULL AND name LIKE ? AND email LIKE ? AND created_at >= ? ORDER BY name DESC, id ASC LIMIT 2 OFFSET 2"
+      );
+    });
+
+    test("debe pasar la proyección al SELECT", async () => {
+      const db = createDatabaseManager("mysql");
+      db.query.mockImplementation(async (sql) =>
+        sql.startsWith("SELECT COUNT")
+          ? { rows: [{ count: 1 }] }
+          : { rows: [{ id: storedRow.id, name: storedRow.name, version: 3 }] }
+      );
+      const repository = new DatabaseUserRepository(db);
+
+      const { users } = await repository.findPage({
+        fields: ["id", "version", "name", "createdAt"],
+        limit: 10,
+      });
+
+      expect(db.query.mock.calls.at(-1)[0]).toBe(
+        "SELECT id, version, name, created_at FROM users WHERE deleted_at IS NULL ORDER BY id ASC LIMIT 10"
+      );
+      expect(users[0].toProjection(["id", "name", "version"])).toEqual({
+        id: storedRow.id,
+        name: storedRow.name,
+        version: 3,
+      });
+
+      await repository.findById(storedRow.id, { fields: ["id", "email"] });
+      expect(db.query.mock.calls.at(-1)[0]).toBe(
+        "SELECT id, email FROM users WHERE deleted_at IS NULL AND id = ? LIMIT 1"
+      );
+
+      const mongo = createDatabaseManager("mongodb");
+      mongo.query.mockResolvedValue([]);
+      await new DatabaseUserRepository(mongo).findByEmail("juan@example.com", {
+        fields: ["id", "statusReason"],
+      });
+      expect(mongo.query.mock.calls.at(-1)[0]).toMatchObject({
+        method: "find",
+        projection: { id: 1, status_reason: 1 },
+      });
+    });
+
+    test("debe filtrar por atributos del perfil con la función JSON de cada motor", async () => {
+      const filters = { profile: { department: "Ventas", age: 40 } };
+      const db = createDatabaseManager("mysql");
+      db.query.mockResolvedValue({ rows: [{ count: 0 }] });
+      await new DatabaseUserRepository(db).findPage({ filters, limit: 10 });
+      expect(db.query.mock.calls.at(-2)).toEqual([
+        "SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL AND LOWER(JSON_UNQUOTE(JSON_EXTRACT(profile, '$.department'))) = ? AND LOWER(JSON_UNQUOTE(JSON_EXTRACT(profile, '$.age'))) = ?",
+        ["ventas", "40"],
+        { cache: false },
+      ]);
+
+      const pg = createDatabaseManager("postgresql");
+      pg.query.mockResolvedValue({ rows: [{ count: "0" }] });
+      await new DatabaseUserRepository(pg).findPage({ filters, limit: 10 });
+      expect(pg.query.mock.calls.at(-2)[0]).toBe(
+        "SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL AND LOWER(profile::jsonb ->> 'department') = $1 AND LOWER(profile::jsonb ->> 'age') = $2"
+      );
+
+      const mongo = createDatabaseManager("mongodb");
+      mongo.query.mockImplementation(async (operation) =>
+        operation.method === "count" ? 0 : []
+      );
+      await new DatabaseUserRepository(mongo).findPage({ filters, limit: 10 });
+      expect(mongo.query.mock.calls.at(-1)[0].query).toEqual({
+        deleted_at: null,
+        "profile.department": { $regex: "^Ventas$", $options: "i" },
+        "profile.age": 40,
+      });
+    });
+
+    test("debe usar ILIKE en PostgreSQL y regex anclada en MongoDB", async () => {
+      const pg = createDatabaseManager("postgresql");
+      pg.query.mockResolvedValue({ rows: [{ count: "0" }] });
+      await new DatabaseUserRepository(pg).findPage({
+        filters: { name: "juan" },
+        limit: 10,
+      });
+      expect(pg.query.mock.calls.at(-2)[0]).toBe(
+        "SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL AND name ILIKE $1"
+      );
+
+      const mongo = createDatabaseManager("mongodb");
+      mongo.query.mockImplementation(async (operation) =>
+        operation.method === "count" ? 0 : []
+      );
+      const result = await new DatabaseUserRepository(mongo).findPage({
+        filters: { emailDomain: "example.com" },
+        limit: 10,
+      });
+
+      expect(result.total).toBe(0);
+      expect(mongo.query.mock.calls.at(-1)[0]).toEqual({
+        collection: "users",
+        method: "find",
+        query: {
+          deleted_at: null,
+          email: { $regex: ".*@example\\.com$", $options: "i" },
+        },
+        sort: { id: 1 },
+        limit: 10,
+      });
+    });
+  });
+
+  describe("Multi-tenencia", () => {
+    test("debe limitar lecturas y escrituras al tenant sin afectar al repositorio original", async () => {
+      const db = createDatabaseManager("mysql");
+      const repository = new DatabaseUserRepository(db);
+      const acme = repository.forTenant("acme");
+
+      const user = await acme.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+      expect(user.tenantId).toBe("acme");
+      expect(db.query.mock.calls.at(-1)[1].at(-1)).toBe("acme");
+
+      const emailCheck = db.query.mock.calls.find(([sql]) =>
+        sql.startsWith("SELECT")
+      );
+      expect(emailCheck).toEqual([
+        "SELECT * FROM users WHERE tenant_id = ? AND email = ? LIMIT 1",
+        ["acme", "juan@example.com"],
+        { cache: false },
+      ]);
+
+      await acme.purgeDeleted("2025-10-01T00:00:00.000Z");
+      expect(db.query.mock.calls.at(-1)[0]).toBe(
+        "DELETE FROM users WHERE tenant_id = ? AND deleted_at <= ?"
+      );
+
+      expect(repository.tenantId).toBeNull();
+      await repository.findById(storedRow.id);
+      expect(db.query.mock.calls.at(-1)[0]).toBe(
+        "SELECT * FROM users WHERE deleted_at IS NULL AND id = ? LIMIT 1"
+      );
+    });
+
+    test("debe leer el tenant de las filas y crear el índice único por tenant en MongoDB", async () => {
+      const db = createDatabaseManager("mongodb");
+      db.query.mockResolvedValue([{ ...storedRow, tenant_id: "acme" }]);
+      const repository = new DatabaseUserRepository(db).forTenant("acme");
+
+      const user = await repository.findByEmail("juan@example.com");
+
+      expect(user.tenantId).toBe("acme");
+      expect(db.adapter.db.collection().createIndex).toHaveBeenCalledWith(
+        { tenant_id: 1, email: 1 },
+        { unique: true }
+      );
+      expect(db.query.mock.calls.at(-1)[0].query).toEqual({
+        tenant_id: "acme",
+        deleted_at: null,
+        email: "juan@example.com",
+      });
+    });
+  });
+
+  describe("PostgreSQL", () => {
+    test("debe usar placeholders numerados", async () => {
+      const db = createDatabaseManager("postgres");
+      const repository = new DatabaseUserRepository(db);
+
+      await repository.findByEmail("juan@example.com");
+
+      const [sql, params] = db.query.mock.calls.at(-1);
+      expect(sql).toBe(
+        "SELECT * FROM users WHERE deleted_at IS NULL AND email = $1 LIMIT 1"
+      );
+      expect(params).toEqual(["juan@example.com"]);
+    });
+  });
+
+  describe("MongoDB", () => {
+    test("debe crear índice único de email y ejecutar operaciones find", async () => {
+      const db = createDatabaseManager("mongodb");
+      db.query.mockResolvedValue([storedRow]);
+      const repository = new DatabaseUserRepository(db, { table: "people" });
+
+      const user = await repository.findByEmail("juan@example.com");
+
+      expect(db.adapter.db.collection).toHaveBeenCalledWith("people");
+      expect(user.id).toBe(storedRow.id);
+      expect(db.query).toHaveBeenCalledWith(
+        {
+          collection: "people",
+          method: "find",
+          query: { deleted_at: null, email: "juan@example.com" },
+          limit: 1,
+        },
+        [],
+        { cache: false }
+      );
+    });
+  });
+});
+
+describe("createUserRepository", () => {
+  const originalStorage = process.env.USER_STORAGE;
+
+  afterEach(() => {
+    if (originalStorage === undefined) {
+      delete process.env.USER_STORAGE;
+    } else {
+      process.env.USER_STORAGE = originalStorage;
+    }
+  });
+
+  test("debe usar memoria por defecto", () => {
+    delete process.env.USER_STORAGE;
+    expect(createUserRepository()).toBeInstanceOf(UserRepository);
+  });
+
+  test("debe crear repositorio de base de datos según configuración", () => {
+    process.env.USER_STORAGE = "database";
+    const databaseManager = createDatabaseManager("mysql");
+
+    const repository = createUserRepository({ databaseManager });
+
+    expect(repository).toBeInstanceOf(DatabaseUserRepository);
+    expect(repository.db).toBe(databaseManager);
+  });
+
+  test("debe rechazar almacenamientos desconocidos", () => {
+    expect(() => createUserRepository({ storage: "csv" })).toThrow(
+      "Tipo de almacenamiento de usuarios no soportado: csv"
+    );
+  });
+});
@@ -17,6 +17,8 @@ jest.mock("../../services/emailService", () => ({
 }));
 
 const { getEmailService } = require("../../services/emailService");
+const { userRepository } = require("../../models/User");
+const { RateLimitError } = require("../../modules/errors");
 
 describe("EmailController Unit Tests", () => {
   let emailServiceMock;
@@ -40,12 +42,15 @@ describe("EmailController Unit Tests", () => {
       body: {},
       params: {},
       query: {},
+      accepts: jest.fn(() => "application/json"),
     };
 
     mockResponse = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
       send: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
     };
   });
 
@@ -115,7 +120,7 @@ describe("EmailController Unit Tests", () => {
       expect(mockResponse.json).toHaveBeenCalledWith({
         success: false,
         message: "Error al enviar email de bienvenida",
-        error: "Mock email send failure",
+        error: "Error interno",
       });
     });
   });
@@ -165,7 +170,7 @@ describe("EmailController Unit Tests", () => {
       expect(mockResponse.json).toHaveBeenCalledWith({
         success: false,
         message: "Error al enviar email de recuperación",
-        error: "Mock password reset failure",
+        error: "Error interno",
       });
     });
   });
@@ -341,6 +346,195 @@ describe("EmailController Unit Tests", () => {
     });
   });
 
+  describe("Estado de la cuenta del destinatario", () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await userRepository.create({
+        name: "Cuenta Suspendida",
+        email: "suspendida@example.com",
+        password: "123456",
+      });
+      await userRepository.changeStatus(user.id, "suspended", {
+        reason: "Spam",
+      });
+    });
+
+    afterEach(async () => {
+      await userRepository.destroy(user.id);
+    });
+
+    test("no debe enviar notificaciones ni emails personalizados a cuentas suspendidas", async () => {
+      mockRequest.body = {
+        ...EmailTestDataGenerator.createNotificationData(),
+        userEmail: "Suspendida@example.com",
+      };
+      await EmailController.sendNotificationEmail(mockRequest, mockResponse);
+
+      mockRequest.body = {
+        to: ["otro@example.com", "suspendida@example.com"],
+        subject: "Oferta",
+        text: "Oferta",
+      };
+      await EmailController.sendCustomEmail(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenNthCalledWith(1, 409);
+      expect(mockResponse.status).toHaveBeenNthCalledWith(2, 409);
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        success: false,
+        message: "El destinatario no puede recibir este email",
+        error: 'La cuenta de suspendida@example.com está en estado "suspended"',
+      });
+      expect(emailServiceMock.wasMethodCalled("sendNotificationEmail")).toBe(
+        false
+      );
+      expect(emailServiceMock.wasMethodCalled("queueEmail")).toBe(false);
+    });
+
+    test("debe seguir enviando emails transaccionales a cuentas suspendidas", async () => {
+      mockRequest.body = {
+        userEmail: "suspendida@example.com",
+        resetData: { name: "Cuenta Suspendida", token: "abc123" },
+      };
+
+      await EmailController.sendPasswordResetEmail(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    test("no debe enviar ningún email a cuentas dadas de baja", async () => {
+      await userRepository.changeStatus(user.id, "deactivated", {
+        reason: "Baja voluntaria",
+      });
+      mockRequest.body = {
+        userEmail: "suspendida@example.com",
+        resetData: { name: "Cuenta Suspendida", token: "abc123" },
+      };
+
+      await EmailController.sendPasswordResetEmail(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe("Notificaciones a un grupo", () => {
+    const { groupRepository } = require("../../models/Group");
+    let group;
+    let users;
+
+    beforeEach(async () => {
+      users = await Promise.all(
+        [
+          ["Ana Ruiz", "ana.grupo@example.com"],
+          ["Juan Pérez", "juan.grupo@example.com"],
+          ["Eva Gil", "eva.grupo@example.com"],
+        ].map(([name, email]) =>
+          userRepository.create({ name, email, password: "123456" })
+        )
+      );
+      await userRepository.changeStatus(users[2].id, "suspended", {
+        reason: "Spam",
+      });
+
+      group = await groupRepository.create({ name: "Ventas" });
+      await groupRepository.addMember(group.id, users[0].id, "owner");
+      await groupRepository.addMember(group.id, users[1].id, "member");
+      await groupRepository.addMember(group.id, users[2].id, "manager");
+    });
+
+    afterEach(async () => {
+      await groupRepository.delete(group.id);
+      await Promise.all(users.map((user) => userRepository.destroy(user.id)));
+    });
+
+    test("debe enviar la notificación a cada miembro activo con su nombre", async () => {
+      mockRequest.body = {
+        groupId: group.id,
+        notificationData: { title: "Reunión", message: "El lunes a las 10" },
+      };
+
+      await EmailController.sendNotificationEmail(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      const { data } = mockResponse.json.mock.calls[0][0];
+      expect(data.sent.map((recipient) => recipient.email)).toEqual([
+        "ana.grupo@example.com",
+        "juan.grupo@example.com",
+      ]);
+      expect(data.skipped).toEqual([
+        {
+          userId: users[2].id,
+          email: "eva.grupo@example.com",
+          reason: 'La cuenta está en estado "suspended"',
+        },
+      ]);
+      EmailMockAssertions.assertMethodCalledWith(
+        emailServiceMock,
+        "sendNotificationEmail",
+        [
+          "juan.grupo@example.com",
+          {
+            title: "Reunión",
+            message: "El lunes a las 10",
+            userName: "Juan Pérez",
+          },
+        ]
+      );
+    });
+
+    test("debe limitar el envío a los roles indicados", async () => {
+      mockRequest.body = {
+        groupId: group.id,
+        roles: ["owner"],
+        notificationData: { title: "Cierre", message: "Revisar cifras" },
+      };
+
+      await EmailController.sendNotificationEmail(mockRequest, mockResponse);
+
+      const { data } = mockResponse.json.mock.calls[0][0];
+      expect(data.sent.map((recipient) => recipient.email)).toEqual([
+        "ana.grupo@example.com",
+      ]);
+      expect(data.skipped).toEqual([]);
+    });
+
+    test("debe responder 404 si el grupo no existe y 400 con roles inválidos", async () => {
+      mockRequest.body = {
+        groupId: "00000000-0000-4000-8000-000000000000",
+        notificationData: { title: "Reunión", message: "El lunes" },
+      };
+      await EmailController.sendNotificationEmail(mockRequest, mockResponse);
+
+      mockRequest.body = {
+        groupId: group.id,
+        roles: ["admin"],
+        notificationData: { title: "Reunión", message: "El lunes" },
+      };
+      await EmailController.sendNotificationEmail(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenNthCalledWith(1, 404);
+      expect(mockResponse.status).toHaveBeenNthCalledWith(2, 400);
+      expect(emailServiceMock.wasMethodCalled("sendNotificationEmail")).toBe(
+        false
+      );
+    });
+
+    test("no debe enviar a un grupo de otro tenant", async () => {
+      mockRequest.tenant = { id: "acme" };
+      mockRequest.body = {
+        groupId: group.id,
+        notificationData: { title: "Reunión", message: "El lunes" },
+      };
+
+      await EmailController.sendNotificationEmail(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(404);
+      expect(emailServiceMock.wasMethodCalled("sendNotificationEmail")).toBe(
+        false
+      );
+    });
+  });
+
   describe("getEmailStats", () => {
     test("debe obtener estadísticas exitosamente", async () => {
       // Generar algo de actividad para tener estadísticas
@@ -372,7 +566,7 @@ describe("EmailController Unit Tests", () => {
       expect(mockResponse.json).toHaveBeenCalledWith({
         success: false,
         message: "Error al obtener estadísticas",
-        error: "Service unavailable",
+        error: "Error interno",
       });
     });
   });
@@ -446,7 +640,7 @@ describe("EmailController Unit Tests", () => {
       expect(mockResponse.json).toHaveBeenCalledWith({
         success: false,
         message: "Error al enviar email de prueba",
-        error: "Mock email send failure",
+        error: "Error interno",
       });
     });
   });
@@ -526,7 +720,7 @@ describe("EmailController Unit Tests", () => {
       expect(mockResponse.json).toHaveBeenCalledWith({
         success: false,
         message: "Error al enviar email de bienvenida",
-        error: "Request timeout",
+        error: "Error interno",
       });
     });
 
@@ -534,7 +728,9 @@ describe("EmailController Unit Tests", () => {
       // Simular rate limit rechazando directamente
       emailServiceMock.sendNotificationEmail = jest
         .fn()
-        .mockRejectedValue(new Error("Rate limit excedido"));
+        .mockRejectedValue(
+          new RateLimitError("Rate limit excedido", { retryAfter: 60 })
+        );
 
       const customData = EmailTestDataGenerator.createNotificationData();
       mockRequest.body = customData;
@@ -546,7 +742,9 @@ describe("EmailController Unit Tests", () => {
         success: false,
         message: "Error al enviar notificación",
         error: "Rate limit excedido",
+        retryAfter: 60,
       });
+      expect(mockResponse.set).toHaveBeenCalledWith("Retry-After", "60");
     });
   });
 
@@ -0,0 +1,157 @@
+/**
+ * Tests unitarios para EmailEventSubscriber
+ */
+
+const EmailEventSubscriber = require("../../services/emailEventSubscriber");
+const {
+  EMAIL_VERIFICATION_PURPOSE,
+} = require("../../services/emailEventSubscriber");
+const { EventBus } = require("../../modules/eventBus");
+const { verifySignedToken } = require("../../modules/signedToken");
+
+describe("EmailEventSubscriber", () => {
+  const user = {
+    id: "123e4567-e89b-12d3-a456-426614174000",
+    name: "Juan Pérez",
+    email: "juan@example.com",
+    status: "active",
+  };
+  let bus;
+  let emailService;
+
+  beforeEach(() => {
+    bus = new EventBus({ retries: 1, retryDelayMs: 0 });
+    emailService = {
+      sendWelcomeEmail: jest.fn().mockResolvedValue({ status: "queued" }),
+      sendVerificationEmail: jest.fn().mockResolvedValue({ status: "queued" }),
+      sendPasswordResetEmail: jest.fn().mockResolvedValue({ status: "queued" }),
+      sendInvitationEmail: jest.fn().mockResolvedValue({ status: "queued" }),
+    };
+    new EmailEventSubscriber(async () => emailService).subscribe(bus);
+  });
+
+  test("debe enviar la bienvenida al crear un usuario", async () => {
+    bus.publish("user.created", { user, changes: [] }, {});
+    await bus.drain();
+
+    expect(emailService.sendWelcomeEmail).toHaveBeenCalledWith(
+      "juan@example.com",
+      expect.objectContaining({
+        name: "Juan Pérez",
+        id: user.id,
+        template: "welcome-v2",
+      })
+    );
+    expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  test("no debe enviar nada en las altas masivas", async () => {
+    bus.publish("user.created", { user, changes: [] }, { origin: "bulk" });
+    await bus.drain();
+
+    expect(emailService.sendWelcomeEmail).not.toHaveBeenCalled();
+  });
+
+  test("debe enviar el enlace de verificación a las cuentas pendientes", async () => {
+    const subscriber = new EmailEventSubscriber(async () => emailService, {
+      secret: "secreto-de-prueba",
+    });
+    const other = new EventBus({ retryDelayMs: 0 });
+    subscriber.subscribe(other);
+
+    other.publish(
+      "user.created",
+      { user: { ...user, status: "pending_verification" }, changes: [] },
+      {}
+    );
+    await other.drain();
+
+    const [to, { token }] = emailService.sendVerificationEmail.mock.calls[0];
+    expect(to).toBe("juan@example.com");
+    expect(
+      verifySignedToken(token, {
+        secret: "secreto-de-prueba",
+        purpose: EMAIL_VERIFICATION_PURPOSE,
+      })
+    ).toMatchObject({ sub: user.id, email: "juan@example.com" });
+  });
+
+  test("debe enviar la invitación en lugar de la bienvenida", async () => {
+    const invited = { ...user, status: "invited", role: "editor" };
+
+    bus.publish("user.created", { user: invited, changes: [] }, {});
+    bus.publish(
+      "user.invited",
+      { user: invited, token: "abc123", expiresAt: "2025-10-04T08:00:00.000Z" },
+      {}
+    );
+    await bus.drain();
+
+    expect(emailService.sendWelcomeEmail).not.toHaveBeenCalled();
+    expect(emailService.sendInvitationEmail).toHaveBeenCalledWith(
+      "juan@example.com",
+      {
+        name: "Juan Pérez",
+        token: "abc123",
+        expiresAt: "2025-10-04T08:00:00.000Z",
+        ttlHours: 72,
+      }
+    );
+  });
+
+  test("debe enviar el enlace de recuperación de contraseña", async () => {
+    bus.publish(
+      "auth.password_reset_requested",
+      { user, resetToken: "abc123", expiresAt: "2025-10-01T09:00:00.000Z" },
+      {}
+    );
+    await bus.drain();
+
+    expect(emailService.sendPasswordResetEmail).toHaveBeenCalledWith(
+      "juan@example.com",
+      { name: "Juan Pérez", token: "abc123" }
+    );
+  });
+
+  test("debe reintentar un envío fallido", async () => {
+    emailService.sendWelcomeEmail.mockRejectedValueOnce(
+      new Error("SMTP caído")
+    );
+
+    bus.publish("user.created", { user, changes: [] }, {});
+    await bus.drain();
+
+    expect(emailService.sendWelcomeEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test("debe reintentar solo la verificación si falla su envío", async () => {
+    emailService.sendVerificationEmail.mockRejectedValueOnce(
+      new Error("SMTP caído")
+    );
+
+    bus.publish(
+      "user.created",
+      { user: { ...user, status: "pending_verification" }, changes: [] },
+      {}
+    );
+    await bus.drain();
+
+    expect(emailService.sendWelcomeEmail).toHaveBeenCalledTimes(1);
+    expect(emailService.sendVerificationEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test("debe omitir los envíos si el email no está configurado", async () => {
+    const other = new EventBus({ retries: 0 });
+    new EmailEventSubscriber(async () => null).subscribe(other);
+
+    other.publish("user.created", { user, changes: [] }, {});
+    await other.drain();
+
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('"msg":"Email no configurado: se omite el envío"')
+    );
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('"email":"bienvenida"')
+    );
+  });
+});
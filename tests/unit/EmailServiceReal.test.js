@@ -146,6 +146,26 @@ describe("EmailService Real Unit Tests", () => {
         emailService.renderTemplate("nonexistent", {});
       }).toThrow("Template no encontrado: nonexistent");
     });
+
+    test("debe usar la marca del tenant en la plantilla y el remitente", async () => {
+      const mockTemplate = jest.fn(() => "<h1>Test</h1>");
+      emailService.templates.set("test", mockTemplate);
+
+      const options = await emailService.prepareEmailOptions({
+        to: "ana@acme.com",
+        subject: "Hola",
+        template: "test",
+        branding: { companyName: "Acme S.L.", fromName: "Equipo Acme" },
+      });
+
+      expect(mockTemplate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          companyName: "Acme S.L.",
+          footerText: expect.stringContaining("Acme S.L."),
+        })
+      );
+      expect(options.from).toBe("Equipo Acme <test@sender.com>");
+    });
   });
 
   describe("Envío de emails", () => {
@@ -183,6 +203,66 @@ describe("EmailService Real Unit Tests", () => {
       const result = await emailService.sendEmail(emailOptions);
       expect(result.success).toBe(true);
     });
+
+    test("debe publicar email.sent y email.failed en el bus de eventos", async () => {
+      const events = { publish: jest.fn() };
+      const service = new EmailService({ events });
+      const emailOptions = {
+        to: "test@example.com",
+        subject: "Test Email",
+        text: "This is a test email",
+      };
+
+      await service.sendEmail(emailOptions);
+      service.transporter.sendMail.mockRejectedValueOnce(
+        new Error("SMTP caído")
+      );
+      await expect(service.sendEmail(emailOptions)).rejects.toThrow(
+        "SMTP caído"
+      );
+
+      expect(events.publish.mock.calls).toEqual([
+        [
+          "email.sent",
+          {
+            email: {
+              to: "test@example.com",
+              subject: "Test Email",
+              template: null,
+              messageId: "test-message-id",
+            },
+          },
+        ],
+        [
+          "email.failed",
+          {
+            email: {
+              to: "test@example.com",
+              subject: "Test Email",
+              template: null,
+              error: "SMTP caído",
+            },
+          },
+        ],
+      ]);
+    });
+
+    test("no debe publicar email.failed si la cola reintentará el envío", async () => {
+      const events = { publish: jest.fn() };
+      const service = new EmailService({ events });
+      service.transporter.sendMail.mockRejectedValueOnce(
+        new Error("SMTP caído")
+      );
+
+      await expect(
+        service.sendEmail(
+          { to: "test@example.com", subject: "Test Email", text: "Hola" },
+          { final: false }
+        )
+      ).rejects.toThrow("SMTP caído");
+
+      expect(events.publish).not.toHaveBeenCalled();
+    });
   });
 
   describe("Métodos de conveniencia", () => {
@@ -235,6 +315,57 @@ describe("EmailService Real Unit Tests", () => {
 
       expect(result.success).toBe(true);
     });
+
+    test("debe enviar la confirmación de cambio de email al nuevo email", async () => {
+      const queueSpy = jest.spyOn(emailService, "queueEmail");
+
+      const result = await emailService.sendEmailChangeConfirmation(
+        "nuevo@test.com",
+        {
+          name: "Test User",
+          token: "confirm-token-123",
+          expiresAt: "2025-10-02T08:00:00.000Z",
+        }
+      );
+
+      expect(result.success).toBe(true);
+      expect(queueSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "nuevo@test.com",
+          template: "email-verification",
+          data: expect.objectContaining({
+            verificationUrl: expect.stringContaining(
+              "/confirm-email-change?token=confirm-token-123"
+            ),
+          }),
+        })
+      );
+    });
+
+    test("debe avisar al email anterior con el enlace para revertir", async () => {
+      const queueSpy = jest.spyOn(emailService, "queueEmail");
+
+      const result = await emailService.sendEmailChangeNotice("user@test.com", {
+        name: "Test User",
+        newEmail: "nuevo@test.com",
+        token: "revert-token-123",
+      });
+
+      expect(result.success).toBe(true);
+      expect(queueSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "user@test.com",
+          template: "notification",
+          data: expect.objectContaining({
+            hasAction: true,
+            actionButtonText: "No fui yo",
+            actionUrl: expect.stringContaining(
+              "/revert-email-change?token=revert-token-123"
+            ),
+          }),
+        })
+      );
+    });
   });
 
   describe("Sistema de colas", () => {
@@ -287,6 +418,36 @@ describe("EmailService Real Unit Tests", () => {
       expect(stats).toHaveProperty("rateLimitCounters");
       expect(stats).toHaveProperty("provider");
     });
+
+    test("debe resumir el estado de entrega de un destinatario", () => {
+      emailService.sentEmails.push(
+        { to: "ana@example.com", sentAt: new Date("2025-10-01T08:00:00Z") },
+        { to: "otro@example.com", sentAt: new Date("2025-10-02T08:00:00Z") }
+      );
+      emailService.failedEmails.push({
+        to: "ana@example.com",
+        error: "Send failed",
+        failedAt: new Date("2025-10-03T08:00:00Z"),
+      });
+      emailService.emailQueue.push({ options: { to: "ana@example.com" } });
+
+      expect(emailService.getDeliveryStatus("ana@example.com")).toEqual({
+        sent: 1,
+        failed: 1,
+        queued: 1,
+        lastSentAt: "2025-10-01T08:00:00.000Z",
+        lastFailedAt: "2025-10-03T08:00:00.000Z",
+        lastError: "Send failed",
+      });
+      expect(emailService.getDeliveryStatus("nadie@example.com")).toEqual({
+        sent: 0,
+        failed: 0,
+        queued: 0,
+        lastSentAt: null,
+        lastFailedAt: null,
+        lastError: null,
+      });
+    });
   });
 
   describe("Utilidades", () => {
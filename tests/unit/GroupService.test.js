@@ -0,0 +1,201 @@
+/**
+ * Tests unitarios para GroupService sobre los repositorios en memoria
+ */
+
+const GroupService = require("../../services/groupService");
+const { GroupError } = require("../../services/groupService");
+const { GroupRepository } = require("../../models/Group");
+const { UserRepository } = require("../../models/User");
+
+describe("GroupService", () => {
+  let groups;
+  let users;
+  let service;
+  let ana;
+  let juan;
+
+  beforeEach(async () => {
+    groups = new GroupRepository();
+    users = new UserRepository();
+    service = new GroupService(groups, users);
+    ana = await users.create({
+      name: "Ana Ruiz",
+      email: "ana@example.com",
+      password: "123456",
+    });
+    juan = await users.create({
+      name: "Juan Pérez",
+      email: "juan@example.com",
+      password: "123456",
+    });
+  });
+
+  const expectGroupError = async (promise, status, message) => {
+    const error = await promise.catch((caught) => caught);
+    expect(error).toBeInstanceOf(GroupError);
+    expect(error.status).toBe(status);
+    expect(error.message).toBe(message);
+  };
+
+  test("debe crear grupos con nombre único sin distinguir mayúsculas", async () => {
+    const ventas = await service.create({ name: "Ventas" });
+    await service.create({ name: "Soporte", description: "Atención" });
+
+    await expectGroupError(
+      service.create({ name: "VENTAS" }),
+      409,
+      'Ya existe un grupo con el nombre "VENTAS"'
+    );
+    await expectGroupError(
+      service.update((await groups.findAll())[0].id, { name: "ventas" }),
+      409,
+      'Ya existe un grupo con el nombre "ventas"'
+    );
+
+    // Renombrar un grupo con su propio nombre no es un conflicto
+    const renamed = await service.update(ventas.id, { name: "ventas" });
+    expect(renamed.name).toBe("ventas");
+
+    const list = await service.list();
+    expect(list.map(({ group }) => group.name)).toEqual(["Soporte", "ventas"]);
+  });
+
+  test("debe añadir miembros con rol y listar los grupos de un usuario", async () => {
+    const ventas = await service.create({ name: "Ventas" });
+    const soporte = await service.create({ name: "Soporte" });
+
+    const added = await service.addMember(ventas.id, ana.id, "owner");
+    await service.addMember(ventas.id, juan.id);
+    await service.addMember(soporte.id, ana.id, "manager");
+
+    expect(added.user.id).toBe(ana.id);
+    expect(added.membership.role).toBe("owner");
+
+    const members = await service.listMembers(ventas.id);
+    expect(
+      members.map(({ user, membership }) => [user.email, membership.role])
+    ).toEqual([
+      ["ana@example.com", "owner"],
+      ["juan@example.com", "member"],
+    ]);
+
+    const owners = await service.listMembers(ventas.id, { roles: ["owner"] });
+    expect(owners).toHaveLength(1);
+
+    const anaGroups = await service.listUserGroups(ana.id);
+    expect(
+      anaGroups.map(({ group, membership }) => [group.name, membership.role])
+    ).toEqual([
+      ["Ventas", "owner"],
+      ["Soporte", "manager"],
+    ]);
+  });
+
+  test("debe rechazar miembros repetidos y usuarios o grupos inexistentes", async () => {
+    const ventas = await service.create({ name: "Ventas" });
+    await service.addMember(ventas.id, ana.id);
+
+    await expectGroupError(
+      service.addMember(ventas.id, ana.id),
+      409,
+      "El usuario ya pertenece al grupo"
+    );
+    await expectGroupError(
+      service.addMember(ventas.id, "00000000-0000-4000-8000-000000000000"),
+      404,
+      "Usuario no encontrado"
+    );
+    await expectGroupError(
+      service.addMember("00000000-0000-4000-8000-000000000000", ana.id),
+      404,
+      "Grupo no encontrado"
+    );
+    await expectGroupError(
+      service.updateMember(ventas.id, juan.id, "manager"),
+      404,
+      "El usuario no pertenece al grupo"
+    );
+  });
+
+  test("debe cambiar roles, quitar miembros y eliminar grupos con sus pertenencias", async () => {
+    const ventas = await service.create({ name: "Ventas" });
+    await service.addMember(ventas.id, ana.id);
+    await service.addMember(ventas.id, juan.id);
+
+    const promoted = await service.updateMember(ventas.id, ana.id, "manager");
+    expect(promoted.role).toBe("manager");
+
+    await service.removeMember(ventas.id, juan.id);
+    expect(await service.listMembers(ventas.id)).toHaveLength(1);
+    await expectGroupError(
+      service.removeMember(ventas.id, juan.id),
+      404,
+      "El usuario no pertenece al grupo"
+    );
+
+    await service.remove(ventas.id);
+    expect(groups.memberships).toEqual([]);
+    await expectGroupError(
+      service.remove(ventas.id),
+      404,
+      "Grupo no encontrado"
+    );
+  });
+
+  test("debe omitir a los usuarios eliminados y recuperarlos al restaurarlos", async () => {
+    const ventas = await service.create({ name: "Ventas" });
+    await service.addMember(ventas.id, ana.id);
+    await service.addMember(ventas.id, juan.id);
+
+    await users.delete(juan.id);
+    expect(await service.listMembers(ventas.id)).toHaveLength(1);
+    expect((await service.list())[0].memberCount).toBe(1);
+    await expectGroupError(
+      service.listUserGroups(juan.id),
+      404,
+      "Usuario no encontrado"
+    );
+
+    await users.restore(juan.id);
+    expect(await service.listMembers(ventas.id)).toHaveLength(2);
+  });
+
+  test("debe limitar grupos y miembros al tenant de los repositorios", async () => {
+    const acme = new GroupService(
+      groups.forTenant("acme"),
+      users.forTenant("acme")
+    );
+    const globex = new GroupService(
+      groups.forTenant("globex"),
+      users.forTenant("globex")
+    );
+    const lucia = await users.forTenant("acme").create({
+      name: "Lucía Martín",
+      email: "lucia@example.com",
+      password: "123456",
+    });
+
+    const ventas = await acme.create({ name: "Ventas" });
+    await globex.create({ name: "Ventas" });
+    await acme.addMember(ventas.id, lucia.id);
+
+    await expectGroupError(
+      acme.addMember(ventas.id, ana.id),
+      404,
+      "Usuario no encontrado"
+    );
+    await expectGroupError(
+      globex.listMembers(ventas.id),
+      404,
+      "Grupo no encontrado"
+    );
+    await expectGroupError(
+      globex.remove(ventas.id),
+      404,
+      "Grupo no encontrado"
+    );
+    expect((await acme.list()).map(({ memberCount }) => memberCount)).toEqual([
+      1,
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests unitarios para PasswordMigrationService
+ */
+
+const PasswordMigrationService = require("../../services/passwordMigrationService");
+const { UserRepository } = require("../../models/User");
+const { isPasswordHash } = require("../../modules/passwordHasher");
+
+describe("PasswordMigrationService", () => {
+  let repository;
+  let users;
+
+  beforeEach(async () => {
+    repository = new UserRepository();
+    users = [];
+
+    for (const name of ["Ana", "Luis", "Pedro"]) {
+      users.push(
+        await repository.create({
+          name,
+          email: `${name.toLowerCase()}@example.com`,
+          password: "123456",
+        })
+      );
+    }
+
+    // Simular datos anteriores al hash: dos en texto plano, uno eliminado
+    users[0].password = "123456";
+    users[2].password = "abcdef";
+    await repository.delete(users[2].id);
+  });
+
+  test("debe contar sin escribir en modo dryRun", async () => {
+    const service = new PasswordMigrationService(repository, { batchSize: 1 });
+
+    expect(await service.run({ dryRun: true })).toEqual({
+      scanned: 3,
+      migrated: 2,
+      skipped: 0,
+    });
+    expect(users[0].password).toBe("123456");
+  });
+
+  test("debe hashear activos y eliminados y ser idempotente", async () => {
+    const service = new PasswordMigrationService(repository, { batchSize: 1 });
+    const untouched = users[1].password;
+
+    expect(await service.run()).toMatchObject({ scanned: 3, migrated: 2 });
+    expect(users.every((user) => isPasswordHash(user.password))).toBe(true);
+    expect(users[1].password).toBe(untouched);
+    expect(users[1].version).toBe(1);
+    expect(await users[2].verifyPassword("abcdef")).toBe(true);
+
+    expect(await service.run()).toMatchObject({ migrated: 0 });
+  });
+});
@@ -1,4 +1,10 @@
-const { User, UserRepository } = require("../../models/User");
+const {
+  User,
+  UserRepository,
+  VersionConflictError,
+  StatusTransitionError,
+} = require("../../models/User");
+const { EventBus } = require("../../modules/eventBus");
 
 describe("User Model", () => {
   describe("Constructor y generación de IDs", () => {
@@ -382,6 +388,22 @@ describe("User Model", () => {
       expect(result.isValid).toBe(true);
       expect(result.errors).toHaveLength(0);
     });
+
+    test("debe devolver el email normalizado en minúsculas", () => {
+      const result = User.validate({
+        name: " Juan Pérez ",
+        email: "Juan@Example.COM",
+        password: "123456",
+      });
+
+      expect(result.value).toMatchObject({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+      });
+      expect(User.validateUpdate({ email: "Ana@Example.com" }).value).toEqual({
+        email: "ana@example.com",
+      });
+    });
   });
 
   describe("Validación de contraseña", () => {
@@ -608,6 +630,14 @@ describe("User Model", () => {
       expect(result.isValid).toBe(false);
       expect(result.errors).toHaveLength(3);
     });
+
+    test("debe validar el idioma preferido si está presente", () => {
+      expect(User.validateUpdate({ locale: "fr" }).errors).toEqual([
+        "El idioma debe ser uno de: es, en",
+      ]);
+      expect(User.validateUpdate({ locale: "en" }).isValid).toBe(true);
+      expect(User.validateUpdate({ locale: null }).isValid).toBe(true);
+    });
   });
 
   describe("Métodos toJSON y toObject", () => {
@@ -632,6 +662,15 @@ describe("User Model", () => {
           name: "Juan Pérez",
           email: "juan@example.com",
           createdAt: "2023-01-01T00:00:00.000Z",
+          updatedAt: "2023-01-01T00:00:00.000Z",
+          version: 1,
+          status: "active",
+          statusReason: null,
+          statusChangedAt: null,
+          role: "user",
+          isVerified: false,
+          profile: {},
+          locale: null,
         });
         expect(json.password).toBeUndefined();
       });
@@ -646,8 +685,22 @@ describe("User Model", () => {
       test("debe incluir todos los campos excepto password", () => {
         const json = user.toJSON();
 
-        expect(Object.keys(json)).toEqual(["id", "name", "email", "createdAt"]);
-        expect(Object.keys(json)).toHaveLength(4);
+        expect(Object.keys(json)).toEqual([
+          "id",
+          "name",
+          "email",
+          "createdAt",
+          "updatedAt",
+          "version",
+          "status",
+          "statusReason",
+          "statusChangedAt",
+          "role",
+          "isVerified",
+          "profile",
+          "locale",
+        ]);
+        expect(Object.keys(json)).toHaveLength(13);
       });
     });
 
@@ -661,6 +714,20 @@ describe("User Model", () => {
           email: "juan@example.com",
           password: "secretpassword",
           createdAt: "2023-01-01T00:00:00.000Z",
+          updatedAt: "2023-01-01T00:00:00.000Z",
+          version: 1,
+          status: "active",
+          statusReason: null,
+          statusChangedAt: null,
+          role: "user",
+          isVerified: false,
+          profile: {},
+          locale: null,
+          lastLoginAt: null,
+          pendingEmail: null,
+          pendingEmailExpiresAt: null,
+          invitationExpiresAt: null,
+          tenantId: null,
         });
       });
 
@@ -680,8 +747,22 @@ describe("User Model", () => {
           "email",
           "password",
           "createdAt",
+          "updatedAt",
+          "version",
+          "status",
+          "statusReason",
+          "statusChangedAt",
+          "role",
+          "isVerified",
+          "profile",
+          "locale",
+          "lastLoginAt",
+          "pendingEmail",
+          "pendingEmailExpiresAt",
+          "invitationExpiresAt",
+          "tenantId",
         ]);
-        expect(Object.keys(obj)).toHaveLength(5);
+        expect(Object.keys(obj)).toHaveLength(19);
       });
 
       test("debe preservar tipos de datos", () => {
@@ -714,6 +795,143 @@ describe("User Model", () => {
         expect(json.createdAt).toBe(obj.createdAt);
       });
     });
+
+    describe("toProjection", () => {
+      test("debe devolver solo los campos pedidos en el orden de toJSON", () => {
+        expect(user.toProjection(["name", "id"])).toEqual({
+          id: user.id,
+          name: user.name,
+        });
+        expect(Object.keys(user.toProjection(["name", "id"]))).toEqual([
+          "id",
+          "name",
+        ]);
+      });
+
+      test("debe omitir deletedAt en usuarios activos y devolver todo sin campos", () => {
+        expect(user.toProjection(["id", "deletedAt"])).toEqual({ id: user.id });
+        expect(user.toProjection()).toEqual(user.toJSON());
+      });
+    });
+  });
+  describe("Estado de la cuenta", () => {
+    let user;
+
+    beforeEach(() => {
+      user = new User({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+    });
+
+    test("debe crear usuarios activos, con rol user y sin verificar por defecto", () => {
+      expect(user.status).toBe("active");
+      expect(user.statusReason).toBeNull();
+      expect(user.statusChangedAt).toBeNull();
+      expect(user.role).toBe("user");
+      expect(user.isVerified).toBe(false);
+    });
+
+    test("debe validar el estado y el rol cuando se indican", () => {
+      const result = User.validate({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+        status: "banned",
+        role: "",
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.fieldErrors.map((error) => error.field)).toEqual([
+        "status",
+        "role",
+      ]);
+    });
+
+    test("debe aplicar transiciones permitidas registrando motivo y fecha", () => {
+      user.transitionTo("suspended", "Spam");
+
+      expect(user.status).toBe("suspended");
+      expect(user.statusReason).toBe("Spam");
+      expect(user.statusChangedAt).toEqual(expect.any(String));
+
+      user.transitionTo("active");
+      expect(user.status).toBe("active");
+      expect(user.statusReason).toBeNull();
+    });
+
+    test("debe rechazar transiciones no permitidas", () => {
+      user.transitionTo("deactivated", "Baja voluntaria");
+
+      expect(() => user.transitionTo("suspended", "Spam")).toThrow(
+        StatusTransitionError
+      );
+      expect(() => user.transitionTo("deactivated")).toThrow(
+        'No se puede pasar del estado "deactivated" a "deactivated"'
+      );
+      expect(user.status).toBe("deactivated");
+    });
+
+    test("debe marcar el email como verificado al activar una cuenta pendiente", () => {
+      const pending = new User({
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+        status: "pending_verification",
+      });
+
+      expect(pending.canTransitionTo("locked")).toBe(false);
+      pending.transitionTo("active");
+
+      expect(pending.isVerified).toBe(true);
+    });
+
+    test("debe activar una invitación solo aceptándola", () => {
+      const invited = new User({
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+        status: "invited",
+        invitationExpiresAt: "2025-10-04T08:00:00.000Z",
+      });
+
+      expect(invited.canLogin()).toBe(false);
+      expect(() => invited.transitionTo("active")).toThrow(
+        StatusTransitionError
+      );
+
+      invited.acceptInvitation("hash-de-la-nueva-contraseña");
+
+      expect(invited.password).toBe("hash-de-la-nueva-contraseña");
+      expect(invited.status).toBe("active");
+      expect(invited.isVerified).toBe(true);
+      expect(invited.invitationExpiresAt).toBeNull();
+      expect(() => invited.acceptInvitation("hash")).toThrow(
+        StatusTransitionError
+      );
+    });
+
+    test("debe permitir el login solo a cuentas activas o pendientes", () => {
+      expect(user.canLogin()).toBe(true);
+      expect(
+        new User({ ...user, status: "pending_verification" }).canLogin()
+      ).toBe(true);
+
+      ["suspended", "locked", "deactivated"].forEach((status) => {
+        expect(new User({ ...user, status }).canLogin()).toBe(false);
+      });
+    });
+
+    test("debe limitar el marketing a cuentas activas y bloquear todo a las de baja", () => {
+      const suspended = new User({ ...user, status: "suspended" });
+      const deactivated = new User({ ...user, status: "deactivated" });
+
+      expect(user.canReceiveEmail("marketing")).toBe(true);
+      expect(suspended.canReceiveEmail("marketing")).toBe(false);
+      expect(suspended.canReceiveEmail("transactional")).toBe(true);
+      expect(deactivated.canReceiveEmail("transactional")).toBe(false);
+    });
   });
 });
 
@@ -733,40 +951,41 @@ describe("UserRepository", () => {
   });
 
   describe("create", () => {
-    test("debe crear usuario válido", () => {
+    test("debe crear usuario válido", async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
 
-      const user = repository.create(userData);
+      const user = await repository.create(userData);
 
       expect(user).toBeInstanceOf(User);
       expect(user.name).toBe("Juan Pérez");
       expect(user.email).toBe("juan@example.com");
-      expect(user.password).toBe("123456");
+      expect(user.password).toMatch(/^\$scrypt\$/);
+      expect(await user.verifyPassword("123456")).toBe(true);
       expect(user.id).toBeDefined();
       expect(user.createdAt).toBeDefined();
       expect(repository.users).toHaveLength(1);
       expect(repository.users[0]).toBe(user);
     });
 
-    test("debe rechazar datos inválidos", () => {
+    test("debe rechazar datos inválidos", async () => {
       const invalidData = {
         name: "",
         email: "email-invalido",
         password: "123",
       };
 
-      expect(() => {
-        repository.create(invalidData);
-      }).toThrow("Datos inválidos");
+      await expect(repository.create(invalidData)).rejects.toThrow(
+        "Datos inválidos"
+      );
 
       expect(repository.users).toHaveLength(0);
     });
 
-    test("debe rechazar email duplicado", () => {
+    test("debe rechazar email duplicado", async () => {
       const userData1 = {
         name: "Juan Pérez",
         email: "juan@example.com",
@@ -779,16 +998,35 @@ describe("UserRepository", () => {
         password: "654321",
       };
 
-      repository.create(userData1);
+      await repository.create(userData1);
 
-      expect(() => {
-        repository.create(userData2);
-      }).toThrow("El email ya está registrado");
+      await expect(repository.create(userData2)).rejects.toThrow(
+        "El email ya está registrado"
+      );
 
       expect(repository.users).toHaveLength(1);
     });
 
-    test("debe permitir crear múltiples usuarios con emails diferentes", () => {
+    test("debe guardar el email en minúsculas y compararlo así", async () => {
+      const user = await repository.create({
+        name: "Juan Pérez",
+        email: "Juan@Example.com",
+        password: "123456",
+      });
+
+      expect(user.email).toBe("juan@example.com");
+      await expect(
+        repository.create({
+          name: "Otro Juan",
+          email: "JUAN@example.com",
+          password: "123456",
+        })
+      ).rejects.toThrow("El email ya está registrado");
+      await repository.update(user.id, { email: "Juan.Perez@Example.com" });
+      expect(user.email).toBe("juan.perez@example.com");
+    });
+
+    test("debe permitir crear múltiples usuarios con emails diferentes", async () => {
       const userData1 = {
         name: "Juan Pérez",
         email: "juan@example.com",
@@ -801,8 +1039,8 @@ describe("UserRepository", () => {
         password: "654321",
       };
 
-      const user1 = repository.create(userData1);
-      const user2 = repository.create(userData2);
+      const user1 = await repository.create(userData1);
+      const user2 = await repository.create(userData2);
 
       expect(repository.users).toHaveLength(2);
       expect(user1.email).toBe("juan@example.com");
@@ -811,14 +1049,14 @@ describe("UserRepository", () => {
   });
 
   describe("findAll", () => {
-    test("debe retornar array vacío cuando no hay usuarios", () => {
-      const users = repository.findAll();
+    test("debe retornar array vacío cuando no hay usuarios", async () => {
+      const users = await repository.findAll();
 
       expect(users).toEqual([]);
       expect(Array.isArray(users)).toBe(true);
     });
 
-    test("debe retornar todos los usuarios", () => {
+    test("debe retornar todos los usuarios", async () => {
       const userData1 = {
         name: "Juan Pérez",
         email: "juan@example.com",
@@ -831,45 +1069,110 @@ describe("UserRepository", () => {
         password: "654321",
       };
 
-      repository.create(userData1);
-      repository.create(userData2);
+      await repository.create(userData1);
+      await repository.create(userData2);
 
-      const users = repository.findAll();
+      const users = await repository.findAll();
 
       expect(users).toHaveLength(2);
       expect(users[0].name).toBe("Juan Pérez");
       expect(users[1].name).toBe("María García");
     });
 
-    test("debe retornar referencia directa al array interno", () => {
-      const users = repository.findAll();
+    test("debe retornar referencia directa al array interno", async () => {
+      const users = await repository.findAll();
 
       expect(users).toBe(repository.users);
     });
   });
 
+  describe("findPage", () => {
+    beforeEach(async () => {
+      await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+      await repository.create({
+        name: "Ana Juárez",
+        email: "ana@empresa.org",
+        password: "123456",
+      });
+      await repository.create({
+        name: "Carlos López",
+        email: "carlos@example.com",
+        password: "123456",
+      });
+
+      repository.users[0].createdAt = "2025-01-10T10:00:00.000Z";
+      repository.users[1].createdAt = "2025-02-10T10:00:00.000Z";
+      repository.users[2].createdAt = "2025-03-10T10:00:00.000Z";
+    });
+
+    test("debe filtrar por nombre sin distinguir mayúsculas", async () => {
+      const { users, total } = await repository.findPage({
+        filters: { name: "JU" },
+      });
+
+      expect(total).toBe(2);
+      expect(users.map((user) => user.name)).toEqual([
+        "Juan Pérez",
+        "Ana Juárez",
+      ]);
+    });
+
+    test("debe filtrar por dominio de email y rango de fechas", async () => {
+      const byDomain = await repository.findPage({
+        filters: { emailDomain: "example.com" },
+      });
+      expect(byDomain.total).toBe(2);
+
+      const byDate = await repository.findPage({
+        filters: {
+          createdFrom: "2025-02-01T00:00:00.000Z",
+          createdTo: "2025-02-28T23:59:59.999Z",
+        },
+      });
+      expect(byDate.users.map((user) => user.name)).toEqual(["Ana Juárez"]);
+    });
+
+    test("debe ordenar por varios campos y paginar con limit/offset", async () => {
+      const { users, total } = await repository.findPage({
+        sort: [{ field: "createdAt", order: "desc" }],
+        limit: 2,
+        offset: 1,
+      });
+
+      expect(total).toBe(3);
+      expect(users.map((user) => user.name)).toEqual([
+        "Ana Juárez",
+        "Juan Pérez",
+      ]);
+    });
+  });
+
   describe("findById", () => {
-    test("debe retornar undefined para ID inexistente", () => {
-      const user = repository.findById("id-inexistente");
+    test("debe retornar undefined para ID inexistente", async () => {
+      const user = await repository.findById("id-inexistente");
 
       expect(user).toBeUndefined();
     });
 
-    test("debe encontrar usuario por ID", () => {
+    test("debe encontrar usuario por ID", async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
 
-      const createdUser = repository.create(userData);
-      const foundUser = repository.findById(createdUser.id);
+      const createdUser = await repository.create(userData);
+      const foundUser = await repository.findById(createdUser.id);
 
       expect(foundUser).toBe(createdUser);
       expect(foundUser.name).toBe("Juan Pérez");
     });
 
-    test("debe encontrar usuario correcto entre múltiples", () => {
+    test("debe encontrar usuario correcto entre múltiples", async () => {
       const userData1 = {
         name: "Juan Pérez",
         email: "juan@example.com",
@@ -882,11 +1185,11 @@ describe("UserRepository", () => {
         password: "654321",
       };
 
-      const user1 = repository.create(userData1);
-      const user2 = repository.create(userData2);
+      const user1 = await repository.create(userData1);
+      const user2 = await repository.create(userData2);
 
-      const found1 = repository.findById(user1.id);
-      const found2 = repository.findById(user2.id);
+      const found1 = await repository.findById(user1.id);
+      const found2 = await repository.findById(user2.id);
 
       expect(found1).toBe(user1);
       expect(found2).toBe(user2);
@@ -896,27 +1199,27 @@ describe("UserRepository", () => {
   });
 
   describe("findByEmail", () => {
-    test("debe retornar undefined para email inexistente", () => {
-      const user = repository.findByEmail("inexistente@example.com");
+    test("debe retornar undefined para email inexistente", async () => {
+      const user = await repository.findByEmail("inexistente@example.com");
 
       expect(user).toBeUndefined();
     });
 
-    test("debe encontrar usuario por email", () => {
+    test("debe encontrar usuario por email", async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
 
-      const createdUser = repository.create(userData);
-      const foundUser = repository.findByEmail("juan@example.com");
+      const createdUser = await repository.create(userData);
+      const foundUser = await repository.findByEmail("juan@example.com");
 
       expect(foundUser).toBe(createdUser);
       expect(foundUser.name).toBe("Juan Pérez");
     });
 
-    test("debe encontrar usuario correcto entre múltiples", () => {
+    test("debe encontrar usuario correcto entre múltiples", async () => {
       const userData1 = {
         name: "Juan Pérez",
         email: "juan@example.com",
@@ -929,27 +1232,27 @@ describe("UserRepository", () => {
         password: "654321",
       };
 
-      const user1 = repository.create(userData1);
-      const user2 = repository.create(userData2);
+      const user1 = await repository.create(userData1);
+      const user2 = await repository.create(userData2);
 
-      const found1 = repository.findByEmail("juan@example.com");
-      const found2 = repository.findByEmail("maria@example.com");
+      const found1 = await repository.findByEmail("juan@example.com");
+      const found2 = await repository.findByEmail("maria@example.com");
 
       expect(found1).toBe(user1);
       expect(found2).toBe(user2);
     });
 
-    test("debe ser case-sensitive", () => {
+    test("debe ser case-sensitive", async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
 
-      repository.create(userData);
+      await repository.create(userData);
 
-      const foundLower = repository.findByEmail("juan@example.com");
-      const foundUpper = repository.findByEmail("JUAN@EXAMPLE.COM");
+      const foundLower = await repository.findByEmail("juan@example.com");
+      const foundUpper = await repository.findByEmail("JUAN@EXAMPLE.COM");
 
       expect(foundLower).toBeDefined();
       expect(foundUpper).toBeUndefined();
@@ -959,36 +1262,36 @@ describe("UserRepository", () => {
   describe("update", () => {
     let existingUser;
 
-    beforeEach(() => {
+    beforeEach(async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
-      existingUser = repository.create(userData);
+      existingUser = await repository.create(userData);
     });
 
-    test("debe retornar null para ID inexistente", () => {
-      const result = repository.update("id-inexistente", {
+    test("debe retornar null para ID inexistente", async () => {
+      const result = await repository.update("id-inexistente", {
         name: "Nuevo Nombre",
       });
 
       expect(result).toBeNull();
     });
 
-    test("debe actualizar nombre", () => {
-      const updatedUser = repository.update(existingUser.id, {
+    test("debe actualizar nombre", async () => {
+      const updatedUser = await repository.update(existingUser.id, {
         name: "Juan Carlos Pérez",
       });
 
       expect(updatedUser.name).toBe("Juan Carlos Pérez");
       expect(updatedUser.email).toBe("juan@example.com"); // Sin cambios
-      expect(updatedUser.password).toBe("123456"); // Sin cambios
+      expect(await updatedUser.verifyPassword("123456")).toBe(true); // Sin cambios
       expect(updatedUser.id).toBe(existingUser.id); // Sin cambios
     });
 
-    test("debe actualizar email", () => {
-      const updatedUser = repository.update(existingUser.id, {
+    test("debe actualizar email", async () => {
+      const updatedUser = await repository.update(existingUser.id, {
         email: "nuevo@example.com",
       });
 
@@ -996,17 +1299,18 @@ describe("UserRepository", () => {
       expect(updatedUser.name).toBe("Juan Pérez"); // Sin cambios
     });
 
-    test("debe actualizar contraseña", () => {
-      const updatedUser = repository.update(existingUser.id, {
+    test("debe actualizar contraseña", async () => {
+      const updatedUser = await repository.update(existingUser.id, {
         password: "nuevapassword",
       });
 
-      expect(updatedUser.password).toBe("nuevapassword");
+      expect(updatedUser.password).not.toBe("nuevapassword");
+      expect(await updatedUser.verifyPassword("nuevapassword")).toBe(true);
       expect(updatedUser.name).toBe("Juan Pérez"); // Sin cambios
     });
 
-    test("debe actualizar múltiples campos", () => {
-      const updatedUser = repository.update(existingUser.id, {
+    test("debe actualizar múltiples campos", async () => {
+      const updatedUser = await repository.update(existingUser.id, {
         name: "María García",
         email: "maria@example.com",
         password: "newpass123",
@@ -1014,49 +1318,49 @@ describe("UserRepository", () => {
 
       expect(updatedUser.name).toBe("María García");
       expect(updatedUser.email).toBe("maria@example.com");
-      expect(updatedUser.password).toBe("newpass123");
+      expect(await updatedUser.verifyPassword("newpass123")).toBe(true);
       expect(updatedUser.id).toBe(existingUser.id); // Sin cambios
     });
 
-    test("debe rechazar datos inválidos", () => {
-      expect(() => {
+    test("debe rechazar datos inválidos", async () => {
+      await expect(
         repository.update(existingUser.id, {
           name: "",
           email: "email-invalido",
-        });
-      }).toThrow("Datos inválidos");
+        })
+      ).rejects.toThrow("Datos inválidos");
 
       // Usuario debe permanecer sin cambios
-      const unchangedUser = repository.findById(existingUser.id);
+      const unchangedUser = await repository.findById(existingUser.id);
       expect(unchangedUser.name).toBe("Juan Pérez");
       expect(unchangedUser.email).toBe("juan@example.com");
     });
 
-    test("debe rechazar email duplicado", () => {
+    test("debe rechazar email duplicado", async () => {
       // Crear segundo usuario
       const userData2 = {
         name: "María García",
         email: "maria@example.com",
         password: "654321",
       };
-      const user2 = repository.create(userData2);
+      const user2 = await repository.create(userData2);
 
       // Intentar actualizar primer usuario con email del segundo
-      expect(() => {
+      await expect(
         repository.update(existingUser.id, {
           email: "maria@example.com",
-        });
-      }).toThrow("El email ya está registrado");
+        })
+      ).rejects.toThrow("El email ya está registrado");
 
       // Usuarios deben permanecer sin cambios
-      const unchanged1 = repository.findById(existingUser.id);
-      const unchanged2 = repository.findById(user2.id);
+      const unchanged1 = await repository.findById(existingUser.id);
+      const unchanged2 = await repository.findById(user2.id);
       expect(unchanged1.email).toBe("juan@example.com");
       expect(unchanged2.email).toBe("maria@example.com");
     });
 
-    test("debe permitir mantener el mismo email", () => {
-      const updatedUser = repository.update(existingUser.id, {
+    test("debe permitir mantener el mismo email", async () => {
+      const updatedUser = await repository.update(existingUser.id, {
         name: "Nuevo Nombre",
         email: "juan@example.com", // Mismo email
       });
@@ -1065,8 +1369,8 @@ describe("UserRepository", () => {
       expect(updatedUser.email).toBe("juan@example.com");
     });
 
-    test("debe ignorar campos undefined", () => {
-      const updatedUser = repository.update(existingUser.id, {
+    test("debe ignorar campos undefined", async () => {
+      const updatedUser = await repository.update(existingUser.id, {
         name: "Nuevo Nombre",
         email: undefined,
         password: undefined,
@@ -1074,42 +1378,78 @@ describe("UserRepository", () => {
 
       expect(updatedUser.name).toBe("Nuevo Nombre");
       expect(updatedUser.email).toBe("juan@example.com"); // Sin cambios
-      expect(updatedUser.password).toBe("123456"); // Sin cambios
+      expect(await updatedUser.verifyPassword("123456")).toBe(true); // Sin cambios
     });
 
-    test("debe actualizar referencia en el array", () => {
-      const updatedUser = repository.update(existingUser.id, {
+    test("debe actualizar referencia en el array", async () => {
+      const updatedUser = await repository.update(existingUser.id, {
         name: "Nombre Actualizado",
       });
 
       expect(repository.users[0]).toBe(updatedUser);
       expect(repository.users[0].name).toBe("Nombre Actualizado");
     });
+
+    test("debe incrementar version y renovar updatedAt en cada actualización", async () => {
+      const user = existingUser;
+      user.updatedAt = "2020-01-01T00:00:00.000Z";
+
+      const updated = await repository.update(user.id, {
+        name: "Juan Carlos",
+        version: 50,
+        updatedAt: "1999-01-01T00:00:00.000Z",
+      });
+
+      expect(updated.version).toBe(2);
+      expect(updated.updatedAt > "2020-01-01T00:00:00.000Z").toBe(true);
+      expect(updated.getETag()).toBe(`"${user.id}-v2"`);
+    });
+
+    test("debe rechazar la actualización si expectedVersion no coincide", async () => {
+      const user = existingUser;
+      await repository.update(user.id, { name: "Primera edición" });
+
+      await expect(
+        repository.update(
+          user.id,
+          { name: "Edición obsoleta" },
+          { expectedVersion: 1 }
+        )
+      ).rejects.toThrow(VersionConflictError);
+      expect(user.name).toBe("Primera edición");
+
+      const updated = await repository.update(
+        user.id,
+        { name: "Edición vigente" },
+        { expectedVersion: 2 }
+      );
+      expect(updated.version).toBe(3);
+    });
   });
 
   describe("delete", () => {
-    test("debe retornar false para ID inexistente", () => {
-      const result = repository.delete("id-inexistente");
+    test("debe retornar false para ID inexistente", async () => {
+      const result = await repository.delete("id-inexistente");
 
       expect(result).toBe(false);
     });
 
-    test("debe eliminar usuario existente", () => {
+    test("debe eliminar usuario existente", async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
 
-      const user = repository.create(userData);
-      const result = repository.delete(user.id);
+      const user = await repository.create(userData);
+      const result = await repository.delete(user.id);
 
       expect(result).toBe(true);
       expect(repository.users).toHaveLength(0);
-      expect(repository.findById(user.id)).toBeUndefined();
+      expect(await repository.findById(user.id)).toBeUndefined();
     });
 
-    test("debe eliminar usuario correcto entre múltiples", () => {
+    test("debe eliminar usuario correcto entre múltiples", async () => {
       const userData1 = {
         name: "Juan Pérez",
         email: "juan@example.com",
@@ -1122,18 +1462,18 @@ describe("UserRepository", () => {
         password: "654321",
       };
 
-      const user1 = repository.create(userData1);
-      const user2 = repository.create(userData2);
+      const user1 = await repository.create(userData1);
+      const user2 = await repository.create(userData2);
 
-      const result = repository.delete(user1.id);
+      const result = await repository.delete(user1.id);
 
       expect(result).toBe(true);
       expect(repository.users).toHaveLength(1);
-      expect(repository.findById(user1.id)).toBeUndefined();
-      expect(repository.findById(user2.id)).toBe(user2);
+      expect(await repository.findById(user1.id)).toBeUndefined();
+      expect(await repository.findById(user2.id)).toBe(user2);
     });
 
-    test("debe mantener orden después de eliminar", () => {
+    test("debe mantener orden después de eliminar", async () => {
       const userData1 = {
         name: "Usuario 1",
         email: "user1@example.com",
@@ -1152,21 +1492,401 @@ describe("UserRepository", () => {
         password: "123456",
       };
 
-      const user1 = repository.create(userData1);
-      const user2 = repository.create(userData2);
-      const user3 = repository.create(userData3);
+      const user1 = await repository.create(userData1);
+      const user2 = await repository.create(userData2);
+      const user3 = await repository.create(userData3);
 
       // Eliminar usuario del medio
-      repository.delete(user2.id);
+      await repository.delete(user2.id);
 
       expect(repository.users).toHaveLength(2);
       expect(repository.users[0]).toBe(user1);
       expect(repository.users[1]).toBe(user3);
     });
+
+    test("debe conservar el usuario eliminado con deletedAt", async () => {
+      const user = await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+
+      await repository.delete(user.id);
+
+      expect(repository.deletedUsers).toEqual([user]);
+      expect(user.deletedAt).toEqual(expect.any(String));
+      expect(user.toJSON().deletedAt).toBe(user.deletedAt);
+      expect(await repository.findAll()).toEqual([]);
+      expect(await repository.findByEmail("juan@example.com")).toBeUndefined();
+      expect(
+        await repository.findByEmail("juan@example.com", {
+          includeDeleted: true,
+        })
+      ).toBe(user);
+      expect(await repository.delete(user.id)).toBe(false);
+    });
+
+    test("debe reservar el email de usuarios eliminados hasta la purga", async () => {
+      const user = await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+      const other = await repository.create({
+        name: "María García",
+        email: "maria@example.com",
+        password: "654321",
+      });
+      await repository.delete(user.id);
+
+      await expect(
+        repository.create({
+          name: "Juan Nuevo",
+          email: "juan@example.com",
+          password: "123456",
+        })
+      ).rejects.toThrow(
+        "El email pertenece a un usuario eliminado; restáurelo o espere a su purga"
+      );
+      await expect(
+        repository.update(other.id, { email: "juan@example.com" })
+      ).rejects.toThrow("El email pertenece a un usuario eliminado");
+    });
+  });
+
+  describe("restore", () => {
+    test("debe restaurar usuario eliminado en su orden de creación", async () => {
+      const user1 = await repository.create({
+        name: "Usuario 1",
+        email: "user1@example.com",
+        password: "123456",
+      });
+      const user2 = await repository.create({
+        name: "Usuario 2",
+        email: "user2@example.com",
+        password: "123456",
+      });
+      user1.createdAt = "2025-01-01T00:00:00.000Z";
+      user2.createdAt = "2025-02-01T00:00:00.000Z";
+
+      await repository.delete(user1.id);
+      const restored = await repository.restore(user1.id);
+
+      expect(restored).toBe(user1);
+      expect(restored.deletedAt).toBe(null);
+      expect(restored.toJSON()).not.toHaveProperty("deletedAt");
+      expect(repository.users).toEqual([user1, user2]);
+      expect(repository.deletedUsers).toEqual([]);
+    });
+
+    test("debe retornar null si el usuario no está eliminado", async () => {
+      const user = await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+
+      expect(await repository.restore(user.id)).toBe(null);
+      expect(await repository.restore("id-inexistente")).toBe(null);
+    });
+  });
+
+  describe("findDeleted y purgeDeleted", () => {
+    let oldUser;
+    let recentUser;
+
+    beforeEach(async () => {
+      oldUser = await repository.create({
+        name: "Antiguo",
+        email: "antiguo@example.com",
+        password: "123456",
+      });
+      recentUser = await repository.create({
+        name: "Reciente",
+        email: "reciente@example.com",
+        password: "123456",
+      });
+
+      await repository.delete(oldUser.id);
+      await repository.delete(recentUser.id);
+      oldUser.deletedAt = "2025-01-01T00:00:00.000Z";
+      recentUser.deletedAt = "2025-03-01T00:00:00.000Z";
+    });
+
+    test("debe listar solo usuarios eliminados con filtros", async () => {
+      await repository.create({
+        name: "Activo",
+        email: "activo@example.com",
+        password: "123456",
+      });
+
+      const all = await repository.findDeleted();
+      expect(all.total).toBe(2);
+
+      const filtered = await repository.findDeleted({
+        filters: { name: "recien" },
+      });
+      expect(filtered.users).toEqual([recentUser]);
+    });
+
+    test("debe purgar los eliminados hasta la fecha límite y liberar su email", async () => {
+      const purged = await repository.purgeDeleted("2025-02-01T00:00:00.000Z");
+
+      expect(purged).toBe(1);
+      expect(repository.deletedUsers).toEqual([recentUser]);
+      await expect(
+        repository.create({
+          name: "Antiguo Nuevo",
+          email: "antiguo@example.com",
+          password: "123456",
+        })
+      ).resolves.toBeInstanceOf(User);
+    });
+
+    test("debe borrar definitivamente un usuario concreto con destroy", async () => {
+      expect(await repository.destroy(oldUser.id)).toBe(true);
+      expect(await repository.destroy(oldUser.id)).toBe(false);
+      expect(repository.deletedUsers).toEqual([recentUser]);
+    });
+  });
+
+  describe("changeStatus", () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+    });
+
+    test("debe cambiar el estado incrementando la versión", async () => {
+      const updated = await repository.changeStatus(user.id, "locked", {
+        reason: "Credenciales filtradas",
+      });
+
+      expect(updated.status).toBe("locked");
+      expect(updated.statusReason).toBe("Credenciales filtradas");
+      expect(updated.version).toBe(2);
+      expect(updated.updatedAt).toBe(updated.statusChangedAt);
+    });
+
+    test("debe retornar null si el usuario no existe o está eliminado", async () => {
+      await repository.delete(user.id);
+
+      expect(await repository.changeStatus(user.id, "suspended")).toBeNull();
+    });
+
+    test("debe rechazar transiciones no permitidas sin modificar el usuario", async () => {
+      await repository.changeStatus(user.id, "deactivated", {
+        reason: "Baja",
+      });
+
+      await expect(
+        repository.changeStatus(user.id, "locked", { reason: "x" })
+      ).rejects.toThrow(StatusTransitionError);
+      expect(user.status).toBe("deactivated");
+      expect(user.version).toBe(2);
+    });
+
+    test("debe comprobar la versión esperada", async () => {
+      await expect(
+        repository.changeStatus(user.id, "suspended", { expectedVersion: 5 })
+      ).rejects.toThrow(VersionConflictError);
+    });
+
+    test("update no debe modificar estado, rol ni verificación", async () => {
+      await repository.update(user.id, {
+        name: "Juan Carlos",
+        status: "suspended",
+        role: "admin",
+        isVerified: true,
+      });
+
+      expect(user.name).toBe("Juan Carlos");
+      expect(user.status).toBe("active");
+      expect(user.role).toBe("user");
+      expect(user.isVerified).toBe(false);
+    });
+  });
+
+  describe("changeEmail y expirePendingEmails", () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+    });
+
+    test("debe guardar el email pendiente sin cambiar el email actual", async () => {
+      const updated = await repository.changeEmail(user.id, {
+        pendingEmail: "juan.nuevo@example.com",
+        pendingEmailExpiresAt: "2025-10-02T08:00:00.000Z",
+      });
+
+      expect(updated.email).toBe("juan@example.com");
+      expect(updated.version).toBe(2);
+      expect(updated.toJSON()).toMatchObject({
+        pendingEmail: "juan.nuevo@example.com",
+        pendingEmailExpiresAt: "2025-10-02T08:00:00.000Z",
+      });
+    });
+
+    test("debe rechazar emails registrados por otro usuario", async () => {
+      await repository.create({
+        name: "Ana López",
+        email: "ana@example.com",
+        password: "123456",
+      });
+
+      await expect(
+        repository.changeEmail(user.id, { pendingEmail: "ana@example.com" })
+      ).rejects.toThrow("El email ya está registrado");
+      await expect(
+        repository.changeEmail(user.id, { email: "no-es-email" })
+      ).rejects.toThrow("Datos inválidos");
+      expect(user.version).toBe(1);
+    });
+
+    test("update no debe modificar el cambio de email pendiente", async () => {
+      await repository.update(user.id, {
+        pendingEmail: "juan.nuevo@example.com",
+      });
+
+      expect(user.pendingEmail).toBeNull();
+    });
+
+    test("debe descartar solo los cambios pendientes caducados", async () => {
+      const other = await repository.create({
+        name: "Ana López",
+        email: "ana@example.com",
+        password: "123456",
+      });
+      await repository.changeEmail(user.id, {
+        pendingEmail: "juan.nuevo@example.com",
+        pendingEmailExpiresAt: "2025-10-01T00:00:00.000Z",
+      });
+      await repository.changeEmail(other.id, {
+        pendingEmail: "ana.nueva@example.com",
+        pendingEmailExpiresAt: "2025-10-03T00:00:00.000Z",
+      });
+
+      expect(
+        await repository.expirePendingEmails("2025-10-02T00:00:00.000Z")
+      ).toBe(1);
+      expect(user.pendingEmail).toBeNull();
+      expect(user.pendingEmailExpiresAt).toBeNull();
+      expect(user.version).toBe(3);
+      expect(other.pendingEmail).toBe("ana.nueva@example.com");
+    });
+  });
+
+  describe("Eventos de dominio", () => {
+    test("debe publicar user.created, user.updated y user.deleted sin la contraseña", async () => {
+      const events = new EventBus({ retryDelayMs: 0 });
+      const received = [];
+      for (const type of ["user.created", "user.updated", "user.deleted"]) {
+        events.subscribe(type, (event) => received.push(event));
+      }
+      repository = new UserRepository({ events });
+
+      const user = await repository.create(
+        { name: "Juan Pérez", email: "juan@example.com", password: "123456" },
+        { context: { actor: "admin@example.com", requestId: "req-1" } }
+      );
+      await repository.update(user.id, { name: "Juan Pérez" });
+      await repository.update(user.id, { name: "Juan Carlos Pérez" });
+      await repository.delete(user.id);
+      await repository.restore(user.id);
+      await events.drain();
+
+      expect(received.map((event) => event.type)).toEqual([
+        "user.created",
+        "user.updated",
+        "user.deleted",
+      ]);
+      expect(received[0].context).toEqual({
+        actor: "admin@example.com",
+        requestId: "req-1",
+      });
+      expect(received[0].payload.user).toMatchObject({
+        id: user.id,
+        email: "juan@example.com",
+      });
+      expect(received[0].payload.user).not.toHaveProperty("password");
+      expect(received[1].payload.changes).toEqual([
+        { field: "name", before: "Juan Pérez", after: "Juan Carlos Pérez" },
+      ]);
+    });
+  });
+
+  describe("recordLogin", () => {
+    test("debe guardar lastLoginAt sin cambiar la versión ni exponerlo en toJSON", async () => {
+      const user = await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+
+      expect(
+        await repository.recordLogin(user.id, "2025-10-01T08:00:00.000Z")
+      ).toBe(true);
+      expect(user.lastLoginAt).toBe("2025-10-01T08:00:00.000Z");
+      expect(user.version).toBe(1);
+      expect(user.toJSON()).not.toHaveProperty("lastLoginAt");
+      expect(await repository.recordLogin("no-existe")).toBe(false);
+    });
+  });
+
+  describe("verifyCredentials", () => {
+    beforeEach(async () => {
+      await repository.create({
+        name: "Juan Pérez",
+        email: "juan@example.com",
+        password: "123456",
+      });
+    });
+
+    test("debe guardar un hash y no la contraseña en texto plano", async () => {
+      const user = await repository.findByEmail("juan@example.com");
+
+      expect(user.password).not.toContain("123456");
+      expect(user.needsPasswordRehash()).toBe(false);
+    });
+
+    test("debe retornar el usuario solo si la contraseña coincide", async () => {
+      expect(
+        await repository.verifyCredentials("juan@example.com", "123456")
+      ).toBeInstanceOf(User);
+      expect(
+        await repository.verifyCredentials("juan@example.com", "654321")
+      ).toBeNull();
+      expect(
+        await repository.verifyCredentials("nadie@example.com", "123456")
+      ).toBeNull();
+    });
+
+    test("debe rehashear contraseñas heredadas sin cambiar la versión", async () => {
+      const user = await repository.findByEmail("juan@example.com");
+      user.password = "123456";
+
+      const verified = await repository.verifyCredentials(
+        "juan@example.com",
+        "123456"
+      );
+
+      expect(verified.password).toMatch(/^\$scrypt\$/);
+      expect(verified.version).toBe(1);
+      expect(await verified.verifyPassword("123456")).toBe(true);
+    });
   });
 
   describe("Casos extremos y manejo de errores", () => {
-    test("debe manejar múltiples operaciones simultáneas", () => {
+    test("debe manejar múltiples operaciones simultáneas", async () => {
       const userData1 = {
         name: "Usuario 1",
         email: "user1@example.com",
@@ -1180,70 +1900,70 @@ describe("UserRepository", () => {
       };
 
       // Crear múltiples usuarios
-      const user1 = repository.create(userData1);
-      const user2 = repository.create(userData2);
+      const user1 = await repository.create(userData1);
+      const user2 = await repository.create(userData2);
 
       // Actualizar uno
-      repository.update(user1.id, { name: "Usuario 1 Actualizado" });
+      await repository.update(user1.id, { name: "Usuario 1 Actualizado" });
 
       // Eliminar otro
-      repository.delete(user2.id);
+      await repository.delete(user2.id);
 
       // Verificar estado final
       expect(repository.users).toHaveLength(1);
       expect(repository.users[0].name).toBe("Usuario 1 Actualizado");
-      expect(repository.findById(user2.id)).toBeUndefined();
+      expect(await repository.findById(user2.id)).toBeUndefined();
     });
 
-    test("debe manejar datos con caracteres especiales", () => {
+    test("debe manejar datos con caracteres especiales", async () => {
       const userData = {
         name: "José María Ñoño",
         email: "jose.maria@dominio-español.com",
         password: "contraseña123!@#",
       };
 
-      const user = repository.create(userData);
+      const user = await repository.create(userData);
 
       expect(user.name).toBe("José María Ñoño");
       expect(user.email).toBe("jose.maria@dominio-español.com");
-      expect(user.password).toBe("contraseña123!@#");
+      expect(await user.verifyPassword("contraseña123!@#")).toBe(true);
     });
 
-    test("debe manejar límites de validación exactos", () => {
+    test("debe manejar límites de validación exactos", async () => {
       const userData = {
         name: "ab", // Exactamente 2 caracteres
         email: "a@b.c", // Email mínimo válido
         password: "123456", // Exactamente 6 caracteres
       };
 
-      const user = repository.create(userData);
+      const user = await repository.create(userData);
 
       expect(user.name).toBe("ab");
       expect(user.email).toBe("a@b.c");
-      expect(user.password).toBe("123456");
+      expect(await user.verifyPassword("123456")).toBe(true);
     });
 
-    test("debe manejar nombres con espacios múltiples", () => {
+    test("debe manejar nombres con espacios múltiples", async () => {
       const userData = {
         name: "   Juan    Pérez   ",
         email: "juan@example.com",
         password: "123456",
       };
 
-      const user = repository.create(userData);
+      const user = await repository.create(userData);
 
       // El nombre se guarda tal como se proporciona (sin trim automático en constructor)
       expect(user.name).toBe("   Juan    Pérez   ");
     });
 
-    test("debe preservar tipos de datos en todas las operaciones", () => {
+    test("debe preservar tipos de datos en todas las operaciones", async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
 
-      const user = repository.create(userData);
+      const user = await repository.create(userData);
 
       // Verificar tipos después de crear
       expect(typeof user.id).toBe("string");
@@ -1253,7 +1973,7 @@ describe("UserRepository", () => {
       expect(typeof user.createdAt).toBe("string");
 
       // Verificar tipos después de encontrar
-      const foundUser = repository.findById(user.id);
+      const foundUser = await repository.findById(user.id);
       expect(typeof foundUser.id).toBe("string");
       expect(typeof foundUser.name).toBe("string");
       expect(typeof foundUser.email).toBe("string");
@@ -1261,11 +1981,13 @@ describe("UserRepository", () => {
       expect(typeof foundUser.createdAt).toBe("string");
 
       // Verificar tipos después de actualizar
-      const updatedUser = repository.update(user.id, { name: "Nuevo Nombre" });
+      const updatedUser = await repository.update(user.id, {
+        name: "Nuevo Nombre",
+      });
       expect(typeof updatedUser.name).toBe("string");
     });
 
-    test("debe manejar repositorio con muchos usuarios", () => {
+    test("debe manejar repositorio con muchos usuarios", async () => {
       // Crear 100 usuarios
       const users = [];
       for (let i = 0; i < 100; i++) {
@@ -1274,39 +1996,39 @@ describe("UserRepository", () => {
           email: `user${i}@example.com`,
           password: "123456",
         };
-        users.push(repository.create(userData));
+        users.push(await repository.create(userData));
       }
 
       expect(repository.users).toHaveLength(100);
 
       // Encontrar usuario específico
-      const found = repository.findByEmail("user50@example.com");
+      const found = await repository.findByEmail("user50@example.com");
       expect(found.name).toBe("Usuario 50");
 
       // Eliminar algunos usuarios
-      repository.delete(users[25].id);
-      repository.delete(users[75].id);
+      await repository.delete(users[25].id);
+      await repository.delete(users[75].id);
 
       expect(repository.users).toHaveLength(98);
-      expect(repository.findById(users[25].id)).toBeUndefined();
-      expect(repository.findById(users[75].id)).toBeUndefined();
+      expect(await repository.findById(users[25].id)).toBeUndefined();
+      expect(await repository.findById(users[75].id)).toBeUndefined();
     });
   });
 
   describe("Integridad de datos", () => {
-    test("debe mantener integridad después de operaciones fallidas", () => {
+    test("debe mantener integridad después de operaciones fallidas", async () => {
       const userData = {
         name: "Juan Pérez",
         email: "juan@example.com",
         password: "123456",
       };
 
-      const user = repository.create(userData);
+      const user = await repository.create(userData);
       const originalLength = repository.users.length;
 
       // Intentar crear usuario con email duplicado
       try {
-        repository.create({
+        await repository.create({
           name: "Otro Usuario",
           email: "juan@example.com",
           password: "654321",
@@ -1317,7 +2039,7 @@ describe("UserRepository", () => {
 
       // Intentar actualizar con datos inválidos
       try {
-        repository.update(user.id, {
+        await repository.update(user.id, {
           name: "",
           email: "invalid-email",
         });
@@ -1327,13 +2049,13 @@ describe("UserRepository", () => {
 
       // Verificar que el repositorio mantiene su estado original
       expect(repository.users).toHaveLength(originalLength);
-      const unchangedUser = repository.findById(user.id);
+      const unchangedUser = await repository.findById(user.id);
       expect(unchangedUser.name).toBe("Juan Pérez");
       expect(unchangedUser.email).toBe("juan@example.com");
-      expect(unchangedUser.password).toBe("123456");
+      expect(await unchangedUser.verifyPassword("123456")).toBe(true);
     });
 
-    test("debe mantener unicidad de emails después de múltiples operaciones", () => {
+    test("debe mantener unicidad de emails después de múltiples operaciones", async () => {
       const userData1 = {
         name: "Usuario 1",
         email: "user1@example.com",
@@ -1346,8 +2068,8 @@ describe("UserRepository", () => {
         password: "123456",
       };
 
-      const user1 = repository.create(userData1);
-      const user2 = repository.create(userData2);
+      const user1 = await repository.create(userData1);
+      const user2 = await repository.create(userData2);
 
       // Verificar que ambos emails son únicos
       const emails = repository.users.map((u) => u.email);
@@ -1355,7 +2077,7 @@ describe("UserRepository", () => {
       expect(emails).toHaveLength(uniqueEmails.length);
 
       // Actualizar email de user1
-      repository.update(user1.id, { email: "new-email@example.com" });
+      await repository.update(user1.id, { email: "new-email@example.com" });
 
       // Verificar que los emails siguen siendo únicos
       const updatedEmails = repository.users.map((u) => u.email);
@@ -0,0 +1,348 @@
+/**
+ * Tests unitarios para las definiciones de atributos de perfil y su
+ * aplicación en UserRepository
+ */
+
+const {
+  UserAttribute,
+  UserAttributeRepository,
+  validateProfile,
+  mergeProfile,
+} = require("../../models/UserAttribute");
+const { UserRepository } = require("../../models/User");
+
+describe("UserAttribute", () => {
+  describe("validate", () => {
+    test("debe aceptar definiciones completas de cada tipo", () => {
+      [
+        {
+          key: "department",
+          type: "string",
+          label: "Departamento",
+          required: true,
+          enum: ["Ventas", "Soporte"],
+        },
+        { key: "employeeCode", type: "string", pattern: "^E\\d+$", max: 10 },
+        { key: "age", type: "number", min: 18, max: 99 },
+        { key: "newsletter", type: "boolean" },
+        { key: "hiredAt", type: "date", description: "Fecha de alta" },
+      ].forEach((data) => {
+        expect(UserAttribute.validate(data)).toMatchObject({ isValid: true });
+      });
+    });
+
+    test("debe rechazar claves, tipos y restricciones inválidas", () => {
+      const validation = UserAttribute.validate({
+        key: "Departamento",
+        type: "text",
+        required: "sí",
+      });
+
+      expect(validation.fieldErrors.map(({ field }) => field)).toEqual([
+        "key",
+        "type",
+        "required",
+      ]);
+    });
+
+    test("debe admitir cada restricción solo en los tipos que la soportan", () => {
+      expect(
+        UserAttribute.validate({
+          key: "age",
+          type: "number",
+          pattern: "^\\d+$",
+          enum: [1, "2"],
+        }).errors
+      ).toEqual([
+        "Los valores de enum deben ser de tipo number",
+        "pattern solo se admite en atributos de tipo string",
+      ]);
+      expect(
+        UserAttribute.validate({ key: "active", type: "boolean", min: 1 })
+          .errors
+      ).toEqual(["min solo se admite en atributos de tipo string o number"]);
+      expect(
+        UserAttribute.validate({
+          key: "code",
+          type: "string",
+          pattern: "(",
+          min: 1.5,
+          enum: ["A", "A"],
+        }).errors
+      ).toEqual([
+        "enum no puede contener valores repetidos",
+        "pattern no es una expresión regular válida",
+        "min debe ser un entero no negativo (longitud del texto)",
+      ]);
+      expect(
+        UserAttribute.validate({ key: "age", type: "number", min: 5, max: 1 })
+          .errors
+      ).toEqual(["min no puede ser mayor que max"]);
+    });
+
+    test("debe rechazar patrones con cuantificadores anidados y exigir max", () => {
+      const patternErrors = (pattern) =>
+        UserAttribute.validate({
+          key: "code",
+          type: "string",
+          pattern,
+          max: 20,
+        }).errors;
+      const nested =
+        "pattern no admite cuantificadores anidados como (a+)+ (pueden bloquear el servidor)";
+
+      expect(patternErrors("(a+)+$")).toEqual([nested]);
+      expect(patternErrors("^((ab)*c)+$")).toEqual([nested]);
+      expect(patternErrors("^(\\w+\\s?){2,}$")).toEqual([nested]);
+      expect(patternErrors("^E\\d+(-[A-Z]+)?$")).toEqual([]);
+      expect(patternErrors("^(\\+)+[(+]*$")).toEqual([]);
+      expect(
+        UserAttribute.validate({ key: "code", type: "string", pattern: "^E" })
+          .fieldErrors
+      ).toEqual([
+        {
+          field: "max",
+          message: "max (longitud máxima del texto) es obligatorio con pattern",
+        },
+      ]);
+    });
+  });
+
+  describe("validateValue", () => {
+    test("debe comprobar tipo, longitud, formato, rango y valores permitidos", () => {
+      const code = new UserAttribute({
+        key: "code",
+        type: "string",
+        pattern: "^E\\d+$",
+        min: 2,
+        max: 4,
+      });
+      const age = new UserAttribute({ key: "age", type: "number", min: 18 });
+      const level = new UserAttribute({
+        key: "level",
+        type: "number",
+        enum: [1, 2],
+      });
+      const hiredAt = new UserAttribute({ key: "hiredAt", type: "date" });
+
+      expect(code.validateValue("E12")).toBeNull();
+      expect(code.validateValue(12)).toBe(
+        'El atributo "code" debe ser una cadena de texto'
+      );
+      expect(code.validateValue("E")).toBe(
+        'El atributo "code" debe tener al menos 2 caracteres'
+      );
+      expect(code.validateValue("X123")).toBe(
+        'El atributo "code" no tiene el formato esperado'
+      );
+      expect(age.validateValue(17)).toBe(
+        'El atributo "age" debe ser mayor o igual que 18'
+      );
+      expect(level.validateValue(3)).toBe(
+        'El atributo "level" debe ser uno de: 1, 2'
+      );
+      expect(hiredAt.validateValue("2025-02-28")).toBeNull();
+      expect(hiredAt.validateValue("2025-02-30")).toBe(
+        'El atributo "hiredAt" debe ser una fecha con formato AAAA-MM-DD'
+      );
+      expect(hiredAt.validateValue(["2025-02-28"])).not.toBeNull();
+    });
+
+    test("debe convertir texto al tipo del atributo", () => {
+      expect(
+        new UserAttribute({ key: "age", type: "number" }).parseValue("42")
+      ).toBe(42);
+      expect(
+        new UserAttribute({ key: "age", type: "number" }).parseValue(" ")
+      ).toBeNaN();
+      expect(
+        new UserAttribute({ key: "vip", type: "boolean" }).parseValue("TRUE")
+      ).toBe(true);
+      expect(
+        new UserAttribute({ key: "vip", type: "boolean" }).parseValue("sí")
+      ).toBe("sí");
+    });
+  });
+
+  describe("validateProfile y mergeProfile", () => {
+    const attributes = [
+      new UserAttribute({
+        key: "department",
+        type: "string",
+        required: true,
+        enum: ["Ventas", "Soporte"],
+      }),
+      new UserAttribute({ key: "age", type: "number" }),
+    ];
+
+    test("debe exigir los obligatorios y rechazar claves no definidas", () => {
+      const validation = validateProfile(attributes, {
+        age: "40",
+        color: "azul",
+      });
+
+      expect(validation.fieldErrors).toEqual([
+        {
+          field: "profile.age",
+          message: 'El atributo "age" debe ser un número',
+        },
+        {
+          field: "profile.color",
+          message: 'El atributo "color" no está definido',
+        },
+        {
+          field: "profile.department",
+          message: 'El atributo "department" es obligatorio',
+        },
+      ]);
+      expect(validateProfile(attributes, []).errors).toEqual([
+        "El perfil debe ser un objeto",
+      ]);
+    });
+
+    test("debe validar solo los cambios en modo parcial sin permitir borrar obligatorios", () => {
+      expect(
+        validateProfile(attributes, { age: 40 }, { partial: true }).isValid
+      ).toBe(true);
+      expect(
+        validateProfile(attributes, { department: null }, { partial: true })
+          .errors
+      ).toEqual(['El atributo "department" es obligatorio']);
+    });
+
+    test("debe fusionar los cambios y borrar las claves a null", () => {
+      expect(
+        mergeProfile({ department: "Ventas", age: 40 }, { age: null, vip: 1 })
+      ).toEqual({ department: "Ventas", vip: 1 });
+    });
+  });
+
+  describe("UserAttributeRepository", () => {
+    test("debe crear, listar por clave, modificar y eliminar definiciones", async () => {
+      const repository = new UserAttributeRepository();
+      await repository.create({ key: "zone", type: "string" });
+      const age = await repository.create({ key: "age", type: "number" });
+
+      expect((await repository.findAll()).map(({ key }) => key)).toEqual([
+        "age",
+        "zone",
+      ]);
+
+      const updated = await repository.update("age", {
+        type: "string",
+        min: 18,
+      });
+      expect(updated.type).toBe("number");
+      expect(updated.min).toBe(18);
+      expect(updated.updatedAt >= age.createdAt).toBe(true);
+      expect(await repository.update("otro", { min: 1 })).toBeNull();
+
+      expect(await repository.delete("zone")).toBe(true);
+      expect(await repository.delete("zone")).toBe(false);
+      expect(await repository.findByKey("zone")).toBeNull();
+    });
+
+    test("debe separar las definiciones de cada tenant", async () => {
+      const repository = new UserAttributeRepository();
+      await repository.create({ key: "zone", type: "string" });
+      await repository.forTenant("acme").create({ key: "age", type: "number" });
+
+      const keys = async (view) => (await view.findAll()).map(({ key }) => key);
+      expect(await keys(repository)).toEqual(["zone"]);
+      expect(await keys(repository.forTenant("acme"))).toEqual(["age"]);
+      expect(await keys(repository.forTenant("globex"))).toEqual([]);
+      expect(await repository.forTenant("globex").delete("age")).toBe(false);
+      expect(await repository.forTenant("acme").findByKey("age")).toMatchObject(
+        { tenantId: "acme" }
+      );
+    });
+  });
+});
+
+describe("UserRepository con atributos de perfil", () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = new UserRepository();
+    await repository.attributes.create({
+      key: "department",
+      type: "string",
+      required: true,
+      enum: ["Ventas", "Soporte"],
+    });
+    await repository.attributes.create({ key: "age", type: "number" });
+  });
+
+  test("debe validar el perfil al crear", async () => {
+    await expect(
+      repository.create({
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+      })
+    ).rejects.toThrow('El atributo "department" es obligatorio');
+
+    const user = await repository.create({
+      name: "Ana Ruiz",
+      email: "ana@example.com",
+      password: "123456",
+      profile: { department: "Ventas", age: 40 },
+    });
+    expect(user.toJSON().profile).toEqual({ department: "Ventas", age: 40 });
+  });
+
+  test("debe fusionar el perfil al actualizar y filtrar por atributos", async () => {
+    const user = await repository.create({
+      name: "Ana Ruiz",
+      email: "ana@example.com",
+      password: "123456",
+      profile: { department: "Ventas", age: 40 },
+    });
+    await repository.create({
+      name: "Luis Soto",
+      email: "luis@example.com",
+      password: "123456",
+      profile: { department: "Soporte" },
+    });
+
+    await expect(
+      repository.update(user.id, { profile: { department: "Marketing" } })
+    ).rejects.toThrow("Datos inválidos");
+
+    const updated = await repository.update(user.id, {
+      profile: { age: null, department: "Soporte" },
+    });
+    expect(updated.profile).toEqual({ department: "Soporte" });
+
+    const { users } = await repository.findPage({
+      filters: { profile: { department: "soporte" } },
+    });
+    expect(users).toHaveLength(2);
+    const { users: adults } = await repository.findPage({
+      filters: { profile: { age: 40 } },
+    });
+    expect(adults).toHaveLength(0);
+  });
+
+  test("debe validar el perfil con los atributos del tenant", async () => {
+    const acme = repository.forTenant("acme");
+    await acme.attributes.create({ key: "level", type: "number" });
+
+    await expect(
+      acme.create({
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        password: "123456",
+        profile: { department: "Ventas" },
+      })
+    ).rejects.toThrow("Datos inválidos");
+
+    const user = await acme.create({
+      name: "Ana Ruiz",
+      email: "ana@example.com",
+      password: "123456",
+      profile: { level: 3 },
+    });
+    expect(user.profile).toEqual({ level: 3 });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests unitarios para UserAttributeService sobre el repositorio en memoria
+ */
+
+const UserAttributeService = require("../../services/userAttributeService");
+const { UserAttributeError } = require("../../services/userAttributeService");
+const { UserAttributeRepository } = require("../../models/UserAttribute");
+
+describe("UserAttributeService", () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new UserAttributeService(new UserAttributeRepository());
+    await service.create({ key: "age", type: "number", min: 18, max: 99 });
+    await service.create({ key: "newsletter", type: "boolean" });
+  });
+
+  const expectAttributeError = async (promise, status, message) => {
+    const error = await promise.catch((caught) => caught);
+    expect(error).toBeInstanceOf(UserAttributeError);
+    expect(error.status).toBe(status);
+    expect(error.message).toBe(message);
+    return error;
+  };
+
+  test("debe rechazar definiciones inválidas y claves repetidas", async () => {
+    const invalid = await expectAttributeError(
+      service.create({ key: "level", type: "number", pattern: "^\\d$" }),
+      400,
+      "Datos de atributo inválidos"
+    );
+    expect(invalid.errors).toEqual([
+      "pattern solo se admite en atributos de tipo string",
+    ]);
+
+    await expectAttributeError(
+      service.create({ key: "age", type: "string" }),
+      409,
+      'Ya existe un atributo con la clave "age"'
+    );
+  });
+
+  test("debe validar la definición resultante al modificarla", async () => {
+    const invalid = await expectAttributeError(
+      service.update("age", { min: 120 }),
+      400,
+      "Datos de atributo inválidos"
+    );
+    expect(invalid.errors).toEqual(["min no puede ser mayor que max"]);
+
+    const updated = await service.update("age", { min: 21, max: null });
+    expect(updated.toJSON()).toMatchObject({ min: 21, max: null });
+
+    await expectAttributeError(
+      service.update("zone", { label: "Zona" }),
+      404,
+      "Atributo no encontrado"
+    );
+  });
+
+  test("debe eliminar definiciones existentes", async () => {
+    await service.remove("newsletter");
+
+    expect((await service.list()).map(({ key }) => key)).toEqual(["age"]);
+    await expectAttributeError(
+      service.remove("newsletter"),
+      404,
+      "Atributo no encontrado"
+    );
+  });
+
+  test("debe convertir los filtros al tipo de cada atributo", async () => {
+    expect(
+      await service.parseFilters({ age: "150", newsletter: "false" })
+    ).toEqual({ age: 150, newsletter: false });
+
+    const invalid = await expectAttributeError(
+      service.parseFilters({ age: "muchos", zone: "norte" }),
+      400,
+      "Parámetros de consulta inválidos"
+    );
+    expect(invalid.errors).toEqual([
+      'El atributo "age" debe ser un número',
+      'El atributo "zone" no está definido',
+    ]);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Tests unitarios para UserBulkService
+ */
+
+const UserBulkService = require("../../services/userBulkService");
+const { UserRepository } = require("../../models/User");
+const { AuditLogRepository } = require("../../models/AuditLog");
+
+describe("UserBulkService", () => {
+  let repository;
+  let service;
+  let existing;
+
+  const createOp = (name, email) => ({
+    op: "create",
+    data: { name, email, password: "123456" },
+  });
+
+  beforeEach(async () => {
+    repository = new UserRepository();
+    service = new UserBulkService(repository);
+    existing = await repository.create({
+      name: "Existente",
+      email: "existente@example.com",
+      password: "123456",
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("modo best-effort", () => {
+    test("debe aplicar las operaciones válidas e informar las fallidas", async () => {
+      const result = await service.execute(
+        [
+          createOp("  Ana Ruiz ", "ANA@example.com"),
+          createOp("Duplicado", "existente@example.com"),
+          { op: "update", id: existing.id, data: { name: "Renombrado" } },
+          { op: "archive", id: existing.id },
+        ],
+        { mode: "best-effort" }
+      );
+
+      expect(result.applied).toBe(true);
+      expect(result.summary).toEqual({ total: 4, succeeded: 2, failed: 2 });
+      expect(result.results.map((item) => item.status)).toEqual([
+        201, 409, 200, 400,
+      ]);
+      expect(result.results[0].data).toMatchObject({
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+      });
+      expect(result.results[1].error).toBe("El email ya está registrado");
+      expect(result.results[2].data.version).toBe(2);
+      expect(repository.users).toHaveLength(2);
+    });
+
+    test("debe detectar emails repetidos dentro del lote", async () => {
+      const result = await service.execute(
+        [
+          createOp("Ana Ruiz", "ana@example.com"),
+          createOp("Ana Bis", "ana@example.com"),
+        ],
+        { mode: "best-effort" }
+      );
+
+      expect(result.results[1]).toMatchObject({
+        success: false,
+        status: 409,
+        error: "El email está repetido en otra operación del lote",
+      });
+      expect(repository.users).toHaveLength(2);
+    });
+
+    test("debe permitir reutilizar un email liberado por una operación anterior", async () => {
+      const result = await service.execute(
+        [
+          {
+            op: "update",
+            id: existing.id,
+            data: { email: "nuevo@example.com" },
+          },
+          createOp("Heredero", "existente@example.com"),
+        ],
+        { mode: "best-effort" }
+      );
+
+      expect(result.summary.failed).toBe(0);
+      expect(
+        await repository.findByEmail("existente@example.com")
+      ).toMatchObject({ name: "Heredero" });
+    });
+
+    test("debe reservar los emails de usuarios eliminados", async () => {
+      await repository.delete(existing.id);
+
+      const result = await service.execute(
+        [createOp("Nuevo", "existente@example.com")],
+        { mode: "best-effort" }
+      );
+
+      expect(result.results[0].status).toBe(409);
+      expect(result.results[0].error).toContain("usuario eliminado");
+    });
+
+    test("debe rechazar versiones obsoletas y operaciones repetidas sobre un usuario", async () => {
+      const result = await service.execute(
+        [
+          {
+            op: "update",
+            id: existing.id,
+            data: { name: "Obsoleto" },
+            version: 5,
+          },
+          { op: "delete", id: existing.id },
+          { op: "delete", id: existing.id },
+        ],
+        { mode: "best-effort" }
+      );
+
+      expect(result.results[0]).toMatchObject({
+        status: 412,
+        currentVersion: 1,
+      });
+      expect(result.results[1].status).toBe(200);
+      expect(result.results[2]).toMatchObject({
+        status: 409,
+        error: "El usuario ya aparece en otra operación del lote",
+      });
+      expect(repository.deletedUsers).toHaveLength(1);
+    });
+  });
+
+  describe("modo atomic", () => {
+    test("debe aplicar todas las operaciones si todas son válidas", async () => {
+      const result = await service.execute(
+        [
+          createOp("Ana Ruiz", "ana@example.com"),
+          { op: "delete", id: existing.id },
+        ],
+        { mode: "atomic" }
+      );
+
+      expect(result.applied).toBe(true);
+      expect(result.summary.succeeded).toBe(2);
+      expect(repository.users.map((user) => user.name)).toEqual(["Ana Ruiz"]);
+    });
+
+    test("no debe aplicar nada si una operación es inválida", async () => {
+      const result = await service.execute(
+        [
+          createOp("Ana Ruiz", "ana@example.com"),
+          { op: "update", id: existing.id, data: { email: "no-es-email" } },
+        ],
+        { mode: "atomic" }
+      );
+
+      expect(result.applied).toBe(false);
+      expect(result.summary).toEqual({ total: 2, succeeded: 0, failed: 2 });
+      expect(result.results[0]).toMatchObject({
+        status: 424,
+        error: "No aplicada: otra operación del lote falló",
+      });
+      expect(result.results[1].status).toBe(400);
+      expect(repository.users).toEqual([existing]);
+      expect(existing.email).toBe("existente@example.com");
+    });
+
+    test("debe revertir las operaciones aplicadas si una escritura falla", async () => {
+      const other = await repository.create({
+        name: "Otro",
+        email: "otro@example.com",
+        password: "123456",
+      });
+      const originalDelete = repository.delete.bind(repository);
+      jest.spyOn(repository, "delete").mockImplementation(async (id) => {
+        if (id === other.id) {
+          throw new Error("Fallo de escritura");
+        }
+        return originalDelete(id);
+      });
+
+      const result = await service.execute(
+        [
+          createOp("Ana Ruiz", "ana@example.com"),
+          { op: "update", id: existing.id, data: { name: "Renombrado" } },
+          { op: "delete", id: other.id },
+        ],
+        { mode: "atomic" }
+      );
+
+      expect(result.applied).toBe(false);
+      expect(result.results.map((item) => item.status)).toEqual([
+        424, 424, 400,
+      ]);
+      expect(result.results[0].error).toBe(
+        "Revertida: otra operación del lote falló"
+      );
+      expect(repository.users.map((user) => user.name)).toEqual([
+        "Existente",
+        "Otro",
+      ]);
+      expect(await repository.findByEmail("ana@example.com")).toBeUndefined();
+    });
+
+    test("debe validar el perfil y restaurarlo al revertir", async () => {
+      await repository.attributes.create({ key: "age", type: "number" });
+      await repository.update(existing.id, { profile: { age: 40 } });
+
+      const invalid = await service.execute(
+        [{ op: "update", id: existing.id, data: { profile: { age: "40" } } }],
+        { mode: "atomic" }
+      );
+      expect(invalid.results[0]).toMatchObject({
+        status: 400,
+        error: 'Datos inválidos: El atributo "age" debe ser un número',
+      });
+
+      jest
+        .spyOn(repository, "create")
+        .mockRejectedValue(new Error("Fallo de escritura"));
+      const result = await service.execute(
+        [
+          { op: "update", id: existing.id, data: { profile: { age: 41 } } },
+          createOp("Luis", "luis@example.com"),
+        ],
+        { mode: "atomic" }
+      );
+
+      expect(result.applied).toBe(false);
+      expect(existing.profile).toEqual({ age: 40 });
+    });
+
+    test("debe registrar las operaciones y sus compensaciones en el historial", async () => {
+      repository.auditLog = new AuditLogRepository();
+      const context = { actor: "admin@example.com", requestId: "req-1" };
+
+      const result = await service.execute(
+        [
+          { op: "update", id: existing.id, data: { password: "nueva123" } },
+          createOp("Ana Ruiz", "existente@example.com"),
+        ],
+        { mode: "best-effort", context }
+      );
+      expect(result.summary.succeeded).toBe(1);
+
+      jest
+        .spyOn(repository, "create")
+        .mockRejectedValue(new Error("Fallo de escritura"));
+      await service.execute(
+        [
+          { op: "update", id: existing.id, data: { password: "otra123" } },
+          createOp("Luis", "luis@example.com"),
+        ],
+        { mode: "atomic", context }
+      );
+
+      const entries = repository.auditLog.entries;
+      expect(entries).toHaveLength(3);
+      expect(entries.every((entry) => entry.requestId === "req-1")).toBe(true);
+      expect(entries.map((entry) => entry.changes[0].field)).toEqual([
+        "password",
+        "password",
+        "password",
+      ]);
+      expect(await existing.verifyPassword("nueva123")).toBe(true);
+    });
+  });
+
+  test("debe usar el modo por defecto de la configuración", async () => {
+    const result = await new UserBulkService(repository, {
+      defaultMode: "best-effort",
+    }).execute([createOp("Ana Ruiz", "ana@example.com"), { op: "delete" }]);
+
+    expect(result.mode).toBe("best-effort");
+    expect(result.summary.succeeded).toBe(1);
+  });
+});
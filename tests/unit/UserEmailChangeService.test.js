@@ -0,0 +1,132 @@
+/**
+ * Tests unitarios para UserEmailChangeService
+ */
+
+const UserEmailChangeService = require("../../services/userEmailChangeService");
+const { EmailChangeError } = require("../../services/userEmailChangeService");
+const { UserRepository } = require("../../models/User");
+
+describe("UserEmailChangeService", () => {
+  const now = new Date("2025-10-01T08:00:00.000Z");
+  let repository;
+  let service;
+  let user;
+
+  beforeEach(async () => {
+    repository = new UserRepository();
+    service = new UserEmailChangeService(repository, {
+      secret: "secreto-de-prueba",
+      ttlHours: 24,
+      revertTtlDays: 7,
+    });
+    user = await repository.create({
+      name: "Juan Pérez",
+      email: "juan@example.com",
+      password: "123456",
+    });
+  });
+
+  const expectStatus = async (promise, status) => {
+    const error = await promise.catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(EmailChangeError);
+    expect(error.status).toBe(status);
+  };
+
+  test("debe dejar el nuevo email pendiente hasta que caduque", async () => {
+    const change = await service.request(user, "juan.nuevo@example.com", {
+      now,
+    });
+
+    expect(change.oldEmail).toBe("juan@example.com");
+    expect(change.expiresAt).toBe("2025-10-02T08:00:00.000Z");
+    expect(user.email).toBe("juan@example.com");
+    expect(user.pendingEmail).toBe("juan.nuevo@example.com");
+    expect(user.pendingEmailExpiresAt).toBe("2025-10-02T08:00:00.000Z");
+    expect(change.confirmToken).not.toBe(change.revertToken);
+
+    await expectStatus(service.request(user, "juan@example.com"), 400);
+  });
+
+  test("debe confirmar el cambio y marcar el email como verificado", async () => {
+    const { confirmToken } = await service.request(
+      user,
+      "juan.nuevo@example.com",
+      { now }
+    );
+
+    const confirmed = await service.confirm(confirmToken, {
+      now: new Date("2025-10-01T09:00:00.000Z"),
+    });
+
+    expect(confirmed.email).toBe("juan.nuevo@example.com");
+    expect(confirmed.isVerified).toBe(true);
+    expect(confirmed.pendingEmail).toBeNull();
+    expect(await repository.findByEmail("juan.nuevo@example.com")).toBe(user);
+
+    // El enlace no sirve dos veces ni para revertir
+    await expectStatus(
+      service.confirm(confirmToken, {
+        now: new Date("2025-10-01T09:00:00.000Z"),
+      }),
+      409
+    );
+    await expectStatus(service.revert(confirmToken, { now }), 400);
+  });
+
+  test("debe descartar el cambio pendiente con un enlace caducado", async () => {
+    const { confirmToken } = await service.request(
+      user,
+      "juan.nuevo@example.com",
+      { now }
+    );
+
+    await expectStatus(
+      service.confirm(confirmToken, {
+        now: new Date("2025-10-02T08:00:00.000Z"),
+      }),
+      410
+    );
+    expect(user.email).toBe("juan@example.com");
+    expect(user.pendingEmail).toBeNull();
+  });
+
+  test("debe invalidar el enlace anterior al solicitar otro cambio", async () => {
+    const first = await service.request(user, "juan.uno@example.com", { now });
+    await service.request(user, "juan.dos@example.com", { now });
+
+    await expectStatus(service.confirm(first.confirmToken, { now }), 409);
+    expect(user.pendingEmail).toBe("juan.dos@example.com");
+  });
+
+  test("debe revertir un cambio pendiente o ya confirmado", async () => {
+    const pending = await service.request(user, "juan.nuevo@example.com", {
+      now,
+    });
+    const reverted = await service.revert(pending.revertToken, { now });
+
+    expect(reverted.email).toBe("juan@example.com");
+    expect(reverted.pendingEmail).toBeNull();
+
+    const confirmed = await service.request(user, "juan.nuevo@example.com", {
+      now,
+    });
+    await service.confirm(confirmed.confirmToken, { now });
+    await service.revert(confirmed.revertToken, { now });
+
+    expect(user.email).toBe("juan@example.com");
+    expect(user.isVerified).toBe(false);
+    await expectStatus(service.revert(confirmed.revertToken, { now }), 409);
+  });
+
+  test("debe responder 404 si el usuario ya no existe", async () => {
+    const { confirmToken } = await service.request(
+      user,
+      "juan.nuevo@example.com",
+      { now }
+    );
+    await repository.delete(user.id);
+
+    await expectStatus(service.confirm(confirmToken, { now }), 404);
+  });
+});
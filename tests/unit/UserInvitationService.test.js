@@ -0,0 +1,172 @@
+/**
+ * Tests unitarios para UserInvitationService
+ */
+
+const UserInvitationService = require("../../services/userInvitationService");
+const {
+  InvitationError,
+  INVITATION_PURPOSE,
+} = require("../../services/userInvitationService");
+const { UserRepository } = require("../../models/User");
+const { EventBus } = require("../../modules/eventBus");
+const { createSignedToken } = require("../../modules/signedToken");
+
+describe("UserInvitationService", () => {
+  const now = new Date("2025-10-01T08:00:00.000Z");
+  const later = new Date("2025-10-02T08:00:00.000Z");
+  const invitee = {
+    name: "Lucía Martín",
+    email: "lucia@example.com",
+    role: "editor",
+  };
+  let repository;
+  let service;
+
+  beforeEach(() => {
+    repository = new UserRepository();
+    service = new UserInvitationService(repository, {
+      secret: "secreto-de-prueba",
+      ttlHours: 48,
+    });
+  });
+
+  const expectStatus = async (promise, status) => {
+    const error = await promise.catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(InvitationError);
+    expect(error.status).toBe(status);
+  };
+
+  test("debe crear el usuario invitado con la caducidad del enlace", async () => {
+    const { user, token, expiresAt } = await service.invite(invitee, { now });
+
+    expect(user.status).toBe("invited");
+    expect(user.role).toBe("editor");
+    expect(user.isVerified).toBe(false);
+    expect(expiresAt).toBe("2025-10-03T08:00:00.000Z");
+    expect(user.invitationExpiresAt).toBe(expiresAt);
+    expect(typeof token).toBe("string");
+    expect(await service.list()).toEqual([user]);
+  });
+
+  test("debe rechazar emails ya registrados o invitados", async () => {
+    await service.invite(invitee, { now });
+    await repository.create({
+      name: "Juan Pérez",
+      email: "juan@example.com",
+      password: "123456",
+    });
+
+    const pending = await service.invite(invitee).catch((error) => error);
+    expect(pending.status).toBe(409);
+    expect(pending.message).toBe(
+      "Ya hay una invitación pendiente para este email"
+    );
+
+    await expectStatus(
+      service.invite({ ...invitee, email: "juan@example.com" }),
+      409
+    );
+  });
+
+  test("debe activar la cuenta con la contraseña elegida una sola vez", async () => {
+    const { user, token } = await service.invite(invitee, { now });
+
+    const accepted = await service.accept(token, "nueva123", { now: later });
+
+    expect(accepted).toBe(user);
+    expect(accepted.status).toBe("active");
+    expect(accepted.isVerified).toBe(true);
+    expect(accepted.invitationExpiresAt).toBeNull();
+    expect(await accepted.verifyPassword("nueva123")).toBe(true);
+    expect(await service.list()).toEqual([]);
+
+    await expectStatus(service.accept(token, "otra1234", { now: later }), 409);
+  });
+
+  test("debe rechazar enlaces caducados, manipulados o de otro propósito", async () => {
+    const { user, token } = await service.invite(invitee, { now });
+
+    await expectStatus(
+      service.accept(token, "nueva123", {
+        now: new Date("2025-10-03T08:00:00.000Z"),
+      }),
+      410
+    );
+    await expectStatus(service.accept(`${token}x`, "nueva123", { now }), 400);
+    await expectStatus(
+      service.accept(
+        createSignedToken(
+          { sub: user.id, email: user.email },
+          { secret: "secreto-de-prueba", purpose: "email_change" }
+        ),
+        "nueva123",
+        { now }
+      ),
+      400
+    );
+    expect(user.status).toBe("invited");
+    expect(service.isExpired(user, new Date("2025-10-03T08:00:00.000Z"))).toBe(
+      true
+    );
+  });
+
+  test("debe invalidar el enlace anterior al reenviar la invitación", async () => {
+    const first = await service.invite(invitee, { now });
+    const second = await service.resend(first.user.id, { now: later });
+
+    expect(second.expiresAt).toBe("2025-10-04T08:00:00.000Z");
+    expect(first.user.version).toBe(2);
+    await expectStatus(service.accept(first.token, "nueva123", { now }), 409);
+
+    const accepted = await service.accept(second.token, "nueva123", {
+      now: later,
+    });
+    expect(accepted.status).toBe("active");
+    await expectStatus(service.resend(first.user.id), 409);
+  });
+
+  test("debe revocar la invitación y liberar el email", async () => {
+    const { user, token } = await service.invite(invitee, { now });
+
+    await service.revoke(user.id);
+
+    expect(await repository.findById(user.id, { includeDeleted: true })).toBe(
+      undefined
+    );
+    await expectStatus(service.accept(token, "nueva123", { now }), 404);
+    await expectStatus(service.revoke(user.id), 404);
+    expect((await service.invite(invitee)).user.status).toBe("invited");
+  });
+
+  test("debe publicar user.invited con el enlace en cada envío", async () => {
+    const events = new EventBus({ retryDelayMs: 0 });
+    const received = [];
+    events.subscribe("user.invited", (event) => received.push(event));
+    repository = new UserRepository({ events });
+    service = new UserInvitationService(repository, {
+      secret: "secreto-de-prueba",
+    });
+
+    const { user, token, expiresAt } = await service.invite(invitee, {
+      context: { actor: "admin@example.com" },
+    });
+    await service.resend(user.id);
+    await events.drain();
+
+    expect(received).toHaveLength(2);
+    expect(received[0].payload).toEqual({
+      user: {
+        id: user.id,
+        name: "Lucía Martín",
+        email: "lucia@example.com",
+        role: "editor",
+        tenantId: null,
+      },
+      token,
+      expiresAt,
+    });
+    expect(received[0].context.actor).toBe("admin@example.com");
+    expect(INVITATION_PURPOSE).toBe("invitation");
+  });
+});
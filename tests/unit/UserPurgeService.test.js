@@ -0,0 +1,105 @@
+/**
+ * Tests unitarios para UserPurgeService
+ */
+
+const cron = require("node-cron");
+const UserPurgeService = require("../../services/userPurgeService");
+const { UserRepository } = require("../../models/User");
+
+describe("UserPurgeService", () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new UserRepository();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("debe calcular la fecha límite según los días de retención", () => {
+    const service = new UserPurgeService(repository, { retentionDays: 30 });
+
+    expect(service.getCutoff(new Date("2025-03-31T12:00:00.000Z"))).toBe(
+      "2025-03-01T12:00:00.000Z"
+    );
+  });
+
+  test("debe purgar solo usuarios con la retención vencida", async () => {
+    const expired = await repository.create({
+      name: "Vencido",
+      email: "vencido@example.com",
+      password: "123456",
+    });
+    const retained = await repository.create({
+      name: "Retenido",
+      email: "retenido@example.com",
+      password: "123456",
+    });
+    await repository.delete(expired.id);
+    await repository.delete(retained.id);
+    expired.deletedAt = "2025-01-01T00:00:00.000Z";
+    retained.deletedAt = "2025-03-15T00:00:00.000Z";
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const service = new UserPurgeService(repository, { retentionDays: 30 });
+
+    const purged = await service.purge(new Date("2025-03-31T00:00:00.000Z"));
+
+    expect(purged).toBe(1);
+    expect(repository.deletedUsers).toEqual([retained]);
+  });
+
+  test("debe descartar los cambios de email pendientes caducados", async () => {
+    const user = await repository.create({
+      name: "Pendiente",
+      email: "pendiente@example.com",
+      password: "123456",
+    });
+    await repository.changeEmail(user.id, {
+      pendingEmail: "pendiente.nuevo@example.com",
+      pendingEmailExpiresAt: "2025-03-30T00:00:00.000Z",
+    });
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const service = new UserPurgeService(repository, { retentionDays: 30 });
+
+    await service.purge(new Date("2025-03-31T00:00:00.000Z"));
+
+    expect(user.email).toBe("pendiente@example.com");
+    expect(user.pendingEmail).toBeNull();
+  });
+
+  test("debe programar la purga con node-cron una sola vez y detenerla", () => {
+    const job = { stop: jest.fn() };
+    const scheduleSpy = jest.spyOn(cron, "schedule").mockReturnValue(job);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const service = new UserPurgeService(repository, {
+      purgeSchedule: "0 4 * * *",
+      timezone: "Europe/Madrid",
+    });
+
+    service.start();
+    service.start();
+
+    expect(scheduleSpy).toHaveBeenCalledTimes(1);
+    expect(scheduleSpy).toHaveBeenCalledWith(
+      "0 4 * * *",
+      expect.any(Function),
+      { scheduled: true, timezone: "Europe/Madrid" }
+    );
+
+    service.stop();
+    expect(job.stop).toHaveBeenCalled();
+    expect(service.scheduledJob).toBe(null);
+  });
+
+  test("debe rechazar expresiones cron inválidas", () => {
+    const service = new UserPurgeService(repository, {
+      purgeSchedule: "cada día",
+    });
+
+    expect(() => service.start()).toThrow("Expresión cron inválida: cada día");
+  });
+});
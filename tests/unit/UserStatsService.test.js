@@ -0,0 +1,213 @@
+/**
+ * Tests unitarios para UserStatsService
+ */
+
+const UserStatsService = require("../../services/userStatsService");
+const {
+  resolveStatsRange,
+  buildPeriods,
+} = require("../../services/userStatsService");
+
+describe("UserStatsService", () => {
+  const now = new Date("2025-03-20T12:00:00.000Z");
+  const weekQuery = {
+    interval: "week",
+    from: "2025-03-03T00:00:00.000Z",
+    to: "2025-03-20T23:59:59.999Z",
+  };
+
+  let repository;
+
+  beforeEach(() => {
+    repository = {
+      findAll: jest.fn().mockResolvedValue([
+        {
+          email: "enero@test.org",
+          createdAt: "2025-01-10T08:00:00.000Z",
+          lastLoginAt: null,
+        },
+        {
+          email: "febrero@example.com",
+          createdAt: "2025-02-25T10:00:00.000Z",
+          lastLoginAt: "2025-03-19T09:00:00.000Z",
+        },
+        {
+          email: "lunes@example.com",
+          createdAt: "2025-03-03T08:00:00.000Z",
+          lastLoginAt: "2025-03-11T00:00:00.000Z",
+        },
+        {
+          email: "miercoles@test.org",
+          createdAt: "2025-03-05T08:00:00.000Z",
+          lastLoginAt: null,
+        },
+        {
+          email: "semana@Example.com",
+          createdAt: "2025-03-12T08:00:00.000Z",
+          lastLoginAt: "2025-03-20T10:00:00.000Z",
+        },
+      ]),
+    };
+  });
+
+  describe("resolveStatsRange y buildPeriods", () => {
+    test("debe usar por defecto los últimos días completos hasta hoy", () => {
+      const range = resolveStatsRange({}, now, 30);
+
+      expect(range).toEqual({
+        interval: "day",
+        from: "2025-02-19T00:00:00.000Z",
+        to: "2025-03-20T23:59:59.999Z",
+      });
+      expect(buildPeriods(range)).toHaveLength(30);
+    });
+
+    test("debe alinear semanas al lunes y meses al día 1", () => {
+      const weeks = buildPeriods({
+        interval: "week",
+        from: "2025-03-05T00:00:00.000Z",
+        to: "2025-03-17T00:00:00.000Z",
+      });
+      const months = buildPeriods({
+        interval: "month",
+        from: "2024-12-15T00:00:00.000Z",
+        to: "2025-02-01T00:00:00.000Z",
+      });
+
+      expect(weeks.map((date) => date.toISOString())).toEqual([
+        "2025-03-03T00:00:00.000Z",
+        "2025-03-10T00:00:00.000Z",
+        "2025-03-17T00:00:00.000Z",
+      ]);
+      expect(months.map((date) => date.toISOString())).toEqual([
+        "2024-12-01T00:00:00.000Z",
+        "2025-01-01T00:00:00.000Z",
+        "2025-02-01T00:00:00.000Z",
+      ]);
+    });
+  });
+
+  describe("getStats", () => {
+    test("debe calcular altas semanales con su acumulado y el crecimiento", async () => {
+      const service = new UserStatsService(repository);
+
+      const stats = await service.getStats(weekQuery, now);
+
+      expect(stats.totalUsers).toBe(5);
+      expect(stats.range).toEqual(weekQuery);
+      expect(stats.signups).toEqual([
+        { period: "2025-03-03", signups: 2, cumulative: 4 },
+        { period: "2025-03-10", signups: 1, cumulative: 5 },
+        { period: "2025-03-17", signups: 0, cumulative: 5 },
+      ]);
+      expect(stats.growth).toEqual({
+        signups: 3,
+        previousSignups: 1,
+        rate: 200,
+        usersAtStart: 2,
+        usersAtEnd: 5,
+        userBaseGrowth: 150,
+      });
+      expect(stats.generatedAt).toBe(now.toISOString());
+    });
+
+    test("debe agrupar por mes", async () => {
+      const service = new UserStatsService(repository);
+
+      const stats = await service.getStats(
+        {
+          interval: "month",
+          from: "2025-01-01T00:00:00.000Z",
+          to: "2025-03-31T23:59:59.999Z",
+        },
+        now
+      );
+
+      expect(stats.signups).toEqual([
+        { period: "2025-01", signups: 1, cumulative: 1 },
+        { period: "2025-02", signups: 1, cumulative: 2 },
+        { period: "2025-03", signups: 3, cumulative: 5 },
+      ]);
+    });
+
+    test("debe desglosar dominios sin distinguir mayúsculas y limitar a topDomains", async () => {
+      const service = new UserStatsService(repository, {
+        config: { topDomains: 1 },
+      });
+
+      const stats = await service.getStats(weekQuery, now);
+
+      expect(stats.domains).toEqual([
+        { domain: "example.com", users: 3, percentage: 60 },
+      ]);
+    });
+
+    test("debe contar usuarios activos y cohortes de retención", async () => {
+      const service = new UserStatsService(repository);
+
+      const stats = await service.getStats(weekQuery, now);
+
+      expect(stats.activity).toEqual({
+        trackedUsers: 3,
+        activeLast1Day: 1,
+        activeLast7Days: 2,
+        activeLast30Days: 3,
+      });
+      expect(stats.retention).toEqual([
+        {
+          cohort: "2025-03-03",
+          size: 2,
+          periods: [
+            { offset: 1, retained: 1, rate: 50 },
+            { offset: 2, retained: 0, rate: 0 },
+          ],
+        },
+        {
+          cohort: "2025-03-10",
+          size: 1,
+          periods: [{ offset: 1, retained: 1, rate: 100 }],
+        },
+      ]);
+    });
+
+    test("debe guardar el resultado en caché con remember", async () => {
+      const cache = {
+        remember: jest.fn((key, callback) => callback()),
+      };
+      const service = new UserStatsService(repository, {
+        cache,
+        config: { cacheTtl: 60 },
+      });
+
+      const stats = await service.getStats(weekQuery, now);
+
+      expect(cache.remember).toHaveBeenCalledWith(
+        "users:stats:week:2025-03-03T00:00:00.000Z:2025-03-20T23:59:59.999Z",
+        expect.any(Function),
+        60
+      );
+      expect(stats.totalUsers).toBe(5);
+    });
+  });
+
+  describe("toCsv", () => {
+    test("debe serializar cada informe con su cabecera", async () => {
+      const stats = await new UserStatsService(repository).getStats(
+        weekQuery,
+        now
+      );
+
+      expect(UserStatsService.toCsv(stats, "signups")).toBe(
+        "period,signups,cumulative\r\n" +
+          "2025-03-03,2,4\r\n2025-03-10,1,5\r\n2025-03-17,0,5\r\n"
+      );
+      expect(UserStatsService.toCsv(stats, "domains")).toBe(
+        "domain,users,percentage\r\nexample.com,3,60\r\ntest.org,2,40\r\n"
+      );
+      expect(UserStatsService.toCsv(stats, "retention")).toBe(
+        "cohort,size,offset,retained,rate\r\n" +
+          "2025-03-03,2,1,1,50\r\n2025-03-03,2,2,0,0\r\n2025-03-10,1,1,1,100\r\n"
+      );
+    });
+  });
+});
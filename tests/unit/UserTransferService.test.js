@@ -0,0 +1,300 @@
+/**
+ * Tests unitarios para UserTransferService
+ */
+
+const UserTransferService = require("../../services/userTransferService");
+const {
+  TransferFormatError,
+  parseCsv,
+  toCsvLine,
+} = require("../../services/userTransferService");
+const { UserRepository } = require("../../models/User");
+
+const readStream = async (stream) => {
+  let content = "";
+  for await (const chunk of stream) {
+    content += chunk;
+  }
+  return content;
+};
+
+describe("UserTransferService", () => {
+  let repository;
+  let service;
+
+  beforeEach(async () => {
+    repository = new UserRepository();
+    service = new UserTransferService(repository, { exportBatchSize: 2 });
+
+    await repository.create({
+      name: "Juan Pérez",
+      email: "juan@example.com",
+      password: "123456",
+    });
+    await repository.create({
+      name: 'María "Mary", González',
+      email: "maria@example.com",
+      password: "123456",
+    });
+    await repository.create({
+      name: "Pedro Gómez",
+      email: "pedro@example.com",
+      password: "123456",
+    });
+  });
+
+  describe("CSV", () => {
+    test("debe escapar comillas, comas y saltos de línea", () => {
+      expect(toCsvLine(["a", 'b "c"', "d,e", "f\ng", null])).toBe(
+        'a,"b ""c""","d,e","f\ng",\r\n'
+      );
+    });
+
+    test("debe leer campos entrecomillados e indicar la línea de cada fila", () => {
+      const { records, errors } = parseCsv(
+        '\uFEFFname,email\r\n"Ana\nRuiz",ana@example.com\r\n\r\nsolo-un-campo\r\n"Luis ""Lucho""",luis@example.com'
+      );
+
+      expect(records).toEqual([
+        { row: 2, data: { name: "Ana\nRuiz", email: "ana@example.com" } },
+        { row: 6, data: { name: 'Luis "Lucho"', email: "luis@example.com" } },
+      ]);
+      expect(errors).toEqual([
+        {
+          row: 5,
+          field: null,
+          error: "La fila tiene 1 columna y la cabecera 2",
+        },
+      ]);
+    });
+
+    test("debe rechazar archivos sin columna email o con comillas sin cerrar", () => {
+      expect(() => parseCsv("name\nAna")).toThrow(TransferFormatError);
+      expect(() => parseCsv('name,email\n"Ana,ana@example.com')).toThrow(
+        "comillas sin cerrar en la línea 2"
+      );
+    });
+  });
+
+  describe("exportación", () => {
+    test("debe exportar CSV por lotes sin contraseñas", async () => {
+      const spy = jest.spyOn(repository, "findPage");
+
+      const csv = await readStream(service.createExportStream("csv"));
+      const { records } = parseCsv(csv);
+
+      expect(
+        csv.startsWith("id,name,email,createdAt,updatedAt,version\r\n")
+      ).toBe(true);
+      expect(csv).not.toContain("123456");
+      expect(records.map((record) => record.data.name)).toEqual([
+        "Juan Pérez",
+        'María "Mary", González',
+        "Pedro Gómez",
+      ]);
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    test("debe exportar NDJSON y JSON válidos", async () => {
+      const ndjson = await readStream(service.createExportStream("ndjson"));
+      const json = await readStream(service.createExportStream("json"));
+
+      const lines = ndjson
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(lines).toHaveLength(3);
+      expect(lines[0].password).toBeUndefined();
+      expect(JSON.parse(json)).toEqual(lines);
+    });
+
+    test("debe exportar un array JSON vacío si no hay usuarios", async () => {
+      const empty = new UserTransferService(new UserRepository());
+
+      expect(
+        JSON.parse(await readStream(empty.createExportStream("json")))
+      ).toEqual([]);
+    });
+  });
+
+  describe("importación", () => {
+    test("debe informar fila, campo y error sin escribir en modo dryRun", async () => {
+      const { records, errors } = service.parse(
+        "csv",
+        [
+          "name,email,password",
+          "Ana Ruiz,ana@example.com,123",
+          "A,ANA@example.com,123456",
+          "Juan Bis,juan@example.com,123456",
+          "Luis Soto,luis@example.com,123456",
+        ].join("\n")
+      );
+
+      const report = await service.import(records, {
+        dryRun: true,
+        parseErrors: errors,
+      });
+
+      expect(report.applied).toBe(false);
+      expect(report.summary).toEqual({
+        total: 4,
+        valid: 1,
+        invalid: 3,
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        wouldCreate: 1,
+        wouldUpdate: 0,
+      });
+      expect(report.errors).toEqual([
+        {
+          row: 2,
+          field: "password",
+          error: "La contraseña debe tener al menos 6 caracteres",
+        },
+        {
+          row: 3,
+          field: "email",
+          error: "El email está repetido en el archivo (fila 2)",
+        },
+        { row: 4, field: "email", error: "El email ya está registrado" },
+      ]);
+      expect(repository.users).toHaveLength(3);
+    });
+
+    test("no debe importar nada si alguna fila es inválida", async () => {
+      const report = await service.import([
+        {
+          row: 1,
+          data: { name: "Ana", email: "ana@example.com", password: "123456" },
+        },
+        { row: 2, data: { name: "Luis", email: "no-es-email" } },
+      ]);
+
+      expect(report.applied).toBe(false);
+      expect(report.errors.map((error) => error.field)).toEqual([
+        "email",
+        "password",
+      ]);
+      expect(await repository.findByEmail("ana@example.com")).toBeUndefined();
+    });
+
+    test("debe crear y actualizar por email en modo upsert", async () => {
+      const report = await service.import(
+        [
+          {
+            row: 1,
+            data: {
+              id: "ignorado",
+              name: "Juan Carlos",
+              email: "JUAN@example.com",
+            },
+          },
+          { row: 2, data: { name: "Pedro Gómez", email: "pedro@example.com" } },
+          {
+            row: 3,
+            data: { name: "Ana", email: "ana@example.com", password: "123456" },
+          },
+        ],
+        { mode: "upsert" }
+      );
+
+      expect(report.applied).toBe(true);
+      expect(report.summary).toMatchObject({
+        created: 1,
+        updated: 1,
+        unchanged: 1,
+      });
+      expect((await repository.findByEmail("juan@example.com")).name).toBe(
+        "Juan Carlos"
+      );
+      expect(repository.users).toHaveLength(4);
+    });
+
+    test("debe importar el perfil desde columnas profile.<clave> o el objeto profile", async () => {
+      await repository.attributes.create({
+        key: "department",
+        type: "string",
+        enum: ["Ventas", "Soporte"],
+      });
+      await repository.attributes.create({ key: "age", type: "number" });
+      await repository.update(
+        (
+          await repository.findByEmail("juan@example.com")
+        ).id,
+        { profile: { department: "Ventas", age: 40 } }
+      );
+
+      const { records } = service.parse(
+        "csv",
+        [
+          "name,email,password,profile.department,profile.age",
+          "Juan Pérez,juan@example.com,,Ventas,41",
+          "Ana Ruiz,ana@example.com,123456,Marketing,",
+          "Luis Soto,luis@example.com,123456,,abc",
+        ].join("\n")
+      );
+      const invalid = await service.import(records, { mode: "upsert" });
+
+      expect(invalid.errors).toEqual([
+        {
+          row: 3,
+          field: "profile.department",
+          error: 'El atributo "department" debe ser uno de: Ventas, Soporte',
+        },
+        {
+          row: 4,
+          field: "profile.age",
+          error: 'El atributo "age" debe ser un número',
+        },
+      ]);
+
+      const report = await service.import(
+        [
+          records[0],
+          {
+            row: 2,
+            data: {
+              name: "Ana Ruiz",
+              email: "ana@example.com",
+              password: "123456",
+              profile: { department: "Soporte" },
+            },
+          },
+        ],
+        { mode: "upsert" }
+      );
+
+      expect(report.summary).toMatchObject({ created: 1, updated: 1 });
+      expect(
+        (await repository.findByEmail("juan@example.com")).profile
+      ).toEqual({ department: "Ventas", age: 41 });
+
+      const csv = await readStream(service.createExportStream("csv"));
+      expect(
+        csv.startsWith(
+          "id,name,email,createdAt,updatedAt,version,profile.age,profile.department\r\n"
+        )
+      ).toBe(true);
+      const exported = parseCsv(csv).records.map(({ data }) => [
+        data.email,
+        data["profile.age"],
+        data["profile.department"],
+      ]);
+      expect(exported).toContainEqual(["juan@example.com", "41", "Ventas"]);
+      expect(exported).toContainEqual(["ana@example.com", "", "Soporte"]);
+    });
+
+    test("no debe hacer upsert sobre emails de usuarios eliminados", async () => {
+      const juan = await repository.findByEmail("juan@example.com");
+      await repository.delete(juan.id);
+
+      const report = await service.import(
+        [{ row: 1, data: { name: "Juan", email: "juan@example.com" } }],
+        { mode: "upsert" }
+      );
+
+      expect(report.errors[0].error).toContain("usuario eliminado");
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Tests unitarios para WebhookService, contra un receptor HTTP local
+ */
+
+const http = require("http");
+const WebhookService = require("../../services/webhookService");
+const {
+  WebhookError,
+  signWebhookPayload,
+} = require("../../services/webhookService");
+const { WebhookRepository } = require("../../models/Webhook");
+const { EventBus } = require("../../modules/eventBus");
+
+describe("WebhookService", () => {
+  let receiver;
+  let url;
+  let received;
+  let statuses;
+  let repository;
+  let service;
+  let bus;
+
+  beforeAll((done) => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end("ok");
+      });
+    });
+    receiver.listen(0, () => {
+      url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    receiver.close(done);
+  });
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+    repository = new WebhookRepository();
+    service = new WebhookService(repository, {
+      maxAttempts: 3,
+      retryDelayMs: 1,
+      disableAfterFailures: 2,
+    });
+    bus = new EventBus({ retryDelayMs: 0 });
+    service.subscribe(bus);
+  });
+
+  test("debe enviar los eventos filtrados con una firma verificable", async () => {
+    const webhook = await repository.create({
+      url,
+      events: ["user.created"],
+      secret: "secreto-de-prueba-123",
+    });
+    await repository.create({ url, events: ["user.deleted"] });
+
+    const event = bus.publish("user.created", {
+      user: { id: "user-1", email: "juan@example.com" },
+    });
+    bus.publish("auth.login", { user: { id: "user-1" } });
+    await bus.drain();
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual({
+      id: event.id,
+      type: "user.created",
+      occurredAt: event.occurredAt,
+      data: { user: { id: "user-1", email: "juan@example.com" } },
+    });
+    expect(headers["x-webhook-event"]).toBe("user.created");
+    expect(headers["x-webhook-id"]).toBe(webhook.id);
+    expect(headers["x-webhook-signature"]).toBe(
+      signWebhookPayload(
+        "secreto-de-prueba-123",
+        headers["x-webhook-timestamp"],
+        body
+      )
+    );
+
+    const { deliveries } = await repository.findDeliveries(webhook.id);
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].id).toBe(headers["x-webhook-delivery"]);
+    expect(deliveries[0].status).toBe("succeeded");
+    expect(deliveries[0].attempts[0]).toMatchObject({
+      attempt: 1,
+      success: true,
+      statusCode: 200,
+      response: "ok",
+    });
+  });
+
+  test("debe enviar cada evento solo a los webhooks de su tenant", async () => {
+    const acme = await repository
+      .forTenant("acme")
+      .create({ url, events: ["user.created"] });
+    await repository.forTenant("globex").create({ url, events: ["*"] });
+    await repository.create({ url, events: ["user.created"] });
+
+    bus.publish("user.created", {}, { tenantId: "acme" });
+    await bus.drain();
+
+    expect(received).toHaveLength(1);
+    expect(received[0].headers["x-webhook-id"]).toBe(acme.id);
+    expect(await repository.forTenant("globex").findById(acme.id)).toBeNull();
+    expect(await repository.forTenant("globex").delete(acme.id)).toBe(false);
+    expect(await repository.findAll()).toHaveLength(3);
+  });
+
+  test("no debe conectar con direcciones internas salvo con allowPrivateUrls", async () => {
+    const strict = new WebhookService(repository, {
+      maxAttempts: 1,
+      allowPrivateUrls: false,
+    });
+    const webhook = await repository.create({ url, events: ["user.created"] });
+
+    const delivery = await strict.ping(webhook.id);
+
+    expect(received).toEqual([]);
+    expect(delivery.status).toBe("failed");
+    expect(delivery.attempts[0].error).toBe(
+      "127.0.0.1 es una dirección interna"
+    );
+  });
+
+  test("debe reintentar con espera exponencial hasta recibir un 2xx", async () => {
+    const webhook = await repository.create({ url, events: ["*"] });
+    statuses = [500, 503];
+
+    bus.publish("email.failed", { email: { to: "juan@example.com" } });
+    await bus.drain();
+
+    const [delivery] = (await repository.findDeliveries(webhook.id)).deliveries;
+    expect(received).toHaveLength(3);
+    expect(delivery.status).toBe("succeeded");
+    expect(delivery.attempts.map((attempt) => attempt.statusCode)).toEqual([
+      500, 503, 200,
+    ]);
+    expect(delivery.attempts[0].error).toBe("El receptor respondió 500");
+    expect(webhook.consecutiveFailures).toBe(0);
+
+    expect([1, 2, 3].map((n) => service.calculateRetryDelay(n))).toEqual([
+      1, 2, 4,
+    ]);
+    service.config.backoff = "linear";
+    expect(service.calculateRetryDelay(3)).toBe(3);
+  });
+
+  test("debe desactivar el webhook tras varias entregas fallidas seguidas", async () => {
+    const webhook = await repository.create({ url, events: ["user.updated"] });
+    statuses = [500, 500, 500, 500, 500, 500];
+
+    bus.publish("user.updated", { user: { id: "user-1" } });
+    await bus.drain();
+    expect(webhook.consecutiveFailures).toBe(1);
+    expect(webhook.active).toBe(true);
+
+    bus.publish("user.updated", { user: { id: "user-1" } });
+    await bus.drain();
+    expect(webhook.consecutiveFailures).toBe(2);
+    expect(webhook.active).toBe(false);
+    expect(webhook.disabledReason).toBe(
+      "Desactivado tras 2 entregas fallidas seguidas"
+    );
+
+    // Un webhook desactivado ya no recibe eventos
+    bus.publish("user.updated", { user: { id: "user-1" } });
+    await bus.drain();
+    expect(received).toHaveLength(6);
+    expect((await repository.findDeliveries(webhook.id)).total).toBe(2);
+  });
+
+  test("debe traducir el motivo de la desactivación al idioma por defecto", async () => {
+    const { userConfig } = require("../../config/userConfig");
+    const webhook = await repository.create({ url, events: ["user.updated"] });
+    service.config.disableAfterFailures = 1;
+    statuses = [500, 500, 500];
+
+    const { defaultLocale } = userConfig.i18n;
+    userConfig.i18n.defaultLocale = "en";
+    try {
+      bus.publish("user.updated", { user: { id: "user-1" } });
+      await bus.drain();
+    } finally {
+      userConfig.i18n.defaultLocale = defaultLocale;
+    }
+
+    expect(webhook.active).toBe(false);
+    expect(webhook.disabledReason).toBe("Disabled after 1 failed delivery");
+  });
+
+  test("debe registrar los errores de red como intentos fallidos", async () => {
+    const webhook = await repository.create({
+      url: "http://127.0.0.1:1/hooks",
+      events: ["user.deleted"],
+    });
+
+    bus.publish("user.deleted", { user: { id: "user-1" } });
+    await bus.drain();
+
+    const [delivery] = (await repository.findDeliveries(webhook.id)).deliveries;
+    expect(delivery.status).toBe("failed");
+    expect(delivery.attempts).toHaveLength(3);
+    expect(delivery.attempts[0].statusCode).toBeNull();
+    expect(delivery.attempts[0].error).toEqual(expect.any(String));
+  });
+
+  test("debe reenviar una entrega con un único intento", async () => {
+    const webhook = await repository.create({ url, events: ["user.created"] });
+    statuses = [500, 500, 500];
+
+    bus.publish("user.created", { user: { id: "user-1" } });
+    await bus.drain();
+    const [original] = (await repository.findDeliveries(webhook.id)).deliveries;
+
+    const redelivery = await service.redeliver(webhook.id, original.id);
+
+    expect(redelivery.status).toBe("succeeded");
+    expect(redelivery.redeliveryOf).toBe(original.id);
+    expect(redelivery.attempts).toHaveLength(1);
+    expect(JSON.parse(received[3].body)).toEqual(original.body);
+    expect(webhook.consecutiveFailures).toBe(0);
+
+    const error = await service
+      .redeliver(webhook.id, webhook.id)
+      .catch((caught) => caught);
+    expect(error).toBeInstanceOf(WebhookError);
+    expect(error.status).toBe(404);
+  });
+
+  test("debe enviar eventos de prueba sin contarlos como fallos", async () => {
+    const webhook = await repository.create({ url, events: ["user.created"] });
+    statuses = [500];
+
+    const delivery = await service.ping(webhook.id);
+
+    expect(delivery.eventType).toBe("webhook.ping");
+    expect(delivery.status).toBe("failed");
+    expect(JSON.parse(received[0].body).data.webhook.id).toBe(webhook.id);
+    expect(JSON.parse(received[0].body).data.webhook).not.toHaveProperty(
+      "secret"
+    );
+    expect(webhook.consecutiveFailures).toBe(0);
+  });
+});
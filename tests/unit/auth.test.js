@@ -0,0 +1,71 @@
+/**
+ * Tests unitarios para modules/auth (recuperación de contraseña)
+ */
+
+const {
+  initiatePasswordReset,
+  resetPassword,
+  getPasswordResetTokens,
+  clearPasswordResetTokens,
+} = require("../../modules/auth");
+const { UserRepository } = require("../../models/User");
+const { runWithRequestContext } = require("../../modules/logger");
+
+describe("auth", () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = new UserRepository();
+    await repository.create({
+      name: "Ana Ruiz",
+      email: "ana@example.com",
+      password: "123456",
+    });
+  });
+
+  afterEach(() => {
+    clearPasswordResetTokens();
+    process.env.NODE_ENV = "test";
+  });
+
+  describe("initiatePasswordReset", () => {
+    test("debe devolver el token en desarrollo y tests", async () => {
+      const result = await initiatePasswordReset("ana@example.com", repository);
+
+      expect(result.resetToken).toMatch(/^[0-9a-f]{64}$/);
+      await resetPassword(result.resetToken, "nueva123", repository);
+      expect(
+        await repository.verifyCredentials("ana@example.com", "nueva123")
+      ).toBeTruthy();
+    });
+
+    test("no debe devolver ni registrar el token en producción", async () => {
+      process.env.NODE_ENV = "production";
+
+      const result = await initiatePasswordReset("ana@example.com", repository);
+
+      expect(result).toEqual({ success: true, message: expect.any(String) });
+      const [token] = Object.keys(getPasswordResetTokens());
+      const lines = console.log.mock.calls.map(([line]) => line);
+      expect(lines.map((line) => JSON.parse(line))).toContainEqual(
+        expect.objectContaining({ component: "auth", email: "ana@example.com" })
+      );
+      expect(lines.join("\n")).not.toContain(token);
+    });
+
+    test("debe traducir la respuesta pero no el registro", async () => {
+      const result = await runWithRequestContext({ locale: "en" }, () =>
+        initiatePasswordReset("ana@example.com", repository)
+      );
+
+      expect(result.message).not.toBe("Token de recuperación generado");
+      const entries = console.log.mock.calls.map(([line]) => JSON.parse(line));
+      expect(entries).toContainEqual(
+        expect.objectContaining({
+          component: "auth",
+          msg: "Token de recuperación generado",
+        })
+      );
+    });
+  });
+});
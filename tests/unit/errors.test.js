@@ -0,0 +1,263 @@
+/**
+ * Tests unitarios para modules/errors (jerarquía de errores y respuestas
+ * application/problem+json)
+ */
+
+const {
+  PROBLEM_CONTENT_TYPE,
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthError,
+  RateLimitError,
+  prefersProblem,
+  toProblem,
+  sendError,
+} = require("../../modules/errors");
+const {
+  invalidDataError,
+  StatusTransitionError,
+} = require("../../models/User");
+const { userConfig } = require("../../config/userConfig");
+
+/**
+ * Petición mínima; accepts imita req.accepts de Express con una cabecera
+ * Accept de un solo tipo
+ */
+const request = (accept = "*/*") => ({
+  originalUrl: "/api/users/123",
+  requestId: "req-1",
+  accepts: (types) =>
+    accept === "*/*"
+      ? types[0]
+      : types.find((type) => type === accept) || false,
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.type = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("errors", () => {
+  const originalFormat = userConfig.errors.format;
+
+  afterEach(() => {
+    userConfig.errors.format = originalFormat;
+  });
+
+  describe("jerarquía de errores", () => {
+    test("debe asignar a cada clase su estado y su tipo", () => {
+      expect(new ValidationError("x")).toMatchObject({
+        status: 400,
+        type: "validation-error",
+      });
+      expect(new NotFoundError("x")).toMatchObject({
+        status: 404,
+        type: "not-found",
+      });
+      expect(new ConflictError("x", { type: "email-taken" })).toMatchObject({
+        status: 409,
+        type: "email-taken",
+      });
+      expect(new AuthError("x")).toMatchObject({
+        status: 401,
+        type: "unauthorized",
+      });
+      expect(new AuthError("x", { status: 403 })).toMatchObject({
+        status: 403,
+        type: "forbidden",
+      });
+      expect(new ApiError("x", { status: 413 }).type).toBe("payload-too-large");
+      expect(new NotFoundError("x")).toBeInstanceOf(ApiError);
+    });
+
+    test("debe enviar retryAfter en las extensiones de RateLimitError", () => {
+      const error = new RateLimitError("Demasiadas peticiones", {
+        retryAfter: 30,
+      });
+
+      expect(error).toMatchObject({
+        status: 429,
+        type: "rate-limited",
+        retryAfter: 30,
+        extensions: { retryAfter: 30 },
+      });
+    });
+
+    test("debe lanzar errores tipados desde el modelo", () => {
+      const error = invalidDataError({
+        errors: ["El email es requerido"],
+        fieldErrors: [{ field: "email", message: "El email es requerido" }],
+      });
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe("Datos inválidos: El email es requerido");
+      expect(new StatusTransitionError("deactivated", "locked")).toMatchObject({
+        status: 409,
+        type: "invalid-status-transition",
+        extensions: { currentStatus: "deactivated" },
+      });
+    });
+  });
+
+  describe("prefersProblem", () => {
+    test("debe negociar el formato con la cabecera Accept", () => {
+      expect(prefersProblem(request(PROBLEM_CONTENT_TYPE))).toBe(true);
+      expect(prefersProblem(request("application/json"))).toBe(false);
+      expect(prefersProblem(request())).toBe(false);
+    });
+
+    test("debe usar el formato configurado sin preferencia del cliente", () => {
+      userConfig.errors.format = "problem";
+
+      expect(prefersProblem(request())).toBe(true);
+      expect(prefersProblem(request("text/html"))).toBe(true);
+      expect(prefersProblem(request("application/json"))).toBe(false);
+    });
+  });
+
+  describe("toProblem", () => {
+    test("debe describir el error con type, title, detail, instance y requestId", () => {
+      const error = new ConflictError("El email ya está registrado", {
+        type: "email-taken",
+        detail: "Ya existe una cuenta con ana@example.com",
+      });
+
+      expect(toProblem(request(), error)).toEqual({
+        type: "/problems/email-taken",
+        title: "El email ya está registrado",
+        status: 409,
+        detail: "Ya existe una cuenta con ana@example.com",
+        instance: "/api/users/123",
+        requestId: "req-1",
+      });
+    });
+
+    test("debe detallar los errores por campo", () => {
+      const error = new ValidationError("Datos inválidos", {
+        errors: ["El email es requerido"],
+        fieldErrors: [
+          {
+            location: "body",
+            field: "email",
+            message: "El email es requerido",
+          },
+        ],
+      });
+
+      expect(toProblem(request(), error).errors).toEqual([
+        { location: "body", field: "email", message: "El email es requerido" },
+      ]);
+      expect(
+        toProblem(
+          request(),
+          new ApiError("Parche inválido", {
+            status: 422,
+            errors: ["El documento resultante debe ser un objeto"],
+          })
+        ).errors
+      ).toEqual([{ message: "El documento resultante debe ser un objeto" }]);
+    });
+
+    test("debe ocultar el mensaje de los errores internos", () => {
+      const problem = toProblem(request(), new Error("ECONNREFUSED 10.0.0.1"), {
+        message: "Error al obtener usuarios",
+      });
+
+      expect(problem).toMatchObject({
+        type: "/problems/internal-error",
+        title: "Error al obtener usuarios",
+        status: 500,
+        detail: "Error interno",
+      });
+    });
+  });
+
+  describe("sendError", () => {
+    test("debe responder application/problem+json con el estado del error", () => {
+      const res = response();
+
+      sendError(
+        request(PROBLEM_CONTENT_TYPE),
+        res,
+        new ConflictError("El email ya está registrado"),
+        { status: 400, message: "Error al crear usuario" }
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.type).toHaveBeenCalledWith(PROBLEM_CONTENT_TYPE);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "/problems/conflict",
+          title: "Error al crear usuario",
+          detail: "El email ya está registrado",
+        })
+      );
+    });
+
+    test("debe conservar el estado y el cuerpo anteriores por defecto", () => {
+      const res = response();
+
+      sendError(
+        request(),
+        res,
+        new ConflictError("El email ya está registrado"),
+        { status: 400, message: "Error al crear usuario" }
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.type).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "Error al crear usuario",
+        error: "El email ya está registrado",
+      });
+    });
+
+    test("debe incluir errores y extensiones en el formato anterior", () => {
+      const res = response();
+
+      sendError(
+        request(),
+        res,
+        new ApiError("El usuario fue modificado por otra petición", {
+          status: 412,
+          detail: "La cabecera If-Match no coincide",
+          extensions: { currentVersion: 3 },
+        })
+      );
+
+      expect(res.status).toHaveBeenCalledWith(412);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "El usuario fue modificado por otra petición",
+        error: "La cabecera If-Match no coincide",
+        currentVersion: 3,
+      });
+    });
+
+    test("debe enviar Retry-After con RateLimitError", () => {
+      const res = response();
+
+      sendError(
+        request(PROBLEM_CONTENT_TYPE),
+        res,
+        new RateLimitError("Demasiados intentos", { retryAfter: 60 })
+      );
+
+      expect(res.set).toHaveBeenCalledWith("Retry-After", "60");
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "/problems/rate-limited",
+          retryAfter: 60,
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests unitarios para modules/eventBus
+ */
+
+const { DOMAIN_EVENTS, EventBus } = require("../../modules/eventBus");
+const { runWithRequestContext } = require("../../modules/logger");
+
+describe("EventBus", () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = new EventBus({ retries: 2, retryDelayMs: 0 });
+  });
+
+  test("debe entregar el evento a todos sus listeners sin esperar a que terminen", async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    bus.subscribe("user.created", first);
+    bus.subscribe("user.created", second);
+    bus.subscribe("user.deleted", jest.fn());
+
+    const event = bus.publish(
+      "user.created",
+      { user: { id: "user-1" } },
+      { actor: "admin@example.com" }
+    );
+
+    expect(event).toMatchObject({
+      type: "user.created",
+      payload: { user: { id: "user-1" } },
+      context: { actor: "admin@example.com" },
+    });
+    expect(event.id).toEqual(expect.any(String));
+    expect(first).not.toHaveBeenCalled();
+
+    await bus.drain();
+
+    expect(first).toHaveBeenCalledWith(event);
+    expect(second).toHaveBeenCalledWith(event);
+  });
+
+  test("debe aislar los errores y reintentar el listener que falla", async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    const flaky = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("SMTP no disponible"))
+      .mockResolvedValueOnce();
+    const broken = jest.fn(() => {
+      throw new Error("Siempre falla");
+    });
+    const healthy = jest.fn();
+    bus.subscribe("auth.login", flaky);
+    bus.subscribe("auth.login", broken, { name: "roto", retries: 1 });
+    bus.subscribe("auth.login", healthy);
+
+    expect(() => bus.publish("auth.login", {})).not.toThrow();
+    await bus.drain();
+
+    expect(flaky).toHaveBeenCalledTimes(2);
+    expect(broken).toHaveBeenCalledTimes(2);
+    expect(healthy).toHaveBeenCalledTimes(1);
+    expect(consoleError).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(consoleError.mock.calls[0][0])).toMatchObject({
+      level: "error",
+      component: "events",
+      listener: "roto",
+      eventType: "auth.login",
+      attempts: 2,
+      error: { message: "Siempre falla" },
+    });
+    consoleError.mockRestore();
+  });
+
+  test("debe publicar el tenant del contexto o, si no, el de la petición", () => {
+    const own = bus.publish(
+      "user.created",
+      {},
+      { actor: "a", tenantId: "acme" }
+    );
+    const fromRequest = runWithRequestContext({ tenantId: "globex" }, () =>
+      bus.publish("user.created", {}, { actor: "a" })
+    );
+
+    expect(own.tenantId).toBe("acme");
+    expect(own.context).toEqual({ actor: "a" });
+    expect(fromRequest.tenantId).toBe("globex");
+    expect(bus.publish("user.created").tenantId).toBeNull();
+  });
+
+  test("debe permitir cancelar una suscripción", async () => {
+    const listener = jest.fn();
+    const unsubscribe = bus.subscribe("user.updated", listener);
+
+    expect(bus.listenerCount("user.updated")).toBe(1);
+    unsubscribe();
+    bus.publish("user.updated", {});
+    await bus.drain();
+
+    expect(bus.listenerCount("user.updated")).toBe(0);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test("debe rechazar tipos de evento desconocidos", () => {
+    expect(DOMAIN_EVENTS).toContain("auth.password_reset_requested");
+    expect(() => bus.subscribe("user.renamed", jest.fn())).toThrow(
+      "Tipo de evento desconocido: user.renamed"
+    );
+    expect(() => bus.publish("user.renamed")).toThrow(
+      "Tipo de evento desconocido: user.renamed"
+    );
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests unitarios para modules/i18n (mensajes de la API en es y en)
+ */
+
+const {
+  SUPPORTED_LOCALES,
+  translate,
+  t,
+  negotiateLocale,
+  chooseLocale,
+  applyRequestLocale,
+  findMissingKeys,
+  hasKey,
+} = require("../../modules/i18n");
+const { runWithRequestContext } = require("../../modules/logger");
+const { userConfig } = require("../../config/userConfig");
+const {
+  collectCodeKeys,
+  checkLocales,
+} = require("../../scripts/check-locales");
+
+/** Petición de Express mínima con sus cabeceras */
+const createRequest = (headers = {}, user) => ({
+  user,
+  get: (name) => headers[name],
+});
+
+/** Respuesta de Express mínima que guarda las cabeceras */
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+  });
+  res.vary = jest.fn();
+  return res;
+};
+
+describe("i18n", () => {
+  describe("translate", () => {
+    test("debe traducir una clave a cada idioma", () => {
+      expect(translate("es", "users.notFound")).toBe("Usuario no encontrado");
+      expect(translate("en", "users.notFound")).toBe("User not found");
+    });
+
+    test("debe sustituir los marcadores y dejar los que no tienen valor", () => {
+      expect(
+        translate("en", "validation.oneOf", { param: "sort", values: "a, b" })
+      ).toBe("sort must be one of: a, b");
+      expect(translate("en", "validation.oneOf", { param: "sort" })).toBe(
+        "sort must be one of: {values}"
+      );
+    });
+
+    test("debe elegir la forma plural según count", () => {
+      expect(translate("en", "transfer.maxRows", { count: 1 })).toBe(
+        "The maximum is 1 row per import"
+      );
+      expect(translate("en", "transfer.maxRows", { count: 5 })).toBe(
+        "The maximum is 5 rows per import"
+      );
+      expect(translate("es", "transfer.maxRows", { count: 0 })).toBe(
+        translate("es", "transfer.maxRows", { count: 2 }).replace("2", "0")
+      );
+    });
+
+    test("debe usar la forma zero solo con count 0", () => {
+      jest.isolateModules(() => {
+        jest.doMock("../../locales/en", () => ({
+          items: {
+            zero: "No items",
+            one: "{count} item",
+            other: "{count} items",
+          },
+        }));
+        const i18n = require("../../modules/i18n");
+
+        expect(i18n.translate("en", "items", { count: 0 })).toBe("No items");
+        expect(i18n.translate("en", "items", { count: 1 })).toBe("1 item");
+        expect(i18n.translate("en", "items", { count: 3 })).toBe("3 items");
+      });
+      jest.dontMock("../../locales/en");
+    });
+
+    test("debe usar el idioma por defecto y después la propia clave", () => {
+      expect(translate("fr", "users.notFound")).toBe("Usuario no encontrado");
+      expect(translate("en", "Texto sin clave")).toBe("Texto sin clave");
+      expect(translate("en", "users")).toBe("users");
+    });
+  });
+
+  describe("t", () => {
+    test("debe traducir al idioma del contexto de la petición", () => {
+      expect(t("users.notFound")).toBe("Usuario no encontrado");
+      runWithRequestContext({ locale: "en" }, () => {
+        expect(t("users.notFound")).toBe("User not found");
+      });
+    });
+
+    test("debe usar USER_DEFAULT_LOCALE fuera de una petición", () => {
+      const originalLocale = userConfig.i18n.defaultLocale;
+
+      userConfig.i18n.defaultLocale = "en";
+      expect(t("users.notFound")).toBe("User not found");
+      userConfig.i18n.defaultLocale = "de";
+      expect(t("users.notFound")).toBe("Usuario no encontrado");
+      userConfig.i18n.defaultLocale = originalLocale;
+    });
+  });
+
+  describe("negotiateLocale", () => {
+    test("debe elegir el idioma con más peso que tenga catálogo", () => {
+      expect(negotiateLocale("fr;q=1, en;q=0.8, es;q=0.9")).toBe("es");
+      expect(negotiateLocale("en-US,en;q=0.9")).toBe("en");
+      expect(negotiateLocale("es;q=0, en")).toBe("en");
+    });
+
+    test('debe aceptar "*" como el idioma por defecto', () => {
+      expect(negotiateLocale("fr, *;q=0.5")).toBe("es");
+    });
+
+    test("debe devolver null sin cabecera o sin idiomas con catálogo", () => {
+      expect(negotiateLocale(undefined)).toBeNull();
+      expect(negotiateLocale("fr, de;q=0.5")).toBeNull();
+    });
+  });
+
+  describe("chooseLocale", () => {
+    test("debe preferir el idioma del usuario a Accept-Language", () => {
+      expect(
+        chooseLocale(
+          createRequest({ "Accept-Language": "es" }, { locale: "en" })
+        )
+      ).toBe("en");
+    });
+
+    test("debe usar Accept-Language y después el idioma por defecto", () => {
+      expect(
+        chooseLocale(
+          createRequest({ "Accept-Language": "en" }, { locale: null })
+        )
+      ).toBe("en");
+      expect(chooseLocale(createRequest({ "Accept-Language": "fr" }))).toBe(
+        "es"
+      );
+    });
+  });
+
+  describe("applyRequestLocale", () => {
+    test("debe fijar el idioma en la petición, el contexto y la respuesta", () => {
+      const req = createRequest({ "Accept-Language": "en-GB" });
+      const res = createResponse();
+
+      runWithRequestContext({}, () => {
+        expect(applyRequestLocale(req, res)).toBe("en");
+        expect(t("users.notFound")).toBe("User not found");
+      });
+
+      expect(req.locale).toBe("en");
+      expect(res.headers["Content-Language"]).toBe("en");
+      expect(res.vary).toHaveBeenCalledWith("Accept-Language");
+    });
+  });
+
+  describe("catálogos", () => {
+    test("los catálogos de la API deben tener las mismas claves", () => {
+      expect(SUPPORTED_LOCALES).toEqual(["es", "en"]);
+      expect(findMissingKeys()).toEqual({ es: [], en: [] });
+    });
+
+    test("debe indicar las claves que le faltan a cada idioma", () => {
+      expect(
+        findMissingKeys({
+          es: { a: "A", b: { c: "C" }, n: { one: "1", other: "N" } },
+          en: { a: "A", n: { one: "1", other: "N" }, d: "D" },
+        })
+      ).toEqual({ es: ["d"], en: ["b.c"] });
+    });
+
+    test("debe indicar si existe una clave", () => {
+      expect(hasKey("users.notFound")).toBe(true);
+      expect(hasKey("transfer.maxRows", "en")).toBe(true);
+      expect(hasKey("users")).toBe(false);
+      expect(hasKey("users.noExiste")).toBe(false);
+    });
+  });
+
+  describe("scripts/check-locales", () => {
+    test("debe recoger las claves del código y omitir comentarios y eventos", () => {
+      const source = [
+        '// t("users.comentario")',
+        'throw new NotFoundError(t("users.notFound"));',
+        'const schema = { label: "fields.name", other: "auth.login" };',
+        'eventBus.emit("auth.login", payload);',
+        'const { message = "validation.requestInvalid" } = options;',
+        'res.attachment("users.csv");',
+      ].join("\n");
+
+      expect(
+        collectCodeKeys(source, ["users", "fields", "validation"])
+      ).toEqual([
+        { key: "users.notFound", line: 2 },
+        { key: "fields.name", line: 3 },
+        { key: "validation.requestInvalid", line: 5 },
+      ]);
+    });
+
+    test("todas las claves que usa la API deben existir", () => {
+      expect(checkLocales()).toEqual({
+        missing: { es: [], en: [] },
+        unknown: [],
+      });
+    });
+  });
+});
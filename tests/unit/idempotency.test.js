@@ -0,0 +1,124 @@
+/**
+ * Tests unitarios para modules/idempotency
+ */
+
+const {
+  fingerprintRequest,
+  MemoryIdempotencyStore,
+  CacheIdempotencyStore,
+  createIdempotencyStore,
+} = require("../../modules/idempotency");
+
+describe("idempotency", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("fingerprintRequest", () => {
+    const request = (overrides = {}) => ({
+      method: "POST",
+      baseUrl: "/api/users",
+      path: "/",
+      body: { name: "Ana", email: "ana@example.com" },
+      ...overrides,
+    });
+
+    test("debe depender del método, la ruta y el cuerpo", () => {
+      const fingerprint = fingerprintRequest(request());
+
+      expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+      expect(fingerprintRequest(request())).toBe(fingerprint);
+      expect(fingerprintRequest(request({ path: "/bulk" }))).not.toBe(
+        fingerprint
+      );
+      expect(fingerprintRequest(request({ body: { name: "Eva" } }))).not.toBe(
+        fingerprint
+      );
+    });
+  });
+
+  describe("MemoryIdempotencyStore", () => {
+    test("debe reservar una clave una sola vez y guardar copias", async () => {
+      const store = new MemoryIdempotencyStore();
+      const record = { state: "pending", fingerprint: "abc" };
+
+      expect(await store.reserve("clave", record, 60)).toBe(true);
+      expect(await store.reserve("clave", record, 60)).toBe(false);
+
+      record.state = "modificado";
+      expect(await store.get("clave")).toEqual({
+        state: "pending",
+        fingerprint: "abc",
+      });
+
+      await store.release("clave");
+      expect(await store.get("clave")).toBeNull();
+    });
+
+    test("debe descartar claves caducadas", async () => {
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+      const store = new MemoryIdempotencyStore();
+
+      await store.save("clave", { state: "completed" }, 10);
+      now.mockReturnValue(11000);
+
+      expect(await store.get("clave")).toBeNull();
+      expect(await store.reserve("clave", { state: "pending" }, 10)).toBe(true);
+    });
+  });
+
+  describe("CacheIdempotencyStore", () => {
+    const createCache = (isConnected) => ({
+      isConnected,
+      get: jest.fn().mockResolvedValue(null),
+      add: jest.fn().mockResolvedValue(true),
+      set: jest.fn().mockResolvedValue(true),
+      delete: jest.fn().mockResolvedValue(true),
+    });
+
+    test("debe reservar con SET NX y usar claves con hash", async () => {
+      const cache = createCache(true);
+      const store = new CacheIdempotencyStore(cache);
+
+      expect(await store.reserve("clave", { state: "pending" }, 60)).toBe(true);
+      await store.save("clave", { state: "completed" }, 3600);
+      await store.release("clave");
+
+      const [key] = cache.add.mock.calls[0];
+      expect(key).toMatch(/^idempotency:[0-9a-f]{64}$/);
+      expect(cache.add).toHaveBeenCalledWith(key, { state: "pending" }, 60);
+      expect(cache.set).toHaveBeenCalledWith(key, { state: "completed" }, 3600);
+      expect(cache.delete).toHaveBeenCalledWith(key);
+    });
+
+    test("debe usar memoria mientras la caché no esté conectada", async () => {
+      const cache = createCache(false);
+      const store = new CacheIdempotencyStore(cache);
+
+      expect(await store.reserve("clave", { state: "pending" }, 60)).toBe(true);
+      expect(await store.get("clave")).toEqual({ state: "pending" });
+      expect(cache.add).not.toHaveBeenCalled();
+      expect(cache.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createIdempotencyStore", () => {
+    test("debe crear el almacenamiento según la configuración", () => {
+      const cache = { isConnected: false };
+
+      expect(createIdempotencyStore()).toBeInstanceOf(MemoryIdempotencyStore);
+      expect(createIdempotencyStore({ storage: "cache", cache }).cache).toBe(
+        cache
+      );
+    });
+
+    test("debe rechazar almacenamientos desconocidos o sin caché", () => {
+      expect(() => createIdempotencyStore({ storage: "disco" })).toThrow(
+        "Tipo de almacenamiento de idempotencia no soportado: disco"
+      );
+      expect(() => createIdempotencyStore({ storage: "cache" })).toThrow(
+        /requiere un CacheManager/
+      );
+    });
+  });
+});
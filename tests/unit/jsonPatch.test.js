@@ -0,0 +1,204 @@
+/**
+ * Tests unitarios para modules/jsonPatch
+ * Casos basados en los ejemplos de RFC 6902 (apéndice A) y RFC 7396 (apéndice A)
+ */
+
+const {
+  JsonPatchError,
+  isEqual,
+  validateJsonPatch,
+  applyJsonPatch,
+  applyMergePatch,
+} = require("../../modules/jsonPatch");
+
+const expectPatchError = (fn, status) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(JsonPatchError);
+    expect(error.status).toBe(status);
+    return error;
+  }
+  throw new Error("Se esperaba JsonPatchError");
+};
+
+describe("jsonPatch", () => {
+  describe("validateJsonPatch", () => {
+    test("debe aceptar un documento bien formado", () => {
+      expect(() =>
+        validateJsonPatch([
+          { op: "test", path: "/a/b", value: 1 },
+          { op: "move", from: "/a", path: "/c" },
+        ])
+      ).not.toThrow();
+    });
+
+    test("debe rechazar documentos mal formados con status 400", () => {
+      expectPatchError(() => validateJsonPatch({}), 400);
+      expectPatchError(() => validateJsonPatch([]), 400);
+      expectPatchError(() => validateJsonPatch([{ op: "merge" }]), 400);
+      expectPatchError(
+        () => validateJsonPatch([{ op: "add", path: "name", value: 1 }]),
+        400
+      );
+      expectPatchError(
+        () => validateJsonPatch([{ op: "replace", path: "/name" }]),
+        400
+      );
+
+      const error = expectPatchError(
+        () =>
+          validateJsonPatch([
+            { op: "remove", path: "/a" },
+            { op: "copy", path: "/b" },
+          ]),
+        400
+      );
+      expect(error.index).toBe(1);
+    });
+  });
+
+  describe("applyJsonPatch", () => {
+    test("debe añadir miembros y elementos de array", () => {
+      expect(
+        applyJsonPatch({ foo: ["bar", "baz"] }, [
+          { op: "add", path: "/foo/1", value: "qux" },
+          { op: "add", path: "/foo/-", value: "end" },
+          { op: "add", path: "/baz", value: "qux" },
+        ])
+      ).toEqual({ foo: ["bar", "qux", "baz", "end"], baz: "qux" });
+    });
+
+    test("debe eliminar, reemplazar, mover y copiar", () => {
+      const document = {
+        foo: { bar: "baz", waldo: "fred" },
+        qux: { corge: "grault" },
+        list: [1, 2, 3],
+      };
+
+      expect(
+        applyJsonPatch(document, [
+          { op: "remove", path: "/list/1" },
+          { op: "replace", path: "/foo/bar", value: "boo" },
+          { op: "move", from: "/foo/waldo", path: "/qux/thud" },
+          { op: "copy", from: "/qux", path: "/copy" },
+        ])
+      ).toEqual({
+        foo: { bar: "boo" },
+        qux: { corge: "grault", thud: "fred" },
+        list: [1, 3],
+        copy: { corge: "grault", thud: "fred" },
+      });
+    });
+
+    test("debe desescapar ~0 y ~1 en los punteros", () => {
+      expect(
+        applyJsonPatch({ "a/b": 1, "m~n": 2 }, [
+          { op: "test", path: "/a~1b", value: 1 },
+          { op: "replace", path: "/m~0n", value: 3 },
+        ])
+      ).toEqual({ "a/b": 1, "m~n": 3 });
+    });
+
+    test("debe comparar en test sin importar el orden de las claves", () => {
+      expect(() =>
+        applyJsonPatch({ a: { x: 1, y: [1, { z: 2 }] } }, [
+          { op: "test", path: "/a", value: { y: [1, { z: 2 }], x: 1 } },
+        ])
+      ).not.toThrow();
+    });
+
+    test("debe ser atómico: un test fallido no modifica nada (409)", () => {
+      const document = { name: "Ana", version: 2 };
+
+      const error = expectPatchError(
+        () =>
+          applyJsonPatch(document, [
+            { op: "replace", path: "/name", value: "Ana María" },
+            { op: "test", path: "/version", value: 1 },
+          ]),
+        409
+      );
+
+      expect(error.index).toBe(1);
+      expect(document).toEqual({ name: "Ana", version: 2 });
+    });
+
+    test("debe responder 422 si la ruta no existe", () => {
+      expectPatchError(
+        () => applyJsonPatch({ a: 1 }, [{ op: "remove", path: "/b" }]),
+        422
+      );
+      expectPatchError(
+        () =>
+          applyJsonPatch({ a: [] }, [{ op: "add", path: "/a/5", value: 1 }]),
+        422
+      );
+      expectPatchError(
+        () => applyJsonPatch({}, [{ op: "add", path: "/x/y", value: 1 }]),
+        422
+      );
+      expectPatchError(
+        () =>
+          applyJsonPatch({ a: { b: 1 } }, [
+            { op: "move", from: "/a", path: "/a/b/c" },
+          ]),
+        422
+      );
+    });
+
+    test("no debe permitir contaminar el prototipo", () => {
+      const result = applyJsonPatch({}, [
+        { op: "add", path: "/__proto__", value: { polluted: true } },
+      ]);
+
+      expect(Object.keys(result)).toEqual(["__proto__"]);
+      expect(result.polluted).toBeUndefined();
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe("applyMergePatch", () => {
+    test("debe combinar, reemplazar y eliminar miembros", () => {
+      const target = {
+        title: "Goodbye!",
+        author: { givenName: "John", familyName: "Doe" },
+        tags: ["example", "sample"],
+        content: "This will be unchanged",
+      };
+
+      expect(
+        applyMergePatch(target, {
+          title: "Hello!",
+          phoneNumber: "+01-123-456-7890",
+          author: { familyName: null },
+          tags: ["example"],
+        })
+      ).toEqual({
+        title: "Hello!",
+        author: { givenName: "John" },
+        tags: ["example"],
+        content: "This will be unchanged",
+        phoneNumber: "+01-123-456-7890",
+      });
+      expect(target.title).toBe("Goodbye!");
+    });
+
+    test("debe sustituir el documento si el parche no es un objeto", () => {
+      expect(applyMergePatch({ a: "b" }, ["c"])).toEqual(["c"]);
+      expect(applyMergePatch({ a: "b" }, { a: { bb: { ccc: null } } })).toEqual(
+        { a: { bb: {} } }
+      );
+    });
+  });
+
+  describe("isEqual", () => {
+    test("debe distinguir tipos y longitudes", () => {
+      expect(isEqual(1, "1")).toBe(false);
+      expect(isEqual([1], [1, 2])).toBe(false);
+      expect(isEqual({ a: 1 }, [1])).toBe(false);
+      expect(isEqual(null, {})).toBe(false);
+      expect(isEqual({ a: null }, { a: null })).toBe(true);
+    });
+  });
+});
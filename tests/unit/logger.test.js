@@ -0,0 +1,226 @@
+/**
+ * Tests unitarios para modules/logger (registro estructurado en JSON)
+ */
+
+const {
+  REDACTED,
+  Logger,
+  logger,
+  getRequestContext,
+  runWithRequestContext,
+  withRequestContext,
+  isSensitiveKey,
+  redactUrl,
+} = require("../../modules/logger");
+const { NotFoundError } = require("../../modules/errors");
+const { userConfig } = require("../../config/userConfig");
+
+/** Logger que guarda los registros, ya interpretados, en entries */
+const createLogger = (options = {}) => {
+  const entries = [];
+  const log = new Logger({
+    level: "debug",
+    write: (level, line) => entries.push(JSON.parse(line)),
+    ...options,
+  });
+  return { log, entries };
+};
+
+describe("logger", () => {
+  describe("niveles", () => {
+    test("debe registrar una línea JSON con la fecha, el nivel y el mensaje", () => {
+      const { log, entries } = createLogger();
+
+      log.info("Usuario creado", { userId: "u-1" });
+
+      expect(entries).toEqual([
+        {
+          time: expect.any(String),
+          level: "info",
+          msg: "Usuario creado",
+          userId: "u-1",
+        },
+      ]);
+      expect(new Date(entries[0].time).toISOString()).toBe(entries[0].time);
+    });
+
+    test("debe omitir los niveles inferiores al mínimo", () => {
+      const { log, entries } = createLogger({ level: "warn" });
+
+      log.debug("a");
+      log.info("b");
+      log.warn("c");
+      log.error("d");
+
+      expect(entries.map((entry) => entry.level)).toEqual(["warn", "error"]);
+      expect(log.isLevelEnabled("info")).toBe(false);
+    });
+
+    test('no debe registrar nada con el nivel "silent"', () => {
+      const { log, entries } = createLogger({ level: "silent" });
+
+      log.error("Error grave");
+
+      expect(entries).toEqual([]);
+    });
+
+    test("debe usar el nivel configurado si el logger no indica uno", () => {
+      const originalLevel = userConfig.logging.level;
+      const { log, entries } = createLogger({ level: undefined });
+
+      userConfig.logging.level = "error";
+      log.warn("omitido");
+      userConfig.logging.level = originalLevel;
+      log.warn("registrado");
+
+      expect(entries.map((entry) => entry.msg)).toEqual(["registrado"]);
+    });
+
+    test("debe escribir cada nivel en su método de la consola", () => {
+      const consoleError = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+
+      const log = logger.child({}, { level: "debug" });
+      log.error("e");
+      log.warn("w");
+      log.info("i");
+
+      expect(JSON.parse(consoleError.mock.calls[0][0]).level).toBe("error");
+      expect(JSON.parse(console.warn.mock.calls[0][0]).level).toBe("warn");
+      expect(JSON.parse(console.log.mock.calls[0][0]).level).toBe("info");
+      consoleError.mockRestore();
+    });
+  });
+
+  describe("child", () => {
+    test("debe añadir los campos del hijo sin cambiar el padre", () => {
+      const { log, entries } = createLogger();
+      const email = log.child({ component: "email" });
+      const queue = email.child({ queueId: "q-1" }, { level: "error" });
+
+      email.info("Enviado");
+      queue.warn("Reintento");
+      queue.error("Fallido");
+      log.info("Raíz");
+
+      expect(entries).toEqual([
+        expect.objectContaining({ msg: "Enviado", component: "email" }),
+        expect.objectContaining({
+          msg: "Fallido",
+          component: "email",
+          queueId: "q-1",
+        }),
+        expect.not.objectContaining({ component: expect.anything() }),
+      ]);
+    });
+  });
+
+  describe("datos sensibles", () => {
+    const originalKeys = userConfig.logging.redactKeys;
+
+    afterEach(() => {
+      userConfig.logging.redactKeys = originalKeys;
+    });
+
+    test("debe ocultar contraseñas, tokens, secretos y credenciales", () => {
+      const { log, entries } = createLogger();
+
+      log.info("Petición", {
+        password: "secreta",
+        body: { newPassword: "otra", resetToken: "abc" },
+        headers: { authorization: "Bearer x", "x-api-key": "k", cookie: "c" },
+        tokenType: "Bearer",
+      });
+
+      expect(entries[0]).toMatchObject({
+        password: REDACTED,
+        body: { newPassword: REDACTED, resetToken: REDACTED },
+        headers: {
+          authorization: REDACTED,
+          "x-api-key": REDACTED,
+          cookie: REDACTED,
+        },
+        tokenType: "Bearer",
+      });
+    });
+
+    test("debe ocultar las claves de USER_LOG_REDACT_KEYS", () => {
+      userConfig.logging.redactKeys = ["phone"];
+
+      expect(isSensitiveKey("phone")).toBe(true);
+      expect(isSensitiveKey("Phone")).toBe(true);
+      expect(isSensitiveKey("name")).toBe(false);
+    });
+
+    test("debe ocultar los valores sensibles de la query de una URL", () => {
+      expect(redactUrl("/api/invitations/accept?token=abc&lang=es")).toBe(
+        `/api/invitations/accept?token=${REDACTED}&lang=es`
+      );
+      expect(redactUrl("/api/users?page=2")).toBe("/api/users?page=2");
+      expect(redactUrl("/api/users")).toBe("/api/users");
+    });
+  });
+
+  describe("serialización", () => {
+    test("debe registrar los errores con su nombre, estado y traza", () => {
+      const { log, entries } = createLogger();
+
+      log.error("Fallo", { error: new NotFoundError("Usuario no encontrado") });
+
+      expect(entries[0].error).toEqual({
+        name: "NotFoundError",
+        message: "Usuario no encontrado",
+        status: 404,
+        stack: expect.stringContaining("NotFoundError"),
+      });
+    });
+
+    test("debe cortar las referencias circulares y convertir las fechas", () => {
+      const { log, entries } = createLogger();
+      const data = { at: new Date("2025-01-01T00:00:00.000Z"), count: 10n };
+      data.self = data;
+
+      log.info("Datos", data);
+
+      expect(entries[0]).toMatchObject({
+        at: "2025-01-01T00:00:00.000Z",
+        count: "10",
+        self: "[Circular]",
+      });
+    });
+  });
+
+  describe("contexto de la petición", () => {
+    test("debe incluir el contexto en los registros de su ejecución", async () => {
+      const { log, entries } = createLogger();
+
+      await runWithRequestContext({ requestId: "req-1" }, async () => {
+        await Promise.resolve();
+        getRequestContext().tenantId = "acme";
+        log.info("Dentro");
+      });
+      log.info("Fuera");
+
+      expect(entries[0]).toMatchObject({
+        requestId: "req-1",
+        tenantId: "acme",
+      });
+      expect(entries[1]).not.toHaveProperty("requestId");
+      expect(getRequestContext()).toEqual({});
+    });
+
+    test("debe conservar el contexto tras un middleware que lo pierde", (done) => {
+      // Llama a next fuera del contexto, como los parsers del cuerpo
+      const detached = (req, res, next) =>
+        runWithRequestContext(undefined, () => setImmediate(next));
+
+      runWithRequestContext({ requestId: "req-2" }, () => {
+        withRequestContext(detached)({}, {}, () => {
+          expect(getRequestContext()).toEqual({ requestId: "req-2" });
+          done();
+        });
+      });
+    });
+  });
+});
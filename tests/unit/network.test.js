@@ -0,0 +1,96 @@
+/**
+ * Tests unitarios para modules/network (direcciones internas)
+ */
+
+const dns = require("dns");
+const {
+  isPrivateAddress,
+  isPrivateHost,
+  safeLookup,
+} = require("../../modules/network");
+
+describe("network", () => {
+  describe("isPrivateAddress", () => {
+    test("debe reconocer las IPv4 de loopback, link-local y redes privadas", () => {
+      [
+        "127.0.0.1",
+        "10.20.30.40",
+        "172.16.0.1",
+        "172.31.255.255",
+        "192.168.1.1",
+        "169.254.169.254",
+        "100.64.0.1",
+        "0.0.0.0",
+      ].forEach((address) => expect(isPrivateAddress(address)).toBe(true));
+
+      ["8.8.8.8", "172.32.0.1", "100.128.0.1", "93.184.216.34"].forEach(
+        (address) => expect(isPrivateAddress(address)).toBe(false)
+      );
+    });
+
+    test("debe reconocer las IPv6 internas y las IPv4 mapeadas", () => {
+      [
+        "::1",
+        "::",
+        "fd00::1",
+        "fe80::1",
+        "::ffff:127.0.0.1",
+        "::ffff:a9fe:a9fe",
+      ]
+        .map((address) => isPrivateAddress(address))
+        .forEach((result) => expect(result).toBe(true));
+
+      expect(isPrivateAddress("2001:db8::1")).toBe(false);
+      expect(isPrivateAddress("::ffff:8.8.8.8")).toBe(false);
+      expect(isPrivateAddress("example.com")).toBe(false);
+    });
+  });
+
+  describe("isPrivateHost", () => {
+    test("debe leer el host de una URL como lo normaliza URL", () => {
+      const hostOf = (url) => isPrivateHost(new URL(url).hostname);
+
+      expect(hostOf("http://localhost:3000/hooks")).toBe(true);
+      expect(hostOf("http://api.localhost./hooks")).toBe(true);
+      expect(hostOf("http://[::1]/hooks")).toBe(true);
+      expect(hostOf("http://2130706433/hooks")).toBe(true);
+      expect(hostOf("http://0x7f.1/hooks")).toBe(true);
+      expect(hostOf("https://partner.example.com/hooks")).toBe(false);
+    });
+  });
+
+  describe("safeLookup", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("debe rechazar los nombres que resuelven a direcciones internas", (done) => {
+      jest
+        .spyOn(dns, "lookup")
+        .mockImplementation((hostname, options, callback) =>
+          callback(null, [{ address: "169.254.169.254", family: 4 }])
+        );
+
+      safeLookup("metadata.example.com", { all: true }, (error) => {
+        expect(error.message).toBe(
+          "metadata.example.com resuelve a una dirección interna (169.254.169.254)"
+        );
+        done();
+      });
+    });
+
+    test("debe devolver las direcciones públicas tal cual", (done) => {
+      jest
+        .spyOn(dns, "lookup")
+        .mockImplementation((hostname, options, callback) =>
+          callback(null, "93.184.216.34", 4)
+        );
+
+      safeLookup("example.com", {}, (error, address, family) => {
+        expect(error).toBeNull();
+        expect([address, family]).toEqual(["93.184.216.34", 4]);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests unitarios para el módulo passwordHasher
+ */
+
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  isPasswordHash,
+  getHashAlgorithm,
+} = require("../../modules/passwordHasher");
+const { userConfig } = require("../../config/userConfig");
+
+const scryptConfig = (overrides = {}) => ({
+  ...userConfig.password,
+  algorithm: "scrypt",
+  scrypt: { ...userConfig.password.scrypt, ...overrides },
+});
+
+describe("passwordHasher", () => {
+  test("debe generar hashes scrypt con sal aleatoria y verificarlos", async () => {
+    const first = await hashPassword("miContraseña123", scryptConfig());
+    const second = await hashPassword("miContraseña123", scryptConfig());
+
+    expect(first).toMatch(/^\$scrypt\$N=1024,r=8,p=1\$/);
+    expect(first).not.toBe(second);
+    expect(getHashAlgorithm(first)).toBe("scrypt");
+    expect(await verifyPassword("miContraseña123", first)).toBe(true);
+    expect(await verifyPassword("otraContraseña", first)).toBe(false);
+  });
+
+  test("debe generar y verificar hashes bcrypt", async () => {
+    const config = {
+      ...userConfig.password,
+      algorithm: "bcrypt",
+      bcryptRounds: 4,
+    };
+    const hash = await hashPassword("miContraseña123", config);
+
+    expect(hash).toMatch(/^\$2[aby]\$04\$/);
+    expect(await verifyPassword("miContraseña123", hash)).toBe(true);
+    expect(needsRehash(hash, config)).toBe(false);
+    expect(needsRehash(hash, { ...config, bcryptRounds: 5 })).toBe(true);
+    expect(needsRehash(hash, scryptConfig())).toBe(true);
+  });
+
+  test("debe pedir rehash cuando cambian los parámetros de scrypt", async () => {
+    const hash = await hashPassword("123456", scryptConfig());
+
+    expect(needsRehash(hash, scryptConfig())).toBe(false);
+    expect(needsRehash(hash, scryptConfig({ N: 2048 }))).toBe(true);
+    expect(await verifyPassword("123456", hash)).toBe(true);
+  });
+
+  test("debe aceptar contraseñas heredadas en texto plano y marcarlas para rehash", async () => {
+    expect(isPasswordHash("123456")).toBe(false);
+    expect(await verifyPassword("123456", "123456")).toBe(true);
+    expect(await verifyPassword("1234567", "123456")).toBe(false);
+    expect(needsRehash("123456")).toBe(true);
+  });
+
+  test("debe rechazar algoritmos desconocidos y valores no textuales", async () => {
+    await expect(
+      hashPassword("123456", { ...userConfig.password, algorithm: "md5" })
+    ).rejects.toThrow("Algoritmo de contraseñas no soportado: md5");
+    expect(await verifyPassword(undefined, "123456")).toBe(false);
+    expect(await verifyPassword("123456", null)).toBe(false);
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Tests unitarios para modules/sanitizer y el middleware sanitizeInput
+ */
+
+const {
+  SanitizationError,
+  resolvePolicy,
+  sanitizeValue,
+} = require("../../modules/sanitizer");
+const { sanitizeInput } = require("../../middleware/validation");
+
+describe("sanitizer", () => {
+  describe("sanitizeValue", () => {
+    test("debe sanitizar objetos y arrays anidados", () => {
+      const { value, violations } = sanitizeValue({
+        userEmail: " ana@example.com ",
+        userData: {
+          name: "<b>Ana</b> <script>alert(1)</script>",
+          tags: [" uno ", "<i>dos</i>"],
+        },
+        count: 3,
+        active: true,
+        extra: null,
+      });
+
+      expect(value).toEqual({
+        userEmail: "ana@example.com",
+        userData: { name: "Ana alert(1)", tags: ["uno", "dos"] },
+        count: 3,
+        active: true,
+        extra: null,
+      });
+      expect(violations).toEqual([
+        { rule: "html", path: "body.userData.name", action: "stripped" },
+        { rule: "html", path: "body.userData.tags[1]", action: "stripped" },
+      ]);
+    });
+
+    test("debe escapar o rechazar el HTML según la política", () => {
+      expect(
+        sanitizeValue(
+          { note: `<a href="x">Tom & Jerry</a>` },
+          { html: "escape" }
+        ).value.note
+      ).toBe("&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;");
+
+      expect(() =>
+        sanitizeValue({ note: "<b>hola</b>" }, { html: "reject" })
+      ).toThrow("body.note no puede contener HTML");
+      expect(sanitizeValue({ note: "<b>hola</b>" }, { html: "allow" })).toEqual(
+        { value: { note: "<b>hola</b>" }, violations: [] }
+      );
+    });
+
+    test("debe normalizar Unicode y eliminar caracteres de control", () => {
+      const { value, violations } = sanitizeValue({
+        name: "Jose\u0301",
+        file: "factura\u202Efdp.exe",
+        bio: "línea 1\nlínea 2\u0000\tfin",
+      });
+
+      expect(value).toEqual({
+        name: "José",
+        file: "facturafdp.exe",
+        bio: "línea 1\nlínea 2\tfin",
+      });
+      expect(value.name).toHaveLength(4);
+      expect(violations.map(({ path }) => path)).toEqual([
+        "body.file",
+        "body.bio",
+      ]);
+
+      expect(
+        sanitizeValue({ name: "Jose\u0301" }, { normalize: false }).value.name
+      ).toHaveLength(5);
+    });
+
+    test("debe rechazar claves que contaminan prototipos", () => {
+      const body = JSON.parse(
+        '{"profile": {"__proto__": {"isAdmin": true}}, "name": "Ana"}'
+      );
+
+      let error;
+      try {
+        sanitizeValue(body);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(SanitizationError);
+      expect(error).toMatchObject({
+        status: 400,
+        rule: "key",
+        path: "body.profile.__proto__",
+        message:
+          'La clave "__proto__" no está permitida (body.profile.__proto__)',
+      });
+      expect({}.isAdmin).toBeUndefined();
+
+      expect(() => sanitizeValue([{ constructor: {} }])).toThrow(
+        'La clave "constructor" no está permitida (body[0].constructor)'
+      );
+    });
+
+    test("debe rechazar entradas que superan los límites", () => {
+      expect(() =>
+        sanitizeValue({ a: { b: { c: "x" } } }, { maxDepth: 1 })
+      ).toThrow("body.a.b supera la profundidad máxima de 1 nivel");
+      expect(() => sanitizeValue({ a: 1, b: 2, c: 3 }, { maxKeys: 2 })).toThrow(
+        "body tiene más de 2 claves"
+      );
+      expect(() =>
+        sanitizeValue({ name: "abcdef" }, { maxStringLength: 5 })
+      ).toThrow("body.name supera los 5 caracteres");
+      expect(() =>
+        sanitizeValue({ items: [1, 2, 3] }, { maxArrayLength: 2 })
+      ).toThrow("body.items tiene más de 2 elementos");
+    });
+
+    test("debe aplicar las excepciones por campo a sus descendientes", () => {
+      const { value } = sanitizeValue(
+        {
+          html: "<h1>Hola</h1>",
+          text: "<h1>Hola</h1>",
+          items: [{ notes: "<i>a</i>", name: "<i>b</i>" }],
+        },
+        {
+          fields: {
+            html: { html: "allow" },
+            "items.notes": { html: "escape" },
+          },
+        }
+      );
+
+      expect(value).toEqual({
+        html: "<h1>Hola</h1>",
+        text: "Hola",
+        items: [{ notes: "&lt;i&gt;a&lt;/i&gt;", name: "b" }],
+      });
+    });
+
+    test("debe dejar intactas las contraseñas y los tokens", () => {
+      const { value, violations } = sanitizeValue({
+        password: " <b>secreto</b> ",
+        passwords: { currentPassword: " a<b ", newPassword: "e\u0301 " },
+        token: " abc ",
+        name: " <b>Ana</b> ",
+      });
+
+      expect(value).toEqual({
+        password: " <b>secreto</b> ",
+        passwords: { currentPassword: " a<b ", newPassword: "e\u0301 " },
+        token: " abc ",
+        name: "Ana",
+      });
+      expect(violations).toEqual([
+        { rule: "html", path: "body.name", action: "stripped" },
+      ]);
+      expect(() =>
+        sanitizeValue({ password: "abcdef" }, { maxStringLength: 5 })
+      ).toThrow("body.password supera los 5 caracteres");
+      expect(() =>
+        sanitizeValue({ password: "<b>" }, { html: "reject" })
+      ).not.toThrow();
+    });
+
+    test("debe dejar intactos los secretos de las operaciones JSON Patch", () => {
+      const { value, violations } = sanitizeValue([
+        { op: "add", path: "/password", value: "new<pw>word1" },
+        { op: "replace", path: "/sessions/0/token", value: " abc " },
+        { op: "replace", path: "/name", value: " <b>Ana</b> " },
+        { path: "/password", value: "<b>x</b>" },
+      ]);
+
+      expect(value).toEqual([
+        { op: "add", path: "/password", value: "new<pw>word1" },
+        { op: "replace", path: "/sessions/0/token", value: " abc " },
+        { op: "replace", path: "/name", value: "Ana" },
+        { path: "/password", value: "x" },
+      ]);
+      expect(violations).toEqual([
+        { rule: "html", path: "body[2].value", action: "stripped" },
+        { rule: "html", path: "body[3].value", action: "stripped" },
+      ]);
+    });
+
+    test("no debe modificar el valor original", () => {
+      const body = { name: " <b>Ana</b> " };
+
+      sanitizeValue(body);
+
+      expect(body).toEqual({ name: " <b>Ana</b> " });
+    });
+  });
+
+  describe("resolvePolicy", () => {
+    test("debe rechazar políticas HTML desconocidas", () => {
+      expect(resolvePolicy().html).toBe("strip");
+      expect(() => resolvePolicy({ html: "remove" })).toThrow(
+        'Política HTML desconocida "remove"'
+      );
+    });
+  });
+
+  describe("sanitizeInput", () => {
+    let res;
+    let next;
+
+    const request = (overrides) => ({
+      method: "POST",
+      baseUrl: "",
+      path: "/api/emails/welcome",
+      requestId: "req-1",
+      query: {},
+      accepts: () => "application/json",
+      ...overrides,
+    });
+
+    // Último registro de console.warn (una línea JSON de modules/logger.js)
+    const lastWarning = () =>
+      JSON.parse(
+        console.warn.mock.calls[console.warn.mock.calls.length - 1][0]
+      );
+
+    beforeEach(() => {
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      next = jest.fn();
+    });
+
+    test("debe sanitizar el cuerpo y la query y registrar las correcciones", () => {
+      const req = request({
+        body: { userData: { name: "<b>Ana</b>" } },
+        query: { search: " <i>ana</i> " },
+      });
+
+      sanitizeInput(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.body).toEqual({ userData: { name: "Ana" } });
+      expect(req.query).toEqual({ search: "ana" });
+      expect(lastWarning()).toMatchObject({
+        level: "warn",
+        msg: "Entrada sanitizada",
+        component: "sanitizer",
+        method: "POST",
+        route: "/api/emails/welcome",
+        violations: [
+          { rule: "html", path: "body.userData.name", action: "stripped" },
+          { rule: "html", path: "query.search", action: "stripped" },
+        ],
+      });
+    });
+
+    test("debe aplicar la política de la ruta", () => {
+      const req = request({
+        baseUrl: "/api/emails",
+        path: "/custom",
+        body: { html: "<p>Hola</p>", subject: "<b>Aviso</b>" },
+      });
+
+      sanitizeInput(req, res, next);
+
+      expect(req.body).toEqual({ html: "<p>Hola</p>", subject: "Aviso" });
+    });
+
+    test("debe responder 400 con entradas rechazadas", () => {
+      const req = request({
+        body: JSON.parse('{"__proto__": {"role": "admin"}}'),
+      });
+
+      sanitizeInput(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "Entrada no permitida",
+        error: 'La clave "__proto__" no está permitida (body.__proto__)',
+      });
+      expect(lastWarning().violations).toEqual([
+        { rule: "key", path: "body.__proto__", action: "rejected" },
+      ]);
+    });
+
+    test("debe dejar intactos los cuerpos de texto", () => {
+      const req = request({ path: "/api/users/import", body: "name\n<b>" });
+
+      sanitizeInput(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.body).toBe("name\n<b>");
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Tests unitarios para modules/schema y el middleware validateRequest
+ */
+
+const {
+  validateSchema,
+  pickSchema,
+  describeSchema,
+  toJSONSchema,
+} = require("../../modules/schema");
+const { validateRequest } = require("../../middleware/validation");
+
+const addressSchema = {
+  city: { type: "string", required: true, trim: true, minLength: 2 },
+  zip: { type: "string", pattern: /^\d{5}$/, label: "El código postal" },
+};
+
+const schema = {
+  name: {
+    type: "string",
+    required: true,
+    trim: true,
+    minLength: 2,
+    maxLength: 50,
+    label: "El nombre",
+  },
+  email: {
+    type: "string",
+    required: true,
+    format: "email",
+    lowercase: true,
+    label: "El email",
+    messages: { format: "El formato del email no es válido" },
+  },
+  level: { type: "integer", min: 1, max: 5, label: "El nivel" },
+  plan: { type: "string", enum: ["free", "pro"], label: "El plan" },
+  address: { type: "object", properties: addressSchema },
+  tags: { type: "array", maxLength: 2, items: { type: "string" } },
+  note: { type: "string", nullable: true },
+};
+
+describe("modules/schema", () => {
+  describe("validateSchema", () => {
+    test("debe devolver los valores normalizados si los datos son válidos", () => {
+      const result = validateSchema(schema, {
+        name: "  Ana Ruiz ",
+        email: "Ana@Example.com",
+        level: 3,
+        address: { city: " Madrid " },
+        note: null,
+        extra: "sin esquema",
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.value).toEqual({
+        name: "Ana Ruiz",
+        email: "ana@example.com",
+        level: 3,
+        address: { city: "Madrid" },
+        note: null,
+        extra: "sin esquema",
+      });
+    });
+
+    test("debe informar de un error por campo con su ruta", () => {
+      const result = validateSchema(schema, {
+        name: "A",
+        email: "no-es-email",
+        level: 2.5,
+        plan: "gold",
+        address: { zip: "28A" },
+        tags: ["uno", 2],
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.fieldErrors).toEqual([
+        {
+          field: "name",
+          message: "El nombre debe tener al menos 2 caracteres",
+        },
+        { field: "email", message: "El formato del email no es válido" },
+        { field: "level", message: "El nivel debe ser un número entero" },
+        { field: "plan", message: "El plan debe ser uno de: free, pro" },
+        {
+          field: "address.city",
+          message: "El campo address.city es requerido",
+        },
+        {
+          field: "address.zip",
+          message: "El código postal no tiene un formato válido",
+        },
+        {
+          field: "tags[1]",
+          message: "El campo tags[1] debe ser una cadena de texto",
+        },
+      ]);
+      expect(result.errors).toEqual(
+        result.fieldErrors.map((error) => error.message)
+      );
+    });
+
+    test("debe tratar como ausentes los obligatorios vacíos o de otro tipo", () => {
+      const result = validateSchema(schema, { name: "", email: 42 });
+
+      expect(result.errors).toEqual([
+        "El nombre es requerido",
+        "El email es requerido",
+      ]);
+      expect(validateSchema(schema, null).errors).toHaveLength(2);
+    });
+
+    test("debe validar solo los campos presentes en modo parcial", () => {
+      expect(validateSchema(schema, {}, { partial: true }).isValid).toBe(true);
+      expect(
+        validateSchema(schema, { name: null }, { partial: true }).errors
+      ).toEqual(["El nombre debe ser una cadena de texto"]);
+      expect(
+        validateSchema(
+          schema,
+          { level: 9, plan: "gold" },
+          { partial: true, only: ["level"] }
+        ).errors
+      ).toEqual(["El nivel debe ser menor o igual que 5"]);
+    });
+
+    test("debe convertir textos a número o booleano con coerce", () => {
+      const flags = { active: { type: "boolean" }, level: schema.level };
+
+      expect(
+        validateSchema(flags, { active: "true", level: "4" }, { coerce: true })
+          .value
+      ).toEqual({ active: true, level: 4 });
+      expect(
+        validateSchema(flags, { active: "sí", level: "" }, { coerce: true })
+          .errors
+      ).toEqual([
+        "El campo active debe ser true o false",
+        "El nivel debe ser un número entero",
+      ]);
+      expect(validateSchema(flags, { level: "4" }).isValid).toBe(false);
+    });
+  });
+
+  describe("pickSchema", () => {
+    test("debe copiar los campos indicados con sus cambios", () => {
+      const picked = pickSchema(schema, ["name", "plan"], {
+        plan: { required: true },
+      });
+
+      expect(Object.keys(picked)).toEqual(["name", "plan"]);
+      expect(picked.plan.required).toBe(true);
+      expect(schema.plan.required).toBeUndefined();
+    });
+  });
+
+  describe("describeSchema", () => {
+    test("debe describir tipo, obligatoriedad y restricciones", () => {
+      expect(describeSchema(schema)).toMatchObject({
+        name: "string (requerido, 2-50 caracteres)",
+        email: "string (requerido, formato email válido)",
+        level: "entero (opcional, 1-5)",
+        plan: "free | pro (opcional)",
+        tags: "array (opcional, máx. 2 elementos)",
+        note: "string (opcional, admite null)",
+      });
+      expect(
+        describeSchema(
+          pickSchema(schema, ["name"], { name: { description: "visible" } }),
+          { partial: true }
+        )
+      ).toEqual({ name: "string (opcional, 2-50 caracteres; visible)" });
+    });
+  });
+
+  describe("toJSONSchema", () => {
+    test("debe generar un JSON Schema con los anidados y los obligatorios", () => {
+      const json = toJSONSchema(schema);
+
+      expect(json.required).toEqual(["name", "email"]);
+      expect(json.properties.name).toEqual({
+        type: "string",
+        minLength: 2,
+        maxLength: 50,
+      });
+      expect(json.properties.address).toEqual({
+        type: "object",
+        properties: {
+          city: { type: "string", minLength: 2 },
+          zip: { type: "string", pattern: "^\\d{5}$" },
+        },
+        required: ["city"],
+      });
+      expect(json.properties.tags).toEqual({
+        type: "array",
+        maxItems: 2,
+        items: { type: "string" },
+      });
+      expect(json.properties.note.type).toEqual(["string", "null"]);
+      expect(toJSONSchema(schema, { partial: true })).not.toHaveProperty(
+        "required"
+      );
+    });
+  });
+});
+
+describe("validateRequest", () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+  });
+
+  const middleware = validateRequest(
+    {
+      params: { id: { type: "string", required: true, format: "uuid" } },
+      query: { level: schema.level },
+      body: pickSchema(schema, ["name", "email"]),
+    },
+    { message: "Datos de prueba inválidos" }
+  );
+
+  test("debe dejar los valores normalizados en la petición", () => {
+    const req = {
+      params: { id: "123e4567-e89b-12d3-a456-426614174000" },
+      query: { level: "2" },
+      body: { name: " Ana ", email: "ANA@example.com" },
+    };
+
+    middleware(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query.level).toBe(2);
+    expect(req.body).toEqual({ name: "Ana", email: "ana@example.com" });
+  });
+
+  test("debe responder 400 con los errores de cada parte", () => {
+    middleware(
+      {
+        params: { id: "123" },
+        query: { level: "7" },
+        body: {},
+        accepts: () => "application/json",
+      },
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: "Datos de prueba inválidos",
+      errors: [
+        "El campo id no tiene un formato válido",
+        "El nivel debe ser menor o igual que 5",
+        "El nombre es requerido",
+        "El email es requerido",
+      ],
+      fieldErrors: [
+        {
+          location: "params",
+          field: "id",
+          message: "El campo id no tiene un formato válido",
+        },
+        {
+          location: "query",
+          field: "level",
+          message: "El nivel debe ser menor o igual que 5",
+        },
+        { location: "body", field: "name", message: "El nombre es requerido" },
+        { location: "body", field: "email", message: "El email es requerido" },
+      ],
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests unitarios para modules/signedToken
+ */
+
+const {
+  SignedTokenError,
+  createSignedToken,
+  verifySignedToken,
+} = require("../../modules/signedToken");
+
+describe("signedToken", () => {
+  const options = {
+    secret: "secreto-de-prueba",
+    purpose: "email-change-confirm",
+  };
+  const now = new Date("2025-10-01T08:00:00.000Z");
+  const token = createSignedToken(
+    { sub: "user-1", email: "nuevo@example.com" },
+    { ...options, expiresAt: "2025-10-02T08:00:00.000Z" }
+  );
+
+  const verifyError = (value, overrides = {}) => {
+    try {
+      verifySignedToken(value, { ...options, now, ...overrides });
+    } catch (error) {
+      return error;
+    }
+    throw new Error("El token no debía ser válido");
+  };
+
+  test("debe devolver los datos de un token válido", () => {
+    expect(token).toMatch(/^[\w-]+\.[\w-]+$/);
+    expect(verifySignedToken(token, { ...options, now })).toEqual({
+      sub: "user-1",
+      email: "nuevo@example.com",
+      purpose: "email-change-confirm",
+      exp: "2025-10-02T08:00:00.000Z",
+    });
+  });
+
+  test("debe rechazar tokens alterados, con otro secreto o de otro propósito", () => {
+    const [data, signature] = token.split(".");
+    const tampered = Buffer.from(
+      Buffer.from(data, "base64url").toString("utf8").replace("nuevo@", "otro@")
+    ).toString("base64url");
+
+    for (const error of [
+      verifyError(`${tampered}.${signature}`),
+      verifyError(token, { secret: "otro-secreto" }),
+      verifyError(token, { purpose: "email-change-revert" }),
+      verifyError("no-es-un-token"),
+      verifyError(`${token}.extra`),
+      verifyError(undefined),
+    ]) {
+      expect(error).toBeInstanceOf(SignedTokenError);
+      expect(error.reason).toBe("invalid");
+      expect(error.payload).toBeNull();
+    }
+  });
+
+  test("debe rechazar tokens caducados conservando sus datos", () => {
+    const error = verifyError(token, {
+      now: new Date("2025-10-02T08:00:00.000Z"),
+    });
+
+    expect(error).toBeInstanceOf(SignedTokenError);
+    expect(error.reason).toBe("expired");
+    expect(error.message).toBe("El enlace ha caducado");
+    expect(error.payload).toMatchObject({
+      sub: "user-1",
+      email: "nuevo@example.com",
+    });
+  });
+});
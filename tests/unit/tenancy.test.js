@@ -0,0 +1,251 @@
+/**
+ * Tests unitarios para modules/tenancy, el middleware resolveTenant y el
+ * aislamiento por tenant de UserRepository y CacheManager
+ */
+
+const {
+  TenantError,
+  resolveTenantId,
+  getTenant,
+  getTenantBranding,
+  scopeToTenant,
+} = require("../../modules/tenancy");
+const { resolveTenant } = require("../../middleware/validation");
+const { UserRepository } = require("../../models/User");
+const CacheManager = require("../../modules/database/CacheManager");
+const { userConfig } = require("../../config/userConfig");
+
+const tenancy = {
+  enabled: true,
+  sources: ["header", "subdomain", "jwt"],
+  header: "X-Tenant-ID",
+  baseDomain: "example.com",
+  jwtClaim: "tenantId",
+  tenants: {
+    acme: { companyName: "Acme S.L.", fromName: "Equipo Acme" },
+    globex: {},
+  },
+};
+
+const request = ({ headers = {}, hostname = "api.test", user } = {}) => ({
+  hostname,
+  user,
+  get: (name) => headers[name.toLowerCase()],
+  accepts: () => "application/json",
+});
+
+describe("tenancy", () => {
+  describe("resolveTenantId", () => {
+    test("debe leer la cabecera, el subdominio o el claim del JWT", () => {
+      expect(
+        resolveTenantId(
+          request({ headers: { "x-tenant-id": "ACME" } }),
+          tenancy
+        )
+      ).toBe("acme");
+      expect(
+        resolveTenantId(request({ hostname: "acme.example.com" }), tenancy)
+      ).toBe("acme");
+      expect(
+        resolveTenantId(request({ user: { tenantId: "acme" } }), tenancy)
+      ).toBe("acme");
+    });
+
+    test("debe ignorar hosts fuera del dominio base y las fuentes no configuradas", () => {
+      expect(
+        resolveTenantId(request({ hostname: "example.com" }), tenancy)
+      ).toBe(null);
+      expect(
+        resolveTenantId(request({ hostname: "www.example.com" }), tenancy)
+      ).toBe(null);
+      expect(
+        resolveTenantId(request({ hostname: "a.b.example.com" }), tenancy)
+      ).toBe(null);
+      expect(
+        resolveTenantId(request({ user: { tenantId: "acme" } }), {
+          ...tenancy,
+          sources: ["header"],
+        })
+      ).toBe(null);
+    });
+
+    test("debe rechazar fuentes que no coinciden e IDs inválidos", () => {
+      const conflict = () =>
+        resolveTenantId(
+          request({
+            headers: { "x-tenant-id": "acme" },
+            user: { tenantId: "globex" },
+          }),
+          tenancy
+        );
+      expect(conflict).toThrow(TenantError);
+      expect(conflict).toThrow(
+        "El tenant indicado por la petición no coincide"
+      );
+
+      expect(() =>
+        resolveTenantId(
+          request({ headers: { "x-tenant-id": "acme_corp" } }),
+          tenancy
+        )
+      ).toThrow("El ID de tenant no es válido");
+    });
+  });
+
+  describe("getTenant y getTenantBranding", () => {
+    test("debe devolver la configuración del tenant con su ID", () => {
+      expect(getTenant("acme", tenancy)).toEqual({
+        id: "acme",
+        companyName: "Acme S.L.",
+        fromName: "Equipo Acme",
+      });
+      expect(getTenant("initech", tenancy)).toBeNull();
+      expect(getTenant("toString", tenancy)).toBeNull();
+    });
+
+    test("debe devolver solo la marca definida", () => {
+      expect(getTenantBranding(getTenant("acme", tenancy))).toEqual({
+        companyName: "Acme S.L.",
+        fromName: "Equipo Acme",
+      });
+      expect(getTenantBranding(getTenant("globex", tenancy))).toBeNull();
+      expect(getTenantBranding(null)).toBeNull();
+    });
+  });
+
+  describe("scopeToTenant", () => {
+    test("debe fijar tenantId y compartir el resto del estado", () => {
+      const target = { tenantId: null, items: [] };
+      const scoped = scopeToTenant(target, "acme");
+
+      scoped.items.push(1);
+      scoped.counter = 1;
+
+      expect(scoped.tenantId).toBe("acme");
+      expect(target).toEqual({ tenantId: null, items: [1], counter: 1 });
+    });
+  });
+
+  describe("resolveTenant", () => {
+    const original = { ...userConfig.tenancy };
+    let res;
+    let next;
+
+    beforeEach(() => {
+      Object.assign(userConfig.tenancy, tenancy);
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      next = jest.fn();
+    });
+
+    afterEach(() => {
+      Object.assign(userConfig.tenancy, original);
+    });
+
+    test("debe dejar el tenant en req.tenant", () => {
+      const req = request({ headers: { "x-tenant-id": "acme" } });
+
+      resolveTenant(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.tenant).toMatchObject({
+        id: "acme",
+        companyName: "Acme S.L.",
+      });
+    });
+
+    test("debe responder 400 sin tenant y 404 con un tenant no configurado", () => {
+      resolveTenant(request(), res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "Debe indicar el tenant (cabecera X-Tenant-ID)",
+      });
+
+      resolveTenant(
+        request({ headers: { "x-tenant-id": "initech" } }),
+        res,
+        next
+      );
+      expect(res.status).toHaveBeenLastCalledWith(404);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test("no debe hacer nada sin multi-tenencia", () => {
+      userConfig.tenancy.enabled = false;
+      const req = request({ headers: { "x-tenant-id": "acme" } });
+
+      resolveTenant(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.tenant).toBeUndefined();
+    });
+  });
+});
+
+describe("UserRepository por tenant", () => {
+  let repository;
+  let acme;
+  let globex;
+
+  const userData = (email) => ({
+    name: "Ana Ruiz",
+    email,
+    password: "123456",
+  });
+
+  beforeEach(() => {
+    repository = new UserRepository();
+    acme = repository.forTenant("acme");
+    globex = repository.forTenant("globex");
+  });
+
+  test("debe aislar las lecturas y permitir el mismo email en cada tenant", async () => {
+    const ana = await acme.create(userData("ana@example.com"));
+    await globex.create(userData("ana@example.com"));
+
+    expect(ana.tenantId).toBe("acme");
+    await expect(acme.create(userData("ana@example.com"))).rejects.toThrow(
+      "El email ya está registrado"
+    );
+
+    expect(await acme.findAll()).toEqual([ana]);
+    expect((await globex.findByEmail("ana@example.com")).tenantId).toBe(
+      "globex"
+    );
+    expect(await globex.findById(ana.id)).toBeUndefined();
+    expect((await globex.findPage()).total).toBe(1);
+    expect(await repository.findAll()).toHaveLength(2);
+  });
+
+  test("no debe modificar usuarios de otro tenant", async () => {
+    const ana = await acme.create(userData("ana@example.com"));
+
+    expect(await globex.update(ana.id, { name: "Otra" })).toBeNull();
+    expect(await globex.delete(ana.id)).toBe(false);
+    expect(await globex.destroy(ana.id)).toBe(false);
+
+    await acme.delete(ana.id);
+    expect(await globex.restore(ana.id)).toBeNull();
+    expect(await globex.purgeDeleted(new Date().toISOString())).toBe(0);
+    expect(await acme.findById(ana.id, { includeDeleted: true })).toBe(ana);
+
+    expect(await acme.purgeDeleted(new Date().toISOString())).toBe(1);
+    expect(repository.deletedUsers).toHaveLength(0);
+  });
+});
+
+describe("CacheManager por tenant", () => {
+  test("debe añadir el tenant a las claves tras el prefijo", () => {
+    const cache = new CacheManager({ keyPrefix: "db:cache:" });
+    const acme = cache.forTenant("acme");
+
+    expect(cache._buildKey("users:stats")).toBe("db:cache:users:stats");
+    expect(acme._buildKey("users:stats")).toBe(
+      "db:cache:tenant:acme:users:stats"
+    );
+    expect(acme._buildKey("x".repeat(300))).toMatch(
+      /^db:cache:tenant:acme:hash:[0-9a-f]{64}$/
+    );
+    expect(acme._buildTagKey("users")).toBe("db:cache:tenant:acme:tag:users");
+  });
+});